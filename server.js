@@ -73,7 +73,7 @@ const SupplierController = require('./src/interfaces/http/controllers/SupplierCo
 // IngredientController fueron eliminados — sus rutas están inline en este archivo.
 
 // Middleware modularizado
-const { authMiddleware, requireAdmin, tokenBlacklist } = require('./src/middleware/auth');
+const { authMiddleware, requireAdmin } = require('./src/middleware/auth');
 const { globalLimiter, authLimiter, costlyApiLimiter } = require('./src/middleware/rateLimit');
 const { log } = require('./src/utils/logger');
 const { validateNumber, validatePrecio, validateCantidad } = require('./src/utils/validators');
@@ -231,6 +231,9 @@ const pool = new Pool({
 // Make pool available to middleware (planGate)
 app.locals.pool = pool;
 
+// Consumo de IA a BD (ai_usage) y cuota mensual por plan en cada llamada al LLM
+require('./src/services/llmProvider').configurarPersistencia(pool);
+
 // Manejar errores del pool (evita crash por conexiones muertas)
 pool.on('error', (err) => {
     log('error', 'Error inesperado en pool de BD', { error: err.message });
@@ -255,7 +258,10 @@ const { initializeDatabase } = require('./src/db/init');
 
 // [CLEANUP] Rate limiter custom eliminado - express-rate-limit ya cubre esto (globalLimiter, línea ~159)
 
-// Sistema de alertas v2 (en uso por el frontend: AlertPanel + /v2/alerts/*)
+// Sistema de alertas v2 (en uso por el frontend: AlertPanel + /v2/alerts/*).
+// Las dispara el motor de eventos (AlertService.trigger) desde ventas, pedidos,
+// precios, mermas e inventario; aquí se listan, gestionan y configuran los
+// umbrales. Único montaje: src/routes/index.js no lo vuelve a montar.
 app.use('/api/v2/alerts', authMiddleware, alertRoutes);
 
 // ========== ENDPOINTS PÚBLICOS ==========
@@ -314,6 +320,7 @@ app.get('/api/health', async (req, res) => {
 //   /api/superadmin/*    → panel admin global (multi-tenant, lo gestiona Iker)
 //   /api/integrations/*  → integraciones N8N/admin
 //   /api/onboarding/*    → progreso de onboarding (lo ven los del trial activo)
+//   /api/informe-mensual/baja → baja del informe por email (enlace firmado, sin sesión)
 const SUBSCRIPTION_EXEMPT_PATHS = [
     '/auth/',
     '/subscription/',
@@ -324,6 +331,7 @@ const SUBSCRIPTION_EXEMPT_PATHS = [
     '/superadmin/',
     '/integrations/',
     '/onboarding/',
+    '/informe-mensual/baja',
 ];
 const jwtForGate = require('jsonwebtoken');
 app.use('/api', async (req, res, next) => {
@@ -341,7 +349,7 @@ app.use('/api', async (req, res, next) => {
                 token = authHeader.split(' ')[1];
             }
         }
-        if (!token || tokenBlacklist.has(token)) return next();
+        if (!token) return next();
         let decoded;
         try {
             decoded = jwtForGate.verify(token, process.env.JWT_SECRET);
@@ -449,6 +457,16 @@ server = app.listen(PORT, '0.0.0.0', () => {
     console.log(`✅ CORS habilitado para: ${ALLOWED_ORIGINS.join(', ')}`);
     console.log(`📦 Rutas v2 montadas: /api/v2/alerts`);
 
+    // ========== 📧 INFORME MENSUAL PROGRAMADO ==========
+    // Pasada horaria: envía el informe del mes anterior a las suscripciones
+    // cuyo día de envío ya llegó (services/informeMensualEnvioService.js).
+    require('./src/services/informeMensualEnvioService').iniciarProgramador(pool, resend);
+
+    // ========== 🔗 WEBHOOKS SALIENTES ==========
+    // Cada minuto: reintenta las entregas fallidas cuyo backoff ya venció
+    // (services/outboundWebhookService.js).
+    require('./src/services/outboundWebhookService').iniciarProgramador(pool);
+
     // ========== UPTIME KUMA HEARTBEAT ==========
     // Heartbeat verifica BD antes de reportar healthy
     const UPTIME_KUMA_PUSH_URL = process.env.UPTIME_KUMA_PUSH_URL;
@@ -1,25 +1,232 @@
 /**
  * Application Service: AlertService
  * Gestiona alertas del sistema
+ *
+ * 2026-10-18: motor de alertas conectado a eventos reales. Hasta ahora los
+ * check* existían pero nadie los llamaba y los umbrales eran fijos en código.
+ * Ahora:
+ *  - Los umbrales son por restaurante (tabla alert_settings, JSONB con solo
+ *    lo que cambia sobre DEFAULT_THRESHOLDS), editables en
+ *    /api/v2/alerts/settings.
+ *  - Las rutas que cambian stock o precios llaman a AlertService.trigger()
+ *    DESPUÉS del COMMIT (fire-and-forget, como registrarCostesRecetas): un
+ *    fallo evaluando alertas se loguea y no rompe la operación.
+ *  - Tipos nuevos: pico de mermas, diferencia de inventario y deriva de precio
+ *    de proveedor (computePriceDrift, el mismo cálculo que
+ *    /intelligence/price-drift).
  */
 
 const Alert = require('../../domain/entities/Alert');
 const AlertRepository = require('../../infrastructure/repositories/AlertRepository');
+const { computePriceDrift, computeInventoryDifference } = require('../../utils/businessHelpers');
+const { cargarContextoCoste, calcularFotoCoste } = require('../../services/recipeCostHistoryService');
+const { log } = require('../../utils/logger');
+const { emitirEvento } = require('../../services/outboundWebhookService');
+
+/** Eventos que disparan evaluación y qué comprobaciones corre cada uno. */
+const EVENTS = {
+    sales_import: ['lowStock'],
+    order_receipt: ['lowStock', 'purchasePrices', 'recipes', 'priceDrift'],
+    price_change: ['priceChanges', 'recipes', 'priceDrift'],
+    inventory_count: ['lowStock', 'inventoryDifference'],
+    waste: ['lowStock', 'wasteSpike']
+};
+
+const r1 = (n) => Math.round(n * 10) / 10;
+const r2 = (n) => Math.round(n * 100) / 100;
 
 class AlertService {
+    static EVENTS = EVENTS;
+
+    // Umbrales por defecto. alert_settings guarda solo lo que el restaurante cambia.
+    static DEFAULT_THRESHOLDS = {
+        marginLow: 60,               // % mínimo de margen
+        foodCostHigh: 35,            // % máximo de food cost
+        priceIncreaseAlert: 10,      // % de incremento de precio para alertar
+        stockDaysWarning: 3,         // días de stock para alertar
+        wasteSpikePct: 50,           // % sobre la media semanal de mermas
+        wasteMinValue: 50,           // € de merma en la semana para que cuente
+        inventoryDiffPct: 10,        // % de desviación del último recuento
+        inventoryDiffMinEur: 50,     // € netos de desviación para que cuente
+        priceDriftPct: 15,           // = umbral de /intelligence/price-drift
+        priceDriftMinPurchases: 3,
+        priceDriftMinSpend: 100,
+        disabledTypes: []            // tipos de Alert.TYPES que no se crean
+    };
+
+    // [mínimo, máximo, entero]
+    static THRESHOLD_LIMITS = {
+        marginLow: [0, 100],
+        foodCostHigh: [0, 100],
+        priceIncreaseAlert: [0.1, 1000],
+        stockDaysWarning: [0, 365, true],
+        wasteSpikePct: [1, 1000],
+        wasteMinValue: [0, 100000],
+        inventoryDiffPct: [0.1, 100],
+        inventoryDiffMinEur: [0, 1000000],
+        priceDriftPct: [1, 500],
+        priceDriftMinPurchases: [1, 30, true],
+        priceDriftMinSpend: [0, 100000]
+    };
+
     constructor(dependencies = {}) {
         this.pool = dependencies.pool || require('../../infrastructure/database/connection');
         this.alertRepo = new AlertRepository(this.pool);
 
-        // Umbrales configurables
-        this.thresholds = {
-            marginLow: 60,           // % mínimo de margen
-            foodCostHigh: 35,        // % máximo de food cost
-            priceIncreaseAlert: 10,  // % de incremento de precio para alertar
-            stockDaysWarning: 3      // días de stock para alertar
+        // Se sustituyen por los del restaurante en loadThresholds().
+        this.thresholds = { ...AlertService.DEFAULT_THRESHOLDS };
+    }
+
+    /**
+     * Valida un cambio parcial de umbrales. Claves desconocidas son error (un
+     * typo no debe guardarse en silencio).
+     * @returns {{ error: string } | { thresholds: object }}
+     */
+    static sanitizeThresholds(input) {
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            return { error: 'thresholds debe ser un objeto' };
+        }
+        const out = {};
+        for (const [key, value] of Object.entries(input)) {
+            if (key === 'disabledTypes') {
+                const validTypes = Object.values(Alert.TYPES);
+                if (!Array.isArray(value) || value.some(t => !validTypes.includes(t))) {
+                    return { error: `disabledTypes debe ser una lista de: ${validTypes.join(', ')}` };
+                }
+                out.disabledTypes = [...new Set(value)];
+                continue;
+            }
+            const limits = AlertService.THRESHOLD_LIMITS[key];
+            if (!limits) return { error: `Umbral desconocido: ${String(key).slice(0, 40)}` };
+            const [min, max, integer] = limits;
+            const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof n !== 'number' || !Number.isFinite(n) || n < min || n > max || (integer && !Number.isInteger(n))) {
+                return { error: `${key} debe ser un número${integer ? ' entero' : ''} entre ${min} y ${max}` };
+            }
+            out[key] = n;
+        }
+        return { thresholds: out };
+    }
+
+    /** Umbrales efectivos: los guardados sobre los por defecto (ignorando basura). */
+    static mergeThresholds(stored) {
+        const clean = AlertService.sanitizeThresholdsLenient(stored);
+        return { ...AlertService.DEFAULT_THRESHOLDS, ...clean };
+    }
+
+    // Como sanitizeThresholds pero descartando clave a clave lo inválido: lo
+    // guardado con una versión anterior no debe tumbar la evaluación.
+    static sanitizeThresholdsLenient(stored) {
+        const out = {};
+        if (!stored || typeof stored !== 'object') return out;
+        for (const [key, value] of Object.entries(stored)) {
+            const r = AlertService.sanitizeThresholds({ [key]: value });
+            if (!r.error) Object.assign(out, r.thresholds);
+        }
+        return out;
+    }
+
+    /**
+     * Pico de mermas: la última semana contra la media semanal de las cuatro
+     * anteriores. Sin historial no hay con qué comparar → null (un restaurante
+     * que empieza a apuntar mermas no tiene un "pico").
+     * @returns {null | { increasePct: number, severity: string }}
+     */
+    static evaluateWasteSpike({ ultimaSemana, mediaSemanal }, t) {
+        const last = parseFloat(ultimaSemana) || 0;
+        const avg = parseFloat(mediaSemanal) || 0;
+        if (last < t.wasteMinValue || !(avg > 0)) return null;
+        const increasePct = ((last - avg) / avg) * 100;
+        if (increasePct < t.wasteSpikePct) return null;
+        return {
+            increasePct: r1(increasePct),
+            severity: increasePct >= t.wasteSpikePct * 2 ? Alert.SEVERITIES.CRITICAL : Alert.SEVERITIES.WARNING
+        };
+    }
+
+    /**
+     * Diferencia de inventario de una sesión de recuento (computeInventoryDifference).
+     * Hace falta superar el % Y el mínimo en €: contar cuatro ingredientes de
+     * poco valor da porcentajes enormes que no significan nada.
+     * @returns {null | { severity: string }}
+     */
+    static evaluateInventoryDifference(sesion, t) {
+        if (!sesion || sesion.desviacion_pct === null || sesion.desviacion_pct === undefined) return null;
+        const neto = Math.abs(parseFloat(sesion.neto_eur) || 0);
+        if (sesion.desviacion_pct < t.inventoryDiffPct || neto < t.inventoryDiffMinEur) return null;
+        return {
+            severity: sesion.desviacion_pct >= t.inventoryDiffPct * 2 ? Alert.SEVERITIES.CRITICAL : Alert.SEVERITIES.WARNING
+        };
+    }
+
+    async loadThresholds(restaurantId) {
+        const result = await this.pool.query(
+            'SELECT thresholds FROM alert_settings WHERE restaurant_id = $1',
+            [restaurantId]
+        );
+        this.thresholds = AlertService.mergeThresholds(result.rows[0]?.thresholds);
+        return this.thresholds;
+    }
+
+    /** Umbrales efectivos + lo que el restaurante ha personalizado. */
+    async getSettings(restaurantId) {
+        const result = await this.pool.query(
+            'SELECT thresholds, updated_at FROM alert_settings WHERE restaurant_id = $1',
+            [restaurantId]
+        );
+        const stored = result.rows[0]?.thresholds || {};
+        return {
+            thresholds: AlertService.mergeThresholds(stored),
+            overrides: AlertService.sanitizeThresholdsLenient(stored),
+            defaults: AlertService.DEFAULT_THRESHOLDS,
+            updatedAt: result.rows[0]?.updated_at || null
         };
     }
 
+    /**
+     * Cambio parcial: se mezcla sobre lo guardado. Un valor null vuelve al por
+     * defecto. Devuelve { error } si algo no valida (no se guarda nada).
+     */
+    async updateSettings(restaurantId, input, userId = null) {
+        const resets = Object.keys(input || {}).filter(k => input[k] === null);
+        const changes = { ...(input || {}) };
+        resets.forEach(k => { delete changes[k]; });
+        const unknown = resets.find(k => k !== 'disabledTypes' && !AlertService.THRESHOLD_LIMITS[k]);
+        if (unknown) return { error: `Umbral desconocido: ${String(unknown).slice(0, 40)}` };
+
+        const checked = AlertService.sanitizeThresholds(changes);
+        if (checked.error) return checked;
+
+        const current = await this.pool.query(
+            'SELECT thresholds FROM alert_settings WHERE restaurant_id = $1',
+            [restaurantId]
+        );
+        const stored = { ...AlertService.sanitizeThresholdsLenient(current.rows[0]?.thresholds), ...checked.thresholds };
+        resets.forEach(k => { delete stored[k]; });
+
+        await this.pool.query(
+            `INSERT INTO alert_settings (restaurant_id, thresholds, updated_by, updated_at)
+             VALUES ($1, $2, $3, NOW())
+             ON CONFLICT (restaurant_id) DO UPDATE SET
+                thresholds = EXCLUDED.thresholds,
+                updated_by = EXCLUDED.updated_by,
+                updated_at = NOW()`,
+            [restaurantId, JSON.stringify(stored), userId]
+        );
+        return { before: current.rows[0]?.thresholds || {}, settings: await this.getSettings(restaurantId) };
+    }
+
+    /**
+     * create() que respeta los tipos desactivados por el restaurante y avisa
+     * a los webhooks salientes suscritos a 'alert.raised'.
+     */
+    async _create(alertData) {
+        if ((this.thresholds.disabledTypes || []).includes(alertData.type)) return null;
+        const alert = await this.alertRepo.create(alertData);
+        emitirEvento(this.pool, alertData.restaurantId, 'alert.raised', { alert: alert.toDTO() });
+        return alert;
+    }
+
     /**
      * Verifica y crea alertas basadas en coste de receta
      */
@@ -32,7 +239,7 @@ class AlertService {
             const hasMarginAlert = existing.some(a => a.type === Alert.TYPES.LOW_MARGIN);
 
             if (!hasMarginAlert) {
-                const alert = await this.alertRepo.create({
+                const alert = await this._create({
                     restaurantId,
                     type: Alert.TYPES.LOW_MARGIN,
                     severity: breakdown.marginPercentage < 50 ? 'critical' : 'warning',
@@ -46,7 +253,7 @@ class AlertService {
                         totalCost: breakdown.totalCost
                     }
                 });
-                alerts.push(alert);
+                if (alert) alerts.push(alert);
             }
         } else {
             await this.alertRepo.resolveByEntity('recipe', recipeId, Alert.TYPES.LOW_MARGIN, restaurantId);
@@ -58,7 +265,7 @@ class AlertService {
             const hasFoodCostAlert = existing.some(a => a.type === Alert.TYPES.HIGH_FOOD_COST);
 
             if (!hasFoodCostAlert) {
-                const alert = await this.alertRepo.create({
+                const alert = await this._create({
                     restaurantId,
                     type: Alert.TYPES.HIGH_FOOD_COST,
                     severity: 'warning',
@@ -71,7 +278,7 @@ class AlertService {
                         threshold: this.thresholds.foodCostHigh
                     }
                 });
-                alerts.push(alert);
+                if (alert) alerts.push(alert);
             }
         } else {
             await this.alertRepo.resolveByEntity('recipe', recipeId, Alert.TYPES.HIGH_FOOD_COST, restaurantId);
@@ -81,7 +288,9 @@ class AlertService {
     }
 
     /**
-     * Verifica alertas de incremento de precio de ingrediente
+     * Verifica alertas de incremento de precio de ingrediente.
+     * Si ya había una abierta para el ingrediente se sustituye: la que queda
+     * es la de la última subida.
      */
     async checkPriceIncreaseAlert(ingredientId, restaurantId, ingredientName, oldPrice, newPrice) {
         if (oldPrice <= 0) return null;
@@ -89,7 +298,8 @@ class AlertService {
         const increasePercent = ((newPrice - oldPrice) / oldPrice) * 100;
 
         if (increasePercent >= this.thresholds.priceIncreaseAlert) {
-            return await this.alertRepo.create({
+            await this.alertRepo.resolveByEntity('ingredient', ingredientId, Alert.TYPES.PRICE_INCREASE, restaurantId);
+            return await this._create({
                 restaurantId,
                 type: Alert.TYPES.PRICE_INCREASE,
                 severity: increasePercent >= 20 ? 'critical' : 'warning',
@@ -118,7 +328,7 @@ class AlertService {
 
         if (hasStockAlert) return null;
 
-        return await this.alertRepo.create({
+        return await this._create({
             restaurantId,
             type: Alert.TYPES.LOW_STOCK,
             severity: currentStock <= 0 ? 'critical' : 'warning',
@@ -130,6 +340,323 @@ class AlertService {
         });
     }
 
+    /**
+     * Stock bajo en lote (ingredientes con stock_minimo). Sin ids, todos: una
+     * importación de ventas toca decenas de ingredientes.
+     */
+    async checkLowStock(restaurantId, ingredientIds = null) {
+        const ids = Array.isArray(ingredientIds) ? ingredientIds.map(Number).filter(Boolean) : null;
+        if (ids && ids.length === 0) return [];
+        const result = await this.pool.query(
+            `SELECT id, nombre, stock_actual, stock_minimo
+             FROM ingredientes
+             WHERE restaurante_id = $1 AND deleted_at IS NULL
+               AND stock_minimo > 0
+               AND ($2::int[] IS NULL OR id = ANY($2::int[]))`,
+            [restaurantId, ids]
+        );
+        const open = new Map(
+            (await this.alertRepo.findOpenByType(Alert.TYPES.LOW_STOCK, restaurantId)).map(a => [a.entityId, a])
+        );
+
+        const created = [];
+        for (const ing of result.rows) {
+            const stock = parseFloat(ing.stock_actual) || 0;
+            const min = parseFloat(ing.stock_minimo) || 0;
+            const alert = open.get(ing.id);
+            if (stock >= min) {
+                if (alert) await this.alertRepo.resolve(alert.id, restaurantId);
+                continue;
+            }
+            if (alert) continue;
+            const nuevo = await this._create({
+                restaurantId,
+                type: Alert.TYPES.LOW_STOCK,
+                severity: stock <= 0 ? 'critical' : 'warning',
+                title: `Stock bajo: "${ing.nombre}"`,
+                message: `Stock actual: ${stock.toFixed(2)} (mínimo: ${min.toFixed(2)})`,
+                entityType: 'ingredient',
+                entityId: ing.id,
+                data: { currentStock: stock, minStock: min, deficit: r2(min - stock) }
+            });
+            if (nuevo) created.push(nuevo);
+        }
+        return created;
+    }
+
+    /**
+     * Subidas de precio de una lista ya conocida ({ ingredientId, name,
+     * oldPrice, newPrice } en precio por unidad base), p. ej. al editar la ficha.
+     */
+    async checkPriceChanges(restaurantId, changes = []) {
+        const created = [];
+        for (const c of changes) {
+            const oldPrice = parseFloat(c.oldPrice) || 0;
+            const newPrice = parseFloat(c.newPrice) || 0;
+            const alert = await this.checkPriceIncreaseAlert(c.ingredientId, restaurantId, c.name, oldPrice, newPrice);
+            if (alert) created.push(alert);
+        }
+        return created;
+    }
+
+    /**
+     * Subidas de precio en una recepción: precio de la última compra de cada
+     * ingrediente contra la media ponderada de sus compras de los 90 días
+     * anteriores (Diario, precios_compra_diarios).
+     */
+    async checkPurchasePrices(restaurantId, ingredientIds = []) {
+        const ids = (ingredientIds || []).map(Number).filter(Boolean);
+        if (ids.length === 0) return [];
+        const result = await this.pool.query(
+            `SELECT i.id, i.nombre, ult.precio AS precio_nuevo, prev.precio AS precio_anterior
+             FROM ingredientes i
+             JOIN LATERAL (
+                 SELECT fecha, SUM(total_compra) / NULLIF(SUM(cantidad_comprada), 0) AS precio
+                 FROM precios_compra_diarios
+                 WHERE restaurante_id = $1 AND ingrediente_id = i.id
+                 GROUP BY fecha
+                 ORDER BY fecha DESC
+                 LIMIT 1
+             ) ult ON TRUE
+             JOIN LATERAL (
+                 SELECT SUM(total_compra) / NULLIF(SUM(cantidad_comprada), 0) AS precio
+                 FROM precios_compra_diarios
+                 WHERE restaurante_id = $1 AND ingrediente_id = i.id
+                   AND fecha < ult.fecha AND fecha >= ult.fecha - INTERVAL '90 days'
+             ) prev ON prev.precio IS NOT NULL
+             WHERE i.restaurante_id = $1 AND i.deleted_at IS NULL
+               AND i.id = ANY($2::int[])`,
+            [restaurantId, ids]
+        );
+        return this.checkPriceChanges(restaurantId, result.rows.map(r => ({
+            ingredientId: r.id,
+            name: r.nombre,
+            oldPrice: r.precio_anterior,
+            newPrice: r.precio_nuevo
+        })));
+    }
+
+    /**
+     * Margen y food cost de las recetas que usan estos ingredientes, con el
+     * mismo coste que versiona recipeCostHistoryService. Solo recetas con
+     * precio de venta.
+     */
+    async checkRecipesForIngredients(restaurantId, ingredientIds = null) {
+        const ingSet = Array.isArray(ingredientIds) ? new Set(ingredientIds.map(Number)) : null;
+        if (ingSet && ingSet.size === 0) return [];
+        const ctx = await cargarContextoCoste(this.pool, restaurantId);
+        const created = [];
+        for (const receta of ctx.recetas) {
+            const foto = calcularFotoCoste(receta, ctx);
+            if (foto.food_cost_pct === null) continue;
+            if (ingSet && !foto.desglose.some(l => ingSet.has(l.ingrediente_id))) continue;
+            const alerts = await this.checkRecipeCostAlerts(receta.id, restaurantId, {
+                marginPercentage: 100 - foto.food_cost_pct,
+                foodCostPercentage: foto.food_cost_pct,
+                totalCost: foto.coste_porcion
+            }, receta.nombre);
+            created.push(...alerts);
+        }
+        return created;
+    }
+
+    /**
+     * Deriva de precio sostenida (computePriceDrift). Crea una alerta por
+     * ingrediente que deriva y resuelve las de los que ya no.
+     */
+    async checkPriceDrift(restaurantId) {
+        const t = this.thresholds;
+        const result = await this.pool.query(`
+            SELECT i.id, i.nombre, i.unidad, i.precio, i.cantidad_por_formato, i.precio_fijado,
+                   hist.precio_medio_compra,
+                   d90.media_90d, d90.n_compras_90d, d90.gasto_90d, d90.cantidad_90d, d90.ultima_compra
+            FROM ingredientes i
+            JOIN (
+                SELECT ingrediente_id,
+                       ROUND((SUM(total_compra) / NULLIF(SUM(cantidad_comprada), 0))::numeric, 4) AS media_90d,
+                       COUNT(*) AS n_compras_90d,
+                       ROUND(SUM(total_compra)::numeric, 2) AS gasto_90d,
+                       ROUND(SUM(cantidad_comprada)::numeric, 3) AS cantidad_90d,
+                       MAX(fecha) AS ultima_compra
+                FROM precios_compra_diarios
+                WHERE restaurante_id = $1
+                  AND fecha >= CURRENT_DATE - INTERVAL '90 days'
+                GROUP BY ingrediente_id
+            ) d90 ON d90.ingrediente_id = i.id
+            LEFT JOIN (
+                SELECT ingrediente_id,
+                       ROUND((SUM(total_compra) / NULLIF(SUM(cantidad_comprada), 0))::numeric, 4) AS precio_medio_compra
+                FROM precios_compra_diarios
+                WHERE restaurante_id = $1
+                GROUP BY ingrediente_id
+            ) hist ON hist.ingrediente_id = i.id
+            WHERE i.restaurante_id = $1 AND i.deleted_at IS NULL
+        `, [restaurantId]);
+
+        const drifts = computePriceDrift(result.rows, {
+            umbralPct: t.priceDriftPct,
+            minCompras: t.priceDriftMinPurchases,
+            minGasto: t.priceDriftMinSpend
+        });
+        const open = new Map(
+            (await this.alertRepo.findOpenByType(Alert.TYPES.PRICE_DRIFT, restaurantId)).map(a => [a.entityId, a])
+        );
+
+        const created = [];
+        const drifting = new Set();
+        for (const d of drifts) {
+            drifting.add(d.id);
+            if (open.has(d.id)) continue;
+            const alert = await this._create({
+                restaurantId,
+                type: Alert.TYPES.PRICE_DRIFT,
+                severity: d.desviacion_pct >= t.priceDriftPct * 2 ? 'critical' : 'warning',
+                title: `Precio de compra por encima del escandallo: "${d.nombre}"`,
+                message: `Las compras de los últimos 90 días salen un ${d.desviacion_pct}% por encima del precio que usa el food cost (≈ ${d.impacto_mes.toFixed(2)}€/mes no reflejados)`,
+                entityType: 'ingredient',
+                entityId: d.id,
+                data: d
+            });
+            if (alert) created.push(alert);
+        }
+        for (const [ingredientId, alert] of open) {
+            if (!drifting.has(ingredientId)) await this.alertRepo.resolve(alert.id, restaurantId);
+        }
+        return created;
+    }
+
+    /** Pico de mermas de la última semana (una alerta por restaurante). */
+    async checkWasteSpike(restaurantId) {
+        const result = await this.pool.query(
+            `SELECT COALESCE(SUM(valor_perdida) FILTER (WHERE fecha >= NOW() - INTERVAL '7 days'), 0) AS ultima_semana,
+                    COALESCE(SUM(valor_perdida) FILTER (WHERE fecha < NOW() - INTERVAL '7 days'), 0) / 4 AS media_semanal
+             FROM mermas
+             WHERE restaurante_id = $1 AND deleted_at IS NULL
+               AND fecha >= NOW() - INTERVAL '35 days'`,
+            [restaurantId]
+        );
+        const row = result.rows[0] || {};
+        const spike = AlertService.evaluateWasteSpike(
+            { ultimaSemana: row.ultima_semana, mediaSemanal: row.media_semanal },
+            this.thresholds
+        );
+        const open = await this.alertRepo.findOpenByType(Alert.TYPES.WASTE_SPIKE, restaurantId);
+
+        if (!spike) {
+            for (const a of open) await this.alertRepo.resolve(a.id, restaurantId);
+            return null;
+        }
+        if (open.length > 0) return null;
+
+        const ultimaSemana = r2(parseFloat(row.ultima_semana) || 0);
+        const mediaSemanal = r2(parseFloat(row.media_semanal) || 0);
+        return await this._create({
+            restaurantId,
+            type: Alert.TYPES.WASTE_SPIKE,
+            severity: spike.severity,
+            title: 'Pico de mermas esta semana',
+            message: `Mermas de los últimos 7 días: ${ultimaSemana.toFixed(2)}€, un ${spike.increasePct}% más que la media semanal (${mediaSemanal.toFixed(2)}€)`,
+            entityType: 'restaurant',
+            entityId: restaurantId,
+            data: { ultimaSemana, mediaSemanal, increasePct: spike.increasePct, threshold: this.thresholds.wasteSpikePct }
+        });
+    }
+
+    /**
+     * Diferencia del último recuento (computeInventoryDifference). Cada
+     * recuento sustituye al anterior: la alerta es la del último.
+     */
+    async checkInventoryDifference(restaurantId) {
+        const result = await this.pool.query(`
+            SELECT s.fecha, s.ingrediente_id, s.stock_virtual, s.stock_real, s.diferencia,
+                   i.nombre, i.unidad, i.precio, i.cantidad_por_formato, i.precio_fijado,
+                   pcd.precio_medio_compra
+            FROM inventory_snapshots_v2 s
+            JOIN ingredientes i ON i.id = s.ingrediente_id AND i.restaurante_id = $1
+            LEFT JOIN (
+                SELECT ingrediente_id,
+                       ROUND((SUM(total_compra) / NULLIF(SUM(cantidad_comprada), 0))::numeric, 4) AS precio_medio_compra
+                FROM precios_compra_diarios WHERE restaurante_id = $1
+                GROUP BY ingrediente_id
+            ) pcd ON pcd.ingrediente_id = s.ingrediente_id
+            WHERE s.restaurante_id = $1
+              AND s.fecha >= NOW() - INTERVAL '1 day'
+            ORDER BY s.fecha DESC
+        `, [restaurantId]);
+
+        const sesion = computeInventoryDifference(result.rows)[0];
+        if (!sesion) return null;
+
+        const open = await this.alertRepo.findOpenByType(Alert.TYPES.INVENTORY_DIFFERENCE, restaurantId);
+        if (open.some(a => a.data?.fecha === sesion.fecha)) return null;
+        for (const a of open) await this.alertRepo.resolve(a.id, restaurantId);
+
+        const hit = AlertService.evaluateInventoryDifference(sesion, this.thresholds);
+        if (!hit) return null;
+
+        const signo = sesion.neto_eur < 0 ? 'faltan' : 'sobran';
+        return await this._create({
+            restaurantId,
+            type: Alert.TYPES.INVENTORY_DIFFERENCE,
+            severity: hit.severity,
+            title: `Diferencia de inventario del ${sesion.desviacion_pct}%`,
+            message: `En el recuento ${signo} ${Math.abs(sesion.neto_eur).toFixed(2)}€ respecto al stock del sistema (${sesion.contados} ingredientes contados)`,
+            entityType: 'restaurant',
+            entityId: restaurantId,
+            data: sesion
+        });
+    }
+
+    /**
+     * Evalúa las alertas que corresponden a un evento.
+     *
+     * @param {string} event - clave de EVENTS
+     * @param {number} restaurantId
+     * @param {{ ingredientIds?: number[], priceChanges?: Array }} ctx
+     * @returns {Promise<number>} alertas creadas
+     */
+    async evaluate(event, restaurantId, ctx = {}) {
+        const checks = EVENTS[event];
+        if (!checks || !restaurantId) return 0;
+        await this.loadThresholds(restaurantId);
+
+        const ids = Array.isArray(ctx.ingredientIds) ? ctx.ingredientIds : null;
+        const changedIds = ids || (ctx.priceChanges || []).map(c => c.ingredientId);
+        const runners = {
+            lowStock: () => this.checkLowStock(restaurantId, ids),
+            purchasePrices: () => this.checkPurchasePrices(restaurantId, ids || []),
+            priceChanges: () => this.checkPriceChanges(restaurantId, ctx.priceChanges || []),
+            recipes: () => this.checkRecipesForIngredients(restaurantId, changedIds),
+            priceDrift: () => this.checkPriceDrift(restaurantId),
+            wasteSpike: () => this.checkWasteSpike(restaurantId),
+            inventoryDifference: () => this.checkInventoryDifference(restaurantId)
+        };
+
+        let created = 0;
+        // En serie y cada una por su lado: que falle una no se lleva a las demás.
+        for (const name of checks) {
+            try {
+                const r = await runners[name]();
+                created += Array.isArray(r) ? r.length : (r ? 1 : 0);
+            } catch (err) {
+                log('warn', `[alertas] ${name} falló`, { event, restaurantId, error: err.message });
+            }
+        }
+        return created;
+    }
+
+    /**
+     * Fire-and-forget para las rutas, después del COMMIT. Nunca lanza.
+     */
+    static trigger(pool, event, restaurantId, ctx = {}) {
+        return new AlertService({ pool })
+            .evaluate(event, restaurantId, ctx)
+            .catch(err => {
+                log('warn', '[alertas] evaluación falló', { event, restaurantId, error: err.message });
+                return 0;
+            });
+    }
+
     async getActiveAlerts(restaurantId) {
         return await this.alertRepo.findActive(restaurantId);
     }
@@ -176,7 +703,6 @@ class AlertService {
 
         const result = await this.pool.query(query, params);
 
-        const Alert = require('../domain/entities/Alert');
         return result.rows.map(row => new Alert(row));
     }
 }
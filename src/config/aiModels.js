@@ -27,4 +27,18 @@
  */
 const ANTHROPIC_MODEL = 'claude-sonnet-4-6';
 
-module.exports = { ANTHROPIC_MODEL };
+/**
+ * Precio público por millón de tokens (USD), para el coste que reporta
+ * services/llmProvider. Por prefijo de modelo: al subir de versión dentro
+ * de la misma familia el precio no cambia. Si un modelo no casa con ninguna
+ * familia se usa `default` (el de Sonnet): mejor sobrestimar que reportar 0.
+ * @type {Object<string, {input: number, output: number, cache_read: number, cache_creation: number}>}
+ */
+const PRECIOS_MTOK_USD = {
+    'claude-opus': { input: 15, output: 75, cache_read: 1.5, cache_creation: 18.75 },
+    'claude-sonnet': { input: 3, output: 15, cache_read: 0.3, cache_creation: 3.75 },
+    'claude-haiku': { input: 1, output: 5, cache_read: 0.1, cache_creation: 1.25 },
+    default: { input: 3, output: 15, cache_read: 0.3, cache_creation: 3.75 }
+};
+
+module.exports = { ANTHROPIC_MODEL, PRECIOS_MTOK_USD };
@@ -758,11 +758,16 @@ async function initializeDatabase(pool) {
             ALTER TABLE precios_compra_diarios 
                 DROP CONSTRAINT IF EXISTS precios_compra_diarios_ingrediente_id_fecha_restaurante_id_key;
         `);
+    // traspaso_id (2026-10-18): un traspaso aprobado es una compra del destino
+    // pero no del grupo; va en su propia fila para que la vista consolidada
+    // pueda apartarlo (antes se sumaba a la compra del día sin pedido).
     await pool.query(`
-            CREATE UNIQUE INDEX IF NOT EXISTS idx_pcd_ing_fecha_rest_pedido
-                ON precios_compra_diarios (ingrediente_id, fecha, restaurante_id, (COALESCE(pedido_id, 0)));
+            ALTER TABLE precios_compra_diarios ADD COLUMN IF NOT EXISTS traspaso_id INTEGER;
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_pcd_ing_fecha_rest_pedido_traspaso
+                ON precios_compra_diarios (ingrediente_id, fecha, restaurante_id, (COALESCE(pedido_id, 0)), (COALESCE(traspaso_id, 0)));
+            DROP INDEX IF EXISTS idx_pcd_ing_fecha_rest_pedido;
         `);
-    log('info', 'Migración UNIQUE constraint precios_compra_diarios completada (ahora incluye pedido_id)');
+    log('info', 'Migración UNIQUE constraint precios_compra_diarios completada (incluye pedido_id y traspaso_id)');
   } catch (e) { log('warn', 'Migración pedido_id / UNIQUE constraint', { error: e.message }); }
 
   // Columna periodo_id en mermas
@@ -1274,6 +1279,568 @@ async function initializeDatabase(pool) {
     log('info', 'Tabla chat_addon_subscriptions verificada');
   } catch (e) { log('warn', 'Migración chat_addon_subscriptions', { error: e.message }); }
 
+  // ========== MIGRACIÓN: recetas_coste_historico (2026-10-18) ==========
+  // recetas.coste_calculado / food_cost guardan SOLO el último valor, así que
+  // no había forma de responder "¿cuánto nos costaba la paella en marzo?".
+  // Cada recálculo (recalculate-cogs, PUT de receta, cambio de precio medio al
+  // recibir un pedido) añade aquí una foto del coste con el desglose por
+  // ingrediente base. Solo se inserta si el coste cambió respecto a la última
+  // foto de esa receta → la tabla crece con los cambios, no con los recálculos.
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS recetas_coste_historico (
+        id              BIGSERIAL PRIMARY KEY,
+        receta_id       INTEGER       NOT NULL REFERENCES recetas(id) ON DELETE CASCADE,
+        restaurante_id  INTEGER       NOT NULL,
+        coste_lote      NUMERIC(12,4) NOT NULL,
+        coste_porcion   NUMERIC(12,4) NOT NULL,
+        precio_venta    NUMERIC(10,2),
+        food_cost_pct   NUMERIC(6,2),
+        origen          VARCHAR(30)   NOT NULL,
+        desglose        JSONB         NOT NULL DEFAULT '[]',
+        created_at      TIMESTAMP     NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_recetas_coste_hist_receta
+        ON recetas_coste_historico (restaurante_id, receta_id, created_at DESC);
+    `);
+    log('info', 'Tabla recetas_coste_historico creada/verificada');
+  } catch (e) { log('warn', 'Migración recetas_coste_historico', { error: e.message }); }
+
+  // ========== MIGRACIÓN: pedidos_recepciones (2026-10-18) ==========
+  // Un pedido que llega en dos entregas no se podía representar: pedidos solo
+  // tiene un `estado` y un `cantidadRecibida` por línea. Cada entrega (con su
+  // número de albarán y su fecha) se guarda aquí y alimenta el Diario con SU
+  // fecha. El pedido pasa a 'parcial' mientras quede algo por servir.
+  // `lineas` = [{ linea, ingredienteId, cantidad, precioReal, personal }].
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS pedidos_recepciones (
+        id              SERIAL PRIMARY KEY,
+        pedido_id       INTEGER       NOT NULL REFERENCES pedidos(id) ON DELETE CASCADE,
+        restaurante_id  INTEGER       NOT NULL,
+        numero_albaran  VARCHAR(60),
+        fecha           DATE          NOT NULL,
+        lineas          JSONB         NOT NULL DEFAULT '[]',
+        total           NUMERIC(12,2) NOT NULL DEFAULT 0,
+        notas           TEXT,
+        usuario_id      INTEGER,
+        created_at      TIMESTAMP     NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_pedidos_recepciones_pedido
+        ON pedidos_recepciones (restaurante_id, pedido_id, fecha);
+    `);
+    log('info', 'Tabla pedidos_recepciones creada/verificada');
+  } catch (e) { log('warn', 'Migración pedidos_recepciones', { error: e.message }); }
+
+  // ========== MIGRACIÓN: facturas_proveedor (2026-10-18) ==========
+  // Factura (normalmente mensual) de un proveedor, para cuadrarla a tres
+  // bandas contra pedidos y albaranes (GET /suppliers/:id/reconciliation).
+  // `periodo` = primer día del mes que cubre: la factura de octubre suele
+  // emitirse en noviembre, así que no se puede deducir de `fecha`.
+  // `total_base` es SIN IVA (misma base que pedidos.total → gasto/P&L).
+  // `lineas` = [{ ingredienteId?, descripcion, cantidad?, precioUnitario?, importe }].
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS facturas_proveedor (
+        id              SERIAL PRIMARY KEY,
+        restaurante_id  INTEGER       NOT NULL,
+        proveedor_id    INTEGER       NOT NULL REFERENCES proveedores(id) ON DELETE CASCADE,
+        numero_factura  VARCHAR(60)   NOT NULL,
+        fecha           DATE          NOT NULL,
+        periodo         DATE          NOT NULL,
+        total_base      NUMERIC(12,2) NOT NULL DEFAULT 0,
+        iva_importe     NUMERIC(12,2),
+        lineas          JSONB         NOT NULL DEFAULT '[]',
+        notas           TEXT,
+        created_at      TIMESTAMP     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        deleted_at      TIMESTAMP
+      );
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_facturas_proveedor_numero
+        ON facturas_proveedor (restaurante_id, proveedor_id, numero_factura) WHERE deleted_at IS NULL;
+      CREATE INDEX IF NOT EXISTS idx_facturas_proveedor_periodo
+        ON facturas_proveedor (restaurante_id, proveedor_id, periodo) WHERE deleted_at IS NULL;
+    `);
+    log('info', 'Tabla facturas_proveedor creada/verificada');
+  } catch (e) { log('warn', 'Migración facturas_proveedor', { error: e.message }); }
+
+  // ========== MIGRACIÓN: stock_movements como libro de stock (2026-10-18) ==========
+  // La tabla existía sin escritores. Ahora cada puerta del censo de stock
+  // apunta aquí su movimiento (utils/stockLedger.js). `stock_after` guarda el
+  // stock real tras el apunte: permite cuadrar el saldo acumulado contra
+  // ingredientes.stock_actual y localizar escrituras que no pasaron por el libro.
+  try {
+    await pool.query(`
+      ALTER TABLE stock_movements ADD COLUMN IF NOT EXISTS stock_after NUMERIC(12,3);
+      CREATE INDEX IF NOT EXISTS idx_stock_movements_rest_ing
+        ON stock_movements (restaurant_id, ingredient_id, created_at, id);
+    `);
+    log('info', 'stock_movements.stock_after verificada');
+  } catch (e) { log('warn', 'Migración stock_movements.stock_after', { error: e.message }); }
+
+  // ========== MIGRACIÓN: informe mensual por email (2026-10-18) ==========
+  // Suscripción (una por restaurante) al informe ejecutivo del mes anterior,
+  // enviado por Resend el día `dia_envio` (1-28, para que exista en febrero).
+  // `ultimo_mes_enviado` ('YYYY-MM') es el candado: el programador lo reclama
+  // con un UPDATE condicional antes de enviar, así dos instancias no mandan el
+  // mismo mes dos veces. `informes_envios` es el registro de entregas (y de
+  // fallos): lo que se ve en la app y lo que cuenta los reintentos.
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS informes_suscripciones (
+        id                  SERIAL PRIMARY KEY,
+        restaurante_id      INTEGER      NOT NULL UNIQUE,
+        destinatarios       JSONB        NOT NULL DEFAULT '[]',
+        dia_envio           SMALLINT     NOT NULL DEFAULT 2,
+        lang                VARCHAR(2)   NOT NULL DEFAULT 'es',
+        activo              BOOLEAN      NOT NULL DEFAULT TRUE,
+        ultimo_mes_enviado  VARCHAR(7),
+        usuario_id          INTEGER,
+        created_at          TIMESTAMP    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at          TIMESTAMP    NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE TABLE IF NOT EXISTS informes_envios (
+        id                SERIAL PRIMARY KEY,
+        suscripcion_id    INTEGER      REFERENCES informes_suscripciones(id) ON DELETE SET NULL,
+        restaurante_id    INTEGER      NOT NULL,
+        mes               VARCHAR(7)   NOT NULL,
+        destinatarios     JSONB        NOT NULL DEFAULT '[]',
+        estado            VARCHAR(10)  NOT NULL,
+        con_ia            BOOLEAN      NOT NULL DEFAULT FALSE,
+        proveedor_msg_id  VARCHAR(100),
+        error             TEXT,
+        manual            BOOLEAN      NOT NULL DEFAULT FALSE,
+        created_at        TIMESTAMP    NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_informes_envios_rest
+        ON informes_envios (restaurante_id, created_at DESC);
+    `);
+    log('info', 'Tablas informes_suscripciones/informes_envios creadas/verificadas');
+  } catch (e) { log('warn', 'Migración informes por email', { error: e.message }); }
+
+  // ========== MIGRACIÓN: umbrales de alertas por restaurante (2026-10-18) ==========
+  // Los umbrales del motor de alertas (AlertService.DEFAULT_THRESHOLDS) eran
+  // fijos en código. Ahora cada restaurante guarda solo lo que cambia, en
+  // JSONB, y el servicio lo mezcla sobre los valores por defecto: añadir un
+  // umbral nuevo no requiere migrar filas. restaurant_id (no restaurante_id)
+  // como la tabla alerts, que es la que la acompaña.
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS alert_settings (
+        restaurant_id INTEGER PRIMARY KEY REFERENCES restaurantes(id) ON DELETE CASCADE,
+        thresholds    JSONB     NOT NULL DEFAULT '{}'::jsonb,
+        updated_by    INTEGER,
+        updated_at    TIMESTAMP NOT NULL DEFAULT NOW()
+      );
+    `);
+    log('info', 'Tabla alert_settings creada/verificada');
+  } catch (e) { log('warn', 'Migración alert_settings', { error: e.message }); }
+
+  // ========== MIGRACIÓN: webhooks salientes (2026-10-18) ==========
+  // Los flujos de n8n sondeaban la API. Ahora cada restaurante puede dar de
+  // alta URLs que reciben los eventos de negocio firmados (Standard Webhooks,
+  // el mismo formato que verificamos de Polar). `webhook_entregas` es a la vez
+  // cola de reintentos (estado 'pendiente' + proximo_intento) y registro de
+  // entregas. El secreto se guarda en claro: hace falta para firmar.
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS webhook_suscripciones (
+        id              SERIAL PRIMARY KEY,
+        restaurante_id  INTEGER      NOT NULL REFERENCES restaurantes(id) ON DELETE CASCADE,
+        url             TEXT         NOT NULL,
+        eventos         JSONB        NOT NULL DEFAULT '[]'::jsonb,
+        secreto         VARCHAR(100) NOT NULL,
+        descripcion     VARCHAR(255),
+        activo          BOOLEAN      NOT NULL DEFAULT TRUE,
+        creado_por      INTEGER,
+        created_at      TIMESTAMP    NOT NULL DEFAULT NOW(),
+        updated_at      TIMESTAMP    NOT NULL DEFAULT NOW(),
+        deleted_at      TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_webhook_suscripciones_rest
+        ON webhook_suscripciones (restaurante_id) WHERE deleted_at IS NULL;
+
+      CREATE TABLE IF NOT EXISTS webhook_entregas (
+        id              SERIAL PRIMARY KEY,
+        suscripcion_id  INTEGER      NOT NULL REFERENCES webhook_suscripciones(id) ON DELETE CASCADE,
+        restaurante_id  INTEGER      NOT NULL,
+        evento          VARCHAR(50)  NOT NULL,
+        msg_id          VARCHAR(64)  NOT NULL,
+        payload         JSONB        NOT NULL,
+        estado          VARCHAR(20)  NOT NULL DEFAULT 'pendiente',
+        intentos        INTEGER      NOT NULL DEFAULT 0,
+        proximo_intento TIMESTAMP    DEFAULT NOW(),
+        ultimo_status   INTEGER,
+        ultimo_error    TEXT,
+        respuesta       TEXT,
+        reenvio_de      INTEGER,
+        entregado_at    TIMESTAMP,
+        created_at      TIMESTAMP    NOT NULL DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_webhook_entregas_pendientes
+        ON webhook_entregas (proximo_intento) WHERE estado = 'pendiente';
+      CREATE INDEX IF NOT EXISTS idx_webhook_entregas_sus
+        ON webhook_entregas (suscripcion_id, created_at DESC);
+    `);
+    log('info', 'Tablas webhook_suscripciones/webhook_entregas creadas/verificadas');
+  } catch (e) { log('warn', 'Migración webhooks salientes', { error: e.message }); }
+
+  // ========== MIGRACIÓN: scopes y revocación de tokens de API (2026-10-18) ==========
+  // Los tokens de /auth/api-token eran JWT de acceso total y su hash no se
+  // consultaba nunca. Ahora cada token nuevo lleva un jti que authMiddleware
+  // busca en cada petición (revocación inmediata) y sus scopes. Las filas
+  // antiguas se quedan con jti/scopes NULL = '*' (todos los recursos de
+  // utils/apiScopes, que cubren toda la API salvo cuenta/sesión) hasta revocarlas.
+  try {
+    await pool.query(`
+      ALTER TABLE api_tokens ADD COLUMN IF NOT EXISTS jti VARCHAR(64);
+      ALTER TABLE api_tokens ADD COLUMN IF NOT EXISTS scopes JSONB;
+      ALTER TABLE api_tokens ADD COLUMN IF NOT EXISTS creado_por INTEGER;
+      ALTER TABLE api_tokens ADD COLUMN IF NOT EXISTS revocado_at TIMESTAMP;
+      ALTER TABLE api_tokens ADD COLUMN IF NOT EXISTS revocado_por INTEGER;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_api_tokens_jti
+        ON api_tokens (jti) WHERE jti IS NOT NULL;
+    `);
+    log('info', 'api_tokens: jti/scopes/revocado_at verificados');
+  } catch (e) { log('warn', 'Migración api_tokens scopes', { error: e.message }); }
+
+  // ========== MIGRACIÓN: sesiones persistentes (2026-10-18) ==========
+  // El logout metía el token en un Set en memoria y cada deploy (Dokploy
+  // reinicia en cada push a main) resucitaba las sesiones cerradas. Una fila
+  // por sesión (jti del JWT) con revocado_at; los tokens sin jti se guardan al
+  // revocarlos como 'h:' + sha256. usuarios.sesiones_revocadas_at = "cerrar
+  // todas" para los tokens que no tienen fila. Ver services/sessionService.
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS sesiones (
+        id                SERIAL PRIMARY KEY,
+        jti               VARCHAR(80)  NOT NULL UNIQUE,
+        usuario_id        INTEGER      REFERENCES usuarios(id) ON DELETE CASCADE,
+        restaurante_id    INTEGER,
+        ip                VARCHAR(64),
+        user_agent        VARCHAR(255),
+        created_at        TIMESTAMP    NOT NULL DEFAULT NOW(),
+        ultimo_uso        TIMESTAMP,
+        expires_at        TIMESTAMP,
+        revocado_at       TIMESTAMP,
+        motivo_revocacion VARCHAR(30)
+      );
+      CREATE INDEX IF NOT EXISTS idx_sesiones_usuario
+        ON sesiones (usuario_id) WHERE revocado_at IS NULL;
+      ALTER TABLE usuarios ADD COLUMN IF NOT EXISTS sesiones_revocadas_at TIMESTAMP;
+    `);
+    log('info', 'Tabla sesiones creada/verificada');
+  } catch (e) { log('warn', 'Migración sesiones', { error: e.message }); }
+
+  // ========== MIGRACIÓN: permisos por rol (2026-10-18) ==========
+  // usuario_restaurantes.rol sigue siendo el rol (admin, encargado, cocina,
+  // sala, contable, usuario, owner); los permisos de serie de cada rol están
+  // en utils/permisos.js. Esta tabla solo guarda los roles que un restaurante
+  // ha personalizado: la lista completa sustituye a la de serie.
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS permisos_rol (
+        restaurante_id INTEGER     NOT NULL REFERENCES restaurantes(id) ON DELETE CASCADE,
+        rol            VARCHAR(30) NOT NULL,
+        permisos       JSONB       NOT NULL DEFAULT '[]'::jsonb,
+        updated_by     INTEGER,
+        updated_at     TIMESTAMP   NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (restaurante_id, rol)
+      );
+    `);
+    log('info', 'Tabla permisos_rol creada/verificada');
+  } catch (e) { log('warn', 'Migración permisos_rol', { error: e.message }); }
+
+  // ========== MIGRACIÓN: cocina central — lotes de producción (2026-10-18) ==========
+  // Un lote consume los ingredientes BASE de una receta (salsa, fondo…) y deja
+  // en stock el producto intermedio, que es un ingrediente más del restaurante.
+  // `stock_deductions` es el snapshot de lo realmente descontado (mismo patrón
+  // que consumos_internos) para poder revertir el lote; `coste_unitario` es el
+  // coste del producto por su unidad y el precio por defecto al enviarlo.
+  // `transferencias_stock.precio_transferencia`: precio interno por unidad.
+  // NULL = traspaso sin precio (el de siempre); con precio, al aprobarse es
+  // una compra del destino en precios_compra_diarios.
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS lotes_produccion (
+        id                 SERIAL PRIMARY KEY,
+        restaurante_id     INTEGER       NOT NULL REFERENCES restaurantes(id),
+        receta_id          INTEGER,
+        receta_nombre      VARCHAR(255),
+        ingrediente_id     INTEGER       NOT NULL,
+        ingrediente_nombre VARCHAR(255),
+        porciones          NUMERIC(10,3) NOT NULL,
+        cantidad_producida NUMERIC(10,3) NOT NULL,
+        coste_total        NUMERIC(12,2) NOT NULL DEFAULT 0,
+        coste_unitario     NUMERIC(12,4) NOT NULL DEFAULT 0,
+        stock_deductions   JSONB,
+        nota               TEXT,
+        fecha              DATE          NOT NULL,
+        creado_por         INTEGER,
+        created_at         TIMESTAMP     DEFAULT CURRENT_TIMESTAMP,
+        deleted_at         TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_lotes_produccion_rest_fecha
+        ON lotes_produccion (restaurante_id, fecha);
+      CREATE INDEX IF NOT EXISTS idx_lotes_produccion_ingrediente
+        ON lotes_produccion (restaurante_id, ingrediente_id, id);
+      ALTER TABLE transferencias_stock ADD COLUMN IF NOT EXISTS precio_transferencia NUMERIC(12,4);
+      ALTER TABLE transferencias_stock ADD COLUMN IF NOT EXISTS lote_id INTEGER;
+    `);
+    log('info', 'Tabla lotes_produccion y precio de transferencia verificados');
+  } catch (e) { log('warn', 'Migración lotes_produccion', { error: e.message }); }
+
+  // ========== MIGRACIÓN: valoración de traspasos (2026-10-18) ==========
+  // Todo traspaso aprobado queda valorado: `coste_unitario` es el precio
+  // unitario canónico del ingrediente en el ORIGEN al valorarlo y
+  // `precio_transferencia` = coste × (1 + margen_pct/100). El margen por
+  // defecto lo fija cada restaurante que envía (`margen_traspaso_pct`).
+  try {
+    await pool.query(`
+      ALTER TABLE restaurantes ADD COLUMN IF NOT EXISTS margen_traspaso_pct NUMERIC(6,2) DEFAULT 0;
+      ALTER TABLE transferencias_stock ADD COLUMN IF NOT EXISTS coste_unitario NUMERIC(12,4);
+      ALTER TABLE transferencias_stock ADD COLUMN IF NOT EXISTS margen_pct NUMERIC(6,2);
+    `);
+    log('info', 'Valoración de traspasos verificada');
+  } catch (e) { log('warn', 'Migración valoración de traspasos', { error: e.message }); }
+
+  // ========== MIGRACIÓN: hilos del chat IA (2026-10-18) ==========
+  // El historial del chat vivía en el localStorage del navegador: al cerrar la
+  // pestaña se perdían los análisis. Hilos por usuario y restaurante, con sus
+  // mensajes (y la traza de tools de cada respuesta), tokens acumulados y
+  // compartición con otros miembros del mismo restaurante (solo lectura).
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS chat_threads (
+        id SERIAL PRIMARY KEY,
+        restaurante_id INTEGER NOT NULL REFERENCES restaurantes(id) ON DELETE CASCADE,
+        usuario_id INTEGER NOT NULL,
+        titulo VARCHAR(200) NOT NULL,
+        tokens_input INTEGER NOT NULL DEFAULT 0,
+        tokens_output INTEGER NOT NULL DEFAULT 0,
+        tokens_cache_read INTEGER NOT NULL DEFAULT 0,
+        tokens_cache_creation INTEGER NOT NULL DEFAULT 0,
+        num_mensajes INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        deleted_at TIMESTAMPTZ
+      );
+      CREATE INDEX IF NOT EXISTS idx_chat_threads_usuario
+        ON chat_threads (restaurante_id, usuario_id, updated_at DESC) WHERE deleted_at IS NULL;
+
+      CREATE TABLE IF NOT EXISTS chat_thread_mensajes (
+        id SERIAL PRIMARY KEY,
+        thread_id INTEGER NOT NULL REFERENCES chat_threads(id) ON DELETE CASCADE,
+        restaurante_id INTEGER NOT NULL REFERENCES restaurantes(id) ON DELETE CASCADE,
+        rol VARCHAR(10) NOT NULL,
+        contenido TEXT NOT NULL,
+        tool_calls JSONB,
+        tokens_input INTEGER,
+        tokens_output INTEGER,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_chat_thread_mensajes_thread
+        ON chat_thread_mensajes (thread_id, id);
+
+      CREATE TABLE IF NOT EXISTS chat_thread_compartidos (
+        thread_id INTEGER NOT NULL REFERENCES chat_threads(id) ON DELETE CASCADE,
+        restaurante_id INTEGER NOT NULL REFERENCES restaurantes(id) ON DELETE CASCADE,
+        usuario_id INTEGER NOT NULL,
+        compartido_por INTEGER,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        PRIMARY KEY (thread_id, usuario_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_chat_thread_compartidos_usuario
+        ON chat_thread_compartidos (restaurante_id, usuario_id);
+    `);
+    log('info', 'Tablas de hilos del chat verificadas');
+  } catch (e) { log('warn', 'Migración hilos del chat', { error: e.message }); }
+
+  // ========== MIGRACIÓN: acciones confirmadas del chat (2026-10-18) ==========
+  // Las tools de escritura del chat solo PROPONEN: devuelven un token firmado
+  // que el usuario confirma (POST /chat/acciones/confirmar). Cada token se
+  // ejecuta UNA vez: su jti es único aquí, y la fila guarda qué se hizo.
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS chat_acciones (
+        id SERIAL PRIMARY KEY,
+        jti VARCHAR(64) NOT NULL UNIQUE,
+        restaurante_id INTEGER NOT NULL REFERENCES restaurantes(id) ON DELETE CASCADE,
+        usuario_id INTEGER NOT NULL,
+        accion VARCHAR(40) NOT NULL,
+        params JSONB NOT NULL,
+        resultado JSONB,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_chat_acciones_restaurante
+        ON chat_acciones (restaurante_id, created_at DESC);
+    `);
+    log('info', 'Tabla chat_acciones verificada');
+  } catch (e) { log('warn', 'Migración chat_acciones', { error: e.message }); }
+
+  // ========== MIGRACIÓN: consumo de IA por restaurante (2026-10-18) ==========
+  // Una fila por llamada al LLM (services/llmProvider → aiUsageService): chat,
+  // Coach, informe mensual, PDF del TPV y OCR de albaranes. Es la base del
+  // coste por tenant del panel superadmin y de la cuota mensual por plan.
+  // restaurante_id NULL = llamada sin restaurante (no debería haber).
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS ai_usage (
+        id BIGSERIAL PRIMARY KEY,
+        restaurante_id INTEGER REFERENCES restaurantes(id) ON DELETE CASCADE,
+        feature VARCHAR(30) NOT NULL,
+        modelo VARCHAR(60) NOT NULL,
+        tokens_input INTEGER NOT NULL DEFAULT 0,
+        tokens_output INTEGER NOT NULL DEFAULT 0,
+        tokens_cache_read INTEGER NOT NULL DEFAULT 0,
+        tokens_cache_creation INTEGER NOT NULL DEFAULT 0,
+        coste_usd NUMERIC(12,6) NOT NULL DEFAULT 0,
+        ok BOOLEAN NOT NULL DEFAULT TRUE,
+        duracion_ms INTEGER,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_ai_usage_restaurante
+        ON ai_usage (restaurante_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_ai_usage_fecha ON ai_usage (created_at);
+    `);
+    log('info', 'Tabla ai_usage verificada');
+  } catch (e) { log('warn', 'Migración ai_usage', { error: e.message }); }
+
+  // ========== MIGRACIÓN: registro de jornada / fichajes (2026-10-18) ==========
+  // Registro diario de jornada obligatorio (art. 34.9 ET): hora de entrada y de
+  // salida reales de cada trabajador, conservadas 4 años. Hasta ahora solo
+  // existía `horarios` (lo planificado).
+  //
+  // - fichaje_terminales: el tablet/QR de fichar de cada restaurante. Solo se
+  //   guarda el sha256 del token; el token en claro se enseña una vez al crearlo.
+  // - empleados.pin_hash: PIN del empleado (bcrypt) para fichar en el terminal.
+  // - fichajes: un par entrada/salida. Nunca se borran: se corrigen con motivo
+  //   (editado_por/motivo_edicion + audit_log). Un único fichaje abierto por
+  //   empleado; el olvido de salida queda como incidencia 'sin_salida'.
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS fichaje_terminales (
+        id SERIAL PRIMARY KEY,
+        restaurante_id INTEGER NOT NULL REFERENCES restaurantes(id) ON DELETE CASCADE,
+        nombre VARCHAR(100) NOT NULL,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        creado_por INTEGER,
+        revocado_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+      ALTER TABLE empleados ADD COLUMN IF NOT EXISTS pin_hash VARCHAR(100);
+      CREATE TABLE IF NOT EXISTS fichajes (
+        id BIGSERIAL PRIMARY KEY,
+        restaurante_id INTEGER NOT NULL REFERENCES restaurantes(id) ON DELETE CASCADE,
+        empleado_id INTEGER NOT NULL REFERENCES empleados(id),
+        entrada TIMESTAMPTZ NOT NULL,
+        salida TIMESTAMPTZ,
+        origen VARCHAR(10) NOT NULL DEFAULT 'terminal',
+        terminal_id INTEGER REFERENCES fichaje_terminales(id) ON DELETE SET NULL,
+        incidencia VARCHAR(20),
+        editado_por INTEGER,
+        motivo_edicion TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        CONSTRAINT fichajes_origen_valido CHECK (origen IN ('terminal', 'manual')),
+        CONSTRAINT fichajes_salida_posterior CHECK (salida IS NULL OR salida >= entrada)
+      );
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_fichajes_abierto
+        ON fichajes (empleado_id) WHERE salida IS NULL AND incidencia IS NULL;
+      CREATE INDEX IF NOT EXISTS idx_fichajes_rest_entrada
+        ON fichajes (restaurante_id, entrada);
+    `);
+    log('info', 'Tablas de fichajes verificadas');
+  } catch (e) { log('warn', 'Migración fichajes', { error: e.message }); }
+
+  // ========== MIGRACIÓN: ausencias y vacaciones (2026-10-18) ==========
+  // Vacaciones, bajas y permisos con flujo de aprobación (utils/ausencias).
+  // Una ausencia aprobada bloquea que se planifiquen turnos en esos días
+  // (POST /horarios, copiar-semana y el generador). El saldo anual de
+  // vacaciones sale de empleados.dias_vacaciones_anuales (30 naturales, art.
+  // 38 ET, si la ficha no dice otra cosa). No se borran: se cancelan.
+  try {
+    await pool.query(`
+      ALTER TABLE empleados ADD COLUMN IF NOT EXISTS dias_vacaciones_anuales INTEGER DEFAULT 30;
+      CREATE TABLE IF NOT EXISTS ausencias (
+        id SERIAL PRIMARY KEY,
+        restaurante_id INTEGER NOT NULL REFERENCES restaurantes(id) ON DELETE CASCADE,
+        empleado_id INTEGER NOT NULL REFERENCES empleados(id) ON DELETE CASCADE,
+        tipo VARCHAR(30) NOT NULL,
+        fecha_inicio DATE NOT NULL,
+        fecha_fin DATE NOT NULL,
+        estado VARCHAR(15) NOT NULL DEFAULT 'pendiente',
+        motivo TEXT,
+        solicitada_por INTEGER,
+        resuelta_por INTEGER,
+        resuelta_at TIMESTAMPTZ,
+        comentario_resolucion TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        CONSTRAINT ausencias_rango_valido CHECK (fecha_fin >= fecha_inicio),
+        CONSTRAINT ausencias_estado_valido CHECK (estado IN ('pendiente', 'aprobada', 'rechazada', 'cancelada'))
+      );
+      CREATE INDEX IF NOT EXISTS idx_ausencias_rest_fechas
+        ON ausencias (restaurante_id, fecha_inicio, fecha_fin);
+      CREATE INDEX IF NOT EXISTS idx_ausencias_empleado ON ausencias (empleado_id, estado);
+    `);
+    log('info', 'Tabla ausencias verificada');
+  } catch (e) { log('warn', 'Migración ausencias', { error: e.message }); }
+
+  // ========== MIGRACIÓN: datos de nómina del empleado (2026-10-18) ==========
+  // Salario bruto mensual (por paga), pagas al año y SS de empresa (%) para la
+  // estimación de nómina (utils/nomina, GET /staff/payroll-estimate). NULL en
+  // salario = se sigue calculando con horas × coste_hora; NULL en SS = el %
+  // por defecto para quien tiene salario. `fecha_baja`: último día en
+  // plantilla, lo pone DELETE /empleados/:id; quien se va a mitad de mes
+  // sigue en la nómina de ese mes. Las bajas anteriores se quedan en NULL
+  // (fuera de cualquier mes, como hasta ahora). `fecha_alta`: primer día en
+  // plantilla (editable en la ficha); las fichas existentes parten de su
+  // created_at, que se corrige a mano si el empleado ya estaba antes.
+  try {
+    await pool.query(`
+      ALTER TABLE empleados ADD COLUMN IF NOT EXISTS salario_bruto_mensual NUMERIC(10, 2);
+      ALTER TABLE empleados ADD COLUMN IF NOT EXISTS num_pagas SMALLINT DEFAULT 14;
+      ALTER TABLE empleados ADD COLUMN IF NOT EXISTS ss_empresa_pct NUMERIC(5, 2);
+      ALTER TABLE empleados ADD COLUMN IF NOT EXISTS fecha_baja DATE;
+      ALTER TABLE empleados ADD COLUMN IF NOT EXISTS fecha_alta DATE;
+      UPDATE empleados SET fecha_alta = created_at::date WHERE fecha_alta IS NULL AND created_at IS NOT NULL;
+      ALTER TABLE empleados ALTER COLUMN fecha_alta SET DEFAULT CURRENT_DATE;
+    `);
+    log('info', 'Columnas de nómina de empleados verificadas');
+  } catch (e) { log('warn', 'Migración nómina empleados', { error: e.message }); }
+
+  // ========== MIGRACIÓN: presupuestos (2026-10-18) ==========
+  // Importe presupuestado por restaurante, mes y línea de la cuenta de
+  // resultados (utils/presupuesto). `categoria` solo se usa en la línea
+  // gastos_fijos ('' en el resto) para que la clave única no dependa de NULL.
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS presupuestos (
+        id SERIAL PRIMARY KEY,
+        restaurante_id INTEGER NOT NULL REFERENCES restaurantes(id) ON DELETE CASCADE,
+        anio SMALLINT NOT NULL,
+        mes SMALLINT NOT NULL,
+        linea VARCHAR(20) NOT NULL,
+        categoria VARCHAR(50) NOT NULL DEFAULT '',
+        importe NUMERIC(12, 2) NOT NULL DEFAULT 0,
+        actualizado_por INTEGER,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        CONSTRAINT presupuestos_mes_valido CHECK (mes BETWEEN 1 AND 12),
+        CONSTRAINT presupuestos_linea_unica UNIQUE (restaurante_id, anio, mes, linea, categoria)
+      );
+    `);
+    log('info', 'Tabla presupuestos verificada');
+  } catch (e) { log('warn', 'Migración presupuestos', { error: e.message }); }
+
+  // Fecha de baja de los gastos fijos, para que el real de un mes pasado
+  // (services/presupuestoService) cuente los que estaban vigentes entonces.
+  // Los dados de baja antes de esta columna usan su updated_at.
+  try {
+    await pool.query(`ALTER TABLE gastos_fijos ADD COLUMN IF NOT EXISTS fecha_baja DATE;`);
+    log('info', 'Columna fecha_baja de gastos_fijos verificada');
+  } catch (e) { log('warn', 'Migración fecha_baja gastos_fijos', { error: e.message }); }
+
   // ==========================================================================
   // RELLENO del onboarding para tenants que YA tenían datos.
   //
@@ -9,7 +9,11 @@ class Alert {
         HIGH_FOOD_COST: 'high_food_cost',
         LOW_STOCK: 'low_stock',
         PRICE_INCREASE: 'price_increase',
-        COST_DEVIATION: 'cost_deviation'
+        COST_DEVIATION: 'cost_deviation',
+        // 2026-10-18: tipos que dispara el motor de eventos (AlertService.evaluate)
+        WASTE_SPIKE: 'waste_spike',
+        INVENTORY_DIFFERENCE: 'inventory_difference',
+        PRICE_DRIFT: 'price_drift'
     };
 
     static SEVERITIES = {
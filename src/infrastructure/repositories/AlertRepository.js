@@ -64,6 +64,22 @@ class AlertRepository {
         return result.rows.map(row => new Alert(row));
     }
 
+    /**
+     * Alertas abiertas (activas o vistas) de un tipo. Para deduplicar en lote:
+     * una alerta vista sigue abierta y no debe volver a crearse.
+     */
+    async findOpenByType(alertType, restaurantId) {
+        const query = `
+            SELECT * FROM alerts
+            WHERE restaurant_id = $1
+              AND type = $2
+              AND status IN ('active', 'acknowledged')
+        `;
+
+        const result = await this.pool.query(query, [restaurantId, alertType]);
+        return result.rows.map(row => new Alert(row));
+    }
+
     async acknowledge(alertId, userId, restaurantId) {
         const query = `
             UPDATE alerts
@@ -3,6 +3,7 @@
  */
 
 const AlertService = require('../../../application/services/AlertService');
+const { logChange } = require('../../../utils/auditLog');
 
 class AlertController {
     /**
@@ -123,6 +124,63 @@ class AlertController {
             next(error);
         }
     }
+
+    /**
+     * GET /api/v2/alerts/settings
+     * Umbrales efectivos del restaurante (los suyos sobre los por defecto)
+     */
+    static async getSettings(req, res, next) {
+        try {
+            const alertService = new AlertService();
+            const settings = await alertService.getSettings(req.restauranteId);
+
+            res.json({
+                success: true,
+                data: settings
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * PUT /api/v2/alerts/settings
+     * Body: { thresholds: { marginLow?, ..., disabledTypes? } } — cambio parcial;
+     * null devuelve un umbral a su valor por defecto.
+     */
+    static async updateSettings(req, res, next) {
+        try {
+            const restaurante_id = req.restauranteId;
+            const alertService = new AlertService();
+
+            const result = await alertService.updateSettings(
+                restaurante_id, req.body?.thresholds, req.user?.userId || null
+            );
+
+            if (result.error) {
+                return res.status(400).json({
+                    success: false,
+                    error: { code: 'VALIDATION_ERROR', message: result.error }
+                });
+            }
+
+            logChange(alertService.pool, {
+                req,
+                tabla: 'alert_settings',
+                operacion: 'UPDATE',
+                registroId: restaurante_id,
+                datosAntes: result.before,
+                datosDespues: result.settings.overrides
+            });
+
+            res.json({
+                success: true,
+                data: result.settings
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
 }
 
 module.exports = AlertController;
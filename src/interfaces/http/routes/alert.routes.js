@@ -4,6 +4,7 @@
 
 const router = require('express').Router();
 const AlertController = require('../controllers/AlertController');
+const { requireAdmin } = require('../../../middleware/auth');
 
 // GET /api/v2/alerts - Listar alertas activas
 router.get('/', AlertController.list);
@@ -11,6 +12,12 @@ router.get('/', AlertController.list);
 // GET /api/v2/alerts/stats - Estadísticas
 router.get('/stats', AlertController.getStats);
 
+// GET /api/v2/alerts/settings - Umbrales del restaurante
+router.get('/settings', AlertController.getSettings);
+
+// PUT /api/v2/alerts/settings - Cambiar umbrales (solo admin)
+router.put('/settings', requireAdmin, AlertController.updateSettings);
+
 // POST /api/v2/alerts/:id/acknowledge - Marcar como vista
 router.post('/:id/acknowledge', AlertController.acknowledge);
 
@@ -3,8 +3,13 @@
  * Extraído de server.js para modularización
  */
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
 const Sentry = require('@sentry/node');
+const { scopeRequerido, tieneScope } = require('../utils/apiScopes');
+const { sesionRevocada } = require('../services/sessionService');
+const { permisosDeUsuario, rolActual } = require('../services/permissionService');
 
 const JWT_SECRET = process.env.JWT_SECRET;
 if (!JWT_SECRET) {
@@ -19,27 +24,6 @@ const log = (level, message, data = {}) => {
     console.log(JSON.stringify({ timestamp: new Date().toISOString(), level, message, ...data }));
 };
 
-// ========== 🔒 TOKEN BLACKLIST ==========
-// In-memory blacklist for invalidated tokens (on logout)
-const tokenBlacklist = new Set();
-
-// Auto-cleanup: remove expired tokens every 15 minutes to prevent memory leak
-const cleanupInterval = setInterval(() => {
-    let cleaned = 0;
-    for (const token of tokenBlacklist) {
-        try {
-            jwt.verify(token, JWT_SECRET, { algorithms: ['HS256'] });
-        } catch {
-            tokenBlacklist.delete(token);
-            cleaned++;
-        }
-    }
-    if (cleaned > 0) {
-        log('info', `Token blacklist cleanup: removed ${cleaned} expired tokens, ${tokenBlacklist.size} remaining`);
-    }
-}, 15 * 60 * 1000);
-cleanupInterval.unref(); // Don't prevent process exit
-
 const authMiddleware = (req, res, next) => {
     let token = req.cookies?.auth_token;
 
@@ -62,15 +46,6 @@ const authMiddleware = (req, res, next) => {
         });
     }
 
-    // Check if token has been invalidated (logout)
-    if (tokenBlacklist.has(token)) {
-        log('warn', 'Auth fallido: Token revocado (logout)', { url: req.originalUrl });
-        return res.status(401).json({
-            error: 'Sesión cerrada. Por favor, vuelve a iniciar sesión.',
-            code: 'TOKEN_REVOKED'
-        });
-    }
-
     try {
         const decoded = jwt.verify(token, JWT_SECRET, { algorithms: ['HS256'] });
         req.user = decoded;
@@ -83,7 +58,11 @@ const authMiddleware = (req, res, next) => {
             restauranteId: decoded.restauranteId
         });
 
-        next();
+        if (decoded.tipo === 'api_token') {
+            return verificarTokenApi(req, res, next, token, decoded);
+        }
+
+        return verificarSesion(req, res, next, token, decoded);
     } catch (error) {
         log('warn', 'Auth fallido: Token inválido', {
             error: error.message,
@@ -107,15 +86,139 @@ const authMiddleware = (req, res, next) => {
     }
 };
 
-const requireAdmin = (req, res, next) => {
-    if (!req.user || (req.user.rol !== 'admin' && req.user.rol !== 'api' && req.user.rol !== 'owner')) {
+// ========== 🔒 SESIONES REVOCADAS ==========
+// Logout, "cerrar todas" y el reset de contraseña revocan en la tabla
+// `sesiones` (services/sessionService), que sobrevive a reinicios y es común
+// a todas las instancias. Antes era un Set en memoria.
+async function verificarSesion(req, res, next, token, decoded) {
+    const pool = req.app?.locals?.pool;
+    if (pool && await sesionRevocada(pool, token, decoded)) {
+        log('warn', 'Auth fallido: Token revocado (logout)', { url: req.originalUrl });
+        return res.status(401).json({
+            error: 'Sesión cerrada. Por favor, vuelve a iniciar sesión.',
+            code: 'TOKEN_REVOKED'
+        });
+    }
+    next();
+}
+
+// ========== 🔑 TOKENS DE API ==========
+// Un JWT firmado no basta para un token de API: se emiten a un año vista y
+// hay que poder revocarlos ya. Cada petición comprueba la fila de api_tokens
+// (revocado_at, expires_at) y el scope que pide la ruta (utils/apiScopes).
+// El pool llega por app.locals, como en planGate.
+//
+// Los tokens emitidos antes de 2026-10-18 no llevan jti: se localizan por el
+// hash bcrypt de sus últimos 20 caracteres (lo único que se guardó) y tienen
+// scope '*'. La comparación bcrypt se hace una vez; después se recuerda qué
+// fila es, pero su estado se sigue leyendo en cada petición.
+const filaTokenLegado = new Map(); // sha256(token) → api_tokens.id
+const MAX_CACHE_LEGADO = 1000;
+
+async function buscarTokenApi(pool, token, decoded) {
+    if (decoded.jti) {
+        const { rows } = await pool.query(
+            `SELECT id, scopes, revocado_at, expires_at FROM api_tokens
+             WHERE jti = $1 AND restaurante_id = $2`,
+            [decoded.jti, decoded.restauranteId]
+        );
+        return rows[0] || null;
+    }
+
+    const clave = crypto.createHash('sha256').update(token).digest('hex');
+    const id = filaTokenLegado.get(clave);
+    if (id) {
+        const { rows } = await pool.query(
+            `SELECT id, scopes, revocado_at, expires_at FROM api_tokens
+             WHERE id = $1 AND restaurante_id = $2`,
+            [id, decoded.restauranteId]
+        );
+        return rows[0] || null;
+    }
+
+    const { rows } = await pool.query(
+        `SELECT id, token_hash, scopes, revocado_at, expires_at FROM api_tokens
+         WHERE restaurante_id = $1 AND jti IS NULL AND revocado_at IS NULL`,
+        [decoded.restauranteId]
+    );
+    for (const fila of rows) {
+        if (await bcrypt.compare(token.slice(-20), fila.token_hash)) {
+            if (filaTokenLegado.size >= MAX_CACHE_LEGADO) filaTokenLegado.clear();
+            filaTokenLegado.set(clave, fila.id);
+            return fila;
+        }
+    }
+    return null;
+}
+
+async function verificarTokenApi(req, res, next, token, decoded) {
+    const pool = req.app?.locals?.pool;
+    if (!pool) {
+        log('error', 'Auth token API: pool no disponible en app.locals');
+        return res.status(503).json({ error: 'Servicio no disponible' });
+    }
+    try {
+        const fila = await buscarTokenApi(pool, token, decoded);
+        if (!fila || fila.revocado_at || (fila.expires_at && new Date(fila.expires_at) <= new Date())) {
+            log('warn', 'Auth fallido: token de API revocado o desconocido', { url: req.originalUrl });
+            return res.status(401).json({ error: 'Token de API revocado', code: 'TOKEN_REVOKED' });
+        }
+
+        const scopes = Array.isArray(fila.scopes) ? fila.scopes : ['*'];
+        const requerido = scopeRequerido(req.method, req.originalUrl);
+        if (!tieneScope(scopes, requerido)) {
+            log('warn', 'Token de API sin scope', { url: req.originalUrl, requerido, tokenId: fila.id });
+            return res.status(403).json({
+                error: requerido ? `El token no tiene el scope ${requerido}` : 'Ruta no disponible para tokens de API',
+                code: 'INSUFFICIENT_SCOPE',
+                requiredScope: requerido
+            });
+        }
+
+        req.apiToken = { id: fila.id, scopes };
+        // Como mucho una escritura por minuto y token; no bloquea la petición.
+        pool.query(
+            `UPDATE api_tokens SET ultimo_uso = NOW()
+             WHERE id = $1 AND restaurante_id = $2 AND (ultimo_uso IS NULL OR ultimo_uso < NOW() - INTERVAL '1 minute')`,
+            [fila.id, decoded.restauranteId]
+        ).catch(err => log('warn', 'No se pudo actualizar ultimo_uso del token de API', { error: err.message }));
+
+        next();
+    } catch (err) {
+        log('error', 'Error verificando token de API', { error: err.message });
+        res.status(500).json({ error: 'Error interno' });
+    }
+}
+
+// Como requirePermission, el rol se lee de usuario_restaurantes (caché de
+// permissionService) y no del JWT: un admin degradado con PUT /team/:id/rol
+// deja de serlo ya, no cuando caduque su token. Los tokens de API pasan: su
+// scope ya lo ha comprobado authMiddleware.
+const requireAdmin = async (req, res, next) => {
+    const denegar = (rol) => {
         log('warn', 'Acceso denegado a ruta protegida', {
             user: req.user ? req.user.email : 'anon',
+            rol,
             url: req.originalUrl
         });
         return res.status(403).json({ error: 'Acceso denegado: Requiere rol de Administrador' });
+    };
+    if (!req.user) return denegar(null);
+    if (req.user.tipo === 'api_token') return next();
+
+    const pool = req.app?.locals?.pool;
+    if (!pool) {
+        log('error', 'requireAdmin: pool no disponible en app.locals');
+        return res.status(503).json({ error: 'Servicio no disponible' });
+    }
+    try {
+        const rol = await rolActual(pool, req.user.userId, req.restauranteId, req.user.rol);
+        if (rol !== 'admin' && rol !== 'owner') return denegar(rol);
+        next();
+    } catch (err) {
+        log('error', 'Error comprobando rol de administrador', { error: err.message });
+        res.status(500).json({ error: 'Error interno' });
     }
-    next();
 };
 
 const requireOwner = (req, res, next) => {
@@ -129,6 +232,40 @@ const requireOwner = (req, res, next) => {
     next();
 };
 
+// Permiso de la ruta según el rol ACTUAL del usuario en el restaurante
+// (utils/permisos + services/permissionService). Los tokens de API pasan:
+// ya los ha filtrado su scope en authMiddleware.
+const requirePermission = (permiso) => async (req, res, next) => {
+    if (!req.user) {
+        return res.status(403).json({ error: 'Acceso denegado', code: 'FORBIDDEN' });
+    }
+    if (req.user.tipo === 'api_token') return next();
+
+    const pool = req.app?.locals?.pool;
+    if (!pool) {
+        log('error', 'requirePermission: pool no disponible en app.locals');
+        return res.status(503).json({ error: 'Servicio no disponible' });
+    }
+    try {
+        const { rol, permisos } = await permisosDeUsuario(pool, req.user.userId, req.restauranteId, req.user.rol);
+        if (!permisos.includes(permiso)) {
+            log('warn', 'Acceso denegado por permiso', {
+                user: req.user.email, rol, permiso, url: req.originalUrl
+            });
+            return res.status(403).json({
+                error: `Acceso denegado: tu rol (${rol || 'sin rol'}) no tiene el permiso ${permiso}`,
+                code: 'FORBIDDEN',
+                permiso
+            });
+        }
+        req.permisos = permisos;
+        next();
+    } catch (err) {
+        log('error', 'Error comprobando permisos', { error: err.message, permiso });
+        res.status(500).json({ error: 'Error interno' });
+    }
+};
+
 const requireSuperAdmin = (req, res, next) => {
     if (!req.user || !req.user.isSuperAdmin) {
         log('warn', 'Acceso denegado: requiere superadmin', {
@@ -140,4 +277,4 @@ const requireSuperAdmin = (req, res, next) => {
     next();
 };
 
-module.exports = { authMiddleware, requireAdmin, requireOwner, requireSuperAdmin, tokenBlacklist };
+module.exports = { authMiddleware, requireAdmin, requireOwner, requireSuperAdmin, requirePermission };
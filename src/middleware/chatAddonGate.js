@@ -23,6 +23,10 @@
  *
  * Por qué reset perezoso (no cron): al primer acceso post-reset_at+30d el
  * middleware detecta y resetea. Sin dependencias adicionales.
+ *
+ * (2026-10-18) Por encima de esta cuota hay otra, en USD y por plan, que cubre
+ * TODAS las features de IA (services/aiUsageService, la aplica llmProvider):
+ * esta es la que ve el cliente; aquella es el techo de coste.
  */
 
 const { log } = require('../utils/logger');
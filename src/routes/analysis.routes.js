@@ -3,7 +3,7 @@
  * Menu engineering analysis (BCG matrix)
  */
 const { Router } = require('express');
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const { costlyApiLimiter } = require('../middleware/rateLimit');
 // 2026-06-08: requirePlan retirado. El gating ahora es global en server.js
 // (modelo single-plan: Self/Pro con misma funcionalidad).
@@ -35,7 +35,7 @@ module.exports = function (pool) {
         res.set('Expires', '0');
     }
 
-    router.get('/analysis/menu-engineering', costlyApiLimiter, authMiddleware, async (req, res) => {
+    router.get('/analysis/menu-engineering', costlyApiLimiter, authMiddleware, requirePermission('finance:read'), async (req, res) => {
         try {
             setNoCache(res);
             const resultado = await getMenuEngineering(pool, req.restauranteId, {
@@ -57,7 +57,7 @@ module.exports = function (pool) {
      *   2. Amplitud de gama: distribución % en baja/media/alta. Ideal 25/50/25.
      *   3. Relación calidad-precio: precio_medio_vendido / precio_medio_ofertado. Ideal 0.95-1.05.
      */
-    router.get('/analysis/omnes', costlyApiLimiter, authMiddleware, async (req, res) => {
+    router.get('/analysis/omnes', costlyApiLimiter, authMiddleware, requirePermission('finance:read'), async (req, res) => {
         try {
             setNoCache(res);
             const resultado = await getOmnesAnalysis(pool, req.restauranteId, {
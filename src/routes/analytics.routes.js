@@ -13,11 +13,13 @@
  */
 
 const { Router } = require('express');
-const { authMiddleware, requireAdmin } = require('../middleware/auth');
+const { authMiddleware, requireAdmin, requirePermission } = require('../middleware/auth');
 const { costlyApiLimiter } = require('../middleware/rateLimit');
 const { log } = require('../utils/logger');
 const { getBackendIngredientUnitPrice, getRecipeCostBase } = require('../utils/businessHelpers');
 const { beverageCategoriesSqlList, otherCategoriesSqlList } = require('../utils/categoriaClassifier');
+const recipeCostHistoryService = require('../services/recipeCostHistoryService');
+const { foodCostPeriodo } = require('../services/finanzasMesService');
 
 function defaultMesActual() {
     const today = new Date();
@@ -239,6 +241,9 @@ module.exports = function (pool) {
                         );
                         inserted += r.rowCount || 0;
                     }
+                    // Versionar el coste de las recetas con los precios que se acaban
+                    // de aplicar (solo inserta las que cambiaron desde la última foto).
+                    await recipeCostHistoryService.registrarCostesRecetas(client, req.restauranteId, { origen: 'recalculate-cogs' });
                     await client.query('COMMIT');
                 } catch (err) {
                     await client.query('ROLLBACK');
@@ -308,7 +313,7 @@ module.exports = function (pool) {
      * Breaks down ingresos + cogs + food_cost_pct by category bucket:
      *   food / beverage / otros / total.
      */
-    router.get('/analytics/pnl-breakdown', authMiddleware, async (req, res) => {
+    router.get('/analytics/pnl-breakdown', authMiddleware, requirePermission('finance:read'), async (req, res) => {
         try {
             let { desde, hasta } = req.query;
             if (!desde || !hasta) {
@@ -374,7 +379,7 @@ module.exports = function (pool) {
      * Legacy endpoint — returns total food_cost_pct (mixes food + beverage).
      * Prefer /analytics/pnl-breakdown for separated buckets.
      */
-    router.get('/analytics/food-cost', authMiddleware, async (req, res) => {
+    router.get('/analytics/food-cost', authMiddleware, requirePermission('finance:read'), async (req, res) => {
         try {
             let { desde, hasta } = req.query;
             if (!desde || !hasta) {
@@ -382,23 +387,9 @@ module.exports = function (pool) {
                 if (!desde) desde = def.desde;
                 if (!hasta) hasta = def.hasta;
             }
-            const { rows } = await pool.query(
-                `SELECT
-                     COALESCE(SUM(total_ingresos), 0)::numeric(14,2) AS ingresos,
-                     COALESCE(SUM(coste_ingredientes), 0)::numeric(14,2) AS cogs,
-                     COALESCE(SUM(beneficio_bruto), 0)::numeric(14,2) AS margen
-                 FROM ventas_diarias_resumen
-                 WHERE restaurante_id = $1 AND fecha >= $2 AND fecha < $3`,
-                [req.restauranteId, desde, hasta]
-            );
-            const ingresos = parseFloat(rows[0].ingresos) || 0;
-            const cogs = parseFloat(rows[0].cogs) || 0;
-            const margen = parseFloat(rows[0].margen) || 0;
-            const food_cost_pct = ingresos > 0 ? (cogs / ingresos) * 100 : 0;
             res.json({
                 periodo: { desde, hasta },
-                ingresos, cogs, margen,
-                food_cost_pct: Math.round(food_cost_pct * 100) / 100
+                ...(await foodCostPeriodo(pool, req.restauranteId, desde, hasta))
             });
         } catch (err) {
             log('error', 'Error en /analytics/food-cost', { error: err.message });
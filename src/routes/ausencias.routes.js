@@ -0,0 +1,369 @@
+/**
+ * ausencias Routes — vacaciones, bajas y permisos del personal.
+ *
+ * Flujo y reglas en utils/ausencias. Aprobar pide staff:approve (no basta con
+ * editar el cuadrante). Una ausencia aprobada bloquea turnos en esos días: si
+ * ya había turnos planificados, aprobar devuelve 409 con la lista salvo que se
+ * pida `retirar_turnos` — nada se borra del cuadrante sin que el encargado lo
+ * vea.
+ */
+const { Router } = require('express');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { log } = require('../utils/logger');
+const { sanitizeString, validateId, validateEnum } = require('../utils/validators');
+const { logChange } = require('../utils/auditLog');
+const {
+    TIPOS_AUSENCIA,
+    ESTADOS_AUSENCIA,
+    ESTADOS_ACTIVOS,
+    diasSolapados,
+    diasEnAnio,
+    saldoVacaciones,
+    describirAusencia
+} = require('../utils/ausencias');
+
+/** Una ausencia de más de un año seguido no es una ausencia: es un error. */
+const MAX_DIAS_AUSENCIA = 366;
+
+/** 'YYYY-MM-DD' de calendario real; null si no lo es. */
+function fechaIso(valor) {
+    if (typeof valor !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(valor)) return null;
+    const d = new Date(`${valor}T00:00:00Z`);
+    return !isNaN(d.getTime()) && d.toISOString().slice(0, 10) === valor ? valor : null;
+}
+
+// Columnas de una ausencia con las fechas como texto (DATE → Date de JS
+// movería el día con la zona horaria del servidor).
+const COLUMNAS_AUSENCIA = `a.id, a.empleado_id, a.tipo, a.estado, a.motivo,
+                    a.fecha_inicio::text AS fecha_inicio, a.fecha_fin::text AS fecha_fin,
+                    a.solicitada_por, a.resuelta_por, a.resuelta_at, a.comentario_resolucion,
+                    a.created_at`;
+
+/**
+ * @param {Pool} pool - PostgreSQL connection pool
+ */
+module.exports = function (pool) {
+    const router = Router();
+
+    /** Ausencias de vacaciones activas del empleado que tocan esos años. */
+    async function vacacionesActivas(db, restauranteId, empleadoId, anios) {
+        const { rows } = await db.query(
+            `SELECT ${COLUMNAS_AUSENCIA}
+             FROM ausencias a
+             WHERE a.restaurante_id = $1 AND a.empleado_id = $2 AND a.tipo = 'vacaciones'
+               AND a.estado = ANY($3::text[])
+               AND a.fecha_fin >= make_date($4, 1, 1) AND a.fecha_inicio <= make_date($5, 12, 31)`,
+            [restauranteId, empleadoId, ESTADOS_ACTIVOS, Math.min(...anios), Math.max(...anios)]
+        );
+        return rows;
+    }
+
+    /** Turnos del empleado planificados dentro de la ausencia. */
+    async function turnosEnAusencia(db, restauranteId, ausencia) {
+        const { rows } = await db.query(
+            `SELECT id, fecha::text AS fecha, tramo,
+                    to_char(hora_inicio, 'HH24:MI') AS hora_inicio,
+                    to_char(hora_fin, 'HH24:MI') AS hora_fin
+             FROM horarios
+             WHERE restaurante_id = $1 AND empleado_id = $2 AND fecha BETWEEN $3 AND $4
+             ORDER BY fecha, tramo`,
+            [restauranteId, ausencia.empleado_id, ausencia.fecha_inicio, ausencia.fecha_fin]
+        );
+        return rows;
+    }
+
+    async function retirarTurnos(db, restauranteId, ausencia) {
+        const { rowCount } = await db.query(
+            `DELETE FROM horarios
+             WHERE restaurante_id = $1 AND empleado_id = $2 AND fecha BETWEEN $3 AND $4`,
+            [restauranteId, ausencia.empleado_id, ausencia.fecha_inicio, ausencia.fecha_fin]
+        );
+        return rowCount;
+    }
+
+    // GET ausencias (filtros: rango que se solapa, empleado, estado)
+    router.get('/ausencias', authMiddleware, requirePermission('staff:read'), async (req, res) => {
+        try {
+            const condiciones = ['a.restaurante_id = $1'];
+            const params = [req.restauranteId];
+            const desde = req.query.desde !== undefined ? fechaIso(req.query.desde) : null;
+            const hasta = req.query.hasta !== undefined ? fechaIso(req.query.hasta) : null;
+            if ((req.query.desde !== undefined && !desde) || (req.query.hasta !== undefined && !hasta)) {
+                return res.status(400).json({ error: 'desde/hasta deben ser YYYY-MM-DD' });
+            }
+            if (desde) { params.push(desde); condiciones.push(`a.fecha_fin >= $${params.length}`); }
+            if (hasta) { params.push(hasta); condiciones.push(`a.fecha_inicio <= $${params.length}`); }
+            if (req.query.empleado_id !== undefined) {
+                const idCheck = validateId(req.query.empleado_id);
+                if (!idCheck.valid) return res.status(400).json({ error: 'empleado_id inválido' });
+                params.push(idCheck.value);
+                condiciones.push(`a.empleado_id = $${params.length}`);
+            }
+            if (req.query.estado !== undefined) {
+                const chk = validateEnum(req.query.estado, ESTADOS_AUSENCIA, 'estado');
+                if (!chk.valid) return res.status(400).json({ error: chk.error });
+                params.push(chk.value);
+                condiciones.push(`a.estado = $${params.length}`);
+            }
+
+            const { rows } = await pool.query(
+                `SELECT ${COLUMNAS_AUSENCIA}, e.nombre AS empleado_nombre
+                 FROM ausencias a
+                 JOIN empleados e ON e.id = a.empleado_id AND e.restaurante_id = a.restaurante_id
+                 WHERE ${condiciones.join(' AND ')}
+                 ORDER BY a.fecha_inicio DESC, a.id DESC`,
+                params
+            );
+            res.json(rows);
+        } catch (err) {
+            log('error', 'Error obteniendo ausencias', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // POST solicitar / registrar una ausencia.
+    //
+    // Vacaciones: no puede pasar del saldo del año (contando las pendientes).
+    // Bajas: nacen aprobadas; si ya había turnos, vuelven en `turnos_afectados`
+    // (o se retiran con `retirar_turnos: true`).
+    router.post('/ausencias', authMiddleware, requirePermission('staff:write'), async (req, res) => {
+        const idCheck = validateId(req.body?.empleado_id);
+        if (!idCheck.valid) return res.status(400).json({ error: 'empleado_id inválido' });
+        const tipoCheck = validateEnum(req.body?.tipo, Object.keys(TIPOS_AUSENCIA), 'tipo');
+        if (!tipoCheck.valid) return res.status(400).json({ error: tipoCheck.error });
+        const tipo = tipoCheck.value;
+        const inicio = fechaIso(req.body?.fecha_inicio);
+        const fin = fechaIso(req.body?.fecha_fin ?? req.body?.fecha_inicio);
+        if (!inicio || !fin) return res.status(400).json({ error: 'fecha_inicio y fecha_fin deben ser YYYY-MM-DD' });
+        if (fin < inicio) return res.status(400).json({ error: 'fecha_fin no puede ser anterior a fecha_inicio' });
+        if (diasSolapados(inicio, fin, inicio, fin) > MAX_DIAS_AUSENCIA) {
+            return res.status(400).json({ error: `Una ausencia no puede pasar de ${MAX_DIAS_AUSENCIA} días` });
+        }
+        const motivo = sanitizeString(req.body?.motivo, 1000);
+        const anioInicio = Number(inicio.slice(0, 4));
+        const anioFin = Number(fin.slice(0, 4));
+
+        // Solape y saldo se comprueban en la MISMA transacción que el INSERT y
+        // con la fila del empleado bloqueada: dos peticiones a la vez para la
+        // misma persona no pueden pasar las dos con el mismo saldo.
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const emp = await client.query(
+                `SELECT id, nombre, dias_vacaciones_anuales FROM empleados
+                 WHERE id = $1 AND restaurante_id = $2
+                 FOR UPDATE`,
+                [idCheck.value, req.restauranteId]
+            );
+            if (emp.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({ error: 'Empleado no encontrado' });
+            }
+            const empleado = emp.rows[0];
+
+            const solape = await client.query(
+                `SELECT ${COLUMNAS_AUSENCIA}
+                 FROM ausencias a
+                 WHERE a.restaurante_id = $1 AND a.empleado_id = $2 AND a.estado = ANY($3::text[])
+                   AND a.fecha_inicio <= $5 AND a.fecha_fin >= $4
+                 LIMIT 1`,
+                [req.restauranteId, empleado.id, ESTADOS_ACTIVOS, inicio, fin]
+            );
+            if (solape.rows.length > 0) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({
+                    error: `Se solapa con otra ausencia: ${describirAusencia(solape.rows[0])} (${solape.rows[0].estado})`,
+                    ausencia: solape.rows[0]
+                });
+            }
+
+            if (TIPOS_AUSENCIA[tipo].descuentaVacaciones) {
+                const anios = anioFin === anioInicio ? [anioInicio] : [anioInicio, anioFin];
+                const activas = await vacacionesActivas(client, req.restauranteId, empleado.id, anios);
+                for (const anio of anios) {
+                    const saldo = saldoVacaciones({ diasAnuales: empleado.dias_vacaciones_anuales ?? undefined, ausencias: activas, anio });
+                    const pide = diasEnAnio(inicio, fin, anio);
+                    if (pide > saldo.disponibles) {
+                        await client.query('ROLLBACK');
+                        return res.status(400).json({
+                            error: `Pide ${pide} días de vacaciones en ${anio} y le quedan ${saldo.disponibles}`,
+                            saldo
+                        });
+                    }
+                }
+            }
+
+            const estado = TIPOS_AUSENCIA[tipo].requiereAprobacion ? 'pendiente' : 'aprobada';
+            const { rows } = await client.query(
+                `INSERT INTO ausencias (restaurante_id, empleado_id, tipo, fecha_inicio, fecha_fin, estado, motivo,
+                                        solicitada_por, resuelta_por, resuelta_at)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                 RETURNING id, empleado_id, tipo, estado, motivo, fecha_inicio::text AS fecha_inicio,
+                           fecha_fin::text AS fecha_fin, created_at`,
+                [req.restauranteId, empleado.id, tipo, inicio, fin, estado, motivo, req.user?.userId || null,
+                    estado === 'aprobada' ? req.user?.userId || null : null, estado === 'aprobada' ? new Date() : null]
+            );
+            const ausencia = rows[0];
+            let turnos = [];
+            let retirados = 0;
+            if (estado === 'aprobada') {
+                turnos = await turnosEnAusencia(client, req.restauranteId, ausencia);
+                if (turnos.length > 0 && req.body?.retirar_turnos === true) {
+                    retirados = await retirarTurnos(client, req.restauranteId, ausencia);
+                }
+            }
+            await client.query('COMMIT');
+
+            logChange(pool, {
+                req, tabla: 'ausencias', operacion: 'INSERT',
+                registroId: ausencia.id, datosAntes: null, datosDespues: { ...ausencia, turnos_retirados: retirados }
+            });
+            log('info', 'Ausencia registrada', { id: ausencia.id, empleado: empleado.id, tipo, estado });
+
+            res.status(201).json({
+                ...ausencia,
+                turnos_afectados: retirados > 0 ? [] : turnos,
+                turnos_retirados: retirados
+            });
+        } catch (err) {
+            await client.query('ROLLBACK').catch(() => {});
+            log('error', 'Error registrando ausencia', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        } finally {
+            client.release();
+        }
+    });
+
+    /**
+     * Cambia el estado de una ausencia si parte de uno de `desde`. Al aprobar,
+     * los turnos ya planificados en esas fechas bloquean (409) salvo
+     * `retirar_turnos: true`, que los borra en la misma transacción.
+     * `resuelve`: apunta quién y cuándo (aprobar/rechazar; cancelar no).
+     */
+    async function resolver(req, res, { desde, hacia, resuelve }) {
+        const idCheck = validateId(req.params.id);
+        if (!idCheck.valid) return res.status(400).json({ error: 'ID inválido' });
+        const comentario = sanitizeString(req.body?.comentario, 1000);
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const prev = await client.query(
+                `SELECT ${COLUMNAS_AUSENCIA} FROM ausencias a
+                 WHERE a.id = $1 AND a.restaurante_id = $2
+                 FOR UPDATE`,
+                [idCheck.value, req.restauranteId]
+            );
+            const antes = prev.rows[0];
+            if (!antes) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({ error: 'Ausencia no encontrada' });
+            }
+            if (!desde.includes(antes.estado)) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ error: `No se puede pasar de '${antes.estado}' a '${hacia}'` });
+            }
+
+            let retirados = 0;
+            if (hacia === 'aprobada') {
+                const turnos = await turnosEnAusencia(client, req.restauranteId, antes);
+                if (turnos.length > 0 && req.body?.retirar_turnos !== true) {
+                    await client.query('ROLLBACK');
+                    return res.status(409).json({
+                        error: `Tiene ${turnos.length} turno(s) planificado(s) en esas fechas. Reasígnalos o aprueba con retirar_turnos.`,
+                        turnos
+                    });
+                }
+                if (turnos.length > 0) retirados = await retirarTurnos(client, req.restauranteId, antes);
+            }
+
+            const { rows } = await client.query(
+                `UPDATE ausencias SET estado = $1,
+                        resuelta_por = CASE WHEN $2::boolean THEN $3 ELSE resuelta_por END,
+                        resuelta_at = CASE WHEN $2::boolean THEN NOW() ELSE resuelta_at END,
+                        comentario_resolucion = COALESCE($4, comentario_resolucion),
+                        updated_at = NOW()
+                 WHERE id = $5 AND restaurante_id = $6
+                 RETURNING id, empleado_id, tipo, estado, fecha_inicio::text AS fecha_inicio,
+                           fecha_fin::text AS fecha_fin, resuelta_por, resuelta_at, comentario_resolucion`,
+                [hacia, resuelve, req.user?.userId || null, comentario, idCheck.value, req.restauranteId]
+            );
+            await client.query('COMMIT');
+
+            logChange(pool, {
+                req, tabla: 'ausencias', operacion: 'UPDATE',
+                registroId: idCheck.value, datosAntes: antes, datosDespues: { ...rows[0], turnos_retirados: retirados }
+            });
+            res.json({ ...rows[0], turnos_retirados: retirados });
+        } catch (err) {
+            await client.query('ROLLBACK').catch(() => {});
+            log('error', 'Error resolviendo ausencia', { error: err.message, hacia });
+            res.status(500).json({ error: 'Error interno' });
+        } finally {
+            client.release();
+        }
+    }
+
+    router.post('/ausencias/:id/aprobar', authMiddleware, requirePermission('staff:approve'), (req, res) =>
+        resolver(req, res, { desde: ['pendiente'], hacia: 'aprobada', resuelve: true }));
+
+    router.post('/ausencias/:id/rechazar', authMiddleware, requirePermission('staff:approve'), (req, res) =>
+        resolver(req, res, { desde: ['pendiente'], hacia: 'rechazada', resuelve: true }));
+
+    // Cancelar la pide quien la gestiona (la persona ya no se va); no es resolverla.
+    router.post('/ausencias/:id/cancelar', authMiddleware, requirePermission('staff:write'), (req, res) =>
+        resolver(req, res, { desde: ESTADOS_ACTIVOS, hacia: 'cancelada', resuelve: false }));
+
+    // GET saldo de vacaciones del año por empleado (?anio, ?empleado_id)
+    router.get('/vacaciones/saldos', authMiddleware, requirePermission('staff:read'), async (req, res) => {
+        try {
+            const anio = req.query.anio !== undefined ? Number(req.query.anio) : new Date().getUTCFullYear();
+            if (!Number.isInteger(anio) || anio < 2020 || anio > 2100) {
+                return res.status(400).json({ error: 'anio inválido' });
+            }
+            const params = [req.restauranteId];
+            let filtroEmpleado = '';
+            if (req.query.empleado_id !== undefined) {
+                const idCheck = validateId(req.query.empleado_id);
+                if (!idCheck.valid) return res.status(400).json({ error: 'empleado_id inválido' });
+                params.push(idCheck.value);
+                filtroEmpleado = 'AND e.id = $2';
+            }
+
+            const [empleados, ausencias] = await Promise.all([
+                pool.query(
+                    `SELECT e.id, e.nombre, e.dias_vacaciones_anuales FROM empleados e
+                     WHERE e.restaurante_id = $1 AND e.activo = true ${filtroEmpleado}
+                     ORDER BY e.nombre`,
+                    params
+                ),
+                pool.query(
+                    `SELECT ${COLUMNAS_AUSENCIA}
+                     FROM ausencias a
+                     WHERE a.restaurante_id = $1 AND a.tipo = 'vacaciones'
+                       AND a.estado = ANY($3::text[])
+                       AND a.fecha_fin >= make_date($2, 1, 1) AND a.fecha_inicio <= make_date($2, 12, 31)`,
+                    [req.restauranteId, anio, ESTADOS_ACTIVOS]
+                )
+            ]);
+
+            res.json({
+                anio,
+                empleados: empleados.rows.map(e => ({
+                    empleado_id: e.id,
+                    nombre: e.nombre,
+                    ...saldoVacaciones({
+                        diasAnuales: e.dias_vacaciones_anuales ?? undefined,
+                        ausencias: ausencias.rows.filter(a => a.empleado_id === e.id),
+                        anio
+                    })
+                }))
+            });
+        } catch (err) {
+            log('error', 'Error calculando saldos de vacaciones', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    return router;
+};
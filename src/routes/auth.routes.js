@@ -6,10 +6,19 @@ const { Router } = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
-const { authMiddleware, requireAdmin, tokenBlacklist } = require('../middleware/auth');
+const { authMiddleware, requireAdmin, requirePermission } = require('../middleware/auth');
 const { authLimiter, globalLimiter } = require('../middleware/rateLimit');
 const { log } = require('../utils/logger');
-const { sanitizeString } = require('../utils/validators');
+const { sanitizeString, validateId } = require('../utils/validators');
+const { logChange } = require('../utils/auditLog');
+const { SCOPES, sanearScopes } = require('../utils/apiScopes');
+const {
+    claveSesion, crearSesion, revocarSesion, revocarSesionPorId, revocarTodas, listarSesiones
+} = require('../services/sessionService');
+const { PERMISOS, ROLES_TOTALES, ROLES_ASIGNABLES, matrizPermisos, sanearPermisos } = require('../utils/permisos');
+const {
+    cargarPersonalizados, permisosDeUsuario, guardarPersonalizacion, olvidarRol
+} = require('../services/permissionService');
 // URLs parametrizadas (env vars con fallback para backwards-compat)
 const APP_URL = process.env.APP_URL || 'https://app.mindloop.cloud';
 const API_URL = process.env.API_URL || 'https://lacaleta-api.mindloop.cloud';
@@ -126,10 +135,11 @@ module.exports = function (pool, { resend, JWT_SECRET, INVITATION_CODE }) {
             if (restaurants.length === 1) {
                 // Single restaurant: auto-select (backward-compatible)
                 const rest = restaurants[0];
+                const jti = await crearSesion(pool, { usuarioId: user.id, restauranteId: rest.restaurante_id, req });
                 const token = jwt.sign(
                     { userId: user.id, restauranteId: rest.restaurante_id, email: user.email, username: user.username || null, rol: rest.rol, isSuperAdmin: user.is_superadmin || false },
                     JWT_SECRET,
-                    { expiresIn: '7d' }
+                    { expiresIn: '7d', jwtid: jti }
                 );
 
                 log('info', 'Login exitoso', { userId: user.id, email: user.email, username: user.username, restauranteId: rest.restaurante_id });
@@ -241,10 +251,11 @@ module.exports = function (pool, { resend, JWT_SECRET, INVITATION_CODE }) {
                 return res.status(403).json({ error: 'Este restaurante no está activo' });
             }
 
+            const jti = await crearSesion(pool, { usuarioId: decoded.userId, restauranteId: parseInt(restauranteId), req });
             const token = jwt.sign(
                 { userId: decoded.userId, restauranteId: parseInt(restauranteId), email: decoded.email, rol: access.rows[0].rol, isSuperAdmin: decoded.isSuperAdmin || false },
                 JWT_SECRET,
-                { expiresIn: '7d' }
+                { expiresIn: '7d', jwtid: jti }
             );
 
             const isProduction = process.env.NODE_ENV === 'production';
@@ -297,10 +308,11 @@ module.exports = function (pool, { resend, JWT_SECRET, INVITATION_CODE }) {
                 return res.status(404).json({ error: 'Restaurante no encontrado' });
             }
 
+            const jti = await crearSesion(pool, { usuarioId: req.user.userId, restauranteId: parseInt(restauranteId), req });
             const token = jwt.sign(
                 { userId: req.user.userId, restauranteId: parseInt(restauranteId), email: req.user.email, rol: access.rows[0].rol, isSuperAdmin: req.user.isSuperAdmin || false },
                 JWT_SECRET,
-                { expiresIn: '7d' }
+                { expiresIn: '7d', jwtid: jti }
             );
 
             const isProduction = process.env.NODE_ENV === 'production';
@@ -432,22 +444,83 @@ module.exports = function (pool, { resend, JWT_SECRET, INVITATION_CODE }) {
     });
 
     // ========== LOGOUT ==========
-    router.post('/auth/logout', (req, res) => {
+    // La revocación va a la tabla `sesiones` (services/sessionService): sobrevive
+    // a reinicios y la ven todas las instancias. Un token inválido o caducado no
+    // hay que revocarlo; el logout responde OK igualmente.
+    router.post('/auth/logout', async (req, res) => {
         const token = req.cookies?.auth_token || req.headers.authorization?.split(' ')[1];
         if (token) {
-            tokenBlacklist.add(token);
-            log('info', 'Token añadido a blacklist', { blacklistSize: tokenBlacklist.size });
+            try {
+                const decoded = jwt.verify(token, JWT_SECRET, { algorithms: ['HS256'] });
+                if (decoded.tipo !== 'api_token') {
+                    await revocarSesion(pool, token, decoded, 'logout');
+                    log('info', 'Sesión revocada', { userId: decoded.userId });
+                }
+            } catch (err) {
+                if (!['JsonWebTokenError', 'TokenExpiredError', 'NotBeforeError'].includes(err.name)) {
+                    log('error', 'Error revocando sesión en logout', { error: err.message });
+                }
+            }
         }
         res.clearCookie('auth_token', { path: '/' });
         log('info', 'Logout exitoso');
         res.json({ success: true, message: 'Sesión cerrada correctamente' });
     });
 
+    // POST /api/auth/logout-all — cierra todas las sesiones del usuario,
+    // incluida la actual y las emitidas antes de que existieran los jti.
+    router.post('/auth/logout-all', authMiddleware, async (req, res) => {
+        try {
+            const revocadas = await revocarTodas(pool, req.user.userId, 'logout_all');
+            res.clearCookie('auth_token', { path: '/' });
+            log('info', 'Logout de todas las sesiones', { userId: req.user.userId, revocadas });
+            res.json({ success: true, revocadas });
+        } catch (err) {
+            log('error', 'Error cerrando todas las sesiones', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // GET /api/auth/sessions — sesiones activas del usuario (actual: true = esta)
+    router.get('/auth/sessions', authMiddleware, async (req, res) => {
+        try {
+            const token = req.cookies?.auth_token || req.headers.authorization?.split(' ')[1];
+            res.json(await listarSesiones(pool, req.user.userId, claveSesion(token, req.user)));
+        } catch (err) {
+            log('error', 'Error listando sesiones', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // DELETE /api/auth/sessions/:id — cierra una sesión propia (p.ej. otro dispositivo)
+    router.delete('/auth/sessions/:id', authMiddleware, async (req, res) => {
+        try {
+            const idCheck = validateId(req.params.id);
+            if (!idCheck.valid) return res.status(400).json({ error: idCheck.error });
+            const ok = await revocarSesionPorId(pool, req.user.userId, idCheck.value);
+            if (!ok) return res.status(404).json({ error: 'Sesión no encontrada' });
+            log('info', 'Sesión revocada', { userId: req.user.userId, sesionId: idCheck.value });
+            res.json({ success: true, id: idCheck.value });
+        } catch (err) {
+            log('error', 'Error revocando sesión', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
     // ========== API TOKEN (n8n, Zapier) ==========
+    // Body: { nombre?, duracionDias?, scopes: ['sales:write', 'ingredients:read', ...] }
+    // El token solo se devuelve aquí; en api_tokens queda su jti (lo que
+    // comprueba authMiddleware en cada petición) y el hash de siempre.
     router.post('/auth/api-token', authMiddleware, requireAdmin, async (req, res) => {
         try {
-            const { nombre, duracionDias } = req.body;
-            const dias = duracionDias || 365;
+            const { nombre, duracionDias, scopes } = req.body || {};
+            const sc = sanearScopes(scopes);
+            if (sc.error) return res.status(400).json({ error: sc.error, scopesDisponibles: SCOPES });
+            const diasNum = parseInt(duracionDias, 10);
+            const dias = Number.isFinite(diasNum) && diasNum > 0 ? Math.min(diasNum, 365) : 365;
+            const nombreToken = sanitizeString(nombre, 255) || 'n8n Integration';
+            const jti = crypto.randomUUID();
+            const expiresAt = new Date(Date.now() + dias * 24 * 60 * 60 * 1000);
 
             const token = jwt.sign(
                 {
@@ -455,28 +528,43 @@ module.exports = function (pool, { resend, JWT_SECRET, INVITATION_CODE }) {
                     restauranteId: req.restauranteId,
                     email: req.user.email,
                     rol: 'api',
-                    tipo: 'api_token'
+                    tipo: 'api_token',
+                    scopes: sc.scopes
                 },
                 JWT_SECRET,
-                { expiresIn: `${dias}d` }
+                { expiresIn: `${dias}d`, jwtid: jti }
             );
 
             const tokenHash = await bcrypt.hash(token.slice(-20), 5);
-            await pool.query(
-                'INSERT INTO api_tokens (restaurante_id, nombre, token_hash, expires_at) VALUES ($1, $2, $3, $4)',
-                [req.restauranteId, nombre || 'n8n Integration', tokenHash, new Date(Date.now() + dias * 24 * 60 * 60 * 1000)]
+            const { rows } = await pool.query(
+                `INSERT INTO api_tokens (restaurante_id, nombre, token_hash, expires_at, jti, scopes, creado_por)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7)
+                 RETURNING id, nombre, scopes, created_at, expires_at`,
+                [req.restauranteId, nombreToken, tokenHash, expiresAt, jti, JSON.stringify(sc.scopes), req.user.userId || null]
             );
 
+            logChange(pool, {
+                req,
+                tabla: 'api_tokens',
+                operacion: 'INSERT',
+                registroId: rows[0].id,
+                datosAntes: null,
+                datosDespues: rows[0]
+            });
+
             log('info', 'API Token generado', {
                 user: req.user.email,
-                nombre: nombre || 'n8n Integration',
+                nombre: nombreToken,
+                scopes: sc.scopes,
                 expiraDias: dias
             });
 
             res.json({
                 success: true,
+                id: rows[0].id,
                 apiToken: token,
-                expiresAt: new Date(Date.now() + dias * 24 * 60 * 60 * 1000).toISOString(),
+                scopes: sc.scopes,
+                expiresAt: expiresAt.toISOString(),
                 instrucciones: {
                     n8n: 'En n8n, configura Header Auth con: Name="Authorization", Value="Bearer ' + token.slice(0, 20) + '..."',
                     curl: `curl -H "Authorization: Bearer ${token.slice(0, 20)}..." https://tu-api/api/ingredients`
@@ -488,6 +576,60 @@ module.exports = function (pool, { resend, JWT_SECRET, INVITATION_CODE }) {
         }
     });
 
+    // GET /api/auth/api-tokens — tokens del restaurante (nunca el token en sí).
+    // scopes NULL = token anterior a los scopes, con acceso total.
+    router.get('/auth/api-tokens', authMiddleware, requireAdmin, async (req, res) => {
+        try {
+            const { rows } = await pool.query(
+                `SELECT id, nombre, COALESCE(scopes, '["*"]'::jsonb) AS scopes, ultimo_uso, created_at, expires_at,
+                        revocado_at, creado_por,
+                        CASE WHEN revocado_at IS NOT NULL THEN 'revocado'
+                             WHEN expires_at IS NOT NULL AND expires_at <= NOW() THEN 'expirado'
+                             ELSE 'activo' END AS estado
+                 FROM api_tokens
+                 WHERE restaurante_id = $1
+                 ORDER BY revocado_at IS NOT NULL, created_at DESC`,
+                [req.restauranteId]
+            );
+            res.json({ tokens: rows, scopesDisponibles: SCOPES });
+        } catch (err) {
+            log('error', 'Error listando API tokens', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // DELETE /api/auth/api-tokens/:id — revoca. Efecto inmediato: authMiddleware
+    // mira revocado_at en cada petición. La fila se conserva para auditoría.
+    router.delete('/auth/api-tokens/:id', authMiddleware, requireAdmin, async (req, res) => {
+        try {
+            const idCheck = validateId(req.params.id);
+            if (!idCheck.valid) return res.status(400).json({ error: idCheck.error });
+
+            const { rows } = await pool.query(
+                `UPDATE api_tokens SET revocado_at = NOW(), revocado_por = $3
+                 WHERE id = $1 AND restaurante_id = $2 AND revocado_at IS NULL
+                 RETURNING id, nombre, scopes, revocado_at`,
+                [idCheck.value, req.restauranteId, req.user.userId || null]
+            );
+            if (rows.length === 0) return res.status(404).json({ error: 'Token no encontrado o ya revocado' });
+
+            logChange(pool, {
+                req,
+                tabla: 'api_tokens',
+                operacion: 'DELETE',
+                registroId: idCheck.value,
+                datosAntes: { id: rows[0].id, nombre: rows[0].nombre, scopes: rows[0].scopes },
+                datosDespues: { revocado_at: rows[0].revocado_at }
+            });
+
+            log('info', 'API Token revocado', { user: req.user.email, tokenId: idCheck.value });
+            res.json({ success: true, id: idCheck.value });
+        } catch (err) {
+            log('error', 'Error revocando API token', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
     // ========== REGISTER ==========
     router.post('/auth/register', authLimiter, async (req, res) => {
         const client = await pool.connect();
@@ -630,10 +772,11 @@ module.exports = function (pool, { resend, JWT_SECRET, INVITATION_CODE }) {
                     user: { email, nombre }
                 });
             } else {
+                const jti = await crearSesion(pool, { usuarioId: userResult.rows[0].id, restauranteId, req });
                 const token = jwt.sign(
                     { userId: userResult.rows[0].id, restauranteId, email, rol: 'admin' },
                     JWT_SECRET,
-                    { expiresIn: '7d' }
+                    { expiresIn: '7d', jwtid: jti }
                 );
 
                 log('info', 'Registro exitoso (auto-verificado, Resend no configurado)', { email });
@@ -776,6 +919,8 @@ module.exports = function (pool, { resend, JWT_SECRET, INVITATION_CODE }) {
                 'UPDATE usuarios SET password_hash = $1, reset_token = NULL, reset_expires = NULL WHERE id = $2',
                 [passwordHash, user.id]
             );
+            // Quien tuviera la contraseña anterior pierde sus sesiones abiertas.
+            await revocarTodas(pool, user.id, 'reset_password');
 
             log('info', 'Contraseña reseteada exitosamente', { email: user.email });
 
@@ -854,7 +999,7 @@ module.exports = function (pool, { resend, JWT_SECRET, INVITATION_CODE }) {
     });
 
     // ========== TEAM MANAGEMENT ==========
-    router.get('/team', authMiddleware, async (req, res) => {
+    router.get('/team', authMiddleware, requirePermission('team:read'), async (req, res) => {
         try {
             // Lee de la junction table (fuente de verdad) en vez de usuarios.restaurante_id
             // (legacy). Así aparecen TODOS los usuarios vinculados, incluidos los que
@@ -945,8 +1090,12 @@ module.exports = function (pool, { resend, JWT_SECRET, INVITATION_CODE }) {
                 return res.status(403).json({ error: `Has alcanzado el límite de ${max_users || 5} usuarios para tu plan. Mejora tu plan para añadir más.` });
             }
 
-            const allowedRoles = ['usuario', 'admin'];
-            const nuevoRol = allowedRoles.includes(rol) ? rol : 'usuario';
+            // 2026-10-18: roles con nombre (utils/permisos). Sin rol → 'usuario',
+            // como siempre; un rol mal escrito es un 400 y no un 'usuario' callado.
+            if (rol !== undefined && rol !== null && rol !== '' && !ROLES_ASIGNABLES.includes(rol)) {
+                return res.status(400).json({ error: `Rol inválido. Roles: ${ROLES_ASIGNABLES.join(', ')}` });
+            }
+            const nuevoRol = rol || 'usuario';
 
             const check = await pool.query('SELECT id, nombre, email FROM usuarios WHERE email = $1', [email]);
 
@@ -1010,6 +1159,107 @@ module.exports = function (pool, { resend, JWT_SECRET, INVITATION_CODE }) {
         }
     });
 
+    // GET /api/team/permissions — matriz efectiva rol → permisos de este
+    // restaurante (con sus personalizaciones) y los del usuario que pregunta.
+    router.get('/team/permissions', authMiddleware, requirePermission('team:read'), async (req, res) => {
+        try {
+            const personalizados = await cargarPersonalizados(pool, req.restauranteId);
+            const yo = await permisosDeUsuario(pool, req.user.userId, req.restauranteId, req.user.rol);
+            res.json({
+                catalogo: PERMISOS,
+                roles: matrizPermisos(personalizados),
+                personalizados: Object.keys(personalizados),
+                asignables: ROLES_ASIGNABLES,
+                miRol: yo.rol,
+                misPermisos: yo.permisos
+            });
+        } catch (err) {
+            log('error', 'Error obteniendo matriz de permisos', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // PUT /api/team/permissions/:rol — Body: { permisos: [...] } sustituye la
+    // lista del rol en este restaurante; { permisos: null } vuelve a la de serie.
+    router.put('/team/permissions/:rol', authMiddleware, requireAdmin, async (req, res) => {
+        try {
+            const rol = req.params.rol;
+            if (!ROLES_ASIGNABLES.includes(rol) || ROLES_TOTALES.includes(rol)) {
+                return res.status(400).json({ error: 'Solo se pueden personalizar los roles que no son admin' });
+            }
+            let permisos = null;
+            if (req.body?.permisos !== null) {
+                const check = sanearPermisos(req.body?.permisos);
+                if (check.error) return res.status(400).json({ error: check.error });
+                permisos = check.permisos;
+            }
+
+            const antes = (await cargarPersonalizados(pool, req.restauranteId))[rol] || null;
+            await guardarPersonalizacion(pool, req.restauranteId, rol, permisos, req.user.userId);
+
+            logChange(pool, {
+                req,
+                tabla: 'permisos_rol',
+                operacion: permisos === null ? 'DELETE' : 'UPDATE',
+                registroId: req.restauranteId,
+                datosAntes: { rol, permisos: antes },
+                datosDespues: { rol, permisos }
+            });
+
+            const personalizados = await cargarPersonalizados(pool, req.restauranteId);
+            res.json({ rol, permisos: matrizPermisos(personalizados)[rol], personalizado: permisos !== null });
+        } catch (err) {
+            log('error', 'Error guardando permisos de rol', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // PUT /api/team/:id/rol — Body: { rol }. Efecto inmediato: requirePermission
+    // y requireAdmin leen el rol de usuario_restaurantes, no del token.
+    router.put('/team/:id/rol', authMiddleware, requireAdmin, async (req, res) => {
+        try {
+            const idCheck = validateId(req.params.id);
+            if (!idCheck.valid) return res.status(400).json({ error: idCheck.error });
+            const rol = req.body?.rol;
+            if (!ROLES_ASIGNABLES.includes(rol)) {
+                return res.status(400).json({ error: `Rol inválido. Roles: ${ROLES_ASIGNABLES.join(', ')}` });
+            }
+            if (idCheck.value === req.user.userId) {
+                return res.status(400).json({ error: 'No puedes cambiar tu propio rol' });
+            }
+
+            const actual = await pool.query(
+                'SELECT rol FROM usuario_restaurantes WHERE usuario_id = $1 AND restaurante_id = $2',
+                [idCheck.value, req.restauranteId]
+            );
+            if (actual.rows.length === 0) return res.status(404).json({ error: 'Usuario no encontrado en este restaurante' });
+            if (actual.rows[0].rol === 'owner') {
+                return res.status(400).json({ error: 'El rol de propietario no se cambia desde aquí' });
+            }
+
+            await pool.query(
+                'UPDATE usuario_restaurantes SET rol = $3 WHERE usuario_id = $1 AND restaurante_id = $2',
+                [idCheck.value, req.restauranteId, rol]
+            );
+            olvidarRol(idCheck.value, req.restauranteId);
+
+            logChange(pool, {
+                req,
+                tabla: 'usuario_restaurantes',
+                operacion: 'UPDATE',
+                registroId: idCheck.value,
+                datosAntes: { rol: actual.rows[0].rol },
+                datosDespues: { rol }
+            });
+
+            log('info', 'Rol de equipo cambiado', { admin: req.user.email, userId: idCheck.value, de: actual.rows[0].rol, a: rol });
+            res.json({ id: idCheck.value, rol });
+        } catch (err) {
+            log('error', 'Error cambiando rol', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
     router.delete('/team/:id', authMiddleware, requireAdmin, async (req, res) => {
         try {
             const userIdToDelete = parseInt(req.params.id);
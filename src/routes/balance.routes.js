@@ -3,15 +3,21 @@
  * Balance, statistics, daily cost/sales tracking
  */
 const { Router } = require('express');
-const { authMiddleware, requireAdmin } = require('../middleware/auth');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const { log } = require('../utils/logger');
 const { costlyApiLimiter } = require('../middleware/rateLimit');
 const crypto = require('crypto');
-const { upsertCompraDiaria, resolveProveedorId, updateProveedorPrecio, getBackendIngredientUnitPrice, getRecipeCostBase } = require('../utils/businessHelpers');
+const { upsertCompraDiaria, resolveProveedorId, updateProveedorPrecio } = require('../utils/businessHelpers');
 const { computePurchaseApproval } = require('../utils/purchaseApproveCalc');
 const { logChange } = require('../utils/auditLog');
+const { registrarMovimientoStock } = require('../utils/stockLedger');
+const { emitirEvento } = require('../services/outboundWebhookService');
 const { personalCostExpr } = require('../utils/personalCost');
 const { ANTHROPIC_MODEL } = require('../config/aiModels');
+const llm = require('../services/llmProvider');
+const { respuestaCuotaAgotada } = require('../services/aiUsageService');
+const { balanceMes } = require('../services/finanzasMesService');
+const { METODOS_NOMINA } = require('../utils/nomina');
 
 /**
  * Duplicate albaran detection using resolved INGREDIENT IDs.
@@ -157,123 +163,15 @@ module.exports = function (pool) {
     // ========== BALANCE Y ESTADÍSTICAS ==========
     // NOTE: los endpoints /analytics/* (food-cost, pnl-breakdown, recalculate-cogs)
     // se movieron a routes/analytics.routes.js el 2026-04-20.
-    router.get('/balance/mes', authMiddleware, async (req, res) => {
+    router.get('/balance/mes', authMiddleware, requirePermission('finance:read'), async (req, res) => {
         try {
-            const { mes, ano } = req.query;
-            const mesActual = parseInt(mes) || new Date().getMonth() + 1;
-            const anoActual = parseInt(ano) || new Date().getFullYear();
-
-            // Use date range instead of EXTRACT for index usage
-            const startDate = `${anoActual}-${String(mesActual).padStart(2, '0')}-01`;
-            const nextMonth = mesActual === 12 ? 1 : mesActual + 1;
-            const nextYear = mesActual === 12 ? anoActual + 1 : anoActual;
-            const endDate = `${nextYear}-${String(nextMonth).padStart(2, '0')}-01`;
-
-            const ventasMes = await pool.query(
-                `SELECT COALESCE(SUM(total), 0) as ingresos, COUNT(*) as num_ventas
-       FROM ventas
-       WHERE fecha >= $1 AND fecha < $2 AND restaurante_id = $3 AND deleted_at IS NULL`,
-                [startDate, endDate, req.restauranteId]
-            );
-
-            // 🔒 AUDITORÍA 2026-06-12 (C4): traer factor_variante — sin él una copa
-            // de vino computaba el COGS de la botella entera (mismo patrón que
-            // monthly.routes.js cantidad_ponderada y sales.routes.js:265).
-            const ventasDetalle = await pool.query(
-                `SELECT v.cantidad, COALESCE(v.factor_variante, 1) as factor_variante, r.ingredientes, r.porciones
-       FROM ventas v
-       JOIN recetas r ON v.receta_id = r.id
-       WHERE v.fecha >= $1 AND v.fecha < $2 AND v.restaurante_id = $3 AND v.deleted_at IS NULL AND r.deleted_at IS NULL`,
-                [startDate, endDate, req.restauranteId]
-            );
-
-            // Precargar precios de ingredientes + media de compras reales
-            const ingredientesResult = await pool.query(
-                `SELECT i.id, i.precio, i.cantidad_por_formato, i.rendimiento, i.precio_fijado,
-                        pcd.precio_medio_compra
-                 FROM ingredientes i
-                 LEFT JOIN (
-                     SELECT ingrediente_id,
-                            ROUND((SUM(total_compra) / NULLIF(SUM(cantidad_comprada), 0))::numeric, 4) as precio_medio_compra
-                     FROM precios_compra_diarios WHERE restaurante_id = $1
-                     GROUP BY ingrediente_id
-                 ) pcd ON pcd.ingrediente_id = i.id
-                 WHERE i.restaurante_id = $1 AND i.deleted_at IS NULL`,
-                [req.restauranteId]
-            );
-            const preciosMap = new Map();
-            const rendimientoBaseMap = new Map();
-            ingredientesResult.rows.forEach(i => {
-                preciosMap.set(i.id, getBackendIngredientUnitPrice(i));
-                if (i.rendimiento) {
-                    rendimientoBaseMap.set(i.id, parseFloat(i.rendimiento));
-                }
-            });
-
-            // Mapa de recetas (para que getRecipeCostBase pueda expandir subrecetas).
-            const todasRecetasResult = await pool.query(
-                'SELECT id, porciones, ingredientes FROM recetas WHERE restaurante_id = $1 AND deleted_at IS NULL',
-                [req.restauranteId]
-            );
-            const recetasMap = new Map(todasRecetasResult.rows.map(r => [r.id, r]));
-
-            // Calcular costos usando el helper canónico (Capa 3 auditoría: expande subrecetas).
-            let costos = 0;
-            for (const venta of ventasDetalle.rows) {
-                const porciones = Math.max(1, parseInt(venta.porciones) || 1);
-                const factorVariante = parseFloat(venta.factor_variante) || 1;
-                const costeLote = getRecipeCostBase(venta, preciosMap, recetasMap, rendimientoBaseMap);
-                costos += (costeLote / porciones) * venta.cantidad * factorVariante;
+            // Cálculo en services/finanzasMesService (lo comparte el consolidado del grupo).
+            // ?personal=nomina|horas añade el coste de personal del mes (utils/nomina).
+            const { mes, ano, personal } = req.query;
+            if (personal !== undefined && !METODOS_NOMINA.includes(personal)) {
+                return res.status(400).json({ error: `personal debe ser ${METODOS_NOMINA.join(' o ')}` });
             }
-
-            const ingresos = parseFloat(ventasMes.rows[0].ingresos) || 0;
-            const ganancia = ingresos - costos;
-            const margen = ingresos > 0 ? ((ganancia / ingresos) * 100).toFixed(1) : 0;
-
-            const platoMasVendido = await pool.query(
-                `SELECT r.nombre, SUM(v.cantidad) as total_vendido
-       FROM ventas v
-       JOIN recetas r ON v.receta_id = r.id
-       WHERE v.fecha >= $1 AND v.fecha < $2 AND v.restaurante_id = $3 AND v.deleted_at IS NULL AND r.deleted_at IS NULL
-       GROUP BY r.nombre
-       ORDER BY total_vendido DESC
-       LIMIT 1`,
-                [startDate, endDate, req.restauranteId]
-            );
-
-            const ventasPorPlato = await pool.query(
-                `SELECT r.nombre, SUM(v.total) as total_ingresos, SUM(v.cantidad) as cantidad
-       FROM ventas v
-       JOIN recetas r ON v.receta_id = r.id
-       WHERE v.fecha >= $1 AND v.fecha < $2 AND v.restaurante_id = $3 AND v.deleted_at IS NULL AND r.deleted_at IS NULL
-       GROUP BY r.nombre
-       ORDER BY total_ingresos DESC`,
-                [startDate, endDate, req.restauranteId]
-            );
-
-            const valorInventario = await pool.query(
-                `SELECT COALESCE(SUM(i.stock_actual * COALESCE(pcd.precio_medio_compra, i.precio / COALESCE(NULLIF(i.cantidad_por_formato, 0), 1))), 0) as valor
-       FROM ingredientes i
-       LEFT JOIN (
-           SELECT ingrediente_id,
-                  ROUND((SUM(total_compra) / NULLIF(SUM(cantidad_comprada), 0))::numeric, 4) as precio_medio_compra
-           FROM precios_compra_diarios WHERE restaurante_id = $1
-           GROUP BY ingrediente_id
-       ) pcd ON pcd.ingrediente_id = i.id
-       WHERE i.restaurante_id = $1 AND i.deleted_at IS NULL`,
-                [req.restauranteId]
-            );
-
-            res.json({
-                ingresos,
-                costos,
-                ganancia,
-                margen: parseFloat(margen),
-                num_ventas: parseInt(ventasMes.rows[0].num_ventas) || 0,
-                plato_mas_vendido: platoMasVendido.rows[0] || null,
-                ventas_por_plato: ventasPorPlato.rows || [],
-                valor_inventario: parseFloat(valorInventario.rows[0].valor) || 0
-            });
+            res.json(await balanceMes(pool, req.restauranteId, { mes, ano, personal }));
         } catch (error) {
             log('error', 'Error obteniendo balance', { error: error.message });
             res.status(500).json({ error: 'Error interno' });
@@ -288,7 +186,7 @@ module.exports = function (pool) {
     // el rate-limit antes de la autorización, como en analysis/intelligence/chat). La
     // query SQL es minúscula; el frontend lo llama con try/catch, si se limita solo
     // oculta la tarjeta informativa.
-    router.get('/balance/iva-soportado', costlyApiLimiter, authMiddleware, async (req, res) => {
+    router.get('/balance/iva-soportado', costlyApiLimiter, authMiddleware, requirePermission('finance:read'), async (req, res) => {
         try {
             const mesActual = parseInt(req.query.mes) || new Date().getMonth() + 1;
             const anoActual = parseInt(req.query.ano) || new Date().getFullYear();
@@ -342,7 +240,7 @@ module.exports = function (pool) {
         }
     });
 
-    router.get('/balance/comparativa', authMiddleware, async (req, res) => {
+    router.get('/balance/comparativa', authMiddleware, requirePermission('finance:read'), async (req, res) => {
         try {
             const meses = await pool.query(
                 `SELECT 
@@ -378,7 +276,7 @@ module.exports = function (pool) {
     // Orden: costlyApiLimiter PRIMERO (rate-limit antes de cualquier trabajo/auth,
     // best practice y lo que exige el CodeQL js/missing-rate-limiting), luego el guard,
     // luego auth.
-    router.post('/parse-albaran', costlyApiLimiter, ocrDisabledGuard, authMiddleware, async (req, res) => {
+    router.post('/parse-albaran', costlyApiLimiter, ocrDisabledGuard, authMiddleware, requirePermission('purchases:write'), async (req, res) => {
         try {
             const { imageBase64, mediaType, filename } = req.body;
 
@@ -436,9 +334,8 @@ module.exports = function (pool) {
                 });
             }
 
-            // API Key
-            const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
-            if (!ANTHROPIC_API_KEY) {
+            // Proveedor LLM (services/llmProvider; ANTHROPIC_API_KEY en producción)
+            if (!llm.disponible()) {
                 return res.status(500).json({ error: 'ANTHROPIC_API_KEY no configurada en el servidor' });
             }
 
@@ -450,23 +347,21 @@ module.exports = function (pool) {
                 : { type: 'image', source: { type: 'base64', media_type: finalMediaType, data: imageBase64 } };
 
             // Llamar Claude Vision
-            const response = await fetch('https://api.anthropic.com/v1/messages', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-api-key': ANTHROPIC_API_KEY,
-                    'anthropic-version': '2023-06-01'
-                },
-                body: JSON.stringify({
-                    model: ANTHROPIC_MODEL,
-                    max_tokens: 4096,
-                    messages: [{
-                        role: 'user',
-                        content: [
-                            documentContent,
-                            {
-                                type: 'text',
-                                text: `Eres un sistema de OCR de alta precisión para albaranes y facturas de proveedores de hostelería en España.
+            let claudeResponse;
+            try {
+                claudeResponse = await llm.crearMensaje({
+                    feature: 'ocr_albaran',
+                    restauranteId: req.restauranteId,
+                    params: {
+                        model: ANTHROPIC_MODEL,
+                        max_tokens: 4096,
+                        messages: [{
+                            role: 'user',
+                            content: [
+                                documentContent,
+                                {
+                                    type: 'text',
+                                    text: `Eres un sistema de OCR de alta precisión para albaranes y facturas de proveedores de hostelería en España.
 
 TAREA: Extrae TODOS los datos del documento con PRECISIÓN EXACTA. Copia el texto EXACTAMENTE como aparece impreso.
 
@@ -509,19 +404,17 @@ REGLAS CRÍTICAS DE PRECISIÓN:
 5. NO INCLUIR: líneas de totales, subtotales, IVA, bases imponibles, portes, recargos de equivalencia.
 
 6. Si un campo no es legible, usa null. NUNCA inventes datos.`
-                            }
-                        ]
-                    }]
-                })
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                log('error', 'Error de Claude API procesando albarán', errorData);
+                                }
+                            ]
+                        }]
+                    }
+                });
+            } catch (llmError) {
+                if (llmError.code === 'LLM_CUOTA') return res.status(429).json(respuestaCuotaAgotada(llmError));
+                log('error', 'Error de Claude API procesando albarán', { status: llmError.status, code: llmError.code, error: llmError.message });
                 return res.status(500).json({ error: 'Error procesando albarán con IA' });
             }
 
-            const claudeResponse = await response.json();
             let textContent = claudeResponse.content?.[0]?.text || '';
 
             // Limpiar respuesta (quitar markdown code blocks)
@@ -819,7 +712,7 @@ REGLAS CRÍTICAS DE PRECISIÓN:
     // ==========================================
 
     // POST: n8n envía compras aquí (van a cola de revisión, NO directamente al diario)
-    router.post('/purchases/pending', ocrDisabledGuard, authMiddleware, async (req, res) => {
+    router.post('/purchases/pending', ocrDisabledGuard, authMiddleware, requirePermission('purchases:write'), async (req, res) => {
         try {
             const { compras, proveedor: proveedorAlbaran } = req.body;
 
@@ -1169,7 +1062,7 @@ REGLAS CRÍTICAS DE PRECISIÓN:
     });
 
     // GET: Listar compras pendientes
-    router.get('/purchases/pending', ocrDisabledGuard, authMiddleware, async (req, res) => {
+    router.get('/purchases/pending', ocrDisabledGuard, authMiddleware, requirePermission('purchases:read'), async (req, res) => {
         try {
             const { estado } = req.query;
             let query = `
@@ -1207,7 +1100,7 @@ REGLAS CRÍTICAS DE PRECISIÓN:
     });
 
     // PATCH: Actualizar formato_override de un item pendiente + recalcular precio
-    router.patch('/purchases/pending/:id/formato', ocrDisabledGuard, authMiddleware, async (req, res) => {
+    router.patch('/purchases/pending/:id/formato', ocrDisabledGuard, authMiddleware, requirePermission('purchases:write'), async (req, res) => {
         try {
             const { formato_override } = req.body;
             if (formato_override === undefined || formato_override === null || Number(formato_override) <= 0) {
@@ -1261,7 +1154,7 @@ REGLAS CRÍTICAS DE PRECISIÓN:
     });
 
     // POST: Aprobar un item pendiente → insertar en precios_compra_diarios + actualizar stock
-    router.post('/purchases/pending/:id/approve', ocrDisabledGuard, authMiddleware, async (req, res) => {
+    router.post('/purchases/pending/:id/approve', ocrDisabledGuard, authMiddleware, requirePermission('purchases:write'), async (req, res) => {
         const client = await pool.connect();
         try {
             await client.query('BEGIN');
@@ -1340,6 +1233,10 @@ REGLAS CRÍTICAS DE PRECISIÓN:
                 'UPDATE ingredientes SET stock_actual = stock_actual + $1, ultima_actualizacion_stock = NOW() WHERE id = $2 AND restaurante_id = $3',
                 [stockASumar, item.ingrediente_id, req.restauranteId]
             );
+            await registrarMovimientoStock(client, {
+                restauranteId: req.restauranteId, ingredienteId: item.ingrediente_id, tipo: 'compra',
+                cantidad: stockASumar, referenciaTipo: 'compra_pendiente', referenciaId: item.id, usuarioId: req.user?.userId
+            });
 
             // Marcar como aprobado
             await client.query(
@@ -1357,6 +1254,9 @@ REGLAS CRÍTICAS DE PRECISIÓN:
                 datosAntes: { estado: 'pendiente' },
                 datosDespues: { estado: 'aprobada', ingrediente_id: item.ingrediente_id, proveedor_id: proveedorId, cantidad: item.cantidad, precio: item.precio },
             });
+            emitirEvento(pool, req.restauranteId, 'purchase.approved', {
+                compras: [{ ...item, estado: 'aprobado', proveedor_id: proveedorId }]
+            });
 
             // ── InvoiceFlow webhook (fire-and-forget, NEVER blocks approval) ──
             const invoiceFlowUrl = process.env.INVOICEFLOW_WEBHOOK_URL;
@@ -1397,7 +1297,7 @@ REGLAS CRÍTICAS DE PRECISIÓN:
     });
 
     // POST: Aprobar todos los items de un batch
-    router.post('/purchases/pending/approve-batch', ocrDisabledGuard, authMiddleware, requireAdmin, async (req, res) => {
+    router.post('/purchases/pending/approve-batch', ocrDisabledGuard, authMiddleware, requirePermission('purchases:approve'), async (req, res) => {
         const client = await pool.connect();
         try {
             const { batchId } = req.body;
@@ -1486,6 +1386,10 @@ REGLAS CRÍTICAS DE PRECISIÓN:
                     'UPDATE ingredientes SET stock_actual = stock_actual + $1, ultima_actualizacion_stock = NOW() WHERE id = $2 AND restaurante_id = $3',
                     [stockASumar, item.ingrediente_id, req.restauranteId]
                 );
+                await registrarMovimientoStock(client, {
+                    restauranteId: req.restauranteId, ingredienteId: item.ingrediente_id, tipo: 'compra',
+                    cantidad: stockASumar, referenciaTipo: 'compra_pendiente', referenciaId: item.id, usuarioId: req.user?.userId
+                });
 
                 // Marcar como aprobado
                 await client.query(
@@ -1506,6 +1410,13 @@ REGLAS CRÍTICAS DE PRECISIÓN:
                 datosAntes: { batchId, total_items: resultados.aprobados + resultados.omitidos },
                 datosDespues: { aprobados: resultados.aprobados, omitidos: resultados.omitidos },
             });
+            if (resultados.aprobados > 0) {
+                emitirEvento(pool, req.restauranteId, 'purchase.approved', {
+                    batch_id: batchId,
+                    compras: itemsResult.rows.filter(i => i.ingrediente_id).slice(0, 200)
+                        .map(i => ({ ...i, estado: 'aprobado' }))
+                });
+            }
 
             // ── Sync approved data to Google Sheets via n8n webhook (fire-and-forget) ──
             // Only fires AFTER approval with final edited data
@@ -1609,7 +1520,7 @@ REGLAS CRÍTICAS DE PRECISIÓN:
     });
 
     // PUT: Editar un item pendiente (cambiar ingrediente_id, precio, cantidad)
-    router.put('/purchases/pending/:id', ocrDisabledGuard, authMiddleware, async (req, res) => {
+    router.put('/purchases/pending/:id', ocrDisabledGuard, authMiddleware, requirePermission('purchases:write'), async (req, res) => {
         try {
             const { ingrediente_id, precio, cantidad, fecha, proveedor } = req.body;
 
@@ -1675,7 +1586,7 @@ REGLAS CRÍTICAS DE PRECISIÓN:
     });
 
     // DELETE: Rechazar/eliminar un item pendiente
-    router.delete('/purchases/pending/:id', ocrDisabledGuard, authMiddleware, async (req, res) => {
+    router.delete('/purchases/pending/:id', ocrDisabledGuard, authMiddleware, requirePermission('purchases:write'), async (req, res) => {
         try {
             const result = await pool.query(
                 "UPDATE compras_pendientes SET estado = 'rechazado' WHERE id = $1 AND restaurante_id = $2 AND estado IN ('pendiente', 'aprobado') RETURNING id",
@@ -1696,7 +1607,7 @@ REGLAS CRÍTICAS DE PRECISIÓN:
     // Admin: Corregir registro de compra diaria (precios_compra_diarios)
 
     // Registrar compras diarias (bulk - para n8n, LEGACY — mantenido por compatibilidad)
-    router.post('/daily/purchases/bulk', ocrDisabledGuard, authMiddleware, async (req, res) => {
+    router.post('/daily/purchases/bulk', ocrDisabledGuard, authMiddleware, requirePermission('purchases:write'), async (req, res) => {
         const client = await pool.connect();
         try {
             const { compras } = req.body;
@@ -1859,6 +1770,10 @@ REGLAS CRÍTICAS DE PRECISIÓN:
                     'UPDATE ingredientes SET stock_actual = stock_actual + $1, ultima_actualizacion_stock = NOW() WHERE id = $2 AND restaurante_id = $3 AND deleted_at IS NULL',
                     [stockASumar, ingredienteId, req.restauranteId]
                 );
+                await registrarMovimientoStock(client, {
+                    restauranteId: req.restauranteId, ingredienteId, tipo: 'compra',
+                    cantidad: stockASumar, notas: 'Importación de compras diarias', usuarioId: req.user?.userId
+                });
 
                 resultados.procesados++;
             }
@@ -4,19 +4,43 @@
  * POST /api/chat
  *   - Requires JWT auth (extracts restauranteId)
  *   - Rate limited (costlyApiLimiter: 30 req/15min per IP)
- *   - Body: { message, sessionId?, lang? }
+ *   - Body: { message, sessionId?, lang?, threadId?, newThread? }
  *   - Response: text/plain with the assistant's reply
  *
  * Response contract is plain text (same as n8n webhook) so the existing
  * chat-widget.js can read it via response.text() without changes.
+ *
+ * Hilos persistidos (2026-10-18, services/chatThreadService): con `threadId`
+ * (o `newThread: true`) el historial sale de la BD en vez del cliente, la
+ * pregunta y la respuesta (con traza de tools y tokens) se guardan en el hilo
+ * y el id vuelve en la cabecera X-Chat-Thread-Id. Sin ellos, como siempre.
+ * CRUD, compartir y exportar en /chat/threads.
+ *
+ * Acciones con confirmación (2026-10-18, services/chatActionService): si el
+ * modelo propone una merma, un ajuste de stock, un precio de receta o un
+ * pedido de reposición, la respuesta lleva al final una línea
+ * `[CONFIRM:token]` por acción (el widget la convierte en botón). Nada se
+ * escribe hasta POST /chat/acciones/confirmar { token } del mismo usuario.
+ * En el hilo se guarda el texto sin esas líneas.
+ *
+ * Permisos: el chat y sus hilos piden 'chat:use' (todos los roles de serie lo
+ * tienen, como antes de los roles); los informes y el health-check siguen con
+ * 'finance:read'. Dentro del chat, cada tool pide el permiso de su pantalla
+ * (chatService.PERMISO_POR_TOOL): sala pregunta, pero no ve el P&L.
  */
 
 const { Router } = require('express');
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const { costlyApiLimiter } = require('../middleware/rateLimit');
 const { chatAddonGate, CHAT_MONTHLY_LIMIT, RESET_INTERVAL_DAYS } = require('../middleware/chatAddonGate');
 const { log } = require('../utils/logger');
+const { validateId } = require('../utils/validators');
+const { logChange } = require('../utils/auditLog');
 const { processChat } = require('../services/chatService');
+const chatThreadService = require('../services/chatThreadService');
+const chatActionService = require('../services/chatActionService');
+const { respuestaCuotaAgotada } = require('../services/aiUsageService');
+const { permisosDeUsuario } = require('../services/permissionService');
 const polarService = require('../services/polarService');
 const { generarInformeMensual } = require('../services/informeMensualService');
 const { generarInformeHtml } = require('../services/informeMensualHtml');
@@ -137,7 +161,7 @@ module.exports = function (pool) {
     // de tokens (NO pasa por chatAddonGate porque no consume cuota Claude).
     // Single-plan (2026-06-09): incluido en cualquier plan activo — el gate
     // global de suscripción (server.js) ya bloquea a quien no tiene plan vigente.
-    router.get('/chat/informe-mensual', authMiddleware, async (req, res) => {
+    router.get('/chat/informe-mensual', authMiddleware, requirePermission('finance:read'), async (req, res) => {
         const restauranteId = req.restauranteId;
         if (!restauranteId) {
             return res.status(401).json({ error: 'No restaurante asociado al usuario' });
@@ -159,7 +183,7 @@ module.exports = function (pool) {
     // llamada Claude (sin tools, single-shot) para el análisis narrativo
     // y el resto se renderiza en backend. No incrementa el contador del
     // chat — los informes no son consultas conversacionales.
-    router.get('/chat/informe-mensual/html', costlyApiLimiter, authMiddleware, async (req, res) => {
+    router.get('/chat/informe-mensual/html', costlyApiLimiter, authMiddleware, requirePermission('finance:read'), async (req, res) => {
         const restauranteId = req.restauranteId;
         if (!restauranteId) {
             return res.status(401).json({ error: 'No restaurante asociado al usuario' });
@@ -175,6 +199,7 @@ module.exports = function (pool) {
             const datos = await generarInformeMensual(pool, restauranteId, mes);
             const { html, usage } = await generarInformeHtml({
                 datos,
+                restauranteId,
                 restauranteNombre: row.nombre || '',
                 moneda: row.moneda || '€',
                 lang
@@ -200,7 +225,7 @@ module.exports = function (pool) {
     // Single-plan (2026-06-09): el Coach viene INCLUIDO en cualquier plan activo
     // (gate global de suscripción en server.js). NO incrementa el contador de
     // consultas — es bajo demanda, máximo 1 generación por semana.
-    router.post('/chat/health-check', costlyApiLimiter, authMiddleware, async (req, res) => {
+    router.post('/chat/health-check', costlyApiLimiter, authMiddleware, requirePermission('finance:read'), async (req, res) => {
         const restauranteId = req.restauranteId;
         if (!restauranteId) {
             return res.status(401).json({ error: 'No restaurante asociado al usuario' });
@@ -222,6 +247,9 @@ module.exports = function (pool) {
             });
             res.json(report);
         } catch (err) {
+            if (err.code === 'LLM_CUOTA') {
+                return res.status(429).json(respuestaCuotaAgotada(err));
+            }
             log('error', '/chat/health-check failed', {
                 restauranteId, error: err.message
             });
@@ -235,7 +263,7 @@ module.exports = function (pool) {
     // Rate-limited con costlyApiLimiter por consistencia con CodeQL — aunque
     // la query SQL es minúscula, el endpoint hace authorization y CodeQL
     // bloquea cualquier handler con auth + sin rate-limit (regla js/missing-rate-limiting).
-    router.get('/chat/health-check/status', costlyApiLimiter, authMiddleware, async (req, res) => {
+    router.get('/chat/health-check/status', costlyApiLimiter, authMiddleware, requirePermission('finance:read'), async (req, res) => {
         const restauranteId = req.restauranteId;
         if (!restauranteId) {
             return res.status(401).json({ error: 'No restaurante asociado al usuario' });
@@ -269,7 +297,34 @@ module.exports = function (pool) {
         next();
     }
 
-    router.post('/chat', costlyApiLimiter, authMiddleware, validateChatBody, chatAddonGate(pool), async (req, res) => {
+    // Resuelve el hilo ANTES del addon gate (un hilo ajeno no gasta cuota).
+    // Solo el propietario continúa un hilo; compartido = solo lectura.
+    async function resolverThread(req, res, next) {
+        const { threadId, newThread } = req.body || {};
+        if (threadId === undefined || threadId === null) {
+            req.chatThread = null;
+            req.chatThreadNuevo = newThread === true;
+            return next();
+        }
+        const idCheck = validateId(threadId);
+        if (!idCheck.valid) return res.status(400).json({ error: `threadId: ${idCheck.error}` });
+        try {
+            const thread = await chatThreadService.obtenerThread(pool, {
+                restauranteId: req.restauranteId, usuarioId: req.user.userId, threadId: idCheck.value
+            });
+            if (!thread) return res.status(404).json({ error: 'Hilo no encontrado' });
+            if (!thread.es_propietario) {
+                return res.status(403).json({ error: 'Este hilo está compartido contigo en solo lectura' });
+            }
+            req.chatThread = thread;
+            next();
+        } catch (err) {
+            log('error', 'Error resolviendo hilo del chat', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    }
+
+    router.post('/chat', costlyApiLimiter, authMiddleware, requirePermission('chat:use'), validateChatBody, resolverThread, chatAddonGate(pool), async (req, res) => {
         const { message, lang, history } = req.body || {};
         const restauranteId = req.restauranteId;
 
@@ -282,20 +337,51 @@ module.exports = function (pool) {
             // Fallback order: restaurantes.moneda → JWT moneda → €
             const moneda = restResult.rows[0]?.moneda || req.user?.moneda || '€';
 
-            const { text, usage } = await processChat({
+            // Con hilo, el historial es el guardado en servidor (no el del cliente)
+            let thread = req.chatThread;
+            const historial = thread
+                ? await chatThreadService.historialThread(pool, { restauranteId, threadId: thread.id })
+                : (Array.isArray(history) ? history : []);
+
+            const { text, usage, toolCalls, acciones = [] } = await processChat({
                 message: message.trim(),
                 pool,
                 restauranteId,
+                usuarioId: req.user?.userId,
+                // Fijados por requirePermission; sin ellos (token de API), todas las tools.
+                permisos: req.permisos ?? null,
                 lang: lang === 'en' ? 'en' : 'es',
                 restauranteNombre,
                 moneda,
                 // Historial reciente para memoria conversacional (saneado en processChat)
-                history: Array.isArray(history) ? history : []
+                history: historial
             });
 
+            // Guardar en el hilo. Si falla, la respuesta sale igual (se loguea):
+            // el usuario ya ha gastado la consulta.
+            if (thread || req.chatThreadNuevo) {
+                try {
+                    if (!thread) {
+                        thread = await chatThreadService.crearThread(pool, {
+                            restauranteId, usuarioId: req.user.userId,
+                            titulo: chatThreadService.tituloDesdeMensaje(message)
+                        });
+                    }
+                    await chatThreadService.registrarIntercambio(pool, {
+                        restauranteId, threadId: thread.id,
+                        mensaje: message.trim(), respuesta: text, usage, toolCalls
+                    });
+                    res.setHeader('X-Chat-Thread-Id', String(thread.id));
+                } catch (err) {
+                    log('error', 'Error guardando el hilo del chat', { restauranteId, threadId: thread?.id, error: err.message });
+                }
+            }
+
             // Preserve n8n contract: plain text response
             res.setHeader('Content-Type', 'text/plain; charset=utf-8');
-            res.send(text);
+            res.send(acciones.length > 0
+                ? `${text}\n\n${acciones.map(a => `[CONFIRM:${a.token}]`).join('\n')}`
+                : text);
 
             // Observability (non-blocking)
             log('info', 'Chat response sent', {
@@ -308,6 +394,11 @@ module.exports = function (pool) {
                 tokensCacheCreation: usage.cache_creation
             });
         } catch (err) {
+            // Presupuesto mensual de IA del plan agotado (services/aiUsageService):
+            // mismo formato JSON que el 429 de la cuota de consultas.
+            if (err.code === 'LLM_CUOTA') {
+                return res.status(429).json(respuestaCuotaAgotada(err));
+            }
             log('error', 'Chat endpoint failed', {
                 restauranteId,
                 error: err.message,
@@ -323,5 +414,201 @@ module.exports = function (pool) {
         }
     });
 
+    // ========== HILOS DEL CHAT (2026-10-18) ==========
+    // Propios + compartidos conmigo. Ver services/chatThreadService.
+
+    /** Hilo visible para el usuario o responde 400/404 y devuelve null. */
+    async function cargarThread(req, res) {
+        const idCheck = validateId(req.params.id);
+        if (!idCheck.valid) {
+            res.status(400).json({ error: idCheck.error });
+            return null;
+        }
+        const thread = await chatThreadService.obtenerThread(pool, {
+            restauranteId: req.restauranteId, usuarioId: req.user.userId, threadId: idCheck.value
+        });
+        if (!thread) {
+            res.status(404).json({ error: 'Hilo no encontrado' });
+            return null;
+        }
+        return thread;
+    }
+
+    // GET /chat/threads — hilos del usuario en el restaurante activo
+    router.get('/chat/threads', authMiddleware, requirePermission('chat:use'), async (req, res) => {
+        try {
+            const threads = await chatThreadService.listarThreads(pool, {
+                restauranteId: req.restauranteId, usuarioId: req.user.userId
+            });
+            res.json(threads);
+        } catch (err) {
+            log('error', 'Error listando hilos del chat', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // POST /chat/threads — hilo vacío (el primer POST /chat con threadId lo llena)
+    router.post('/chat/threads', authMiddleware, requirePermission('chat:use'), async (req, res) => {
+        const { titulo } = req.body || {};
+        if (titulo !== undefined && typeof titulo !== 'string') {
+            return res.status(400).json({ error: 'titulo debe ser texto' });
+        }
+        try {
+            const thread = await chatThreadService.crearThread(pool, {
+                restauranteId: req.restauranteId, usuarioId: req.user.userId, titulo
+            });
+            res.status(201).json(thread);
+        } catch (err) {
+            log('error', 'Error creando hilo del chat', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // GET /chat/threads/:id — hilo con sus mensajes y trazas de tools
+    router.get('/chat/threads/:id', authMiddleware, requirePermission('chat:use'), async (req, res) => {
+        try {
+            const thread = await cargarThread(req, res);
+            if (!thread) return;
+            const mensajes = await chatThreadService.mensajesThread(pool, { restauranteId: req.restauranteId, threadId: thread.id });
+            const compartido_con = thread.es_propietario
+                ? await chatThreadService.compartidosThread(pool, { restauranteId: req.restauranteId, threadId: thread.id })
+                : [];
+            res.json({ ...thread, mensajes, compartido_con });
+        } catch (err) {
+            log('error', 'Error obteniendo hilo del chat', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // DELETE /chat/threads/:id — solo el propietario (soft delete)
+    router.delete('/chat/threads/:id', authMiddleware, requirePermission('chat:use'), async (req, res) => {
+        try {
+            const thread = await cargarThread(req, res);
+            if (!thread) return;
+            if (!thread.es_propietario) {
+                return res.status(403).json({ error: 'Solo quien creó el hilo puede borrarlo' });
+            }
+            await chatThreadService.borrarThread(pool, {
+                restauranteId: req.restauranteId, usuarioId: req.user.userId, threadId: thread.id
+            });
+            res.json({ success: true });
+        } catch (err) {
+            log('error', 'Error borrando hilo del chat', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // GET /chat/threads/:id/export?format=md|json — descarga del hilo
+    router.get('/chat/threads/:id/export', authMiddleware, requirePermission('chat:use'), async (req, res) => {
+        try {
+            const thread = await cargarThread(req, res);
+            if (!thread) return;
+            const mensajes = await chatThreadService.mensajesThread(pool, { restauranteId: req.restauranteId, threadId: thread.id });
+            if (req.query.format === 'json') {
+                res.setHeader('Content-Disposition', `attachment; filename="chat-${thread.id}.json"`);
+                return res.json({ ...thread, mensajes });
+            }
+            res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="chat-${thread.id}.md"`);
+            res.send(chatThreadService.exportarMarkdown(thread, mensajes));
+        } catch (err) {
+            log('error', 'Error exportando hilo del chat', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // POST /chat/threads/:id/share { usuario_id } — compartir (solo lectura)
+    // con otro miembro del mismo restaurante. Solo el propietario.
+    router.post('/chat/threads/:id/share', authMiddleware, requirePermission('chat:use'), async (req, res) => {
+        const usuarioCheck = validateId(req.body?.usuario_id);
+        if (!usuarioCheck.valid) return res.status(400).json({ error: `usuario_id: ${usuarioCheck.error}` });
+        try {
+            const thread = await cargarThread(req, res);
+            if (!thread) return;
+            if (!thread.es_propietario) {
+                return res.status(403).json({ error: 'Solo quien creó el hilo puede compartirlo' });
+            }
+            const r = await chatThreadService.compartirThread(pool, {
+                restauranteId: req.restauranteId, usuarioId: req.user.userId,
+                threadId: thread.id, conUsuarioId: usuarioCheck.value
+            });
+            if (r.error) return res.status(r.status).json({ error: r.error });
+
+            logChange(pool, {
+                req, tabla: 'chat_thread_compartidos', operacion: 'INSERT',
+                registroId: thread.id,
+                datosAntes: null,
+                datosDespues: { thread_id: thread.id, usuario_id: usuarioCheck.value },
+            });
+            res.json({ success: true });
+        } catch (err) {
+            log('error', 'Error compartiendo hilo del chat', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // DELETE /chat/threads/:id/share/:usuarioId — dejar de compartir
+    router.delete('/chat/threads/:id/share/:usuarioId', authMiddleware, requirePermission('chat:use'), async (req, res) => {
+        const usuarioCheck = validateId(req.params.usuarioId);
+        if (!usuarioCheck.valid) return res.status(400).json({ error: usuarioCheck.error });
+        try {
+            const thread = await cargarThread(req, res);
+            if (!thread) return;
+            if (!thread.es_propietario) {
+                return res.status(403).json({ error: 'Solo quien creó el hilo puede dejar de compartirlo' });
+            }
+            const borrado = await chatThreadService.dejarDeCompartir(pool, {
+                restauranteId: req.restauranteId, threadId: thread.id, conUsuarioId: usuarioCheck.value
+            });
+            if (!borrado) return res.status(404).json({ error: 'El hilo no estaba compartido con ese usuario' });
+
+            logChange(pool, {
+                req, tabla: 'chat_thread_compartidos', operacion: 'DELETE',
+                registroId: thread.id,
+                datosAntes: { thread_id: thread.id, usuario_id: usuarioCheck.value },
+                datosDespues: null,
+            });
+            res.json({ success: true });
+        } catch (err) {
+            log('error', 'Error dejando de compartir hilo del chat', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // POST /chat/acciones/confirmar — ejecuta una acción propuesta por el chat.
+    // Sin chatAddonGate: no llama al modelo ni gasta cuota. El permiso se
+    // comprueba aquí, con el rol actual, porque cada acción exige el suyo.
+    router.post('/chat/acciones/confirmar', costlyApiLimiter, authMiddleware, async (req, res) => {
+        if (req.user?.tipo === 'api_token') {
+            return res.status(403).json({ error: 'Las acciones del chat solo se confirman desde la app' });
+        }
+        const { token } = req.body || {};
+        const payload = chatActionService.verificarAccion(token);
+        if (payload.error) return res.status(payload.status).json({ error: payload.error });
+
+        if (payload.rid !== req.restauranteId || payload.uid !== req.user.userId) {
+            return res.status(403).json({ error: 'Esta propuesta no es tuya' });
+        }
+
+        try {
+            const { rol, permisos } = await permisosDeUsuario(pool, req.user.userId, req.restauranteId, req.user.rol);
+            const permiso = chatActionService.ACCIONES[payload.accion]?.permiso;
+            if (!permiso || !permisos.includes(permiso)) {
+                return res.status(403).json({
+                    error: `Acceso denegado: tu rol (${rol || 'sin rol'}) no tiene el permiso ${permiso}`,
+                    code: 'FORBIDDEN',
+                    permiso
+                });
+            }
+
+            const r = await chatActionService.ejecutarAccion(pool, req, payload);
+            if (r.error) return res.status(r.status).json({ error: r.error });
+            res.json({ success: true, ...r });
+        } catch (err) {
+            log('error', 'Error ejecutando acción del chat', { restauranteId: req.restauranteId, accion: payload.accion, error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
     return router;
 };
@@ -20,13 +20,14 @@
  * (decisión consciente); el coste se expone aquí para consultarlo aparte.
  */
 const { Router } = require('express');
-const { authMiddleware, requireAdmin } = require('../middleware/auth');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const { globalLimiter } = require('../middleware/rateLimit');
 const { log } = require('../utils/logger');
 const { validateId, validateCantidad, validateDate, validateEnum, sanitizeString } = require('../utils/validators');
 const { expandRecipeToBase, loadYieldConfig, getRecipeCostBase, getBackendIngredientUnitPrice } = require('../utils/businessHelpers');
 const { agregarDeduccionesOrdenadas, esDeadlock } = require('../utils/stockDeduction');
 const { logChange } = require('../utils/auditLog');
+const { registrarMovimientoStock } = require('../utils/stockLedger');
 
 // Tipos permitidos. Se validan en la ruta (la columna es VARCHAR sin CHECK, igual
 // que `pedidos.estado`, para poder añadir tipos sin migración).
@@ -42,7 +43,7 @@ module.exports = function (pool) {
     const router = Router();
 
     // ========== LISTAR ==========
-    router.get('/consumos-internos', globalLimiter, authMiddleware, async (req, res) => {
+    router.get('/consumos-internos', globalLimiter, authMiddleware, requirePermission('inventory:read'), async (req, res) => {
         try {
             const { desde, hasta } = req.query;
             const params = [req.restauranteId];
@@ -83,7 +84,7 @@ module.exports = function (pool) {
     });
 
     // ========== REGISTRAR (descuenta stock) ==========
-    router.post('/consumos-internos', globalLimiter, authMiddleware, async (req, res) => {
+    router.post('/consumos-internos', globalLimiter, authMiddleware, requirePermission('inventory:write'), async (req, res) => {
         const { recetaId, porciones, tipo, fecha, empleadoId, nota, varianteId } = req.body;
 
         const idCheck = validateId(recetaId);
@@ -228,6 +229,16 @@ module.exports = function (pool) {
                         ]
                     );
 
+                    // Libro de stock: se apunta ya con el id del consumo. `real` es
+                    // lo que el clamp dejó descontar de verdad.
+                    for (const d of stockDeductions) {
+                        await registrarMovimientoStock(client, {
+                            restauranteId: req.restauranteId, ingredienteId: d.ingredienteId, tipo: 'consumo_interno',
+                            cantidad: -d.real, referenciaTipo: 'consumo_interno', referenciaId: insertRes.rows[0].id,
+                            usuarioId: req.user?.userId
+                        });
+                    }
+
                     await client.query('COMMIT');
 
                     logChange(pool, {
@@ -256,7 +267,7 @@ module.exports = function (pool) {
     });
 
     // ========== BORRAR (revierte el stock descontado) ==========
-    router.delete('/consumos-internos/:id', globalLimiter, authMiddleware, requireAdmin, async (req, res) => {
+    router.delete('/consumos-internos/:id', globalLimiter, authMiddleware, requirePermission('inventory:delete'), async (req, res) => {
         const idCheck = validateId(req.params.id);
         if (!idCheck.valid) return res.status(400).json({ error: idCheck.error });
 
@@ -290,6 +301,10 @@ module.exports = function (pool) {
                      WHERE id = $2 AND restaurante_id = $3 AND deleted_at IS NULL`,
                     [cantidad, d.ingredienteId, req.restauranteId]
                 );
+                await registrarMovimientoStock(client, {
+                    restauranteId: req.restauranteId, ingredienteId: d.ingredienteId, tipo: 'consumo_anulado',
+                    cantidad, referenciaTipo: 'consumo_interno', referenciaId: consumo.id, usuarioId: req.user?.userId
+                });
             }
 
             // Soft delete (historial)
@@ -15,7 +15,7 @@
  */
 
 const { Router } = require('express');
-const { authMiddleware, requireAdmin } = require('../middleware/auth');
+const { authMiddleware, requireAdmin, requirePermission } = require('../middleware/auth');
 const { log } = require('../utils/logger');
 const { logChange } = require('../utils/auditLog');
 const { validateId, validateNumber, validateDate } = require('../utils/validators');
@@ -24,7 +24,7 @@ module.exports = function (pool) {
     const router = Router();
 
     // GET daily purchases aggregated (tabla precios_compra_diarios)
-    router.get('/daily/purchases', authMiddleware, async (req, res) => {
+    router.get('/daily/purchases', authMiddleware, requirePermission('purchases:read'), async (req, res) => {
         try {
             const { fecha, mes, ano } = req.query;
             let query = `
@@ -78,7 +78,7 @@ module.exports = function (pool) {
     // con el precio real de la última compra a ese proveedor (en lugar del
     // promedio ponderado, que no refleja la realidad del proveedor concreto).
     // Devuelve { precio_unitario, cantidad, fecha, pedido_id } o null si no hay.
-    router.get('/daily/purchases/last', authMiddleware, async (req, res) => {
+    router.get('/daily/purchases/last', authMiddleware, requirePermission('purchases:read'), async (req, res) => {
         try {
             const { ingredienteId, proveedorId } = req.query;
             const idCheck = validateId(ingredienteId);
@@ -119,7 +119,7 @@ module.exports = function (pool) {
     // sin disparar N peticiones HTTP. Devuelve array de
     // { ingredienteId, proveedorId, precio_unitario, fecha, pedido_id }.
     // Los pares sin compras registradas NO aparecen en la respuesta.
-    router.post('/daily/purchases/last/batch', authMiddleware, async (req, res) => {
+    router.post('/daily/purchases/last/batch', authMiddleware, requirePermission('purchases:write'), async (req, res) => {
         try {
             const { pares } = req.body || {};
             if (!Array.isArray(pares) || pares.length === 0) {
@@ -246,7 +246,7 @@ module.exports = function (pool) {
     });
 
     // GET daily sales (tabla ventas_diarias_resumen)
-    router.get('/daily/sales', authMiddleware, async (req, res) => {
+    router.get('/daily/sales', authMiddleware, requirePermission('sales:read'), async (req, res) => {
         try {
             const { fecha, mes, ano } = req.query;
             let query = `
@@ -16,7 +16,7 @@
  * inventario: se ENSEÑA, no se compensa automáticamente).
  */
 const { Router } = require('express');
-const { authMiddleware, requireAdmin } = require('../middleware/auth');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const { globalLimiter, costlyApiLimiter } = require('../middleware/rateLimit');
 const { log } = require('../utils/logger');
 const { validateId, validateDate, sanitizeString } = require('../utils/validators');
@@ -31,7 +31,7 @@ module.exports = function (pool) {
 
     // ========== RESUMEN: rendimiento real (ponderado) vs ficha ==========
     // Ponderado = SUM(neta)/SUM(bruta): pesar 10 kg y 100 kg no valen lo mismo.
-    router.get('/elaboraciones/rendimientos', costlyApiLimiter, authMiddleware, async (req, res) => {
+    router.get('/elaboraciones/rendimientos', costlyApiLimiter, authMiddleware, requirePermission('recipes:read'), async (req, res) => {
         try {
             const { rows } = await pool.query(
                 `SELECT e.ingrediente_id,
@@ -76,7 +76,7 @@ module.exports = function (pool) {
     });
 
     // ========== LISTAR ==========
-    router.get('/elaboraciones', globalLimiter, authMiddleware, async (req, res) => {
+    router.get('/elaboraciones', globalLimiter, authMiddleware, requirePermission('inventory:read'), async (req, res) => {
         try {
             const { ingredienteId, desde, hasta } = req.query;
             const params = [req.restauranteId];
@@ -119,7 +119,7 @@ module.exports = function (pool) {
     });
 
     // ========== REGISTRAR (no toca stock: es una medición) ==========
-    router.post('/elaboraciones', globalLimiter, authMiddleware, async (req, res) => {
+    router.post('/elaboraciones', globalLimiter, authMiddleware, requirePermission('inventory:write'), async (req, res) => {
         try {
             const { ingredienteId, cantidadBruta, cantidadNeta, nota, fecha } = req.body;
 
@@ -180,7 +180,7 @@ module.exports = function (pool) {
     });
 
     // ========== BORRAR (soft delete; no hay stock que revertir) ==========
-    router.delete('/elaboraciones/:id', globalLimiter, authMiddleware, requireAdmin, async (req, res) => {
+    router.delete('/elaboraciones/:id', globalLimiter, authMiddleware, requirePermission('inventory:delete'), async (req, res) => {
         try {
             const idCheck = validateId(req.params.id);
             if (!idCheck.valid) return res.status(400).json({ error: idCheck.error });
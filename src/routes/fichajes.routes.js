@@ -0,0 +1,546 @@
+/**
+ * fichajes Routes — registro de jornada (art. 34.9 ET).
+ *
+ * Dos caras:
+ *   - TERMINAL (/fichaje/...): el tablet o QR de la puerta. No hay sesión de
+ *     usuario: el restaurante sale del token del terminal (cabecera
+ *     X-Fichaje-Token) y el empleado se identifica con su PIN.
+ *   - GESTIÓN (/fichajes/...): terminales, PIN, correcciones con motivo, el
+ *     registro mensual exportable y el previsto vs. real. Los fichajes no se
+ *     borran nunca: se corrigen y queda en audit_log.
+ *
+ * Cálculos puros en utils/registroJornada.
+ */
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { Router } = require('express');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { log } = require('../utils/logger');
+const { sanitizeString, validateId } = require('../utils/validators');
+const { logChange } = require('../utils/auditLog');
+const {
+    ZONA_REGISTRO,
+    MAX_HORAS_FICHAJE,
+    horasFichaje,
+    previstoVsReal,
+    registroMensualCsv
+} = require('../utils/registroJornada');
+
+/** Fallos de PIN seguidos antes de bloquear a ese empleado en ese terminal. */
+const MAX_INTENTOS_PIN = 5;
+const BLOQUEO_PIN_MS = 15 * 60 * 1000;
+const MAX_CLAVES_PIN = 10000;
+
+// terminal|empleado → { fallos, ultimo, hasta }. En memoria: basta para frenar
+// a quien prueba PINs en el tablet; un reinicio lo limpia y no pasa nada.
+// Solo se apuntan empleados que existen, los fallos caducan BLOQUEO_PIN_MS
+// después del último y el Map no pasa de MAX_CLAVES_PIN (sale el más antiguo).
+// El límite por IP es el globalLimiter de server.js.
+const intentosPin = new Map();
+
+/** Fallos vigentes de la clave; borra la entrada si ya caducó. */
+function intentosVigentes(clave, ahora = Date.now()) {
+    const e = intentosPin.get(clave);
+    if (!e) return null;
+    if (e.hasta > ahora || ahora - e.ultimo < BLOQUEO_PIN_MS) return e;
+    intentosPin.delete(clave);
+    return null;
+}
+
+function anotarFalloPin(clave, ahora = Date.now()) {
+    const fallos = (intentosVigentes(clave, ahora)?.fallos || 0) + 1;
+    intentosPin.delete(clave);
+    if (intentosPin.size >= MAX_CLAVES_PIN) {
+        for (const k of intentosPin.keys()) intentosVigentes(k, ahora);
+        while (intentosPin.size >= MAX_CLAVES_PIN) intentosPin.delete(intentosPin.keys().next().value);
+    }
+    intentosPin.set(clave, { fallos, ultimo: ahora, hasta: fallos >= MAX_INTENTOS_PIN ? ahora + BLOQUEO_PIN_MS : 0 });
+    return fallos;
+}
+
+// Día local y horas de un fichaje, para las SELECT (alias f).
+const FECHA_LOCAL = `(f.entrada AT TIME ZONE '${ZONA_REGISTRO}')::date`;
+const HORAS_SQL = 'EXTRACT(EPOCH FROM (f.salida - f.entrada)) / 3600';
+// Rango de días locales [$2, $3] sobre f.entrada (usa el índice).
+const RANGO_LOCAL = `f.entrada >= ($2::date::timestamp AT TIME ZONE '${ZONA_REGISTRO}')
+                 AND f.entrada < (($3::date + 1)::timestamp AT TIME ZONE '${ZONA_REGISTRO}')`;
+
+const sha256 = (s) => crypto.createHash('sha256').update(String(s)).digest('hex');
+
+/** 'YYYY-MM-DD' de calendario real; null si no lo es. */
+function fechaIso(valor) {
+    if (typeof valor !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(valor)) return null;
+    const d = new Date(`${valor}T00:00:00Z`);
+    return !isNaN(d.getTime()) && d.toISOString().slice(0, 10) === valor ? valor : null;
+}
+
+/**
+ * Hora local de España tal como la teclea el encargado ('YYYY-MM-DDTHH:MM').
+ * Se pasa así a Postgres, que la convierte con AT TIME ZONE.
+ */
+function horaLocal(valor) {
+    if (typeof valor !== 'string') return null;
+    const m = valor.trim().match(/^(\d{4}-\d{2}-\d{2})[T ](\d{2}):(\d{2})$/);
+    if (!m || !fechaIso(m[1]) || Number(m[2]) > 23 || Number(m[3]) > 59) return null;
+    return `${m[1]}T${m[2]}:${m[3]}`;
+}
+
+/** Horas entre dos horas locales (aprox.: ignora el cambio de hora). */
+const horasEntreLocales = (a, b) => horasFichaje(`${a}:00Z`, `${b}:00Z`);
+
+/** Campos de salida de un fichaje (alias f), con día y horas locales. */
+const COLUMNAS_FICHAJE = `f.id, f.empleado_id, f.entrada, f.salida, f.origen, f.incidencia,
+                    f.motivo_edicion, f.editado_por IS NOT NULL AS editado,
+                    ${FECHA_LOCAL}::text AS fecha,
+                    to_char(f.entrada AT TIME ZONE '${ZONA_REGISTRO}', 'HH24:MI') AS entrada_hora,
+                    to_char(f.salida AT TIME ZONE '${ZONA_REGISTRO}', 'HH24:MI') AS salida_hora,
+                    ${HORAS_SQL} AS horas`;
+
+/**
+ * @param {Pool} pool - PostgreSQL connection pool
+ */
+module.exports = function (pool) {
+    const router = Router();
+
+    /**
+     * Terminal de fichar: el token identifica al restaurante (no hay JWT).
+     * Deja req.restauranteId y req.terminalId.
+     */
+    async function terminalFichaje(req, res, next) {
+        try {
+            const token = req.get('X-Fichaje-Token');
+            if (!token) return res.status(401).json({ error: 'Terminal de fichaje no identificado' });
+            // El token es lo que da el tenant: se busca por su hash y de aquí
+            // sale restaurante_id para todo lo demás.
+            const { rows } = await pool.query(
+                `SELECT id, restaurante_id FROM fichaje_terminales
+                 WHERE token_hash = $1 AND revocado_at IS NULL`,
+                [sha256(token)]
+            );
+            if (rows.length === 0) return res.status(401).json({ error: 'Terminal de fichaje no válido o revocado' });
+            req.restauranteId = rows[0].restaurante_id;
+            req.terminalId = rows[0].id;
+            next();
+        } catch (err) {
+            log('error', 'Error identificando terminal de fichaje', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    }
+
+    // ========== TERMINAL (tablet / QR) ==========
+
+    // GET empleados que pueden fichar (con PIN) y si están dentro
+    router.get('/fichaje/empleados', terminalFichaje, async (req, res) => {
+        try {
+            const { rows } = await pool.query(
+                `SELECT e.id, e.nombre,
+                        EXISTS (SELECT 1 FROM fichajes f
+                                WHERE f.empleado_id = e.id AND f.restaurante_id = e.restaurante_id
+                                  AND f.salida IS NULL AND f.incidencia IS NULL) AS dentro
+                 FROM empleados e
+                 WHERE e.restaurante_id = $1 AND e.activo = true AND e.pin_hash IS NOT NULL
+                 ORDER BY e.nombre`,
+                [req.restauranteId]
+            );
+            res.json(rows);
+        } catch (err) {
+            log('error', 'Error listando empleados del terminal', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // POST fichar: entrada si no está dentro, salida si lo está.
+    //
+    // Un fichaje abierto de hace más de MAX_HORAS_FICHAJE es un olvido de
+    // salida: no se cierra (serían 30h de jornada), se marca 'sin_salida' para
+    // que el encargado lo corrija y se abre la entrada de hoy.
+    router.post('/fichaje', terminalFichaje, async (req, res) => {
+        const idCheck = validateId(req.body?.empleado_id);
+        if (!idCheck.valid) return res.status(400).json({ error: 'empleado_id inválido' });
+        const empleadoId = idCheck.value;
+        const clave = `${req.terminalId}|${empleadoId}`;
+
+        const bloqueo = intentosVigentes(clave);
+        if (bloqueo && bloqueo.hasta > Date.now()) {
+            return res.status(429).json({ error: 'Demasiados PIN incorrectos, espera 15 minutos' });
+        }
+
+        let client;
+        try {
+            const emp = await pool.query(
+                'SELECT id, nombre, pin_hash FROM empleados WHERE id = $1 AND restaurante_id = $2 AND activo = true',
+                [empleadoId, req.restauranteId]
+            );
+            const empleado = emp.rows[0];
+            const pin = String(req.body?.pin ?? '');
+            if (!empleado || !empleado.pin_hash || !(await bcrypt.compare(pin, empleado.pin_hash))) {
+                const fallos = empleado ? anotarFalloPin(clave) : null;
+                log('warn', 'PIN de fichaje incorrecto', { restauranteId: req.restauranteId, empleadoId, fallos });
+                return res.status(401).json({ error: 'PIN incorrecto' });
+            }
+            intentosPin.delete(clave);
+
+            client = await pool.connect();
+            await client.query('BEGIN');
+            const abierto = await client.query(
+                `SELECT id, entrada FROM fichajes
+                 WHERE empleado_id = $1 AND restaurante_id = $2 AND salida IS NULL AND incidencia IS NULL
+                 FOR UPDATE`,
+                [empleadoId, req.restauranteId]
+            );
+
+            const ahora = new Date();
+            let respuesta;
+            const f = abierto.rows[0];
+            if (f && horasFichaje(f.entrada, ahora) <= MAX_HORAS_FICHAJE) {
+                await client.query(
+                    'UPDATE fichajes SET salida = $1, updated_at = NOW() WHERE id = $2 AND restaurante_id = $3',
+                    [ahora, f.id, req.restauranteId]
+                );
+                respuesta = { accion: 'salida', fichaje_id: f.id, horas: Math.round(horasFichaje(f.entrada, ahora) * 100) / 100 };
+            } else {
+                if (f) {
+                    await client.query(
+                        `UPDATE fichajes SET incidencia = 'sin_salida', updated_at = NOW()
+                         WHERE id = $1 AND restaurante_id = $2`,
+                        [f.id, req.restauranteId]
+                    );
+                }
+                const nuevo = await client.query(
+                    `INSERT INTO fichajes (restaurante_id, empleado_id, entrada, origen, terminal_id)
+                     VALUES ($1, $2, $3, 'terminal', $4) RETURNING id`,
+                    [req.restauranteId, empleadoId, ahora, req.terminalId]
+                );
+                respuesta = { accion: 'entrada', fichaje_id: nuevo.rows[0].id };
+                if (f) respuesta.aviso = 'La última entrada no tenía salida: queda pendiente de corregir por el encargado';
+            }
+            await client.query('COMMIT');
+
+            res.status(201).json({ ...respuesta, empleado: empleado.nombre, hora: ahora.toISOString() });
+        } catch (err) {
+            if (client) await client.query('ROLLBACK').catch(() => {});
+            // Dos toques seguidos en el tablet: el índice de "un abierto por
+            // empleado" para el segundo.
+            if (err.code === '23505') return res.status(409).json({ error: 'Fichaje ya registrado, inténtalo de nuevo' });
+            log('error', 'Error fichando', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        } finally {
+            if (client) client.release();
+        }
+    });
+
+    // ========== GESTIÓN: terminales y PIN ==========
+
+    // POST crear terminal. El token solo se devuelve aquí (va en el QR).
+    router.post('/fichajes/terminales', authMiddleware, requirePermission('staff:write'), async (req, res) => {
+        try {
+            const nombre = sanitizeString(req.body?.nombre, 100) || 'Terminal';
+            const token = 'fch_' + crypto.randomBytes(24).toString('base64url');
+            const { rows } = await pool.query(
+                `INSERT INTO fichaje_terminales (restaurante_id, nombre, token_hash, creado_por)
+                 VALUES ($1, $2, $3, $4) RETURNING id, nombre, created_at`,
+                [req.restauranteId, nombre, sha256(token), req.user?.userId || null]
+            );
+            logChange(pool, {
+                req, tabla: 'fichaje_terminales', operacion: 'INSERT',
+                registroId: rows[0].id, datosAntes: null, datosDespues: rows[0]
+            });
+            res.status(201).json({ ...rows[0], token });
+        } catch (err) {
+            log('error', 'Error creando terminal de fichaje', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // GET terminales (nunca el token)
+    router.get('/fichajes/terminales', authMiddleware, requirePermission('staff:read'), async (req, res) => {
+        try {
+            const { rows } = await pool.query(
+                `SELECT id, nombre, created_at, revocado_at FROM fichaje_terminales
+                 WHERE restaurante_id = $1 ORDER BY created_at DESC`,
+                [req.restauranteId]
+            );
+            res.json(rows);
+        } catch (err) {
+            log('error', 'Error listando terminales de fichaje', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // DELETE revocar terminal (efecto inmediato)
+    router.delete('/fichajes/terminales/:id', authMiddleware, requirePermission('staff:write'), async (req, res) => {
+        try {
+            const idCheck = validateId(req.params.id);
+            if (!idCheck.valid) return res.status(400).json({ error: 'ID inválido' });
+            const { rows } = await pool.query(
+                `UPDATE fichaje_terminales SET revocado_at = NOW()
+                 WHERE id = $1 AND restaurante_id = $2 AND revocado_at IS NULL
+                 RETURNING id, nombre, revocado_at`,
+                [idCheck.value, req.restauranteId]
+            );
+            if (rows.length === 0) return res.status(404).json({ error: 'Terminal no encontrado' });
+            logChange(pool, {
+                req, tabla: 'fichaje_terminales', operacion: 'UPDATE',
+                registroId: idCheck.value, datosAntes: { revocado_at: null }, datosDespues: rows[0]
+            });
+            res.json({ success: true });
+        } catch (err) {
+            log('error', 'Error revocando terminal de fichaje', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // PUT PIN del empleado (4-6 dígitos; null lo quita). Nunca se devuelve.
+    router.put('/empleados/:id/pin', authMiddleware, requirePermission('staff:write'), async (req, res) => {
+        try {
+            const idCheck = validateId(req.params.id);
+            if (!idCheck.valid) return res.status(400).json({ error: 'ID inválido' });
+            const pin = req.body?.pin;
+            if (pin !== null && !/^\d{4,6}$/.test(String(pin ?? ''))) {
+                return res.status(400).json({ error: 'El PIN debe tener entre 4 y 6 dígitos' });
+            }
+            const pinHash = pin === null ? null : await bcrypt.hash(String(pin), 10);
+            const result = await pool.query(
+                'UPDATE empleados SET pin_hash = $1 WHERE id = $2 AND restaurante_id = $3 RETURNING id',
+                [pinHash, idCheck.value, req.restauranteId]
+            );
+            if (result.rows.length === 0) return res.status(404).json({ error: 'Empleado no encontrado' });
+            logChange(pool, {
+                req, tabla: 'empleados', operacion: 'UPDATE',
+                registroId: idCheck.value, datosAntes: null, datosDespues: { pin: pin === null ? 'eliminado' : 'cambiado' }
+            });
+            res.json({ success: true, tiene_pin: pin !== null });
+        } catch (err) {
+            log('error', 'Error guardando PIN de fichaje', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // ========== GESTIÓN: fichajes ==========
+
+    // GET fichajes por rango de días (locales) y, opcional, empleado
+    router.get('/fichajes', authMiddleware, requirePermission('staff:read'), async (req, res) => {
+        try {
+            const desde = fechaIso(req.query.desde);
+            const hasta = fechaIso(req.query.hasta);
+            if (!desde || !hasta) return res.status(400).json({ error: 'desde y hasta son requeridos (YYYY-MM-DD)' });
+            const params = [req.restauranteId, desde, hasta];
+            let filtroEmpleado = '';
+            if (req.query.empleado_id !== undefined) {
+                const idCheck = validateId(req.query.empleado_id);
+                if (!idCheck.valid) return res.status(400).json({ error: 'empleado_id inválido' });
+                params.push(idCheck.value);
+                filtroEmpleado = 'AND f.empleado_id = $4';
+            }
+            const { rows } = await pool.query(
+                `SELECT ${COLUMNAS_FICHAJE}, e.nombre AS empleado_nombre
+                 FROM fichajes f
+                 JOIN empleados e ON e.id = f.empleado_id AND e.restaurante_id = f.restaurante_id
+                 WHERE f.restaurante_id = $1 AND ${RANGO_LOCAL} ${filtroEmpleado}
+                 ORDER BY f.entrada`,
+                params
+            );
+            res.json(rows.map(r => ({ ...r, horas: r.horas == null ? null : Math.round(Number(r.horas) * 100) / 100 })));
+        } catch (err) {
+            log('error', 'Error obteniendo fichajes', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // POST fichaje manual (olvido del terminal). Motivo obligatorio.
+    router.post('/fichajes', authMiddleware, requirePermission('staff:write'), async (req, res) => {
+        try {
+            const idCheck = validateId(req.body?.empleado_id);
+            if (!idCheck.valid) return res.status(400).json({ error: 'empleado_id inválido' });
+            const entrada = horaLocal(req.body?.entrada);
+            const salida = req.body?.salida != null ? horaLocal(req.body.salida) : null;
+            const motivo = sanitizeString(req.body?.motivo, 500);
+            if (!entrada) return res.status(400).json({ error: 'entrada requerida (YYYY-MM-DDTHH:MM, hora de España)' });
+            if (req.body?.salida != null && !salida) return res.status(400).json({ error: 'salida inválida (YYYY-MM-DDTHH:MM)' });
+            if (!motivo) return res.status(400).json({ error: 'El motivo es obligatorio en un fichaje manual' });
+            if (salida) {
+                const horas = horasEntreLocales(entrada, salida);
+                if (horas === null) return res.status(400).json({ error: 'La salida no puede ser anterior a la entrada' });
+                if (horas > MAX_HORAS_FICHAJE) return res.status(400).json({ error: `Un fichaje no puede pasar de ${MAX_HORAS_FICHAJE}h` });
+            }
+
+            const emp = await pool.query(
+                'SELECT id FROM empleados WHERE id = $1 AND restaurante_id = $2',
+                [idCheck.value, req.restauranteId]
+            );
+            if (emp.rows.length === 0) return res.status(404).json({ error: 'Empleado no encontrado' });
+
+            const { rows } = await pool.query(
+                `INSERT INTO fichajes (restaurante_id, empleado_id, entrada, salida, origen, editado_por, motivo_edicion)
+                 VALUES ($1, $2, $3::timestamp AT TIME ZONE '${ZONA_REGISTRO}',
+                         $4::timestamp AT TIME ZONE '${ZONA_REGISTRO}', 'manual', $5, $6)
+                 RETURNING *`,
+                [req.restauranteId, idCheck.value, entrada, salida, req.user?.userId || null, motivo]
+            );
+            logChange(pool, {
+                req, tabla: 'fichajes', operacion: 'INSERT',
+                registroId: rows[0].id, datosAntes: null, datosDespues: rows[0]
+            });
+            res.status(201).json(rows[0]);
+        } catch (err) {
+            if (err.code === '23505') return res.status(409).json({ error: 'El empleado ya tiene un fichaje abierto' });
+            log('error', 'Error creando fichaje manual', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // PUT corregir un fichaje (entrada/salida). Motivo obligatorio; el antes y
+    // el después quedan en audit_log. Poner la salida resuelve la incidencia.
+    router.put('/fichajes/:id', authMiddleware, requirePermission('staff:write'), async (req, res) => {
+        try {
+            const idCheck = validateId(req.params.id);
+            if (!idCheck.valid) return res.status(400).json({ error: 'ID inválido' });
+            const motivo = sanitizeString(req.body?.motivo, 500);
+            if (!motivo) return res.status(400).json({ error: 'El motivo de la corrección es obligatorio' });
+            const entrada = req.body?.entrada != null ? horaLocal(req.body.entrada) : null;
+            const salida = req.body?.salida != null ? horaLocal(req.body.salida) : null;
+            if ((req.body?.entrada != null && !entrada) || (req.body?.salida != null && !salida)) {
+                return res.status(400).json({ error: 'Horas inválidas (YYYY-MM-DDTHH:MM, hora de España)' });
+            }
+
+            const prev = await pool.query(
+                `SELECT f.*, to_char(f.entrada AT TIME ZONE '${ZONA_REGISTRO}', 'YYYY-MM-DD"T"HH24:MI') AS entrada_local,
+                        to_char(f.salida AT TIME ZONE '${ZONA_REGISTRO}', 'YYYY-MM-DD"T"HH24:MI') AS salida_local
+                 FROM fichajes f WHERE f.id = $1 AND f.restaurante_id = $2`,
+                [idCheck.value, req.restauranteId]
+            );
+            const antes = prev.rows[0];
+            if (!antes) return res.status(404).json({ error: 'Fichaje no encontrado' });
+
+            const nuevaEntrada = entrada || antes.entrada_local;
+            const nuevaSalida = salida || antes.salida_local;
+            if (nuevaSalida) {
+                const horas = horasEntreLocales(nuevaEntrada, nuevaSalida);
+                if (horas === null) return res.status(400).json({ error: 'La salida no puede ser anterior a la entrada' });
+                if (horas > MAX_HORAS_FICHAJE) return res.status(400).json({ error: `Un fichaje no puede pasar de ${MAX_HORAS_FICHAJE}h` });
+            }
+
+            const { rows } = await pool.query(
+                `UPDATE fichajes SET
+                    entrada = $1::timestamp AT TIME ZONE '${ZONA_REGISTRO}',
+                    salida = $2::timestamp AT TIME ZONE '${ZONA_REGISTRO}',
+                    incidencia = CASE WHEN $2::timestamp IS NOT NULL THEN NULL ELSE incidencia END,
+                    editado_por = $3, motivo_edicion = $4, updated_at = NOW()
+                 WHERE id = $5 AND restaurante_id = $6
+                 RETURNING *`,
+                [nuevaEntrada, nuevaSalida, req.user?.userId || null, motivo, idCheck.value, req.restauranteId]
+            );
+            const { entrada_local: _e, salida_local: _s, ...datosAntes } = antes;
+            logChange(pool, {
+                req, tabla: 'fichajes', operacion: 'UPDATE',
+                registroId: idCheck.value, datosAntes, datosDespues: rows[0]
+            });
+            res.json(rows[0]);
+        } catch (err) {
+            if (err.code === '23505') return res.status(409).json({ error: 'El empleado ya tiene un fichaje abierto' });
+            log('error', 'Error corrigiendo fichaje', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // GET registro mensual (CSV por defecto; ?formato=json para la pantalla).
+    // Incluye a los empleados dados de baja que ficharon ese mes: el registro
+    // se conserva aunque la persona ya no esté.
+    router.get('/fichajes/registro', authMiddleware, requirePermission('staff:read'), async (req, res) => {
+        try {
+            const mes = String(req.query.mes || '');
+            if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(mes)) {
+                return res.status(400).json({ error: 'mes requerido (YYYY-MM)' });
+            }
+            const [anio, m] = mes.split('-').map(Number);
+            const desde = `${mes}-01`;
+            const hasta = new Date(Date.UTC(anio, m, 0)).toISOString().slice(0, 10);
+            const params = [req.restauranteId, desde, hasta];
+            let filtroEmpleado = '';
+            if (req.query.empleado_id !== undefined) {
+                const idCheck = validateId(req.query.empleado_id);
+                if (!idCheck.valid) return res.status(400).json({ error: 'empleado_id inválido' });
+                params.push(idCheck.value);
+                filtroEmpleado = 'AND f.empleado_id = $4';
+            }
+
+            const [restaurante, fichajes] = await Promise.all([
+                pool.query('SELECT nombre FROM restaurantes WHERE id = $1', [req.restauranteId]),
+                pool.query(
+                    `SELECT ${COLUMNAS_FICHAJE}, e.nombre AS empleado_nombre, e.puesto
+                     FROM fichajes f
+                     JOIN empleados e ON e.id = f.empleado_id AND e.restaurante_id = f.restaurante_id
+                     WHERE f.restaurante_id = $1 AND ${RANGO_LOCAL} ${filtroEmpleado}
+                     ORDER BY e.nombre, f.entrada`,
+                    params
+                )
+            ]);
+
+            const empleados = [];
+            for (const f of fichajes.rows) {
+                if (!empleados.some(e => e.id === f.empleado_id)) {
+                    empleados.push({ id: f.empleado_id, nombre: f.empleado_nombre, puesto: f.puesto });
+                }
+            }
+            const empresa = restaurante.rows[0]?.nombre || '';
+
+            if (req.query.formato === 'json') {
+                return res.json({ empresa, mes, empleados, fichajes: fichajes.rows });
+            }
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="registro-jornada-${mes}.csv"`);
+            res.send(registroMensualCsv({ empresa, mes, empleados, fichajes: fichajes.rows }));
+        } catch (err) {
+            log('error', 'Error exportando registro de jornada', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // GET previsto (horarios) vs. real (fichajes) por empleado y día
+    router.get('/fichajes/previsto-vs-real', authMiddleware, requirePermission('staff:read'), async (req, res) => {
+        try {
+            const desde = fechaIso(req.query.desde);
+            const hasta = fechaIso(req.query.hasta);
+            if (!desde || !hasta) return res.status(400).json({ error: 'desde y hasta son requeridos (YYYY-MM-DD)' });
+            if (hasta < desde) return res.status(400).json({ error: 'hasta no puede ser anterior a desde' });
+
+            const [empleados, turnos, fichajes] = await Promise.all([
+                pool.query(
+                    `SELECT id, nombre, coste_hora FROM empleados
+                     WHERE restaurante_id = $1
+                       AND (activo = true OR id IN (
+                            SELECT f.empleado_id FROM fichajes f
+                            WHERE f.restaurante_id = $1 AND ${RANGO_LOCAL}))
+                     ORDER BY nombre`,
+                    [req.restauranteId, desde, hasta]
+                ),
+                pool.query(
+                    `SELECT empleado_id, fecha::text AS fecha,
+                            to_char(hora_inicio, 'HH24:MI') AS hora_inicio,
+                            to_char(hora_fin, 'HH24:MI') AS hora_fin
+                     FROM horarios
+                     WHERE restaurante_id = $1 AND fecha BETWEEN $2 AND $3`,
+                    [req.restauranteId, desde, hasta]
+                ),
+                pool.query(
+                    `SELECT f.empleado_id, ${FECHA_LOCAL}::text AS fecha, ${HORAS_SQL} AS horas,
+                            (f.salida IS NULL) AS abierto
+                     FROM fichajes f
+                     WHERE f.restaurante_id = $1 AND ${RANGO_LOCAL}`,
+                    [req.restauranteId, desde, hasta]
+                )
+            ]);
+
+            res.json({
+                desde,
+                hasta,
+                ...previstoVsReal({ empleados: empleados.rows, turnos: turnos.rows, fichajes: fichajes.rows })
+            });
+        } catch (err) {
+            log('error', 'Error en previsto vs. real', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    return router;
+};
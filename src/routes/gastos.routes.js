@@ -3,7 +3,7 @@
  * Fixed expenses (gastos fijos) CRUD
  */
 const { Router } = require('express');
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const { log } = require('../utils/logger');
 const { validatePrecio, sanitizeString, validateId } = require('../utils/validators');
 const { logChange } = require('../utils/auditLog');
@@ -16,7 +16,7 @@ module.exports = function (pool) {
 
     // ========== GASTOS FIJOS (Fixed Expenses) ==========
     // GET all gastos fijos
-    router.get('/gastos-fijos', authMiddleware, async (req, res) => {
+    router.get('/gastos-fijos', authMiddleware, requirePermission('finance:read'), async (req, res) => {
         try {
             const result = await pool.query(
                 'SELECT * FROM gastos_fijos WHERE activo = true AND restaurante_id = $1 ORDER BY id',
@@ -30,7 +30,7 @@ module.exports = function (pool) {
     });
 
     // POST create gasto fijo
-    router.post('/gastos-fijos', authMiddleware, async (req, res) => {
+    router.post('/gastos-fijos', authMiddleware, requirePermission('finance:write'), async (req, res) => {
         try {
             const { concepto, monto_mensual } = req.body;
 
@@ -63,7 +63,7 @@ module.exports = function (pool) {
     });
 
     // PUT update gasto fijo
-    router.put('/gastos-fijos/:id', authMiddleware, async (req, res) => {
+    router.put('/gastos-fijos/:id', authMiddleware, requirePermission('finance:write'), async (req, res) => {
         try {
             const idCheck = validateId(req.params.id);
             if (!idCheck.valid) return res.status(400).json({ error: 'ID inválido' });
@@ -99,14 +99,14 @@ module.exports = function (pool) {
     });
 
     // DELETE gasto fijo (soft delete)
-    router.delete('/gastos-fijos/:id', authMiddleware, async (req, res) => {
+    router.delete('/gastos-fijos/:id', authMiddleware, requirePermission('finance:write'), async (req, res) => {
         try {
             const idCheck = validateId(req.params.id);
             if (!idCheck.valid) return res.status(400).json({ error: 'ID inválido' });
             const id = idCheck.value;
 
             await pool.query(
-                'UPDATE gastos_fijos SET activo = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND restaurante_id = $2',
+                'UPDATE gastos_fijos SET activo = false, fecha_baja = COALESCE(fecha_baja, CURRENT_DATE), updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND restaurante_id = $2',
                 [id, req.restauranteId]
             );
 
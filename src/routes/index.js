@@ -3,7 +3,7 @@
  * 
  * All routes are mounted under /api prefix.
  * Each route file exports a factory function: (pool) => Router
- * Auth routes additionally receive config: (pool, { resend, JWT_SECRET, INVITATION_CODE })
+ * Auth, superadmin and informe-mensual routes additionally receive config: (pool, { resend, JWT_SECRET, INVITATION_CODE })
  * 
  * DEFENSIVE: Each module is wrapped in try-catch so one failing module
  * does not prevent the rest from loading.
@@ -41,7 +41,10 @@ module.exports = function mountRoutes(app, pool, { resend }) {
     mount('staff', require('./staff.routes'), pool);
     mount('gastos', require('./gastos.routes'), pool);
     mount('personal-extra', require('./personal-extra.routes'), pool);
+    mount('fichajes', require('./fichajes.routes'), pool);
+    mount('ausencias', require('./ausencias.routes'), pool);
     mount('balance', require('./balance.routes'), pool);
+    mount('presupuestos', require('./presupuestos.routes'), pool);
     mount('analytics', require('./analytics.routes'), pool);
     mount('daily', require('./daily.routes'), pool);
     mount('monthly', require('./monthly.routes'), pool);
@@ -54,21 +57,26 @@ module.exports = function mountRoutes(app, pool, { resend }) {
     mount('superadmin', require('./superadmin.routes'), pool, config);
     mount('integrations', require('./integrations.routes'), pool);
     mount('transfers', require('./transfers.routes'), pool);
+    mount('owner', require('./owner.routes'), pool);
+    mount('produccion', require('./produccion.routes'), pool);
     mount('chat', require('./chat.routes'), pool);
     mount('subscription', require('./subscription.routes'), pool);
     mount('webhooks', require('./webhooks.routes'), pool);
     mount('search', require('./search.routes'), pool);
     mount('onboarding', require('./onboarding.routes'), pool);
+    mount('supplier-invoices', require('./supplier-invoices.routes'), pool);
+    mount('informe-mensual', require('./informe-mensual.routes'), pool, config);
+    mount('outbound-webhooks', require('./outbound-webhooks.routes'), pool);
 
     // Suppliers — already controller-based (Fase 4B)
     try {
-        const { authMiddleware } = require('../middleware/auth');
+        const { authMiddleware, requirePermission } = require('../middleware/auth');
         const SupplierController = require('../interfaces/http/controllers/SupplierController');
-        app.get('/api/suppliers', authMiddleware, SupplierController.list);
-        app.get('/api/suppliers/:id', authMiddleware, SupplierController.getById);
-        app.post('/api/suppliers', authMiddleware, SupplierController.create);
-        app.put('/api/suppliers/:id', authMiddleware, SupplierController.update);
-        app.delete('/api/suppliers/:id', authMiddleware, SupplierController.delete);
+        app.get('/api/suppliers', authMiddleware, requirePermission('suppliers:read'), SupplierController.list);
+        app.get('/api/suppliers/:id', authMiddleware, requirePermission('suppliers:read'), SupplierController.getById);
+        app.post('/api/suppliers', authMiddleware, requirePermission('suppliers:write'), SupplierController.create);
+        app.put('/api/suppliers/:id', authMiddleware, requirePermission('suppliers:write'), SupplierController.update);
+        app.delete('/api/suppliers/:id', authMiddleware, requirePermission('suppliers:delete'), SupplierController.delete);
         console.log('[ROUTES] ✅ suppliers mounted');
     } catch (err) {
         console.error('[ROUTES] ❌ suppliers FAILED:', err.message);
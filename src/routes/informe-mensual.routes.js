@@ -0,0 +1,273 @@
+/**
+ * informe-mensual Routes — suscripción al informe mensual por email.
+ *
+ * El informe en sí (datos + HTML) sigue en /chat/informe-mensual[/html]. Esto
+ * gestiona el ENVÍO programado: a quién, qué día, el registro de entregas y
+ * la baja desde el propio email. El programador y el envío viven en
+ * services/informeMensualEnvioService.js.
+ *
+ * Recibe `resend` por config, como auth.routes.
+ */
+const { Router } = require('express');
+const { authMiddleware, requireAdmin, requirePermission } = require('../middleware/auth');
+const { costlyApiLimiter, globalLimiter } = require('../middleware/rateLimit');
+const { log } = require('../utils/logger');
+const { logChange } = require('../utils/auditLog');
+const { validateId } = require('../utils/validators');
+const {
+    mesAnterior, proximoEnvio, verificarFirmaBaja, enviarInforme
+} = require('../services/informeMensualEnvioService');
+
+const APP_URL = process.env.APP_URL || 'https://app.mindloop.cloud';
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MES_RE = /^\d{4}-(0[1-9]|1[0-2])$/;
+const MAX_DESTINATARIOS = 10;
+
+function escapeHtml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+// Página mínima de resultado de la baja (se abre desde el email, sin sesión).
+function bajaPageHTML(title, message) {
+    return `<!DOCTYPE html>
+<html lang="es"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${escapeHtml(title)} — MindLoop CostOS</title>
+<style>body{font-family:sans-serif;background:#0f172a;color:#e2e8f0;display:flex;align-items:center;justify-content:center;min-height:100vh;margin:0}
+.card{background:#1e293b;border-radius:16px;padding:40px;max-width:420px;width:90%;text-align:center}
+h1{font-size:20px;margin:0 0 12px}p{color:#94a3b8;line-height:1.6}a{color:#a5b4fc}</style></head>
+<body><div class="card"><h1>${escapeHtml(title)}</h1><p>${escapeHtml(message)}</p>
+<p><a href="${APP_URL}">Ir a MindLoop CostOS</a></p></div></body></html>`;
+}
+
+// Confirmación de la baja: el GET no da de baja (los escáneres de correo y el
+// prefetch abren los enlaces); el botón hace el POST con el mismo enlace.
+function bajaConfirmarHTML(email, accion) {
+    return `<!DOCTYPE html>
+<html lang="es"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>Darse de baja — MindLoop CostOS</title>
+<style>body{font-family:sans-serif;background:#0f172a;color:#e2e8f0;display:flex;align-items:center;justify-content:center;min-height:100vh;margin:0}
+.card{background:#1e293b;border-radius:16px;padding:40px;max-width:420px;width:90%;text-align:center}
+h1{font-size:20px;margin:0 0 12px}p{color:#94a3b8;line-height:1.6}a{color:#a5b4fc}
+button{background:#6366f1;color:#fff;border:0;border-radius:8px;padding:12px 24px;font-size:15px;cursor:pointer}</style></head>
+<body><div class="card"><h1>Darse de baja</h1><p>${escapeHtml(email)} dejará de recibir el informe mensual.</p>
+<form method="POST" action="${escapeHtml(accion)}"><button type="submit">Confirmar la baja</button></form>
+<p><a href="${APP_URL}">Ir a MindLoop CostOS</a></p></div></body></html>`;
+}
+
+/** Sanea la lista de destinatarios. Devuelve { error } o { destinatarios }. */
+function sanearDestinatarios(lista) {
+    if (!Array.isArray(lista)) return { error: 'destinatarios debe ser un array de emails' };
+    const out = [];
+    for (const e of lista) {
+        const email = String(e || '').trim().toLowerCase();
+        if (!EMAIL_RE.test(email) || email.length > 254) return { error: `Email inválido: ${String(e).slice(0, 60)}` };
+        if (!out.includes(email)) out.push(email);
+    }
+    if (out.length > MAX_DESTINATARIOS) return { error: `Máximo ${MAX_DESTINATARIOS} destinatarios` };
+    return { destinatarios: out };
+}
+
+/**
+ * @param {Pool} pool
+ * @param {{ resend }} config
+ */
+module.exports = function (pool, { resend } = {}) {
+    const router = Router();
+
+    // GET /api/informe-mensual/suscripcion
+    router.get('/informe-mensual/suscripcion', authMiddleware, requirePermission('finance:read'), async (req, res) => {
+        try {
+            const { rows } = await pool.query(
+                'SELECT * FROM informes_suscripciones WHERE restaurante_id = $1',
+                [req.restauranteId]
+            );
+            const suscripcion = rows[0] || null;
+            res.json({
+                suscripcion,
+                proximo_envio: proximoEnvio(suscripcion),
+                email_disponible: !!resend
+            });
+        } catch (err) {
+            log('error', 'Error obteniendo suscripción de informe', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // PUT /api/informe-mensual/suscripcion
+    // Body: { destinatarios: [emails], dia_envio (1-28), lang ('es'|'en'), activo }
+    router.put('/informe-mensual/suscripcion', authMiddleware, requireAdmin, async (req, res) => {
+        try {
+            const { destinatarios, dia_envio = 2, lang = 'es', activo = true } = req.body;
+
+            const dest = sanearDestinatarios(destinatarios);
+            if (dest.error) return res.status(400).json({ error: dest.error });
+            const dia = parseInt(dia_envio, 10);
+            // Hasta el 28: así el día existe todos los meses.
+            if (!Number.isInteger(dia) || dia < 1 || dia > 28) {
+                return res.status(400).json({ error: 'dia_envio debe estar entre 1 y 28' });
+            }
+            if (!['es', 'en'].includes(lang)) {
+                return res.status(400).json({ error: "lang debe ser 'es' o 'en'" });
+            }
+
+            const previa = await pool.query(
+                'SELECT * FROM informes_suscripciones WHERE restaurante_id = $1',
+                [req.restauranteId]
+            );
+
+            // Alta nueva con el día de envío ya pasado este mes: el mes
+            // anterior se da por servido y el primer email sale el mes que
+            // viene (para mandarlo ya está POST /informe-mensual/enviar).
+            const hoy = new Date();
+            const ultimoInicial = hoy.getUTCDate() > dia ? mesAnterior(hoy) : null;
+
+            const { rows } = await pool.query(
+                `INSERT INTO informes_suscripciones
+                    (restaurante_id, destinatarios, dia_envio, lang, activo, ultimo_mes_enviado, usuario_id)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7)
+                 ON CONFLICT (restaurante_id) DO UPDATE SET
+                    destinatarios = EXCLUDED.destinatarios,
+                    dia_envio = EXCLUDED.dia_envio,
+                    lang = EXCLUDED.lang,
+                    activo = EXCLUDED.activo,
+                    usuario_id = EXCLUDED.usuario_id,
+                    updated_at = NOW()
+                 RETURNING *`,
+                [req.restauranteId, JSON.stringify(dest.destinatarios), dia, lang, activo !== false,
+                    ultimoInicial, req.user?.userId || null]
+            );
+
+            logChange(pool, {
+                req,
+                tabla: 'informes_suscripciones',
+                operacion: previa.rows.length > 0 ? 'UPDATE' : 'INSERT',
+                registroId: rows[0].id,
+                datosAntes: previa.rows[0] || null,
+                datosDespues: rows[0]
+            });
+
+            res.json({ suscripcion: rows[0], proximo_envio: proximoEnvio(rows[0]) });
+        } catch (err) {
+            log('error', 'Error guardando suscripción de informe', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // GET /api/informe-mensual/envios — registro de entregas (últimas 24)
+    router.get('/informe-mensual/envios', authMiddleware, requirePermission('finance:read'), async (req, res) => {
+        try {
+            const { rows } = await pool.query(
+                `SELECT id, mes, destinatarios, estado, con_ia, error, manual, created_at
+                 FROM informes_envios
+                 WHERE restaurante_id = $1
+                 ORDER BY created_at DESC
+                 LIMIT 24`,
+                [req.restauranteId]
+            );
+            res.json(rows);
+        } catch (err) {
+            log('error', 'Error obteniendo envíos de informe', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // POST /api/informe-mensual/enviar — envío manual ahora a los destinatarios
+    // de la suscripción. Body: { mes?: 'YYYY-MM' } (por defecto el anterior).
+    // No toca el calendario: el envío programado sigue su curso.
+    router.post('/informe-mensual/enviar', costlyApiLimiter, authMiddleware, requireAdmin, async (req, res) => {
+        try {
+            if (!resend) {
+                return res.status(503).json({ error: 'El envío de emails no está configurado' });
+            }
+            const mes = req.body?.mes || mesAnterior();
+            if (!MES_RE.test(mes)) {
+                return res.status(400).json({ error: 'mes debe ser YYYY-MM' });
+            }
+            const { rows } = await pool.query(
+                'SELECT * FROM informes_suscripciones WHERE restaurante_id = $1',
+                [req.restauranteId]
+            );
+            if (rows.length === 0 || (rows[0].destinatarios || []).length === 0) {
+                return res.status(404).json({ error: 'No hay suscripción con destinatarios' });
+            }
+
+            const r = await enviarInforme(pool, resend, { suscripcion: rows[0], mes, manual: true });
+            if (r.estado === 'error') {
+                return res.status(502).json({ error: 'No se pudo enviar el informe', detalle: r.error });
+            }
+            res.json({ mes, ...r });
+        } catch (err) {
+            log('error', 'Error enviando informe manual', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // GET|POST /api/informe-mensual/baja?s=<suscripción>&e=<email>&t=<firma>
+    // Sin sesión: se abre desde el email. La firma (HMAC) ata el enlace a ese
+    // email. Solo el POST da de baja: el del cliente de correo (RFC 8058,
+    // responde JSON) o el del botón de la página del GET (`pagina=1`, responde
+    // HTML). Quita el email de la lista; si no queda nadie, la suscripción se
+    // desactiva.
+    function leerEnlaceBaja(req) {
+        const sCheck = validateId(req.query.s);
+        const email = String(req.query.e || '').trim().toLowerCase();
+        if (!sCheck.valid || !email || !verificarFirmaBaja(sCheck.value, email, String(req.query.t || ''))) {
+            return null;
+        }
+        return { suscripcionId: sCheck.value, email };
+    }
+
+    async function darDeBaja(req) {
+        const enlace = leerEnlaceBaja(req);
+        if (!enlace) return { ok: false };
+        const { rows } = await pool.query(
+            `UPDATE informes_suscripciones
+             SET destinatarios = COALESCE((
+                     SELECT jsonb_agg(d) FROM jsonb_array_elements_text(destinatarios) d WHERE lower(d) <> $2
+                 ), '[]'::jsonb),
+                 activo = activo AND EXISTS (
+                     SELECT 1 FROM jsonb_array_elements_text(destinatarios) d WHERE lower(d) <> $2
+                 ),
+                 updated_at = NOW()
+             WHERE id = $1
+             RETURNING id, restaurante_id, activo`,
+            [enlace.suscripcionId, enlace.email]
+        );
+        if (rows.length > 0) {
+            log('info', 'Baja de informe mensual', { suscripcionId: rows[0].id, restauranteId: rows[0].restaurante_id, activo: rows[0].activo });
+        }
+        return { ok: true };
+    }
+
+    const ENLACE_NO_VALIDO = bajaPageHTML('Enlace no válido', 'El enlace de baja no es válido. Puedes gestionar los envíos desde la app.');
+
+    router.get('/informe-mensual/baja', globalLimiter, (req, res) => {
+        const enlace = leerEnlaceBaja(req);
+        if (!enlace) return res.status(400).send(ENLACE_NO_VALIDO);
+        const accion = `?${new URLSearchParams({ s: String(enlace.suscripcionId), e: enlace.email, t: String(req.query.t), pagina: '1' })}`;
+        res.send(bajaConfirmarHTML(enlace.email, accion));
+    });
+
+    router.post('/informe-mensual/baja', globalLimiter, async (req, res) => {
+        const pagina = req.query.pagina === '1';
+        try {
+            const r = await darDeBaja(req);
+            if (pagina) {
+                if (!r.ok) return res.status(400).send(ENLACE_NO_VALIDO);
+                return res.send(bajaPageHTML('Baja confirmada', 'Ya no recibirás el informe mensual en este email.'));
+            }
+            res.status(r.ok ? 200 : 400).json({ ok: r.ok });
+        } catch (err) {
+            log('error', 'Error en baja de informe', { error: err.message });
+            if (pagina) return res.status(500).send(bajaPageHTML('Error', 'Ocurrió un error interno. Inténtalo de nuevo más tarde.'));
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    return router;
+};
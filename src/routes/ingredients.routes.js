@@ -3,12 +3,14 @@
  * Ingredients CRUD, match, stock adjustment, toggle, ingredient-supplier associations
  */
 const { Router } = require('express');
-const { authMiddleware, requireAdmin } = require('../middleware/auth');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const { log } = require('../utils/logger');
-const { validatePrecio, validateCantidad, sanitizeString, validateRequired, validateId } = require('../utils/validators');
+const { validatePrecio, validateCantidad, sanitizeString, validateRequired, validateId, validateDate } = require('../utils/validators');
 const { logChange } = require('../utils/auditLog');
 const onboardingService = require('../services/onboardingService');
+const { registrarMovimientoStock, construirLibroStock } = require('../utils/stockLedger');
 const { precioFichaDesdeBase, precioUnitarioIngrediente, desviacionSupera, cpfSeguro, completarFormatoDesdeIngrediente } = require('../utils/supplierPricing');
+const AlertService = require('../application/services/AlertService');
 
 /**
  * Resuelve el precio CANÓNICO (€/unidad-base) de una asociación ingrediente↔proveedor
@@ -78,7 +80,7 @@ module.exports = function (pool) {
     const router = Router();
 
     // ========== INGREDIENTES ==========
-    router.get('/ingredients', authMiddleware, async (req, res) => {
+    router.get('/ingredients', authMiddleware, requirePermission('ingredients:read'), async (req, res) => {
         try {
             const { include_inactive } = req.query;
             // Por defecto solo devuelve activos y no eliminados
@@ -101,7 +103,7 @@ module.exports = function (pool) {
     // POST /api/ingredients/match
     // Busca ingrediente por nombre exacto, luego por alias
     // ============================================
-    router.post('/ingredients/match', authMiddleware, async (req, res) => {
+    router.post('/ingredients/match', authMiddleware, requirePermission('ingredients:read'), async (req, res) => {
         try {
             const { nombre } = req.body;
 
@@ -214,7 +216,7 @@ module.exports = function (pool) {
         }
     });
 
-    router.post('/ingredients', authMiddleware, async (req, res) => {
+    router.post('/ingredients', authMiddleware, requirePermission('ingredients:write'), async (req, res) => {
         try {
             const { nombre, proveedorId, proveedor_id, precio, unidad, stockActual, stock_actual, stockMinimo, stock_minimo, familia, formato_compra, cantidad_por_formato, rendimiento, alergenos } = req.body;
 
@@ -288,7 +290,7 @@ module.exports = function (pool) {
         }
     });
 
-    router.put('/ingredients/:id', authMiddleware, async (req, res) => {
+    router.put('/ingredients/:id', authMiddleware, requirePermission('ingredients:write'), async (req, res) => {
         try {
             const idCheck = validateId(req.params.id);
             if (!idCheck.valid) {
@@ -381,10 +383,45 @@ module.exports = function (pool) {
 
             // 🔒 deleted_at IS NULL: evita resucitar un ingrediente soft-eliminado vía PUT
             // fecha_actualizacion = NOW(): util para diagnostico (saber cuando se edito por ultima vez)
-            const result = await pool.query(
-                'UPDATE ingredientes SET nombre=$1, proveedor_id=$2, precio=$3, unidad=$4, stock_actual=$5, stock_minimo=$6, familia=$7, formato_compra=$10, cantidad_por_formato=$11, rendimiento=$12, alergenos=$13, precio_fijado=$14, fecha_actualizacion=NOW() WHERE id=$8 AND restaurante_id=$9 AND deleted_at IS NULL RETURNING *',
-                [finalNombre, finalProveedorId, finalPrecio, finalUnidad, finalStockActual, finalStockMinimo, finalFamilia, id, req.restauranteId, finalFormatoCompra, finalCantidadPorFormato, finalRendimiento, JSON.stringify(finalAlergenos), finalPrecioFijado]
-            );
+            //
+            // Libro de stock: el apunte 'edicion' va en la MISMA transacción que
+            // el UPDATE y con el stock de antes leído con FOR UPDATE. Leído sin
+            // bloqueo (el SELECT de arriba), dos ediciones o una venta a la vez
+            // apuntaban un antes/después que nunca existió. Si el body no trae
+            // stock, se conserva el bloqueado, no el leído antes.
+            const client = await pool.connect();
+            let result;
+            try {
+                await client.query('BEGIN');
+                const lock = await client.query(
+                    'SELECT stock_actual FROM ingredientes WHERE id = $1 AND restaurante_id = $2 AND deleted_at IS NULL FOR UPDATE',
+                    [id, req.restauranteId]
+                );
+                if (lock.rows.length === 0) {
+                    await client.query('ROLLBACK');
+                    return res.status(404).json({ error: 'Ingrediente no encontrado' });
+                }
+                const stockAntes = parseFloat(lock.rows[0].stock_actual) || 0;
+                const stockTraEdicion = (body.stock_actual !== undefined || body.stockActual !== undefined)
+                    ? finalStockActual
+                    : stockAntes;
+                result = await client.query(
+                    'UPDATE ingredientes SET nombre=$1, proveedor_id=$2, precio=$3, unidad=$4, stock_actual=$5, stock_minimo=$6, familia=$7, formato_compra=$10, cantidad_por_formato=$11, rendimiento=$12, alergenos=$13, precio_fijado=$14, fecha_actualizacion=NOW() WHERE id=$8 AND restaurante_id=$9 AND deleted_at IS NULL RETURNING *',
+                    [finalNombre, finalProveedorId, finalPrecio, finalUnidad, stockTraEdicion, finalStockMinimo, finalFamilia, id, req.restauranteId, finalFormatoCompra, finalCantidadPorFormato, finalRendimiento, JSON.stringify(finalAlergenos), finalPrecioFijado]
+                );
+                // Solo apunta si la edición cambió el stock (el helper no apunta deltas 0).
+                await registrarMovimientoStock(client, {
+                    restauranteId: req.restauranteId, ingredienteId: id, tipo: 'edicion',
+                    stockAntes,
+                    referenciaTipo: 'ingrediente', referenciaId: id, usuarioId: req.user?.userId
+                });
+                await client.query('COMMIT');
+            } catch (txErr) {
+                await client.query('ROLLBACK').catch(() => {});
+                throw txErr;
+            } finally {
+                client.release();
+            }
 
             // ⚡ SYNC: si el precio del ingrediente cambio, propagarlo al precio del proveedor
             // PRINCIPAL en ingredientes_proveedores. El modal "Proveedores asociados" lee de
@@ -475,6 +512,17 @@ module.exports = function (pool) {
                 datosDespues: result.rows[0] || null,
             });
 
+            // Alertas de subida de precio y de margen de las recetas que lo usan
+            // (fire-and-forget). Se compara €/unidad base: cambiar el formato
+            // también cambia lo que cuesta el escandallo.
+            const precioUnitAntes = precioUnitarioIngrediente(existing.precio, existing.cantidad_por_formato);
+            const precioUnitDespues = precioUnitarioIngrediente(finalPrecio, finalCantidadPorFormato);
+            if (result.rows.length > 0 && Math.abs(precioUnitDespues - precioUnitAntes) > 0.00001) {
+                AlertService.trigger(pool, 'price_change', req.restauranteId, {
+                    priceChanges: [{ ingredientId: id, name: finalNombre, oldPrice: precioUnitAntes, newPrice: precioUnitDespues }]
+                });
+            }
+
             res.json(result.rows[0] || {});
         } catch (err) {
             log('error', 'Error actualizando ingrediente', { error: err.message });
@@ -482,7 +530,7 @@ module.exports = function (pool) {
         }
     });
 
-    router.delete('/ingredients/:id', authMiddleware, requireAdmin, async (req, res) => {
+    router.delete('/ingredients/:id', authMiddleware, requirePermission('ingredients:delete'), async (req, res) => {
         try {
             const idCheck = validateId(req.params.id);
             if (!idCheck.valid) {
@@ -530,14 +578,17 @@ module.exports = function (pool) {
 
     // 🔒 ATOMIC STOCK ADJUSTMENT - Evita problemas de read-modify-write
     // El frontend ya NO calcula stock nuevo, solo envía el delta (+X o -X)
-    router.post('/ingredients/:id/adjust-stock', authMiddleware, async (req, res) => {
+    router.post('/ingredients/:id/adjust-stock', authMiddleware, requirePermission('ingredients:write'), async (req, res) => {
+        const client = await pool.connect();
         try {
             const idCheck = validateId(req.params.id);
             if (!idCheck.valid) {
                 return res.status(400).json({ error: idCheck.error });
             }
             const id = idCheck.value;
-            const { delta, reason, min_zero = true } = req.body;
+            // reference_type/reference_id (opcionales): de dónde viene el ajuste
+            // (p.ej. 'pedido' + id al recibir). Van tal cual al libro de stock.
+            const { delta, reason, min_zero = true, reference_type, reference_id } = req.body;
 
             // Validar delta
             if (delta === undefined || delta === null || isNaN(parseFloat(delta))) {
@@ -559,7 +610,19 @@ module.exports = function (pool) {
                 ? 'GREATEST(0, COALESCE(stock_actual, 0) + $1)'
                 : 'COALESCE(stock_actual, 0) + $1';
 
-            const result = await pool.query(
+            // Transacción + lock: el libro de stock necesita el stock de ANTES
+            // para apuntar lo que el clamp dejó mover de verdad.
+            await client.query('BEGIN');
+            const lock = await client.query(
+                'SELECT id, stock_actual FROM ingredientes WHERE id = $1 AND restaurante_id = $2 AND deleted_at IS NULL FOR UPDATE',
+                [id, req.restauranteId]
+            );
+            if (lock.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({ error: 'Ingrediente no encontrado' });
+            }
+
+            const result = await client.query(
                 `UPDATE ingredientes 
              SET stock_actual = ${stockExpr},
                  ultima_actualizacion_stock = NOW()
@@ -568,9 +631,15 @@ module.exports = function (pool) {
                 [deltaValue, id, req.restauranteId]
             );
 
-            if (result.rowCount === 0) {
-                return res.status(404).json({ error: 'Ingrediente no encontrado' });
-            }
+            const refId = reference_id !== undefined && reference_id !== null ? validateId(reference_id) : null;
+            await registrarMovimientoStock(client, {
+                restauranteId: req.restauranteId, ingredienteId: id, tipo: 'ajuste',
+                stockAntes: parseFloat(lock.rows[0].stock_actual) || 0,
+                referenciaTipo: reference_type ? String(reference_type).slice(0, 20) : null,
+                referenciaId: refId && refId.valid ? refId.value : null,
+                notas: reason || null, usuarioId: req.user?.userId
+            });
+            await client.query('COMMIT');
 
             const updated = result.rows[0];
             log('info', 'Stock ajustado atómicamente', {
@@ -589,18 +658,23 @@ module.exports = function (pool) {
                 reason
             });
         } catch (err) {
+            await client.query('ROLLBACK').catch(() => {});
             log('error', 'Error ajustando stock', { error: err.message, id: req.params.id });
             res.status(500).json({ error: 'Error interno ajustando stock' });
+        } finally {
+            client.release();
         }
     });
 
     // Bulk atomic stock adjustment - Para operaciones con múltiples ingredientes (recepción, producción)
     // ⚡ FIX W1: Wrapped in transaction — all adjustments succeed or none do
-    router.post('/ingredients/bulk-adjust-stock', authMiddleware, async (req, res) => {
+    router.post('/ingredients/bulk-adjust-stock', authMiddleware, requirePermission('ingredients:write'), async (req, res) => {
         const client = await pool.connect();
         try {
-            const { adjustments, reason } = req.body;
+            const { adjustments, reason, reference_type, reference_id } = req.body;
             // adjustments: [{ id: 123, delta: 5.0 }, { id: 456, delta: -2.0 }]
+            // reference_type/reference_id (opcionales, a nivel de lote o por ajuste):
+            // origen del movimiento para el libro de stock (p.ej. 'pedido' + id).
 
             if (!Array.isArray(adjustments) || adjustments.length === 0) {
                 return res.status(400).json({ error: 'Array de ajustes requerido' });
@@ -630,8 +704,8 @@ module.exports = function (pool) {
                 try {
                     // FOR UPDATE lock to prevent race conditions
                     // 🔒 deleted_at IS NULL: no bloquear filas zombi (auditoria A1-A3).
-                    await client.query(
-                        'SELECT id FROM ingredientes WHERE id = $1 AND restaurante_id = $2 AND deleted_at IS NULL FOR UPDATE',
+                    const lockAdj = await client.query(
+                        'SELECT id, stock_actual FROM ingredientes WHERE id = $1 AND restaurante_id = $2 AND deleted_at IS NULL FOR UPDATE',
                         [adj.id, req.restauranteId]
                     );
 
@@ -645,6 +719,15 @@ module.exports = function (pool) {
                     );
 
                     if (result.rowCount > 0) {
+                        const refTipo = adj.reference_type || reference_type;
+                        const refId = validateId(adj.reference_id ?? reference_id);
+                        await registrarMovimientoStock(client, {
+                            restauranteId: req.restauranteId, ingredienteId: result.rows[0].id, tipo: 'ajuste',
+                            stockAntes: parseFloat(lockAdj.rows[0]?.stock_actual) || 0,
+                            referenciaTipo: refTipo ? String(refTipo).slice(0, 20) : null,
+                            referenciaId: refId.valid ? refId.value : null,
+                            notas: reason || null, usuarioId: req.user?.userId
+                        });
                         results.push({
                             id: result.rows[0].id,
                             nombre: result.rows[0].nombre,
@@ -678,7 +761,7 @@ module.exports = function (pool) {
     });
 
     // Toggle activo/inactivo ingrediente (en lugar de eliminar)
-    router.patch('/ingredients/:id/toggle-active', authMiddleware, async (req, res) => {
+    router.patch('/ingredients/:id/toggle-active', authMiddleware, requirePermission('ingredients:write'), async (req, res) => {
         try {
             // 🔒 validateId: rechazar IDs no enteros con 400 en vez de 500 (auditoria A1-M10).
             const idCheck = validateId(req.params.id);
@@ -705,10 +788,72 @@ module.exports = function (pool) {
         }
     });
 
+    // GET /api/ingredients/:id/movements?desde=YYYY-MM-DD&hasta=YYYY-MM-DD
+    // Libro de stock del ingrediente: cada movimiento con su origen y el saldo
+    // acumulado, cuadrado contra stock_actual. `huecos` > 0 = alguien tocó el
+    // stock sin pasar por el libro (ver utils/stockLedger).
+    router.get('/ingredients/:id/movements', authMiddleware, requirePermission('ingredients:read'), async (req, res) => {
+        try {
+            const idCheck = validateId(req.params.id);
+            if (!idCheck.valid) {
+                return res.status(400).json({ error: 'ID de ingrediente inválido' });
+            }
+            const id = idCheck.value;
+
+            let desde = null;
+            let hasta = null;
+            if (req.query.desde) {
+                const d = validateDate(req.query.desde);
+                if (!d.valid) return res.status(400).json({ error: 'Fecha desde inválida' });
+                desde = d.value.toISOString().slice(0, 10);
+            }
+            if (req.query.hasta) {
+                const h = validateDate(req.query.hasta);
+                if (!h.valid) return res.status(400).json({ error: 'Fecha hasta inválida' });
+                hasta = h.value.toISOString().slice(0, 10);
+            }
+
+            const ing = await pool.query(
+                'SELECT id, nombre, unidad, stock_actual FROM ingredientes WHERE id = $1 AND restaurante_id = $2 AND deleted_at IS NULL',
+                [id, req.restauranteId]
+            );
+            if (ing.rows.length === 0) {
+                return res.status(404).json({ error: 'Ingrediente no encontrado' });
+            }
+
+            // Con `hasta` el libro cierra en esa fecha: el cuadre contra el stock
+            // de hoy solo tiene sentido si no se corta por el final.
+            const movs = await pool.query(
+                `SELECT id, movement_type, quantity, stock_after, reference_type, reference_id,
+                        notes, created_by, created_at
+                 FROM stock_movements
+                 WHERE restaurant_id = $1 AND ingredient_id = $2
+                   AND ($3::date IS NULL OR created_at >= $3::date)
+                   AND ($4::date IS NULL OR created_at < $4::date + 1)
+                 ORDER BY created_at, id`,
+                [req.restauranteId, id, desde, hasta]
+            );
+
+            const libro = construirLibroStock(movs.rows, ing.rows[0].stock_actual);
+            res.json({
+                ingrediente: { id: ing.rows[0].id, nombre: ing.rows[0].nombre, unidad: ing.rows[0].unidad },
+                desde: req.query.desde || null,
+                hasta: req.query.hasta || null,
+                ...libro,
+                // Cortado por `hasta`, el saldo final no es el de hoy: no se cuadra.
+                cuadra: hasta ? null : libro.cuadra,
+                diferencia: hasta ? null : libro.diferencia
+            });
+        } catch (err) {
+            log('error', 'Error obteniendo movimientos de stock', { error: err.message, id: req.params.id });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
     // ========== INGREDIENTES - PROVEEDORES MÚLTIPLES ==========
 
     // GET /api/ingredients-suppliers - Obtener TODOS los ingredientes_proveedores del restaurante
-    router.get('/ingredients-suppliers', authMiddleware, async (req, res) => {
+    router.get('/ingredients-suppliers', authMiddleware, requirePermission('ingredients:read'), async (req, res) => {
         try {
             // 🔒 i.deleted_at IS NULL: no devolver asociaciones de ingredientes
             //    soft-deleted (auditoria A1-A5).
@@ -734,7 +879,7 @@ module.exports = function (pool) {
     });
 
     // GET /api/ingredients/:id/suppliers - Obtener proveedores de un ingrediente
-    router.get('/ingredients/:id/suppliers', authMiddleware, async (req, res) => {
+    router.get('/ingredients/:id/suppliers', authMiddleware, requirePermission('ingredients:read'), async (req, res) => {
         try {
             const { id } = req.params;
 
@@ -768,7 +913,7 @@ module.exports = function (pool) {
     });
 
     // POST /api/ingredients/:id/suppliers - Asociar proveedor a ingrediente
-    router.post('/ingredients/:id/suppliers', authMiddleware, async (req, res) => {
+    router.post('/ingredients/:id/suppliers', authMiddleware, requirePermission('ingredients:write'), async (req, res) => {
         try {
             const { id } = req.params;
             const { proveedor_id, es_proveedor_principal } = req.body;
@@ -863,7 +1008,7 @@ module.exports = function (pool) {
     });
 
     // PUT /api/ingredients/:id/suppliers/:supplierId - Actualizar precio o principal
-    router.put('/ingredients/:id/suppliers/:supplierId', authMiddleware, async (req, res) => {
+    router.put('/ingredients/:id/suppliers/:supplierId', authMiddleware, requirePermission('ingredients:write'), async (req, res) => {
         try {
             const { id, supplierId } = req.params;
             const { es_proveedor_principal } = req.body;
@@ -1036,7 +1181,7 @@ module.exports = function (pool) {
     });
 
     // DELETE /api/ingredients/:id/suppliers/:supplierId - Eliminar asociación
-    router.delete('/ingredients/:id/suppliers/:supplierId', authMiddleware, async (req, res) => {
+    router.delete('/ingredients/:id/suppliers/:supplierId', authMiddleware, requirePermission('ingredients:write'), async (req, res) => {
         try {
             const { id, supplierId } = req.params;
 
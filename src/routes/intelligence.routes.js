@@ -3,11 +3,12 @@
  * AI Intelligence: freshness, purchase planning, overstock detection, price review
  */
 const { Router } = require('express');
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const { costlyApiLimiter } = require('../middleware/rateLimit');
 // 2026-06-08: requirePlan retirado. El gating ahora es global en server.js.
 const { log } = require('../utils/logger');
-const { buildIngredientPriceMap, getBackendIngredientUnitPrice, getRecipeCostBase, computePriceDrift, computeSuppliesOverstock, computeReorderSuggestions } = require('../utils/businessHelpers');
+const { buildIngredientPriceMap, getBackendIngredientUnitPrice, getRecipeCostBase, computePriceDrift, computeSuppliesOverstock } = require('../utils/businessHelpers');
+const { sugerenciasReposicion } = require('../services/reorderService');
 
 /**
  * @param {Pool} pool - PostgreSQL connection pool
@@ -29,7 +30,7 @@ module.exports = function (pool) {
         'default': 7
     };
 
-    router.get('/intelligence/freshness', costlyApiLimiter, authMiddleware, async (req, res) => {
+    router.get('/intelligence/freshness', costlyApiLimiter, authMiddleware, requirePermission('inventory:read'), async (req, res) => {
         try {
             // 🔒 cantidadRecibida con fallback a cantidad (auditoria A1-C3):
             //    para pedidos en estado 'recibido', cantidadRecibida puede diferir
@@ -97,7 +98,7 @@ module.exports = function (pool) {
     });
 
     // ========== 🧠 INTELIGENCIA - PLAN COMPRAS ==========
-    router.get('/intelligence/purchase-plan', costlyApiLimiter, authMiddleware, async (req, res) => {
+    router.get('/intelligence/purchase-plan', costlyApiLimiter, authMiddleware, requirePermission('inventory:read'), async (req, res) => {
         try {
             const targetDay = parseInt(req.query.day) || 6; // Sábado por defecto
             const DIAS = ['Domingo', 'Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes', 'Sábado'];
@@ -163,7 +164,7 @@ module.exports = function (pool) {
         '2026-10-12', '2026-11-01', '2026-12-06', '2026-12-08', '2026-12-25'
     ];
 
-    router.get('/intelligence/overstock', costlyApiLimiter, authMiddleware, async (req, res) => {
+    router.get('/intelligence/overstock', costlyApiLimiter, authMiddleware, requirePermission('inventory:read'), async (req, res) => {
         try {
             // Calcular día efectivo (festivos = sábado)
             const hoy = new Date().toISOString().split('T')[0];
@@ -227,7 +228,7 @@ module.exports = function (pool) {
     });
 
     // ========== 🧠 INTELIGENCIA - REVISION PRECIOS ==========
-    router.get('/intelligence/price-check', costlyApiLimiter, authMiddleware, async (req, res) => {
+    router.get('/intelligence/price-check', costlyApiLimiter, authMiddleware, requirePermission('inventory:read'), async (req, res) => {
         try {
             const TARGET_FOOD_COST = 35;
             const ALERT_THRESHOLD = 40;
@@ -327,7 +328,7 @@ module.exports = function (pool) {
     // compara "precio que usa la app" vs "media ponderada de los últimos 90 días"
     // y devuelve las subidas sostenidas en ingredientes de alto gasto.
     // Query params opcionales (clamped): umbral (%), min_compras, min_gasto (€).
-    router.get('/intelligence/price-drift', costlyApiLimiter, authMiddleware, async (req, res) => {
+    router.get('/intelligence/price-drift', costlyApiLimiter, authMiddleware, requirePermission('inventory:read'), async (req, res) => {
         try {
             const VENTANA_DIAS = 90;
             const clamp = (v, lo, hi, def) => {
@@ -412,9 +413,8 @@ module.exports = function (pool) {
     // sale de `stock_deductions.calculado` (demanda real aunque el clamp no
     // descontara) y el plazo de la media real de recepción de cada proveedor.
     // SOLO SUGIERE: no crea pedidos ni toca stock.
-    router.get('/intelligence/reorder', costlyApiLimiter, authMiddleware, async (req, res) => {
+    router.get('/intelligence/reorder', costlyApiLimiter, authMiddleware, requirePermission('inventory:read'), async (req, res) => {
         try {
-            const VENTANA_DIAS = 90;
             const clamp = (v, lo, hi, def) => {
                 const n = parseFloat(v);
                 return Number.isFinite(n) ? Math.min(hi, Math.max(lo, n)) : def;
@@ -422,54 +422,7 @@ module.exports = function (pool) {
             const leadDefault = clamp(req.query.lead_default, 1, 30, 2);
             const coberturaObjetivoDias = clamp(req.query.cobertura, 1, 60, 7);
 
-            const result = await pool.query(`
-            SELECT i.id, i.nombre, i.unidad, i.stock_actual, i.stock_minimo,
-                   i.proveedor_id, p.nombre AS proveedor_nombre,
-                   c.consumido_ventana,
-                   lt.lead_dias_medio
-            FROM ingredientes i
-            JOIN (
-                SELECT (d->>'ingredienteId')::int AS ingrediente_id,
-                       SUM(COALESCE((d->>'calculado')::numeric, 0)) AS consumido_ventana
-                FROM ventas v
-                CROSS JOIN LATERAL jsonb_array_elements(v.stock_deductions) d
-                WHERE v.restaurante_id = $1
-                  AND v.deleted_at IS NULL
-                  AND v.stock_deductions IS NOT NULL
-                  AND v.fecha >= CURRENT_DATE - INTERVAL '${VENTANA_DIAS} days'
-                GROUP BY 1
-            ) c ON c.ingrediente_id = i.id
-            LEFT JOIN proveedores p
-                   ON p.id = i.proveedor_id
-                  AND p.restaurante_id = $1
-                  AND p.deleted_at IS NULL
-            LEFT JOIN (
-                SELECT proveedor_id,
-                       AVG(GREATEST(1, EXTRACT(EPOCH FROM (fecha_recepcion - fecha_creacion)) / 86400.0)) AS lead_dias_medio
-                FROM pedidos
-                WHERE restaurante_id = $1
-                  AND deleted_at IS NULL
-                  AND estado = 'recibido'
-                  AND fecha_recepcion IS NOT NULL
-                  AND fecha_creacion IS NOT NULL
-                  AND fecha_creacion >= CURRENT_DATE - INTERVAL '180 days'
-                GROUP BY proveedor_id
-            ) lt ON lt.proveedor_id = i.proveedor_id
-            WHERE i.restaurante_id = $1 AND i.deleted_at IS NULL
-        `, [req.restauranteId]);
-
-            const sugerencias = computeReorderSuggestions(result.rows, {
-                ventanaDias: VENTANA_DIAS,
-                leadDefault,
-                coberturaObjetivoDias
-            });
-
-            res.json({
-                ventana_dias: VENTANA_DIAS,
-                lead_default: leadDefault,
-                cobertura_objetivo_dias: coberturaObjetivoDias,
-                sugerencias
-            });
+            res.json(await sugerenciasReposicion(pool, req.restauranteId, { leadDefault, coberturaObjetivoDias }));
         } catch (err) {
             log('error', 'Error en intelligence/reorder', { error: err.message });
             res.status(500).json({ error: 'Error interno', sugerencias: [] });
@@ -483,7 +436,7 @@ module.exports = function (pool) {
     // REAL DE COMPRA (el único proxy de consumo que existe para ellos) y se avisa
     // para que el usuario haga recuento. NO corrige nada: la app no puede saber
     // cuántos guantes quedan en el cajón.
-    router.get('/intelligence/supplies-overstock', costlyApiLimiter, authMiddleware, async (req, res) => {
+    router.get('/intelligence/supplies-overstock', costlyApiLimiter, authMiddleware, requirePermission('inventory:read'), async (req, res) => {
         try {
             const VENTANA_DIAS = 90;
             const clamp = (v, lo, hi, def) => {
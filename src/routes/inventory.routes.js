@@ -3,11 +3,14 @@
  * Advanced inventory: complete view, stock real updates, bulk updates, health check, consolidation
  */
 const { Router } = require('express');
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const { log } = require('../utils/logger');
-const { validateNumber, validateId } = require('../utils/validators');
+const { validateNumber, validateId, validateDate } = require('../utils/validators');
 const { getBackendIngredientUnitPrice, computeInventoryDifference } = require('../utils/businessHelpers');
 const { costlyApiLimiter } = require('../middleware/rateLimit');
+const { registrarMovimientoStock } = require('../utils/stockLedger');
+const { METODOS_VALORACION, valorarStockEnFecha, valoracionACsv } = require('../utils/stockValuation');
+const AlertService = require('../application/services/AlertService');
 
 /**
  * @param {Pool} pool - PostgreSQL connection pool
@@ -28,7 +31,7 @@ module.exports = function (pool) {
     // Con `costlyApiLimiter` como el resto de endpoints de análisis: la consulta
     // cruza los snapshots con la media de compras de todo el histórico, así que no
     // debe poder martillearse. CodeQL lo marcó como "Missing rate limiting" en #450.
-    router.get('/inventory/differences', costlyApiLimiter, authMiddleware, async (req, res) => {
+    router.get('/inventory/differences', costlyApiLimiter, authMiddleware, requirePermission('inventory:read'), async (req, res) => {
         try {
             const lim = parseInt(req.query.limit, 10);
             const limite = Number.isFinite(lim) ? Math.min(50, Math.max(1, lim)) : 12;
@@ -77,7 +80,7 @@ module.exports = function (pool) {
         }
     });
 
-    router.get('/inventory/complete', authMiddleware, async (req, res) => {
+    router.get('/inventory/complete', authMiddleware, requirePermission('inventory:read'), async (req, res) => {
         try {
             const result = await pool.query(`
       SELECT
@@ -135,7 +138,84 @@ module.exports = function (pool) {
         }
     });
 
-    router.put('/inventory/:id/stock-real', authMiddleware, async (req, res) => {
+    // ========== 📅 VALORACIÓN DE STOCK A FECHA ==========
+    // GET /api/inventory/valuation?fecha=YYYY-MM-DD&metodo=media|fifo&formato=csv
+    // Valor de existencias a una fecha pasada (cierre de mes para la gestoría).
+    //
+    // Cantidad: stock_actual − lo que movió el libro de stock DESPUÉS de la
+    // fecha. Solo es exacta desde que existe el libro (stock_movements con
+    // `stock_after`): si la fecha es anterior al primer apunte del restaurante,
+    // la respuesta lo avisa con `cobertura_libro: false`.
+    // Precio: compras del Diario hasta la fecha, media ponderada o FIFO (ver
+    // utils/stockValuation). Ingredientes dados de alta después de la fecha no
+    // existían: fuera. Los borrados DESPUÉS de la fecha sí existían entonces:
+    // dentro (borrar hoy no puede cambiar el cierre de un mes pasado).
+    router.get('/inventory/valuation', costlyApiLimiter, authMiddleware, requirePermission('finance:read'), async (req, res) => {
+        try {
+            const fechaCheck = validateDate(req.query.fecha, { allowFuture: false });
+            if (!fechaCheck.valid) {
+                return res.status(400).json({ error: 'fecha requerida (YYYY-MM-DD): ' + fechaCheck.error });
+            }
+            const fecha = fechaCheck.value.toISOString().slice(0, 10);
+            const metodo = req.query.metodo || 'media';
+            if (!METODOS_VALORACION.includes(metodo)) {
+                return res.status(400).json({ error: `metodo debe ser uno de: ${METODOS_VALORACION.join(', ')}` });
+            }
+
+            const [ingResult, comprasResult, libroResult] = await Promise.all([
+                pool.query(`
+                SELECT i.id, i.nombre, i.unidad, COALESCE(i.familia, 'alimento') AS familia,
+                       i.precio, i.cantidad_por_formato,
+                       COALESCE(i.stock_actual, 0) - COALESCE(m.posterior, 0) AS cantidad_fecha
+                FROM ingredientes i
+                LEFT JOIN (
+                    SELECT ingredient_id, SUM(quantity) AS posterior
+                    FROM stock_movements
+                    WHERE restaurant_id = $1 AND created_at >= $2::date + 1
+                    GROUP BY ingredient_id
+                ) m ON m.ingredient_id = i.id
+                WHERE i.restaurante_id = $1
+                  AND (i.deleted_at IS NULL OR i.deleted_at >= $2::date + 1)
+                  AND (i.created_at IS NULL OR i.created_at < $2::date + 1)
+            `, [req.restauranteId, fecha]),
+                pool.query(`
+                SELECT ingrediente_id, fecha::text AS fecha,
+                       cantidad_comprada AS cantidad, total_compra AS total
+                FROM precios_compra_diarios
+                WHERE restaurante_id = $1 AND fecha <= $2::date
+            `, [req.restauranteId, fecha]),
+                pool.query(
+                    'SELECT MIN(created_at) AS desde FROM stock_movements WHERE restaurant_id = $1 AND stock_after IS NOT NULL',
+                    [req.restauranteId]
+                )
+            ]);
+
+            const informe = valorarStockEnFecha({
+                ingredientes: ingResult.rows,
+                compras: comprasResult.rows,
+                metodo
+            });
+
+            if (req.query.formato === 'csv') {
+                res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+                res.setHeader('Content-Disposition', `attachment; filename="valoracion-stock-${fecha}-${informe.metodo}.csv"`);
+                return res.send(valoracionACsv(informe, fecha));
+            }
+
+            const libroDesde = libroResult.rows[0]?.desde || null;
+            res.json({
+                fecha,
+                ...informe,
+                libro_desde: libroDesde,
+                cobertura_libro: libroDesde !== null && new Date(libroDesde) <= new Date(`${fecha}T23:59:59`)
+            });
+        } catch (err) {
+            log('error', 'Error en inventory/valuation', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    router.put('/inventory/:id/stock-real', authMiddleware, requirePermission('inventory:write'), async (req, res) => {
         try {
             const { id } = req.params;
             const idCheck = validateId(id);
@@ -167,7 +247,7 @@ module.exports = function (pool) {
         }
     });
 
-    router.put('/inventory/bulk-update-stock', authMiddleware, async (req, res) => {
+    router.put('/inventory/bulk-update-stock', authMiddleware, requirePermission('inventory:write'), async (req, res) => {
         const client = await pool.connect();
         try {
             const { stocks } = req.body;
@@ -222,7 +302,7 @@ module.exports = function (pool) {
     });
 
     // 🏥 INVENTORY HEALTH CHECK — Detecta anomalías de stock
-    router.get('/inventory/health-check', authMiddleware, async (req, res) => {
+    router.get('/inventory/health-check', authMiddleware, requirePermission('inventory:read'), async (req, res) => {
         try {
             const anomalies = [];
 
@@ -310,7 +390,7 @@ module.exports = function (pool) {
     });
 
     // Endpoint para consolidar stock con lógica de Ajustes (ERP)
-    router.post('/inventory/consolidate', authMiddleware, async (req, res) => {
+    router.post('/inventory/consolidate', authMiddleware, requirePermission('inventory:write'), async (req, res) => {
         const client = await pool.connect();
         try {
             const { adjustments, snapshots, finalStock } = req.body;
@@ -448,8 +528,8 @@ module.exports = function (pool) {
 
                     // Lock ingredient row to prevent race condition during consolidation
                     // 🔒 deleted_at IS NULL en lock + UPDATE (auditoria A1-A3).
-                    await client.query(
-                        'SELECT id FROM ingredientes WHERE id = $1 AND restaurante_id = $2 AND deleted_at IS NULL FOR UPDATE',
+                    const lockConsolidar = await client.query(
+                        'SELECT id, stock_actual FROM ingredientes WHERE id = $1 AND restaurante_id = $2 AND deleted_at IS NULL FOR UPDATE',
                         [ingId, req.restauranteId]
                     );
                     const result = await client.query(
@@ -464,11 +544,18 @@ module.exports = function (pool) {
 
                     if (result.rows.length > 0) {
                         updated.push(result.rows[0]);
+                        await registrarMovimientoStock(client, {
+                            restauranteId: req.restauranteId, ingredienteId: ingId, tipo: 'recuento',
+                            stockAntes: lockConsolidar.rows[0]?.stock_actual ?? 0,
+                            notas: 'Consolidación de inventario', usuarioId: req.user?.userId
+                        });
                     }
                 }
             }
 
             await client.query('COMMIT');
+            // Diferencia del recuento y stock bajo tras consolidar (fire-and-forget).
+            AlertService.trigger(pool, 'inventory_count', req.restauranteId, { ingredientIds: updated.map(r => r.id) });
             res.json({ success: true, updated: updated.length, items: updated });
         } catch (err) {
             await client.query('ROLLBACK');
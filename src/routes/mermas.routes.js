@@ -3,10 +3,13 @@
  * Waste (mermas) tracking: register, intelligence, history, monthly summary, delete, monthly reset
  */
 const { Router } = require('express');
-const { authMiddleware, requireAdmin } = require('../middleware/auth');
+const { authMiddleware, requireAdmin, requirePermission } = require('../middleware/auth');
 const { log } = require('../utils/logger');
 const { sanitizeString, validateId } = require('../utils/validators');
 const { logChange } = require('../utils/auditLog');
+const { registrarMovimientoStock } = require('../utils/stockLedger');
+const AlertService = require('../application/services/AlertService');
+const { emitirEvento } = require('../services/outboundWebhookService');
 
 /**
  * @param {Pool} pool - PostgreSQL connection pool
@@ -15,7 +18,7 @@ module.exports = function (pool) {
     const router = Router();
 
     // ========== 🗑️ MERMAS - REGISTRO ==========
-    router.post('/mermas', authMiddleware, async (req, res) => {
+    router.post('/mermas', authMiddleware, requirePermission('inventory:write'), async (req, res) => {
         const client = await pool.connect();
         try {
             const { mermas } = req.body;
@@ -32,6 +35,7 @@ module.exports = function (pool) {
             await client.query('BEGIN');
 
             let insertados = 0;
+            const ingredientesMermados = [];
             for (const m of mermas) {
                 // Validar que ingredienteId existe o usar NULL
                 let ingredienteId = m.ingredienteId ? parseInt(m.ingredienteId) : null;
@@ -58,10 +62,11 @@ module.exports = function (pool) {
                 const now = new Date();
                 const periodoId = now.getFullYear() * 100 + (now.getMonth() + 1);
 
-                await client.query(`
+                const mermaInsert = await client.query(`
                 INSERT INTO mermas
                 (ingrediente_id, ingrediente_nombre, cantidad, unidad, valor_perdida, motivo, nota, responsable_id, restaurante_id, periodo_id)
                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                RETURNING id
             `, [
                     ingredienteId,
                     sanitizeString(m.ingredienteNombre) || 'Sin nombre',
@@ -79,8 +84,8 @@ module.exports = function (pool) {
                 // 🔒 Lock + UPDATE con `deleted_at IS NULL` para no descontar stock de
                 //    ingredientes soft-deleted (auditoria A1-A3).
                 if (ingredienteId && parseFloat(m.cantidad) > 0) {
-                    await client.query(
-                        'SELECT id FROM ingredientes WHERE id = $1 AND restaurante_id = $2 AND deleted_at IS NULL FOR UPDATE',
+                    const lockMerma = await client.query(
+                        'SELECT id, stock_actual FROM ingredientes WHERE id = $1 AND restaurante_id = $2 AND deleted_at IS NULL FOR UPDATE',
                         [ingredienteId, req.restauranteId]
                     );
                     await client.query(
@@ -88,6 +93,14 @@ module.exports = function (pool) {
                      WHERE id = $2 AND restaurante_id = $3 AND deleted_at IS NULL`,
                         [parseFloat(m.cantidad), ingredienteId, req.restauranteId]
                     );
+                    if (lockMerma.rows.length > 0) {
+                        await registrarMovimientoStock(client, {
+                            restauranteId: req.restauranteId, ingredienteId, tipo: 'merma',
+                            stockAntes: lockMerma.rows[0].stock_actual,
+                            referenciaTipo: 'merma', referenciaId: mermaInsert.rows[0].id, usuarioId: req.user?.userId
+                        });
+                    }
+                    ingredientesMermados.push(ingredienteId);
                     log('info', 'Stock descontado por merma', { ingredienteId, cantidad: m.cantidad });
                 }
 
@@ -105,6 +118,11 @@ module.exports = function (pool) {
                 datosAntes: null,
                 datosDespues: { count: insertados, items: mermas.slice(0, 20) },
             });
+            // Pico de mermas y stock bajo de lo mermado (fire-and-forget).
+            if (insertados > 0) {
+                AlertService.trigger(pool, 'waste', req.restauranteId, { ingredientIds: ingredientesMermados });
+                emitirEvento(pool, req.restauranteId, 'merma.created', { count: insertados, mermas: mermas.slice(0, 50) });
+            }
 
             res.json({ success: true, count: insertados });
         } catch (err) {
@@ -121,7 +139,7 @@ module.exports = function (pool) {
     });
 
     // ========== 🧠 INTELIGENCIA - MERMAS ==========
-    router.get('/intelligence/waste-stats', authMiddleware, async (req, res) => {
+    router.get('/intelligence/waste-stats', authMiddleware, requirePermission('inventory:read'), async (req, res) => {
         try {
             // Total mermas este mes
             const mesActual = await pool.query(`
@@ -182,7 +200,7 @@ module.exports = function (pool) {
     });
 
     // ========== 🗑️ MERMAS - LISTAR HISTORIAL ==========
-    router.get('/mermas', authMiddleware, async (req, res) => {
+    router.get('/mermas', authMiddleware, requirePermission('inventory:read'), async (req, res) => {
         try {
             const { mes, ano, limite } = req.query;
             const mesActual = parseInt(mes) || new Date().getMonth() + 1;
@@ -270,7 +288,7 @@ module.exports = function (pool) {
     });
 
     // ========== 🗑️ MERMAS - RESUMEN MENSUAL ==========
-    router.get('/mermas/resumen', authMiddleware, async (req, res) => {
+    router.get('/mermas/resumen', authMiddleware, requirePermission('inventory:read'), async (req, res) => {
         try {
             const result = await pool.query(`
             SELECT 
@@ -328,6 +346,11 @@ module.exports = function (pool) {
                         'UPDATE ingredientes SET stock_actual = stock_actual + $1, ultima_actualizacion_stock = NOW() WHERE id = $2 AND restaurante_id = $3 AND deleted_at IS NULL',
                         [parseFloat(merma.cantidad), merma.ingrediente_id, req.restauranteId]
                     );
+                    await registrarMovimientoStock(client, {
+                        restauranteId: req.restauranteId, ingredienteId: merma.ingrediente_id, tipo: 'merma_anulada',
+                        cantidad: parseFloat(merma.cantidad), referenciaTipo: 'merma', referenciaId: merma.id,
+                        notas: 'Reset mensual de mermas', usuarioId: req.user?.userId
+                    });
                 }
             }
 
@@ -370,7 +393,7 @@ module.exports = function (pool) {
     });
 
     // ========== 🗑️ MERMAS - BORRAR INDIVIDUAL ==========
-    router.delete('/mermas/:id', authMiddleware, async (req, res) => {
+    router.delete('/mermas/:id', authMiddleware, requirePermission('inventory:write'), async (req, res) => {
         const client = await pool.connect();
         try {
             const idCheck = validateId(req.params.id);
@@ -408,6 +431,10 @@ module.exports = function (pool) {
                  WHERE id = $2 AND restaurante_id = $3 AND deleted_at IS NULL`,
                     [parseFloat(merma.cantidad), merma.ingrediente_id, req.restauranteId]
                 );
+                await registrarMovimientoStock(client, {
+                    restauranteId: req.restauranteId, ingredienteId: merma.ingrediente_id, tipo: 'merma_anulada',
+                    cantidad: parseFloat(merma.cantidad), referenciaTipo: 'merma', referenciaId: merma.id, usuarioId: req.user?.userId
+                });
                 log('info', 'Stock restaurado por eliminación de merma', {
                     ingredienteId: merma.ingrediente_id,
                     cantidad: merma.cantidad
@@ -10,12 +10,16 @@
  * See tests/critical/stock-no-double-count.test.js for validation.
  */
 const { Router } = require('express');
-const { authMiddleware, requireAdmin } = require('../middleware/auth');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const { log } = require('../utils/logger');
 const { logChange } = require('../utils/auditLog');
-const { upsertCompraDiaria, recalcularPrecioPonderado } = require('../utils/businessHelpers');
+const { upsertCompraDiaria, recalcularPrecioPonderado, aplicarRecepcionPedido, computeBackorders } = require('../utils/businessHelpers');
 const { validateDate, validateNumber, validateId } = require('../utils/validators');
 const onboardingService = require('../services/onboardingService');
+const recipeCostHistoryService = require('../services/recipeCostHistoryService');
+const AlertService = require('../application/services/AlertService');
+const { emitirEvento } = require('../services/outboundWebhookService');
+const { registrarMovimientoStock } = require('../utils/stockLedger');
 
 /**
  * Normaliza el iva_pct recibido del cliente a número 0-100 o null.
@@ -54,8 +58,10 @@ module.exports = function (pool) {
     // El POST registra Diario para compra mercado (estado='recibido').
     // El PUT registra Diario al recibir pedidos.
     // El DELETE hace rollback preciso (UPDATE-subtract + DELETE-if-≤0).
+    // Las entregas parciales van por /orders/:id/receipts (una fila por albarán
+    // en pedidos_recepciones; el pedido queda 'parcial' hasta servirse entero).
 
-    router.get('/orders', authMiddleware, async (req, res) => {
+    router.get('/orders', authMiddleware, requirePermission('orders:read'), async (req, res) => {
         try {
             const { limit, page } = req.query;
             let query = 'SELECT * FROM pedidos WHERE restaurante_id=$1 AND deleted_at IS NULL ORDER BY fecha DESC';
@@ -81,8 +87,9 @@ module.exports = function (pool) {
         }
     });
 
-    router.post('/orders', authMiddleware, async (req, res) => {
+    router.post('/orders', authMiddleware, requirePermission('orders:write'), async (req, res) => {
         const client = await pool.connect();
+        const ingredientesRepreciados = [];
         try {
             const { proveedorId, fecha, ingredientes, total, estado, iva_pct, bonificacion } = req.body;
 
@@ -219,14 +226,28 @@ module.exports = function (pool) {
                 for (const item of ingredientes) {
                     if (item.tipo === 'ajuste' || item.personal === true) continue;
                     const ingId = item.ingredienteId || item.ingrediente_id;
-                    if (ingId) await recalcularPrecioPonderado(client, ingId, req.restauranteId);
+                    if (ingId) {
+                        await recalcularPrecioPonderado(client, ingId, req.restauranteId);
+                        ingredientesRepreciados.push(ingId);
+                    }
                 }
 
                 log('info', 'Compras diarias y stock registrados desde compra mercado', { pedidoId: result.rows[0].id, items: ingredientes.length });
             }
 
+            // Histórico de coste de recetas: el precio medio de estos ingredientes
+            // acaba de cambiar (en la misma transacción).
+            if (ingredientesRepreciados.length > 0) {
+                await recipeCostHistoryService.registrarCostesRecetas(client, req.restauranteId, { origen: 'precio-compra', ingredienteIds: ingredientesRepreciados });
+            }
             await client.query('COMMIT');
+            if (ingredientesRepreciados.length > 0) {
+                AlertService.trigger(pool, 'order_receipt', req.restauranteId, { ingredientIds: ingredientesRepreciados });
+            }
             onboardingService.markStep(pool, req.restauranteId, 'pedidos');
+            if (result.rows[0].estado === 'recibido') {
+                emitirEvento(pool, req.restauranteId, 'order.received', { pedido: result.rows[0] });
+            }
             res.status(201).json(result.rows[0]);
         } catch (err) {
             await client.query('ROLLBACK');
@@ -237,11 +258,12 @@ module.exports = function (pool) {
         }
     });
 
-    router.put('/orders/:id', authMiddleware, async (req, res) => {
+    router.put('/orders/:id', authMiddleware, requirePermission('orders:write'), async (req, res) => {
         const idCheck = validateId(req.params.id);
         if (!idCheck.valid) return res.status(400).json({ error: idCheck.error });
 
         const client = await pool.connect();
+        const ingredientesRepreciados = [];
         try {
             const { id } = req.params;
             const { estado, ingredientes, totalRecibido, fechaRecepcion, fecha_recepcion, total_recibido, total, iva_pct, bonificacion } = req.body;
@@ -323,6 +345,17 @@ module.exports = function (pool) {
                 await client.query('ROLLBACK');
                 return res.status(404).json({ error: 'Pedido no encontrado' });
             }
+            // Un pedido que ha entrado por entregas (/receipts) tiene el Diario
+            // repartido en las fechas de cada albarán. Reescribirlo aquí lo
+            // aplastaría todo a una sola fecha → se corrige por /receipts.
+            const recepcionesPrevias = await client.query(
+                'SELECT COUNT(*) AS n FROM pedidos_recepciones WHERE pedido_id = $1 AND restaurante_id = $2',
+                [id, req.restauranteId]
+            );
+            if (parseInt(recepcionesPrevias.rows[0].n) > 0) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ error: 'Este pedido se está recibiendo por entregas. Registra las recepciones en /orders/:id/receipts' });
+            }
             const wasAlreadyReceived = currentOrder.rows[0].estado === 'recibido';
             const fechaRecepcionPersisted = currentOrder.rows[0].fecha_recepcion;
             const fechaRecepcionFinalReal = fechaRecepcionFinal || fechaRecepcionPersisted || new Date();
@@ -378,13 +411,27 @@ module.exports = function (pool) {
                 for (const item of ingredientes) {
                     if (item.tipo === 'ajuste' || item.personal === true) continue;
                     const ingId = item.ingredienteId || item.ingrediente_id;
-                    if (ingId) await recalcularPrecioPonderado(client, ingId, req.restauranteId);
+                    if (ingId) {
+                        await recalcularPrecioPonderado(client, ingId, req.restauranteId);
+                        ingredientesRepreciados.push(ingId);
+                    }
                 }
 
                 log('info', 'Compras diarias registradas/reescritas desde pedido', { pedidoId: id, items: ingredientes.length, edicion: wasAlreadyReceived });
             }
 
+            // Histórico de coste de recetas: el precio medio de estos ingredientes
+            // acaba de cambiar (en la misma transacción).
+            if (ingredientesRepreciados.length > 0) {
+                await recipeCostHistoryService.registrarCostesRecetas(client, req.restauranteId, { origen: 'precio-compra', ingredienteIds: ingredientesRepreciados });
+            }
             await client.query('COMMIT');
+            if (ingredientesRepreciados.length > 0) {
+                AlertService.trigger(pool, 'order_receipt', req.restauranteId, { ingredientIds: ingredientesRepreciados });
+            }
+            if (estado === 'recibido' && !wasAlreadyReceived && result.rows[0]) {
+                emitirEvento(pool, req.restauranteId, 'order.received', { pedido: result.rows[0] });
+            }
             res.json(result.rows[0] || {});
         } catch (err) {
             await client.query('ROLLBACK');
@@ -395,11 +442,12 @@ module.exports = function (pool) {
         }
     });
 
-    router.delete('/orders/:id', authMiddleware, requireAdmin, async (req, res) => {
+    router.delete('/orders/:id', authMiddleware, requirePermission('orders:delete'), async (req, res) => {
         const idCheck = validateId(req.params.id);
         if (!idCheck.valid) return res.status(400).json({ error: idCheck.error });
 
         const client = await pool.connect();
+        const ingredientesRepreciados = [];
         try {
             await client.query('BEGIN');
 
@@ -416,8 +464,10 @@ module.exports = function (pool) {
 
             const pedido = pedidoResult.rows[0];
 
-            // 2. Si el pedido estaba recibido, borrar las compras diarias asociadas
-            if (pedido.estado === 'recibido' && pedido.ingredientes) {
+            // 2. Si el pedido estaba recibido (entero o en parte), borrar las
+            //    compras diarias asociadas
+            const recibidoParcial = pedido.estado === 'parcial';
+            if ((pedido.estado === 'recibido' || recibidoParcial) && pedido.ingredientes) {
                 let ingredientes;
                 try {
                     ingredientes = typeof pedido.ingredientes === 'string'
@@ -499,7 +549,11 @@ module.exports = function (pool) {
                 for (const item of ingredientes) {
                     if (item.tipo === 'ajuste' || item.personal === true) continue; // Ajustes y comida personal no afectan al stock
                     const ingId = item.ingredienteId || item.ingrediente_id;
-                    const stockARevertir = parseFloat(item.cantidadRecibida || item.cantidad || 0);
+                    // En un pedido 'parcial' solo se revierte lo que ha llegado: lo
+                    // pendiente nunca entró en stock.
+                    const stockARevertir = recibidoParcial
+                        ? parseFloat(item.cantidadRecibida || 0)
+                        : parseFloat(item.cantidadRecibida || item.cantidad || 0);
 
                     const mult = parseFloat(item.multiplicador);
                     const hasFormatoOverride = item.formato_override !== undefined && item.formato_override !== null;
@@ -522,7 +576,7 @@ module.exports = function (pool) {
                         // 2026-06-12): con un ingrediente borrado se salta el revert
                         // con warn, en vez de seguir en silencio sobre una fila muerta.
                         const lockRevert = await client.query(
-                            'SELECT id FROM ingredientes WHERE id = $1 AND restaurante_id = $2 AND deleted_at IS NULL FOR UPDATE',
+                            'SELECT id, stock_actual FROM ingredientes WHERE id = $1 AND restaurante_id = $2 AND deleted_at IS NULL FOR UPDATE',
                             [ingId, req.restauranteId]
                         );
                         if (lockRevert.rows.length === 0) {
@@ -536,6 +590,11 @@ module.exports = function (pool) {
                          WHERE id = $2 AND restaurante_id = $3 AND deleted_at IS NULL`,
                             [stockARevertir, ingId, req.restauranteId]
                         );
+                        await registrarMovimientoStock(client, {
+                            restauranteId: req.restauranteId, ingredienteId: ingId, tipo: 'pedido_anulado',
+                            stockAntes: lockRevert.rows[0].stock_actual,
+                            referenciaTipo: 'pedido', referenciaId: pedido.id, usuarioId: req.user?.userId
+                        });
                     }
                 }
 
@@ -545,7 +604,10 @@ module.exports = function (pool) {
                 for (const item of ingredientes) {
                     if (item.tipo === 'ajuste' || item.personal === true) continue;
                     const ingId = item.ingredienteId || item.ingrediente_id;
-                    if (ingId) await recalcularPrecioPonderado(client, ingId, req.restauranteId);
+                    if (ingId) {
+                        await recalcularPrecioPonderado(client, ingId, req.restauranteId);
+                        ingredientesRepreciados.push(ingId);
+                    }
                 }
 
                 log('info', 'Compras diarias y stock revertidos por borrado de pedido', {
@@ -560,6 +622,11 @@ module.exports = function (pool) {
                 [req.params.id, req.restauranteId]
             );
 
+            // Histórico de coste de recetas: el precio medio de estos ingredientes
+            // acaba de cambiar (en la misma transacción).
+            if (ingredientesRepreciados.length > 0) {
+                await recipeCostHistoryService.registrarCostesRecetas(client, req.restauranteId, { origen: 'precio-compra', ingredienteIds: ingredientesRepreciados });
+            }
             await client.query('COMMIT');
             log('info', 'Pedido eliminado con cascading delete', { id: req.params.id, estado: pedido.estado });
 
@@ -585,5 +652,188 @@ module.exports = function (pool) {
         }
     });
 
+    // ========== RECEPCIONES (entregas parciales) ==========
+    // Cada albarán que llega de un pedido es UNA recepción: suma a
+    // cantidadRecibida de sus líneas y entra al Diario con SU fecha, así que el
+    // precio medio se actualiza por entrega y no una vez al final.
+    // Misma regla de propiedad del stock que el PUT: aquí NO se toca
+    // stock_actual (lo ajusta el frontend con bulkAdjustStock al recibir).
+
+    router.get('/orders/:id/receipts', authMiddleware, requirePermission('orders:read'), async (req, res) => {
+        const idCheck = validateId(req.params.id);
+        if (!idCheck.valid) return res.status(400).json({ error: idCheck.error });
+        try {
+            const pedidoResult = await pool.query(
+                `SELECT id, proveedor_id, fecha, estado, ingredientes, fecha_recepcion, total, total_recibido
+                 FROM pedidos WHERE id = $1 AND restaurante_id = $2 AND deleted_at IS NULL`,
+                [idCheck.value, req.restauranteId]
+            );
+            if (pedidoResult.rows.length === 0) {
+                return res.status(404).json({ error: 'Pedido no encontrado' });
+            }
+            const pedido = pedidoResult.rows[0];
+
+            const recResult = await pool.query(
+                `SELECT id, numero_albaran, fecha, lineas, total, notas, usuario_id, created_at
+                 FROM pedidos_recepciones
+                 WHERE pedido_id = $1 AND restaurante_id = $2
+                 ORDER BY fecha ASC, id ASC`,
+                [pedido.id, req.restauranteId]
+            );
+            let recepciones = recResult.rows.map(r => ({ ...r, total: parseFloat(r.total) || 0 }));
+
+            // Pedidos recibidos de una vez por el flujo antiguo (PUT) no tienen
+            // filas aquí: se enseñan como una única recepción para que la línea
+            // de tiempo no salga vacía.
+            if (recepciones.length === 0 && pedido.estado === 'recibido') {
+                recepciones = [{
+                    id: null,
+                    numero_albaran: null,
+                    fecha: pedido.fecha_recepcion || pedido.fecha,
+                    lineas: null,
+                    total: parseFloat(pedido.total_recibido ?? pedido.total) || 0,
+                    origen: 'recepcion-unica'
+                }];
+            }
+
+            const lineas = computeBackorders(pedido.ingredientes, pedido.estado);
+            res.json({
+                pedido: { id: pedido.id, proveedor_id: pedido.proveedor_id, fecha: pedido.fecha, estado: pedido.estado },
+                recepciones,
+                lineas,
+                pendiente_total: lineas.reduce((s, l) => s + l.pendiente, 0) > 0
+            });
+        } catch (err) {
+            log('error', 'Error obteniendo recepciones de pedido', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    router.post('/orders/:id/receipts', authMiddleware, requirePermission('orders:write'), async (req, res) => {
+        const idCheck = validateId(req.params.id);
+        if (!idCheck.valid) return res.status(400).json({ error: idCheck.error });
+
+        const { numero_albaran, fecha, lineas, notas, cerrar, permitir_exceso } = req.body || {};
+        const fechaCheck = validateDate(fecha, { allowFuture: false });
+        if (!fechaCheck.valid) return res.status(400).json({ error: fechaCheck.error });
+        if (!Array.isArray(lineas) || lineas.length === 0) {
+            return res.status(400).json({ error: 'La recepción necesita al menos una línea' });
+        }
+        // 🛡️ Mismo guardrail de cantidades absurdas que POST/PUT /orders.
+        for (const l of lineas) {
+            const cantidadGuard = parseFloat(l.cantidad);
+            if (!isNaN(cantidadGuard) && cantidadGuard > 10000) {
+                return res.status(400).json({
+                    error: `Cantidad absurda detectada (${cantidadGuard}). Limite maximo por linea: 10000. Revisa cantidad y formato.`
+                });
+            }
+        }
+
+        const client = await pool.connect();
+        const ingredientesRepreciados = [];
+        try {
+            await client.query('BEGIN');
+
+            const pedidoResult = await client.query(
+                'SELECT * FROM pedidos WHERE id = $1 AND restaurante_id = $2 AND deleted_at IS NULL FOR UPDATE',
+                [idCheck.value, req.restauranteId]
+            );
+            if (pedidoResult.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({ error: 'Pedido no encontrado' });
+            }
+            const pedido = pedidoResult.rows[0];
+            if (!['pendiente', 'parcial'].includes(pedido.estado)) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ error: `No se pueden registrar entregas en un pedido ${pedido.estado}` });
+            }
+
+            const aplicada = aplicarRecepcionPedido(pedido.ingredientes, lineas, { permitirExceso: permitir_exceso === true });
+            if (aplicada.error) {
+                await client.query('ROLLBACK');
+                // Exceso sin confirmar: 409 para que el frontend pida confirmación
+                // y reenvíe con permitir_exceso.
+                if (aplicada.exceso) return res.status(409).json({ error: aplicada.error, exceso: aplicada.exceso });
+                return res.status(400).json({ error: aplicada.error });
+            }
+
+            // Diario: una fila por ingrediente y fecha de ESTA entrega. La
+            // comida personal no cuenta (igual que en POST/PUT).
+            const totalRecepcion = aplicada.aplicadas.reduce((s, l) => s + l.cantidad * l.precioReal, 0);
+            for (const l of aplicada.aplicadas) {
+                if (l.personal) continue;
+                await upsertCompraDiaria(client, {
+                    ingredienteId: l.ingredienteId,
+                    fecha: fechaCheck.value,
+                    precioUnitario: l.precioReal,
+                    cantidad: l.cantidad,
+                    total: l.precioReal * l.cantidad,
+                    restauranteId: req.restauranteId,
+                    proveedorId: pedido.proveedor_id || null,
+                    pedidoId: pedido.id
+                });
+            }
+
+            const recepcion = await client.query(
+                `INSERT INTO pedidos_recepciones (pedido_id, restaurante_id, numero_albaran, fecha, lineas, total, notas, usuario_id)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+                [pedido.id, req.restauranteId, numero_albaran ? String(numero_albaran).slice(0, 60) : null,
+                    fechaCheck.value, JSON.stringify(aplicada.aplicadas), Math.round(totalRecepcion * 100) / 100,
+                    notas || null, req.user?.userId || null]
+            );
+
+            // Cerrado cuando no queda nada por servir, o cuando el usuario da el
+            // resto por perdido (`cerrar`: el proveedor no lo va a traer).
+            const quedaPendiente = computeBackorders(aplicada.ingredientes, 'parcial').some(l => l.pendiente > 0);
+            const nuevoEstado = quedaPendiente && cerrar !== true ? 'parcial' : 'recibido';
+            const pedidoActualizado = await client.query(
+                `UPDATE pedidos
+                 SET ingredientes = $1, estado = $2, fecha_recepcion = $3,
+                     total_recibido = COALESCE(total_recibido, 0) + $4
+                 WHERE id = $5 AND restaurante_id = $6 RETURNING *`,
+                [JSON.stringify(aplicada.ingredientes), nuevoEstado, fechaCheck.value,
+                    Math.round(totalRecepcion * 100) / 100, pedido.id, req.restauranteId]
+            );
+
+            for (const ingId of new Set(aplicada.aplicadas.filter(l => !l.personal).map(l => l.ingredienteId))) {
+                await recalcularPrecioPonderado(client, ingId, req.restauranteId);
+                ingredientesRepreciados.push(ingId);
+            }
+
+            if (ingredientesRepreciados.length > 0) {
+                await recipeCostHistoryService.registrarCostesRecetas(client, req.restauranteId, { origen: 'precio-compra', ingredienteIds: ingredientesRepreciados });
+            }
+            await client.query('COMMIT');
+            if (ingredientesRepreciados.length > 0) {
+                AlertService.trigger(pool, 'order_receipt', req.restauranteId, { ingredientIds: ingredientesRepreciados });
+            }
+            logChange(pool, {
+                req,
+                tabla: 'pedidos_recepciones',
+                operacion: 'INSERT',
+                registroId: recepcion.rows[0].id,
+                datosAntes: null,
+                datosDespues: { ...recepcion.rows[0], permitir_exceso: permitir_exceso === true },
+            });
+            log('info', 'Recepción de pedido registrada', { pedidoId: pedido.id, recepcionId: recepcion.rows[0].id, estado: nuevoEstado });
+            emitirEvento(pool, req.restauranteId, 'order.received', {
+                pedido: pedidoActualizado.rows[0],
+                recepcion: recepcion.rows[0]
+            });
+
+            res.status(201).json({
+                recepcion: recepcion.rows[0],
+                pedido: pedidoActualizado.rows[0],
+                lineas: computeBackorders(aplicada.ingredientes, nuevoEstado)
+            });
+        } catch (err) {
+            await client.query('ROLLBACK');
+            log('error', 'Error registrando recepción de pedido', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        } finally {
+            client.release();
+        }
+    });
+
     return router;
 };
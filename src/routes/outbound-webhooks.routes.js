@@ -0,0 +1,228 @@
+/**
+ * outbound-webhooks Routes — suscripciones a webhooks salientes.
+ *
+ * Alta/baja de URLs que reciben eventos de negocio firmados (Standard
+ * Webhooks), registro de entregas y reenvío manual. La emisión, los
+ * reintentos y la firma viven en services/outboundWebhookService.js.
+ *
+ * Ruta bajo /outbound-webhooks y no /webhooks: /webhooks/ es la entrada de
+ * proveedores externos (Polar) y está exenta del gate de suscripción.
+ */
+const { Router } = require('express');
+const { authMiddleware, requireAdmin } = require('../middleware/auth');
+const { log } = require('../utils/logger');
+const { logChange } = require('../utils/auditLog');
+const { validateId, sanitizeString } = require('../utils/validators');
+const {
+    EVENTOS, generarSecreto, enmascararSecreto, validarUrlDestino, sanearEventos, reenviarEntrega
+} = require('../services/outboundWebhookService');
+
+const MAX_SUSCRIPCIONES = 10;
+
+const COLUMNAS = 'id, url, eventos, secreto, descripcion, activo, created_at, updated_at';
+
+function publica(fila) {
+    return { ...fila, secreto: enmascararSecreto(fila.secreto) };
+}
+
+module.exports = function (pool) {
+    const router = Router();
+
+    // GET /api/outbound-webhooks/events — eventos disponibles
+    router.get('/outbound-webhooks/events', authMiddleware, (req, res) => {
+        res.json(EVENTOS);
+    });
+
+    // GET /api/outbound-webhooks — suscripciones del restaurante (secreto enmascarado)
+    router.get('/outbound-webhooks', authMiddleware, requireAdmin, async (req, res) => {
+        try {
+            const { rows } = await pool.query(
+                `SELECT ${COLUMNAS},
+                        (SELECT COUNT(*)::int FROM webhook_entregas e
+                         WHERE e.suscripcion_id = s.id AND e.restaurante_id = s.restaurante_id
+                           AND e.estado = 'fallido' AND e.created_at >= NOW() - INTERVAL '7 days') AS fallidas_7d
+                 FROM webhook_suscripciones s
+                 WHERE restaurante_id = $1 AND deleted_at IS NULL
+                 ORDER BY id`,
+                [req.restauranteId]
+            );
+            res.json(rows.map(publica));
+        } catch (err) {
+            log('error', 'Error obteniendo webhooks salientes', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // POST /api/outbound-webhooks
+    // Body: { url, eventos: [...], descripcion? }. Devuelve el secreto completo
+    // (whsec_...) UNA sola vez: después solo se enseña enmascarado.
+    router.post('/outbound-webhooks', authMiddleware, requireAdmin, async (req, res) => {
+        try {
+            const { url, eventos, descripcion } = req.body || {};
+            const destino = validarUrlDestino(url);
+            if (destino.error) return res.status(400).json({ error: destino.error });
+            const ev = sanearEventos(eventos);
+            if (ev.error) return res.status(400).json({ error: ev.error });
+
+            const total = await pool.query(
+                'SELECT COUNT(*)::int AS n FROM webhook_suscripciones WHERE restaurante_id = $1 AND deleted_at IS NULL',
+                [req.restauranteId]
+            );
+            if (total.rows[0].n >= MAX_SUSCRIPCIONES) {
+                return res.status(400).json({ error: `Máximo ${MAX_SUSCRIPCIONES} webhooks por restaurante` });
+            }
+
+            const { rows } = await pool.query(
+                `INSERT INTO webhook_suscripciones (restaurante_id, url, eventos, secreto, descripcion, creado_por)
+                 VALUES ($1, $2, $3, $4, $5, $6)
+                 RETURNING ${COLUMNAS}`,
+                [req.restauranteId, destino.url, JSON.stringify(ev.eventos), generarSecreto(),
+                    sanitizeString(descripcion, 255) || null, req.user?.userId || null]
+            );
+
+            logChange(pool, {
+                req,
+                tabla: 'webhook_suscripciones',
+                operacion: 'INSERT',
+                registroId: rows[0].id,
+                datosAntes: null,
+                datosDespues: publica(rows[0])
+            });
+
+            res.status(201).json(rows[0]);
+        } catch (err) {
+            log('error', 'Error creando webhook saliente', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // PUT /api/outbound-webhooks/:id — Body: { url?, eventos?, descripcion?, activo? }
+    router.put('/outbound-webhooks/:id', authMiddleware, requireAdmin, async (req, res) => {
+        try {
+            const idCheck = validateId(req.params.id);
+            if (!idCheck.valid) return res.status(400).json({ error: idCheck.error });
+
+            const previa = await pool.query(
+                `SELECT ${COLUMNAS} FROM webhook_suscripciones
+                 WHERE id = $1 AND restaurante_id = $2 AND deleted_at IS NULL`,
+                [idCheck.value, req.restauranteId]
+            );
+            if (previa.rows.length === 0) return res.status(404).json({ error: 'Webhook no encontrado' });
+            const actual = previa.rows[0];
+
+            const body = req.body || {};
+            let url = actual.url;
+            if (body.url !== undefined) {
+                const destino = validarUrlDestino(body.url);
+                if (destino.error) return res.status(400).json({ error: destino.error });
+                url = destino.url;
+            }
+            let eventos = actual.eventos;
+            if (body.eventos !== undefined) {
+                const ev = sanearEventos(body.eventos);
+                if (ev.error) return res.status(400).json({ error: ev.error });
+                eventos = ev.eventos;
+            }
+            const descripcion = body.descripcion !== undefined ? (sanitizeString(body.descripcion, 255) || null) : actual.descripcion;
+            const activo = body.activo !== undefined ? body.activo === true : actual.activo;
+
+            const { rows } = await pool.query(
+                `UPDATE webhook_suscripciones
+                 SET url = $3, eventos = $4, descripcion = $5, activo = $6, updated_at = NOW()
+                 WHERE id = $1 AND restaurante_id = $2 AND deleted_at IS NULL
+                 RETURNING ${COLUMNAS}`,
+                [idCheck.value, req.restauranteId, url, JSON.stringify(eventos), descripcion, activo]
+            );
+
+            logChange(pool, {
+                req,
+                tabla: 'webhook_suscripciones',
+                operacion: 'UPDATE',
+                registroId: idCheck.value,
+                datosAntes: publica(actual),
+                datosDespues: publica(rows[0])
+            });
+
+            res.json(publica(rows[0]));
+        } catch (err) {
+            log('error', 'Error actualizando webhook saliente', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // DELETE /api/outbound-webhooks/:id — soft delete; las entregas pendientes
+    // fallan en su siguiente intento ("Suscripción desactivada").
+    router.delete('/outbound-webhooks/:id', authMiddleware, requireAdmin, async (req, res) => {
+        try {
+            const idCheck = validateId(req.params.id);
+            if (!idCheck.valid) return res.status(400).json({ error: idCheck.error });
+
+            const { rows } = await pool.query(
+                `UPDATE webhook_suscripciones SET deleted_at = NOW(), activo = FALSE, updated_at = NOW()
+                 WHERE id = $1 AND restaurante_id = $2 AND deleted_at IS NULL
+                 RETURNING ${COLUMNAS}`,
+                [idCheck.value, req.restauranteId]
+            );
+            if (rows.length === 0) return res.status(404).json({ error: 'Webhook no encontrado' });
+
+            logChange(pool, {
+                req,
+                tabla: 'webhook_suscripciones',
+                operacion: 'DELETE',
+                registroId: idCheck.value,
+                datosAntes: publica(rows[0]),
+                datosDespues: null
+            });
+
+            res.json({ success: true, id: idCheck.value });
+        } catch (err) {
+            log('error', 'Error eliminando webhook saliente', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // GET /api/outbound-webhooks/:id/deliveries?estado=&limit= — registro de entregas
+    router.get('/outbound-webhooks/:id/deliveries', authMiddleware, requireAdmin, async (req, res) => {
+        try {
+            const idCheck = validateId(req.params.id);
+            if (!idCheck.valid) return res.status(400).json({ error: idCheck.error });
+            const lim = parseInt(req.query.limit, 10);
+            const limite = Number.isFinite(lim) ? Math.min(200, Math.max(1, lim)) : 50;
+            const estado = ['pendiente', 'entregado', 'fallido'].includes(req.query.estado) ? req.query.estado : null;
+
+            const { rows } = await pool.query(
+                `SELECT e.id, e.evento, e.msg_id, e.payload, e.estado, e.intentos, e.ultimo_status,
+                        e.ultimo_error, e.respuesta, e.proximo_intento, e.reenvio_de, e.entregado_at, e.created_at
+                 FROM webhook_entregas e
+                 JOIN webhook_suscripciones s ON s.id = e.suscripcion_id AND s.restaurante_id = e.restaurante_id
+                 WHERE e.suscripcion_id = $1 AND e.restaurante_id = $2 AND s.deleted_at IS NULL
+                   AND ($3::text IS NULL OR e.estado = $3)
+                 ORDER BY e.created_at DESC, e.id DESC
+                 LIMIT $4`,
+                [idCheck.value, req.restauranteId, estado, limite]
+            );
+            res.json(rows);
+        } catch (err) {
+            log('error', 'Error obteniendo entregas de webhook', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // POST /api/outbound-webhooks/deliveries/:id/replay — reenvía una entrega
+    // (mismo payload y mismo webhook-id) y devuelve la entrega nueva.
+    router.post('/outbound-webhooks/deliveries/:id/replay', authMiddleware, requireAdmin, async (req, res) => {
+        try {
+            const idCheck = validateId(req.params.id);
+            if (!idCheck.valid) return res.status(400).json({ error: idCheck.error });
+
+            const entrega = await reenviarEntrega(pool, req.restauranteId, idCheck.value);
+            if (!entrega) return res.status(404).json({ error: 'Entrega no encontrada' });
+            res.status(201).json(entrega);
+        } catch (err) {
+            log('error', 'Error reenviando entrega de webhook', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    return router;
+};
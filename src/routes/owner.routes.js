@@ -0,0 +1,61 @@
+/**
+ * owner Routes — vista consolidada del grupo (varios restaurantes).
+ *
+ * Para cada restaurante donde el usuario es admin suma las cifras de
+ * /balance/mes, /analytics/food-cost y las compras de /monthly/summary, con
+ * desglose y ranking por local. El cálculo vive en
+ * services/consolidatedService.js.
+ *
+ * Sin requirePermission: el permiso es ser admin en cada local que se suma,
+ * y eso ya lo filtra la consulta de restaurantes del grupo (un restaurante
+ * donde el usuario es 'contable' no aparece). Los tokens de API no llegan
+ * aquí: /owner no es un recurso con scope.
+ *
+ * /owner/restaurants (listado con KPIs de stock) sigue en transfers.routes.js.
+ */
+const { Router } = require('express');
+const { authMiddleware } = require('../middleware/auth');
+const { costlyApiLimiter } = require('../middleware/rateLimit');
+const { log } = require('../utils/logger');
+const { consolidarPnl, consolidarFoodCost } = require('../services/consolidatedService');
+
+const FECHA = /^\d{4}-\d{2}-\d{2}$/;
+
+module.exports = function (pool) {
+    const router = Router();
+
+    /**
+     * GET /owner/consolidated/pnl?mes=M&ano=YYYY
+     * Balance del mes, food cost y compras de cada local + total del grupo +
+     * ranking por ganancia y margen.
+     */
+    router.get('/owner/consolidated/pnl', costlyApiLimiter, authMiddleware, async (req, res) => {
+        try {
+            const { mes, ano } = req.query;
+            res.json(await consolidarPnl(pool, req.user.userId, { mes, ano }));
+        } catch (err) {
+            log('error', 'Error en /owner/consolidated/pnl', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    /**
+     * GET /owner/consolidated/food-cost?desde=YYYY-MM-DD&hasta=YYYY-MM-DD
+     * Food cost por local y del grupo, ranking (mejor primero) y comparación
+     * de precios del mismo ingrediente entre locales. Por defecto, mes en curso.
+     */
+    router.get('/owner/consolidated/food-cost', costlyApiLimiter, authMiddleware, async (req, res) => {
+        try {
+            const { desde, hasta } = req.query;
+            if ((desde && !FECHA.test(desde)) || (hasta && !FECHA.test(hasta))) {
+                return res.status(400).json({ error: 'desde y hasta deben ser YYYY-MM-DD' });
+            }
+            res.json(await consolidarFoodCost(pool, req.user.userId, { desde, hasta }));
+        } catch (err) {
+            log('error', 'Error en /owner/consolidated/food-cost', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    return router;
+};
@@ -2,7 +2,7 @@
  * personal-extra Routes — pagos a extras por horas (cuentan en el PyG).
  */
 const { Router } = require('express');
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const { globalLimiter } = require('../middleware/rateLimit');
 const { log } = require('../utils/logger');
 const { validatePrecio, sanitizeString, validateId } = require('../utils/validators');
@@ -22,7 +22,7 @@ const isoUTC = (d) => d.toISOString().slice(0, 10);
 module.exports = function (pool) {
     const router = Router();
 
-    router.get('/personal-extra', globalLimiter, authMiddleware, async (req, res) => {
+    router.get('/personal-extra', globalLimiter, authMiddleware, requirePermission('finance:read'), async (req, res) => {
         try {
             // Rango por defecto: mes en curso [primer día, último día REAL del mes].
             // Nunca usar `${ym}-31` (revienta en meses de 30 días o febrero).
@@ -42,7 +42,7 @@ module.exports = function (pool) {
         }
     });
 
-    router.post('/personal-extra', globalLimiter, authMiddleware, async (req, res) => {
+    router.post('/personal-extra', globalLimiter, authMiddleware, requirePermission('finance:write'), async (req, res) => {
         try {
             const fecha = fechaOk(req.body.fecha);
             if (!fecha) return res.status(400).json({ error: 'Fecha inválida (YYYY-MM-DD)' });
@@ -65,7 +65,7 @@ module.exports = function (pool) {
         }
     });
 
-    router.put('/personal-extra/:id', globalLimiter, authMiddleware, async (req, res) => {
+    router.put('/personal-extra/:id', globalLimiter, authMiddleware, requirePermission('finance:write'), async (req, res) => {
         try {
             const idCheck = validateId(req.params.id);
             if (!idCheck.valid) return res.status(400).json({ error: 'ID inválido' });
@@ -91,7 +91,7 @@ module.exports = function (pool) {
         }
     });
 
-    router.delete('/personal-extra/:id', globalLimiter, authMiddleware, async (req, res) => {
+    router.delete('/personal-extra/:id', globalLimiter, authMiddleware, requirePermission('finance:write'), async (req, res) => {
         try {
             const idCheck = validateId(req.params.id);
             if (!idCheck.valid) return res.status(400).json({ error: 'ID inválido' });
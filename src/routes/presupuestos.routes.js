@@ -0,0 +1,183 @@
+/**
+ * presupuestos Routes — presupuesto mensual del P&L y su comparación con lo real.
+ *
+ * Líneas y signo de la desviación en utils/presupuesto; lo real en
+ * services/presupuestoService. Leer pide finance:read y escribir
+ * finance:write, como el resto del balance.
+ */
+const { Router } = require('express');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { log } = require('../utils/logger');
+const { logChange } = require('../utils/auditLog');
+const { leerLineasPresupuesto, aplicarIncremento } = require('../utils/presupuesto');
+const { presupuestoVsReal } = require('../services/presupuestoService');
+
+const MES_RE = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+/** Año razonable (de query o body); null si no lo es. */
+function leerAnio(valor) {
+    const anio = Number(valor);
+    return Number.isInteger(anio) && anio >= 2020 && anio <= 2100 ? anio : null;
+}
+
+/** Mes 1-12; null si no lo es. */
+function leerMes(valor) {
+    const mes = Number(valor);
+    return Number.isInteger(mes) && mes >= 1 && mes <= 12 ? mes : null;
+}
+
+/** Incremento % de la copia: sin él, 0; null si no es un número entre -50 y 100. */
+function leerIncremento(valor) {
+    if (valor === undefined || valor === null) return 0;
+    const esNumero = typeof valor === 'number' || (typeof valor === 'string' && valor.trim() !== '');
+    const pct = esNumero ? Number(valor) : NaN;
+    return Number.isFinite(pct) && pct >= -50 && pct <= 100 ? pct : null;
+}
+
+/**
+ * @param {Pool} pool - PostgreSQL connection pool
+ */
+module.exports = function (pool) {
+    const router = Router();
+
+    // GET presupuesto del año (?anio), todas las líneas de todos los meses
+    router.get('/presupuestos', authMiddleware, requirePermission('finance:read'), async (req, res) => {
+        try {
+            const anio = req.query.anio !== undefined ? leerAnio(req.query.anio) : new Date().getFullYear();
+            if (!anio) return res.status(400).json({ error: 'anio inválido' });
+            const { rows } = await pool.query(
+                `SELECT mes, linea, categoria, importe, updated_at
+                 FROM presupuestos
+                 WHERE restaurante_id = $1 AND anio = $2
+                 ORDER BY mes, linea, categoria`,
+                [req.restauranteId, anio]
+            );
+            res.json({ anio, lineas: rows.map(r => ({ ...r, importe: parseFloat(r.importe) || 0 })) });
+        } catch (err) {
+            log('error', 'Error obteniendo presupuestos', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // PUT presupuesto de un mes: sustituye TODAS sus líneas por las del body
+    // (lo que el encargado ve en la rejilla es lo que queda guardado).
+    router.put('/presupuestos/:anio/:mes', authMiddleware, requirePermission('finance:write'), async (req, res) => {
+        const anio = leerAnio(req.params.anio);
+        const mes = leerMes(req.params.mes);
+        if (!anio || !mes) return res.status(400).json({ error: 'anio o mes inválido' });
+        const leidas = leerLineasPresupuesto(req.body?.lineas);
+        if (leidas.error) return res.status(400).json({ error: leidas.error });
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const antes = await client.query(
+                'DELETE FROM presupuestos WHERE restaurante_id = $1 AND anio = $2 AND mes = $3 RETURNING linea, categoria, importe',
+                [req.restauranteId, anio, mes]
+            );
+            for (const l of leidas.lineas) {
+                await client.query(
+                    `INSERT INTO presupuestos (restaurante_id, anio, mes, linea, categoria, importe, actualizado_por)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+                    [req.restauranteId, anio, mes, l.linea, l.categoria, l.importe, req.user?.userId || null]
+                );
+            }
+            await client.query('COMMIT');
+
+            logChange(pool, {
+                // Un mes son varias filas: el registro auditado es el mes (AAAAMM).
+                req, tabla: 'presupuestos', operacion: 'UPDATE',
+                registroId: anio * 100 + mes,
+                datosAntes: { anio, mes, lineas: antes.rows },
+                datosDespues: { anio, mes, lineas: leidas.lineas }
+            });
+            res.json({ anio, mes, lineas: leidas.lineas });
+        } catch (err) {
+            await client.query('ROLLBACK').catch(() => {});
+            log('error', 'Error guardando presupuesto', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        } finally {
+            client.release();
+        }
+    });
+
+    // POST copiar el presupuesto del año anterior (un mes o el año entero) con
+    // un incremento %. Lo que ya esté presupuestado no se pisa salvo
+    // `sobrescribir: true`.
+    router.post('/presupuestos/copiar', authMiddleware, requirePermission('finance:write'), async (req, res) => {
+        const anio = leerAnio(req.body?.anio);
+        if (!anio) return res.status(400).json({ error: 'anio inválido' });
+        const mes = req.body?.mes !== undefined ? leerMes(req.body.mes) : null;
+        if (req.body?.mes !== undefined && !mes) return res.status(400).json({ error: 'mes inválido' });
+        const incrementoPct = leerIncremento(req.body?.incremento_pct);
+        if (incrementoPct === null) return res.status(400).json({ error: 'incremento_pct debe ser un número entre -50 y 100' });
+        const sobrescribir = req.body?.sobrescribir === true;
+
+        const client = await pool.connect();
+        try {
+            const origen = await client.query(
+                `SELECT mes, linea, categoria, importe
+                 FROM presupuestos
+                 WHERE restaurante_id = $1 AND anio = $2 AND ($3::int IS NULL OR mes = $3)
+                 ORDER BY mes, linea, categoria`,
+                [req.restauranteId, anio - 1, mes]
+            );
+            if (origen.rows.length === 0) {
+                return res.status(404).json({ error: `No hay presupuesto de ${anio - 1}${mes ? ` para el mes ${mes}` : ''} que copiar` });
+            }
+
+            const alChocar = sobrescribir
+                ? 'UPDATE SET importe = EXCLUDED.importe, actualizado_por = EXCLUDED.actualizado_por, updated_at = NOW()'
+                : 'NOTHING';
+            let copiadas = 0;
+            await client.query('BEGIN');
+            for (const o of origen.rows) {
+                const [l] = aplicarIncremento([o], incrementoPct);
+                const r = await client.query(
+                    `INSERT INTO presupuestos (restaurante_id, anio, mes, linea, categoria, importe, actualizado_por)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7)
+                     ON CONFLICT (restaurante_id, anio, mes, linea, categoria) DO ${alChocar}
+                     RETURNING id`,
+                    [req.restauranteId, anio, o.mes, l.linea, l.categoria, l.importe, req.user?.userId || null]
+                );
+                copiadas += r.rows.length;
+            }
+            await client.query('COMMIT');
+
+            logChange(pool, {
+                req, tabla: 'presupuestos', operacion: 'INSERT',
+                registroId: anio * 100 + (mes || 0),
+                datosAntes: null,
+                datosDespues: { origen: anio - 1, anio, mes, incremento_pct: incrementoPct, sobrescribir, copiadas }
+            });
+            log('info', 'Presupuesto copiado', { anio, mes, copiadas });
+            res.status(201).json({
+                anio,
+                mes,
+                incremento_pct: incrementoPct,
+                copiadas,
+                omitidas: origen.rows.length - copiadas
+            });
+        } catch (err) {
+            await client.query('ROLLBACK').catch(() => {});
+            log('error', 'Error copiando presupuesto', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        } finally {
+            client.release();
+        }
+    });
+
+    // GET presupuesto vs. real del mes (?mes=YYYY-MM) y acumulado del año
+    router.get('/balance/budget-vs-actual', authMiddleware, requirePermission('finance:read'), async (req, res) => {
+        try {
+            const mes = req.query.mes ?? new Date().toISOString().slice(0, 7);
+            if (!MES_RE.test(mes)) return res.status(400).json({ error: 'mes debe ser YYYY-MM' });
+            res.json(await presupuestoVsReal(pool, req.restauranteId, mes));
+        } catch (err) {
+            log('error', 'Error en presupuesto vs. real', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    return router;
+};
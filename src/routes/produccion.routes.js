@@ -0,0 +1,381 @@
+/**
+ * produccion Routes — lotes de producción de la cocina central.
+ *
+ * La cocina central elabora salsas, fondos y bases que luego se envían a los
+ * demás locales. Un lote es "he hecho N porciones de la receta X y me han
+ * salido Q unidades del producto P":
+ *   - consume los ingredientes BASE de la receta con el mismo motor que las
+ *     ventas y los consumos internos (expandRecipeToBase con rendimientos →
+ *     agregarDeduccionesOrdenadas → UPDATE con FOR UPDATE previo, por id);
+ *   - suma Q al stock del producto P, que es un ingrediente más (para que
+ *     pueda venderse dentro de una receta, contarse en inventario y enviarse
+ *     con /transfers);
+ *   - guarda el coste del lote (coste de la receta con los precios actuales,
+ *     calculado aquí, nunca aceptado del cliente) y el coste por unidad de P,
+ *     que es el precio por defecto al enviarlo a otro local.
+ *
+ * El precio de P se actualiza a la media ponderada entre el stock que ya
+ * había y el lote (salvo precio_fijado). NO se escribe en
+ * precios_compra_diarios: un lote no es una compra (las bases ya se compraron
+ * y contaron) y sumarlo inflaría el gasto del Diario de la cocina central.
+ *
+ * Puerta del censo de escritores de stock (tests/guards/stock-writers-census).
+ */
+const { Router } = require('express');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { globalLimiter } = require('../middleware/rateLimit');
+const { log } = require('../utils/logger');
+const { validateId, validateCantidad, validateDate, sanitizeString } = require('../utils/validators');
+const { expandRecipeToBase, loadYieldConfig, getRecipeCostBase } = require('../utils/businessHelpers');
+const { agregarDeduccionesOrdenadas, esDeadlock } = require('../utils/stockDeduction');
+const { logChange } = require('../utils/auditLog');
+const { registrarMovimientoStock } = require('../utils/stockLedger');
+const { preciosIngredientes } = require('../services/finanzasMesService');
+const recipeCostHistoryService = require('../services/recipeCostHistoryService');
+
+// Reintentos ante deadlock: la transacción hizo rollback completo, reintentar es seguro.
+const MAX_INTENTOS = 3;
+
+const r2 = (n) => Math.round(n * 100) / 100;
+const r4 = (n) => Math.round(n * 10000) / 10000;
+
+/**
+ * @param {Pool} pool - PostgreSQL connection pool
+ */
+module.exports = function (pool) {
+    const router = Router();
+
+    // ========== LISTAR ==========
+    router.get('/produccion/lotes', globalLimiter, authMiddleware, requirePermission('inventory:read'), async (req, res) => {
+        try {
+            const { desde, hasta, ingrediente_id } = req.query;
+            const params = [req.restauranteId];
+            let where = 'restaurante_id = $1 AND deleted_at IS NULL';
+
+            if (desde) {
+                const d = validateDate(desde);
+                if (!d.valid) return res.status(400).json({ error: `desde: ${d.error}` });
+                params.push(desde);
+                where += ` AND fecha >= $${params.length}`;
+            }
+            if (hasta) {
+                const h = validateDate(hasta);
+                if (!h.valid) return res.status(400).json({ error: `hasta: ${h.error}` });
+                params.push(hasta);
+                where += ` AND fecha < $${params.length}`;
+            }
+            if (ingrediente_id) {
+                const i = validateId(ingrediente_id);
+                if (!i.valid) return res.status(400).json({ error: `ingrediente_id: ${i.error}` });
+                params.push(i.value);
+                where += ` AND ingrediente_id = $${params.length}`;
+            }
+
+            const { rows } = await pool.query(
+                `SELECT id, receta_id, receta_nombre, ingrediente_id, ingrediente_nombre, porciones,
+                        cantidad_producida, coste_total, coste_unitario, nota, fecha, creado_por, created_at
+                 FROM lotes_produccion
+                 WHERE ${where}
+                 ORDER BY fecha DESC, id DESC
+                 LIMIT 200`,
+                params
+            );
+
+            const totalCoste = rows.reduce((s, r) => s + (parseFloat(r.coste_total) || 0), 0);
+            res.json({ lotes: rows, total_registros: rows.length, total_coste: r2(totalCoste) });
+        } catch (err) {
+            log('error', 'Error listando lotes de producción', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // ========== PRODUCIR (consume bases, suma producto) ==========
+    // Body: { recetaId, porciones, ingredienteId (producto), cantidad?, fecha?, nota? }
+    // `cantidad` = unidades del producto que salen (en su unidad); por defecto
+    // = porciones, el caso de una receta escandallada por kg/l de producto.
+    router.post('/produccion/lotes', globalLimiter, authMiddleware, requirePermission('inventory:write'), async (req, res) => {
+        const { recetaId, porciones, ingredienteId, cantidad, fecha, nota } = req.body || {};
+
+        const recetaCheck = validateId(recetaId);
+        if (!recetaCheck.valid) return res.status(400).json({ error: `recetaId: ${recetaCheck.error}` });
+        const productoCheck = validateId(ingredienteId);
+        if (!productoCheck.valid) return res.status(400).json({ error: `ingredienteId: ${productoCheck.error}` });
+
+        const porcionesValidadas = validateCantidad(porciones);
+        if (porcionesValidadas === 0) {
+            return res.status(400).json({ error: 'porciones debe ser un número positivo' });
+        }
+        const cantidadProducida = cantidad === undefined || cantidad === null || cantidad === ''
+            ? porcionesValidadas
+            : validateCantidad(cantidad);
+        if (cantidadProducida === 0) {
+            return res.status(400).json({ error: 'cantidad debe ser un número positivo' });
+        }
+
+        let fechaLote = new Date();
+        if (fecha) {
+            const f = validateDate(fecha, { allowFuture: false });
+            if (!f.valid) return res.status(400).json({ error: `fecha: ${f.error}` });
+            fechaLote = f.value;
+        }
+        const notaLimpia = nota ? sanitizeString(nota, 500) : null;
+
+        const client = await pool.connect();
+        try {
+            for (let intento = 1; intento <= MAX_INTENTOS; intento++) {
+                try {
+                    await client.query('BEGIN');
+
+                    const recetaRes = await client.query(
+                        'SELECT id, nombre, porciones, ingredientes FROM recetas WHERE id = $1 AND restaurante_id = $2 AND deleted_at IS NULL',
+                        [recetaCheck.value, req.restauranteId]
+                    );
+                    if (recetaRes.rows.length === 0) {
+                        await client.query('ROLLBACK');
+                        return res.status(404).json({ error: 'Receta no encontrada' });
+                    }
+                    const receta = recetaRes.rows[0];
+
+                    const productoRes = await client.query(
+                        'SELECT id, nombre, unidad FROM ingredientes WHERE id = $1 AND restaurante_id = $2 AND deleted_at IS NULL',
+                        [productoCheck.value, req.restauranteId]
+                    );
+                    if (productoRes.rows.length === 0) {
+                        await client.query('ROLLBACK');
+                        return res.status(404).json({ error: 'Ingrediente producto no encontrado' });
+                    }
+                    const producto = productoRes.rows[0];
+
+                    // Bases de la receta (subrecetas + rendimiento del tenant)
+                    const yieldCfg = await loadYieldConfig(client, req.restauranteId);
+                    const baseIngs = await expandRecipeToBase(receta, client, req.restauranteId, yieldCfg);
+                    const deducciones = agregarDeduccionesOrdenadas(baseIngs, porcionesValidadas);
+                    if (deducciones.length === 0) {
+                        await client.query('ROLLBACK');
+                        return res.status(400).json({ error: 'La receta no tiene ingredientes que consumir' });
+                    }
+                    if (deducciones.some(d => d.ingredienteId === producto.id)) {
+                        await client.query('ROLLBACK');
+                        return res.status(400).json({ error: 'El producto no puede ser a la vez ingrediente de su receta' });
+                    }
+
+                    // Coste con los precios ANTES de mover stock (mismo cálculo que
+                    // el food cost de una venta y que consumos internos).
+                    const ingredientes = await preciosIngredientes(client, req.restauranteId);
+                    const preciosMap = new Map();
+                    const rendimientoBaseMap = new Map();
+                    ingredientes.forEach(i => {
+                        preciosMap.set(i.id, i.precio_unitario);
+                        if (i.rendimiento) rendimientoBaseMap.set(i.id, parseFloat(i.rendimiento));
+                    });
+                    const todasRecetasRes = await client.query(
+                        'SELECT id, porciones, ingredientes FROM recetas WHERE restaurante_id = $1 AND deleted_at IS NULL',
+                        [req.restauranteId]
+                    );
+                    const recetasMap = new Map(todasRecetasRes.rows.map(r => [r.id, r]));
+                    const porcionesReceta = Math.max(1, parseInt(receta.porciones) || 1);
+                    const costeReceta = getRecipeCostBase(receta, preciosMap, recetasMap, rendimientoBaseMap);
+                    const costeTotal = r2((costeReceta / porcionesReceta) * porcionesValidadas);
+                    const costeUnitario = r4(costeTotal / cantidadProducida);
+
+                    // Movimientos en orden de id ascendente (anti-deadlock), el
+                    // producto incluido en su sitio.
+                    const movimientos = [
+                        ...deducciones.map(d => ({ id: d.ingredienteId, descontar: d.cantidad })),
+                        { id: producto.id, sumar: cantidadProducida }
+                    ].sort((a, b) => a.id - b.id);
+
+                    const stockDeductions = [];
+                    let entradaProducto = null;
+                    for (const m of movimientos) {
+                        const lockRes = await client.query(
+                            'SELECT id, stock_actual, precio, cantidad_por_formato, precio_fijado FROM ingredientes WHERE id = $1 AND restaurante_id = $2 AND deleted_at IS NULL FOR UPDATE',
+                            [m.id, req.restauranteId]
+                        );
+                        if (lockRes.rows.length === 0) {
+                            log('warn', 'Ingrediente base no encontrado en lote de producción', { recetaId: receta.id, ingId: m.id });
+                            continue;
+                        }
+                        const fila = lockRes.rows[0];
+                        const stockAntes = parseFloat(fila.stock_actual) || 0;
+
+                        if (m.sumar) {
+                            // Precio medio ponderado entre lo que había y el lote.
+                            const cpf = parseFloat(fila.cantidad_por_formato) || 1;
+                            const unitarioActual = (parseFloat(fila.precio) || 0) / cpf;
+                            const stockValorado = Math.max(0, stockAntes);
+                            const unitarioNuevo = fila.precio_fijado
+                                ? null
+                                : (stockValorado * unitarioActual + costeTotal) / (stockValorado + cantidadProducida);
+                            await client.query(
+                                `UPDATE ingredientes
+                                 SET stock_actual = stock_actual + $1,
+                                     precio = COALESCE($2, precio),
+                                     ultima_actualizacion_stock = NOW()
+                                 WHERE id = $3 AND restaurante_id = $4 AND deleted_at IS NULL`,
+                                [cantidadProducida, unitarioNuevo === null ? null : unitarioNuevo * cpf, m.id, req.restauranteId]
+                            );
+                            entradaProducto = { stockAntes, precioUnitario: unitarioNuevo === null ? r4(unitarioActual) : r4(unitarioNuevo) };
+                        } else {
+                            const updRes = await client.query(
+                                'UPDATE ingredientes SET stock_actual = GREATEST(0, stock_actual - $1), ultima_actualizacion_stock = NOW() WHERE id = $2 AND restaurante_id = $3 RETURNING stock_actual',
+                                [m.descontar, m.id, req.restauranteId]
+                            );
+                            const stockDespues = parseFloat(updRes.rows[0]?.stock_actual) || 0;
+                            stockDeductions.push({ ingredienteId: m.id, real: stockAntes - stockDespues, calculado: m.descontar });
+                        }
+                    }
+
+                    const insertRes = await client.query(
+                        `INSERT INTO lotes_produccion
+                         (restaurante_id, receta_id, receta_nombre, ingrediente_id, ingrediente_nombre, porciones,
+                          cantidad_producida, coste_total, coste_unitario, stock_deductions, nota, fecha, creado_por)
+                         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13) RETURNING *`,
+                        [
+                            req.restauranteId, receta.id, receta.nombre, producto.id, producto.nombre, porcionesValidadas,
+                            cantidadProducida, costeTotal, costeUnitario,
+                            stockDeductions.length > 0 ? JSON.stringify(stockDeductions) : null,
+                            notaLimpia, fechaLote.toISOString().split('T')[0], req.user?.userId || null
+                        ]
+                    );
+                    const lote = insertRes.rows[0];
+
+                    // Libro de stock, ya con el id del lote.
+                    for (const d of stockDeductions) {
+                        await registrarMovimientoStock(client, {
+                            restauranteId: req.restauranteId, ingredienteId: d.ingredienteId, tipo: 'produccion',
+                            cantidad: -d.real, referenciaTipo: 'lote_produccion', referenciaId: lote.id,
+                            usuarioId: req.user?.userId
+                        });
+                    }
+                    await registrarMovimientoStock(client, {
+                        restauranteId: req.restauranteId, ingredienteId: producto.id, tipo: 'produccion_lote',
+                        cantidad: cantidadProducida, referenciaTipo: 'lote_produccion', referenciaId: lote.id,
+                        usuarioId: req.user?.userId
+                    });
+
+                    // El precio del producto cambió: las recetas que lo usan también.
+                    await recipeCostHistoryService.registrarCostesRecetas(client, req.restauranteId, { origen: 'produccion', ingredienteIds: [producto.id] });
+
+                    await client.query('COMMIT');
+
+                    logChange(pool, {
+                        req, tabla: 'lotes_produccion', operacion: 'INSERT',
+                        registroId: lote.id,
+                        datosAntes: null, datosDespues: lote
+                    });
+
+                    res.status(201).json({
+                        ...lote,
+                        precio_unitario_producto: entradaProducto ? entradaProducto.precioUnitario : null
+                    });
+                    return;
+                } catch (errTxn) {
+                    await client.query('ROLLBACK');
+                    if (esDeadlock(errTxn) && intento < MAX_INTENTOS) {
+                        log('warn', 'Deadlock en lote de producción — reintentando', { intento, error: errTxn.message });
+                        continue;
+                    }
+                    throw errTxn;
+                }
+            }
+        } catch (err) {
+            log('error', 'Error registrando lote de producción', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        } finally {
+            client.release();
+        }
+    });
+
+    // ========== BORRAR (revierte el lote) ==========
+    // Devuelve las bases (snapshot `real`) y retira el producto. Si parte del
+    // producto ya se usó o se envió, no se puede deshacer: 409.
+    router.delete('/produccion/lotes/:id', globalLimiter, authMiddleware, requirePermission('inventory:delete'), async (req, res) => {
+        const idCheck = validateId(req.params.id);
+        if (!idCheck.valid) return res.status(400).json({ error: idCheck.error });
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const loteRes = await client.query(
+                'SELECT * FROM lotes_produccion WHERE id = $1 AND restaurante_id = $2 AND deleted_at IS NULL FOR UPDATE',
+                [idCheck.value, req.restauranteId]
+            );
+            if (loteRes.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({ error: 'Lote no encontrado' });
+            }
+            const lote = loteRes.rows[0];
+            const cantidadProducida = parseFloat(lote.cantidad_producida) || 0;
+
+            const deducciones = Array.isArray(lote.stock_deductions) ? lote.stock_deductions : [];
+            const movimientos = [
+                ...deducciones
+                    .filter(d => d.ingredienteId && (parseFloat(d.real) || 0) > 0)
+                    .map(d => ({ id: d.ingredienteId, devolver: parseFloat(d.real) })),
+                { id: lote.ingrediente_id, retirar: cantidadProducida }
+            ].sort((a, b) => a.id - b.id);
+
+            for (const m of movimientos) {
+                const lockRes = await client.query(
+                    'SELECT id, stock_actual FROM ingredientes WHERE id = $1 AND restaurante_id = $2 AND deleted_at IS NULL FOR UPDATE',
+                    [m.id, req.restauranteId]
+                );
+                if (lockRes.rows.length === 0) continue;
+                const stockAntes = parseFloat(lockRes.rows[0].stock_actual) || 0;
+
+                if (m.retirar) {
+                    if (stockAntes < m.retirar) {
+                        await client.query('ROLLBACK');
+                        return res.status(409).json({
+                            error: `Ya no queda todo el producto del lote (stock ${stockAntes}, lote ${m.retirar}). Ajusta el stock a mano.`
+                        });
+                    }
+                    await client.query(
+                        `UPDATE ingredientes SET stock_actual = GREATEST(0, stock_actual - $1), ultima_actualizacion_stock = NOW()
+                         WHERE id = $2 AND restaurante_id = $3`,
+                        [m.retirar, m.id, req.restauranteId]
+                    );
+                    await registrarMovimientoStock(client, {
+                        restauranteId: req.restauranteId, ingredienteId: m.id, tipo: 'produccion_anulada',
+                        stockAntes, referenciaTipo: 'lote_produccion', referenciaId: lote.id, usuarioId: req.user?.userId
+                    });
+                } else {
+                    await client.query(
+                        `UPDATE ingredientes SET stock_actual = stock_actual + $1, ultima_actualizacion_stock = NOW()
+                         WHERE id = $2 AND restaurante_id = $3 AND deleted_at IS NULL`,
+                        [m.devolver, m.id, req.restauranteId]
+                    );
+                    await registrarMovimientoStock(client, {
+                        restauranteId: req.restauranteId, ingredienteId: m.id, tipo: 'produccion_anulada',
+                        cantidad: m.devolver, referenciaTipo: 'lote_produccion', referenciaId: lote.id, usuarioId: req.user?.userId
+                    });
+                }
+            }
+
+            await client.query(
+                'UPDATE lotes_produccion SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1 AND restaurante_id = $2',
+                [idCheck.value, req.restauranteId]
+            );
+
+            await client.query('COMMIT');
+
+            logChange(pool, {
+                req, tabla: 'lotes_produccion', operacion: 'DELETE',
+                registroId: idCheck.value,
+                datosAntes: lote, datosDespues: null
+            });
+
+            res.json({ success: true, id: idCheck.value, stock_restaurado: deducciones.length });
+        } catch (err) {
+            await client.query('ROLLBACK');
+            log('error', 'Error borrando lote de producción', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        } finally {
+            client.release();
+        }
+    });
+
+    return router;
+};
@@ -1,14 +1,18 @@
 /**
  * recipes Routes — Extracted from server.js  
- * Recipe variants (bottle/glass) + Recipes CRUD
+ * Recipe variants (bottle/glass) + Recipes CRUD + allergen matrix/card
+ * + cost history (recetas_coste_historico)
  */
 const { Router } = require('express');
-const { authMiddleware, requireAdmin } = require('../middleware/auth');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const { log } = require('../utils/logger');
 const { logChange } = require('../utils/auditLog');
-const { sanitizeString, validatePrecio, validateNumber, validateId } = require('../utils/validators');
-const { sanitizeAlergenos } = require('../utils/alergenos');
+const { sanitizeString, validatePrecio, validateNumber, validateId, validateDate } = require('../utils/validators');
+const { ALERGENOS_CODES, ALERGENOS_LABELS, sanitizeAlergenos, resolverAlergenosReceta, subrecetasDe } = require('../utils/alergenos');
+const { expandRecipeToBase } = require('../utils/businessHelpers');
+const { renderFichaAlergenos } = require('../services/fichaAlergenosHtml');
 const onboardingService = require('../services/onboardingService');
+const recipeCostHistoryService = require('../services/recipeCostHistoryService');
 
 /**
  * @param {Pool} pool - PostgreSQL connection pool
@@ -19,7 +23,7 @@ module.exports = function (pool) {
     // ========== VARIANTES DE RECETA (Botella/Copa) ==========
 
     // GET /api/recipes-variants - Obtener TODAS las variantes del restaurante
-    router.get('/recipes-variants', authMiddleware, async (req, res) => {
+    router.get('/recipes-variants', authMiddleware, requirePermission('recipes:read'), async (req, res) => {
         try {
             const result = await pool.query(
                 `SELECT * FROM recetas_variantes 
@@ -35,7 +39,7 @@ module.exports = function (pool) {
     });
 
     // GET /api/recipes/:id/variants - Obtener variantes de una receta
-    router.get('/recipes/:id/variants', authMiddleware, async (req, res) => {
+    router.get('/recipes/:id/variants', authMiddleware, requirePermission('recipes:read'), async (req, res) => {
         try {
             // 🔒 validateId: rechazar IDs no numéricos con 400 en vez de 500 (auditoria A1-M8).
             const idCheck = validateId(req.params.id);
@@ -57,7 +61,7 @@ module.exports = function (pool) {
     });
 
     // POST /api/recipes/:id/variants - Crear variante
-    router.post('/recipes/:id/variants', authMiddleware, async (req, res) => {
+    router.post('/recipes/:id/variants', authMiddleware, requirePermission('recipes:write'), async (req, res) => {
         try {
             // 🔒 validateId: rechazar IDs no numéricos con 400 en vez de 500 (auditoria A1-M9).
             const idCheck = validateId(req.params.id);
@@ -97,7 +101,7 @@ module.exports = function (pool) {
     });
 
     // PUT /api/recipes/:id/variants/:variantId - Actualizar variante
-    router.put('/recipes/:id/variants/:variantId', authMiddleware, async (req, res) => {
+    router.put('/recipes/:id/variants/:variantId', authMiddleware, requirePermission('recipes:write'), async (req, res) => {
         try {
             const idCheck = validateId(req.params.id);
             const variantCheck = validateId(req.params.variantId);
@@ -143,7 +147,7 @@ module.exports = function (pool) {
     });
 
     // DELETE /api/recipes/:id/variants/:variantId - Eliminar variante
-    router.delete('/recipes/:id/variants/:variantId', authMiddleware, async (req, res) => {
+    router.delete('/recipes/:id/variants/:variantId', authMiddleware, requirePermission('recipes:write'), async (req, res) => {
         try {
             const idCheck = validateId(req.params.id);
             const variantCheck = validateId(req.params.variantId);
@@ -226,7 +230,7 @@ module.exports = function (pool) {
         return { valid: true };
     }
 
-    router.get('/recipes', authMiddleware, async (req, res) => {
+    router.get('/recipes', authMiddleware, requirePermission('recipes:read'), async (req, res) => {
         try {
             const result = await pool.query('SELECT * FROM recetas WHERE restaurante_id=$1 AND deleted_at IS NULL ORDER BY id', [req.restauranteId]);
             res.json(result.rows || []);
@@ -236,7 +240,143 @@ module.exports = function (pool) {
         }
     });
 
-    router.post('/recipes', authMiddleware, async (req, res) => {
+    // ========== ALÉRGENOS (matriz + ficha imprimible) ==========
+    // Los alérgenos se guardan por ingrediente (ingredientes.alergenos) y, como
+    // extra, por receta (recetas.alergenos_extra). El plato hereda los de sus
+    // elaboraciones: se baja a ingredientes BASE con expandRecipeToBase, el
+    // mismo camino que usa el descuento de stock, sobre las recetas ya
+    // cargadas (dos queries para toda la matriz) y sin descartar líneas a 0.
+
+    /**
+     * Resuelve los alérgenos de las recetas del tenant. Sin `soloRecetaId`
+     * devuelve todas (matriz); con él, solo esa. Devuelve [] si no existe.
+     */
+    async function alergenosPorReceta(restauranteId, soloRecetaId = null) {
+        const [recRes, ingRes] = await Promise.all([
+            pool.query(
+                'SELECT id, nombre, categoria, porciones, ingredientes, alergenos_extra FROM recetas WHERE restaurante_id = $1 AND deleted_at IS NULL ORDER BY nombre',
+                [restauranteId]
+            ),
+            // Sin filtrar deleted_at: un ingrediente borrado que sigue en un
+            // escandallo sigue en el plato, y sus alérgenos también.
+            pool.query(
+                'SELECT id, nombre, alergenos FROM ingredientes WHERE restaurante_id = $1',
+                [restauranteId]
+            )
+        ]);
+        const recetasMap = new Map(recRes.rows.map(r => [r.id, r]));
+        const ingredientesMap = new Map(ingRes.rows.map(i => [i.id, i]));
+        const raices = soloRecetaId ? recRes.rows.filter(r => r.id === soloRecetaId) : recRes.rows;
+
+        const out = [];
+        for (const receta of raices) {
+            const baseIngs = await expandRecipeToBase(receta, pool, restauranteId, { recetasMap, incluirSinCantidad: true });
+            const recetasConExtra = [receta, ...subrecetasDe(receta, recetasMap).map(id => recetasMap.get(id))];
+            out.push({ receta, ...resolverAlergenosReceta({ baseIngs, ingredientesMap, recetas: recetasConExtra }) });
+        }
+        return out;
+    }
+
+    // GET /api/recipes/allergens - Matriz receta × 14 alérgenos UE
+    router.get('/recipes/allergens', authMiddleware, requirePermission('recipes:read'), async (req, res) => {
+        try {
+            const resueltas = await alergenosPorReceta(req.restauranteId);
+            res.json({
+                alergenos: ALERGENOS_CODES.map(code => ({ code, nombre: ALERGENOS_LABELS[code] })),
+                recetas: resueltas.map(({ receta, alergenos, origen }) => ({
+                    id: receta.id,
+                    nombre: receta.nombre,
+                    categoria: receta.categoria,
+                    matriz: Object.fromEntries(ALERGENOS_CODES.map(c => [c, alergenos.includes(c)])),
+                    alergenos,
+                    origen
+                }))
+            });
+        } catch (err) {
+            log('error', 'Error obteniendo matriz de alérgenos', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // GET /api/recipes/:id/allergens/card - Ficha de alérgenos imprimible (HTML)
+    router.get('/recipes/:id/allergens/card', authMiddleware, requirePermission('recipes:read'), async (req, res) => {
+        try {
+            const idCheck = validateId(req.params.id);
+            if (!idCheck.valid) return res.status(400).json({ error: 'ID inválido' });
+
+            const [resuelta] = await alergenosPorReceta(req.restauranteId, idCheck.value);
+            if (!resuelta) {
+                return res.status(404).json({ error: 'Receta no encontrada' });
+            }
+
+            const restRes = await pool.query('SELECT nombre FROM restaurantes WHERE id = $1', [req.restauranteId]);
+            const html = renderFichaAlergenos({
+                receta: resuelta.receta,
+                resultado: resuelta,
+                restauranteNombre: restRes.rows[0]?.nombre || ''
+            });
+            res.setHeader('Content-Type', 'text/html; charset=utf-8');
+            res.send(html);
+        } catch (err) {
+            log('error', 'Error generando ficha de alérgenos', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // ========== HISTÓRICO DE COSTE ==========
+    // Fotos versionadas en recetas_coste_historico (ver recipeCostHistoryService).
+
+    // GET /api/recipes/:id/cost-history?desde=YYYY-MM-DD&hasta=YYYY-MM-DD
+    // Curva de coste de la receta; cada punto explica qué ingrediente la movió.
+    router.get('/recipes/:id/cost-history', authMiddleware, requirePermission('recipes:read'), async (req, res) => {
+        try {
+            const idCheck = validateId(req.params.id);
+            if (!idCheck.valid) return res.status(400).json({ error: 'ID inválido' });
+            const { desde, hasta } = req.query;
+            for (const [campo, valor] of [['desde', desde], ['hasta', hasta]]) {
+                if (valor === undefined) continue;
+                const check = validateDate(valor);
+                if (!check.valid) return res.status(400).json({ error: `${campo}: ${check.error}` });
+            }
+
+            const receta = await pool.query(
+                'SELECT id, nombre, porciones, precio_venta FROM recetas WHERE id = $1 AND restaurante_id = $2 AND deleted_at IS NULL',
+                [idCheck.value, req.restauranteId]
+            );
+            if (receta.rows.length === 0) {
+                return res.status(404).json({ error: 'Receta no encontrada' });
+            }
+
+            const puntos = await recipeCostHistoryService.getHistorialCoste(
+                pool, req.restauranteId, idCheck.value, { desde: desde || null, hasta: hasta || null }
+            );
+            res.json({ receta: receta.rows[0], desde: desde || null, hasta: hasta || null, puntos });
+        } catch (err) {
+            log('error', 'Error obteniendo histórico de coste', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // GET /api/recipes/:id/cost-at?fecha=YYYY-MM-DD - Coste vigente en esa fecha
+    router.get('/recipes/:id/cost-at', authMiddleware, requirePermission('recipes:read'), async (req, res) => {
+        try {
+            const idCheck = validateId(req.params.id);
+            if (!idCheck.valid) return res.status(400).json({ error: 'ID inválido' });
+            const fechaCheck = validateDate(req.query.fecha);
+            if (!fechaCheck.valid) return res.status(400).json({ error: fechaCheck.error });
+
+            const foto = await recipeCostHistoryService.getCosteEnFecha(pool, req.restauranteId, idCheck.value, req.query.fecha);
+            if (!foto) {
+                return res.status(404).json({ error: 'Sin coste registrado para la receta en esa fecha' });
+            }
+            res.json(foto);
+        } catch (err) {
+            log('error', 'Error obteniendo coste a fecha', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    router.post('/recipes', authMiddleware, requirePermission('recipes:write'), async (req, res) => {
         try {
             const { nombre, categoria, precio_venta, porciones, ingredientes, codigo, alergenos_extra } = req.body;
 
@@ -253,10 +393,23 @@ module.exports = function (pool) {
             // Alérgenos EXTRA del plato (trazas/contaminación): solo códigos UE válidos.
             const alergenosExtra = sanitizeAlergenos(alergenos_extra);
 
-            const result = await pool.query(
-                'INSERT INTO recetas (nombre, categoria, precio_venta, porciones, ingredientes, codigo, alergenos_extra, restaurante_id) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *',
-                [sanitizeString(nombre), sanitizeString(categoria) || 'principal', validatePrecio(precio_venta), validateNumber(porciones, 1, 1, 1000), JSON.stringify(ingredientes || []), sanitizeString(codigo) || null, JSON.stringify(alergenosExtra), req.restauranteId]
-            );
+            // La receta y su primera foto de coste, juntas.
+            const client = await pool.connect();
+            let result;
+            try {
+                await client.query('BEGIN');
+                result = await client.query(
+                    'INSERT INTO recetas (nombre, categoria, precio_venta, porciones, ingredientes, codigo, alergenos_extra, restaurante_id) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *',
+                    [sanitizeString(nombre), sanitizeString(categoria) || 'principal', validatePrecio(precio_venta), validateNumber(porciones, 1, 1, 1000), JSON.stringify(ingredientes || []), sanitizeString(codigo) || null, JSON.stringify(alergenosExtra), req.restauranteId]
+                );
+                await recipeCostHistoryService.registrarCostesRecetas(client, req.restauranteId, { origen: 'receta', recetaIds: [result.rows[0].id] });
+                await client.query('COMMIT');
+            } catch (err) {
+                await client.query('ROLLBACK').catch(() => {});
+                throw err;
+            } finally {
+                client.release();
+            }
             onboardingService.markStep(pool, req.restauranteId, 'recetas');
             res.status(201).json(result.rows[0]);
         } catch (err) {
@@ -265,7 +418,7 @@ module.exports = function (pool) {
         }
     });
 
-    router.put('/recipes/:id', authMiddleware, async (req, res) => {
+    router.put('/recipes/:id', authMiddleware, requirePermission('recipes:write'), async (req, res) => {
         try {
             const idCheck = validateId(req.params.id);
             if (!idCheck.valid) return res.status(400).json({ error: 'ID inválido' });
@@ -291,10 +444,26 @@ module.exports = function (pool) {
                 : sanitizeAlergenos(before.rows[0]?.alergenos_extra);
 
             // 🔒 deleted_at IS NULL: no revivir recetas borradas via PUT
-            const result = await pool.query(
-                'UPDATE recetas SET nombre=$1, categoria=$2, precio_venta=$3, porciones=$4, ingredientes=$5, codigo=$6, alergenos_extra=$7 WHERE id=$8 AND restaurante_id=$9 AND deleted_at IS NULL RETURNING *',
-                [sanitizeString(nombre), sanitizeString(categoria), validatePrecio(precio_venta), validateNumber(porciones, 1, 1, 1000), JSON.stringify(ingredientes || []), sanitizeString(codigo) || null, JSON.stringify(alergenosExtra), id, req.restauranteId]
-            );
+            const client = await pool.connect();
+            let result;
+            try {
+                await client.query('BEGIN');
+                result = await client.query(
+                    'UPDATE recetas SET nombre=$1, categoria=$2, precio_venta=$3, porciones=$4, ingredientes=$5, codigo=$6, alergenos_extra=$7 WHERE id=$8 AND restaurante_id=$9 AND deleted_at IS NULL RETURNING *',
+                    [sanitizeString(nombre), sanitizeString(categoria), validatePrecio(precio_venta), validateNumber(porciones, 1, 1, 1000), JSON.stringify(ingredientes || []), sanitizeString(codigo) || null, JSON.stringify(alergenosExtra), id, req.restauranteId]
+                );
+                if (result.rows.length > 0) {
+                    // Esta receta y las que la usan como elaboración: el resto
+                    // del recetario no cambia de coste por este PUT.
+                    await recipeCostHistoryService.registrarCostesRecetas(client, req.restauranteId, { origen: 'receta', recetaIds: [id] });
+                }
+                await client.query('COMMIT');
+            } catch (err) {
+                await client.query('ROLLBACK').catch(() => {});
+                throw err;
+            } finally {
+                client.release();
+            }
             if (result.rows.length === 0) {
                 return res.status(404).json({ error: 'Receta no encontrada' });
             }
@@ -312,7 +481,7 @@ module.exports = function (pool) {
         }
     });
 
-    router.delete('/recipes/:id', authMiddleware, requireAdmin, async (req, res) => {
+    router.delete('/recipes/:id', authMiddleware, requirePermission('recipes:delete'), async (req, res) => {
         try {
             // SOFT DELETE: marca como eliminado sin borrar datos
             const idCheck = validateId(req.params.id);
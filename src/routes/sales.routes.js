@@ -3,14 +3,19 @@
  * Sales CRUD, PDF parsing (Claude), bulk import with stock deduction
  */
 const { Router } = require('express');
-const { authMiddleware, requireAdmin } = require('../middleware/auth');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const { costlyApiLimiter } = require('../middleware/rateLimit');
 const { log } = require('../utils/logger');
 const { validateCantidad, validateId } = require('../utils/validators');
 const { expandRecipeToBase, loadYieldConfig, getRecipeCostBase, getBackendIngredientUnitPrice } = require('../utils/businessHelpers');
 const { logChange } = require('../utils/auditLog');
 const { agregarDeduccionesOrdenadas, esDeadlock } = require('../utils/stockDeduction');
+const { registrarMovimientoStock } = require('../utils/stockLedger');
 const { ANTHROPIC_MODEL } = require('../config/aiModels');
+const llm = require('../services/llmProvider');
+const { respuestaCuotaAgotada } = require('../services/aiUsageService');
+const AlertService = require('../application/services/AlertService');
+const { emitirEvento } = require('../services/outboundWebhookService');
 
 // Reintentos ante deadlock/serialization_failure (errores transitorios; la transacción
 // hizo rollback completo, así que reintentar es seguro).
@@ -24,7 +29,7 @@ module.exports = function (pool) {
 
     // ========== VENTAS ==========
     // ✅ PRODUCCIÓN: Rutas inline activas con descuento de inventario completo.
-    router.get('/sales', authMiddleware, async (req, res) => {
+    router.get('/sales', authMiddleware, requirePermission('sales:read'), async (req, res) => {
         try {
             const { fecha, limit, page } = req.query;
             let query = 'SELECT v.*, r.nombre as receta_nombre FROM ventas v LEFT JOIN recetas r ON v.receta_id = r.id WHERE v.restaurante_id = $1 AND v.deleted_at IS NULL';
@@ -69,7 +74,7 @@ module.exports = function (pool) {
         }
     });
 
-    router.post('/sales', authMiddleware, async (req, res) => {
+    router.post('/sales', authMiddleware, requirePermission('sales:write'), async (req, res) => {
         const client = await pool.connect();
         try {
             // ⚡ Soportar ambos formatos: recetaId (camelCase) y receta_id (snake_case)
@@ -232,6 +237,10 @@ module.exports = function (pool) {
                 const stockDespues = parseFloat(updateResult.rows[0]?.stock_actual) || 0;
                 const descuentoReal = stockAntes - stockDespues;
                 stockDeductions.push({ ingredienteId: ingId, real: descuentoReal, calculado: cantidadADescontar });
+                await registrarMovimientoStock(client, {
+                    restauranteId: req.restauranteId, ingredienteId: ingId, tipo: 'venta', stockAntes,
+                    referenciaTipo: 'venta', referenciaId: ventaResult.rows[0].id, usuarioId: req.user?.userId
+                });
                 log('debug', 'Stock descontado', { ingredienteId: ingId, calculado: cantidadADescontar, real: descuentoReal });
             }
 
@@ -317,6 +326,7 @@ module.exports = function (pool) {
                 datosAntes: null,
                 datosDespues: ventaResult.rows[0],
             });
+            emitirEvento(pool, req.restauranteId, 'sale.created', { venta: ventaResult.rows[0] });
 
             res.status(201).json(ventaResult.rows[0]);
             return;
@@ -337,7 +347,7 @@ module.exports = function (pool) {
         }
     });
 
-    router.delete('/sales/:id', authMiddleware, requireAdmin, async (req, res) => {
+    router.delete('/sales/:id', authMiddleware, requirePermission('sales:delete'), async (req, res) => {
         const client = await pool.connect();
         try {
             const idCheck = validateId(req.params.id);
@@ -377,6 +387,10 @@ module.exports = function (pool) {
                             'UPDATE ingredientes SET stock_actual = stock_actual + $1, ultima_actualizacion_stock = NOW() WHERE id = $2 AND restaurante_id = $3 AND deleted_at IS NULL',
                             [deduction.real, deduction.ingredienteId, req.restauranteId]
                         );
+                        await registrarMovimientoStock(client, {
+                            restauranteId: req.restauranteId, ingredienteId: deduction.ingredienteId, tipo: 'venta_anulada',
+                            cantidad: deduction.real, referenciaTipo: 'venta', referenciaId: venta.id, usuarioId: req.user?.userId
+                        });
                         log('info', 'Stock restaurado (descuento real)', {
                             ingredienteId: deduction.ingredienteId,
                             real: deduction.real,
@@ -406,6 +420,10 @@ module.exports = function (pool) {
                             'UPDATE ingredientes SET stock_actual = stock_actual + $1, ultima_actualizacion_stock = NOW() WHERE id = $2 AND restaurante_id = $3',
                             [cantidadARestaurar, ingId, req.restauranteId]
                         );
+                        await registrarMovimientoStock(client, {
+                            restauranteId: req.restauranteId, ingredienteId: ingId, tipo: 'venta_anulada',
+                            cantidad: cantidadARestaurar, referenciaTipo: 'venta', referenciaId: venta.id, usuarioId: req.user?.userId
+                        });
                         log('info', 'Stock restaurado (fallback legacy)', {
                             ingredienteId: ingId,
                             cantidad: cantidadARestaurar,
@@ -494,7 +512,7 @@ module.exports = function (pool) {
 
     // ========== ENDPOINT: PARSEAR PDF DE TPV CON IA ==========
     // Recibe un PDF del TPV y extrae los datos de ventas usando Claude API
-    router.post('/parse-pdf', authMiddleware, costlyApiLimiter, async (req, res) => {
+    router.post('/parse-pdf', authMiddleware, requirePermission('sales:import'), costlyApiLimiter, async (req, res) => {
         try {
             const { pdfBase64, filename } = req.body;
 
@@ -508,39 +526,38 @@ module.exports = function (pool) {
                 return res.status(413).json({ error: 'PDF demasiado grande. Máximo 10MB.' });
             }
 
-            // API Key de Anthropic (configurar en variables de entorno)
-            const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
-            if (!ANTHROPIC_API_KEY) {
+            // Proveedor LLM (services/llmProvider; ANTHROPIC_API_KEY en producción)
+            if (!llm.disponible()) {
                 return res.status(500).json({ error: 'ANTHROPIC_API_KEY no configurada en el servidor' });
             }
 
             log('info', 'Procesando PDF con Claude API', { filename, tamaño: pdfBase64.length });
 
-            // Llamar a Claude API con el PDF
-            const response = await fetch('https://api.anthropic.com/v1/messages', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-api-key': ANTHROPIC_API_KEY,
-                    'anthropic-version': '2023-06-01'
-                },
-                body: JSON.stringify({
-                    model: ANTHROPIC_MODEL,
-                    max_tokens: 32000,
-                    messages: [{
-                        role: 'user',
-                        content: [
-                            {
-                                type: 'document',
-                                source: {
-                                    type: 'base64',
-                                    media_type: 'application/pdf',
-                                    data: pdfBase64
-                                }
-                            },
-                            {
-                                type: 'text',
-                                text: `Extrae las líneas de venta de este informe de TPV.
+            // Llamar a Claude API con el PDF. Un PDF largo de TPV con 32k
+            // tokens de salida tarda: timeout por intento de 3 minutos.
+            let claudeResponse;
+            try {
+                claudeResponse = await llm.crearMensaje({
+                    feature: 'ventas_pdf',
+                    restauranteId: req.restauranteId,
+                    timeoutMs: 3 * 60 * 1000,
+                    params: {
+                        model: ANTHROPIC_MODEL,
+                        max_tokens: 32000,
+                        messages: [{
+                            role: 'user',
+                            content: [
+                                {
+                                    type: 'document',
+                                    source: {
+                                        type: 'base64',
+                                        media_type: 'application/pdf',
+                                        data: pdfBase64
+                                    }
+                                },
+                                {
+                                    type: 'text',
+                                    text: `Extrae las líneas de venta de este informe de TPV.
 
 PRIMERO, extrae la FECHA del documento (busca "Fecha:" o "Desde:" en el encabezado).
 
@@ -557,19 +574,17 @@ REGLAS:
 - Solo líneas con código numérico de 5-6 dígitos
 - Ignora líneas de TOTAL
 - El importe usa punto decimal`
-                            }
-                        ]
-                    }]
-                })
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json();
-                log('error', 'Error de Claude API', errorData);
+                                }
+                            ]
+                        }]
+                    }
+                });
+            } catch (llmError) {
+                if (llmError.code === 'LLM_CUOTA') return res.status(429).json(respuestaCuotaAgotada(llmError));
+                log('error', 'Error de Claude API', { status: llmError.status, code: llmError.code, error: llmError.message });
                 return res.status(500).json({ error: 'Error procesando PDF con IA' });
             }
 
-            const claudeResponse = await response.json();
             let textContent = claudeResponse.content?.[0]?.text || '';
 
             // Limpiar respuesta de Claude (quitar markdown code blocks)
@@ -618,7 +633,7 @@ REGLAS:
     });
 
     // Endpoint para carga masiva de ventas (n8n compatible)
-    router.post('/sales/bulk', authMiddleware, requireAdmin, async (req, res) => {
+    router.post('/sales/bulk', authMiddleware, requirePermission('sales:import'), async (req, res) => {
         const client = await pool.connect();
         try {
             const { ventas } = req.body;
@@ -853,6 +868,10 @@ REGLAS:
                     if (updateResult.rows.length > 0) {
                         const stockDespues = parseFloat(updateResult.rows[0].stock_actual) || 0;
                         bulkDeductions.push({ ingredienteId: ingId, real: stockAntes - stockDespues, calculado: cantidadADescontar });
+                        await registrarMovimientoStock(client, {
+                            restauranteId: req.restauranteId, ingredienteId: ingId, tipo: 'venta', stockAntes,
+                            referenciaTipo: 'venta', referenciaId: ventaBulkResult.rows[0]?.id, usuarioId: req.user?.userId
+                        });
                         log('info', 'Stock descontado (bulk)', {
                             ingrediente: updateResult.rows[0].nombre,
                             cantidad: cantidadADescontar,
@@ -929,6 +948,15 @@ REGLAS:
                 fallidos: resultados.fallidos,
                 resumenesActualizados: resumenDiario.size
             });
+            // Alertas de stock bajo tras el descuento (fire-and-forget).
+            if (resultados.procesados > 0) {
+                AlertService.trigger(pool, 'sales_import', req.restauranteId);
+                emitirEvento(pool, req.restauranteId, 'sales.imported', {
+                    fecha: fechaVenta,
+                    procesados: resultados.procesados,
+                    fallidos: resultados.fallidos
+                });
+            }
 
             res.json(resultados);
         } catch (err) {
@@ -18,10 +18,12 @@
  *
  * Multi-tenant: restauranteId comes from the JWT (authMiddleware).
  * No plan-gate: search is a basic feature available to every tenant.
+ * Permisos: cada tipo pide el de su pantalla (ventas → sales:read,
+ * compras → purchases:read): la búsqueda no enseña precios de proveedor a sala.
  */
 
 const { Router } = require('express');
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const { log } = require('../utils/logger');
 const { personalCostExpr } = require('../utils/personalCost');
 
@@ -42,10 +44,22 @@ function clampLimit(raw) {
     return Math.min(n, 2000);
 }
 
+const PERMISO_POR_TIPO = new Map([
+    ['ventas', requirePermission('sales:read')],
+    ['compras', requirePermission('purchases:read')]
+]);
+
+/** requirePermission según ?tipo; un tipo desconocido no llega a pedir nada. */
+function requirePermisoDelTipo(req, res, next) {
+    const comprobar = PERMISO_POR_TIPO.get(req.query.tipo);
+    if (!comprobar) return res.status(400).json({ error: 'tipo must be "ventas" or "compras"' });
+    return comprobar(req, res, next);
+}
+
 module.exports = function (pool) {
     const router = Router();
 
-    router.get('/search', authMiddleware, async (req, res) => {
+    router.get('/search', authMiddleware, requirePermisoDelTipo, async (req, res) => {
         try {
             const { tipo, desde, hasta, q, proveedor_id } = req.query;
             const restauranteId = req.restauranteId;
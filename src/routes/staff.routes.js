@@ -3,14 +3,40 @@
  * Staff management & scheduling
  */
 const { Router } = require('express');
-const { authMiddleware, requireAdmin } = require('../middleware/auth');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const { log } = require('../utils/logger');
 const { sanitizeString, validateNumber, validateId, validateHora } = require('../utils/validators');
 const { validarDia, comprobarDescansoEntreJornadas } = require('../utils/jornada');
+const { generarSemana } = require('../utils/generadorHorarios');
+const { costeLaboralPorDia, OBJETIVO_PCT_DEFECTO } = require('../utils/costeLaboral');
+const { ZONA_REGISTRO } = require('../utils/registroJornada');
+const { ESTADOS_ACTIVOS, ausenciaEnFecha, describirAusencia } = require('../utils/ausencias');
+const { METODOS_NOMINA, NUM_PAGAS_DEFECTO } = require('../utils/nomina');
+const { estimacionNominaMes } = require('../services/nominaService');
 const { logChange } = require('../utils/auditLog');
 
 const HORA_ENTRADA_DEFECTO = '10:00';
 
+/** Tope de días del informe de coste de personal (un trimestre holgado). */
+const MAX_DIAS_COSTE_LABORAL = 93;
+
+/** 'YYYY-MM-DD' de calendario real (rechaza 2026-02-30); null si no lo es. */
+function fechaIso(valor) {
+    if (typeof valor !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(valor)) return null;
+    const d = new Date(`${valor}T00:00:00Z`);
+    return !isNaN(d.getTime()) && d.toISOString().slice(0, 10) === valor ? valor : null;
+}
+
+/**
+ * `fecha_alta` del body (primer día en plantilla, para la nómina del mes).
+ * Sin ella: {} (el alta es hoy; el PUT conserva la que hubiera).
+ */
+function leerFechaAlta(body) {
+    if (body.fecha_alta === undefined || body.fecha_alta === null || body.fecha_alta === '') return {};
+    const fecha = fechaIso(body.fecha_alta);
+    return fecha ? { fecha } : { error: 'fecha_alta debe ser YYYY-MM-DD' };
+}
+
 /** 'HH:MM:SS' de Postgres → 'HH:MM'; null si no hay valor. */
 function horaCorta(valor) {
     if (valor == null || valor === '') return null;
@@ -18,14 +44,27 @@ function horaCorta(valor) {
     return chk.valid ? chk.value : null;
 }
 
+/** DATE de Postgres (Date a medianoche local) → 'YYYY-MM-DD'. */
+function fechaCorta(valor) {
+    if (!(valor instanceof Date)) return valor ?? null;
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${valor.getFullYear()}-${pad(valor.getMonth() + 1)}-${pad(valor.getDate())}`;
+}
+
 /**
  * Normaliza el empleado para el frontend: Postgres devuelve TIME como
- * 'HH:MM:SS' y el <input type="time"> necesita 'HH:MM'.
+ * 'HH:MM:SS' y el <input type="time"> necesita 'HH:MM', y DATE como Date
+ * (alta y baja van como 'YYYY-MM-DD'). El hash del PIN de fichaje no sale
+ * nunca: solo si lo tiene (`tiene_pin`).
  */
 function normalizarEmpleado(row) {
     if (!row) return row;
+    const { pin_hash, ...resto } = row;
     return {
-        ...row,
+        ...resto,
+        ...('fecha_alta' in row ? { fecha_alta: fechaCorta(row.fecha_alta) } : {}),
+        ...('fecha_baja' in row ? { fecha_baja: fechaCorta(row.fecha_baja) } : {}),
+        tiene_pin: pin_hash != null,
         hora_entrada: horaCorta(row.hora_entrada) || HORA_ENTRADA_DEFECTO,
         jornada_tipo: row.jornada_tipo === 'partido' ? 'partido' : 'seguido',
         tramo1_inicio: horaCorta(row.tramo1_inicio) || horaCorta(row.hora_entrada) || HORA_ENTRADA_DEFECTO,
@@ -35,6 +74,53 @@ function normalizarEmpleado(row) {
     };
 }
 
+/** Campos de nómina de la ficha: solo los ve quien ve las finanzas. */
+const CAMPOS_NOMINA = ['salario_bruto_mensual', 'num_pagas', 'ss_empresa_pct'];
+
+/**
+ * normalizarEmpleado para audit_log: el historial lo lee quien no tiene por
+ * qué ver salarios. Solo queda QUÉ campos de nómina se tocaron.
+ */
+function empleadoParaAuditoria(row, nomina = {}) {
+    const e = normalizarEmpleado(row);
+    for (const campo of CAMPOS_NOMINA) delete e[campo];
+    const tocados = CAMPOS_NOMINA.filter(campo => nomina[campo] !== undefined);
+    return tocados.length > 0 ? { ...e, nomina_modificada: tocados } : e;
+}
+
+/**
+ * normalizarEmpleado para la respuesta: sala y cocina tienen staff:read (ven
+ * el cuadrante) pero no deben ver el salario de sus compañeros.
+ */
+function empleadoParaRespuesta(req) {
+    const verNomina = Array.isArray(req.permisos) && req.permisos.includes('finance:read');
+    return (row) => {
+        const e = normalizarEmpleado(row);
+        if (!verNomina) for (const campo of CAMPOS_NOMINA) delete e[campo];
+        return e;
+    };
+}
+
+/**
+ * Datos de nómina del body (salario bruto mensual por paga, pagas al año, SS
+ * de empresa %). `undefined` = no viene (el PUT conserva lo que hubiera);
+ * `null` o '' = vaciarlo (sin salario vuelve a horas × coste_hora; las
+ * pagas vuelven a NUM_PAGAS_DEFECTO).
+ */
+function leerDatosNomina(body) {
+    const num = (valor, min, max) => {
+        if (valor === undefined) return undefined;
+        if (valor === null || valor === '') return null;
+        return validateNumber(valor, undefined, min, max);
+    };
+    const pagas = num(body.num_pagas, 12, 16);
+    return {
+        salario_bruto_mensual: num(body.salario_bruto_mensual, 0, 100000),
+        num_pagas: pagas == null ? (pagas === null ? NUM_PAGAS_DEFECTO : undefined) : Math.round(pagas),
+        ss_empresa_pct: num(body.ss_empresa_pct, 0, 60)
+    };
+}
+
 /** Normaliza un turno (fila de `horarios`) para el frontend. */
 function normalizarHorario(row) {
     if (!row) return row;
@@ -148,13 +234,13 @@ module.exports = function (pool) {
     // ========== EMPLEADOS (Staff Management) ==========
 
     // GET all empleados
-    router.get('/empleados', authMiddleware, async (req, res) => {
+    router.get('/empleados', authMiddleware, requirePermission('staff:read'), async (req, res) => {
         try {
             const result = await pool.query(
                 'SELECT * FROM empleados WHERE activo = true AND restaurante_id = $1 ORDER BY nombre',
                 [req.restauranteId]
             );
-            res.json(result.rows.map(normalizarEmpleado));
+            res.json(result.rows.map(empleadoParaRespuesta(req)));
         } catch (err) {
             log('error', 'Error obteniendo empleados', { error: err.message });
             res.status(500).json({ error: 'Error interno' });
@@ -162,7 +248,7 @@ module.exports = function (pool) {
     });
 
     // POST crear empleado
-    router.post('/empleados', authMiddleware, async (req, res) => {
+    router.post('/empleados', authMiddleware, requirePermission('staff:write'), async (req, res) => {
         try {
             const { nombre, color, horas_contrato, coste_hora, dias_libres_fijos, puesto } = req.body;
 
@@ -172,13 +258,20 @@ module.exports = function (pool) {
 
             const plantilla = leerPlantillaJornada(req.body);
             if (plantilla.error) return res.status(400).json({ error: plantilla.error });
+            const nomina = leerDatosNomina(req.body);
+            const alta = leerFechaAlta(req.body);
+            if (alta.error) return res.status(400).json({ error: alta.error });
 
             const result = await pool.query(
                 `INSERT INTO empleados (nombre, color, horas_contrato, coste_hora, dias_libres_fijos, puesto,
-                                        hora_entrada, jornada_tipo, tramo1_inicio, tramo1_fin, tramo2_inicio, tramo2_fin, restaurante_id)
-             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13) RETURNING *`,
+                                        hora_entrada, jornada_tipo, tramo1_inicio, tramo1_fin, tramo2_inicio, tramo2_fin, restaurante_id,
+                                        salario_bruto_mensual, num_pagas, ss_empresa_pct, fecha_alta)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16,
+                     COALESCE($17::date, (NOW() AT TIME ZONE '${ZONA_REGISTRO}')::date)) RETURNING *`,
                 [sanitizeString(nombre), (color && /^#[0-9a-fA-F]{6}$/.test(color)) ? color : '#3B82F6', validateNumber(horas_contrato, 40, 0, 168), validateNumber(coste_hora, 10, 0, 999), sanitizeString(dias_libres_fijos) || '', sanitizeString(puesto) || 'Camarero',
-                    plantilla.tramo1_inicio, plantilla.jornada_tipo, plantilla.tramo1_inicio, plantilla.tramo1_fin, plantilla.tramo2_inicio, plantilla.tramo2_fin, req.restauranteId]
+                    plantilla.tramo1_inicio, plantilla.jornada_tipo, plantilla.tramo1_inicio, plantilla.tramo1_fin, plantilla.tramo2_inicio, plantilla.tramo2_fin, req.restauranteId,
+                    nomina.salario_bruto_mensual ?? null, nomina.num_pagas ?? NUM_PAGAS_DEFECTO, nomina.ss_empresa_pct ?? null,
+                    alta.fecha ?? null]
             );
 
             log('info', 'Empleado creado', { nombre });
@@ -187,10 +280,10 @@ module.exports = function (pool) {
                 req, tabla: 'empleados', operacion: 'INSERT',
                 registroId: result.rows[0].id,
                 datosAntes: null,
-                datosDespues: result.rows[0],
+                datosDespues: empleadoParaAuditoria(result.rows[0], nomina),
             });
 
-            res.status(201).json(normalizarEmpleado(result.rows[0]));
+            res.status(201).json(empleadoParaRespuesta(req)(result.rows[0]));
         } catch (err) {
             log('error', 'Error creando empleado', { error: err.message });
             res.status(500).json({ error: 'Error interno' });
@@ -198,7 +291,7 @@ module.exports = function (pool) {
     });
 
     // PUT actualizar empleado
-    router.put('/empleados/:id', authMiddleware, async (req, res) => {
+    router.put('/empleados/:id', authMiddleware, requirePermission('staff:write'), async (req, res) => {
         try {
             const idCheck = validateId(req.params.id);
             if (!idCheck.valid) return res.status(400).json({ error: 'ID inválido' });
@@ -215,6 +308,9 @@ module.exports = function (pool) {
                 p = leerPlantillaJornada(req.body);
                 if (p.error) return res.status(400).json({ error: p.error });
             }
+            const nomina = leerDatosNomina(req.body);
+            const alta = leerFechaAlta(req.body);
+            if (alta.error) return res.status(400).json({ error: alta.error });
 
             const result = await pool.query(
                 `UPDATE empleados SET nombre = COALESCE($1, nombre), color = COALESCE($2, color),
@@ -226,10 +322,18 @@ module.exports = function (pool) {
              -- En 'seguido' los campos del 2º tramo se limpian a propósito.
              tramo1_fin = CASE WHEN $12::boolean THEN $10::time ELSE tramo1_fin END,
              tramo2_inicio = CASE WHEN $12::boolean THEN $11::time ELSE tramo2_inicio END,
-             tramo2_fin = CASE WHEN $12::boolean THEN $13::time ELSE tramo2_fin END
+             tramo2_fin = CASE WHEN $12::boolean THEN $13::time ELSE tramo2_fin END,
+             -- Salario y SS: NULL explícito los vacía; sin el campo, se conservan.
+             salario_bruto_mensual = CASE WHEN $19::boolean THEN $16::numeric ELSE salario_bruto_mensual END,
+             num_pagas = COALESCE($17, num_pagas),
+             ss_empresa_pct = CASE WHEN $20::boolean THEN $18::numeric ELSE ss_empresa_pct END,
+             fecha_alta = COALESCE($21::date, fecha_alta)
              WHERE id = $14 AND restaurante_id = $15 RETURNING *`,
                 [sanitizeString(nombre), (color && /^#[0-9a-fA-F]{6}$/.test(color)) ? color : undefined, horas_contrato != null ? validateNumber(horas_contrato, undefined, 0, 168) : undefined, coste_hora != null ? validateNumber(coste_hora, undefined, 0, 999) : undefined, sanitizeString(dias_libres_fijos), sanitizeString(puesto),
-                    p.tramo1_inicio, p.jornada_tipo, p.tramo1_inicio, p.tramo1_fin, p.tramo2_inicio, tocaJornada, p.tramo2_fin, id, req.restauranteId]
+                    p.tramo1_inicio, p.jornada_tipo, p.tramo1_inicio, p.tramo1_fin, p.tramo2_inicio, tocaJornada, p.tramo2_fin, id, req.restauranteId,
+                    nomina.salario_bruto_mensual ?? null, nomina.num_pagas, nomina.ss_empresa_pct ?? null,
+                    nomina.salario_bruto_mensual !== undefined, nomina.ss_empresa_pct !== undefined,
+                    alta.fecha ?? null]
             );
 
             if (result.rows.length === 0) {
@@ -240,10 +344,10 @@ module.exports = function (pool) {
                 req, tabla: 'empleados', operacion: 'UPDATE',
                 registroId: id,
                 datosAntes: null,
-                datosDespues: result.rows[0],
+                datosDespues: empleadoParaAuditoria(result.rows[0], nomina),
             });
 
-            res.json(normalizarEmpleado(result.rows[0]));
+            res.json(empleadoParaRespuesta(req)(result.rows[0]));
         } catch (err) {
             log('error', 'Error actualizando empleado', { error: err.message });
             res.status(500).json({ error: 'Error interno' });
@@ -251,13 +355,17 @@ module.exports = function (pool) {
     });
 
     // DELETE empleado (soft delete)
-    router.delete('/empleados/:id', authMiddleware, requireAdmin, async (req, res) => {
+    router.delete('/empleados/:id', authMiddleware, requirePermission('staff:delete'), async (req, res) => {
         try {
             const idCheck = validateId(req.params.id);
             if (!idCheck.valid) return res.status(400).json({ error: 'ID inválido' });
             const id = idCheck.value;
-            await pool.query(
-                'UPDATE empleados SET activo = false WHERE id = $1 AND restaurante_id = $2',
+            // fecha_baja: la nómina del mes en curso le sigue contando hasta hoy.
+            const result = await pool.query(
+                `UPDATE empleados
+                 SET activo = false, fecha_baja = COALESCE(fecha_baja, (NOW() AT TIME ZONE '${ZONA_REGISTRO}')::date)
+                 WHERE id = $1 AND restaurante_id = $2
+                 RETURNING fecha_baja::text AS fecha_baja`,
                 [id, req.restauranteId]
             );
 
@@ -265,7 +373,7 @@ module.exports = function (pool) {
                 req, tabla: 'empleados', operacion: 'DELETE',
                 registroId: id,
                 datosAntes: { activo: true },
-                datosDespues: { activo: false },
+                datosDespues: { activo: false, fecha_baja: result.rows[0]?.fecha_baja ?? null },
             });
 
             res.json({ success: true });
@@ -278,7 +386,7 @@ module.exports = function (pool) {
     // ========== HORARIOS (Staff Scheduling) ==========
 
     // GET horarios por rango de fechas
-    router.get('/horarios', authMiddleware, async (req, res) => {
+    router.get('/horarios', authMiddleware, requirePermission('staff:read'), async (req, res) => {
         try {
             const { desde, hasta } = req.query;
 
@@ -306,7 +414,7 @@ module.exports = function (pool) {
     // Turno partido: se llama dos veces, con tramo 1 y tramo 2. El día completo
     // se valida en conjunto (solapamiento y tope de horas) leyendo el otro
     // tramo que ya haya guardado.
-    router.post('/horarios', authMiddleware, async (req, res) => {
+    router.post('/horarios', authMiddleware, requirePermission('staff:write'), async (req, res) => {
         try {
             const { empleado_id, fecha, turno, hora_inicio, hora_fin, es_extra, notas } = req.body;
             const tramo = req.body.tramo != null ? Number(req.body.tramo) : 1;
@@ -323,13 +431,31 @@ module.exports = function (pool) {
             // Sin esta validación, un token de tenant A podría asignar turnos a
             // empleados de tenant B (modificación cross-tenant via ON CONFLICT).
             const empCheck = await pool.query(
-                'SELECT id FROM empleados WHERE id = $1 AND restaurante_id = $2',
+                'SELECT id, nombre FROM empleados WHERE id = $1 AND restaurante_id = $2',
                 [empleado_id, req.restauranteId]
             );
             if (empCheck.rows.length === 0) {
                 return res.status(404).json({ error: 'Empleado no encontrado' });
             }
 
+            // Ausencias (2026-10-18): una aprobada bloquea el turno; una
+            // pendiente solo avisa (puede que se rechace).
+            const ausenciasDia = await pool.query(
+                `SELECT id, empleado_id, tipo, estado, fecha_inicio::text AS fecha_inicio, fecha_fin::text AS fecha_fin
+                 FROM ausencias
+                 WHERE empleado_id = $1 AND restaurante_id = $2 AND estado = ANY($4::text[])
+                   AND $3::date BETWEEN fecha_inicio AND fecha_fin`,
+                [empleado_id, req.restauranteId, fecha, ESTADOS_ACTIVOS]
+            );
+            const aprobada = ausenciaEnFecha(ausenciasDia.rows, empleado_id, fecha);
+            if (aprobada) {
+                return res.status(409).json({
+                    error: `${empCheck.rows[0].nombre} no está disponible: ${describirAusencia(aprobada)}`,
+                    ausencia: aprobada
+                });
+            }
+            const pendiente = ausenciaEnFecha(ausenciasDia.rows, empleado_id, fecha, ['pendiente']);
+
             // Normalizar horas (acepta 'HH:MM' y el 'HH:MM:SS' de Postgres)
             let horaInicio = null, horaFin = null;
             if (hora_inicio != null && hora_inicio !== '') {
@@ -369,6 +495,7 @@ module.exports = function (pool) {
 
             // Aviso (no bloquea): descanso legal contra el día anterior y el siguiente.
             const avisos = await avisosDescanso(pool, req.restauranteId, empleado_id, fecha);
+            if (pendiente) avisos.push(`Tiene pendiente de aprobar: ${describirAusencia(pendiente)}`);
 
             res.status(201).json({ ...normalizarHorario(result.rows[0]), avisos });
         } catch (err) {
@@ -378,7 +505,7 @@ module.exports = function (pool) {
     });
 
     // DELETE quitar turno
-    router.delete('/horarios/:id', authMiddleware, async (req, res) => {
+    router.delete('/horarios/:id', authMiddleware, requirePermission('staff:write'), async (req, res) => {
         try {
             const { id } = req.params;
             await pool.query(
@@ -397,7 +524,7 @@ module.exports = function (pool) {
     // Sin `?tramo=` borra el día entero (los dos tramos del partido), que es lo
     // que espera el toggle de la rejilla. Con `?tramo=2` borra sólo esa mitad,
     // p.ej. al pasar un día de partido a seguido.
-    router.delete('/horarios/empleado/:empleadoId/fecha/:fecha', authMiddleware, async (req, res) => {
+    router.delete('/horarios/empleado/:empleadoId/fecha/:fecha', authMiddleware, requirePermission('staff:write'), async (req, res) => {
         try {
             const { empleadoId, fecha } = req.params;
             const tramo = req.query.tramo != null ? Number(req.query.tramo) : null;
@@ -424,7 +551,7 @@ module.exports = function (pool) {
     });
 
     // DELETE todos los horarios (borrado masivo)
-    router.delete('/horarios/all', authMiddleware, requireAdmin, async (req, res) => {
+    router.delete('/horarios/all', authMiddleware, requirePermission('staff:delete'), async (req, res) => {
         try {
             const result = await pool.query(
                 'DELETE FROM horarios WHERE restaurante_id = $1',
@@ -448,7 +575,7 @@ module.exports = function (pool) {
     });
 
     // POST copiar semana anterior
-    router.post('/horarios/copiar-semana', authMiddleware, async (req, res) => {
+    router.post('/horarios/copiar-semana', authMiddleware, requirePermission('staff:write'), async (req, res) => {
         try {
             const { semana_origen, semana_destino } = req.body;
 
@@ -466,12 +593,28 @@ module.exports = function (pool) {
                 [semana_origen, req.restauranteId]
             );
 
+            // Quien tiene una ausencia aprobada en la semana destino no se copia esos días.
+            const ausencias = await pool.query(
+                `SELECT empleado_id, tipo, estado, fecha_inicio::text AS fecha_inicio, fecha_fin::text AS fecha_fin
+                 FROM ausencias
+                 WHERE restaurante_id = $1 AND estado = 'aprobada'
+                   AND fecha_fin >= $2::date AND fecha_inicio <= $2::date + 6`,
+                [req.restauranteId, semana_destino]
+            );
+
             // Insertar en semana destino (el partido copia sus 2 tramos)
             let insertados = 0;
+            const omitidos = [];
             for (const h of horariosOrigen.rows) {
                 const nuevaFecha = new Date(semana_destino);
                 nuevaFecha.setDate(nuevaFecha.getDate() + h.dia_offset);
 
+                const ausencia = ausenciaEnFecha(ausencias.rows, h.empleado_id, nuevaFecha.toISOString().split('T')[0]);
+                if (ausencia) {
+                    omitidos.push({ empleado_id: h.empleado_id, fecha: nuevaFecha.toISOString().split('T')[0], tramo: h.tramo || 1, tipo: ausencia.tipo });
+                    continue;
+                }
+
                 const insertResult = await pool.query(
                     `INSERT INTO horarios (empleado_id, fecha, tramo, turno, hora_inicio, hora_fin, es_extra, notas, restaurante_id)
                  VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
@@ -482,14 +625,209 @@ module.exports = function (pool) {
                 if (insertResult.rows.length > 0) insertados++;
             }
 
-            log('info', 'Semana copiada', { origen: semana_origen, destino: semana_destino, turnos: insertados });
-            res.json({ success: true, turnos_copiados: insertados });
+            log('info', 'Semana copiada', { origen: semana_origen, destino: semana_destino, turnos: insertados, omitidos: omitidos.length });
+            res.json({ success: true, turnos_copiados: insertados, omitidos_por_ausencia: omitidos });
         } catch (err) {
             log('error', 'Error copiando semana', { error: err.message });
             res.status(500).json({ error: 'Error interno' });
         }
     });
 
+    // POST generar la semana desde las fichas (plantilla, contrato, libres)
+    //
+    // Reglas en utils/generadorHorarios. Los días inválidos (jornada o descanso
+    // de 12h) no se escriben: vuelven en `conflictos`, junto con los huecos de
+    // cobertura frente a `minimos`. Con `simular: true` no escribe nada (vista
+    // previa para la rejilla). Los turnos ya guardados no se tocan. Las
+    // ausencias aprobadas de la semana vuelven en `ausentes`.
+    router.post('/horarios/generar', authMiddleware, requirePermission('staff:write'), async (req, res) => {
+        try {
+            const inicio = fechaIso(req.body.semana_inicio);
+            if (!inicio) {
+                return res.status(400).json({ error: 'semana_inicio es requerido (YYYY-MM-DD)' });
+            }
+            const minimos = req.body.minimos ?? {};
+            if (typeof minimos !== 'object' || Array.isArray(minimos)) {
+                return res.status(400).json({ error: 'minimos debe ser un objeto { puesto: mínimo }' });
+            }
+            const simular = req.body.simular === true;
+
+            const [empleados, existentes, ausencias] = await Promise.all([
+                pool.query(
+                    'SELECT * FROM empleados WHERE activo = true AND restaurante_id = $1 ORDER BY nombre',
+                    [req.restauranteId]
+                ),
+                pool.query(
+                    `SELECT empleado_id, fecha::text AS fecha, tramo,
+                            to_char(hora_inicio, 'HH24:MI') AS hora_inicio,
+                            to_char(hora_fin, 'HH24:MI') AS hora_fin
+                     FROM horarios
+                     WHERE restaurante_id = $1 AND fecha BETWEEN $2::date - 1 AND $2::date + 7`,
+                    [req.restauranteId, inicio]
+                ),
+                pool.query(
+                    `SELECT empleado_id, tipo, estado, fecha_inicio::text AS fecha_inicio, fecha_fin::text AS fecha_fin
+                     FROM ausencias
+                     WHERE restaurante_id = $1 AND estado = 'aprobada'
+                       AND fecha_fin >= $2::date AND fecha_inicio <= $2::date + 6`,
+                    [req.restauranteId, inicio]
+                )
+            ]);
+
+            const { turnos, conflictos, cobertura, ausentes } = generarSemana({
+                inicio,
+                empleados: empleados.rows.map(normalizarEmpleado),
+                existentes: existentes.rows,
+                minimos,
+                ausencias: ausencias.rows
+            });
+
+            let insertados = 0;
+            if (!simular && turnos.length > 0) {
+                const client = await pool.connect();
+                try {
+                    await client.query('BEGIN');
+                    for (const t of turnos) {
+                        const r = await client.query(
+                            `INSERT INTO horarios (empleado_id, fecha, tramo, turno, hora_inicio, hora_fin, es_extra, notas, restaurante_id)
+                             VALUES ($1, $2, $3, 'completo', $4, $5, false, NULL, $6)
+                             ON CONFLICT (empleado_id, fecha, tramo) DO NOTHING
+                             RETURNING id`,
+                            [t.empleado_id, t.fecha, t.tramo, t.hora_inicio, t.hora_fin, req.restauranteId]
+                        );
+                        insertados += r.rows.length;
+                    }
+                    await client.query('COMMIT');
+                } catch (err) {
+                    await client.query('ROLLBACK');
+                    throw err;
+                } finally {
+                    client.release();
+                }
+                log('info', 'Semana generada', { semana: inicio, turnos: insertados, conflictos: conflictos.length });
+            }
+
+            res.status(simular ? 200 : 201).json({
+                semana_inicio: inicio,
+                simulado: simular,
+                turnos_creados: insertados,
+                turnos,
+                conflictos,
+                cobertura,
+                ausentes
+            });
+        } catch (err) {
+            log('error', 'Error generando horarios', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // ========== COSTE DE PERSONAL (previsto vs. venta) ==========
+
+    // GET coste de personal planificado frente a la venta, por día y por tramo.
+    //
+    // Cruza los turnos (horarios × empleados.coste_hora), el personal extra y la
+    // venta de ventas_diarias_resumen; con fichajes, también las horas reales
+    // (fichajes cerrados × coste_hora). El cálculo está en utils/costeLaboral.
+    // Pide finance:read y no staff:read: enseña venta y coste por hora, que
+    // sala y cocina no ven.
+    router.get('/staff/labour-cost', authMiddleware, requirePermission('finance:read'), async (req, res) => {
+        try {
+            const desde = fechaIso(req.query.desde);
+            const hasta = fechaIso(req.query.hasta);
+            if (!desde || !hasta) {
+                return res.status(400).json({ error: 'desde y hasta son requeridos (YYYY-MM-DD)' });
+            }
+            if (hasta < desde) {
+                return res.status(400).json({ error: 'hasta no puede ser anterior a desde' });
+            }
+            // Días por aritmética, sin generar la lista: un rango de siglos
+            // no debe construir millones de fechas solo para rechazarlo.
+            const numDias = (Date.parse(`${hasta}T00:00:00Z`) - Date.parse(`${desde}T00:00:00Z`)) / 86400000 + 1;
+            if (numDias > MAX_DIAS_COSTE_LABORAL) {
+                return res.status(400).json({ error: `El rango no puede pasar de ${MAX_DIAS_COSTE_LABORAL} días` });
+            }
+            const objetivoPct = validateNumber(req.query.objetivo, OBJETIVO_PCT_DEFECTO, 1, 100);
+
+            const [turnos, extras, ventas, fichajes] = await Promise.all([
+                pool.query(
+                    `SELECT h.fecha::text AS fecha, h.tramo, h.empleado_id,
+                            to_char(h.hora_inicio, 'HH24:MI') AS hora_inicio,
+                            to_char(h.hora_fin, 'HH24:MI') AS hora_fin,
+                            e.coste_hora
+                     FROM horarios h
+                     JOIN empleados e ON e.id = h.empleado_id AND e.restaurante_id = h.restaurante_id
+                     WHERE h.restaurante_id = $1 AND h.fecha BETWEEN $2 AND $3`,
+                    [req.restauranteId, desde, hasta]
+                ),
+                pool.query(
+                    `SELECT fecha::text AS fecha, horas, total
+                     FROM personal_extra
+                     WHERE restaurante_id = $1 AND fecha BETWEEN $2 AND $3`,
+                    [req.restauranteId, desde, hasta]
+                ),
+                pool.query(
+                    `SELECT fecha::text AS fecha, SUM(total_ingresos) AS ingresos
+                     FROM ventas_diarias_resumen
+                     WHERE restaurante_id = $1 AND fecha BETWEEN $2 AND $3
+                     GROUP BY fecha`,
+                    [req.restauranteId, desde, hasta]
+                ),
+                pool.query(
+                    `SELECT (f.entrada AT TIME ZONE '${ZONA_REGISTRO}')::date::text AS fecha, f.empleado_id,
+                            SUM(EXTRACT(EPOCH FROM (f.salida - f.entrada)) / 3600) AS horas,
+                            SUM(EXTRACT(EPOCH FROM (f.salida - f.entrada)) / 3600 * COALESCE(e.coste_hora, 0)) AS coste
+                     FROM fichajes f
+                     JOIN empleados e ON e.id = f.empleado_id AND e.restaurante_id = f.restaurante_id
+                     WHERE f.restaurante_id = $1 AND f.salida IS NOT NULL
+                       AND f.entrada >= ($2::date::timestamp AT TIME ZONE '${ZONA_REGISTRO}')
+                       AND f.entrada < (($3::date + 1)::timestamp AT TIME ZONE '${ZONA_REGISTRO}')
+                     GROUP BY 1, 2`,
+                    [req.restauranteId, desde, hasta]
+                )
+            ]);
+
+            res.json({
+                desde,
+                hasta,
+                ...costeLaboralPorDia({
+                    desde,
+                    hasta,
+                    turnos: turnos.rows,
+                    extras: extras.rows,
+                    ventas: ventas.rows,
+                    fichajes: fichajes.rows,
+                    objetivoPct
+                })
+            });
+        } catch (err) {
+            log('error', 'Error calculando coste de personal', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // GET estimación de la nómina del mes (?mes=YYYY-MM, ?metodo=nomina|horas)
+    //
+    // Salario con pagas prorrateadas + SS de empresa para quien tiene nómina en
+    // la ficha; horas × coste_hora para el resto; más el personal extra. El
+    // cálculo está en utils/nomina y es el mismo que usa /balance/mes?personal.
+    router.get('/staff/payroll-estimate', authMiddleware, requirePermission('finance:read'), async (req, res) => {
+        try {
+            const mes = req.query.mes ?? new Date().toISOString().slice(0, 7);
+            if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(mes)) {
+                return res.status(400).json({ error: 'mes debe ser YYYY-MM' });
+            }
+            const metodo = req.query.metodo ?? 'nomina';
+            if (!METODOS_NOMINA.includes(metodo)) {
+                return res.status(400).json({ error: `metodo debe ser ${METODOS_NOMINA.join(' o ')}` });
+            }
+            res.json(await estimacionNominaMes(pool, req.restauranteId, mes, { metodo }));
+        } catch (err) {
+            log('error', 'Error estimando nómina', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
 
     return router;
 };
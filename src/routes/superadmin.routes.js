@@ -9,6 +9,8 @@ const crypto = require('crypto');
 const { authMiddleware, requireSuperAdmin } = require('../middleware/auth');
 const { log } = require('../utils/logger');
 const { validateNumber, validateId, sanitizeString } = require('../utils/validators');
+const llm = require('../services/llmProvider');
+const aiUsageService = require('../services/aiUsageService');
 const APP_URL = process.env.APP_URL || 'https://app.mindloop.cloud';
 const PLAN_MAX_USERS = { starter: 2, profesional: 5, premium: 999, trial: 5 };
 
@@ -46,6 +48,54 @@ module.exports = function (pool, config = {}) {
         }
     });
 
+    // ========== LLM: proveedor, tokens y coste ==========
+    // Desde el arranque del proceso (contabilidad en memoria de
+    // services/llmProvider), por restaurante y feature.
+    router.get('/superadmin/llm', async (req, res) => {
+        try {
+            const uso = llm.resumenUso();
+            const ids = uso.restaurantes.map(r => r.restaurante_id).filter(Boolean);
+            const nombres = new Map();
+            if (ids.length > 0) {
+                const r = await pool.query('SELECT id, nombre, plan FROM restaurantes WHERE id = ANY($1::int[])', [ids]);
+                for (const row of r.rows) nombres.set(row.id, row);
+            }
+            res.json({
+                ...uso,
+                restaurantes: uso.restaurantes.map(r => ({
+                    ...r,
+                    nombre: nombres.get(r.restaurante_id)?.nombre || null,
+                    plan: nombres.get(r.restaurante_id)?.plan || null
+                }))
+            });
+        } catch (err) {
+            log('error', 'Error en superadmin llm', { error: err.message });
+            res.status(500).json({ error: 'Error obteniendo uso del LLM' });
+        }
+    });
+
+    // ========== CONSUMO DE IA (ai_usage) ==========
+    // GET /superadmin/ai-usage?mes=YYYY-MM (por defecto el mes en curso):
+    // coste por tenant y por feature, con el presupuesto de IA de su plan.
+    router.get('/superadmin/ai-usage', async (req, res) => {
+        try {
+            let referencia = new Date();
+            if (req.query.mes !== undefined) {
+                if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(String(req.query.mes))) {
+                    return res.status(400).json({ error: 'mes debe ser YYYY-MM' });
+                }
+                referencia = new Date(`${req.query.mes}-01T00:00:00Z`);
+            }
+            const desde = aiUsageService.inicioMes(referencia).toISOString();
+            const hasta = aiUsageService.inicioMes(referencia, 1).toISOString();
+            const uso = await aiUsageService.usoPorTenant(pool, { desde, hasta });
+            res.json({ mes: desde.slice(0, 7), cuotas_usd: aiUsageService.CUOTA_IA_MENSUAL_USD, ...uso });
+        } catch (err) {
+            log('error', 'Error en superadmin ai-usage', { error: err.message });
+            res.status(500).json({ error: 'Error obteniendo consumo de IA' });
+        }
+    });
+
     // ========== LIST RESTAURANTS ==========
     router.get('/superadmin/restaurants', async (req, res) => {
         try {
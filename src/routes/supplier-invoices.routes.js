@@ -0,0 +1,296 @@
+/**
+ * supplier-invoices Routes — facturas de proveedor y cuadre a tres bandas
+ * (pedido → albarán → factura).
+ *
+ * El CRUD de proveedores vive en SupplierController (Fase 4B); esto cuelga
+ * de la misma ruta /suppliers/:id pero es un módulo aparte porque trabaja
+ * sobre pedidos, el Diario y facturas, no sobre la ficha del proveedor.
+ *
+ * La lógica del cuadre está en utils/supplierReconciliation.js (pura); aquí
+ * solo se cargan las filas del mes.
+ */
+const { Router } = require('express');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { log } = require('../utils/logger');
+const { logChange } = require('../utils/auditLog');
+const { validateId, validateDate, validateNumber } = require('../utils/validators');
+const { reconciliarProveedorMes } = require('../utils/supplierReconciliation');
+
+const MES_RE = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+/** 'YYYY-MM' → { inicio, fin } (fin exclusivo). Sin mes → mes en curso. */
+function rangoMes(mes) {
+    const hoy = new Date();
+    const etiqueta = mes || `${hoy.getUTCFullYear()}-${String(hoy.getUTCMonth() + 1).padStart(2, '0')}`;
+    const inicio = new Date(`${etiqueta}-01T00:00:00Z`);
+    const fin = new Date(Date.UTC(inicio.getUTCFullYear(), inicio.getUTCMonth() + 1, 1));
+    return { mes: etiqueta, inicio: etiqueta + '-01', fin: fin.toISOString().slice(0, 10) };
+}
+
+/**
+ * Sanea las líneas de una factura. Devuelve { error } o { lineas }.
+ * `importe` es obligatorio salvo que venga cantidad × precio.
+ */
+function sanearLineasFactura(lineas) {
+    if (lineas === undefined || lineas === null) return { lineas: [] };
+    if (!Array.isArray(lineas)) return { error: 'lineas debe ser un array' };
+    const out = [];
+    for (const l of lineas) {
+        if (!l || typeof l !== 'object' || Array.isArray(l)) return { error: 'Cada línea de factura debe ser un objeto' };
+        const ingredienteId = l.ingredienteId || l.ingrediente_id ? parseInt(l.ingredienteId || l.ingrediente_id) : null;
+        const cantidad = l.cantidad !== undefined && l.cantidad !== null && l.cantidad !== '' ? parseFloat(l.cantidad) : null;
+        const precioUnitario = l.precioUnitario !== undefined && l.precioUnitario !== null && l.precioUnitario !== ''
+            ? parseFloat(l.precioUnitario) : null;
+        let importe = l.importe !== undefined && l.importe !== null && l.importe !== '' ? parseFloat(l.importe) : null;
+        if (importe === null && cantidad !== null && precioUnitario !== null) importe = cantidad * precioUnitario;
+        if (importe === null || !Number.isFinite(importe)) return { error: 'Cada línea de factura necesita importe (o cantidad y precioUnitario)' };
+        if ((cantidad !== null && !Number.isFinite(cantidad)) || (precioUnitario !== null && !Number.isFinite(precioUnitario))) {
+            return { error: 'Cantidad o precio inválido en la factura' };
+        }
+        if (!ingredienteId && !l.descripcion) return { error: 'Cada línea de factura necesita ingredienteId o descripcion' };
+        out.push({
+            ingredienteId,
+            descripcion: l.descripcion ? String(l.descripcion).slice(0, 200) : null,
+            cantidad,
+            precioUnitario,
+            importe: Math.round(importe * 100) / 100
+        });
+    }
+    return { lineas: out };
+}
+
+/**
+ * @param {Pool} pool - PostgreSQL connection pool
+ */
+module.exports = function (pool) {
+    const router = Router();
+
+    async function proveedorDelTenant(db, proveedorId, restauranteId) {
+        const r = await db.query(
+            'SELECT id, nombre FROM proveedores WHERE id = $1 AND restaurante_id = $2 AND deleted_at IS NULL',
+            [proveedorId, restauranteId]
+        );
+        return r.rows[0] || null;
+    }
+
+    // ========== FACTURAS ==========
+
+    router.get('/suppliers/:id/invoices', authMiddleware, requirePermission('purchases:read'), async (req, res) => {
+        const idCheck = validateId(req.params.id);
+        if (!idCheck.valid) return res.status(400).json({ error: idCheck.error });
+        if (req.query.mes && !MES_RE.test(req.query.mes)) {
+            return res.status(400).json({ error: 'mes debe tener formato YYYY-MM' });
+        }
+        try {
+            const params = [req.restauranteId, idCheck.value];
+            let filtroMes = '';
+            if (req.query.mes) {
+                params.push(`${req.query.mes}-01`);
+                filtroMes = ' AND periodo = $3';
+            }
+            const result = await pool.query(
+                `SELECT id, proveedor_id, numero_factura, fecha, TO_CHAR(periodo, 'YYYY-MM') AS mes,
+                        total_base, iva_importe, lineas, notas, created_at
+                 FROM facturas_proveedor
+                 WHERE restaurante_id = $1 AND proveedor_id = $2 AND deleted_at IS NULL${filtroMes}
+                 ORDER BY fecha DESC, id DESC`,
+                params
+            );
+            res.json(result.rows);
+        } catch (err) {
+            log('error', 'Error obteniendo facturas de proveedor', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    router.post('/suppliers/:id/invoices', authMiddleware, requirePermission('purchases:write'), async (req, res) => {
+        const idCheck = validateId(req.params.id);
+        if (!idCheck.valid) return res.status(400).json({ error: idCheck.error });
+        try {
+            const { numero_factura, fecha, mes, total_base, iva_importe, lineas, notas } = req.body || {};
+            if (!numero_factura || !String(numero_factura).trim()) {
+                return res.status(400).json({ error: 'numero_factura es obligatorio' });
+            }
+            const fechaCheck = validateDate(fecha, { allowFuture: false });
+            if (!fechaCheck.valid) return res.status(400).json({ error: fechaCheck.error });
+            if (mes && !MES_RE.test(mes)) {
+                return res.status(400).json({ error: 'mes debe tener formato YYYY-MM' });
+            }
+            const saneadas = sanearLineasFactura(lineas);
+            if (saneadas.error) return res.status(400).json({ error: saneadas.error });
+
+            // Sin total en cabecera → suma de líneas.
+            const sumaLineas = saneadas.lineas.reduce((s, l) => s + l.importe, 0);
+            const totalBase = total_base !== undefined && total_base !== null && total_base !== ''
+                ? validateNumber(total_base, 0, -9999999, 9999999)
+                : Math.round(sumaLineas * 100) / 100;
+            const ivaImporte = iva_importe !== undefined && iva_importe !== null && iva_importe !== ''
+                ? validateNumber(iva_importe, 0, 0, 9999999)
+                : null;
+            const periodo = `${mes || fechaCheck.value.toISOString().slice(0, 7)}-01`;
+
+            const proveedor = await proveedorDelTenant(pool, idCheck.value, req.restauranteId);
+            if (!proveedor) return res.status(404).json({ error: 'Proveedor no encontrado' });
+
+            // 🔒 Cross-tenant: los ingredientes de las líneas tienen que ser del tenant.
+            const ingIds = [...new Set(saneadas.lineas.map(l => l.ingredienteId).filter(Boolean))];
+            if (ingIds.length > 0) {
+                const ingCheck = await pool.query(
+                    'SELECT id FROM ingredientes WHERE id = ANY($1::int[]) AND restaurante_id = $2 AND deleted_at IS NULL',
+                    [ingIds, req.restauranteId]
+                );
+                if (ingCheck.rows.length !== ingIds.length) {
+                    return res.status(404).json({ error: 'Uno o más ingredientes no encontrados' });
+                }
+            }
+
+            const dup = await pool.query(
+                `SELECT id FROM facturas_proveedor
+                 WHERE restaurante_id = $1 AND proveedor_id = $2 AND numero_factura = $3 AND deleted_at IS NULL`,
+                [req.restauranteId, proveedor.id, String(numero_factura).trim()]
+            );
+            if (dup.rows.length > 0) {
+                return res.status(409).json({ error: 'Ya existe una factura con ese número para este proveedor', id: dup.rows[0].id });
+            }
+
+            const result = await pool.query(
+                `INSERT INTO facturas_proveedor
+                    (restaurante_id, proveedor_id, numero_factura, fecha, periodo, total_base, iva_importe, lineas, notas)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+                [req.restauranteId, proveedor.id, String(numero_factura).trim().slice(0, 60), fechaCheck.value,
+                    periodo, totalBase, ivaImporte, JSON.stringify(saneadas.lineas), notas || null]
+            );
+
+            logChange(pool, {
+                req,
+                tabla: 'facturas_proveedor',
+                operacion: 'INSERT',
+                registroId: result.rows[0].id,
+                datosAntes: null,
+                datosDespues: result.rows[0],
+            });
+            res.status(201).json(result.rows[0]);
+        } catch (err) {
+            log('error', 'Error creando factura de proveedor', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    router.delete('/suppliers/:id/invoices/:facturaId', authMiddleware, requirePermission('purchases:delete'), async (req, res) => {
+        const idCheck = validateId(req.params.id);
+        const facturaCheck = validateId(req.params.facturaId);
+        if (!idCheck.valid || !facturaCheck.valid) return res.status(400).json({ error: 'ID inválido' });
+        try {
+            const result = await pool.query(
+                `UPDATE facturas_proveedor SET deleted_at = CURRENT_TIMESTAMP
+                 WHERE id = $1 AND proveedor_id = $2 AND restaurante_id = $3 AND deleted_at IS NULL
+                 RETURNING *`,
+                [facturaCheck.value, idCheck.value, req.restauranteId]
+            );
+            if (result.rows.length === 0) return res.status(404).json({ error: 'Factura no encontrada' });
+
+            logChange(pool, {
+                req,
+                tabla: 'facturas_proveedor',
+                operacion: 'DELETE',
+                registroId: result.rows[0].id,
+                datosAntes: result.rows[0],
+                datosDespues: null,
+            });
+            res.json({ message: 'Eliminada', id: result.rows[0].id });
+        } catch (err) {
+            log('error', 'Error eliminando factura de proveedor', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // ========== CUADRE A TRES BANDAS ==========
+    // GET /suppliers/:id/reconciliation?mes=YYYY-MM
+    // Pedidos del mes, lo recibido en el Diario y las facturas con ese
+    // periodo. Un pedido con entregas en pedidos_recepciones entra en cada mes
+    // en que tuvo una entrega (el cuadre reparte sus líneas por la fecha de
+    // cada una, como el Diario); sin entregas registradas (flujo antiguo o aún
+    // sin llegar) cuenta por fecha de recepción, o de pedido.
+
+    router.get('/suppliers/:id/reconciliation', authMiddleware, requirePermission('purchases:read'), async (req, res) => {
+        const idCheck = validateId(req.params.id);
+        if (!idCheck.valid) return res.status(400).json({ error: idCheck.error });
+        if (req.query.mes && !MES_RE.test(req.query.mes)) {
+            return res.status(400).json({ error: 'mes debe tener formato YYYY-MM' });
+        }
+        try {
+            const proveedor = await proveedorDelTenant(pool, idCheck.value, req.restauranteId);
+            if (!proveedor) return res.status(404).json({ error: 'Proveedor no encontrado' });
+
+            const { mes, inicio, fin } = rangoMes(req.query.mes);
+
+            const [pedidos, recibidos, facturas] = await Promise.all([
+                pool.query(
+                    `SELECT p.id, p.fecha, p.fecha_recepcion, p.estado, p.ingredientes, p.total, p.total_recibido,
+                            COALESCE((
+                                SELECT json_agg(json_build_object('fecha', r.fecha::text, 'lineas', r.lineas) ORDER BY r.fecha, r.id)
+                                FROM pedidos_recepciones r
+                                WHERE r.pedido_id = p.id AND r.restaurante_id = p.restaurante_id
+                            ), '[]'::json) AS recepciones
+                     FROM pedidos p
+                     WHERE p.restaurante_id = $1 AND p.proveedor_id = $2 AND p.deleted_at IS NULL
+                       AND p.estado <> 'cancelado'
+                       AND (
+                           EXISTS (SELECT 1 FROM pedidos_recepciones r
+                                   WHERE r.pedido_id = p.id AND r.restaurante_id = p.restaurante_id
+                                     AND r.fecha >= $3 AND r.fecha < $4)
+                           OR (NOT EXISTS (SELECT 1 FROM pedidos_recepciones r
+                                           WHERE r.pedido_id = p.id AND r.restaurante_id = p.restaurante_id)
+                               AND COALESCE(p.fecha_recepcion::date, p.fecha) >= $3
+                               AND COALESCE(p.fecha_recepcion::date, p.fecha) < $4)
+                       )`,
+                    [req.restauranteId, proveedor.id, inicio, fin]
+                ),
+                pool.query(
+                    `SELECT pcd.ingrediente_id, MAX(i.nombre) AS nombre,
+                            SUM(pcd.cantidad_comprada) AS cantidad,
+                            SUM(pcd.total_compra) AS importe
+                     FROM precios_compra_diarios pcd
+                     LEFT JOIN ingredientes i ON i.id = pcd.ingrediente_id AND i.restaurante_id = pcd.restaurante_id
+                     WHERE pcd.restaurante_id = $1 AND pcd.proveedor_id = $2
+                       AND pcd.fecha >= $3 AND pcd.fecha < $4
+                     GROUP BY pcd.ingrediente_id`,
+                    [req.restauranteId, proveedor.id, inicio, fin]
+                ),
+                pool.query(
+                    `SELECT id, numero_factura, fecha, total_base, iva_importe, lineas
+                     FROM facturas_proveedor
+                     WHERE restaurante_id = $1 AND proveedor_id = $2 AND deleted_at IS NULL
+                       AND periodo = $3
+                     ORDER BY fecha, id`,
+                    [req.restauranteId, proveedor.id, inicio]
+                )
+            ]);
+
+            const cuadre = reconciliarProveedorMes({
+                pedidos: pedidos.rows,
+                recibidos: recibidos.rows,
+                facturas: facturas.rows,
+                inicio,
+                fin
+            });
+
+            res.json({
+                proveedor: { id: proveedor.id, nombre: proveedor.nombre },
+                mes,
+                pedidos: pedidos.rows.map(p => ({ id: p.id, fecha: p.fecha, fecha_recepcion: p.fecha_recepcion, estado: p.estado })),
+                facturas: facturas.rows.map(f => ({
+                    id: f.id, numero_factura: f.numero_factura, fecha: f.fecha,
+                    total_base: parseFloat(f.total_base) || 0,
+                    iva_importe: f.iva_importe !== null ? parseFloat(f.iva_importe) : null
+                })),
+                ...cuadre
+            });
+        } catch (err) {
+            log('error', 'Error en cuadre de proveedor', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    return router;
+};
@@ -3,7 +3,7 @@
  * Health check, 404 handler, backup endpoint
  */
 const { Router } = require('express');
-const { authMiddleware, requireAdmin } = require('../middleware/auth');
+const { authMiddleware, requireAdmin, requirePermission } = require('../middleware/auth');
 const { log } = require('../utils/logger');
 
 /**
@@ -13,7 +13,7 @@ module.exports = function (pool) {
     const router = Router();
 
     // ========== HEALTH CHECK ENDPOINT (READ ONLY) ==========
-    router.get('/system/health-check', authMiddleware, async (req, res) => {
+    router.get('/system/health-check', authMiddleware, requirePermission('inventory:read'), async (req, res) => {
         try {
             const restauranteId = req.restauranteId;
             const results = {};
@@ -174,7 +174,7 @@ module.exports = function (pool) {
 
 
     // 🛡️ Stock health monitor — for n8n daily check
-    router.get('/system/stock-health', authMiddleware, async (req, res) => {
+    router.get('/system/stock-health', authMiddleware, requirePermission('inventory:read'), async (req, res) => {
         try {
             // Sin `stock_actual > 0` en el WHERE: los negativos se filtraban antes
             // de poderse contar. El SUM usa GREATEST(0, ...) para que el valor total
@@ -5,13 +5,34 @@
  * Inter-restaurant stock transfers.
  * Owner creates transfer → destination restaurant approves/rejects.
  * On approval: stock deducted from origin, added to destination.
+ *
+ * Precio interno (2026-10-18): todo traspaso se valora. `coste_unitario` es el
+ * precio unitario canónico del ingrediente en el ORIGEN
+ * (getBackendIngredientUnitPrice: fijado > media de compras > precio/formato;
+ * un producto de la cocina central lleva como `precio` la media ponderada de
+ * sus lotes) y `precio_transferencia` = coste × (1 + margen), con el margen
+ * por defecto del origen (`restaurantes.margen_traspaso_pct`, ver
+ * /transfers/settings) o un precio explícito al crearlo. Se valora al crear y,
+ * si un traspaso antiguo llega sin precio, al aprobarlo.
+ *
+ * Al aprobarse, el traspaso es una COMPRA del destino (precios_compra_diarios +
+ * precio medio) y un ABONO del origen: el origen no escribe filas negativas en
+ * su Diario (romperían la media de compras y la valoración FIFO del stock); su
+ * abono es la propia fila aprobada (cantidad × precio_transferencia, con el
+ * coste en cantidad × coste_unitario), que recogen /balance/mes (líneas
+ * `traspasos_entrada` / `traspasos_salida`) y /transfers/internal-invoices.
  */
 
 const { Router } = require('express');
-const { authMiddleware, requireAdmin } = require('../middleware/auth');
-const { validateId } = require('../utils/validators');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { validateId, validateDate } = require('../utils/validators');
 const { log } = require('../utils/logger');
 const { logChange } = require('../utils/auditLog');
+const { registrarMovimientoStock } = require('../utils/stockLedger');
+const { emitirEvento } = require('../services/outboundWebhookService');
+const { findIngredientInRestaurant } = require('../utils/ingredientMatch');
+const { upsertCompraDiaria, recalcularPrecioPonderado, getBackendIngredientUnitPrice } = require('../utils/businessHelpers');
+const recipeCostHistoryService = require('../services/recipeCostHistoryService');
 
 module.exports = function (pool) {
     const router = Router();
@@ -36,50 +57,61 @@ module.exports = function (pool) {
     }
 
     /**
-     * Try to find matching ingredient in destination restaurant by name (fuzzy).
+     * Valora un traspaso en el restaurante de origen: coste unitario canónico
+     * del ingrediente allí y precio interno con el margen por defecto del
+     * origen. `precioExplicito` (si lo hay) manda sobre el margen.
+     * Returns { coste_unitario, precio_transferencia, margen_pct }.
      */
-    async function findIngredientInRestaurant(client, nombre, restauranteId) {
-        const normalizado = (nombre || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
-
-        // Exact match first
-        const exact = await client.query(
-            `SELECT id, nombre FROM ingredientes
-             WHERE restaurante_id = $1 AND deleted_at IS NULL
-               AND LOWER(nombre) = LOWER($2)
-             LIMIT 1`,
-            [restauranteId, nombre.trim()]
+    async function valorarEnOrigen(client, origenId, ingredienteId, precioExplicito = null) {
+        const result = await client.query(
+            `SELECT i.precio, i.cantidad_por_formato, i.precio_fijado, pcd.precio_medio_compra,
+                    r.margen_traspaso_pct
+             FROM ingredientes i
+             JOIN restaurantes r ON r.id = i.restaurante_id
+             LEFT JOIN (
+                 SELECT ingrediente_id,
+                        ROUND((SUM(total_compra) / NULLIF(SUM(cantidad_comprada), 0))::numeric, 4) as precio_medio_compra
+                 FROM precios_compra_diarios WHERE restaurante_id = $1 AND ingrediente_id = $2
+                 GROUP BY ingrediente_id
+             ) pcd ON pcd.ingrediente_id = i.id
+             WHERE i.id = $2 AND i.restaurante_id = $1`,
+            [origenId, ingredienteId]
         );
-        if (exact.rows.length > 0) return exact.rows[0];
-
-        // Fuzzy: contains match
-        if (normalizado.length >= 3) {
-            const fuzzy = await client.query(
-                `SELECT id, nombre FROM ingredientes
-                 WHERE restaurante_id = $1 AND deleted_at IS NULL
-                   AND LOWER(nombre) LIKE '%' || LOWER($2) || '%'
-                 ORDER BY LENGTH(nombre) ASC
-                 LIMIT 1`,
-                [restauranteId, nombre.trim()]
-            );
-            if (fuzzy.rows.length > 0) return fuzzy.rows[0];
+        const fila = result.rows[0];
+        const coste = getBackendIngredientUnitPrice(fila);
+        if (precioExplicito !== null) {
+            return { coste_unitario: coste, precio_transferencia: precioExplicito, margen_pct: null };
         }
-
-        return null;
+        const margen = parseFloat(fila?.margen_traspaso_pct) || 0;
+        return {
+            coste_unitario: coste,
+            precio_transferencia: Math.round(coste * (1 + margen / 100) * 10000) / 10000,
+            margen_pct: margen
+        };
     }
 
     // ==========================================
     // POST /transfers — Create transfer request
     // ==========================================
-    router.post('/transfers', authMiddleware, requireAdmin, async (req, res) => {
+    router.post('/transfers', authMiddleware, requirePermission('transfers:manage'), async (req, res) => {
         const client = await pool.connect();
         try {
-            const { destino_restaurante_id, ingrediente_id, cantidad, notas } = req.body;
+            const { destino_restaurante_id, ingrediente_id, cantidad, notas, precio_transferencia } = req.body;
             const origenId = req.restauranteId;
 
             if (!destino_restaurante_id || !ingrediente_id || !cantidad || cantidad <= 0) {
                 return res.status(400).json({ error: 'destino_restaurante_id, ingrediente_id y cantidad (>0) son requeridos' });
             }
 
+            // Precio interno por unidad (opcional). Sin él: coste en origen + margen
+            let precioTransferencia = null;
+            if (precio_transferencia !== undefined && precio_transferencia !== null && precio_transferencia !== '') {
+                precioTransferencia = parseFloat(precio_transferencia);
+                if (!Number.isFinite(precioTransferencia) || precioTransferencia < 0) {
+                    return res.status(400).json({ error: 'precio_transferencia debe ser un número >= 0' });
+                }
+            }
+
             if (parseInt(destino_restaurante_id) === origenId) {
                 return res.status(400).json({ error: 'No puedes transferir al mismo restaurante' });
             }
@@ -119,6 +151,17 @@ module.exports = function (pool) {
             const cantidadPorFormato = parseFloat(ingrediente.cantidad_por_formato) || 1;
             const precioUnitario = parseFloat(ingrediente.precio) / cantidadPorFormato;
 
+            // Producto de la cocina central: enlace al último lote (trazabilidad)
+            const ultimoLote = await client.query(
+                `SELECT id, coste_unitario FROM lotes_produccion
+                 WHERE restaurante_id = $1 AND ingrediente_id = $2 AND deleted_at IS NULL
+                 ORDER BY fecha DESC, id DESC
+                 LIMIT 1`,
+                [origenId, ingrediente_id]
+            );
+            const loteId = ultimoLote.rows.length > 0 ? ultimoLote.rows[0].id : null;
+            const valoracion = await valorarEnOrigen(client, origenId, ingrediente_id, precioTransferencia);
+
             // Try to find matching ingredient in destination
             const destinoIng = await findIngredientInRestaurant(client, ingrediente.nombre, parseInt(destino_restaurante_id));
 
@@ -131,12 +174,14 @@ module.exports = function (pool) {
                 `INSERT INTO transferencias_stock
                  (origen_restaurante_id, destino_restaurante_id, ingrediente_nombre,
                   ingrediente_id_origen, ingrediente_id_destino, cantidad,
-                  precio_unitario, estado, notas, solicitado_por)
-                 VALUES ($1, $2, $3, $4, $5, $6, $7, 'pendiente', $8, $9)
+                  precio_unitario, estado, notas, solicitado_por, precio_transferencia, lote_id,
+                  coste_unitario, margen_pct)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, 'pendiente', $8, $9, $10, $11, $12, $13)
                  RETURNING *`,
                 [origenId, destino_restaurante_id, ingrediente.nombre,
                  ingrediente_id, destinoIng ? destinoIng.id : null, cantidadNum,
-                 precioUnitario, notas || null, req.user.userId]
+                 precioUnitario, notas || null, req.user.userId, valoracion.precio_transferencia, loteId,
+                 valoracion.coste_unitario, valoracion.margen_pct]
             );
 
             await client.query('COMMIT');
@@ -175,7 +220,7 @@ module.exports = function (pool) {
     // ==========================================
     // GET /transfers/incoming — Pending transfers TO my restaurant
     // ==========================================
-    router.get('/transfers/incoming', authMiddleware, requireAdmin, async (req, res) => {
+    router.get('/transfers/incoming', authMiddleware, requirePermission('transfers:read'), async (req, res) => {
         try {
             const result = await pool.query(
                 `SELECT t.*, r.nombre as origen_nombre,
@@ -198,7 +243,7 @@ module.exports = function (pool) {
     // ==========================================
     // GET /transfers/outgoing — Transfers FROM my restaurant
     // ==========================================
-    router.get('/transfers/outgoing', authMiddleware, requireAdmin, async (req, res) => {
+    router.get('/transfers/outgoing', authMiddleware, requirePermission('transfers:read'), async (req, res) => {
         try {
             const result = await pool.query(
                 `SELECT t.*, r.nombre as destino_nombre,
@@ -221,7 +266,7 @@ module.exports = function (pool) {
     // ==========================================
     // GET /transfers/history — All resolved transfers (both directions)
     // ==========================================
-    router.get('/transfers/history', authMiddleware, requireAdmin, async (req, res) => {
+    router.get('/transfers/history', authMiddleware, requirePermission('transfers:read'), async (req, res) => {
         try {
             const result = await pool.query(
                 `SELECT t.*,
@@ -249,7 +294,7 @@ module.exports = function (pool) {
     // ==========================================
     // POST /transfers/:id/approve — Approve incoming transfer
     // ==========================================
-    router.post('/transfers/:id/approve', authMiddleware, requireAdmin, async (req, res) => {
+    router.post('/transfers/:id/approve', authMiddleware, requirePermission('transfers:manage'), async (req, res) => {
         const idCheck = validateId(req.params.id);
         if (!idCheck.valid) return res.status(400).json({ error: idCheck.error });
         const transferId = idCheck.value;
@@ -300,6 +345,11 @@ module.exports = function (pool) {
                  WHERE id = $2 AND restaurante_id = $3`,
                 [transfer.cantidad, transfer.ingrediente_id_origen, transfer.origen_restaurante_id]
             );
+            await registrarMovimientoStock(client, {
+                restauranteId: transfer.origen_restaurante_id, ingredienteId: transfer.ingrediente_id_origen,
+                tipo: 'traspaso_salida', stockAntes: stockDisponible,
+                referenciaTipo: 'transferencia', referenciaId: transfer.id, usuarioId: req.user?.userId
+            });
 
             // Resolve destination ingredient
             let destinoIngId = transfer.ingrediente_id_destino;
@@ -343,15 +393,56 @@ module.exports = function (pool) {
                  WHERE id = $2 AND restaurante_id = $3 AND deleted_at IS NULL`,
                 [transfer.cantidad, destinoIngId, req.restauranteId]
             );
+            await registrarMovimientoStock(client, {
+                restauranteId: req.restauranteId, ingredienteId: destinoIngId, tipo: 'traspaso_entrada',
+                cantidad: transfer.cantidad, referenciaTipo: 'transferencia', referenciaId: transfer.id,
+                usuarioId: req.user?.userId
+            });
+
+            // Traspaso creado antes de la valoración: se valora ahora, en origen
+            const valoracion = transfer.precio_transferencia !== null && transfer.precio_transferencia !== undefined
+                ? {
+                    coste_unitario: transfer.coste_unitario !== null && transfer.coste_unitario !== undefined
+                        ? parseFloat(transfer.coste_unitario) : null,
+                    precio_transferencia: parseFloat(transfer.precio_transferencia) || 0,
+                    margen_pct: transfer.margen_pct !== null && transfer.margen_pct !== undefined
+                        ? parseFloat(transfer.margen_pct) : null
+                }
+                : await valorarEnOrigen(client, transfer.origen_restaurante_id, transfer.ingrediente_id_origen);
+
+            // El traspaso es una COMPRA del destino: entra en su Diario
+            // (precios_compra_diarios) y en el precio medio del ingrediente, así
+            // su COGS refleja lo que le "cobra" el origen. Un ingrediente sin
+            // precio en origen (0 €) no se apunta: bajaría la media del destino.
+            const precioInterno = valoracion.precio_transferencia;
+            if (precioInterno > 0) {
+                const cantidadTransfer = parseFloat(transfer.cantidad) || 0;
+                await upsertCompraDiaria(client, {
+                    ingredienteId: destinoIngId,
+                    fecha: new Date(),
+                    precioUnitario: precioInterno,
+                    cantidad: cantidadTransfer,
+                    total: Math.round(precioInterno * cantidadTransfer * 100) / 100,
+                    restauranteId: req.restauranteId,
+                    traspasoId: transfer.id
+                });
+                await recalcularPrecioPonderado(client, destinoIngId, req.restauranteId);
+            }
 
-            // Mark as approved
+            // Mark as approved (con su valoración: es el abono del origen)
             await client.query(
                 `UPDATE transferencias_stock
-                 SET estado = 'aprobada', aprobado_por = $1, resuelto_at = NOW()
+                 SET estado = 'aprobada', aprobado_por = $1, resuelto_at = NOW(),
+                     precio_transferencia = $3, coste_unitario = $4, margen_pct = $5
                  WHERE id = $2`,
-                [req.user.userId, transfer.id]
+                [req.user.userId, transfer.id, precioInterno, valoracion.coste_unitario, valoracion.margen_pct]
             );
 
+            // El destino recibe con precio interno: su precio medio cambió.
+            if (precioInterno > 0) {
+                await recipeCostHistoryService.registrarCostesRecetas(client, req.restauranteId, { origen: 'precio-compra', ingredienteIds: [destinoIngId] });
+            }
+
             await client.query('COMMIT');
 
             log('info', 'Transferencia aprobada', {
@@ -367,10 +458,25 @@ module.exports = function (pool) {
                 req, tabla: 'transferencias_stock', operacion: 'UPDATE',
                 registroId: transfer.id,
                 datosAntes: { estado: 'pendiente' },
-                datosDespues: { estado: 'aprobada', ingrediente: transfer.ingrediente_nombre, cantidad: transfer.cantidad },
+                datosDespues: {
+                    estado: 'aprobada', ingrediente: transfer.ingrediente_nombre, cantidad: transfer.cantidad,
+                    precio_transferencia: precioInterno
+                },
             });
+            // Los dos restaurantes ven el evento: al origen le sale stock, al destino le entra.
+            const transferenciaAprobada = { ...transfer, ...valoracion, estado: 'aprobada', ingrediente_id_destino: destinoIngId };
+            for (const rid of new Set([transfer.origen_restaurante_id, req.restauranteId])) {
+                emitirEvento(pool, rid, 'transfer.approved', { transferencia: transferenciaAprobada });
+            }
 
-            res.json({ success: true, message: 'Transferencia aprobada. Stock actualizado.' });
+            res.json({
+                success: true,
+                message: 'Transferencia aprobada. Stock actualizado.',
+                valoracion: {
+                    ...valoracion,
+                    importe: Math.round(precioInterno * (parseFloat(transfer.cantidad) || 0) * 100) / 100
+                }
+            });
         } catch (err) {
             await client.query('ROLLBACK');
             log('error', 'Error aprobando transferencia', { error: err.message });
@@ -383,7 +489,7 @@ module.exports = function (pool) {
     // ==========================================
     // POST /transfers/:id/reject — Reject incoming transfer
     // ==========================================
-    router.post('/transfers/:id/reject', authMiddleware, requireAdmin, async (req, res) => {
+    router.post('/transfers/:id/reject', authMiddleware, requirePermission('transfers:manage'), async (req, res) => {
         const idCheck = validateId(req.params.id);
         if (!idCheck.valid) return res.status(400).json({ error: idCheck.error });
         const transferId = idCheck.value;
@@ -420,7 +526,7 @@ module.exports = function (pool) {
     // ==========================================
     // GET /transfers/pending-count — Count of pending incoming transfers (for badge)
     // ==========================================
-    router.get('/transfers/pending-count', authMiddleware, async (req, res) => {
+    router.get('/transfers/pending-count', authMiddleware, requirePermission('transfers:read'), async (req, res) => {
         try {
             const result = await pool.query(
                 `SELECT COUNT(*) as count FROM transferencias_stock
@@ -434,6 +540,104 @@ module.exports = function (pool) {
         }
     });
 
+    // ==========================================
+    // GET/PUT /transfers/settings — Margen por defecto de los traspasos que
+    // ENVÍA este restaurante (% sobre su coste unitario; 0 = a coste)
+    // ==========================================
+    router.get('/transfers/settings', authMiddleware, requirePermission('transfers:read'), async (req, res) => {
+        try {
+            const result = await pool.query('SELECT margen_traspaso_pct FROM restaurantes WHERE id = $1', [req.restauranteId]);
+            res.json({ margen_traspaso_pct: parseFloat(result.rows[0]?.margen_traspaso_pct) || 0 });
+        } catch (err) {
+            log('error', 'Error leyendo ajustes de transferencias', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    router.put('/transfers/settings', authMiddleware, requirePermission('transfers:manage'), async (req, res) => {
+        const margen = parseFloat(req.body?.margen_traspaso_pct);
+        if (!Number.isFinite(margen) || margen < 0 || margen > 500) {
+            return res.status(400).json({ error: 'margen_traspaso_pct debe ser un número entre 0 y 500' });
+        }
+        try {
+            const antes = await pool.query('SELECT margen_traspaso_pct FROM restaurantes WHERE id = $1', [req.restauranteId]);
+            await pool.query('UPDATE restaurantes SET margen_traspaso_pct = $1 WHERE id = $2', [margen, req.restauranteId]);
+
+            logChange(pool, {
+                req, tabla: 'restaurantes', operacion: 'UPDATE',
+                registroId: req.restauranteId,
+                datosAntes: { margen_traspaso_pct: parseFloat(antes.rows[0]?.margen_traspaso_pct) || 0 },
+                datosDespues: { margen_traspaso_pct: margen },
+            });
+
+            res.json({ success: true, margen_traspaso_pct: margen });
+        } catch (err) {
+            log('error', 'Error guardando ajustes de transferencias', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
+    // ==========================================
+    // GET /transfers/internal-invoices?desde=YYYY-MM-DD&hasta=YYYY-MM-DD
+    // Facturación interna: traspasos APROBADOS con precio del periodo, por
+    // restaurante contraparte. `emitidas` = lo que este local ha enviado
+    // (cocina central → locales); `recibidas` = lo que ha comprado a otros.
+    // ==========================================
+    router.get('/transfers/internal-invoices', authMiddleware, requirePermission('finance:read'), async (req, res) => {
+        try {
+            const hoy = new Date();
+            const desde = req.query.desde || new Date(Date.UTC(hoy.getUTCFullYear(), hoy.getUTCMonth(), 1)).toISOString().slice(0, 10);
+            const hasta = req.query.hasta || new Date(Date.UTC(hoy.getUTCFullYear(), hoy.getUTCMonth() + 1, 1)).toISOString().slice(0, 10);
+            for (const [campo, valor] of [['desde', desde], ['hasta', hasta]]) {
+                const check = validateDate(valor, { allowFuture: true });
+                if (!check.valid) return res.status(400).json({ error: `${campo}: ${check.error}` });
+            }
+
+            const result = await pool.query(
+                `SELECT t.id, t.origen_restaurante_id, t.destino_restaurante_id,
+                        ro.nombre as origen_nombre, rd.nombre as destino_nombre,
+                        t.ingrediente_nombre, t.cantidad, t.precio_transferencia, t.lote_id,
+                        ROUND((t.cantidad * t.precio_transferencia)::numeric, 2) as importe,
+                        t.resuelto_at
+                 FROM transferencias_stock t
+                 JOIN restaurantes ro ON t.origen_restaurante_id = ro.id
+                 JOIN restaurantes rd ON t.destino_restaurante_id = rd.id
+                 WHERE (t.origen_restaurante_id = $1 OR t.destino_restaurante_id = $1)
+                   AND t.estado = 'aprobada'
+                   AND t.precio_transferencia IS NOT NULL
+                   AND t.resuelto_at >= $2 AND t.resuelto_at < $3
+                 ORDER BY t.resuelto_at`,
+                [req.restauranteId, desde, hasta]
+            );
+
+            const agrupar = (filas, idContraparte, nombreContraparte) => {
+                const porRestaurante = new Map();
+                for (const f of filas) {
+                    const id = f[idContraparte];
+                    const g = porRestaurante.get(id) || { restaurante_id: id, restaurante: f[nombreContraparte], total: 0, lineas: [] };
+                    g.total += parseFloat(f.importe) || 0;
+                    g.lineas.push({
+                        transferencia_id: f.id, fecha: f.resuelto_at, ingrediente: f.ingrediente_nombre,
+                        cantidad: parseFloat(f.cantidad), precio_unitario: parseFloat(f.precio_transferencia),
+                        importe: parseFloat(f.importe), lote_id: f.lote_id
+                    });
+                    porRestaurante.set(id, g);
+                }
+                const facturas = [...porRestaurante.values()].map(g => ({ ...g, total: Math.round(g.total * 100) / 100 }));
+                return { facturas, total: Math.round(facturas.reduce((s, g) => s + g.total, 0) * 100) / 100 };
+            };
+
+            res.json({
+                periodo: { desde, hasta },
+                emitidas: agrupar(result.rows.filter(f => f.origen_restaurante_id === req.restauranteId), 'destino_restaurante_id', 'destino_nombre'),
+                recibidas: agrupar(result.rows.filter(f => f.destino_restaurante_id === req.restauranteId), 'origen_restaurante_id', 'origen_nombre')
+            });
+        } catch (err) {
+            log('error', 'Error listando facturación interna', { error: err.message });
+            res.status(500).json({ error: 'Error interno' });
+        }
+    });
+
     // ==========================================
     // GET /owner/restaurants — All owner's restaurants with summary KPIs
     // ==========================================
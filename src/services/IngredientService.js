@@ -12,6 +12,7 @@
 const BaseService = require('./BaseService');
 const { log } = require('../utils/logger');
 const { validatePrecio, validateCantidad } = require('../utils/validators');
+const { registrarMovimientoStock } = require('../utils/stockLedger');
 
 class IngredientService extends BaseService {
     constructor() {
@@ -61,15 +62,27 @@ class IngredientService extends BaseService {
      */
     async updateStock(id, cantidad, operacion, restauranteId) {
         const op = operacion === 'sumar' ? '+' : '-';
-        const result = await this.query(
-            `UPDATE ingredientes 
+        return this.withTransaction(async (client) => {
+            const lock = await client.query(
+                'SELECT stock_actual FROM ingredientes WHERE id = $1 AND restaurante_id = $2 AND deleted_at IS NULL FOR UPDATE',
+                [id, restauranteId]
+            );
+            const result = await client.query(
+                `UPDATE ingredientes 
              SET stock_actual = GREATEST(0, stock_actual ${op} $1),
                  ultima_actualizacion_stock = NOW()
              WHERE id = $2 AND restaurante_id = $3
              RETURNING *`,
-            [validateCantidad(cantidad), id, restauranteId]
-        );
-        return result[0];
+                [validateCantidad(cantidad), id, restauranteId]
+            );
+            if (lock.rows.length > 0) {
+                await registrarMovimientoStock(client, {
+                    restauranteId, ingredienteId: id, tipo: 'ajuste',
+                    stockAntes: lock.rows[0].stock_actual
+                });
+            }
+            return result.rows[0];
+        });
     }
 
     /**
@@ -17,6 +17,7 @@
 const BaseService = require('./BaseService');
 const { log } = require('../utils/logger');
 const { validateCantidad } = require('../utils/validators');
+const { registrarMovimientoStock } = require('../utils/stockLedger');
 
 class SaleService extends BaseService {
     constructor() {
@@ -49,6 +50,10 @@ class SaleService extends BaseService {
                 // 3. Descontar stock
                 for (const ing of ingredientes) {
                     const consumo = (ing.cantidad || 0) * cantidad;
+                    const lock = await client.query(
+                        'SELECT stock_actual FROM ingredientes WHERE id = $1 AND restaurante_id = $2 AND deleted_at IS NULL FOR UPDATE',
+                        [ing.ingredienteId, restauranteId]
+                    );
                     await client.query(
                         `UPDATE ingredientes 
                          SET stock_actual = GREATEST(0, stock_actual - $1),
@@ -56,6 +61,13 @@ class SaleService extends BaseService {
                          WHERE id = $2 AND restaurante_id = $3`,
                         [consumo, ing.ingredienteId, restauranteId]
                     );
+                    if (lock.rows.length > 0) {
+                        await registrarMovimientoStock(client, {
+                            restauranteId, ingredienteId: ing.ingredienteId, tipo: 'venta',
+                            stockAntes: lock.rows[0].stock_actual,
+                            referenciaTipo: 'venta', referenciaId: saleResult.rows[0].id
+                        });
+                    }
                 }
             }
 
@@ -0,0 +1,175 @@
+/**
+ * aiUsageService — consumo de IA por restaurante: registro, cuota y coste.
+ *
+ * chatAddonGate solo contaba las consultas del chat (CHAT_MONTHLY_LIMIT). El
+ * OCR de albaranes, el PDF del TPV, el Coach y el informe mensual gastaban
+ * tokens sin que nadie los apuntara: un tenant subiendo albaranes en bucle
+ * costaba dinero sin límite y sin que se viera.
+ *
+ * Ahora cada llamada al LLM (services/llmProvider) deja una fila en
+ * `ai_usage` con restaurante, feature, modelo, tokens y coste en USD, y:
+ *
+ *   - la CUOTA es un presupuesto mensual en USD por plan (CUOTA_IA_MENSUAL_USD)
+ *     que cubre TODAS las features. Mes natural. llmProvider la comprueba
+ *     antes de cada operación y corta con 429 (AI_QUOTA_EXCEEDED). El contador
+ *     de 300 consultas del chat sigue aparte: es lo que ve el cliente.
+ *   - GET /superadmin/ai-usage agrupa el coste por tenant y por feature.
+ */
+
+const { log } = require('../utils/logger');
+
+/**
+ * Presupuesto mensual de IA por plan (USD a precio de lista). Holgado: un
+ * restaurante normal (300 consultas de chat, 4 Coach, 1 informe y sus
+ * albaranes) gasta bastante menos. Es un techo contra el abuso, no el límite
+ * que el cliente ve. Plan desconocido → el de trial.
+ *
+ * 'base' es el plan de pago único: el que escriben el webhook de Polar y el
+ * alta de restaurante. starter/profesional/premium solo los pone superadmin.
+ */
+const CUOTA_IA_MENSUAL_USD = {
+    trial: 10,
+    base: 40,
+    starter: 15,
+    profesional: 40,
+    premium: 100
+};
+
+function limitePlan(plan) {
+    return CUOTA_IA_MENSUAL_USD[plan] ?? CUOTA_IA_MENSUAL_USD.trial;
+}
+
+/** Primer instante del mes de `ahora` + `meses`, en UTC. */
+function inicioMes(ahora, meses = 0) {
+    return new Date(Date.UTC(ahora.getUTCFullYear(), ahora.getUTCMonth() + meses, 1));
+}
+
+/**
+ * Apunta una llamada. Nunca lanza: el registro no puede romper la respuesta
+ * que el usuario ya ha pagado en tokens.
+ */
+async function registrarUso(pool, { restauranteId, feature, modelo, uso, costeUsd, ok = true, duracionMs = null }) {
+    try {
+        await pool.query(
+            `INSERT INTO ai_usage
+             (restaurante_id, feature, modelo, tokens_input, tokens_output, tokens_cache_read, tokens_cache_creation, coste_usd, ok, duracion_ms)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+            [restauranteId || null, feature, modelo, uso?.input || 0, uso?.output || 0,
+                uso?.cache_read || 0, uso?.cache_creation || 0, costeUsd || 0, ok, duracionMs]
+        );
+    } catch (err) {
+        log('error', 'No se pudo registrar el consumo de IA', { restauranteId, feature, error: err.message });
+    }
+}
+
+/**
+ * Cuota del mes en curso: { plan, gastado_usd, limite_usd, restante_usd,
+ * agotada, renueva }. null si el restaurante no existe.
+ */
+async function estadoCuota(pool, restauranteId, ahora = new Date()) {
+    const { rows } = await pool.query(
+        `SELECT r.plan,
+                COALESCE((SELECT SUM(u.coste_usd) FROM ai_usage u
+                          WHERE u.restaurante_id = r.id
+                            AND u.created_at >= $2), 0) AS gastado
+         FROM restaurantes r
+         WHERE r.id = $1`,
+        [restauranteId, inicioMes(ahora).toISOString()]
+    );
+    if (rows.length === 0) return null;
+    const gastado = Math.round((parseFloat(rows[0].gastado) || 0) * 1e4) / 1e4;
+    const limite = limitePlan(rows[0].plan);
+    return {
+        plan: rows[0].plan,
+        gastado_usd: gastado,
+        limite_usd: limite,
+        restante_usd: Math.max(0, Math.round((limite - gastado) * 1e4) / 1e4),
+        agotada: gastado >= limite,
+        renueva: inicioMes(ahora, 1).toISOString()
+    };
+}
+
+/** Cuerpo del 429 cuando llmProvider corta por cuota (err.code === 'LLM_CUOTA'). */
+function respuestaCuotaAgotada(err) {
+    const c = err.cuota || {};
+    return {
+        error: 'AI_QUOTA_EXCEEDED',
+        message: 'Cuota mensual de IA del plan alcanzada.',
+        plan: c.plan,
+        used_usd: c.gastado_usd,
+        limit_usd: c.limite_usd,
+        resets_at: c.renueva
+    };
+}
+
+const num = (v) => parseFloat(v) || 0;
+const redondearUsd = (n) => Math.round(n * 1e4) / 1e4;
+
+/**
+ * Coste por tenant y por feature entre `desde` (incl.) y `hasta` (excl.),
+ * para el panel superadmin. Los tenants que más gastan primero, con su
+ * cuota (el % solo tiene sentido si el rango es el mes en curso).
+ */
+async function usoPorTenant(pool, { desde, hasta }) {
+    const { rows } = await pool.query(
+        `SELECT u.restaurante_id, r.nombre, r.plan, u.feature,
+                COUNT(*) AS llamadas,
+                COUNT(*) FILTER (WHERE NOT u.ok) AS errores,
+                SUM(u.tokens_input) AS tokens_input,
+                SUM(u.tokens_output) AS tokens_output,
+                SUM(u.tokens_cache_read) AS tokens_cache_read,
+                SUM(u.tokens_cache_creation) AS tokens_cache_creation,
+                SUM(u.coste_usd) AS coste_usd
+         FROM ai_usage u
+         LEFT JOIN restaurantes r ON r.id = u.restaurante_id
+         WHERE u.created_at >= $1 AND u.created_at < $2
+         GROUP BY u.restaurante_id, r.nombre, r.plan, u.feature`,
+        [desde, hasta]
+    );
+
+    const vacio = () => ({ llamadas: 0, errores: 0, tokens_input: 0, tokens_output: 0, tokens_cache_read: 0, tokens_cache_creation: 0, coste_usd: 0 });
+    const acumular = (acc, row) => {
+        for (const k of Object.keys(acc)) acc[k] = k === 'coste_usd' ? redondearUsd(acc[k] + num(row[k])) : acc[k] + num(row[k]);
+        return acc;
+    };
+
+    const tenants = new Map();
+    const porFeature = {};
+    const total = vacio();
+    for (const row of rows) {
+        const clave = row.restaurante_id ?? null;
+        if (!tenants.has(clave)) {
+            tenants.set(clave, {
+                restaurante_id: clave,
+                nombre: row.nombre || null,
+                plan: row.plan || null,
+                limite_usd: clave ? limitePlan(row.plan) : null,
+                total: vacio(),
+                features: {}
+            });
+        }
+        const t = tenants.get(clave);
+        acumular(t.total, row);
+        t.features[row.feature] = acumular(vacio(), row);
+        porFeature[row.feature] = acumular(porFeature[row.feature] || vacio(), row);
+        acumular(total, row);
+    }
+
+    return {
+        desde,
+        hasta,
+        total,
+        por_feature: porFeature,
+        tenants: [...tenants.values()].sort((a, b) => b.total.coste_usd - a.total.coste_usd)
+    };
+}
+
+module.exports = {
+    CUOTA_IA_MENSUAL_USD,
+    limitePlan,
+    inicioMes,
+    registrarUso,
+    estadoCuota,
+    respuestaCuotaAgotada,
+    usoPorTenant
+};
@@ -0,0 +1,442 @@
+/**
+ * chatActionService — acciones de escritura del chat IA, con confirmación.
+ *
+ * Las tools de Omnes son solo-lectura (guard chat-readonly-guard) y así
+ * siguen: las tools `proponer_*` (ACTION_TOOLS en chatService) NO escriben,
+ * llaman a proponerAccion(), que valida, resuelve nombres a ids y devuelve
+ * un resumen + un token firmado. El token NO pasa por el modelo: processChat
+ * lo aparta y la ruta lo añade a la respuesta como `[CONFIRM:token]` para que
+ * el widget pinte "Confirmar / Cancelar". Solo el POST del usuario a
+ * /chat/acciones/confirmar ejecuta (ejecutarAccion), en dos pasos:
+ *
+ *   1. propuesta → token HMAC (JWT_SECRET + contexto propio, no sirve como
+ *      token de sesión) con restaurante, usuario, acción, parámetros ya
+ *      resueltos y caducidad (TOKEN_TTL_MS).
+ *   2. confirmación → mismo usuario y restaurante, permiso de la acción con
+ *      su rol ACTUAL, y un solo uso: el jti entra en `chat_acciones` (UNIQUE)
+ *      en la misma transacción que la escritura. Auditado con logChange.
+ *
+ * Acciones: registrar_merma, ajustar_stock (a un recuento), precio_receta y
+ * pedido_reposicion (borrador 'pendiente' desde las sugerencias de
+ * services/reorderService). Se escribe con la misma lógica que las rutas
+ * equivalentes (mermas, adjust-stock, PUT recipes, POST orders), incluido el
+ * libro de stock.
+ */
+
+const crypto = require('crypto');
+const { log } = require('../utils/logger');
+const { logChange } = require('../utils/auditLog');
+const { registrarMovimientoStock } = require('../utils/stockLedger');
+const { sanitizeString } = require('../utils/validators');
+const { buscarPorNombre } = require('../utils/ingredientMatch');
+const { preciosIngredientes } = require('./finanzasMesService');
+const { sugerenciasReposicion } = require('./reorderService');
+const recipeCostHistoryService = require('./recipeCostHistoryService');
+const { emitirEvento } = require('./outboundWebhookService');
+const AlertService = require('../application/services/AlertService');
+
+const TOKEN_TTL_MS = 15 * 60 * 1000;
+// Mismo tope que adjust-stock y los pedidos: un dedazo no mueve miles de unidades.
+const CANTIDAD_MAX = 10000;
+
+const r2 = (n) => Math.round(n * 100) / 100;
+
+// ============================================================================
+// TOKEN
+// ============================================================================
+
+function claveFirma() {
+    if (!process.env.JWT_SECRET) throw new Error('JWT_SECRET no configurado');
+    return `${process.env.JWT_SECRET}:chat-acciones`;
+}
+
+function firmar(cuerpo) {
+    return crypto.createHmac('sha256', claveFirma()).update(cuerpo).digest('base64url');
+}
+
+function firmarAccion({ restauranteId, usuarioId, accion, params, resumen }, ahora = Date.now()) {
+    const payload = {
+        jti: crypto.randomUUID(),
+        rid: restauranteId,
+        uid: usuarioId,
+        accion,
+        params,
+        resumen,
+        exp: ahora + TOKEN_TTL_MS
+    };
+    const cuerpo = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return { token: `${cuerpo}.${firmar(cuerpo)}`, payload };
+}
+
+/**
+ * Payload de un token válido, o { error, status } si está mal formado,
+ * manipulado o caducado.
+ */
+function verificarAccion(token, ahora = Date.now()) {
+    if (typeof token !== 'string' || !/^[\w-]+\.[\w-]+$/.test(token)) {
+        return { error: 'Token de confirmación inválido', status: 400 };
+    }
+    const [cuerpo, firma] = token.split('.');
+    const esperada = Buffer.from(firmar(cuerpo));
+    const recibida = Buffer.from(firma);
+    if (esperada.length !== recibida.length || !crypto.timingSafeEqual(esperada, recibida)) {
+        return { error: 'Token de confirmación inválido', status: 400 };
+    }
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(cuerpo, 'base64url').toString('utf8'));
+    } catch {
+        return { error: 'Token de confirmación inválido', status: 400 };
+    }
+    if (!payload || typeof payload.exp !== 'number' || payload.exp < ahora) {
+        return { error: 'La propuesta ha caducado: pídesela de nuevo al asistente', status: 410 };
+    }
+    return payload;
+}
+
+// ============================================================================
+// PROPUESTAS (solo lectura)
+// ============================================================================
+
+/** Por id (número) o por nombre (exacto, luego "contiene", sin acentos). */
+function resolver(valor, lista) {
+    if (valor === undefined || valor === null || valor === '') return null;
+    const id = Number(valor);
+    if (Number.isInteger(id) && id > 0) return lista.find(x => x.id === id) || null;
+    return buscarPorNombre(String(valor), lista);
+}
+
+function numeroEnRango(valor, { min = 0, max = CANTIDAD_MAX, estricto = true } = {}) {
+    const n = parseFloat(valor);
+    if (!Number.isFinite(n) || n > max) return null;
+    if (estricto ? n <= min : n < min) return null;
+    return n;
+}
+
+async function proponerMerma(pool, restauranteId, args) {
+    const ingrediente = resolver(args.ingrediente, await preciosIngredientes(pool, restauranteId));
+    if (!ingrediente) return { error: `No encontré el ingrediente "${args.ingrediente}"` };
+    const cantidad = numeroEnRango(args.cantidad);
+    if (cantidad === null) return { error: `cantidad debe ser > 0 y <= ${CANTIDAD_MAX}` };
+
+    const valorPerdida = r2(cantidad * ingrediente.precio_unitario);
+    return {
+        params: {
+            ingredienteId: ingrediente.id,
+            ingredienteNombre: ingrediente.nombre,
+            unidad: ingrediente.unidad || 'ud',
+            cantidad,
+            motivo: sanitizeString(args.motivo) || 'Otros',
+            valorPerdida
+        },
+        resumen: `Registrar merma de ${cantidad} ${ingrediente.unidad || 'ud'} de ${ingrediente.nombre} (valor ${valorPerdida.toFixed(2)})`,
+        detalle: {
+            ingrediente: ingrediente.nombre,
+            stock_actual: ingrediente.stock_actual,
+            stock_tras_merma: Math.max(0, r2(ingrediente.stock_actual - cantidad)),
+            valor_perdida: valorPerdida
+        }
+    };
+}
+
+async function proponerAjusteStock(pool, restauranteId, args) {
+    const ingrediente = resolver(args.ingrediente, await preciosIngredientes(pool, restauranteId));
+    if (!ingrediente) return { error: `No encontré el ingrediente "${args.ingrediente}"` };
+    const stockNuevo = numeroEnRango(args.stock_nuevo, { estricto: false });
+    if (stockNuevo === null) return { error: `stock_nuevo debe ser >= 0 y <= ${CANTIDAD_MAX}` };
+
+    return {
+        params: {
+            ingredienteId: ingrediente.id,
+            ingredienteNombre: ingrediente.nombre,
+            unidad: ingrediente.unidad || 'ud',
+            stockAnterior: ingrediente.stock_actual,
+            stockNuevo,
+            motivo: sanitizeString(args.motivo) || null
+        },
+        resumen: `Ajustar el stock de ${ingrediente.nombre} de ${ingrediente.stock_actual} a ${stockNuevo} ${ingrediente.unidad || 'ud'}`,
+        detalle: {
+            ingrediente: ingrediente.nombre,
+            stock_actual: ingrediente.stock_actual,
+            stock_nuevo: stockNuevo,
+            diferencia: r2(stockNuevo - ingrediente.stock_actual)
+        }
+    };
+}
+
+async function proponerPrecioReceta(pool, restauranteId, args) {
+    const { rows } = await pool.query(
+        'SELECT id, nombre, precio_venta FROM recetas WHERE restaurante_id = $1 AND deleted_at IS NULL',
+        [restauranteId]
+    );
+    const receta = resolver(args.receta, rows);
+    if (!receta) return { error: `No encontré la receta "${args.receta}"` };
+    const precioNuevo = numeroEnRango(args.precio_venta, { max: 999999 });
+    if (precioNuevo === null) return { error: 'precio_venta debe ser > 0' };
+
+    const precioAnterior = parseFloat(receta.precio_venta) || 0;
+    return {
+        params: { recetaId: receta.id, recetaNombre: receta.nombre, precioAnterior, precioNuevo: r2(precioNuevo) },
+        resumen: `Cambiar el precio de venta de ${receta.nombre} de ${precioAnterior.toFixed(2)} a ${r2(precioNuevo).toFixed(2)}`,
+        detalle: { receta: receta.nombre, precio_actual: precioAnterior, precio_nuevo: r2(precioNuevo) }
+    };
+}
+
+async function proponerPedidoReposicion(pool, restauranteId, args) {
+    const { sugerencias } = await sugerenciasReposicion(pool, restauranteId);
+    const conCantidad = sugerencias.filter(s => s.cantidad_sugerida > 0);
+    if (conCantidad.length === 0) return { error: 'No hay nada por debajo de su punto de pedido: no hace falta reponer' };
+
+    const proveedores = [];
+    for (const s of conCantidad) {
+        if (!proveedores.some(p => p.id === s.proveedor_id)) {
+            proveedores.push({ id: s.proveedor_id, nombre: s.proveedor_nombre || 'Sin proveedor' });
+        }
+    }
+    let proveedor;
+    if (args.proveedor !== undefined && args.proveedor !== null && args.proveedor !== '') {
+        proveedor = buscarPorNombre(String(args.proveedor), proveedores);
+        if (!proveedor) {
+            return { error: `Ninguna sugerencia es de "${args.proveedor}". Proveedores con reposición pendiente: ${proveedores.map(p => p.nombre).join(', ')}` };
+        }
+    } else if (proveedores.length === 1) {
+        proveedor = proveedores[0];
+    } else {
+        return { error: `Hay reposición pendiente de varios proveedores: ${proveedores.map(p => p.nombre).join(', ')}. Indica de cuál preparar el pedido.` };
+    }
+
+    const precios = new Map((await preciosIngredientes(pool, restauranteId)).map(i => [i.id, i.precio_unitario]));
+    const lineas = conCantidad
+        .filter(s => s.proveedor_id === proveedor.id)
+        .map(s => ({
+            ingredienteId: s.id,
+            nombre: s.nombre,
+            unidad: s.unidad,
+            cantidad: s.cantidad_sugerida,
+            precioUnitario: precios.get(s.id) || 0
+        }));
+    const total = r2(lineas.reduce((acc, l) => acc + l.cantidad * l.precioUnitario, 0));
+
+    return {
+        params: { proveedorId: proveedor.id, proveedorNombre: proveedor.nombre, lineas, total },
+        resumen: `Crear pedido pendiente a ${proveedor.nombre}: ${lineas.length} ${lineas.length === 1 ? 'línea' : 'líneas'}, ${total.toFixed(2)} estimado`,
+        detalle: { proveedor: proveedor.nombre, lineas: lineas.map(l => ({ ingrediente: l.nombre, cantidad: l.cantidad, unidad: l.unidad })), total }
+    };
+}
+
+// ============================================================================
+// EJECUCIÓN (tras confirmar)
+// ============================================================================
+
+async function ejecutarMerma(client, pool, ctx, p) {
+    const lock = await client.query(
+        'SELECT id, stock_actual FROM ingredientes WHERE id = $1 AND restaurante_id = $2 AND deleted_at IS NULL FOR UPDATE',
+        [p.ingredienteId, ctx.restauranteId]
+    );
+    if (lock.rows.length === 0) return { error: 'El ingrediente ya no existe', status: 404 };
+
+    const now = new Date();
+    const periodoId = now.getFullYear() * 100 + (now.getMonth() + 1);
+    const merma = await client.query(
+        `INSERT INTO mermas
+         (ingrediente_id, ingrediente_nombre, cantidad, unidad, valor_perdida, motivo, nota, responsable_id, restaurante_id, periodo_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING id`,
+        [p.ingredienteId, p.ingredienteNombre, p.cantidad, p.unidad, p.valorPerdida, p.motivo,
+            'Registrada desde el asistente', ctx.usuarioId || null, ctx.restauranteId, periodoId]
+    );
+    await client.query(
+        `UPDATE ingredientes SET stock_actual = GREATEST(0, stock_actual - $1), ultima_actualizacion_stock = NOW()
+         WHERE id = $2 AND restaurante_id = $3 AND deleted_at IS NULL`,
+        [p.cantidad, p.ingredienteId, ctx.restauranteId]
+    );
+    await registrarMovimientoStock(client, {
+        restauranteId: ctx.restauranteId, ingredienteId: p.ingredienteId, tipo: 'merma',
+        stockAntes: lock.rows[0].stock_actual,
+        referenciaTipo: 'merma', referenciaId: merma.rows[0].id, usuarioId: ctx.usuarioId
+    });
+
+    const mermaId = merma.rows[0].id;
+    return {
+        resultado: { merma_id: mermaId },
+        audit: { tabla: 'mermas', operacion: 'INSERT', registroId: mermaId, datosAntes: null, datosDespues: p },
+        despues: () => {
+            AlertService.trigger(pool, 'waste', ctx.restauranteId, { ingredientIds: [p.ingredienteId] });
+            emitirEvento(pool, ctx.restauranteId, 'merma.created', { count: 1, mermas: [p] });
+        }
+    };
+}
+
+async function ejecutarAjusteStock(client, pool, ctx, p) {
+    const lock = await client.query(
+        'SELECT id, stock_actual FROM ingredientes WHERE id = $1 AND restaurante_id = $2 AND deleted_at IS NULL FOR UPDATE',
+        [p.ingredienteId, ctx.restauranteId]
+    );
+    if (lock.rows.length === 0) return { error: 'El ingrediente ya no existe', status: 404 };
+    const stockAntes = parseFloat(lock.rows[0].stock_actual) || 0;
+
+    await client.query(
+        `UPDATE ingredientes SET stock_actual = $1, ultima_actualizacion_stock = NOW()
+         WHERE id = $2 AND restaurante_id = $3 AND deleted_at IS NULL`,
+        [p.stockNuevo, p.ingredienteId, ctx.restauranteId]
+    );
+    await registrarMovimientoStock(client, {
+        restauranteId: ctx.restauranteId, ingredienteId: p.ingredienteId, tipo: 'ajuste',
+        stockAntes, referenciaTipo: 'chat', notas: p.motivo, usuarioId: ctx.usuarioId
+    });
+
+    return {
+        // El stock pudo moverse entre la propuesta y la confirmación (una venta):
+        // se fija igualmente el valor confirmado, pero se avisa.
+        resultado: { stock_anterior: stockAntes, stock_actual: p.stockNuevo, cambio_desde_propuesta: stockAntes !== p.stockAnterior },
+        audit: {
+            tabla: 'ingredientes', operacion: 'UPDATE', registroId: p.ingredienteId,
+            datosAntes: { stock_actual: stockAntes }, datosDespues: { stock_actual: p.stockNuevo, motivo: p.motivo }
+        }
+    };
+}
+
+async function ejecutarPrecioReceta(client, pool, ctx, p) {
+    const antes = await client.query(
+        'SELECT id, precio_venta FROM recetas WHERE id = $1 AND restaurante_id = $2 AND deleted_at IS NULL FOR UPDATE',
+        [p.recetaId, ctx.restauranteId]
+    );
+    if (antes.rows.length === 0) return { error: 'La receta ya no existe', status: 404 };
+    await client.query(
+        'UPDATE recetas SET precio_venta = $1 WHERE id = $2 AND restaurante_id = $3 AND deleted_at IS NULL',
+        [p.precioNuevo, p.recetaId, ctx.restauranteId]
+    );
+    // Mismo coste y precio nuevo: el histórico versiona igual (compara
+    // también precio_venta) y actualiza food_cost y margen de la receta.
+    await recipeCostHistoryService.registrarCostesRecetas(client, ctx.restauranteId, { origen: 'receta', recetaIds: [p.recetaId] });
+    return {
+        resultado: { receta_id: p.recetaId, precio_venta: p.precioNuevo },
+        audit: {
+            tabla: 'recetas', operacion: 'UPDATE', registroId: p.recetaId,
+            datosAntes: { precio_venta: parseFloat(antes.rows[0].precio_venta) || 0 }, datosDespues: { precio_venta: p.precioNuevo }
+        }
+    };
+}
+
+async function ejecutarPedidoReposicion(client, pool, ctx, p) {
+    if (p.proveedorId) {
+        const prov = await client.query(
+            'SELECT id FROM proveedores WHERE id = $1 AND restaurante_id = $2 AND deleted_at IS NULL',
+            [p.proveedorId, ctx.restauranteId]
+        );
+        if (prov.rows.length === 0) return { error: 'El proveedor ya no existe', status: 404 };
+    }
+    const ingIds = [...new Set(p.lineas.map(l => l.ingredienteId))];
+    const ingCheck = await client.query(
+        'SELECT id FROM ingredientes WHERE id = ANY($1::int[]) AND restaurante_id = $2 AND deleted_at IS NULL',
+        [ingIds, ctx.restauranteId]
+    );
+    if (ingCheck.rows.length !== ingIds.length) return { error: 'Uno o más ingredientes del pedido ya no existen', status: 404 };
+
+    const pedido = await client.query(
+        `INSERT INTO pedidos (proveedor_id, fecha, ingredientes, total, estado, restaurante_id)
+         VALUES ($1, $2, $3, $4, 'pendiente', $5)
+         RETURNING *`,
+        [p.proveedorId, new Date().toISOString().slice(0, 10), JSON.stringify(p.lineas), p.total, ctx.restauranteId]
+    );
+    return {
+        resultado: { pedido_id: pedido.rows[0].id, total: p.total },
+        audit: { tabla: 'pedidos', operacion: 'INSERT', registroId: pedido.rows[0].id, datosAntes: null, datosDespues: pedido.rows[0] }
+    };
+}
+
+/** Acción → permiso que exige al confirmar, propuesta y ejecución. */
+const ACCIONES = {
+    registrar_merma: { permiso: 'inventory:write', proponer: proponerMerma, ejecutar: ejecutarMerma },
+    ajustar_stock: { permiso: 'ingredients:write', proponer: proponerAjusteStock, ejecutar: ejecutarAjusteStock },
+    precio_receta: { permiso: 'recipes:write', proponer: proponerPrecioReceta, ejecutar: ejecutarPrecioReceta },
+    pedido_reposicion: { permiso: 'orders:write', proponer: proponerPedidoReposicion, ejecutar: ejecutarPedidoReposicion }
+};
+
+/**
+ * Prepara una acción: { accion, resumen, detalle, token, expira } o { error }.
+ * No escribe nada.
+ */
+async function proponerAccion(pool, { restauranteId, usuarioId, accion, args = {} }) {
+    const def = ACCIONES[accion];
+    if (!def) return { error: `Acción desconocida: ${accion}` };
+    if (!usuarioId) return { error: 'Las acciones solo están disponibles en el chat' };
+
+    const propuesta = await def.proponer(pool, restauranteId, args || {});
+    if (propuesta.error) return { error: propuesta.error };
+
+    const { token, payload } = firmarAccion({
+        restauranteId, usuarioId, accion, params: propuesta.params, resumen: propuesta.resumen
+    });
+    return {
+        accion,
+        resumen: propuesta.resumen,
+        detalle: propuesta.detalle,
+        token,
+        expira: new Date(payload.exp).toISOString()
+    };
+}
+
+/**
+ * Ejecuta una acción ya verificada (verificarAccion) y con el permiso ya
+ * comprobado. Devuelve { accion, resumen, resultado } o { error, status }.
+ */
+async function ejecutarAccion(pool, req, payload) {
+    const def = ACCIONES[payload.accion];
+    if (!def) return { error: 'Acción desconocida', status: 400 };
+    const ctx = { restauranteId: payload.rid, usuarioId: payload.uid };
+
+    const client = await pool.connect();
+    let r;
+    try {
+        await client.query('BEGIN');
+        const uso = await client.query(
+            `INSERT INTO chat_acciones (jti, restaurante_id, usuario_id, accion, params)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (jti) DO NOTHING
+             RETURNING id`,
+            [payload.jti, ctx.restauranteId, ctx.usuarioId, payload.accion, JSON.stringify(payload.params)]
+        );
+        if (uso.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return { error: 'Esta acción ya se ejecutó', status: 409 };
+        }
+
+        r = await def.ejecutar(client, pool, ctx, payload.params);
+        if (r.error) {
+            await client.query('ROLLBACK');
+            return { error: r.error, status: r.status || 400 };
+        }
+
+        await client.query(
+            'UPDATE chat_acciones SET resultado = $1 WHERE jti = $2 AND restaurante_id = $3',
+            [JSON.stringify(r.resultado), payload.jti, ctx.restauranteId]
+        );
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw err;
+    } finally {
+        client.release();
+    }
+
+    log('info', 'Acción del chat ejecutada', { restauranteId: ctx.restauranteId, accion: payload.accion, jti: payload.jti });
+    logChange(pool, {
+        req, tabla: r.audit.tabla, operacion: r.audit.operacion,
+        registroId: r.audit.registroId,
+        datosAntes: r.audit.datosAntes,
+        datosDespues: { ...r.audit.datosDespues, origen: 'chat', accion: payload.accion, jti: payload.jti },
+    });
+    if (r.despues) r.despues();
+
+    return { accion: payload.accion, resumen: payload.resumen, resultado: r.resultado };
+}
+
+module.exports = {
+    ACCIONES,
+    TOKEN_TTL_MS,
+    firmarAccion,
+    verificarAccion,
+    proponerAccion,
+    ejecutarAccion
+};
@@ -10,9 +10,18 @@
  * Contract preserved: response is plain text. If model wants to execute an
  * action (update price, register sale, etc.), it writes `[ACTION:...]` in
  * the text and frontend parses it, same as the n8n flow did.
+ *
+ * Acciones con confirmación (2026-10-18): merma, ajuste de stock, precio de
+ * receta y pedido de reposición van por ACTION_TOOLS (`proponer_*`). Siguen
+ * sin escribir: services/chatActionService devuelve un token firmado que
+ * processChat aparta del modelo y devuelve en `acciones`; el usuario lo
+ * confirma en POST /chat/acciones/confirmar.
+ *
+ * Permisos (2026-10-18): processChat solo ofrece al modelo las tools que el
+ * rol del usuario podría ver en la pantalla equivalente (PERMISO_POR_TOOL):
+ * sala tiene chat:use pero no finance:read, así que no ve el P&L por aquí.
  */
 
-const Anthropic = require('@anthropic-ai/sdk').default;
 const { log } = require('../utils/logger');
 const { getBackendIngredientUnitPrice, getRecipeCostBase } = require('../utils/businessHelpers');
 const { beverageCategoriesSqlList, otherCategoriesSqlList } = require('../utils/categoriaClassifier');
@@ -25,19 +34,15 @@ const {
     getOmnesAnalysis
 } = require('./menuEngineeringService');
 
+const { proponerAccion, ACCIONES } = require('./chatActionService');
+
+const llm = require('./llmProvider');
 const { ANTHROPIC_MODEL } = require('../config/aiModels');
 
-const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
 const MODEL = ANTHROPIC_MODEL;
 const MAX_TOKENS = 2048;
 const MAX_AGENT_ITERATIONS = 10;
 
-if (!ANTHROPIC_API_KEY) {
-    log('warn', 'Chat: ANTHROPIC_API_KEY not set — chat endpoint will fail');
-}
-
-const client = ANTHROPIC_API_KEY ? new Anthropic({ apiKey: ANTHROPIC_API_KEY }) : null;
-
 // ============================================================================
 // PROMPT INJECTION FILTER
 // ============================================================================
@@ -684,14 +689,22 @@ y ejecutará (previo confirmación del usuario).
 
 Formatos soportados:
 - [ACTION:update|ingrediente|NOMBRE|precio|VALOR]
-- [ACTION:update|ingrediente|NOMBRE|stock|VALOR]
-- [ACTION:update|receta|NOMBRE|precio|VALOR]
 - [ACTION:update|receta_ingrediente|RECETA|INGREDIENTE|cantidad|VALOR]
 - [ACTION:add|ingrediente|NOMBRE|precio|VALOR|unidad|UNIDAD]
-- [ACTION:merma|ingrediente|NOMBRE|cantidad|VALOR]
 - [ACTION:add|pedido|PROVEEDOR|ingrediente|NOMBRE|cantidad|VALOR|precio|PRECIO]
 - [ACTION:add|venta|RECETA|cantidad|VALOR]
 
+Para estas cuatro NO uses [ACTION:], usa su tool (mismas reglas de cuándo sí
+y cuándo no):
+- registrar una merma → proponer_merma
+- ajustar el stock a un recuento → proponer_ajuste_stock
+- cambiar el precio de venta de una receta → proponer_precio_receta
+- pedido de reposición a un proveedor → proponer_pedido_reposicion
+Estas tools NO ejecutan nada: preparan la acción y el usuario la confirma con
+un botón. Di en una frase qué se va a hacer (el campo resumen) y que debe
+confirmarlo; NUNCA digas que ya está hecho. Si la tool devuelve error,
+explícalo y no lo intentes con [ACTION:].
+
 ⚠️ NO PUEDES editar un pedido/albarán HISTÓRICO: no existe ninguna acción para
 corregir, modificar o borrar una compra ya registrada. NUNCA ofrezcas hacerlo
 ("lo corrijo", "lo actualizo", "dime el precio y lo cambio"). Si el usuario cree
@@ -1056,6 +1069,104 @@ const TOOLS = [
     }
 ];
 
+// Tools de acción: proponen, no escriben (ver chatActionService). Solo las
+// usa processChat; el Coach (coachReportService) sigue con TOOLS.
+const ACTION_TOOLS = [
+    {
+        name: 'proponer_merma',
+        description: 'PREPARA el registro de una merma (producto tirado/estropeado) para que el usuario la confirme. No registra nada por sí sola. Úsala solo si el usuario pide registrar una merma con verbo imperativo.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                ingrediente: { type: 'string', description: 'Nombre (o id) del ingrediente' },
+                cantidad: { type: 'number', description: 'Cantidad perdida, en la unidad del ingrediente' },
+                motivo: { type: 'string', description: 'Motivo (caducado, rotura, mal estado...). Opcional' }
+            },
+            required: ['ingrediente', 'cantidad']
+        }
+    },
+    {
+        name: 'proponer_ajuste_stock',
+        description: 'PREPARA el ajuste del stock de un ingrediente al valor contado por el usuario (recuento), para que lo confirme. No ajusta nada por sí sola.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                ingrediente: { type: 'string', description: 'Nombre (o id) del ingrediente' },
+                stock_nuevo: { type: 'number', description: 'Stock real contado, en la unidad del ingrediente' },
+                motivo: { type: 'string', description: 'Motivo del ajuste. Opcional' }
+            },
+            required: ['ingrediente', 'stock_nuevo']
+        }
+    },
+    {
+        name: 'proponer_precio_receta',
+        description: 'PREPARA el cambio del precio de venta de una receta/plato para que el usuario lo confirme. No cambia nada por sí sola. NUNCA la uses para recomendar un precio: solo si el usuario ordena cambiarlo.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                receta: { type: 'string', description: 'Nombre (o id) de la receta' },
+                precio_venta: { type: 'number', description: 'Nuevo precio de venta' }
+            },
+            required: ['receta', 'precio_venta']
+        }
+    },
+    {
+        name: 'proponer_pedido_reposicion',
+        description: 'PREPARA un pedido PENDIENTE a un proveedor con las cantidades de la lista de reposición (ingredientes bajo su punto de pedido) para que el usuario lo confirme. No crea nada por sí sola. Si hay reposición de varios proveedores, pide cuál.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                proveedor: { type: 'string', description: 'Nombre del proveedor (obligatorio si hay varios)' }
+            },
+            required: []
+        }
+    }
+];
+
+const ACCION_POR_TOOL = {
+    proponer_merma: 'registrar_merma',
+    proponer_ajuste_stock: 'ajustar_stock',
+    proponer_precio_receta: 'precio_receta',
+    proponer_pedido_reposicion: 'pedido_reposicion'
+};
+
+// Permiso de cada tool: el de la pantalla con los mismos datos. Las de acción
+// piden el permiso de su acción (chatActionService.ACCIONES).
+const PERMISO_POR_TOOL = {
+    obtener_ingredientes: 'ingredients:read',
+    resumen_inventario: 'inventory:read',
+    obtener_recetas: 'recipes:read',
+    obtener_ventas: 'sales:read',
+    obtener_gastos: 'finance:read',
+    obtener_proveedores: 'suppliers:read',
+    obtener_pedidos: 'orders:read',
+    obtener_resumen_ventas: 'sales:read',
+    obtener_horarios: 'staff:read',
+    obtener_personal_extra: 'finance:read',
+    stock_critico: 'inventory:read',
+    resumen_ventas_periodo: 'sales:read',
+    resumen_pyg: 'finance:read',
+    punto_equilibrio: 'finance:read',
+    resumen_food_cost_recetas: 'finance:read',
+    resumen_compras_periodo: 'purchases:read',
+    resumen_mermas: 'inventory:read',
+    diagnostico_ingrediente: 'inventory:read',
+    diagnostico_receta: 'finance:read',
+    analisis_menu_engineering: 'finance:read',
+    analisis_omnes: 'finance:read',
+    ...Object.fromEntries(Object.entries(ACCION_POR_TOOL).map(([tool, accion]) => [tool, ACCIONES[accion].permiso]))
+};
+
+/**
+ * Tools del chat que puede usar quien tiene `permisos`.
+ * @param {string[]|null} permisos - null = todas (token de API, ya filtrado por su scope)
+ */
+function toolsPermitidas(permisos) {
+    const todas = [...TOOLS, ...ACTION_TOOLS];
+    if (!Array.isArray(permisos)) return todas;
+    return todas.filter(t => permisos.includes(PERMISO_POR_TOOL[t.name]));
+}
+
 // ============================================================================
 // TOOL HANDLERS (SQL queries equivalent to n8n flow, with restauranteId)
 // ============================================================================
@@ -1068,7 +1179,10 @@ function parseIsoDate(value, fieldName) {
     return value;
 }
 
-async function runTool(name, pool, restauranteId, args = {}) {
+async function runTool(name, pool, restauranteId, args = {}, ctx = {}) {
+    if (ACCION_POR_TOOL[name]) {
+        return proponerAccion(pool, { restauranteId, usuarioId: ctx.usuarioId, accion: ACCION_POR_TOOL[name], args });
+    }
     switch (name) {
         case 'obtener_ingredientes':
             // Consistency rule (see CLAUDE.md of this project):
@@ -2112,8 +2226,8 @@ async function runTool(name, pool, restauranteId, args = {}) {
 // Runs the agent loop: ask model → execute tools it requests → loop until
 // it produces a final text response. Returns plain text (preserves n8n contract).
 
-async function processChat({ message, pool, restauranteId, lang = 'es', restauranteNombre = '', moneda = '€', history = [] }) {
-    if (!client) {
+async function processChat({ message, pool, restauranteId, usuarioId = null, permisos = null, lang = 'es', restauranteNombre = '', moneda = '€', history = [] }) {
+    if (!llm.disponible()) {
         throw new Error('Claude API not configured: ANTHROPIC_API_KEY missing');
     }
 
@@ -2135,6 +2249,7 @@ async function processChat({ message, pool, restauranteId, lang = 'es', restaura
             text: cannedResponse,
             usage: { input_tokens: 0, output_tokens: 0, cache_read_input_tokens: 0, cache_creation_input_tokens: 0 },
             toolCalls: [],
+            acciones: [],
             blocked: true
         };
     }
@@ -2175,20 +2290,37 @@ async function processChat({ message, pool, restauranteId, lang = 'es', restaura
         }
     ];
 
+    const tools = toolsPermitidas(permisos);
+    const permitidas = new Set(tools.map(t => t.name));
+    if (permitidas.size < TOOLS.length + ACTION_TOOLS.length) {
+        systemBlocks[1].text += '\n\n🔒 El rol de este usuario no tiene acceso a todos los datos: solo tienes las tools que puede ver. Si pregunta por algo que no cubren (P&L, gastos, compras…), dile que su rol no tiene acceso y que lo consulte con el encargado.';
+    }
+
     // Incluye el historial reciente (saneado) para dar memoria conversacional
     // al búho dentro de la sesión.
     const messages = buildConversationMessages({ history, message });
 
     let usageAggregate = { input: 0, output: 0, cache_read: 0, cache_creation: 0 };
     let finalText = '';
+    // Traza de tools (qué consultó el modelo para responder): se guarda con el
+    // mensaje en los hilos persistidos (chatThreadService). Sin resultados:
+    // pueden ser grandes y se recalculan llamando a la tool.
+    const toolCalls = [];
+    // Acciones propuestas: el token va al cliente, nunca al modelo.
+    const acciones = [];
 
     for (let iter = 0; iter < MAX_AGENT_ITERATIONS; iter++) {
-        const response = await client.messages.create({
-            model: MODEL,
-            max_tokens: MAX_TOKENS,
-            system: systemBlocks,
-            tools: TOOLS,
-            messages
+        const response = await llm.crearMensaje({
+            feature: 'chat',
+            restauranteId,
+            comprobarCuota: iter === 0,
+            params: {
+                model: MODEL,
+                max_tokens: MAX_TOKENS,
+                system: systemBlocks,
+                ...(tools.length > 0 ? { tools } : {}),
+                messages
+            }
         });
 
         if (response.usage) {
@@ -2213,8 +2345,17 @@ async function processChat({ message, pool, restauranteId, lang = 'es', restaura
             const toolResults = [];
             for (const block of response.content) {
                 if (block.type === 'tool_use') {
+                    const inicio = Date.now();
                     try {
-                        const result = await runTool(block.name, pool, restauranteId, block.input || {});
+                        // El modelo solo conoce las permitidas; esto cubre que invente otra.
+                        if (!permitidas.has(block.name)) throw new Error(`Tu rol no tiene acceso a ${block.name}`);
+                        let result = await runTool(block.name, pool, restauranteId, block.input || {}, { usuarioId });
+                        toolCalls.push({ name: block.name, input: block.input || {}, duration_ms: Date.now() - inicio });
+                        if (result && result.token) {
+                            const { token, ...propuesta } = result;
+                            acciones.push({ token, accion: propuesta.accion, resumen: propuesta.resumen, expira: propuesta.expira });
+                            result = { ...propuesta, pendiente_confirmacion: true };
+                        }
                         toolResults.push({
                             type: 'tool_result',
                             tool_use_id: block.id,
@@ -2224,6 +2365,7 @@ async function processChat({ message, pool, restauranteId, lang = 'es', restaura
                         log('error', 'Chat tool execution failed', {
                             tool: block.name, restauranteId, error: err.message
                         });
+                        toolCalls.push({ name: block.name, input: block.input || {}, duration_ms: Date.now() - inicio, error: err.message });
                         toolResults.push({
                             type: 'tool_result',
                             tool_use_id: block.id,
@@ -2259,9 +2401,9 @@ async function processChat({ message, pool, restauranteId, lang = 'es', restaura
         usage: usageAggregate
     });
 
-    return { text: finalText, usage: usageAggregate };
+    return { text: finalText, usage: usageAggregate, toolCalls, acciones };
 }
 
 // runTool exportado para reuso desde coachReportService — mismo set de tools,
-// mismo cliente Anthropic, distinto system prompt + post-procesado.
-module.exports = { processChat, TOOLS, MODEL, runTool, detectarIntentoInjection, buildConversationMessages, estimarMensual, rangosDashboard, resolverRango, resolverRangoArgs, PERIODOS_VALIDOS, SYSTEM_PROMPT_STATIC, clasificarCompraHistorial };
+// mismo proveedor LLM, distinto system prompt + post-procesado.
+module.exports = { processChat, TOOLS, ACTION_TOOLS, PERMISO_POR_TOOL, toolsPermitidas, MODEL, runTool, detectarIntentoInjection, buildConversationMessages, estimarMensual, rangosDashboard, resolverRango, resolverRangoArgs, PERIODOS_VALIDOS, SYSTEM_PROMPT_STATIC, clasificarCompraHistorial };
@@ -0,0 +1,229 @@
+/**
+ * chatThreadService — hilos persistidos del chat IA (Omnes).
+ *
+ * processChat recibía el historial del cliente (localStorage) y nada quedaba
+ * en el servidor: al cerrar la pestaña, el encargado perdía el análisis. Ahora
+ * un hilo es de un usuario en un restaurante y guarda:
+ *
+ *   - los mensajes (user / assistant) en orden, con la traza de tools de cada
+ *     respuesta (qué consultó el modelo, no los resultados);
+ *   - los tokens acumulados del hilo (input/output/cache), para saber cuánto
+ *     cuesta cada conversación;
+ *   - con quién se ha compartido: otros miembros del MISMO restaurante, que
+ *     pueden leerlo y exportarlo, pero no continuarlo ni borrarlo.
+ *
+ * Las escrituras viven aquí y NO en chatService.js: el guard
+ * chat-readonly-guard exige que las tools del chat sean solo-lectura.
+ * El historial que se manda al modelo sale de la BD, no del cliente, y pasa
+ * igualmente por buildConversationMessages (saneado anti-inyección).
+ */
+
+const TITULO_MAX = 200;
+const HISTORIAL_MAX = 20;
+
+/** Título por defecto: el primer mensaje, en una línea y acotado. */
+function tituloDesdeMensaje(mensaje) {
+    const linea = String(mensaje || '').replace(/\s+/g, ' ').trim();
+    if (!linea) return 'Nueva conversación';
+    return linea.length > 80 ? linea.slice(0, 77) + '...' : linea;
+}
+
+async function crearThread(pool, { restauranteId, usuarioId, titulo }) {
+    const { rows } = await pool.query(
+        `INSERT INTO chat_threads (restaurante_id, usuario_id, titulo)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        [restauranteId, usuarioId, String(titulo || 'Nueva conversación').trim().slice(0, TITULO_MAX) || 'Nueva conversación']
+    );
+    return rows[0];
+}
+
+/** Hilos propios y los compartidos conmigo, del restaurante activo. */
+async function listarThreads(pool, { restauranteId, usuarioId }) {
+    const { rows } = await pool.query(
+        `SELECT t.id, t.titulo, t.usuario_id, u.nombre as autor_nombre, t.num_mensajes,
+                t.tokens_input, t.tokens_output, t.tokens_cache_read, t.tokens_cache_creation,
+                t.created_at, t.updated_at,
+                (t.usuario_id <> $2) as compartido_conmigo
+         FROM chat_threads t
+         LEFT JOIN usuarios u ON u.id = t.usuario_id
+         WHERE t.restaurante_id = $1 AND t.deleted_at IS NULL
+           AND (t.usuario_id = $2 OR EXISTS (
+               SELECT 1 FROM chat_thread_compartidos c
+               WHERE c.thread_id = t.id AND c.restaurante_id = $1 AND c.usuario_id = $2
+           ))
+         ORDER BY t.updated_at DESC
+         LIMIT 100`,
+        [restauranteId, usuarioId]
+    );
+    return rows;
+}
+
+/**
+ * Un hilo visible para el usuario (propio o compartido con él), con
+ * `es_propietario`. null si no existe, está borrado o no lo puede ver.
+ */
+async function obtenerThread(pool, { restauranteId, usuarioId, threadId }) {
+    const { rows } = await pool.query(
+        `SELECT t.*, (t.usuario_id = $3) as es_propietario
+         FROM chat_threads t
+         WHERE t.id = $1 AND t.restaurante_id = $2 AND t.deleted_at IS NULL
+           AND (t.usuario_id = $3 OR EXISTS (
+               SELECT 1 FROM chat_thread_compartidos c
+               WHERE c.thread_id = t.id AND c.restaurante_id = $2 AND c.usuario_id = $3
+           ))`,
+        [threadId, restauranteId, usuarioId]
+    );
+    return rows[0] || null;
+}
+
+async function mensajesThread(pool, { restauranteId, threadId }) {
+    const { rows } = await pool.query(
+        `SELECT id, rol, contenido, tool_calls, tokens_input, tokens_output, created_at
+         FROM chat_thread_mensajes
+         WHERE thread_id = $1 AND restaurante_id = $2
+         ORDER BY id`,
+        [threadId, restauranteId]
+    );
+    return rows;
+}
+
+/** Últimos mensajes del hilo en el formato `history` de processChat. */
+async function historialThread(pool, { restauranteId, threadId, limite = HISTORIAL_MAX }) {
+    const { rows } = await pool.query(
+        `SELECT rol, contenido FROM (
+             SELECT id, rol, contenido FROM chat_thread_mensajes
+             WHERE thread_id = $1 AND restaurante_id = $2
+             ORDER BY id DESC
+             LIMIT $3
+         ) m ORDER BY id`,
+        [threadId, restauranteId, limite]
+    );
+    return rows.map(r => ({ role: r.rol, content: r.contenido }));
+}
+
+/**
+ * Guarda una pregunta y su respuesta (con traza de tools y tokens) y suma los
+ * tokens al hilo, todo en una transacción: un hilo nunca queda con la
+ * pregunta sin la respuesta.
+ */
+async function registrarIntercambio(pool, { restauranteId, threadId, mensaje, respuesta, usage = {}, toolCalls = [] }) {
+    const tokens = {
+        input: parseInt(usage.input) || 0,
+        output: parseInt(usage.output) || 0,
+        cache_read: parseInt(usage.cache_read) || 0,
+        cache_creation: parseInt(usage.cache_creation) || 0
+    };
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query(
+            `INSERT INTO chat_thread_mensajes (thread_id, restaurante_id, rol, contenido)
+             VALUES ($1, $2, 'user', $3)`,
+            [threadId, restauranteId, mensaje]
+        );
+        await client.query(
+            `INSERT INTO chat_thread_mensajes (thread_id, restaurante_id, rol, contenido, tool_calls, tokens_input, tokens_output)
+             VALUES ($1, $2, 'assistant', $3, $4, $5, $6)`,
+            [threadId, restauranteId, respuesta, JSON.stringify(toolCalls || []), tokens.input, tokens.output]
+        );
+        await client.query(
+            `UPDATE chat_threads
+             SET tokens_input = tokens_input + $3, tokens_output = tokens_output + $4,
+                 tokens_cache_read = tokens_cache_read + $5, tokens_cache_creation = tokens_cache_creation + $6,
+                 num_mensajes = num_mensajes + 2, updated_at = NOW()
+             WHERE id = $1 AND restaurante_id = $2`,
+            [threadId, restauranteId, tokens.input, tokens.output, tokens.cache_read, tokens.cache_creation]
+        );
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+/** Soft delete; solo el propietario. Devuelve false si no era suyo. */
+async function borrarThread(pool, { restauranteId, usuarioId, threadId }) {
+    const result = await pool.query(
+        `UPDATE chat_threads SET deleted_at = NOW()
+         WHERE id = $1 AND restaurante_id = $2 AND usuario_id = $3 AND deleted_at IS NULL
+         RETURNING id`,
+        [threadId, restauranteId, usuarioId]
+    );
+    return result.rows.length > 0;
+}
+
+/**
+ * Comparte el hilo con otro miembro del restaurante. Devuelve
+ * { ok } o { error, status } si el destinatario no es del restaurante.
+ */
+async function compartirThread(pool, { restauranteId, usuarioId, threadId, conUsuarioId }) {
+    if (conUsuarioId === usuarioId) {
+        return { error: 'No puedes compartir un hilo contigo mismo', status: 400 };
+    }
+    const miembro = await pool.query(
+        'SELECT 1 FROM usuario_restaurantes WHERE usuario_id = $1 AND restaurante_id = $2',
+        [conUsuarioId, restauranteId]
+    );
+    if (miembro.rows.length === 0) {
+        return { error: 'El usuario no pertenece a este restaurante', status: 404 };
+    }
+    await pool.query(
+        `INSERT INTO chat_thread_compartidos (thread_id, restaurante_id, usuario_id, compartido_por)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (thread_id, usuario_id) DO NOTHING`,
+        [threadId, restauranteId, conUsuarioId, usuarioId]
+    );
+    return { ok: true };
+}
+
+async function dejarDeCompartir(pool, { restauranteId, threadId, conUsuarioId }) {
+    const result = await pool.query(
+        `DELETE FROM chat_thread_compartidos
+         WHERE thread_id = $1 AND restaurante_id = $2 AND usuario_id = $3`,
+        [threadId, restauranteId, conUsuarioId]
+    );
+    return result.rowCount > 0;
+}
+
+async function compartidosThread(pool, { restauranteId, threadId }) {
+    const { rows } = await pool.query(
+        `SELECT c.usuario_id, u.nombre, u.email, c.created_at
+         FROM chat_thread_compartidos c
+         LEFT JOIN usuarios u ON u.id = c.usuario_id
+         WHERE c.thread_id = $1 AND c.restaurante_id = $2
+         ORDER BY c.created_at`,
+        [threadId, restauranteId]
+    );
+    return rows;
+}
+
+/** Exportación en Markdown: legible, pegable en un email o un documento. */
+function exportarMarkdown(thread, mensajes) {
+    const lineas = [`# ${thread.titulo}`, '', `_${new Date(thread.created_at).toISOString().slice(0, 10)} · ${mensajes.length} mensajes_`, ''];
+    for (const m of mensajes) {
+        lineas.push(m.rol === 'user' ? '## Pregunta' : '## Respuesta', '', m.contenido, '');
+        const tools = Array.isArray(m.tool_calls) ? m.tool_calls : [];
+        if (tools.length > 0) {
+            lineas.push(`_Consultas: ${tools.map(t => t.name).join(', ')}_`, '');
+        }
+    }
+    return lineas.join('\n');
+}
+
+module.exports = {
+    tituloDesdeMensaje,
+    crearThread,
+    listarThreads,
+    obtenerThread,
+    mensajesThread,
+    historialThread,
+    registrarIntercambio,
+    borrarThread,
+    compartirThread,
+    dejarDeCompartir,
+    compartidosThread,
+    exportarMarkdown
+};
@@ -11,12 +11,9 @@
  * conversación tradicional.
  */
 
-const Anthropic = require('@anthropic-ai/sdk').default;
 const { log } = require('../utils/logger');
 const { MODEL } = require('./chatService');
-
-const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
-const client = ANTHROPIC_API_KEY ? new Anthropic({ apiKey: ANTHROPIC_API_KEY }) : null;
+const llm = require('./llmProvider');
 
 const MAX_TOKENS = 1500;
 const MAX_AGENT_ITERATIONS = 6;
@@ -114,7 +111,7 @@ Devuelves JSON con esta forma EXACTA (sin markdown wrapping, JSON puro):
  * Devuelve el objeto JSON parseado con las 3 cards.
  */
 async function generateReportContent(pool, restauranteId, restauranteNombre, moneda) {
-    if (!client) {
+    if (!llm.disponible()) {
         throw new Error('Claude API not configured');
     }
 
@@ -131,12 +128,17 @@ async function generateReportContent(pool, restauranteId, restauranteNombre, mon
     const systemPrompt = buildCoachSystemPrompt(moneda);
 
     for (let iter = 0; iter < MAX_AGENT_ITERATIONS; iter++) {
-        const response = await client.messages.create({
-            model: MODEL,
-            max_tokens: MAX_TOKENS,
-            system: systemPrompt,
-            tools: TOOLS,
-            messages
+        const response = await llm.crearMensaje({
+            feature: 'coach',
+            restauranteId,
+            comprobarCuota: iter === 0,
+            params: {
+                model: MODEL,
+                max_tokens: MAX_TOKENS,
+                system: systemPrompt,
+                tools: TOOLS,
+                messages
+            }
         });
 
         if (response.stop_reason === 'end_turn' || response.stop_reason === 'stop_sequence') {
@@ -0,0 +1,252 @@
+/**
+ * consolidatedService — vista de grupo para quien lleva varios locales.
+ *
+ * Un dueño con tres restaurantes podía cambiar de uno a otro y transferir
+ * stock, pero para ver el grupo entero tenía que sumar a mano los balances de
+ * cada uno. Aquí se calculan, para cada restaurante donde el usuario es admin
+ * (u owner), las MISMAS cifras que ve dentro de ese local — balance del mes,
+ * food cost de ventas_diarias_resumen y compras del Diario, vía
+ * finanzasMesService — y se suman, con desglose y ranking por local.
+ *
+ * Excepción: las compras. Un traspaso aprobado se apunta como compra del
+ * destino (precios_compra_diarios.traspaso_id); aquí se separa en
+ * `traspasos_internos` y no entra en las compras del local ni del grupo.
+ *
+ * Los totales no son medias de porcentajes: margen y food cost del grupo se
+ * recalculan sobre las sumas (un local pequeño con 50% de food cost no pesa
+ * lo mismo que uno grande con 28%).
+ *
+ * Los ingredientes de cada local son filas distintas, así que para comparar
+ * precios entre locales se emparejan por nombre con la regla de las
+ * transferencias (utils/ingredientMatch), y solo si comparten unidad.
+ *
+ * SOLO LECTURA. Los locales se recorren de uno en uno, como /owner/restaurants,
+ * para no acaparar el pool con un grupo grande.
+ */
+
+const { rangoMesAno, preciosIngredientes, balanceMes, foodCostPeriodo, comprasDiarias } = require('./finanzasMesService');
+const { buscarPorNombre, normalizarNombre } = require('../utils/ingredientMatch');
+
+const MAX_PROVEEDORES = 10;
+const MAX_COMPARACIONES = 20;
+
+const r2 = (n) => Math.round(n * 100) / 100;
+const r4 = (n) => Math.round(n * 10000) / 10000;
+const pct = (parte, total) => (total > 0 ? r2((parte / total) * 100) : 0);
+
+/** Restaurantes donde el usuario es admin u owner. */
+async function restaurantesDelGrupo(pool, usuarioId) {
+    const { rows } = await pool.query(
+        `SELECT r.id, r.nombre
+         FROM usuario_restaurantes ur
+         JOIN restaurantes r ON ur.restaurante_id = r.id
+         WHERE ur.usuario_id = $1 AND ur.rol IN ('admin', 'owner')
+         ORDER BY r.nombre`,
+        [usuarioId]
+    );
+    return rows;
+}
+
+/** Ordena por `clave` (desc, o asc con `ascendente`) y numera `posicion`. */
+function rankear(locales, clave, { ascendente = false, alFinal = () => false } = {}) {
+    const orden = [...locales].sort((a, b) => {
+        const fa = alFinal(a), fb = alFinal(b);
+        if (fa !== fb) return fa ? 1 : -1;
+        return ascendente ? a[clave] - b[clave] : b[clave] - a[clave];
+    });
+    return orden.map((l, i) => ({ posicion: i + 1, restaurante_id: l.restaurante_id, nombre: l.nombre, [clave]: l[clave] }));
+}
+
+/** Compras por proveedor, agrupando por nombre entre locales. */
+function comprasPorProveedor(filas) {
+    const grupos = new Map();
+    for (const f of filas) {
+        const nombre = f.proveedor_nombre || 'Sin proveedor';
+        const clave = normalizarNombre(nombre);
+        const g = grupos.get(clave) || { proveedor: nombre, total: 0 };
+        g.total += parseFloat(f.total_compra) || 0;
+        grupos.set(clave, g);
+    }
+    return [...grupos.values()]
+        .map(g => ({ ...g, total: r2(g.total) }))
+        .sort((a, b) => b.total - a.total)
+        .slice(0, MAX_PROVEEDORES);
+}
+
+/**
+ * P&L consolidado del mes: balance/mes + food cost + compras de cada local.
+ * @returns {Promise<{periodo, locales, total, ranking}>}
+ */
+async function consolidarPnl(pool, usuarioId, { mes, ano } = {}) {
+    const rango = rangoMesAno(mes, ano);
+    const restaurantes = await restaurantesDelGrupo(pool, usuarioId);
+
+    const locales = [];
+    const todasCompras = [];
+    for (const r of restaurantes) {
+        const balance = await balanceMes(pool, r.id, { mes: rango.mes, ano: rango.ano });
+        const foodCost = await foodCostPeriodo(pool, r.id, rango.startDate, rango.endDate);
+        const filas = await comprasDiarias(pool, r.id, rango.startDate, rango.endDate);
+        // Un traspaso aprobado es compra del local que lo recibe, pero dentro
+        // del grupo solo mueve género: lo que cuenta es lo que el origen pagó
+        // a su proveedor, que ya está en las compras del origen.
+        const compras = filas.filter(c => !c.traspaso_id);
+        const traspasos = filas.filter(c => c.traspaso_id);
+        todasCompras.push(...compras);
+        locales.push({
+            restaurante_id: r.id,
+            nombre: r.nombre,
+            ingresos: r2(balance.ingresos),
+            costos: r2(balance.costos),
+            ganancia: r2(balance.ganancia),
+            margen: balance.margen,
+            num_ventas: balance.num_ventas,
+            plato_mas_vendido: balance.plato_mas_vendido,
+            valor_inventario: r2(balance.valor_inventario),
+            traspasos_entrada: balance.traspasos_entrada,
+            traspasos_salida: balance.traspasos_salida,
+            food_cost: foodCost,
+            compras: {
+                total: r2(compras.reduce((s, c) => s + (parseFloat(c.total_compra) || 0), 0)),
+                traspasos_internos: r2(traspasos.reduce((s, c) => s + (parseFloat(c.total_compra) || 0), 0)),
+                por_proveedor: comprasPorProveedor(compras)
+            }
+        });
+    }
+
+    const suma = (fn) => r2(locales.reduce((s, l) => s + fn(l), 0));
+    const ingresos = suma(l => l.ingresos);
+    const ganancia = suma(l => l.ganancia);
+    const fcIngresos = suma(l => l.food_cost.ingresos);
+    const fcCogs = suma(l => l.food_cost.cogs);
+
+    return {
+        periodo: { mes: rango.mes, ano: rango.ano, desde: rango.startDate, hasta: rango.endDate },
+        locales,
+        total: {
+            num_locales: locales.length,
+            ingresos,
+            costos: suma(l => l.costos),
+            ganancia,
+            margen: pct(ganancia, ingresos),
+            num_ventas: locales.reduce((s, l) => s + l.num_ventas, 0),
+            valor_inventario: suma(l => l.valor_inventario),
+            // Dentro del grupo lo que sale de un local entra en otro: solo el
+            // margen interno queda como cifra del grupo.
+            traspasos_margen_interno: suma(l => l.traspasos_salida?.margen_interno || 0),
+            food_cost: {
+                ingresos: fcIngresos,
+                cogs: fcCogs,
+                margen: suma(l => l.food_cost.margen),
+                food_cost_pct: pct(fcCogs, fcIngresos)
+            },
+            compras: {
+                total: suma(l => l.compras.total),
+                por_proveedor: comprasPorProveedor(todasCompras)
+            }
+        },
+        ranking: {
+            ganancia: rankear(locales, 'ganancia'),
+            margen: rankear(locales, 'margen', { alFinal: l => l.ingresos <= 0 })
+        }
+    };
+}
+
+/**
+ * Precio unitario del "mismo" ingrediente en cada local, emparejado por
+ * nombre. Cada ingrediente entra en un solo grupo; solo se devuelven los que
+ * están en 2+ locales, ordenados por la diferencia entre el más caro y el más
+ * barato.
+ * @param {Array<{restaurante_id, nombre, ingredientes: Array<{id, nombre, unidad, precio_unitario}>}>} locales
+ */
+function compararIngredientes(locales, limite = MAX_COMPARACIONES) {
+    const usados = new Set(); // `${restaurante_id}:${ingrediente_id}`
+    const clave = (l, i) => `${l.restaurante_id}:${i.id}`;
+    const mismaUnidad = (a, b) => !a.unidad || !b.unidad || normalizarNombre(a.unidad) === normalizarNombre(b.unidad);
+    const grupos = [];
+
+    locales.forEach((local, idx) => {
+        for (const ing of local.ingredientes) {
+            if (!(ing.precio_unitario > 0) || usados.has(clave(local, ing))) continue;
+            const precios = [{ local, ing }];
+            for (const otro of locales.slice(idx + 1)) {
+                const candidatos = otro.ingredientes.filter(c =>
+                    c.precio_unitario > 0 && !usados.has(clave(otro, c)) && mismaUnidad(ing, c));
+                const match = buscarPorNombre(ing.nombre, candidatos);
+                if (match) precios.push({ local: otro, ing: match });
+            }
+            if (precios.length < 2) continue;
+            precios.forEach(p => usados.add(clave(p.local, p.ing)));
+
+            const valores = precios.map(p => p.ing.precio_unitario);
+            const min = Math.min(...valores);
+            const max = Math.max(...valores);
+            const masBarato = precios.find(p => p.ing.precio_unitario === min);
+            grupos.push({
+                ingrediente: ing.nombre,
+                unidad: ing.unidad || null,
+                locales: precios.map(p => ({
+                    restaurante_id: p.local.restaurante_id,
+                    restaurante: p.local.nombre,
+                    ingrediente_id: p.ing.id,
+                    nombre: p.ing.nombre,
+                    precio_unitario: r4(p.ing.precio_unitario)
+                })),
+                precio_min: r4(min),
+                precio_max: r4(max),
+                diferencia_pct: pct(max - min, min),
+                mas_barato: { restaurante_id: masBarato.local.restaurante_id, restaurante: masBarato.local.nombre }
+            });
+        }
+    });
+
+    return grupos
+        .sort((a, b) => b.diferencia_pct - a.diferencia_pct)
+        .slice(0, limite);
+}
+
+/**
+ * Food cost consolidado del periodo [desde, hasta) con ranking (mejor food
+ * cost primero; locales sin ventas al final) y comparación de precios de
+ * ingredientes entre locales.
+ */
+async function consolidarFoodCost(pool, usuarioId, { desde, hasta } = {}) {
+    if (!desde || !hasta) {
+        const def = rangoMesAno();
+        desde = desde || def.startDate;
+        hasta = hasta || def.endDate;
+    }
+    const restaurantes = await restaurantesDelGrupo(pool, usuarioId);
+
+    const locales = [];
+    const conIngredientes = [];
+    for (const r of restaurantes) {
+        const fc = await foodCostPeriodo(pool, r.id, desde, hasta);
+        locales.push({ restaurante_id: r.id, nombre: r.nombre, ...fc });
+        conIngredientes.push({ restaurante_id: r.id, nombre: r.nombre, ingredientes: await preciosIngredientes(pool, r.id) });
+    }
+
+    const ingresos = r2(locales.reduce((s, l) => s + l.ingresos, 0));
+    const cogs = r2(locales.reduce((s, l) => s + l.cogs, 0));
+
+    return {
+        periodo: { desde, hasta },
+        locales,
+        total: {
+            num_locales: locales.length,
+            ingresos,
+            cogs,
+            margen: r2(locales.reduce((s, l) => s + l.margen, 0)),
+            food_cost_pct: pct(cogs, ingresos)
+        },
+        ranking: rankear(locales, 'food_cost_pct', { ascendente: true, alFinal: l => l.ingresos <= 0 }),
+        comparacion_ingredientes: compararIngredientes(conIngredientes)
+    };
+}
+
+module.exports = {
+    restaurantesDelGrupo,
+    consolidarPnl,
+    consolidarFoodCost,
+    compararIngredientes
+};
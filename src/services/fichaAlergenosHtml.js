@@ -0,0 +1,99 @@
+/**
+ * fichaAlergenosHtml — ficha de alérgenos imprimible de UNA receta.
+ *
+ * La ve sala (front-of-house) y se enseña al cliente que pregunta: el RD
+ * 126/2015 obliga a tener la información de alérgenos por escrito y a mano
+ * para cada plato. Por eso:
+ *   - Se listan SIEMPRE los 14 alérgenos UE (presente / no presente), no solo
+ *     los que tiene el plato: una ficha que "no dice nada" de un alérgeno no
+ *     sirve para responder al cliente.
+ *   - Cada alérgeno presente indica de qué ingrediente o elaboración viene.
+ *   - HTML autocontenido con @media print, igual que el informe mensual: se
+ *     imprime / guarda como PDF desde el navegador, sin dependencias.
+ *
+ * Sin IA: todo sale de los datos ya guardados (ingredientes.alergenos y
+ * recetas.alergenos_extra).
+ */
+
+const { ALERGENOS_CODES, ALERGENOS_LABELS } = require('../utils/alergenos');
+
+function escapeHtml(str) {
+    if (str === null || str === undefined) return '';
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * @param {object} params
+ * @param {object} params.receta - { nombre, categoria }
+ * @param {{ alergenos: string[], origen: object }} params.resultado - salida de resolverAlergenosReceta
+ * @param {string} [params.restauranteNombre]
+ * @param {Date} [params.fecha] - fecha de emisión (inyectable para tests)
+ * @returns {string} HTML completo
+ */
+function renderFichaAlergenos({ receta, resultado, restauranteNombre = '', fecha = new Date() }) {
+    const presentes = new Set(resultado.alergenos);
+    const filas = ALERGENOS_CODES.map(code => {
+        const tiene = presentes.has(code);
+        const fuentes = (resultado.origen[code] || [])
+            .map(f => escapeHtml(f.nombre) + (f.tipo === 'receta' ? ' <span class="traza">(declarado en receta)</span>' : ''))
+            .join(', ');
+        return `
+            <tr class="${tiene ? 'si' : 'no'}">
+                <td class="marca">${tiene ? '●' : '—'}</td>
+                <td>${escapeHtml(ALERGENOS_LABELS[code])}</td>
+                <td class="fuente">${tiene ? fuentes : ''}</td>
+            </tr>`;
+    }).join('');
+
+    const resumen = presentes.size === 0
+        ? 'Este plato no contiene ninguno de los 14 alérgenos de declaración obligatoria según los datos registrados.'
+        : `Contiene: <strong>${resultado.alergenos.map(c => escapeHtml(ALERGENOS_LABELS[c])).join(', ')}</strong>.`;
+
+    const fechaTxt = fecha.toLocaleDateString('es-ES', { day: '2-digit', month: '2-digit', year: 'numeric' });
+
+    return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>Alérgenos — ${escapeHtml(receta.nombre)}</title>
+<style>
+    body { font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; color: #0f172a; margin: 32px; }
+    h1 { font-size: 22px; margin: 0 0 4px; }
+    .sub { color: #64748b; font-size: 13px; margin-bottom: 16px; }
+    .resumen { font-size: 14px; margin: 12px 0 16px; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    td { padding: 6px 8px; border-bottom: 1px solid #e2e8f0; vertical-align: top; }
+    td.marca { width: 24px; text-align: center; font-weight: 700; }
+    tr.si td { background: #fef2f2; }
+    tr.si td.marca { color: #dc2626; }
+    tr.no td { color: #94a3b8; }
+    td.fuente { color: #475569; }
+    .traza { color: #94a3b8; font-size: 11px; }
+    .pie { margin-top: 20px; font-size: 11px; color: #64748b; }
+    @media print {
+        body { margin: 12mm; }
+        tr.si td { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    }
+</style>
+</head>
+<body>
+    <h1>${escapeHtml(receta.nombre)}</h1>
+    <div class="sub">${escapeHtml(restauranteNombre)}${receta.categoria ? ' · ' + escapeHtml(receta.categoria) : ''}</div>
+    <p class="resumen">${resumen}</p>
+    <table>${filas}
+    </table>
+    <p class="pie">Información sobre alérgenos conforme al Reglamento (UE) 1169/2011 y al RD 126/2015. Emitida el ${escapeHtml(fechaTxt)}. Incluye los ingredientes de las elaboraciones que forman parte del plato.</p>
+</body>
+</html>`;
+}
+
+module.exports = {
+    renderFichaAlergenos,
+    // Solo para tests unitarios (anti-XSS)
+    _internals: { escapeHtml }
+};
@@ -0,0 +1,287 @@
+/**
+ * finanzasMesService — cálculos financieros de UN restaurante, compartidos
+ * entre sus rutas de siempre y el consolidado del grupo.
+ *
+ * Extraído el 2026-10-18 de balance.routes.js (`/balance/mes`),
+ * analytics.routes.js (`/analytics/food-cost`) y monthly.routes.js (compras
+ * de `/monthly/summary`). Las rutas siguen devolviendo exactamente lo mismo;
+ * lo que cambia es que /owner/consolidated/* suma ESTAS cifras por local en
+ * vez de recalcularlas con otra fórmula (un consolidado que no cuadra con el
+ * balance de cada local es peor que no tener consolidado).
+ *
+ * SOLO LECTURA. Todas las consultas filtran por restaurante_id.
+ */
+
+const { getBackendIngredientUnitPrice, getRecipeCostBase } = require('../utils/businessHelpers');
+const { estimacionNominaMes } = require('./nominaService');
+
+/**
+ * Rango [inicio, fin) de un mes a partir de los query params mes/ano de
+ * siempre (1-12; por defecto el mes en curso).
+ */
+function rangoMesAno(mes, ano) {
+    const mesActual = parseInt(mes) || new Date().getMonth() + 1;
+    const anoActual = parseInt(ano) || new Date().getFullYear();
+    const startDate = `${anoActual}-${String(mesActual).padStart(2, '0')}-01`;
+    const nextMonth = mesActual === 12 ? 1 : mesActual + 1;
+    const nextYear = mesActual === 12 ? anoActual + 1 : anoActual;
+    const endDate = `${nextYear}-${String(nextMonth).padStart(2, '0')}-01`;
+    return { mes: mesActual, ano: anoActual, startDate, endDate };
+}
+
+/**
+ * Ingredientes del restaurante con su precio unitario canónico
+ * (getBackendIngredientUnitPrice: media real de compras, luego precio/formato).
+ * @returns {Promise<Array<{id, nombre, unidad, rendimiento, stock_actual, precio_unitario}>>}
+ */
+async function preciosIngredientes(pool, restauranteId) {
+    const { rows } = await pool.query(
+        `SELECT i.id, i.nombre, i.unidad, i.precio, i.cantidad_por_formato, i.rendimiento, i.precio_fijado,
+                i.stock_actual, pcd.precio_medio_compra
+         FROM ingredientes i
+         LEFT JOIN (
+             SELECT ingrediente_id,
+                    ROUND((SUM(total_compra) / NULLIF(SUM(cantidad_comprada), 0))::numeric, 4) as precio_medio_compra
+             FROM precios_compra_diarios WHERE restaurante_id = $1
+             GROUP BY ingrediente_id
+         ) pcd ON pcd.ingrediente_id = i.id
+         WHERE i.restaurante_id = $1 AND i.deleted_at IS NULL`,
+        [restauranteId]
+    );
+    return rows.map(i => ({
+        id: i.id,
+        nombre: i.nombre,
+        unidad: i.unidad,
+        rendimiento: i.rendimiento,
+        stock_actual: parseFloat(i.stock_actual) || 0,
+        precio_unitario: getBackendIngredientUnitPrice(i)
+    }));
+}
+
+/**
+ * Traspasos APROBADOS del periodo entre restaurantes del grupo, valorados a
+ * su precio interno (transfers.routes). `entrada` = lo recibido (compra del
+ * local: ya está en su Diario y en su precio medio); `salida` = lo enviado
+ * (abono del local), con el coste en origen y el margen interno obtenido.
+ * Los traspasos antiguos sin precio cuentan en `num` pero no en importes.
+ */
+async function traspasosPeriodo(pool, restauranteId, desde, hasta) {
+    const { rows } = await pool.query(
+        `SELECT
+             COUNT(*) FILTER (WHERE destino_restaurante_id = $1) AS num_entrada,
+             COALESCE(SUM(cantidad * precio_transferencia) FILTER (WHERE destino_restaurante_id = $1), 0) AS importe_entrada,
+             COUNT(*) FILTER (WHERE origen_restaurante_id = $1) AS num_salida,
+             COALESCE(SUM(cantidad * precio_transferencia) FILTER (WHERE origen_restaurante_id = $1), 0) AS importe_salida,
+             COALESCE(SUM(cantidad * COALESCE(coste_unitario, precio_transferencia)) FILTER (WHERE origen_restaurante_id = $1), 0) AS coste_salida
+         FROM transferencias_stock
+         WHERE (origen_restaurante_id = $1 OR destino_restaurante_id = $1)
+           AND estado = 'aprobada'
+           AND resuelto_at >= $2 AND resuelto_at < $3`,
+        [restauranteId, desde, hasta]
+    );
+    const t = rows[0] || {};
+    const r2 = v => Math.round((parseFloat(v) || 0) * 100) / 100;
+    const importeSalida = r2(t.importe_salida);
+    const costeSalida = r2(t.coste_salida);
+    return {
+        entrada: { importe: r2(t.importe_entrada), num: parseInt(t.num_entrada) || 0 },
+        salida: {
+            importe: importeSalida,
+            coste: costeSalida,
+            margen_interno: r2(importeSalida - costeSalida),
+            num: parseInt(t.num_salida) || 0
+        }
+    };
+}
+
+/**
+ * Balance del mes (`GET /balance/mes`): ingresos de `ventas`, costes con las
+ * recetas y precios ACTUALES (getRecipeCostBase, expande subrecetas) y valor
+ * del inventario.
+ *
+ * Traspasos (2026-10-18): `traspasos_entrada` y `traspasos_salida` son líneas
+ * aparte y NO entran en `ganancia`: lo recibido ya pesa en `costos` vía el
+ * precio medio del destino, y sumarlo otra vez lo contaría dos veces.
+ *
+ * Personal (2026-10-18): con `personal` ('nomina' o 'horas') añade
+ * `coste_personal` (services/nominaService) y `ganancia_tras_personal`.
+ * `ganancia` no cambia: es la que suma el consolidado del grupo.
+ */
+async function balanceMes(pool, restauranteId, { mes, ano, personal } = {}) {
+    const { startDate, endDate } = rangoMesAno(mes, ano);
+
+    const ventasMes = await pool.query(
+        `SELECT COALESCE(SUM(total), 0) as ingresos, COUNT(*) as num_ventas
+       FROM ventas
+       WHERE fecha >= $1 AND fecha < $2 AND restaurante_id = $3 AND deleted_at IS NULL`,
+        [startDate, endDate, restauranteId]
+    );
+
+    // 🔒 AUDITORÍA 2026-06-12 (C4): traer factor_variante — sin él una copa
+    // de vino computaba el COGS de la botella entera (mismo patrón que
+    // monthly.routes.js cantidad_ponderada y sales.routes.js:265).
+    const ventasDetalle = await pool.query(
+        `SELECT v.cantidad, COALESCE(v.factor_variante, 1) as factor_variante, r.ingredientes, r.porciones
+       FROM ventas v
+       JOIN recetas r ON v.receta_id = r.id
+       WHERE v.fecha >= $1 AND v.fecha < $2 AND v.restaurante_id = $3 AND v.deleted_at IS NULL AND r.deleted_at IS NULL`,
+        [startDate, endDate, restauranteId]
+    );
+
+    // Precargar precios de ingredientes + media de compras reales
+    const ingredientes = await preciosIngredientes(pool, restauranteId);
+    const preciosMap = new Map();
+    const rendimientoBaseMap = new Map();
+    ingredientes.forEach(i => {
+        preciosMap.set(i.id, i.precio_unitario);
+        if (i.rendimiento) {
+            rendimientoBaseMap.set(i.id, parseFloat(i.rendimiento));
+        }
+    });
+
+    // Mapa de recetas (para que getRecipeCostBase pueda expandir subrecetas).
+    const todasRecetasResult = await pool.query(
+        'SELECT id, porciones, ingredientes FROM recetas WHERE restaurante_id = $1 AND deleted_at IS NULL',
+        [restauranteId]
+    );
+    const recetasMap = new Map(todasRecetasResult.rows.map(r => [r.id, r]));
+
+    // Calcular costos usando el helper canónico (Capa 3 auditoría: expande subrecetas).
+    let costos = 0;
+    for (const venta of ventasDetalle.rows) {
+        const porciones = Math.max(1, parseInt(venta.porciones) || 1);
+        const factorVariante = parseFloat(venta.factor_variante) || 1;
+        const costeLote = getRecipeCostBase(venta, preciosMap, recetasMap, rendimientoBaseMap);
+        costos += (costeLote / porciones) * venta.cantidad * factorVariante;
+    }
+
+    const ingresos = parseFloat(ventasMes.rows[0].ingresos) || 0;
+    const ganancia = ingresos - costos;
+    const margen = ingresos > 0 ? ((ganancia / ingresos) * 100).toFixed(1) : 0;
+
+    const platoMasVendido = await pool.query(
+        `SELECT r.nombre, SUM(v.cantidad) as total_vendido
+       FROM ventas v
+       JOIN recetas r ON v.receta_id = r.id
+       WHERE v.fecha >= $1 AND v.fecha < $2 AND v.restaurante_id = $3 AND v.deleted_at IS NULL AND r.deleted_at IS NULL
+       GROUP BY r.nombre
+       ORDER BY total_vendido DESC
+       LIMIT 1`,
+        [startDate, endDate, restauranteId]
+    );
+
+    const ventasPorPlato = await pool.query(
+        `SELECT r.nombre, SUM(v.total) as total_ingresos, SUM(v.cantidad) as cantidad
+       FROM ventas v
+       JOIN recetas r ON v.receta_id = r.id
+       WHERE v.fecha >= $1 AND v.fecha < $2 AND v.restaurante_id = $3 AND v.deleted_at IS NULL AND r.deleted_at IS NULL
+       GROUP BY r.nombre
+       ORDER BY total_ingresos DESC`,
+        [startDate, endDate, restauranteId]
+    );
+
+    const valorInventario = await pool.query(
+        `SELECT COALESCE(SUM(i.stock_actual * COALESCE(pcd.precio_medio_compra, i.precio / COALESCE(NULLIF(i.cantidad_por_formato, 0), 1))), 0) as valor
+       FROM ingredientes i
+       LEFT JOIN (
+           SELECT ingrediente_id,
+                  ROUND((SUM(total_compra) / NULLIF(SUM(cantidad_comprada), 0))::numeric, 4) as precio_medio_compra
+           FROM precios_compra_diarios WHERE restaurante_id = $1
+           GROUP BY ingrediente_id
+       ) pcd ON pcd.ingrediente_id = i.id
+       WHERE i.restaurante_id = $1 AND i.deleted_at IS NULL`,
+        [restauranteId]
+    );
+
+    const traspasos = await traspasosPeriodo(pool, restauranteId, startDate, endDate);
+
+    const extraPersonal = {};
+    if (personal) {
+        const nomina = await estimacionNominaMes(pool, restauranteId, startDate.slice(0, 7), { metodo: personal });
+        extraPersonal.coste_personal = { metodo: nomina.metodo, ...nomina.total };
+        extraPersonal.ganancia_tras_personal = Math.round((ganancia - nomina.total.coste_total) * 100) / 100;
+    }
+
+    return {
+        ingresos,
+        costos,
+        ganancia,
+        margen: parseFloat(margen),
+        num_ventas: parseInt(ventasMes.rows[0].num_ventas) || 0,
+        plato_mas_vendido: platoMasVendido.rows[0] || null,
+        ventas_por_plato: ventasPorPlato.rows || [],
+        valor_inventario: parseFloat(valorInventario.rows[0].valor) || 0,
+        traspasos_entrada: traspasos.entrada,
+        traspasos_salida: traspasos.salida,
+        ...extraPersonal
+    };
+}
+
+/**
+ * Food cost del periodo (`GET /analytics/food-cost`): ventas_diarias_resumen
+ * como libro de registro, el mismo COGS que el P&L y el Diario.
+ */
+async function foodCostPeriodo(pool, restauranteId, desde, hasta) {
+    const { rows } = await pool.query(
+        `SELECT
+             COALESCE(SUM(total_ingresos), 0)::numeric(14,2) AS ingresos,
+             COALESCE(SUM(coste_ingredientes), 0)::numeric(14,2) AS cogs,
+             COALESCE(SUM(beneficio_bruto), 0)::numeric(14,2) AS margen
+         FROM ventas_diarias_resumen
+         WHERE restaurante_id = $1 AND fecha >= $2 AND fecha < $3`,
+        [restauranteId, desde, hasta]
+    );
+    const ingresos = parseFloat(rows[0].ingresos) || 0;
+    const cogs = parseFloat(rows[0].cogs) || 0;
+    const margen = parseFloat(rows[0].margen) || 0;
+    const food_cost_pct = ingresos > 0 ? (cogs / ingresos) * 100 : 0;
+    return {
+        ingresos, cogs, margen,
+        food_cost_pct: Math.round(food_cost_pct * 100) / 100
+    };
+}
+
+/**
+ * Compras diarias del periodo (las de `GET /monthly/summary`), con fallback
+ * al proveedor principal del ingrediente cuando la compra no lo trae.
+ */
+async function comprasDiarias(pool, restauranteId, desde, hasta) {
+    const { rows } = await pool.query(`
+        SELECT
+            p.fecha,
+            p.ingrediente_id as ingrediente_id,
+            COALESCE(i.nombre, 'Ingrediente eliminado #' || p.ingrediente_id) as ingrediente,
+            p.precio_unitario,
+            p.cantidad_comprada,
+            p.total_compra,
+            COALESCE(pr.nombre, pr_fallback.nombre) as proveedor_nombre,
+            COALESCE(p.proveedor_id, ip.proveedor_id) as proveedor_id,
+            p.traspaso_id
+        FROM precios_compra_diarios p
+        -- 🔧 HIGH-3/MEDIUM-1 (auditoría 2026-06-27): LEFT JOIN (no INNER) y SIN
+        -- el filtro i.deleted_at, para que las compras de un ingrediente
+        -- soft-eliminado SIGAN contando en el gasto histórico (el dinero se
+        -- gastó de verdad). Antes el INNER JOIN + deleted_at las borraba del
+        -- resumen → el gasto de meses pasados encogía retroactivamente. NO se
+        -- borra ningún dato histórico (mismo patrón que el fallback de ventas).
+        LEFT JOIN ingredientes i ON p.ingrediente_id = i.id
+        LEFT JOIN proveedores pr ON p.proveedor_id = pr.id
+        LEFT JOIN ingredientes_proveedores ip ON ip.ingrediente_id = p.ingrediente_id AND ip.es_proveedor_principal = true
+        LEFT JOIN proveedores pr_fallback ON ip.proveedor_id = pr_fallback.id AND p.proveedor_id IS NULL
+        LEFT JOIN pedidos ped ON p.pedido_id = ped.id
+        WHERE p.restaurante_id = $1
+          AND p.fecha >= $2 AND p.fecha < $3
+          AND (p.pedido_id IS NULL OR ped.deleted_at IS NULL)
+        ORDER BY p.fecha, COALESCE(i.nombre, '')
+    `, [restauranteId, desde, hasta]);
+    return rows;
+}
+
+module.exports = {
+    rangoMesAno,
+    preciosIngredientes,
+    balanceMes,
+    foodCostPeriodo,
+    comprasDiarias,
+    traspasosPeriodo
+};
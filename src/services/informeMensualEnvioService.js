@@ -0,0 +1,268 @@
+/**
+ * informeMensualEnvioService — envío programado del informe mensual por email.
+ *
+ * Hasta ahora el informe ejecutivo (generarInformeMensual + informeMensualHtml)
+ * solo existía bajo demanda en /chat/informe-mensual/html. Con esto cada
+ * restaurante puede suscribirse (tabla `informes_suscripciones`, una por
+ * restaurante) y recibir el informe del MES ANTERIOR el día `dia_envio` de
+ * cada mes, vía Resend.
+ *
+ * Flujo del programador (cada hora, ver iniciarProgramador):
+ *   1. Suscripciones activas cuyo día de envío ya llegó y que aún no tienen
+ *      enviado el mes anterior (`ultimo_mes_enviado`), de restaurantes con
+ *      plan vigente (mismas reglas que el gate global de server.js).
+ *   2. Reclama el mes con un UPDATE condicional: si otra instancia ya lo
+ *      reclamó, el UPDATE no toca filas y se salta. Sin cron externo ni lock
+ *      distribuido.
+ *   3. Genera el informe (IA si hay ANTHROPIC_API_KEY; si no, plantilla
+ *      determinista) y envía un email POR DESTINATARIO, cada uno con su
+ *      enlace de baja firmado.
+ *   4. Registra el resultado en `informes_envios`. Si no llegó a nadie, se
+ *      devuelve el candado para reintentar en la siguiente pasada, hasta
+ *      MAX_INTENTOS fallos en el mes.
+ */
+
+const crypto = require('crypto');
+const { log } = require('../utils/logger');
+const { generarInformeMensual } = require('./informeMensualService');
+const { generarInformeHtml } = require('./informeMensualHtml');
+
+const API_URL = process.env.API_URL || 'https://lacaleta-api.mindloop.cloud';
+const EMAIL_FROM = process.env.RESEND_FROM || 'MindLoop CostOS <onboarding@resend.dev>';
+
+/** Fallos automáticos por suscripción y mes antes de dejar de reintentar. */
+const MAX_INTENTOS = 3;
+/** Frecuencia del programador. El día de envío es la granularidad real. */
+const INTERVALO_MS = 60 * 60 * 1000;
+
+/** 'YYYY-MM' del mes anterior a `ahora` (UTC, igual que rangoMes del informe). */
+function mesAnterior(ahora = new Date()) {
+    const d = new Date(Date.UTC(ahora.getUTCFullYear(), ahora.getUTCMonth() - 1, 1));
+    return d.toISOString().slice(0, 7);
+}
+
+/**
+ * Próximo envío programado de una suscripción: { fecha: 'YYYY-MM-DD', mes }.
+ * null si está inactiva o sin destinatarios.
+ */
+function proximoEnvio(suscripcion, ahora = new Date()) {
+    if (!suscripcion || !suscripcion.activo) return null;
+    const destinatarios = Array.isArray(suscripcion.destinatarios) ? suscripcion.destinatarios : [];
+    if (destinatarios.length === 0) return null;
+    const dia = parseInt(suscripcion.dia_envio) || 2;
+    const pendienteEsteMes = !suscripcion.ultimo_mes_enviado || suscripcion.ultimo_mes_enviado < mesAnterior(ahora);
+    // Si el mes en curso ya está enviado, toca el día `dia` del mes siguiente;
+    // si no, el día `dia` de este mes (o ya, en la próxima pasada, si pasó).
+    const base = pendienteEsteMes
+        ? new Date(Date.UTC(ahora.getUTCFullYear(), ahora.getUTCMonth(), dia))
+        : new Date(Date.UTC(ahora.getUTCFullYear(), ahora.getUTCMonth() + 1, dia));
+    const hoy = new Date(Date.UTC(ahora.getUTCFullYear(), ahora.getUTCMonth(), ahora.getUTCDate()));
+    const fecha = base < hoy ? hoy : base;
+    return { fecha: fecha.toISOString().slice(0, 10), mes: mesAnterior(fecha) };
+}
+
+/**
+ * Firma del enlace de baja: HMAC(JWT_SECRET, "suscripcionId:email"). Sin
+ * estado en BD y ligada al email: con el enlace de un destinatario no se
+ * puede dar de baja a otro. Sin JWT_SECRET falla cerrado: firmar con clave
+ * vacía dejaría a cualquiera fabricar enlaces de baja, así que ni se firma
+ * (el envío queda en error) ni se acepta ninguna firma.
+ */
+function firmaBaja(suscripcionId, email) {
+    if (!process.env.JWT_SECRET) throw new Error('JWT_SECRET no configurado');
+    return crypto
+        .createHmac('sha256', process.env.JWT_SECRET)
+        .update(`${suscripcionId}:${String(email).toLowerCase()}`)
+        .digest('hex');
+}
+
+function verificarFirmaBaja(suscripcionId, email, firma) {
+    if (!firma || typeof firma !== 'string' || !process.env.JWT_SECRET) return false;
+    const esperada = Buffer.from(firmaBaja(suscripcionId, email), 'hex');
+    const recibida = Buffer.from(firma, 'hex');
+    return recibida.length === esperada.length && crypto.timingSafeEqual(recibida, esperada);
+}
+
+function urlBaja(suscripcionId, email) {
+    const params = new URLSearchParams({ s: String(suscripcionId), e: String(email).toLowerCase(), t: firmaBaja(suscripcionId, email) });
+    return `${API_URL}/api/informe-mensual/baja?${params.toString()}`;
+}
+
+/** Inserta el pie con el enlace de baja justo antes de </body>. */
+function conPieDeBaja(html, enlace, lang) {
+    const texto = lang === 'en'
+        ? 'You receive this report because your restaurant subscribed to the monthly email.'
+        : 'Recibes este informe porque tu restaurante se suscribió al envío mensual.';
+    const baja = lang === 'en' ? 'Unsubscribe' : 'Darse de baja';
+    const href = enlace.replace(/&/g, '&amp;');
+    const pie = `<div style="font-family:sans-serif;font-size:12px;color:#6b7280;text-align:center;padding:16px">${texto} <a href="${href}" style="color:#6b7280">${baja}</a></div>`;
+    return html.includes('</body>') ? html.replace('</body>', `${pie}</body>`) : html + pie;
+}
+
+/**
+ * Genera y envía el informe de `mes` a los destinatarios de la suscripción, y
+ * deja constancia en informes_envios. No toca el candado (eso es del
+ * programador): el envío manual desde la app usa esto directamente.
+ *
+ * @returns {Promise<{ estado: 'enviado'|'parcial'|'error', enviados: number, conIA: boolean, error?: string }>}
+ */
+async function enviarInforme(pool, resend, { suscripcion, mes, manual = false }) {
+    const destinatarios = Array.isArray(suscripcion.destinatarios) ? suscripcion.destinatarios : [];
+    let estado = 'error';
+    let enviados = 0;
+    let conIA = false;
+    let error = null;
+    let msgId = null;
+
+    try {
+        if (!resend) throw new Error('Email no configurado (RESEND_API_KEY)');
+        if (destinatarios.length === 0) throw new Error('Sin destinatarios');
+
+        const datos = await generarInformeMensual(pool, suscripcion.restaurante_id, mes);
+        const restaurante = datos.restaurante || {};
+        const lang = suscripcion.lang === 'en' ? 'en' : 'es';
+        const informe = await generarInformeHtml({
+            datos,
+            restauranteId: suscripcion.restaurante_id,
+            restauranteNombre: restaurante.nombre || '',
+            moneda: restaurante.moneda || '€',
+            lang
+        });
+        conIA = informe.conIA;
+
+        const asunto = lang === 'en'
+            ? `📊 Monthly report ${datos.periodo.mes} — ${restaurante.nombre || ''}`
+            : `📊 Informe mensual ${datos.periodo.mes} — ${restaurante.nombre || ''}`;
+
+        const fallos = [];
+        for (const email of destinatarios) {
+            const enlace = urlBaja(suscripcion.id, email);
+            try {
+                const r = await resend.emails.send({
+                    from: EMAIL_FROM,
+                    to: email,
+                    subject: asunto.trim(),
+                    html: conPieDeBaja(informe.html, enlace, lang),
+                    // Baja en un clic desde el cliente de correo (RFC 8058).
+                    headers: {
+                        'List-Unsubscribe': `<${enlace}>`,
+                        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+                    }
+                });
+                if (r && r.error) throw new Error(r.error.message || String(r.error));
+                enviados++;
+                if (!msgId) msgId = r?.data?.id || r?.id || null;
+            } catch (sendErr) {
+                fallos.push(`${email}: ${sendErr.message}`);
+            }
+        }
+        estado = enviados === destinatarios.length ? 'enviado' : (enviados > 0 ? 'parcial' : 'error');
+        if (fallos.length > 0) error = fallos.join('; ').slice(0, 1000);
+    } catch (err) {
+        error = err.message;
+    }
+
+    try {
+        await pool.query(
+            `INSERT INTO informes_envios
+                (suscripcion_id, restaurante_id, mes, destinatarios, estado, con_ia, proveedor_msg_id, error, manual)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+            [suscripcion.id, suscripcion.restaurante_id, mes, JSON.stringify(destinatarios),
+                estado, conIA, msgId, error, manual]
+        );
+    } catch (logErr) {
+        log('warn', 'No se pudo registrar el envío del informe', { suscripcionId: suscripcion.id, error: logErr.message });
+    }
+
+    log(estado === 'error' ? 'warn' : 'info', 'Informe mensual por email', {
+        restauranteId: suscripcion.restaurante_id, mes, estado, enviados, conIA, manual, error
+    });
+    return { estado, enviados, conIA, ...(error ? { error } : {}) };
+}
+
+/**
+ * Una pasada del programador. Devuelve cuántas suscripciones procesó.
+ */
+async function procesarEnviosPendientes(pool, resend, ahora = new Date()) {
+    if (!resend) return 0;
+    const mes = mesAnterior(ahora);
+    const { rows } = await pool.query(
+        `SELECT s.*
+         FROM informes_suscripciones s
+         JOIN restaurantes r ON r.id = s.restaurante_id
+         WHERE s.activo = TRUE
+           AND jsonb_array_length(s.destinatarios) > 0
+           AND s.dia_envio <= $1
+           AND (s.ultimo_mes_enviado IS NULL OR s.ultimo_mes_enviado < $2)
+           AND (r.plan_status = 'active' OR (r.plan = 'trial' AND r.trial_ends_at > NOW()))
+           AND (SELECT COUNT(*) FROM informes_envios e
+                WHERE e.suscripcion_id = s.id AND e.mes = $2
+                  AND e.estado = 'error' AND e.manual = FALSE) < $3
+         ORDER BY s.id`,
+        [ahora.getUTCDate(), mes, MAX_INTENTOS]
+    );
+
+    let procesadas = 0;
+    for (const s of rows) {
+        const claim = await pool.query(
+            `UPDATE informes_suscripciones SET ultimo_mes_enviado = $2
+             WHERE id = $1 AND restaurante_id = $3
+               AND (ultimo_mes_enviado IS NULL OR ultimo_mes_enviado < $2)`,
+            [s.id, mes, s.restaurante_id]
+        );
+        if (claim.rowCount === 0) continue; // otra instancia se adelantó
+
+        const r = await enviarInforme(pool, resend, { suscripcion: s, mes });
+        procesadas++;
+        if (r.estado === 'error') {
+            // Devolver el candado para que la siguiente pasada reintente.
+            await pool.query(
+                'UPDATE informes_suscripciones SET ultimo_mes_enviado = $2 WHERE id = $1 AND restaurante_id = $4 AND ultimo_mes_enviado = $3',
+                [s.id, s.ultimo_mes_enviado, mes, s.restaurante_id]
+            );
+        }
+    }
+    return procesadas;
+}
+
+/**
+ * Arranca el programador (server.js, tras listen). Sin Resend no hay nada que
+ * programar. El timer va con unref() para no retener el proceso al apagar.
+ */
+function iniciarProgramador(pool, resend) {
+    if (!resend) {
+        log('warn', 'RESEND_API_KEY no configurada, envío programado de informes desactivado');
+        return null;
+    }
+    let enCurso = false;
+    const pasada = async () => {
+        if (enCurso) return;
+        enCurso = true;
+        try {
+            const n = await procesarEnviosPendientes(pool, resend);
+            if (n > 0) log('info', 'Pasada de informes programados', { procesadas: n });
+        } catch (err) {
+            log('error', 'Programador de informes falló', { error: err.message });
+        } finally {
+            enCurso = false;
+        }
+    };
+    const arranque = setTimeout(pasada, 60 * 1000);
+    const timer = setInterval(pasada, INTERVALO_MS);
+    arranque.unref();
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    MAX_INTENTOS,
+    mesAnterior,
+    proximoEnvio,
+    firmaBaja,
+    verificarFirmaBaja,
+    urlBaja,
+    enviarInforme,
+    procesarEnviosPendientes,
+    iniciarProgramador,
+    _internals: { conPieDeBaja }
+};
@@ -4,7 +4,9 @@
  * Flujo:
  *   1. Recibe el JSON crudo de generarInformeMensual()
  *   2. Llama a Claude (sin tools, single shot) pidiendo un JSON estructurado
- *      con resumen ejecutivo, observaciones y recomendaciones
+ *      con resumen ejecutivo, observaciones y recomendaciones. Sin
+ *      ANTHROPIC_API_KEY (o si la llamada falla) el análisis sale de una
+ *      plantilla determinista con el mismo formato (analisisDeterminista)
  *   3. Renderiza un HTML listo para imprimir / guardar como PDF desde el
  *      navegador (window.print() con @media print).
  *
@@ -18,17 +20,14 @@
  * recomendaciones). Los datos numéricos vienen tal cual del informe.
  */
 
-const Anthropic = require('@anthropic-ai/sdk').default;
 const { log } = require('../utils/logger');
+const llm = require('./llmProvider');
 
 const { ANTHROPIC_MODEL } = require('../config/aiModels');
 
-const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
 const MODEL = ANTHROPIC_MODEL;
 const MAX_TOKENS = 2000;
 
-const client = ANTHROPIC_API_KEY ? new Anthropic({ apiKey: ANTHROPIC_API_KEY }) : null;
-
 function escapeHtml(str) {
     if (str === null || str === undefined) return '';
     return String(str)
@@ -77,8 +76,8 @@ function classFoodCost(pct) {
  * con resumen, observaciones y recomendaciones. Si la API falla,
  * devolvemos un análisis de fallback (no inventado, solo descriptivo).
  */
-async function pedirAnalisisIA({ datos, restauranteNombre, moneda, lang }) {
-    if (!client) {
+async function pedirAnalisisIA({ datos, restauranteId = null, restauranteNombre, moneda, lang }) {
+    if (!llm.disponible()) {
         throw new Error('ANTHROPIC_API_KEY no configurada');
     }
 
@@ -126,18 +125,18 @@ REGLAS:
         ? `Restaurant: ${restauranteNombre}\nMonth: ${datos.periodo.mes}\nPrevious month: ${datos.periodo.mes_anterior}\n\nFULL DATA:\n${JSON.stringify(datos, null, 2)}`
         : `Restaurante: ${restauranteNombre}\nMes: ${datos.periodo.mes}\nMes anterior: ${datos.periodo.mes_anterior}\n\nDATOS COMPLETOS:\n${JSON.stringify(datos, null, 2)}`;
 
-    const response = await client.messages.create({
-        model: MODEL,
-        max_tokens: MAX_TOKENS,
-        system,
-        messages: [{ role: 'user', content: userMessage }]
+    const response = await llm.crearMensaje({
+        feature: 'informe_mensual',
+        restauranteId,
+        params: {
+            model: MODEL,
+            max_tokens: MAX_TOKENS,
+            system,
+            messages: [{ role: 'user', content: userMessage }]
+        }
     });
 
-    const text = response.content
-        .filter(b => b.type === 'text')
-        .map(b => b.text)
-        .join('\n')
-        .trim();
+    const text = llm.textoDe(response);
 
     // El modelo a veces envuelve el JSON en ```json ... ``` aunque le pidamos
     // que no lo haga. Lo saneamos antes de parsear.
@@ -172,6 +171,82 @@ REGLAS:
     };
 }
 
+/**
+ * Análisis SIN IA: mismo formato que devuelve Claude, escrito con plantillas
+ * a partir de los números del informe. Se usa cuando no hay
+ * ANTHROPIC_API_KEY o la llamada falla — sobre todo en el envío programado
+ * por email, que no puede quedarse sin informe porque la API no responda.
+ * Determinista: mismos datos → mismo texto. No recomienda nada que no se
+ * deduzca directamente de un umbral (food cost > 35%, subida de precio > 10%).
+ */
+function analisisDeterminista({ datos, moneda, lang }) {
+    const en = lang === 'en';
+    const ing = datos.ingresos || {};
+    const fc = datos.food_cost || {};
+    const pyg = datos.pyg || {};
+    const mermas = datos.mermas || {};
+    const stock = datos.stock || {};
+    const problematicos = datos.top_problematicos || [];
+    const subidas = (datos.cambios_precio || []).filter(c => parseFloat(c.variacion_pct) > 10);
+
+    const variacion = ing.variacion_pct === null || ing.variacion_pct === undefined
+        ? ''
+        : (en ? ` (${fmtVariacion(ing.variacion_pct)} vs previous month)` : ` (${fmtVariacion(ing.variacion_pct)} respecto al mes anterior)`);
+    const resumen = en
+        ? `Revenue for ${datos.periodo.mes}: **${fmtMoneda(ing.mes_actual, moneda)}**${variacion}. Food cost ${fmtPct(fc.mes_actual_pct)}, net profit ${fmtMoneda(pyg.beneficio_neto, moneda)} (${fmtPct(pyg.margen_neto_pct)} margin).`
+        : `Ingresos de ${datos.periodo.mes}: **${fmtMoneda(ing.mes_actual, moneda)}**${variacion}. Food cost ${fmtPct(fc.mes_actual_pct)}, beneficio neto ${fmtMoneda(pyg.beneficio_neto, moneda)} (margen ${fmtPct(pyg.margen_neto_pct)}).`;
+
+    const observaciones = [];
+    if (parseFloat(fc.real_pct) > parseFloat(fc.mes_actual_pct)) {
+        observaciones.push(en
+            ? `Real food cost including waste: ${fmtPct(fc.real_pct)}.`
+            : `Food cost real con mermas: ${fmtPct(fc.real_pct)}.`);
+    }
+    if (parseFloat(mermas.valor_total) > 0) {
+        observaciones.push(en
+            ? `Waste: ${fmtMoneda(mermas.valor_total, moneda)} in ${mermas.num_registros || 0} records.`
+            : `Mermas: ${fmtMoneda(mermas.valor_total, moneda)} en ${mermas.num_registros || 0} registros.`);
+    }
+    if (subidas.length > 0) {
+        observaciones.push(en
+            ? `${subidas.length} ingredient(s) rose more than 10%: ${subidas.slice(0, 3).map(c => c.ingrediente).join(', ')}.`
+            : `${subidas.length} ingrediente(s) subieron más de un 10%: ${subidas.slice(0, 3).map(c => c.ingrediente).join(', ')}.`);
+    }
+    if (parseInt(stock.items_bajo_minimo) > 0) {
+        observaciones.push(en
+            ? `${stock.items_bajo_minimo} item(s) at or below minimum stock.`
+            : `${stock.items_bajo_minimo} artículo(s) en o por debajo del stock mínimo.`);
+    }
+
+    const recomendaciones = [];
+    if (problematicos.length > 0) {
+        recomendaciones.push(en
+            ? { titulo: 'Review high food cost dishes', detalle: `Start with ${problematicos.slice(0, 3).map(p => p.nombre).join(', ')} (over 40% food cost).` }
+            : { titulo: 'Revisar platos con food cost alto', detalle: `Empezar por ${problematicos.slice(0, 3).map(p => p.nombre).join(', ')} (food cost por encima del 40%).` });
+    }
+    if (subidas.length > 0) {
+        recomendaciones.push(en
+            ? { titulo: 'Check supplier prices', detalle: `Compare ${subidas[0].ingrediente} with other suppliers or renegotiate.` }
+            : { titulo: 'Revisar precios de proveedor', detalle: `Comparar ${subidas[0].ingrediente} con otros proveedores o renegociar.` });
+    }
+
+    const alertas = [];
+    if (parseFloat(fc.mes_actual_pct) > 35) {
+        alertas.push({
+            tipo: parseFloat(fc.mes_actual_pct) > 40 ? 'critical' : 'warning',
+            mensaje: en ? `Food cost at **${fmtPct(fc.mes_actual_pct)}**.` : `Food cost en **${fmtPct(fc.mes_actual_pct)}**.`
+        });
+    }
+    if (parseFloat(pyg.beneficio_neto) < 0) {
+        alertas.push({
+            tipo: 'critical',
+            mensaje: en ? 'The month closed with a net loss.' : 'El mes cierra con pérdidas.'
+        });
+    }
+
+    return { resumen_ejecutivo: resumen, observaciones, recomendaciones, alertas };
+}
+
 /**
  * Mini markdown → HTML para los textos del análisis (sólo **negrita** y
  * saltos de línea). Sin librería para no añadir deps.
@@ -899,10 +974,25 @@ function renderHtml({ datos, analisis, restauranteNombre, moneda, lang }) {
 </html>`;
 }
 
-async function generarInformeHtml({ datos, restauranteNombre, moneda, lang }) {
-    const { analisis, usage } = await pedirAnalisisIA({ datos, restauranteNombre, moneda, lang });
+/**
+ * @returns {Promise<{ html: string, usage: {input, output}, conIA: boolean }>}
+ *   `conIA` = false si el análisis salió de la plantilla determinista.
+ */
+async function generarInformeHtml({ datos, restauranteId = null, restauranteNombre, moneda, lang }) {
+    let analisis;
+    let usage = { input: 0, output: 0 };
+    let conIA = false;
+    if (llm.disponible()) {
+        try {
+            ({ analisis, usage } = await pedirAnalisisIA({ datos, restauranteId, restauranteNombre, moneda, lang }));
+            conIA = true;
+        } catch (err) {
+            log('warn', 'Análisis IA del informe falló, usando plantilla determinista', { error: err.message });
+        }
+    }
+    if (!analisis) analisis = analisisDeterminista({ datos, moneda, lang });
     const html = renderHtml({ datos, analisis, restauranteNombre, moneda, lang });
-    return { html, usage };
+    return { html, usage, conIA };
 }
 
 module.exports = {
@@ -918,6 +1008,7 @@ module.exports = {
         classFoodCost,
         mdToHtml,
         renderSparkline,
-        renderHtml
+        renderHtml,
+        analisisDeterminista
     }
 };
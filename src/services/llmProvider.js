@@ -0,0 +1,380 @@
+/**
+ * llmProvider — punto único de llamada al LLM (chat, Coach, informe mensual,
+ * PDF de ventas del TPV y OCR de albaranes).
+ *
+ * Antes cada sitio llamaba a Claude a su manera: el SDK con su propio cliente
+ * en chatService, coachReportService e informeMensualHtml, y `fetch` a mano
+ * contra /v1/messages en /sales/parse-pdf y /parse-albaran. Ninguno de esos
+ * caminos se podía probar sin red, cada uno trataba los errores distinto
+ * (los `fetch` no tenían timeout ni reintento: un 529 de Anthropic tiraba la
+ * importación del albarán) y los tokens solo se contaban en el chat.
+ *
+ * Ahora todos llaman a crearMensaje({ feature, restauranteId, params }), que:
+ *
+ *   - delega en el PROVEEDOR activo. Mismo contrato que messages.create del
+ *     SDK (params de entrada, { content, stop_reason, usage } de salida):
+ *       · anthropic — el SDK, con un solo intento por llamada (los reintentos
+ *         son de este módulo, iguales para todos los proveedores). Siempre en
+ *         streaming (messages.stream → finalMessage): con max_tokens alto
+ *         (los 32000 del PDF del TPV) el SDK se niega a hacer la llamada sin
+ *         streaming, y el resultado es el mismo mensaje completo.
+ *       · fake      — reproduce respuestas grabadas (fixtures) por feature y
+ *         en orden. Sin red ni API key: tests y desarrollo offline.
+ *       · record    — anthropic + graba cada respuesta como fixture.
+ *     Se elige con LLM_PROVIDER (por defecto anthropic si hay
+ *     ANTHROPIC_API_KEY) y LLM_FIXTURES_DIR; en tests, usarProveedor().
+ *   - corta por timeout y reintenta con backoff exponencial los fallos
+ *     transitorios (429, 5xx, 529 overloaded, timeout, red). Un 400 no se
+ *     reintenta: repetir la misma petición mala solo gasta.
+ *   - cuenta los tokens por restaurante y feature, con su coste en USD
+ *     (PRECIOS_MTOK_USD de config/aiModels). resumenUso() lo sirve a
+ *     GET /superadmin/llm. En memoria, desde el arranque del proceso.
+ *   - con el pool configurado (configurarPersistencia, en server.js), además
+ *     guarda cada llamada en `ai_usage` y, antes de cada operación de un
+ *     restaurante, comprueba su cuota mensual de IA del plan
+ *     (services/aiUsageService): agotada → error LLM_CUOTA, status 429.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Anthropic = require('@anthropic-ai/sdk').default;
+const { log } = require('../utils/logger');
+const { ANTHROPIC_MODEL, PRECIOS_MTOK_USD } = require('../config/aiModels');
+const aiUsageService = require('./aiUsageService');
+
+const TIMEOUT_MS = 60 * 1000;
+const REINTENTOS = 2;
+const BACKOFF_MS = 1000;
+
+/** Features que llaman al LLM: clave de las fixtures y de la contabilidad. */
+const FEATURES = ['chat', 'coach', 'informe_mensual', 'ventas_pdf', 'ocr_albaran'];
+
+function errorLlm(mensaje, { code, status, reintentable = false, cause } = {}) {
+    const err = new Error(mensaje, cause ? { cause } : undefined);
+    err.code = code;
+    if (status) err.status = status;
+    err.reintentable = reintentable;
+    return err;
+}
+
+// ============================================================================
+// PROVEEDORES
+// ============================================================================
+
+/** `fetch` solo para tests: sustituye la red del SDK. */
+function crearProveedorAnthropic({ apiKey, fetch = undefined }) {
+    const client = new Anthropic({ apiKey, ...(fetch ? { fetch } : {}) });
+    return {
+        nombre: 'anthropic',
+        async crear(params, { signal, timeoutMs }) {
+            try {
+                return await client.messages.stream(params, { signal, timeout: timeoutMs, maxRetries: 0 }).finalMessage();
+            } catch (err) {
+                if (signal?.aborted) throw err;
+                const status = err.status || null;
+                // Sin status = no hubo respuesta (red, DNS, conexión cortada),
+                // salvo que el propio SDK rechace la petición antes de enviarla:
+                // repetirla daría el mismo error.
+                const rechazoSdk = err instanceof Anthropic.AnthropicError && !(err instanceof Anthropic.APIError);
+                const reintentable = !rechazoSdk && (!status || status === 408 || status === 409 || status === 429 || status >= 500);
+                throw errorLlm(err.message, { code: 'LLM_API', status, reintentable, cause: err });
+            }
+        }
+    };
+}
+
+/** Respuesta de fixture → forma de messages.create (`content` puede ser texto). */
+function normalizarRespuesta(r, params) {
+    const content = typeof r.content === 'string' ? [{ type: 'text', text: r.content }] : (r.content || []);
+    return {
+        model: r.model || params.model,
+        content,
+        stop_reason: r.stop_reason || (content.some(b => b.type === 'tool_use') ? 'tool_use' : 'end_turn'),
+        usage: { input_tokens: 0, output_tokens: 0, ...(r.usage || {}) }
+    };
+}
+
+/**
+ * Proveedor de fixtures: `respuestas` ({ feature: [respuesta, ...] }) o un
+ * directorio con `<feature>.json` (lo que graba el proveedor record). Cada
+ * llamada de una feature consume la siguiente respuesta. Una respuesta puede
+ * ser un texto, una función (params) → respuesta, o
+ * `{ error: { status, message } }` para simular un fallo de la API.
+ */
+function crearProveedorFake({ respuestas = {}, dir = null } = {}) {
+    const colas = new Map();
+    function cola(feature) {
+        if (!colas.has(feature)) {
+            let lista = respuestas[feature];
+            if (!lista && dir) {
+                const fichero = path.join(dir, `${feature}.json`);
+                lista = fs.existsSync(fichero) ? JSON.parse(fs.readFileSync(fichero, 'utf8')) : [];
+            }
+            colas.set(feature, [...(lista || [])]);
+        }
+        return colas.get(feature);
+    }
+    return {
+        nombre: 'fake',
+        llamadas: [],
+        async crear(params, { feature }) {
+            this.llamadas.push({ feature, params });
+            const siguiente = cola(feature).shift();
+            if (siguiente === undefined) {
+                throw errorLlm(`LLM fake: no quedan respuestas grabadas para "${feature}"`, { code: 'LLM_SIN_FIXTURE' });
+            }
+            let r = typeof siguiente === 'function' ? await siguiente(params) : siguiente;
+            if (typeof r === 'string') r = { content: r };
+            if (r.error) {
+                const status = r.error.status || 500;
+                throw errorLlm(r.error.message || `LLM fake: error ${status}`, {
+                    code: 'LLM_API', status, reintentable: status === 429 || status >= 500
+                });
+            }
+            return normalizarRespuesta(r, params);
+        }
+    };
+}
+
+/** Envuelve un proveedor y añade cada respuesta a `<dir>/<feature>.json`. */
+function crearProveedorGrabador(base, dir) {
+    return {
+        nombre: `record(${base.nombre})`,
+        async crear(params, opciones) {
+            const r = await base.crear(params, opciones);
+            const fichero = path.join(dir, `${opciones.feature}.json`);
+            const grabadas = fs.existsSync(fichero) ? JSON.parse(fs.readFileSync(fichero, 'utf8')) : [];
+            grabadas.push({ model: r.model, content: r.content, stop_reason: r.stop_reason, usage: r.usage });
+            fs.mkdirSync(dir, { recursive: true });
+            fs.writeFileSync(fichero, JSON.stringify(grabadas, null, 2));
+            return r;
+        }
+    };
+}
+
+function proveedorDesdeEntorno(env = process.env) {
+    const modo = (env.LLM_PROVIDER || 'anthropic').toLowerCase();
+    if (modo === 'fake') return crearProveedorFake({ dir: env.LLM_FIXTURES_DIR || null });
+    if (!env.ANTHROPIC_API_KEY) {
+        log('warn', 'LLM: ANTHROPIC_API_KEY no configurada — chat, Coach, informe IA y OCR no disponibles');
+        return null;
+    }
+    const anthropic = crearProveedorAnthropic({ apiKey: env.ANTHROPIC_API_KEY });
+    if (modo === 'record') {
+        if (!env.LLM_FIXTURES_DIR) throw new Error('LLM_PROVIDER=record necesita LLM_FIXTURES_DIR');
+        return crearProveedorGrabador(anthropic, env.LLM_FIXTURES_DIR);
+    }
+    return anthropic;
+}
+
+let proveedor = proveedorDesdeEntorno();
+
+/** Cambia el proveedor activo (tests). Devuelve el anterior. */
+function usarProveedor(nuevo) {
+    const anterior = proveedor;
+    proveedor = nuevo;
+    return anterior;
+}
+
+function disponible() {
+    return proveedor !== null;
+}
+
+// ============================================================================
+// CONTABILIDAD
+// ============================================================================
+
+const contabilidadDesde = new Date().toISOString();
+const contabilidad = new Map(); // restauranteId|null → Map(feature → totales)
+
+function totalesVacios() {
+    return { llamadas: 0, errores: 0, input: 0, output: 0, cache_read: 0, cache_creation: 0, coste_usd: 0 };
+}
+
+/** usage del SDK → { input, output, cache_read, cache_creation }. */
+function usoDe(response) {
+    const u = response?.usage || {};
+    return {
+        input: u.input_tokens || 0,
+        output: u.output_tokens || 0,
+        cache_read: u.cache_read_input_tokens || 0,
+        cache_creation: u.cache_creation_input_tokens || 0
+    };
+}
+
+function costeUsd(modelo, uso) {
+    const familia = Object.keys(PRECIOS_MTOK_USD).find(k => k !== 'default' && String(modelo || '').startsWith(k));
+    const p = PRECIOS_MTOK_USD[familia || 'default'];
+    const coste = (uso.input * p.input + uso.output * p.output
+        + uso.cache_read * p.cache_read + uso.cache_creation * p.cache_creation) / 1e6;
+    return Math.round(coste * 1e6) / 1e6;
+}
+
+function anotar(restauranteId, feature, { uso = null, coste = 0, error = false }) {
+    const clave = restauranteId || null;
+    if (!contabilidad.has(clave)) contabilidad.set(clave, new Map());
+    const porFeature = contabilidad.get(clave);
+    if (!porFeature.has(feature)) porFeature.set(feature, totalesVacios());
+    const t = porFeature.get(feature);
+    t.llamadas++;
+    if (error) t.errores++;
+    if (uso) {
+        t.input += uso.input;
+        t.output += uso.output;
+        t.cache_read += uso.cache_read;
+        t.cache_creation += uso.cache_creation;
+    }
+    t.coste_usd = Math.round((t.coste_usd + coste) * 1e6) / 1e6;
+}
+
+function sumar(a, b) {
+    for (const k of Object.keys(a)) a[k] = k === 'coste_usd' ? Math.round((a[k] + b[k]) * 1e6) / 1e6 : a[k] + b[k];
+    return a;
+}
+
+/**
+ * Tokens y coste desde el arranque, por restaurante (los que más gastan
+ * primero) y feature. `restaurante_id: null` = llamadas sin restaurante.
+ */
+function resumenUso() {
+    const total = totalesVacios();
+    const restaurantes = [...contabilidad.entries()].map(([restauranteId, porFeature]) => {
+        const features = Object.fromEntries([...porFeature.entries()].map(([f, t]) => [f, { ...t }]));
+        const totalRestaurante = Object.values(features).reduce((acc, t) => sumar(acc, t), totalesVacios());
+        sumar(total, totalRestaurante);
+        return { restaurante_id: restauranteId, total: totalRestaurante, features };
+    }).sort((a, b) => b.total.coste_usd - a.total.coste_usd);
+    return { desde: contabilidadDesde, proveedor: proveedor ? proveedor.nombre : null, modelo: ANTHROPIC_MODEL, total, restaurantes };
+}
+
+/** Vacía la contabilidad (tests). */
+function reiniciarUso() {
+    contabilidad.clear();
+}
+
+let poolUso = null;
+
+/** Activa el registro en `ai_usage` y la cuota por plan. null la desactiva. */
+function configurarPersistencia(pool) {
+    poolUso = pool;
+}
+
+function contabilizar(restauranteId, feature, modelo, { uso = null, error = false, duracionMs = null }) {
+    const coste = uso ? costeUsd(modelo, uso) : 0;
+    anotar(restauranteId, feature, { uso, coste, error });
+    if (poolUso) {
+        aiUsageService.registrarUso(poolUso, {
+            restauranteId, feature, modelo, uso, costeUsd: coste, ok: !error, duracionMs
+        });
+    }
+}
+
+// ============================================================================
+// LLAMADA
+// ============================================================================
+
+const esperar = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function intentoConTimeout(params, { feature, timeoutMs }) {
+    const controller = new AbortController();
+    let timer;
+    const limite = new Promise((_resolve, reject) => {
+        timer = setTimeout(() => {
+            controller.abort();
+            reject(errorLlm(`LLM: sin respuesta en ${timeoutMs} ms`, { code: 'LLM_TIMEOUT', reintentable: true }));
+        }, timeoutMs);
+    });
+    try {
+        return await Promise.race([
+            proveedor.crear(params, { feature, signal: controller.signal, timeoutMs }),
+            limite
+        ]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * messages.create con timeout, reintentos y contabilidad.
+ *
+ * @param {Object} opts
+ * @param {string} opts.feature - una de FEATURES
+ * @param {number|null} opts.restauranteId - a quién se le apuntan los tokens
+ * @param {Object} opts.params - params de messages.create (model por defecto ANTHROPIC_MODEL)
+ * @param {number} [opts.timeoutMs] - por intento
+ * @param {number} [opts.reintentos] - además del primer intento
+ * @param {number} [opts.backoffMs] - espera antes del 1er reintento (se duplica)
+ * @param {boolean} [opts.comprobarCuota] - false en las vueltas 2+ de un bucle
+ *   de tools: la cuota se mira al empezar la operación, no a mitad de respuesta
+ * @returns {Promise<Object>} respuesta de messages.create
+ * @throws {Error} con `code` LLM_NO_CONFIGURADO | LLM_CUOTA | LLM_API | LLM_TIMEOUT | LLM_SIN_FIXTURE
+ *   y `status` si lo hubo (LLM_CUOTA lleva `cuota`, ver aiUsageService.estadoCuota)
+ */
+async function crearMensaje({ feature, restauranteId = null, params, timeoutMs = TIMEOUT_MS, reintentos = REINTENTOS, backoffMs = BACKOFF_MS, comprobarCuota = true }) {
+    if (!proveedor) {
+        throw errorLlm('LLM no configurado: ANTHROPIC_API_KEY missing', { code: 'LLM_NO_CONFIGURADO' });
+    }
+    if (poolUso && restauranteId && comprobarCuota) {
+        // Si no se puede leer la cuota (BD caída, ai_usage sin migrar) se
+        // llama igual: la cuota es un tope de gasto, no debe tumbar la IA.
+        let cuota = null;
+        try {
+            cuota = await aiUsageService.estadoCuota(poolUso, restauranteId);
+        } catch (err) {
+            log('error', 'LLM: no se pudo comprobar la cuota de IA, se sigue sin ella', { feature, restauranteId, error: err.message });
+        }
+        if (cuota?.agotada) {
+            log('warn', 'LLM: cuota mensual de IA agotada', { feature, restauranteId, ...cuota });
+            const err = errorLlm('Cuota mensual de IA del plan alcanzada', { code: 'LLM_CUOTA', status: 429 });
+            err.cuota = cuota;
+            throw err;
+        }
+    }
+    const peticion = { model: ANTHROPIC_MODEL, ...params };
+
+    for (let intento = 0; ; intento++) {
+        const inicio = Date.now();
+        try {
+            const response = await intentoConTimeout(peticion, { feature, timeoutMs });
+            contabilizar(restauranteId, feature, response.model || peticion.model, {
+                uso: usoDe(response), duracionMs: Date.now() - inicio
+            });
+            return response;
+        } catch (err) {
+            const reintentar = err.reintentable && intento < reintentos;
+            log(reintentar ? 'warn' : 'error', 'LLM: llamada fallida', {
+                feature, restauranteId, proveedor: proveedor.nombre, intento: intento + 1,
+                status: err.status, code: err.code, duracionMs: Date.now() - inicio, error: err.message
+            });
+            if (!reintentar) {
+                contabilizar(restauranteId, feature, peticion.model, { error: true, duracionMs: Date.now() - inicio });
+                throw err;
+            }
+            await esperar(backoffMs * 2 ** intento);
+        }
+    }
+}
+
+/** Texto de los bloques `text` de una respuesta, unidos por salto de línea. */
+function textoDe(response) {
+    return (response?.content || []).filter(b => b.type === 'text').map(b => b.text).join('\n').trim();
+}
+
+module.exports = {
+    FEATURES,
+    TIMEOUT_MS,
+    REINTENTOS,
+    crearMensaje,
+    disponible,
+    usarProveedor,
+    configurarPersistencia,
+    crearProveedorAnthropic,
+    crearProveedorFake,
+    crearProveedorGrabador,
+    proveedorDesdeEntorno,
+    usoDe,
+    textoDe,
+    costeUsd,
+    resumenUso,
+    reiniciarUso
+};
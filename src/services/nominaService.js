@@ -0,0 +1,78 @@
+/**
+ * nominaService — estimación del coste de nómina del mes de un restaurante.
+ *
+ * Lo comparten GET /staff/payroll-estimate y el balance del mes
+ * (finanzasMesService.balanceMes con `personal`), para que las dos pantallas
+ * den la misma cifra. El cálculo está en utils/nomina; aquí solo las queries.
+ *
+ * SOLO LECTURA. Todas las consultas filtran por restaurante_id.
+ */
+
+const { estimarNominaMes, diasDelMes } = require('../utils/nomina');
+const { ZONA_REGISTRO } = require('../utils/registroJornada');
+
+/**
+ * @param {Pool} pool
+ * @param {number} restauranteId
+ * @param {string} mes - 'YYYY-MM'
+ * @param {{metodo?: 'nomina'|'horas'}} [opciones]
+ */
+async function estimacionNominaMes(pool, restauranteId, mes, { metodo = 'nomina' } = {}) {
+    const desde = `${mes}-01`;
+    const hasta = `${mes}-${String(diasDelMes(mes)).padStart(2, '0')}`;
+
+    const [empleados, turnos, fichajes, ausencias, extras] = await Promise.all([
+        pool.query(
+            // En plantilla algún día del mes: altas y bajas del propio mes
+            // cuentan solo sus días (utils/nomina).
+            `SELECT id, nombre, puesto, coste_hora, salario_bruto_mensual, num_pagas, ss_empresa_pct,
+                    fecha_alta::text AS fecha_alta, fecha_baja::text AS fecha_baja
+             FROM empleados
+             WHERE restaurante_id = $1 AND (activo = true OR fecha_baja >= $2::date)
+               AND (fecha_alta IS NULL OR fecha_alta <= $3::date)
+             ORDER BY nombre`,
+            [restauranteId, desde, hasta]
+        ),
+        pool.query(
+            `SELECT empleado_id, to_char(hora_inicio, 'HH24:MI') AS hora_inicio,
+                    to_char(hora_fin, 'HH24:MI') AS hora_fin
+             FROM horarios
+             WHERE restaurante_id = $1 AND fecha BETWEEN $2 AND $3`,
+            [restauranteId, desde, hasta]
+        ),
+        pool.query(
+            `SELECT empleado_id, SUM(EXTRACT(EPOCH FROM (salida - entrada)) / 3600) AS horas
+             FROM fichajes
+             WHERE restaurante_id = $1 AND salida IS NOT NULL
+               AND entrada >= ($2::date::timestamp AT TIME ZONE '${ZONA_REGISTRO}')
+               AND entrada < (($3::date + 1)::timestamp AT TIME ZONE '${ZONA_REGISTRO}')
+             GROUP BY empleado_id`,
+            [restauranteId, desde, hasta]
+        ),
+        pool.query(
+            `SELECT empleado_id, tipo, estado, fecha_inicio::text AS fecha_inicio, fecha_fin::text AS fecha_fin
+             FROM ausencias
+             WHERE restaurante_id = $1 AND estado = 'aprobada' AND tipo = 'permiso_no_retribuido'
+               AND fecha_fin >= $2 AND fecha_inicio <= $3`,
+            [restauranteId, desde, hasta]
+        ),
+        pool.query(
+            `SELECT COALESCE(SUM(total), 0) AS total
+             FROM personal_extra
+             WHERE restaurante_id = $1 AND fecha BETWEEN $2 AND $3`,
+            [restauranteId, desde, hasta]
+        )
+    ]);
+
+    return estimarNominaMes({
+        mes,
+        metodo,
+        empleados: empleados.rows,
+        turnos: turnos.rows,
+        fichajes: fichajes.rows,
+        ausencias: ausencias.rows,
+        personalExtra: parseFloat(extras.rows[0]?.total) || 0
+    });
+}
+
+module.exports = { estimacionNominaMes };
@@ -0,0 +1,363 @@
+/**
+ * outboundWebhookService — webhooks salientes con eventos de negocio.
+ *
+ * Los flujos de n8n sondeaban la API con el token de /auth/api-token. Con
+ * esto cada restaurante da de alta URLs (tabla `webhook_suscripciones`) que
+ * reciben los eventos a los que se suscriben, firmados en formato Standard
+ * Webhooks: el mismo que ya verificamos de Polar en webhooks.routes.js, así
+ * que el receptor valida con cualquier librería de standardwebhooks y el
+ * secreto `whsec_...` de la suscripción.
+ *
+ * Flujo:
+ *   1. La ruta, DESPUÉS del COMMIT, llama a emitirEvento() (fire-and-forget,
+ *      como logChange): una fila en `webhook_entregas` por suscripción activa
+ *      al evento, y primer intento inmediato.
+ *   2. Si el destino no responde 2xx, la entrega queda 'pendiente' con
+ *      `proximo_intento` según BACKOFF_SEGUNDOS. El programador (cada minuto)
+ *      reintenta las vencidas. Agotados los intentos → 'fallido'.
+ *   3. Cada intento reclama la fila con un UPDATE condicional (como el
+ *      informe mensual): dos instancias no envían la misma entrega a la vez.
+ *   4. Reenvío manual (replay): copia la entrega con el MISMO webhook-id, de
+ *      modo que un receptor idempotente la reconoce como el mismo mensaje.
+ *
+ * Cada intento firma con timestamp nuevo: la ventana de tolerancia del
+ * receptor (5 min en standardwebhooks) no caduca entre reintentos.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { Webhook } = require('standardwebhooks');
+const { log } = require('../utils/logger');
+
+/** Eventos a los que se puede suscribir un restaurante. */
+const EVENTOS = [
+    'sale.created',
+    'sales.imported',
+    'order.received',
+    'purchase.approved',
+    'merma.created',
+    'transfer.approved',
+    'alert.raised'
+];
+
+/** Espera tras cada fallo: 1 min, 5 min, 30 min, 2 h, 6 h → 6 intentos en total. */
+const BACKOFF_SEGUNDOS = [60, 300, 1800, 7200, 21600];
+const MAX_INTENTOS = BACKOFF_SEGUNDOS.length + 1;
+const TIMEOUT_MS = 10000;
+/** Mientras un intento está en curso la fila queda reservada este tiempo. */
+const RESERVA_SEGUNDOS = 120;
+const INTERVALO_MS = 60 * 1000;
+const MAX_RESPUESTA = 1000;
+
+function generarSecreto() {
+    return 'whsec_' + crypto.randomBytes(24).toString('base64');
+}
+
+/** 'whsec_…ab12' para listados: el secreto completo solo se enseña al crearlo. */
+function enmascararSecreto(secreto) {
+    return secreto ? `whsec_…${String(secreto).slice(-4)}` : null;
+}
+
+/**
+ * Cabeceras Standard Webhooks para un cuerpo ya serializado.
+ * @param {Date} [ahora]
+ */
+function cabecerasFirmadas(secreto, msgId, cuerpo, ahora = new Date()) {
+    const firma = new Webhook(secreto).sign(msgId, ahora, cuerpo);
+    return {
+        'Content-Type': 'application/json',
+        'webhook-id': msgId,
+        'webhook-timestamp': String(Math.floor(ahora.getTime() / 1000)),
+        'webhook-signature': firma
+    };
+}
+
+/** Segundos hasta el siguiente intento tras `intentos` fallos, o null si no quedan. */
+function siguienteEspera(intentos) {
+    return intentos >= 1 && intentos <= BACKOFF_SEGUNDOS.length ? BACKOFF_SEGUNDOS[intentos - 1] : null;
+}
+
+// IPv4 privadas, loopback, link-local y "esta red".
+function esIpPrivada(host) {
+    if (net.isIPv4(host)) {
+        const [a, b] = host.split('.').map(Number);
+        return a === 10 || a === 127 || a === 0 ||
+            (a === 169 && b === 254) ||
+            (a === 172 && b >= 16 && b <= 31) ||
+            (a === 192 && b === 168) ||
+            (a === 100 && b >= 64 && b <= 127);
+    }
+    if (net.isIPv6(host)) {
+        const h = host.toLowerCase();
+        return h === '::1' || h === '::' || h.startsWith('fc') || h.startsWith('fd') || h.startsWith('fe80') || h.startsWith('::ffff:');
+    }
+    return false;
+}
+
+/**
+ * Valida la URL de destino. Solo https (http se admite fuera de producción,
+ * para probar con un n8n local) y nunca hacia la red interna: el servidor
+ * haría la petición, no el cliente. Mira el host tal cual viene (nombre o IP
+ * literal); las IPs a las que resuelve un nombre se comprueban en cada
+ * entrega (destinoInterno), y las redirecciones no se siguen al entregar.
+ * @returns {{ error: string } | { url: string }}
+ */
+function validarUrlDestino(valor) {
+    let u;
+    try {
+        u = new URL(String(valor || '').trim());
+    } catch {
+        return { error: 'URL no válida' };
+    }
+    const permiteHttp = process.env.NODE_ENV !== 'production';
+    if (u.protocol !== 'https:' && !(permiteHttp && u.protocol === 'http:')) {
+        return { error: 'La URL debe ser https' };
+    }
+    if (u.username || u.password) return { error: 'La URL no puede llevar credenciales' };
+    const host = u.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal') || esIpPrivada(host)) {
+        return { error: 'La URL no puede apuntar a una red interna' };
+    }
+    if (u.href.length > 2000) return { error: 'URL demasiado larga' };
+    return { url: u.href };
+}
+
+/**
+ * Resuelve el host de la URL y devuelve un error si ALGUNA de sus IPs es
+ * interna, o null. Se hace justo antes de cada intento y no al dar de alta:
+ * un nombre público puede pasar a apuntar a 10.x/169.254.x después, y la
+ * respuesta del destino se guarda y se enseña en el listado de entregas.
+ * Un fallo de DNS lanza (el intento se reintenta como cualquier error de red).
+ */
+async function destinoInterno(url, lookupImpl) {
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    const direcciones = await lookupImpl(host, { all: true, verbatim: true });
+    return direcciones.some(d => esIpPrivada(d.address))
+        ? 'El destino resuelve a una red interna'
+        : null;
+}
+
+/** Sanea la lista de eventos. Devuelve { error } o { eventos }. */
+function sanearEventos(lista) {
+    if (!Array.isArray(lista) || lista.length === 0) {
+        return { error: `eventos debe ser una lista no vacía de: ${EVENTOS.join(', ')}` };
+    }
+    const desconocido = lista.find(e => !EVENTOS.includes(e));
+    if (desconocido) return { error: `Evento desconocido: ${String(desconocido).slice(0, 60)}` };
+    return { eventos: [...new Set(lista)] };
+}
+
+/**
+ * Un intento de entrega. Reclama la fila (si otro proceso la tiene, no hace
+ * nada), envía y deja el resultado. Nunca lanza.
+ *
+ * @param {Pool} pool
+ * @param {number} entregaId
+ * @param {number} restauranteId
+ * @param {{ fetchImpl?: Function, lookupImpl?: Function, ahora?: Date }} [opts]
+ * @returns {Promise<null | { estado: string, status: number|null, error: string|null }>}
+ */
+async function intentarEntrega(pool, entregaId, restauranteId, { fetchImpl = fetch, lookupImpl = dns.promises.lookup, ahora = new Date() } = {}) {
+    try {
+        const claim = await pool.query(
+            `UPDATE webhook_entregas e
+             SET proximo_intento = NOW() + INTERVAL '${RESERVA_SEGUNDOS} seconds'
+             FROM webhook_suscripciones s
+             WHERE e.id = $1 AND e.restaurante_id = $2
+               AND s.id = e.suscripcion_id AND s.restaurante_id = e.restaurante_id
+               AND e.estado = 'pendiente' AND e.proximo_intento <= NOW()
+             RETURNING e.id, e.msg_id, e.payload, e.intentos, s.url, s.secreto, s.activo, s.deleted_at`,
+            [entregaId, restauranteId]
+        );
+        if (claim.rows.length === 0) return null; // ya entregada, reservada por otro, o no vence aún
+        const e = claim.rows[0];
+
+        // Suscripción desactivada o destino interno: no se envía ni se
+        // reintenta (reintentar no lo arregla).
+        const descartar = async (motivo) => {
+            await pool.query(
+                `UPDATE webhook_entregas SET estado = 'fallido', ultimo_error = $3, proximo_intento = NULL
+                 WHERE id = $1 AND restaurante_id = $2`,
+                [entregaId, restauranteId, motivo]
+            );
+            return { estado: 'fallido', status: null, error: motivo };
+        };
+        if (!e.activo || e.deleted_at) return descartar('Suscripción desactivada');
+
+        const cuerpo = JSON.stringify(e.payload);
+        let status = null;
+        let error = null;
+        let respuesta = null;
+        let interno = null;
+        try {
+            interno = await destinoInterno(e.url, lookupImpl);
+            if (!interno) {
+                const r = await fetchImpl(e.url, {
+                    method: 'POST',
+                    headers: cabecerasFirmadas(e.secreto, e.msg_id, cuerpo, ahora),
+                    body: cuerpo,
+                    redirect: 'manual',
+                    signal: AbortSignal.timeout(TIMEOUT_MS)
+                });
+                status = r.status;
+                respuesta = (await r.text().catch(() => '')).slice(0, MAX_RESPUESTA);
+                if (status < 200 || status >= 300) error = `HTTP ${status}`;
+            }
+        } catch (fetchErr) {
+            error = fetchErr.name === 'TimeoutError' ? `Sin respuesta en ${TIMEOUT_MS / 1000}s` : fetchErr.message;
+        }
+        if (interno) {
+            log('warn', 'Webhook saliente hacia red interna bloqueado', { entregaId, restauranteId });
+            return descartar(interno);
+        }
+
+        const intentos = (parseInt(e.intentos) || 0) + 1;
+        let estado;
+        let espera = null;
+        if (!error) {
+            estado = 'entregado';
+        } else {
+            espera = siguienteEspera(intentos);
+            estado = espera === null ? 'fallido' : 'pendiente';
+        }
+
+        await pool.query(
+            `UPDATE webhook_entregas
+             SET estado = $3, intentos = $4, ultimo_status = $5, ultimo_error = $6, respuesta = $7,
+                 proximo_intento = CASE WHEN $8::int IS NULL THEN NULL ELSE NOW() + ($8::int * INTERVAL '1 second') END,
+                 entregado_at = CASE WHEN $3 = 'entregado' THEN NOW() ELSE entregado_at END
+             WHERE id = $1 AND restaurante_id = $2`,
+            [entregaId, restauranteId, estado, intentos, status, error, respuesta, espera]
+        );
+        if (estado === 'fallido') {
+            log('warn', 'Webhook saliente agotó los reintentos', { entregaId, restauranteId, error });
+        }
+        return { estado, status, error };
+    } catch (err) {
+        log('warn', 'Error en intento de webhook saliente', { entregaId, restauranteId, error: err.message });
+        return null;
+    }
+}
+
+/**
+ * Encola el evento para cada suscripción activa del restaurante que lo
+ * escucha y hace el primer intento. Fire-and-forget: nunca lanza.
+ *
+ * @param {Pool} pool
+ * @param {number} restauranteId
+ * @param {string} evento - uno de EVENTOS
+ * @param {object} data
+ * @returns {Promise<number>} entregas creadas
+ */
+async function emitirEvento(pool, restauranteId, evento, data, opts = {}) {
+    if (!restauranteId || !EVENTOS.includes(evento)) {
+        log('warn', `[webhooks] evento inválido (evento=${evento}, restauranteId=${restauranteId})`);
+        return 0;
+    }
+    try {
+        const payload = { type: evento, timestamp: new Date().toISOString(), data: data ?? {} };
+        const { rows } = await pool.query(
+            `INSERT INTO webhook_entregas (suscripcion_id, restaurante_id, evento, msg_id, payload)
+             SELECT s.id, s.restaurante_id, $2, 'msg_' || md5(random()::text || clock_timestamp()::text || s.id::text), $3
+             FROM webhook_suscripciones s
+             WHERE s.restaurante_id = $1 AND s.activo = TRUE AND s.deleted_at IS NULL
+               AND s.eventos ? $2
+             RETURNING id`,
+            [restauranteId, evento, JSON.stringify(payload)]
+        );
+        for (const r of rows) {
+            await intentarEntrega(pool, r.id, restauranteId, opts);
+        }
+        return rows.length;
+    } catch (err) {
+        log('warn', '[webhooks] no se pudo emitir el evento', { evento, restauranteId, error: err.message });
+        return 0;
+    }
+}
+
+/**
+ * Reenvío manual de una entrega (cualquier estado). Crea una entrega nueva
+ * con el mismo payload y webhook-id, y la intenta ya.
+ * @returns {Promise<null | object>} la entrega nueva, o null si no existe
+ */
+async function reenviarEntrega(pool, restauranteId, entregaId, opts = {}) {
+    const { rows } = await pool.query(
+        `INSERT INTO webhook_entregas (suscripcion_id, restaurante_id, evento, msg_id, payload, reenvio_de)
+         SELECT e.suscripcion_id, e.restaurante_id, e.evento, e.msg_id, e.payload, e.id
+         FROM webhook_entregas e
+         JOIN webhook_suscripciones s ON s.id = e.suscripcion_id AND s.restaurante_id = e.restaurante_id
+         WHERE e.id = $1 AND e.restaurante_id = $2 AND s.deleted_at IS NULL
+         RETURNING id`,
+        [entregaId, restauranteId]
+    );
+    if (rows.length === 0) return null;
+    await intentarEntrega(pool, rows[0].id, restauranteId, opts);
+    const nueva = await pool.query(
+        `SELECT id, suscripcion_id, evento, msg_id, estado, intentos, ultimo_status, ultimo_error,
+                proximo_intento, reenvio_de, entregado_at, created_at
+         FROM webhook_entregas WHERE id = $1 AND restaurante_id = $2`,
+        [rows[0].id, restauranteId]
+    );
+    return nueva.rows[0] || null;
+}
+
+/**
+ * Una pasada del programador: reintenta las entregas vencidas. Devuelve
+ * cuántas intentó.
+ */
+async function procesarReintentos(pool, { limite = 50, ...opts } = {}) {
+    const { rows } = await pool.query(
+        `SELECT id, restaurante_id
+         FROM webhook_entregas
+         WHERE estado = 'pendiente' AND proximo_intento <= NOW()
+         ORDER BY proximo_intento
+         LIMIT $1`,
+        [limite]
+    );
+    let intentadas = 0;
+    for (const r of rows) {
+        if (await intentarEntrega(pool, r.id, r.restaurante_id, opts)) intentadas++;
+    }
+    return intentadas;
+}
+
+/**
+ * Arranca el programador de reintentos (server.js, tras listen). Timer con
+ * unref() para no retener el proceso al apagar.
+ */
+function iniciarProgramador(pool) {
+    let enCurso = false;
+    const pasada = async () => {
+        if (enCurso) return;
+        enCurso = true;
+        try {
+            const n = await procesarReintentos(pool);
+            if (n > 0) log('info', 'Pasada de reintentos de webhooks', { intentadas: n });
+        } catch (err) {
+            log('error', 'Programador de webhooks falló', { error: err.message });
+        } finally {
+            enCurso = false;
+        }
+    };
+    const timer = setInterval(pasada, INTERVALO_MS);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    EVENTOS,
+    BACKOFF_SEGUNDOS,
+    MAX_INTENTOS,
+    generarSecreto,
+    enmascararSecreto,
+    cabecerasFirmadas,
+    siguienteEspera,
+    validarUrlDestino,
+    sanearEventos,
+    intentarEntrega,
+    emitirEvento,
+    reenviarEntrega,
+    procesarReintentos,
+    iniciarProgramador
+};
@@ -0,0 +1,95 @@
+/**
+ * permissionService — rol actual y permisos efectivos de un usuario.
+ *
+ * El rol se lee de `usuario_restaurantes` y no del JWT: si un admin cambia el
+ * rol de alguien (o lo degrada), tiene efecto sin esperar a que caduque el
+ * token de 7 días. Las personalizaciones de cada restaurante viven en
+ * `permisos_rol`. Ambas lecturas se cachean CACHE_MS en memoria; la
+ * instancia que guarda un cambio invalida su caché en el momento.
+ *
+ * El catálogo, los roles y la lógica pura están en utils/permisos.js.
+ */
+
+const { permisosDeRol } = require('../utils/permisos');
+
+const CACHE_MS = 60 * 1000;
+const MAX_CACHE = 5000;
+
+const cacheRol = new Map();            // `${usuarioId}:${restauranteId}` → { rol, hasta }
+const cachePersonalizados = new Map(); // restauranteId → { personalizados, hasta }
+
+function recordar(cache, clave, valor) {
+    if (cache.size >= MAX_CACHE) cache.clear();
+    cache.set(clave, { ...valor, hasta: Date.now() + CACHE_MS });
+}
+
+/** rol → permisos personalizados por el restaurante. */
+async function cargarPersonalizados(pool, restauranteId) {
+    const enCache = cachePersonalizados.get(restauranteId);
+    if (enCache && enCache.hasta > Date.now()) return enCache.personalizados;
+    const { rows } = await pool.query(
+        'SELECT rol, permisos FROM permisos_rol WHERE restaurante_id = $1',
+        [restauranteId]
+    );
+    const personalizados = {};
+    for (const r of rows) {
+        if (Array.isArray(r.permisos)) personalizados[r.rol] = r.permisos;
+    }
+    recordar(cachePersonalizados, restauranteId, { personalizados });
+    return personalizados;
+}
+
+/**
+ * Rol actual del usuario en el restaurante. Sin fila en usuario_restaurantes
+ * (usuarios anteriores a la tabla) se usa el del token.
+ */
+async function rolActual(pool, usuarioId, restauranteId, rolToken) {
+    const clave = `${usuarioId}:${restauranteId}`;
+    const enCache = cacheRol.get(clave);
+    if (enCache && enCache.hasta > Date.now()) return enCache.rol;
+    const { rows } = await pool.query(
+        'SELECT rol FROM usuario_restaurantes WHERE usuario_id = $1 AND restaurante_id = $2',
+        [usuarioId, restauranteId]
+    );
+    const rol = rows[0]?.rol || rolToken || null;
+    recordar(cacheRol, clave, { rol });
+    return rol;
+}
+
+/** @returns {{rol: string|null, permisos: string[]}} */
+async function permisosDeUsuario(pool, usuarioId, restauranteId, rolToken) {
+    const rol = await rolActual(pool, usuarioId, restauranteId, rolToken);
+    const personalizados = await cargarPersonalizados(pool, restauranteId);
+    return { rol, permisos: permisosDeRol(rol, personalizados) };
+}
+
+/**
+ * Guarda (o con `permisos === null` borra) la personalización de un rol.
+ */
+async function guardarPersonalizacion(pool, restauranteId, rol, permisos, usuarioId) {
+    if (permisos === null) {
+        await pool.query('DELETE FROM permisos_rol WHERE restaurante_id = $1 AND rol = $2', [restauranteId, rol]);
+    } else {
+        await pool.query(
+            `INSERT INTO permisos_rol (restaurante_id, rol, permisos, updated_by, updated_at)
+             VALUES ($1, $2, $3, $4, NOW())
+             ON CONFLICT (restaurante_id, rol)
+             DO UPDATE SET permisos = EXCLUDED.permisos, updated_by = EXCLUDED.updated_by, updated_at = NOW()`,
+            [restauranteId, rol, JSON.stringify(permisos), usuarioId || null]
+        );
+    }
+    cachePersonalizados.delete(restauranteId);
+}
+
+/** Tras cambiar el rol de alguien: que esta instancia lo vea ya. */
+function olvidarRol(usuarioId, restauranteId) {
+    cacheRol.delete(`${usuarioId}:${restauranteId}`);
+}
+
+module.exports = {
+    cargarPersonalizados,
+    rolActual,
+    permisosDeUsuario,
+    guardarPersonalizacion,
+    olvidarRol
+};
@@ -0,0 +1,129 @@
+/**
+ * presupuestoService — presupuesto frente a real del mes y acumulado del año.
+ *
+ * Lo real sale de las mismas fuentes que el resto de pantallas, para que las
+ * cifras cuadren:
+ *   - ingresos / food_cost / beverage_cost: ventas_diarias_resumen con los
+ *     buckets de utils/categoriaClassifier (como /analytics/pnl-breakdown);
+ *   - personal: services/nominaService (como /staff/payroll-estimate), que
+ *     cuenta a cada empleado solo sus días en plantilla (fecha_alta/fecha_baja);
+ *   - gastos_fijos: los gastos fijos OPERATIVOS por `categoria`
+ *     (utils/gastosOperativos) vigentes algún día del mes: dados de alta
+ *     (created_at) antes de que acabe y sin baja (fecha_baja, o updated_at en
+ *     los antiguos) antes de que empiece. El importe es el de hoy: no hay
+ *     histórico de cambios de monto_mensual.
+ * El cálculo de la desviación está en utils/presupuesto.
+ *
+ * SOLO LECTURA. Todas las consultas filtran por restaurante_id.
+ */
+
+const { beverageCategoriesSqlList, otherCategoriesSqlList } = require('../utils/categoriaClassifier');
+const { condicionGastosOperativosSql } = require('../utils/gastosOperativos');
+const { compararPresupuesto, sumarReales } = require('../utils/presupuesto');
+const { estimacionNominaMes } = require('./nominaService');
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/** Primer día del mes siguiente a 'YYYY-MM'. */
+function inicioMesSiguiente(anio, mes) {
+    return mes === 12 ? `${anio + 1}-01-01` : `${anio}-${pad(mes + 1)}-01`;
+}
+
+/**
+ * Real de cada mes de `anio` desde enero hasta `hastaMes` (incluido).
+ * @returns {Promise<object[]>} uno por mes: {mes, ingresos, food_cost, beverage_cost, personal, gastos_fijos}
+ */
+async function realesDelAnio(pool, restauranteId, anio, hastaMes) {
+    const [ventas, gastos] = await Promise.all([
+        pool.query(
+            `SELECT EXTRACT(MONTH FROM vdr.fecha)::int AS mes,
+                    CASE
+                        WHEN LOWER(TRIM(COALESCE(r.categoria, ''))) IN (${beverageCategoriesSqlList()}) THEN 'beverage'
+                        WHEN LOWER(TRIM(COALESCE(r.categoria, ''))) IN (${otherCategoriesSqlList()})    THEN 'otros'
+                        ELSE 'food'
+                    END AS bucket,
+                    COALESCE(SUM(vdr.total_ingresos), 0)::numeric(14,2) AS ingresos,
+                    COALESCE(SUM(vdr.coste_ingredientes), 0)::numeric(14,2) AS cogs
+             FROM ventas_diarias_resumen vdr
+             LEFT JOIN recetas r ON r.id = vdr.receta_id AND r.deleted_at IS NULL
+             WHERE vdr.restaurante_id = $1 AND vdr.fecha >= $2 AND vdr.fecha < $3
+             GROUP BY 1, 2`,
+            [restauranteId, `${anio}-01-01`, inicioMesSiguiente(anio, hastaMes)]
+        ),
+        pool.query(
+            `SELECT LOWER(TRIM(COALESCE(categoria, ''))) AS categoria, monto_mensual AS total,
+                    created_at::date::text AS alta, baja::text AS baja
+             FROM (
+                 SELECT *, CASE WHEN activo IS NULL OR activo = TRUE THEN NULL
+                                ELSE COALESCE(fecha_baja, updated_at::date) END AS baja
+                 FROM gastos_fijos
+                 WHERE restaurante_id = $1
+             ) g
+             WHERE ${condicionGastosOperativosSql()}
+               AND (created_at IS NULL OR created_at < $3::date)
+               AND (baja IS NULL OR baja >= $2::date)`,
+            [restauranteId, `${anio}-01-01`, inicioMesSiguiente(anio, hastaMes)]
+        )
+    ]);
+
+    /** Gastos fijos vigentes algún día del mes, sumados por categoría. */
+    const gastosFijosDelMes = (mes) => {
+        const inicio = `${anio}-${pad(mes)}-01`;
+        const fin = inicioMesSiguiente(anio, mes);
+        const porCategoria = {};
+        for (const g of gastos.rows) {
+            if ((g.alta && g.alta >= fin) || (g.baja && g.baja < inicio)) continue;
+            porCategoria[g.categoria] = (porCategoria[g.categoria] || 0) + (parseFloat(g.total) || 0);
+        }
+        return porCategoria;
+    };
+
+    const reales = [];
+    for (let mes = 1; mes <= hastaMes; mes++) {
+        const filas = ventas.rows.filter(v => Number(v.mes) === mes);
+        const bucket = (nombre, campo) => filas.filter(v => v.bucket === nombre).reduce((s, v) => s + (parseFloat(v[campo]) || 0), 0);
+        // Secuencial a propósito: son 5 queries por mes y el pool es compartido.
+        const nomina = await estimacionNominaMes(pool, restauranteId, `${anio}-${pad(mes)}`);
+        reales.push({
+            mes: `${anio}-${pad(mes)}`,
+            ingresos: filas.reduce((s, v) => s + (parseFloat(v.ingresos) || 0), 0),
+            food_cost: bucket('food', 'cogs'),
+            beverage_cost: bucket('beverage', 'cogs'),
+            personal: nomina.total.coste_total,
+            gastos_fijos: gastosFijosDelMes(mes)
+        });
+    }
+    return reales;
+}
+
+/**
+ * Presupuesto frente a real del mes y acumulado del año hasta ese mes.
+ * @param {string} mes - 'YYYY-MM'
+ */
+async function presupuestoVsReal(pool, restauranteId, mes) {
+    const anio = Number(mes.slice(0, 4));
+    const numMes = Number(mes.slice(5, 7));
+
+    const [presupuestos, reales] = await Promise.all([
+        pool.query(
+            `SELECT mes, linea, categoria, importe
+             FROM presupuestos
+             WHERE restaurante_id = $1 AND anio = $2 AND mes <= $3`,
+            [restauranteId, anio, numMes]
+        ),
+        realesDelAnio(pool, restauranteId, anio, numMes)
+    ]);
+
+    const delMes = presupuestos.rows.filter(p => Number(p.mes) === numMes);
+    return {
+        mes,
+        ...compararPresupuesto(delMes, reales[reales.length - 1]),
+        acumulado: {
+            desde: `${anio}-01`,
+            hasta: mes,
+            ...compararPresupuesto(presupuestos.rows, sumarReales(reales))
+        }
+    };
+}
+
+module.exports = { presupuestoVsReal, realesDelAnio };
@@ -0,0 +1,331 @@
+/**
+ * recipeCostHistoryService.js
+ *
+ * Histórico versionado del coste de las recetas (tabla recetas_coste_historico).
+ *
+ * recetas.coste_calculado / food_cost solo guardan el valor de HOY. Este
+ * servicio, en cada recálculo, deja además una foto con el desglose por
+ * ingrediente base, de forma que se puede:
+ *   - saber el coste de un plato en cualquier fecha pasada, y
+ *   - explicar cada salto de la curva (qué ingrediente lo movió y si fue por
+ *     precio o por cambio de cantidad en el escandallo).
+ *
+ * Quién lo llama (DENTRO de la transacción de la operación principal, con su
+ * client, justo antes del COMMIT):
+ *   - POST /analytics/recalculate-cogs (apply)  → origen 'recalculate-cogs'
+ *   - POST/PUT /recipes                          → origen 'receta'
+ *   - recepción de pedidos (recalcularPrecioPonderado) → origen 'precio-compra'
+ *   - traspaso con precio interno aprobado (idem)      → origen 'precio-compra'
+ *   - lote de la cocina central (precio del producto)  → origen 'produccion'
+ *   - acción del chat "precio de receta"               → origen 'receta'
+ *
+ * Diseño:
+ * - Dentro de la transacción que lo dispara: la foto y el UPDATE de
+ *   recetas.coste_calculado se confirman (o se deshacen) con el cambio de
+ *   precio/escandallo que los provoca. Va en un SAVEPOINT: un fallo aquí se
+ *   loguea y NO aborta la operación, como logChange / markStep.
+ * - Solo inserta si el coste o el precio de venta cambiaron respecto a la
+ *   última foto de la receta: un precio nuevo mueve food_cost y margen.
+ * - El coste sale de getRecipeCostBreakdown, que suma exactamente lo mismo
+ *   que getRecipeCostBase (el helper canónico) con los precios de
+ *   getBackendIngredientUnitPrice. No hay una segunda fórmula de coste.
+ */
+
+const { log } = require('../utils/logger');
+const { getBackendIngredientUnitPrice, getRecipeCostBreakdown } = require('../utils/businessHelpers');
+
+const ORIGENES = ['recalculate-cogs', 'receta', 'precio-compra', 'produccion'];
+
+// Por debajo de esto (en € por lote) dos fotos se consideran el mismo coste.
+const EPSILON_COSTE = 0.0001;
+
+const round = (n, d = 4) => Math.round(n * 10 ** d) / 10 ** d;
+
+/**
+ * Carga recetas, precios unitarios canónicos y rendimientos del tenant: lo
+ * necesario para costear cualquier receta (incluidas subrecetas).
+ *
+ * @param {object} db - pool o client
+ * @param {number} restauranteId
+ */
+async function cargarContextoCoste(db, restauranteId) {
+    const [recRes, ingRes] = await Promise.all([
+        db.query(
+            `SELECT id, nombre, ingredientes, porciones, precio_venta
+             FROM recetas
+             WHERE restaurante_id = $1 AND deleted_at IS NULL`,
+            [restauranteId]
+        ),
+        db.query(
+            `SELECT i.id, i.nombre, i.precio, i.cantidad_por_formato, i.rendimiento, i.precio_fijado,
+                    pcd.precio_medio_compra
+             FROM ingredientes i
+             LEFT JOIN (
+                 SELECT ingrediente_id,
+                        ROUND((SUM(total_compra) / NULLIF(SUM(cantidad_comprada), 0))::numeric, 4) AS precio_medio_compra
+                 FROM precios_compra_diarios
+                 WHERE restaurante_id = $1
+                 GROUP BY ingrediente_id
+             ) pcd ON pcd.ingrediente_id = i.id
+             WHERE i.restaurante_id = $1 AND i.deleted_at IS NULL`,
+            [restauranteId]
+        )
+    ]);
+
+    const preciosMap = new Map();
+    const rendimientoBaseMap = new Map();
+    const nombresMap = new Map();
+    for (const ing of ingRes.rows) {
+        preciosMap.set(ing.id, getBackendIngredientUnitPrice(ing));
+        if (ing.rendimiento) rendimientoBaseMap.set(ing.id, parseFloat(ing.rendimiento));
+        nombresMap.set(ing.id, ing.nombre);
+    }
+    return {
+        recetas: recRes.rows,
+        recetasMap: new Map(recRes.rows.map(r => [r.id, r])),
+        preciosMap,
+        rendimientoBaseMap,
+        nombresMap
+    };
+}
+
+/**
+ * Foto de coste de una receta con el contexto ya cargado. Pura.
+ *
+ * @returns {{coste_lote:number, coste_porcion:number, precio_venta:number|null,
+ *            food_cost_pct:number|null, desglose:Array}}
+ */
+function calcularFotoCoste(receta, ctx) {
+    const lineas = getRecipeCostBreakdown(receta, ctx.preciosMap, ctx.recetasMap, ctx.rendimientoBaseMap);
+    const costeLote = lineas.reduce((s, l) => s + l.coste, 0);
+    const porciones = Math.max(1, parseInt(receta.porciones) || 1);
+    const costePorcion = costeLote / porciones;
+    const precioVenta = parseFloat(receta.precio_venta) || 0;
+    return {
+        coste_lote: round(costeLote),
+        coste_porcion: round(costePorcion),
+        precio_venta: precioVenta > 0 ? precioVenta : null,
+        food_cost_pct: precioVenta > 0 ? round((costePorcion / precioVenta) * 100, 2) : null,
+        desglose: lineas.map(l => ({
+            ingrediente_id: l.ingredienteId,
+            nombre: ctx.nombresMap?.get(l.ingredienteId) || null,
+            cantidad: round(l.cantidad),
+            precio_unitario: round(l.precioUnitario),
+            coste: round(l.coste)
+        }))
+    };
+}
+
+/**
+ * Explica el salto entre dos fotos consecutivas: el ingrediente cuya línea
+ * más cambió y por qué (precio, cantidad, alta o baja en el escandallo). Pura.
+ *
+ * @param {object|null} anterior - foto previa (null si es la primera)
+ * @param {object} actual
+ * @returns {object|null} null si no hay foto anterior o nada cambió
+ */
+function explicarCambioCoste(anterior, actual) {
+    if (!anterior) return null;
+    const porId = (desglose) => new Map((desglose || []).map(l => [l.ingrediente_id, l]));
+    const antes = porId(anterior.desglose);
+    const despues = porId(actual.desglose);
+
+    let mayor = null;
+    for (const id of new Set([...antes.keys(), ...despues.keys()])) {
+        const a = antes.get(id);
+        const d = despues.get(id);
+        const delta = (parseFloat(d?.coste) || 0) - (parseFloat(a?.coste) || 0);
+        if (Math.abs(delta) < EPSILON_COSTE) continue;
+        if (mayor && Math.abs(delta) <= Math.abs(mayor.delta)) continue;
+
+        let motivo;
+        if (!a) motivo = 'alta';
+        else if (!d) motivo = 'baja';
+        else if (Math.abs(parseFloat(a.precio_unitario) - parseFloat(d.precio_unitario)) >= EPSILON_COSTE) motivo = 'precio';
+        else motivo = 'cantidad';
+
+        mayor = {
+            ingrediente_id: id,
+            nombre: d?.nombre || a?.nombre || null,
+            motivo,
+            delta: round(delta),
+            precio_antes: a ? parseFloat(a.precio_unitario) : null,
+            precio_despues: d ? parseFloat(d.precio_unitario) : null
+        };
+    }
+    return mayor;
+}
+
+/**
+ * ¿Usa la receta (directamente o vía elaboraciones anidadas) alguna de
+ * `recetaIds`? Corta ciclos igual que getRecipeCostBase.
+ */
+function usaAlgunaReceta(receta, recetaIds, recetasMap, visited = new Set()) {
+    if (!receta || visited.has(receta.id)) return false;
+    visited.add(receta.id);
+    for (const item of receta.ingredientes || []) {
+        const ingId = parseInt(item.ingredienteId || item.ingrediente_id || item.id);
+        if (!(ingId > 100000)) continue;
+        if (recetaIds.has(ingId - 100000)) return true;
+        if (usaAlgunaReceta(recetasMap.get(ingId - 100000), recetaIds, recetasMap, visited)) return true;
+    }
+    return false;
+}
+
+/**
+ * Recalcula y versiona el coste de las recetas del tenant.
+ *
+ * @param {Pool|PoolClient} db - el client de la transacción que lo dispara
+ *        (corre en un SAVEPOINT de esa transacción) o el pool
+ * @param {number} restauranteId
+ * @param {object} params
+ * @param {string} params.origen - uno de ORIGENES
+ * @param {number[]} [params.recetaIds] - solo estas recetas y las que las usan
+ *        como elaboración (su coste también cambia)
+ * @param {number[]} [params.ingredienteIds] - solo las recetas que usan (también
+ *        vía subreceta) alguno de estos ingredientes
+ * @returns {Promise<number>} fotos insertadas
+ */
+async function registrarCostesRecetas(db, restauranteId, { origen, recetaIds = null, ingredienteIds = null } = {}) {
+    if (!restauranteId || !ORIGENES.includes(origen)) {
+        log('warn', `[coste-historico] llamada inválida (origen=${origen}, restauranteId=${restauranteId})`);
+        return 0;
+    }
+    // Un PoolClient (tiene release) es la transacción de quien llama: un fallo
+    // aquí no puede dejarla abortada.
+    const enTransaccion = typeof db.release === 'function';
+    try {
+        if (enTransaccion) await db.query('SAVEPOINT coste_historico');
+        const insertadas = await versionarCostes(db, restauranteId, { origen, recetaIds, ingredienteIds });
+        if (enTransaccion) await db.query('RELEASE SAVEPOINT coste_historico');
+        return insertadas;
+    } catch (err) {
+        if (enTransaccion) await db.query('ROLLBACK TO SAVEPOINT coste_historico').catch(() => {});
+        // No propagamos: el histórico no puede tumbar la operación que lo disparó.
+        log('error', `[coste-historico] registrarCostesRecetas(${origen}) falló para tenant ${restauranteId}: ${err.message}`);
+        return 0;
+    }
+}
+
+async function versionarCostes(db, restauranteId, { origen, recetaIds, ingredienteIds }) {
+    const ctx = await cargarContextoCoste(db, restauranteId);
+    const ingSet = ingredienteIds ? new Set(ingredienteIds.map(Number)) : null;
+    const recSet = recetaIds ? new Set(recetaIds.map(Number)) : null;
+
+    const fotos = [];
+    for (const receta of ctx.recetas) {
+        if (recSet && !recSet.has(receta.id) && !usaAlgunaReceta(receta, recSet, ctx.recetasMap)) continue;
+        const foto = calcularFotoCoste(receta, ctx);
+        if (ingSet && !foto.desglose.some(l => ingSet.has(l.ingrediente_id))) continue;
+        fotos.push({ receta, foto });
+    }
+    if (fotos.length === 0) return 0;
+
+    const ultimas = await db.query(
+        `SELECT DISTINCT ON (receta_id) receta_id, coste_lote, precio_venta
+         FROM recetas_coste_historico
+         WHERE restaurante_id = $1 AND receta_id = ANY($2::int[])
+         ORDER BY receta_id, created_at DESC, id DESC`,
+        [restauranteId, fotos.map(f => f.receta.id)]
+    );
+    const ultimaFoto = new Map(ultimas.rows.map(r => [r.receta_id, r]));
+    const mismoPrecio = (a, b) => (a === null || b === null ? a === b : Math.abs(a - b) < EPSILON_COSTE);
+
+    let insertadas = 0;
+    for (const { receta, foto } of fotos) {
+        const previa = ultimaFoto.get(receta.id);
+        if (previa
+            && Math.abs(parseFloat(previa.coste_lote) - foto.coste_lote) < EPSILON_COSTE
+            && mismoPrecio(previa.precio_venta === null ? null : parseFloat(previa.precio_venta), foto.precio_venta)) continue;
+
+        await db.query(
+            `INSERT INTO recetas_coste_historico
+                (receta_id, restaurante_id, coste_lote, coste_porcion, precio_venta, food_cost_pct, origen, desglose)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+            [receta.id, restauranteId, foto.coste_lote, foto.coste_porcion, foto.precio_venta,
+                foto.food_cost_pct, origen, JSON.stringify(foto.desglose)]
+        );
+        // Los campos "de hoy" de la receta siguen siendo el último valor.
+        // food_cost / margen son DECIMAL(5,2): se acotan para que un precio
+        // de venta ridículo no tumbe el UPDATE.
+        const acotar = (v) => v === null ? null : Math.max(-999.99, Math.min(999.99, v));
+        await db.query(
+            `UPDATE recetas
+             SET coste_calculado = $1, coste_por_racion = $2, food_cost = $3,
+                 margen_porcentaje = $4, last_cost_calculation = NOW()
+             WHERE id = $5 AND restaurante_id = $6`,
+            [round(foto.coste_lote, 2), round(foto.coste_porcion, 2), acotar(foto.food_cost_pct),
+                foto.food_cost_pct === null ? null : acotar(100 - foto.food_cost_pct), receta.id, restauranteId]
+        );
+        insertadas++;
+    }
+    return insertadas;
+}
+
+/**
+ * Curva de coste de una receta entre dos fechas. Incluye la foto vigente al
+ * inicio del rango (la última anterior a `desde`) para que la curva no arranque
+ * en blanco, y cada punto lleva la explicación de su salto.
+ *
+ * @param {Pool} pool
+ * @param {number} restauranteId
+ * @param {number} recetaId
+ * @param {{desde?: string, hasta?: string}} rango - fechas YYYY-MM-DD (hasta inclusive)
+ */
+async function getHistorialCoste(pool, restauranteId, recetaId, { desde = null, hasta = null } = {}) {
+    const { rows } = await pool.query(
+        `SELECT id, created_at AS fecha, coste_lote, coste_porcion, precio_venta, food_cost_pct, origen, desglose
+         FROM recetas_coste_historico
+         WHERE restaurante_id = $1 AND receta_id = $2
+           AND ($3::date IS NULL OR created_at >= $3::date
+                OR id = (SELECT id FROM recetas_coste_historico
+                         WHERE restaurante_id = $1 AND receta_id = $2 AND created_at < $3::date
+                         ORDER BY created_at DESC, id DESC LIMIT 1))
+           AND ($4::date IS NULL OR created_at < $4::date + INTERVAL '1 day')
+         ORDER BY created_at, id`,
+        [restauranteId, recetaId, desde, hasta]
+    );
+
+    let anterior = null;
+    const puntos = rows.map(r => {
+        const punto = {
+            fecha: r.fecha,
+            coste_lote: parseFloat(r.coste_lote),
+            coste_porcion: parseFloat(r.coste_porcion),
+            precio_venta: r.precio_venta !== null ? parseFloat(r.precio_venta) : null,
+            food_cost_pct: r.food_cost_pct !== null ? parseFloat(r.food_cost_pct) : null,
+            origen: r.origen,
+            causa: explicarCambioCoste(anterior, r),
+            desglose: r.desglose
+        };
+        anterior = r;
+        return punto;
+    });
+    return puntos;
+}
+
+/**
+ * Foto de coste vigente en una fecha (la última registrada hasta ese día
+ * inclusive), o null si la receta aún no tenía ninguna.
+ */
+async function getCosteEnFecha(pool, restauranteId, recetaId, fecha) {
+    const { rows } = await pool.query(
+        `SELECT created_at AS fecha, coste_lote, coste_porcion, precio_venta, food_cost_pct, origen, desglose
+         FROM recetas_coste_historico
+         WHERE restaurante_id = $1 AND receta_id = $2 AND created_at < $3::date + INTERVAL '1 day'
+         ORDER BY created_at DESC, id DESC
+         LIMIT 1`,
+        [restauranteId, recetaId, fecha]
+    );
+    return rows[0] || null;
+}
+
+module.exports = {
+    registrarCostesRecetas,
+    getHistorialCoste,
+    getCosteEnFecha,
+    cargarContextoCoste,
+    calcularFotoCoste,
+    explicarCambioCoste,
+    ORIGENES
+};
@@ -0,0 +1,68 @@
+/**
+ * reorderService — sugerencias de reposición (punto de pedido).
+ *
+ * Consumo diario real × plazo del proveedor + stock de seguridad. El consumo
+ * sale de `stock_deductions.calculado` de las ventas (demanda real aunque el
+ * clamp no descontara) y el plazo, de la media real de recepción de cada
+ * proveedor; el cálculo es computeReorderSuggestions (utils/businessHelpers).
+ *
+ * Lo usan GET /intelligence/reorder y la acción del chat que prepara un
+ * pedido de reposición (services/chatActionService). SOLO LEE.
+ */
+
+const { computeReorderSuggestions } = require('../utils/businessHelpers');
+
+const VENTANA_DIAS = 90;
+
+async function sugerenciasReposicion(pool, restauranteId, { leadDefault = 2, coberturaObjetivoDias = 7 } = {}) {
+    const result = await pool.query(`
+        SELECT i.id, i.nombre, i.unidad, i.stock_actual, i.stock_minimo,
+               i.proveedor_id, p.nombre AS proveedor_nombre,
+               c.consumido_ventana,
+               lt.lead_dias_medio
+        FROM ingredientes i
+        JOIN (
+            SELECT (d->>'ingredienteId')::int AS ingrediente_id,
+                   SUM(COALESCE((d->>'calculado')::numeric, 0)) AS consumido_ventana
+            FROM ventas v
+            CROSS JOIN LATERAL jsonb_array_elements(v.stock_deductions) d
+            WHERE v.restaurante_id = $1
+              AND v.deleted_at IS NULL
+              AND v.stock_deductions IS NOT NULL
+              AND v.fecha >= CURRENT_DATE - INTERVAL '${VENTANA_DIAS} days'
+            GROUP BY 1
+        ) c ON c.ingrediente_id = i.id
+        LEFT JOIN proveedores p
+               ON p.id = i.proveedor_id
+              AND p.restaurante_id = $1
+              AND p.deleted_at IS NULL
+        LEFT JOIN (
+            SELECT proveedor_id,
+                   AVG(GREATEST(1, EXTRACT(EPOCH FROM (fecha_recepcion - fecha_creacion)) / 86400.0)) AS lead_dias_medio
+            FROM pedidos
+            WHERE restaurante_id = $1
+              AND deleted_at IS NULL
+              AND estado = 'recibido'
+              AND fecha_recepcion IS NOT NULL
+              AND fecha_creacion IS NOT NULL
+              AND fecha_creacion >= CURRENT_DATE - INTERVAL '180 days'
+            GROUP BY proveedor_id
+        ) lt ON lt.proveedor_id = i.proveedor_id
+        WHERE i.restaurante_id = $1 AND i.deleted_at IS NULL
+    `, [restauranteId]);
+
+    const sugerencias = computeReorderSuggestions(result.rows, {
+        ventanaDias: VENTANA_DIAS,
+        leadDefault,
+        coberturaObjetivoDias
+    });
+
+    return {
+        ventana_dias: VENTANA_DIAS,
+        lead_default: leadDefault,
+        cobertura_objetivo_dias: coberturaObjetivoDias,
+        sugerencias
+    };
+}
+
+module.exports = { sugerenciasReposicion, VENTANA_DIAS };
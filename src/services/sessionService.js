@@ -0,0 +1,185 @@
+/**
+ * sessionService — sesiones de usuario y su revocación persistente.
+ *
+ * El logout guardaba el token en un Set en memoria (tokenBlacklist): cada
+ * deploy en Dokploy (un reinicio por push a main) o una segunda instancia
+ * resucitaba las sesiones cerradas. Ahora:
+ *
+ *   - Login, select-restaurant, switch-restaurant y registro emiten el JWT con
+ *     un `jti` y una fila en `sesiones` (para listarlas y revocarlas).
+ *   - Revocar = `sesiones.revocado_at`. Los tokens emitidos antes de esto no
+ *     tienen jti: se guardan por el sha256 del token ('h:...') en la misma
+ *     tabla, y "cerrar todas" los alcanza con `usuarios.sesiones_revocadas_at`
+ *     (todo token sin fila emitido antes de esa fecha).
+ *   - authMiddleware consulta sesionRevocada() con caché en memoria: una
+ *     sesión válida se recuerda CACHE_VALIDA_MS (lo que tarda como mucho otra
+ *     instancia en enterarse de una revocación); una revocada, hasta que el
+ *     token caduca. La instancia que revoca actualiza su caché en el momento.
+ *
+ * Si la consulta falla, la sesión se da por válida (y se loguea): una caída
+ * momentánea de la BD no debe cerrar la sesión a todos los usuarios, que es
+ * lo que hace el frontend ante un 401.
+ */
+
+const crypto = require('crypto');
+const { log } = require('../utils/logger');
+
+const CACHE_VALIDA_MS = 30 * 1000;
+const MAX_CACHE = 5000;
+const SESION_DIAS = 7;
+
+// clave → { revocada, hasta, usuarioId }
+const cache = new Map();
+
+/** jti del token o, si es anterior a los jti, 'h:' + sha256 del token. */
+function claveSesion(token, decoded) {
+    if (decoded && decoded.jti) return String(decoded.jti);
+    return 'h:' + crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function recordar(clave, valor) {
+    if (cache.size >= MAX_CACHE) cache.clear();
+    cache.set(clave, valor);
+}
+
+/**
+ * Registra una sesión nueva y devuelve el jti con el que firmar el JWT.
+ * Si el INSERT falla el login sigue: el token vale igual (sin fila = no
+ * revocado) y "cerrar todas" lo alcanza por fecha.
+ */
+async function crearSesion(pool, { usuarioId, restauranteId, req, dias = SESION_DIAS }) {
+    const jti = crypto.randomUUID();
+    try {
+        await pool.query(
+            `INSERT INTO sesiones (jti, usuario_id, restaurante_id, ip, user_agent, expires_at)
+             VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6::int))`,
+            [jti, usuarioId, restauranteId || null, req?.ip ? String(req.ip).slice(0, 64) : null,
+                req?.headers?.['user-agent'] ? String(req.headers['user-agent']).slice(0, 255) : null, dias]
+        );
+        // Limpieza de las caducadas del mismo usuario: la tabla no crece sin fin.
+        pool.query(
+            `DELETE FROM sesiones WHERE usuario_id = $1 AND expires_at < NOW() - INTERVAL '1 day'`,
+            [usuarioId]
+        ).catch(err => log('warn', 'No se pudieron purgar sesiones caducadas', { error: err.message }));
+    } catch (err) {
+        log('error', 'Error registrando sesión', { usuarioId, error: err.message });
+    }
+    return jti;
+}
+
+/**
+ * Revoca la sesión de un token ya verificado (logout).
+ * Upsert: los tokens sin jti no tienen fila hasta que se revocan.
+ */
+async function revocarSesion(pool, token, decoded, motivo = 'logout') {
+    const clave = claveSesion(token, decoded);
+    const hasta = decoded?.exp ? decoded.exp * 1000 : Date.now() + SESION_DIAS * 86400000;
+    recordar(clave, { revocada: true, hasta, usuarioId: decoded?.userId });
+    await pool.query(
+        `INSERT INTO sesiones (jti, usuario_id, restaurante_id, expires_at, revocado_at, motivo_revocacion)
+         VALUES ($1, $2, $3, to_timestamp($4 / 1000.0), NOW(), $5)
+         ON CONFLICT (jti) DO UPDATE
+           SET revocado_at = COALESCE(sesiones.revocado_at, NOW()),
+               motivo_revocacion = COALESCE(sesiones.motivo_revocacion, EXCLUDED.motivo_revocacion)`,
+        [clave, decoded?.userId || null, decoded?.restauranteId || null, hasta, motivo]
+    );
+}
+
+/** Revoca una sesión del propio usuario por id. @returns {boolean} si existía y estaba activa */
+async function revocarSesionPorId(pool, usuarioId, sesionId) {
+    const { rows } = await pool.query(
+        `UPDATE sesiones SET revocado_at = NOW(), motivo_revocacion = 'revocada'
+         WHERE id = $1 AND usuario_id = $2 AND revocado_at IS NULL
+         RETURNING jti, expires_at`,
+        [sesionId, usuarioId]
+    );
+    if (rows.length === 0) return false;
+    const hasta = rows[0].expires_at ? new Date(rows[0].expires_at).getTime() : Date.now() + SESION_DIAS * 86400000;
+    recordar(rows[0].jti, { revocada: true, hasta, usuarioId });
+    return true;
+}
+
+/**
+ * Cierra todas las sesiones de un usuario (incluidos tokens sin jti).
+ * @returns {number} sesiones con fila revocadas
+ */
+async function revocarTodas(pool, usuarioId, motivo = 'logout_all') {
+    const { rowCount } = await pool.query(
+        `UPDATE sesiones SET revocado_at = NOW(), motivo_revocacion = $2
+         WHERE usuario_id = $1 AND revocado_at IS NULL`,
+        [usuarioId, motivo]
+    );
+    await pool.query('UPDATE usuarios SET sesiones_revocadas_at = NOW() WHERE id = $1', [usuarioId]);
+    for (const [clave, v] of cache) {
+        if (v.usuarioId === usuarioId) cache.delete(clave);
+    }
+    return rowCount || 0;
+}
+
+/** Sesiones activas del usuario, marcando la actual. */
+async function listarSesiones(pool, usuarioId, claveActual) {
+    const { rows } = await pool.query(
+        `SELECT id, jti, restaurante_id, ip, user_agent, created_at, ultimo_uso, expires_at
+         FROM sesiones
+         WHERE usuario_id = $1 AND revocado_at IS NULL AND jti NOT LIKE 'h:%'
+           AND (expires_at IS NULL OR expires_at > NOW())
+         ORDER BY COALESCE(ultimo_uso, created_at) DESC`,
+        [usuarioId]
+    );
+    return rows.map(({ jti, ...s }) => ({ ...s, actual: jti === claveActual }));
+}
+
+/**
+ * ¿Está revocada la sesión de este token? Con caché (ver cabecera).
+ * Nunca lanza: un fallo de BD cuenta como "no revocada".
+ */
+async function sesionRevocada(pool, token, decoded) {
+    const clave = claveSesion(token, decoded);
+    const ahora = Date.now();
+    const enCache = cache.get(clave);
+    if (enCache && enCache.hasta > ahora) return enCache.revocada;
+
+    try {
+        const { rows } = await pool.query(
+            `SELECT s.id AS sesion_id, s.revocado_at, u.sesiones_revocadas_at
+             FROM usuarios u
+             LEFT JOIN sesiones s ON s.jti = $1 AND s.usuario_id = u.id
+             WHERE u.id = $2`,
+            [clave, decoded.userId]
+        );
+        const fila = rows[0];
+        let revocada = false;
+        if (fila) {
+            if (fila.sesion_id) {
+                revocada = !!fila.revocado_at;
+            } else if (fila.sesiones_revocadas_at && decoded.iat) {
+                revocada = decoded.iat * 1000 < new Date(fila.sesiones_revocadas_at).getTime();
+            }
+        }
+        const exp = decoded.exp ? decoded.exp * 1000 : ahora + CACHE_VALIDA_MS;
+        recordar(clave, { revocada, hasta: revocada ? exp : Math.min(exp, ahora + CACHE_VALIDA_MS), usuarioId: decoded.userId });
+
+        if (!revocada && fila?.sesion_id) {
+            pool.query(
+                `UPDATE sesiones SET ultimo_uso = NOW()
+                 WHERE id = $1 AND (ultimo_uso IS NULL OR ultimo_uso < NOW() - INTERVAL '5 minutes')`,
+                [fila.sesion_id]
+            ).catch(err => log('warn', 'No se pudo actualizar ultimo_uso de la sesión', { error: err.message }));
+        }
+        return revocada;
+    } catch (err) {
+        log('error', 'Error comprobando revocación de sesión', { error: err.message });
+        return false;
+    }
+}
+
+module.exports = {
+    SESION_DIAS,
+    claveSesion,
+    crearSesion,
+    revocarSesion,
+    revocarSesionPorId,
+    revocarTodas,
+    listarSesiones,
+    sesionRevocada
+};
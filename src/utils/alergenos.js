@@ -30,4 +30,93 @@ function sanitizeAlergenos(arr) {
     return ALERGENOS_CODES.filter(c => vistos.has(c));
 }
 
-module.exports = { ALERGENOS_CODES, sanitizeAlergenos };
+/**
+ * Nombre legible de cada código, tal como debe aparecer en la carta / ficha
+ * impresa (Anexo II del Reglamento UE 1169/2011).
+ */
+const ALERGENOS_LABELS = {
+    gluten: 'Cereales con gluten',
+    crustaceos: 'Crustáceos',
+    huevos: 'Huevos',
+    pescado: 'Pescado',
+    cacahuetes: 'Cacahuetes',
+    soja: 'Soja',
+    lacteos: 'Leche y derivados (lactosa)',
+    frutos_cascara: 'Frutos de cáscara',
+    apio: 'Apio',
+    mostaza: 'Mostaza',
+    sesamo: 'Granos de sésamo',
+    sulfitos: 'Dióxido de azufre y sulfitos',
+    altramuces: 'Altramuces',
+    moluscos: 'Moluscos'
+};
+
+/**
+ * Resuelve los alérgenos de UNA receta a partir de sus ingredientes BASE (ya
+ * expandidos por expandRecipeToBase, que baja por las elaboraciones anidadas)
+ * más los alérgenos EXTRA declarados a mano en la propia receta o en
+ * cualquiera de sus subrecetas (trazas/contaminación cruzada).
+ *
+ * Pura: no toca BD. Devuelve, por cada código presente, QUIÉN lo aporta —
+ * la ficha de alérgenos tiene que poder justificarse ante una inspección, no
+ * basta con el sí/no.
+ *
+ * @param {object} params
+ * @param {Array<{ingredienteId:number}>} params.baseIngs - salida de expandRecipeToBase
+ * @param {Map<number, {id:number, nombre:string, alergenos:*}>} params.ingredientesMap
+ * @param {Array<{id:number, nombre:string, alergenos_extra:*}>} params.recetas - la receta raíz
+ *        y las subrecetas que contiene (cuyas alergenos_extra se heredan)
+ * @returns {{ alergenos: string[], origen: Object<string, Array<{tipo:string, id:number, nombre:string}>> }}
+ */
+function resolverAlergenosReceta({ baseIngs = [], ingredientesMap = new Map(), recetas = [] }) {
+    const origen = {};
+    const apuntar = (code, fuente) => {
+        if (!origen[code]) origen[code] = [];
+        if (!origen[code].some(f => f.tipo === fuente.tipo && f.id === fuente.id)) {
+            origen[code].push(fuente);
+        }
+    };
+
+    for (const { ingredienteId } of baseIngs) {
+        const ing = ingredientesMap.get(ingredienteId);
+        if (!ing) continue; // borrado o de otro tenant: no aporta nada
+        for (const code of sanitizeAlergenos(ing.alergenos)) {
+            apuntar(code, { tipo: 'ingrediente', id: ing.id, nombre: ing.nombre });
+        }
+    }
+    for (const receta of recetas) {
+        for (const code of sanitizeAlergenos(receta.alergenos_extra)) {
+            apuntar(code, { tipo: 'receta', id: receta.id, nombre: receta.nombre });
+        }
+    }
+
+    return {
+        alergenos: ALERGENOS_CODES.filter(c => origen[c]),
+        origen
+    };
+}
+
+/**
+ * Ids de las subrecetas (directas y anidadas) de una receta, siguiendo la
+ * convención ingredienteId > 100000 → recetaId = ingredienteId - 100000.
+ * Protegido contra ciclos igual que expandRecipeToBase.
+ *
+ * @param {object} receta - { id, ingredientes }
+ * @param {Map<number, object>} recetasMap - recetaId → receta del tenant
+ * @returns {number[]}
+ */
+function subrecetasDe(receta, recetasMap, visited = new Set()) {
+    if (!receta || visited.has(receta.id)) return [];
+    visited.add(receta.id);
+    const out = [];
+    for (const item of receta.ingredientes || []) {
+        const ingId = parseInt(item.ingredienteId || item.ingrediente_id || item.ingredientId || item.id);
+        if (!(ingId > 100000)) continue;
+        const sub = recetasMap.get(ingId - 100000);
+        if (!sub || visited.has(sub.id)) continue;
+        out.push(sub.id, ...subrecetasDe(sub, recetasMap, visited));
+    }
+    return [...new Set(out)];
+}
+
+module.exports = { ALERGENOS_CODES, ALERGENOS_LABELS, sanitizeAlergenos, resolverAlergenosReceta, subrecetasDe };
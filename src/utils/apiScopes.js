@@ -0,0 +1,99 @@
+/**
+ * Scopes de los tokens de API (n8n, Zapier, integraciones propias).
+ *
+ * Un token de API lleva en el JWT la lista de scopes con los que se emitió
+ * (`recurso:read` / `recurso:write`). authMiddleware traduce cada petición al
+ * scope que necesita y la rechaza con 403 si el token no lo tiene. Funciones
+ * puras: no tocan BD ni req.
+ *
+ * Convenios:
+ * - GET/HEAD/OPTIONS piden `:read`; cualquier otro método pide `:write`.
+ * - `:write` incluye `:read` (un flujo que registra ventas suele leerlas).
+ * - '*' son todos los scopes. Solo lo tienen los tokens emitidos antes de
+ *   que existieran los scopes (2026-10-18); no se puede pedir para uno nuevo.
+ *   Como RECURSOS cubre todo lo que no es cuenta/sesión, '*' sigue siendo el
+ *   acceso total que tenían esos tokens.
+ * - Lo que está en SIN_SCOPE (auth, team, superadmin, chat, backup,
+ *   outbound-webhooks, facturación...) no es accesible con ningún scope, ni
+ *   siquiera '*': un token de API no puede crear otros tokens, cambiar de
+ *   restaurante ni tocar usuarios.
+ * - Cada segmento montado está en uno de los dos sitios: un segmento nuevo
+ *   sin clasificar rompe tests/unit/apiTokens.test.js (y, si llegara a
+ *   producción, se deniega a todos los tokens de API).
+ */
+
+/** Recurso → primeros segmentos de ruta bajo /api (o /api/v2) que cubre. */
+const RECURSOS = {
+    ingredients: ['ingredients', 'ingredients-suppliers'],
+    recipes: ['recipes', 'recipes-variants', 'elaboraciones'],
+    sales: ['sales', 'parse-pdf'],
+    orders: ['orders'],
+    purchases: ['purchases', 'parse-albaran'],
+    suppliers: ['suppliers'],
+    inventory: ['inventory', 'consumos-internos', 'produccion', 'system'],
+    mermas: ['mermas'],
+    transfers: ['transfers'],
+    staff: ['empleados', 'horarios', 'fichajes', 'ausencias', 'vacaciones', 'staff'],
+    expenses: ['gastos-fijos', 'personal-extra', 'restaurant'],
+    reports: ['analysis', 'analytics', 'balance', 'daily', 'monthly', 'intelligence', 'search', 'presupuestos'],
+    alerts: ['alerts']
+};
+
+/**
+ * Segmentos montados que NO son para tokens de API: cuenta y sesión, equipo,
+ * plataforma, facturación, chat, configuración del envío de informes, vista
+ * de grupo del propietario, y lo que no pasa por authMiddleware (kiosco de
+ * fichaje con token de terminal, webhooks entrantes, health).
+ */
+const SIN_SCOPE = [
+    'auth', 'team', 'superadmin', 'backup', 'debug', 'health',
+    'chat', 'chat-status', 'chat-addon', 'stripe', 'subscription', 'webhooks',
+    'outbound-webhooks', 'informe-mensual', 'onboarding', 'owner', 'fichaje'
+];
+
+const SCOPES = Object.keys(RECURSOS).flatMap(r => [`${r}:read`, `${r}:write`]);
+
+const SEGMENTO_A_RECURSO = new Map(
+    Object.entries(RECURSOS).flatMap(([recurso, segmentos]) => segmentos.map(s => [s, recurso]))
+);
+
+const METODOS_LECTURA = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+/**
+ * Scope que necesita una petición.
+ * @param {string} method - método HTTP
+ * @param {string} url - req.originalUrl (con o sin query)
+ * @returns {string|null} p.ej. 'sales:write'; null si la ruta no es accesible con scopes
+ */
+function scopeRequerido(method, url) {
+    const ruta = String(url || '').split('?')[0];
+    const m = ruta.match(/^\/api\/(?:v2\/)?([^/]+)/);
+    if (!m) return null;
+    const recurso = SEGMENTO_A_RECURSO.get(m[1].toLowerCase());
+    if (!recurso) return null;
+    return `${recurso}:${METODOS_LECTURA.has(String(method).toUpperCase()) ? 'read' : 'write'}`;
+}
+
+/** ¿Cubren estos scopes el scope requerido? */
+function tieneScope(scopes, requerido) {
+    if (!Array.isArray(scopes) || !requerido) return false;
+    if (scopes.includes('*') || scopes.includes(requerido)) return true;
+    const [recurso, accion] = requerido.split(':');
+    return accion === 'read' && scopes.includes(`${recurso}:write`);
+}
+
+/**
+ * Valida los scopes pedidos al emitir un token.
+ * @returns {{scopes: string[]}|{error: string}}
+ */
+function sanearScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        return { error: 'scopes es obligatorio (p.ej. ["sales:write", "ingredients:read"])' };
+    }
+    const unicos = [...new Set(scopes.map(s => String(s).trim()))];
+    const desconocidos = unicos.filter(s => !SCOPES.includes(s));
+    if (desconocidos.length > 0) return { error: `Scope desconocido: ${desconocidos.join(', ')}` };
+    return { scopes: unicos.sort() };
+}
+
+module.exports = { RECURSOS, SIN_SCOPE, SCOPES, scopeRequerido, tieneScope, sanearScopes };
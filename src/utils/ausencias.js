@@ -0,0 +1,123 @@
+/**
+ * Ausencias del personal: vacaciones, bajas y permisos (2026-10-18).
+ *
+ * `dias_libres_fijos` solo cubre el descanso semanal. Las vacaciones, las
+ * bajas y los permisos no se podían apuntar, así que el cuadrante (a mano o
+ * con el generador) ponía turnos a gente de vacaciones.
+ *
+ * Convenios:
+ * - Rangos de días NATURALES, ambos incluidos (fecha_inicio..fecha_fin): así
+ *   cuenta las vacaciones el art. 38 ET (30 días naturales al año).
+ * - Flujo: pendiente → aprobada | rechazada; cualquiera de las dos activas
+ *   (pendiente o aprobada) se puede cancelar. Las bajas no se "aprueban": son
+ *   un hecho y nacen aprobadas (TIPOS_AUSENCIA.requiereAprobacion).
+ * - Solo una ausencia APROBADA bloquea turnos; una pendiente es un aviso.
+ * - El saldo de vacaciones es por año natural; una ausencia que cruza el 31 de
+ *   diciembre reparte sus días entre los dos años.
+ * Funciones puras: las rutas (routes/ausencias.routes.js) leen y escriben.
+ */
+
+/** Tipos de ausencia. `descuentaVacaciones`: resta del saldo anual. */
+const TIPOS_AUSENCIA = {
+    vacaciones: { etiqueta: 'Vacaciones', requiereAprobacion: true, descuentaVacaciones: true },
+    asuntos_propios: { etiqueta: 'Asuntos propios', requiereAprobacion: true, descuentaVacaciones: false },
+    permiso_retribuido: { etiqueta: 'Permiso retribuido', requiereAprobacion: true, descuentaVacaciones: false },
+    permiso_no_retribuido: { etiqueta: 'Permiso no retribuido', requiereAprobacion: true, descuentaVacaciones: false },
+    baja_enfermedad: { etiqueta: 'Baja por enfermedad', requiereAprobacion: false, descuentaVacaciones: false },
+    baja_accidente: { etiqueta: 'Baja por accidente', requiereAprobacion: false, descuentaVacaciones: false }
+};
+
+const ESTADOS_AUSENCIA = ['pendiente', 'aprobada', 'rechazada', 'cancelada'];
+
+/** Estados que ocupan el calendario (solapes, saldo). */
+const ESTADOS_ACTIVOS = ['pendiente', 'aprobada'];
+
+/** Días naturales de vacaciones al año si la ficha no dice otra cosa (art. 38 ET). */
+const DIAS_VACACIONES_DEFECTO = 30;
+
+const DIA_MS = 24 * 3600 * 1000;
+const fechaCorta = (f) => String(f instanceof Date ? f.toISOString() : f).slice(0, 10);
+const aUtc = (f) => Date.parse(`${fechaCorta(f)}T00:00:00Z`);
+
+/** Días naturales de [inicio, fin] (incluidos) que caen en [desde, hasta]. */
+function diasSolapados(inicio, fin, desde, hasta) {
+    const a = Math.max(aUtc(inicio), aUtc(desde));
+    const b = Math.min(aUtc(fin), aUtc(hasta));
+    return b < a ? 0 : Math.round((b - a) / DIA_MS) + 1;
+}
+
+/** Días naturales de una ausencia dentro del año `anio`. */
+function diasEnAnio(inicio, fin, anio) {
+    return diasSolapados(inicio, fin, `${anio}-01-01`, `${anio}-12-31`);
+}
+
+/**
+ * Saldo de vacaciones del año.
+ *
+ * @param {object} datos
+ * @param {number} [datos.diasAnuales]
+ * @param {{tipo, estado, fecha_inicio, fecha_fin}[]} datos.ausencias - del empleado
+ * @param {number} datos.anio
+ * @param {string} [datos.hoy] - 'YYYY-MM-DD', para separar disfrutados de programados
+ * @returns {{anio, dias_anuales, disfrutados, programados, pendientes_aprobacion, disponibles}}
+ */
+function saldoVacaciones({ diasAnuales = DIAS_VACACIONES_DEFECTO, ausencias = [], anio, hoy = new Date().toISOString().slice(0, 10) }) {
+    let disfrutados = 0;
+    let programados = 0;
+    let pendientes = 0;
+    for (const a of ausencias) {
+        if (!TIPOS_AUSENCIA[a.tipo]?.descuentaVacaciones) continue;
+        const dias = diasEnAnio(a.fecha_inicio, a.fecha_fin, anio);
+        if (dias === 0) continue;
+        if (a.estado === 'pendiente') {
+            pendientes += dias;
+        } else if (a.estado === 'aprobada') {
+            // Lo ya pasado (hasta ayer) está disfrutado; de hoy en adelante, programado.
+            const yaPasados = diasSolapados(a.fecha_inicio, a.fecha_fin, `${anio}-01-01`, fechaCorta(new Date(aUtc(hoy) - DIA_MS)));
+            disfrutados += yaPasados;
+            programados += dias - yaPasados;
+        }
+    }
+    const anuales = Number(diasAnuales) >= 0 ? Number(diasAnuales) : DIAS_VACACIONES_DEFECTO;
+    return {
+        anio,
+        dias_anuales: anuales,
+        disfrutados,
+        programados,
+        pendientes_aprobacion: pendientes,
+        disponibles: anuales - disfrutados - programados - pendientes
+    };
+}
+
+/**
+ * Ausencia aprobada del empleado que cubre `fecha`, si la hay.
+ * @param {{empleado_id, estado, fecha_inicio, fecha_fin}[]} ausencias
+ */
+function ausenciaEnFecha(ausencias, empleadoId, fecha, estados = ['aprobada']) {
+    const dia = aUtc(fecha);
+    return (ausencias || []).find(a =>
+        Number(a.empleado_id) === Number(empleadoId)
+        && estados.includes(a.estado)
+        && aUtc(a.fecha_inicio) <= dia && dia <= aUtc(a.fecha_fin)
+    ) || null;
+}
+
+/** Texto para el chef: "Vacaciones del 2026-08-01 al 2026-08-15". */
+function describirAusencia(a) {
+    const tipo = TIPOS_AUSENCIA[a.tipo]?.etiqueta || a.tipo;
+    const inicio = fechaCorta(a.fecha_inicio);
+    const fin = fechaCorta(a.fecha_fin);
+    return inicio === fin ? `${tipo} el ${inicio}` : `${tipo} del ${inicio} al ${fin}`;
+}
+
+module.exports = {
+    TIPOS_AUSENCIA,
+    ESTADOS_AUSENCIA,
+    ESTADOS_ACTIVOS,
+    DIAS_VACACIONES_DEFECTO,
+    diasSolapados,
+    diasEnAnio,
+    saldoVacaciones,
+    ausenciaEnFecha,
+    describirAusencia
+};
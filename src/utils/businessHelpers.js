@@ -93,6 +93,7 @@ function getBackendIngredientUnitPrice(row) {
  * @param {object} receta - Receta con { id, porciones, ingredientes }
  * @param {object} client - Cliente PostgreSQL (puede ser pool o connection dentro de transacción)
  * @param {number} restauranteId - ID del restaurante (multi-tenant)
+ * @param {object} [opts] - { aplicarRendimiento, rendimientoIngredientesMap, incluirSinCantidad, recetasMap }
  * @param {Set<number>} [visited] - Set interno para detectar ciclos
  * @returns {Promise<Array<{ingredienteId:number, cantidadPorPorcion:number}>>}
  *          Mapa de ingredientes BASE con cuánto se gasta de cada uno por CADA porción
@@ -107,26 +108,41 @@ async function expandRecipeToBase(receta, client, restauranteId, opts = {}, visi
     //   línea del escandallo (ing.rendimiento) > ingrediente base
     //   (opts.rendimientoIngredientesMap) > 100%. Misma prioridad que el food cost.
     // Por defecto FALSE → comportamiento histórico (cantidad servida, sin merma).
-    const { aplicarRendimiento = false, rendimientoIngredientesMap = new Map() } = opts;
+    // opts.incluirSinCantidad: las líneas a 0 (o sin cantidad) se devuelven con
+    //   cantidadPorPorcion 0 en vez de descartarse. El stock no las necesita,
+    //   pero los alérgenos sí: un ingrediente "al gusto" sigue en el plato.
+    // opts.recetasMap: recetaId → receta ya cargada; si viene, las subrecetas
+    //   se resuelven en memoria sin una query por elaboración (matriz de
+    //   alérgenos de todo el tenant).
+    const {
+        aplicarRendimiento = false,
+        rendimientoIngredientesMap = new Map(),
+        incluirSinCantidad = false,
+        recetasMap = null
+    } = opts;
     const porciones = Math.max(1, parseInt(receta.porciones) || 1);
     const items = receta.ingredientes || [];
     const acc = new Map();
     for (const ing of items) {
         const ingId = ing.ingredienteId || ing.ingrediente_id || ing.ingredientId || ing.id;
         const cantidad = parseFloat(ing.cantidad ?? ing.quantity) || 0;
-        if (!ingId || cantidad <= 0) continue;
+        if (!ingId || (cantidad <= 0 && !incluirSinCantidad)) continue;
         if (ingId > 100000) {
             const subRecetaId = ingId - 100000;
-            const subRes = await client.query(
-                'SELECT id, porciones, ingredientes FROM recetas WHERE id = $1 AND restaurante_id = $2 AND deleted_at IS NULL',
-                [subRecetaId, restauranteId]
-            );
-            if (subRes.rows.length === 0) {
+            let subReceta = recetasMap ? recetasMap.get(subRecetaId) : null;
+            if (!recetasMap) {
+                const subRes = await client.query(
+                    'SELECT id, porciones, ingredientes FROM recetas WHERE id = $1 AND restaurante_id = $2 AND deleted_at IS NULL',
+                    [subRecetaId, restauranteId]
+                );
+                subReceta = subRes.rows[0];
+            }
+            if (!subReceta) {
                 // Subreceta no encontrada (posible borrado soft o tenant cruzado): la ignoramos
                 // silenciosamente para no romper la venta. Caller puede loguear si lo necesita.
                 continue;
             }
-            const subExpanded = await expandRecipeToBase(subRes.rows[0], client, restauranteId, opts, new Set(visited));
+            const subExpanded = await expandRecipeToBase(subReceta, client, restauranteId, opts, new Set(visited));
             const factor = cantidad / porciones;
             for (const it of subExpanded) {
                 acc.set(it.ingredienteId, (acc.get(it.ingredienteId) || 0) + it.cantidadPorPorcion * factor);
@@ -200,15 +216,27 @@ async function loadYieldConfig(client, restauranteId) {
  * @param {Map<number, number>} preciosMap - Map ingredienteId → precio unitario (€)
  * @param {Map<number, object>} [recetasMap] - Map recetaId → receta (para subrecetas)
  * @param {Map<number, number>} [rendimientoBaseMap] - Map ingredienteId → rendimiento base
- * @param {Set<number>} [visited] - Internal cycle detection
  * @returns {number} Coste total del lote (€/receta).
  */
-function getRecipeCostBase(receta, preciosMap, recetasMap = new Map(), rendimientoBaseMap = new Map(), visited = new Set()) {
-    if (!receta || !Array.isArray(receta.ingredientes)) return 0;
-    if (visited.has(receta.id)) return 0; // ciclo detectado
+function getRecipeCostBase(receta, preciosMap, recetasMap = new Map(), rendimientoBaseMap = new Map()) {
+    let costeLote = 0;
+    recorrerCosteReceta(receta, preciosMap, recetasMap, rendimientoBaseMap, (linea) => { costeLote += linea.coste; });
+    return costeLote;
+}
+
+/**
+ * Recorrido único del coste de un lote: baja por las subrecetas (cada una
+ * aporta "porciones de subreceta" gastadas × su coste por porción), aplica el
+ * rendimiento de la línea > el del ingrediente base > 100 y corta los ciclos.
+ * Llama a `alLinea` por cada línea de ingrediente BASE con la cantidad y el
+ * coste que aporta al lote raíz. getRecipeCostBase y getRecipeCostBreakdown
+ * son dos formas de sumar estas líneas: la fórmula vive solo aquí.
+ */
+function recorrerCosteReceta(receta, preciosMap, recetasMap, rendimientoBaseMap, alLinea, factor = 1, visited = new Set()) {
+    if (!receta || !Array.isArray(receta.ingredientes)) return;
+    if (visited.has(receta.id)) return; // ciclo detectado
     visited.add(receta.id);
 
-    let costeLote = 0;
     for (const item of receta.ingredientes) {
         const ingId = item.ingredienteId || item.ingrediente_id || item.id;
         const cantidad = parseFloat(item.cantidad) || 0;
@@ -216,23 +244,43 @@ function getRecipeCostBase(receta, preciosMap, recetasMap = new Map(), rendimien
 
         if (ingId > 100000) {
             // Subreceta: recurse y multiplicar por nº de "porciones de subreceta" gastadas.
-            const subRecetaId = ingId - 100000;
-            const subReceta = recetasMap.get(subRecetaId);
+            const subReceta = recetasMap.get(ingId - 100000);
             if (!subReceta) continue; // subreceta no cargada → ignorar (mismo comportamiento que frontend)
             const subPorciones = Math.max(1, parseInt(subReceta.porciones) || 1);
-            const costeSubLote = getRecipeCostBase(subReceta, preciosMap, recetasMap, rendimientoBaseMap, new Set(visited));
-            const costePorPorcionSub = costeSubLote / subPorciones;
-            costeLote += costePorPorcionSub * cantidad;
+            recorrerCosteReceta(subReceta, preciosMap, recetasMap, rendimientoBaseMap, alLinea, factor * cantidad / subPorciones, new Set(visited));
         } else {
             const precio = preciosMap.get(ingId) || 0;
             let rendimiento = parseFloat(item.rendimiento);
             if (!rendimiento) rendimiento = rendimientoBaseMap.get(ingId) || 100;
             const factorRendimiento = rendimiento / 100;
             const costeReal = factorRendimiento > 0 ? (precio / factorRendimiento) : precio;
-            costeLote += costeReal * cantidad;
+            alLinea({ ingredienteId: ingId, cantidad: cantidad * factor, precioUnitario: precio, coste: costeReal * cantidad * factor });
         }
     }
-    return costeLote;
+}
+
+/**
+ * Desglose por ingrediente BASE del coste de un lote de receta. Mismo
+ * recorrido que `getRecipeCostBase` (recorrerCosteReceta): la suma de `coste`
+ * de las líneas devueltas ES el coste del lote. Se usa para el histórico de
+ * costes (qué ingrediente movió el coste de un plato).
+ *
+ * @param {object} receta - Receta con { id, porciones, ingredientes (JSONB) }
+ * @param {Map<number, number>} preciosMap - Map ingredienteId → precio unitario (€)
+ * @param {Map<number, object>} [recetasMap] - Map recetaId → receta (para subrecetas)
+ * @param {Map<number, number>} [rendimientoBaseMap] - Map ingredienteId → rendimiento base
+ * @returns {Array<{ingredienteId:number, cantidad:number, precioUnitario:number, coste:number}>}
+ *          Una línea por ingrediente base, `cantidad` servida en el lote.
+ */
+function getRecipeCostBreakdown(receta, preciosMap, recetasMap = new Map(), rendimientoBaseMap = new Map()) {
+    const acc = new Map();
+    recorrerCosteReceta(receta, preciosMap, recetasMap, rendimientoBaseMap, (l) => {
+        const linea = acc.get(l.ingredienteId) || { ingredienteId: l.ingredienteId, cantidad: 0, precioUnitario: l.precioUnitario, coste: 0 };
+        linea.cantidad += l.cantidad;
+        linea.coste += l.coste;
+        acc.set(l.ingredienteId, linea);
+    });
+    return Array.from(acc.values());
 }
 
 /**
@@ -249,18 +297,20 @@ function getRecipeCostBase(receta, preciosMap, recetasMap = new Map(), rendimien
  * @param {number} params.restauranteId - ID del restaurante
  * @param {number|null} params.proveedorId - ID del proveedor (optional)
  * @param {number|null} params.pedidoId - ID del pedido (optional)
+ * @param {number|null} params.traspasoId - ID de transferencias_stock si es un
+ *   traspaso interno aprobado (optional; la vista consolidada lo excluye)
  */
-async function upsertCompraDiaria(client, { ingredienteId, fecha, precioUnitario, cantidad, total, restauranteId, proveedorId = null, pedidoId = null }) {
+async function upsertCompraDiaria(client, { ingredienteId, fecha, precioUnitario, cantidad, total, restauranteId, proveedorId = null, pedidoId = null, traspasoId = null }) {
     await client.query(`
         INSERT INTO precios_compra_diarios
-        (ingrediente_id, fecha, precio_unitario, cantidad_comprada, total_compra, restaurante_id, proveedor_id, pedido_id)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-        ON CONFLICT (ingrediente_id, fecha, restaurante_id, (COALESCE(pedido_id, 0)))
+        (ingrediente_id, fecha, precio_unitario, cantidad_comprada, total_compra, restaurante_id, proveedor_id, pedido_id, traspaso_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        ON CONFLICT (ingrediente_id, fecha, restaurante_id, (COALESCE(pedido_id, 0)), (COALESCE(traspaso_id, 0)))
         DO UPDATE SET
             precio_unitario = EXCLUDED.precio_unitario,
             cantidad_comprada = precios_compra_diarios.cantidad_comprada + EXCLUDED.cantidad_comprada,
             total_compra = precios_compra_diarios.total_compra + EXCLUDED.total_compra
-    `, [ingredienteId, fecha, precioUnitario, cantidad, total, restauranteId, proveedorId, pedidoId]);
+    `, [ingredienteId, fecha, precioUnitario, cantidad, total, restauranteId, proveedorId, pedidoId, traspasoId]);
 }
 
 /**
@@ -737,12 +787,123 @@ function computeReorderSuggestions(rows, opts = {}) {
     return sugerencias.sort((a, b) => (a.cobertura_dias ?? 0) - (b.cobertura_dias ?? 0));
 }
 
+/**
+ * Aplica UNA recepción (albarán) sobre las líneas JSONB de un pedido. Un
+ * pedido puede llegar en varias entregas: cada una suma a `cantidadRecibida`
+ * de su línea, sin pisar lo recibido antes.
+ *
+ * Cada línea de la recepción apunta a la línea del pedido por `linea` (índice
+ * en el array). Si no trae índice se admite `ingredienteId`, que se resuelve a
+ * la primera línea de ese ingrediente con cantidad pendiente — el índice es lo
+ * fiable, porque una línea se puede DIVIDIR (producción + comida personal) y
+ * repetir ingrediente.
+ *
+ * Recibir MÁS de lo pedido en una línea (sumando las entregas anteriores) se
+ * rechaza con `exceso`: casi siempre es un albarán tecleado dos veces o en
+ * otra unidad, y entraría stock y coste que no existen. Si de verdad llegó de
+ * más (el proveedor mandó una caja extra y se queda), el encargado lo
+ * confirma con `permitirExceso`.
+ *
+ * Pura: no toca BD. No muta `ingredientes` (devuelve copia).
+ *
+ * @param {Array} ingredientes - pedidos.ingredientes
+ * @param {Array<{linea?:number, ingredienteId?:number, cantidad:number, precioReal?:number}>} lineasRecepcion
+ * @param {{permitirExceso?: boolean}} [opts]
+ * @returns {{ error?: string, exceso?: {linea, ingredienteId, pedida, recibida},
+ *             ingredientes?: Array, aplicadas?: Array<{linea, ingredienteId, cantidad, precioReal, personal}> }}
+ */
+function aplicarRecepcionPedido(ingredientes, lineasRecepcion, { permitirExceso = false } = {}) {
+    const nuevas = (Array.isArray(ingredientes) ? ingredientes : []).map(it => ({ ...it }));
+    const aplicadas = [];
+
+    for (const lr of lineasRecepcion || []) {
+        const cantidad = parseFloat(lr.cantidad);
+        if (!(cantidad > 0)) return { error: 'Cada línea de la recepción necesita una cantidad mayor que 0' };
+
+        let idx = lr.linea !== undefined && lr.linea !== null ? parseInt(lr.linea) : -1;
+        if (idx < 0) {
+            const ingId = parseInt(lr.ingredienteId || lr.ingrediente_id);
+            const delIngrediente = (it) => it.tipo !== 'ajuste' && parseInt(it.ingredienteId || it.ingrediente_id) === ingId;
+            idx = nuevas.findIndex(it => delIngrediente(it)
+                && (parseFloat(it.cantidadRecibida) || 0) < (parseFloat(it.cantidad) || 0));
+            // Todo servido ya: el exceso confirmado va a la primera línea del ingrediente.
+            if (idx < 0 && permitirExceso) idx = nuevas.findIndex(delIngrediente);
+        }
+        const item = nuevas[idx];
+        if (!item || item.tipo === 'ajuste') {
+            return { error: `Línea de pedido no encontrada (${lr.linea ?? lr.ingredienteId ?? lr.ingrediente_id})` };
+        }
+
+        const precioReal = lr.precioReal !== undefined && lr.precioReal !== null && lr.precioReal !== ''
+            ? parseFloat(lr.precioReal)
+            : parseFloat(item.precioReal || item.precioUnitario || item.precio_unitario) || 0;
+        if (!Number.isFinite(precioReal) || precioReal < 0) return { error: 'Precio inválido en la recepción' };
+
+        item.cantidadRecibida = Math.round(((parseFloat(item.cantidadRecibida) || 0) + cantidad) * 10000) / 10000;
+        const pedida = parseFloat(item.cantidad) || 0;
+        if (item.cantidadRecibida > pedida + 0.0001 && !permitirExceso) {
+            return {
+                error: `Se reciben ${item.cantidadRecibida} de ${item.nombre || 'la línea ' + idx} y se pidieron ${pedida}. Si es correcto, confirma el exceso`,
+                exceso: { linea: idx, ingredienteId: parseInt(item.ingredienteId || item.ingrediente_id), pedida, recibida: item.cantidadRecibida }
+            };
+        }
+        aplicadas.push({
+            linea: idx,
+            ingredienteId: parseInt(item.ingredienteId || item.ingrediente_id),
+            cantidad,
+            precioReal,
+            personal: item.personal === true
+        });
+    }
+
+    return { ingredientes: nuevas, aplicadas };
+}
+
+/**
+ * Pendiente de servir (backorder) por línea de pedido: pedida − recibida.
+ *
+ *  - 'pendiente' / 'parcial': lo que falta sigue vivo (`pendiente`).
+ *  - 'recibido': el pedido está cerrado; lo que no llegó ya no va a llegar y
+ *    se reporta como `cancelada`, no como pendiente. Un pedido recibido en una
+ *    sola vez por el flujo antiguo (sin cantidadRecibida) cuenta como servido
+ *    entero, igual que hace el Diario (`cantidadRecibida || cantidad`).
+ *
+ * Las líneas 'ajuste' (envases/bonificaciones) no son mercancía y se omiten.
+ *
+ * @param {Array} ingredientes - pedidos.ingredientes
+ * @param {string} estado - pedidos.estado
+ * @returns {Array<{linea, ingredienteId, nombre, pedida, recibida, pendiente, cancelada}>}
+ */
+function computeBackorders(ingredientes, estado) {
+    const cerrado = estado === 'recibido';
+    const r4 = (n) => Math.round(n * 10000) / 10000;
+    const out = [];
+    (Array.isArray(ingredientes) ? ingredientes : []).forEach((it, linea) => {
+        if (it.tipo === 'ajuste') return;
+        const pedida = parseFloat(it.cantidad) || 0;
+        const tieneRecibida = it.cantidadRecibida !== undefined && it.cantidadRecibida !== null;
+        const recibida = tieneRecibida ? (parseFloat(it.cantidadRecibida) || 0) : (cerrado ? pedida : 0);
+        const falta = Math.max(0, pedida - recibida);
+        out.push({
+            linea,
+            ingredienteId: parseInt(it.ingredienteId || it.ingrediente_id) || null,
+            nombre: it.nombre || null,
+            pedida: r4(pedida),
+            recibida: r4(recibida),
+            pendiente: cerrado ? 0 : r4(falta),
+            cancelada: cerrado ? r4(falta) : 0
+        });
+    });
+    return out;
+}
+
 module.exports = {
     calcularPrecioUnitario,
     getBackendIngredientUnitPrice,
     expandRecipeToBase,
     loadYieldConfig,
     getRecipeCostBase,
+    getRecipeCostBreakdown,
     upsertCompraDiaria,
     recalcularPrecioPonderado,
     buildIngredientPriceMap,
@@ -751,5 +912,7 @@ module.exports = {
     computePriceDrift,
     computeSuppliesOverstock,
     computeInventoryDifference,
-    computeReorderSuggestions
+    computeReorderSuggestions,
+    aplicarRecepcionPedido,
+    computeBackorders
 };
@@ -0,0 +1,196 @@
+/**
+ * Coste de personal frente a la venta, por día y por tramo (2026-10-18).
+ *
+ * `horarios` + `empleados.coste_hora` dan el coste planificado de la plantilla,
+ * `personal_extra` lo que se paga a extras por horas y `ventas_diarias_resumen`
+ * la venta del día; nadie los cruzaba. Aquí se calcula el % de personal sobre
+ * venta (el KPI que mira cualquier encargado de hostelería) y se marcan los
+ * días que pasan del objetivo.
+ *
+ * Convenios:
+ * - Las horas de cada tramo salen de utils/jornada (cruce de medianoche
+ *   incluido): un 20:00-00:30 son 4,5h y cuentan en el día en que EMPIEZA.
+ * - El % de un tramo es su coste sobre la venta del DÍA: la venta no se
+ *   desglosa por hora, así que los tramos suman el % del día.
+ * - `personal_extra` no tiene tramo: va aparte (coste y horas) y suma al día.
+ * - Día sin venta → pct null (no se puede dividir) y no se marca: el día
+ *   cerrado con turnos planificados ya se ve en el coste.
+ * - REAL: si el día tiene fichajes cerrados (utils/registroJornada), va en
+ *   `real` y el aviso de objetivo se decide con él: lo que pasó manda sobre
+ *   lo planificado. Se combina por empleado: quien fichó cuenta sus horas
+ *   fichadas × coste_hora, quien tenía turno y no fichó (olvido, o turno aún
+ *   abierto) cuenta lo planificado; más el personal extra. Así un día a medio
+ *   fichar no parece más barato de lo que es.
+ * Funciones puras: la ruta (GET /staff/labour-cost) solo hace las queries.
+ */
+
+const { duracionTramoHoras } = require('./jornada');
+
+/** Objetivo por defecto de coste de personal sobre venta (%). */
+const OBJETIVO_PCT_DEFECTO = 30;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+const pct = (coste, ingresos) => (ingresos > 0 ? round2((coste / ingresos) * 100) : null);
+
+function acumular(porEmpleado, empleadoId, horas, coste) {
+    const e = porEmpleado.get(empleadoId) || { horas: 0, coste: 0 };
+    e.horas += horas;
+    e.coste += coste;
+    porEmpleado.set(empleadoId, e);
+}
+
+/** Días 'YYYY-MM-DD' entre desde y hasta, ambos incluidos. */
+function diasEntre(desde, hasta) {
+    const dias = [];
+    const d = new Date(`${desde}T00:00:00Z`);
+    const fin = new Date(`${hasta}T00:00:00Z`);
+    while (d <= fin) {
+        dias.push(d.toISOString().slice(0, 10));
+        d.setUTCDate(d.getUTCDate() + 1);
+    }
+    return dias;
+}
+
+/**
+ * @param {object} datos
+ * @param {string} datos.desde - 'YYYY-MM-DD'
+ * @param {string} datos.hasta - 'YYYY-MM-DD'
+ * @param {{fecha, tramo, hora_inicio, hora_fin, coste_hora, empleado_id}[]} datos.turnos
+ * @param {{fecha, horas, total}[]} datos.extras - filas de personal_extra
+ * @param {{fecha, ingresos}[]} datos.ventas - venta agregada por día
+ * @param {{fecha, empleado_id, horas, coste}[]} [datos.fichajes] - horas y coste fichados por día y empleado
+ * @param {number} [datos.objetivoPct]
+ * @returns {{objetivo_pct, dias: object[], total: object, dias_sobre_objetivo: string[]}}
+ */
+function costeLaboralPorDia({ desde, hasta, turnos = [], extras = [], ventas = [], fichajes = [], objetivoPct = OBJETIVO_PCT_DEFECTO }) {
+    const dias = new Map(diasEntre(desde, hasta).map(fecha => [fecha, {
+        fecha,
+        ingresos: 0,
+        tramos: {},
+        personal_extra: { horas: 0, coste: 0 },
+        planificado: new Map(), // empleado_id → { horas, coste }
+        fichado: new Map(),     // empleado_id → { horas, coste }
+        horas: 0,
+        coste: 0
+    }]));
+    const dia = (fecha) => dias.get(String(fecha).slice(0, 10));
+
+    for (const v of ventas) {
+        const d = dia(v.fecha);
+        if (d) d.ingresos = round2(d.ingresos + (Number(v.ingresos) || 0));
+    }
+
+    for (const t of turnos) {
+        const d = dia(t.fecha);
+        const horas = duracionTramoHoras(t.hora_inicio, t.hora_fin);
+        if (!d || horas === null) continue;
+        const coste = horas * (Number(t.coste_hora) || 0);
+        const clave = Number(t.tramo) === 2 ? 2 : 1;
+        const tramo = d.tramos[clave] || (d.tramos[clave] = { tramo: clave, empleados: 0, horas: 0, coste: 0 });
+        tramo.empleados += 1;
+        tramo.horas += horas;
+        tramo.coste += coste;
+        d.horas += horas;
+        d.coste += coste;
+        acumular(d.planificado, t.empleado_id, horas, coste);
+    }
+
+    for (const e of extras) {
+        const d = dia(e.fecha);
+        if (!d) continue;
+        d.personal_extra.horas += Number(e.horas) || 0;
+        d.personal_extra.coste += Number(e.total) || 0;
+        d.horas += Number(e.horas) || 0;
+        d.coste += Number(e.total) || 0;
+    }
+
+    for (const f of fichajes) {
+        const d = dia(f.fecha);
+        if (!d) continue;
+        acumular(d.fichado, f.empleado_id, Number(f.horas) || 0, Number(f.coste) || 0);
+    }
+
+    const total = { ingresos: 0, horas: 0, coste: 0, personal_extra: 0 };
+    const totalReal = { dias: 0, ingresos: 0, horas: 0, coste: 0 };
+    const resultado = [...dias.values()].map(d => {
+        const coste = round2(d.coste);
+        const pctDia = pct(coste, d.ingresos);
+        total.ingresos += d.ingresos;
+        total.horas += d.horas;
+        total.coste += d.coste;
+        total.personal_extra += d.personal_extra.coste;
+
+        let real = null;
+        if (d.fichado.size > 0) {
+            let horasReales = d.personal_extra.horas;
+            let costeSinRedondear = d.personal_extra.coste;
+            let sinFichar = 0;
+            for (const f of d.fichado.values()) {
+                horasReales += f.horas;
+                costeSinRedondear += f.coste;
+            }
+            for (const [empleadoId, p] of d.planificado) {
+                if (d.fichado.has(empleadoId)) continue;
+                sinFichar += 1;
+                horasReales += p.horas;
+                costeSinRedondear += p.coste;
+            }
+            const costeReal = round2(costeSinRedondear);
+            real = {
+                horas: round2(horasReales),
+                coste: costeReal,
+                pct_personal: pct(costeReal, d.ingresos),
+                empleados_sin_fichar: sinFichar
+            };
+            totalReal.dias += 1;
+            totalReal.ingresos += d.ingresos;
+            totalReal.horas += horasReales;
+            totalReal.coste += costeReal;
+        }
+        const pctReferencia = real ? real.pct_personal : pctDia;
+
+        return {
+            fecha: d.fecha,
+            ingresos: d.ingresos,
+            horas: round2(d.horas),
+            coste,
+            pct_personal: pctDia,
+            real,
+            supera_objetivo: pctReferencia !== null && pctReferencia > objetivoPct,
+            tramos: Object.values(d.tramos).sort((a, b) => a.tramo - b.tramo).map(t => ({
+                tramo: t.tramo,
+                empleados: t.empleados,
+                horas: round2(t.horas),
+                coste: round2(t.coste),
+                pct_personal: pct(t.coste, d.ingresos)
+            })),
+            personal_extra: { horas: round2(d.personal_extra.horas), coste: round2(d.personal_extra.coste) }
+        };
+    });
+
+    return {
+        objetivo_pct: objetivoPct,
+        dias: resultado,
+        total: {
+            ingresos: round2(total.ingresos),
+            horas: round2(total.horas),
+            coste: round2(total.coste),
+            personal_extra: round2(total.personal_extra),
+            pct_personal: pct(total.coste, total.ingresos),
+            // Solo los días con fichajes: el % real se compara con su venta.
+            real: totalReal.dias === 0 ? null : {
+                dias: totalReal.dias,
+                horas: round2(totalReal.horas),
+                coste: round2(totalReal.coste),
+                pct_personal: pct(totalReal.coste, totalReal.ingresos)
+            }
+        },
+        dias_sobre_objetivo: resultado.filter(d => d.supera_objetivo).map(d => d.fecha)
+    };
+}
+
+module.exports = {
+    OBJETIVO_PCT_DEFECTO,
+    diasEntre,
+    costeLaboralPorDia
+};
@@ -0,0 +1,265 @@
+/**
+ * Generador de horarios semanal por reglas (2026-10-18).
+ *
+ * Hasta ahora el cuadrante se rellenaba a mano o copiando la semana anterior
+ * (/horarios/copiar-semana), que arrastra los errores de esa semana. Este
+ * generador monta la semana desde la ficha de cada empleado:
+ *
+ *   - días libres fijos (`dias_libres_fijos`) y, si la ficha trae menos de 2,
+ *     los que faltan hasta 2 se eligen donde su puesto vaya más sobrado
+ *     respecto al mínimo pedido;
+ *   - `horas_contrato` repartidas entre los días trabajados y colocadas con la
+ *     plantilla de la ficha (tramosDesdePlantilla: seguido o partido);
+ *   - el mínimo de personal por puesto y día que pide el encargado.
+ *
+ * Nada inválido se escribe en silencio: un día que no pasa validarDia o que
+ * deja menos de 12h de descanso con el anterior/siguiente se descarta y vuelve
+ * como CONFLICTO, igual que los huecos de cobertura. Los turnos que ya hay en
+ * la semana mandan: ese día no se genera y cuenta para la cobertura y el
+ * descanso. Funciones puras: la ruta (POST /horarios/generar) lee y escribe.
+ *
+ * Ausencias APROBADAS (utils/ausencias): esos días no se genera nada y cuentan
+ * como libres; las horas de contrato se reparten solo en la parte de la semana
+ * en que la persona está (una semana con 3 días de vacaciones no concentra 40h
+ * en los 4 restantes). Un turno guardado dentro de una ausencia no se borra:
+ * vuelve como conflicto 'ausencia'.
+ */
+
+const {
+    MAX_HORAS_DIA,
+    validarDia,
+    comprobarDescansoEntreJornadas,
+    tramosDesdePlantilla
+} = require('./jornada');
+const { ausenciaEnFecha, describirAusencia } = require('./ausencias');
+
+/** Días libres por semana que garantiza el generador (descanso semanal, art. 37.1 ET). */
+const DIAS_LIBRES_SEMANA = 2;
+
+/** Nombres de día → getUTCDay() (0 = domingo). */
+const DIAS_SEMANA = {
+    domingo: 0, dom: 0, d: 0,
+    lunes: 1, lun: 1, l: 1,
+    martes: 2, mar: 2, m: 2,
+    miercoles: 3, mie: 3, x: 3,
+    jueves: 4, jue: 4, j: 4,
+    viernes: 5, vie: 5, v: 5,
+    sabado: 6, sab: 6, s: 6
+};
+
+/**
+ * Interpreta `dias_libres_fijos` (texto libre de la ficha): nombres en
+ * castellano con o sin tilde ('lunes, martes'), abreviaturas ('lun', 'L', 'X')
+ * o números al estilo de getDay() (0 = domingo; 7 también es domingo).
+ * Lo que no se entiende se ignora.
+ * @returns {Set<number>} días de la semana, 0 = domingo
+ */
+function parsearDiasLibres(texto) {
+    const dias = new Set();
+    const tokens = String(texto ?? '')
+        .toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .split(/[\s,;/|]+/)
+        .filter(Boolean);
+    for (const t of tokens) {
+        if (/^\d$/.test(t) && Number(t) <= 7) dias.add(Number(t) % 7);
+        else if (DIAS_SEMANA[t] !== undefined) dias.add(DIAS_SEMANA[t]);
+    }
+    return dias;
+}
+
+/** 'YYYY-MM-DD' + n días. */
+function sumarDias(fecha, n) {
+    const d = new Date(`${fecha}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + n);
+    return d.toISOString().slice(0, 10);
+}
+
+const diaSemana = (fecha) => new Date(`${fecha}T00:00:00Z`).getUTCDay();
+const clavePuesto = (puesto) => String(puesto || '').trim().toLowerCase();
+
+/**
+ * Normaliza los mínimos de personal del body:
+ *   { "Camarero": 2, "Cocinero": { "default": 1, "viernes": 2, "sabado": 3 } }
+ * @returns {(puesto: string, fecha: string) => number}
+ */
+function leerMinimos(minimos) {
+    const porPuesto = new Map();
+    for (const [puesto, valor] of Object.entries(minimos || {})) {
+        const semana = Array(7).fill(0);
+        if (typeof valor === 'number' || typeof valor === 'string') {
+            semana.fill(Math.max(0, Math.floor(Number(valor) || 0)));
+        } else if (valor && typeof valor === 'object') {
+            const base = Math.max(0, Math.floor(Number(valor.default) || 0));
+            semana.fill(base);
+            for (const [dia, n] of Object.entries(valor)) {
+                if (dia === 'default') continue;
+                for (const d of parsearDiasLibres(dia)) semana[d] = Math.max(0, Math.floor(Number(n) || 0));
+            }
+        }
+        porPuesto.set(clavePuesto(puesto), semana);
+    }
+    return (puesto, fecha) => porPuesto.get(clavePuesto(puesto))?.[diaSemana(fecha)] || 0;
+}
+
+/**
+ * Genera la semana que empieza en `inicio`.
+ *
+ * @param {object} datos
+ * @param {string} datos.inicio - 'YYYY-MM-DD', primer día de la semana
+ * @param {object[]} datos.empleados - filas de `empleados` (activos)
+ * @param {{empleado_id, fecha, tramo, hora_inicio, hora_fin}[]} datos.existentes
+ *        turnos ya guardados desde inicio-1 hasta inicio+7 (para el descanso)
+ * @param {object} [datos.minimos] - mínimo de personal por puesto (ver leerMinimos)
+ * @param {{empleado_id, tipo, estado, fecha_inicio, fecha_fin}[]} [datos.ausencias]
+ *        ausencias que tocan la semana (solo cuentan las aprobadas)
+ * @returns {{ turnos: object[], conflictos: object[], cobertura: object[], ausentes: object[] }}
+ */
+function generarSemana({ inicio, empleados = [], existentes = [], minimos = {}, ausencias = [] }) {
+    const fechas = Array.from({ length: 7 }, (_, i) => sumarDias(inicio, i));
+    const minimo = leerMinimos(minimos);
+
+    // Turnos ya guardados por empleado y día.
+    const fijados = new Map();
+    for (const t of existentes) {
+        const k = `${t.empleado_id}|${String(t.fecha).slice(0, 10)}`;
+        if (!fijados.has(k)) fijados.set(k, []);
+        fijados.get(k).push(t);
+    }
+    const turnosFijados = (empleadoId, fecha) => fijados.get(`${empleadoId}|${fecha}`) || [];
+    const ausente = (empleadoId, fecha) => ausenciaEnFecha(ausencias, empleadoId, fecha);
+
+    // 1) Días que trabaja cada uno. Se parte de "todos menos los libres fijos
+    //    y las ausencias" y, si faltan días libres, se quitan donde su puesto
+    //    vaya más sobrado.
+    const candidatos = new Map();
+    const objetivoDias = new Map();
+    const diasNormales = new Map();
+    for (const e of empleados) {
+        if (!(Number(e.horas_contrato) > 0)) continue;
+        const libres = parsearDiasLibres(e.dias_libres_fijos);
+        const dias = fechas.filter(f => turnosFijados(e.id, f).length > 0
+            || (!libres.has(diaSemana(f)) && !ausente(e.id, f)));
+        const diasAusente = fechas.filter(f => turnosFijados(e.id, f).length === 0 && ausente(e.id, f)).length;
+        // Semana normal: 7 menos los libres (al menos DIAS_LIBRES_SEMANA). Con
+        // ausencias se trabaja la parte proporcional de esos días.
+        const normales = fechas.length - Math.max(DIAS_LIBRES_SEMANA, fechas.length - dias.length - diasAusente);
+        candidatos.set(e.id, dias);
+        diasNormales.set(e.id, normales);
+        objetivoDias.set(e.id, Math.round(normales * (fechas.length - diasAusente) / fechas.length));
+    }
+
+    const disponibles = new Map();
+    const claveDia = (puesto, fecha) => `${clavePuesto(puesto)}|${fecha}`;
+    for (const e of empleados) {
+        for (const f of candidatos.get(e.id) || []) {
+            disponibles.set(claveDia(e.puesto, f), (disponibles.get(claveDia(e.puesto, f)) || 0) + 1);
+        }
+    }
+    const sobrante = (puesto, fecha) => (disponibles.get(claveDia(puesto, fecha)) || 0) - minimo(puesto, fecha);
+
+    const trabaja = new Map();
+    for (const e of empleados) {
+        const dias = candidatos.get(e.id);
+        if (!dias) continue;
+        let quitar = Math.max(0, dias.length - objetivoDias.get(e.id));
+        const elegidos = [...dias];
+        while (quitar > 0) {
+            // Solo se libra un día sin turnos ya guardados; empate → el primero de la semana.
+            const opciones = elegidos.filter(f => turnosFijados(e.id, f).length === 0);
+            if (opciones.length === 0) break;
+            const mejor = opciones.reduce((a, b) => (sobrante(e.puesto, b) > sobrante(e.puesto, a) ? b : a));
+            elegidos.splice(elegidos.indexOf(mejor), 1);
+            disponibles.set(claveDia(e.puesto, mejor), disponibles.get(claveDia(e.puesto, mejor)) - 1);
+            quitar--;
+        }
+        trabaja.set(e.id, elegidos);
+    }
+
+    // 2) Tramos de cada día trabajado, validados (jornada y descanso de 12h).
+    const turnos = [];
+    const conflictos = [];
+    const asignados = new Map();
+    const contar = (puesto, fecha) => asignados.set(claveDia(puesto, fecha), (asignados.get(claveDia(puesto, fecha)) || 0) + 1);
+    const conflicto = (e, fecha, tipo, mensaje) =>
+        conflictos.push({ tipo, empleado_id: e ? e.id : null, empleado: e ? e.nombre : null, fecha, mensaje });
+    const ausentes = [];
+
+    for (const e of empleados) {
+        // Sin contrato no se genera nada, pero sus turnos guardados cuentan.
+        const dias = trabaja.get(e.id) || [];
+        // La jornada diaria es la de una semana normal: la ausencia quita días, no los alarga.
+        const diasSemana = Math.max(1, diasNormales.get(e.id) || dias.length);
+        const minutosDia = Math.round((Number(e.horas_contrato) * 60) / diasSemana);
+        let anterior = turnosFijados(e.id, sumarDias(inicio, -1));
+
+        for (const fecha of fechas) {
+            const yaGuardado = turnosFijados(e.id, fecha);
+            const ausencia = ausente(e.id, fecha);
+            if (ausencia) {
+                ausentes.push({ empleado_id: e.id, empleado: e.nombre, fecha, tipo: ausencia.tipo });
+                if (yaGuardado.length > 0) {
+                    conflicto(e, fecha, 'ausencia', `Tiene turno guardado durante ${describirAusencia(ausencia)}`);
+                }
+            }
+            if (yaGuardado.length > 0) {
+                contar(e.puesto, fecha);
+                anterior = yaGuardado;
+                continue;
+            }
+            if (!dias.includes(fecha)) {
+                anterior = [];
+                continue;
+            }
+
+            if (minutosDia > MAX_HORAS_DIA * 60) {
+                conflicto(e, fecha, 'contrato', `${e.horas_contrato}h en ${diasSemana} días salen a más de ${MAX_HORAS_DIA}h por día`);
+                anterior = [];
+                continue;
+            }
+
+            const tramos = tramosDesdePlantilla(e, minutosDia);
+            const dia = validarDia(tramos);
+            if (!dia.valid) {
+                conflicto(e, fecha, 'jornada', dia.error);
+                anterior = [];
+                continue;
+            }
+
+            const antes = comprobarDescansoEntreJornadas(anterior, tramos);
+            const despues = comprobarDescansoEntreJornadas(tramos, turnosFijados(e.id, sumarDias(fecha, 1)));
+            const descanso = !antes.cumple ? antes : despues;
+            if (!descanso.cumple) {
+                conflicto(e, fecha, 'descanso', descanso.mensaje);
+                anterior = [];
+                continue;
+            }
+
+            for (const t of tramos) turnos.push({ empleado_id: e.id, fecha, ...t });
+            contar(e.puesto, fecha);
+            anterior = tramos;
+        }
+    }
+
+    // 3) Cobertura: mínimo pedido frente a lo que queda planificado.
+    const cobertura = [];
+    const puestos = [...new Set(Object.keys(minimos || {}))];
+    for (const fecha of fechas) {
+        for (const puesto of puestos) {
+            const min = minimo(puesto, fecha);
+            if (min === 0) continue;
+            const n = asignados.get(claveDia(puesto, fecha)) || 0;
+            cobertura.push({ fecha, puesto, minimo: min, asignados: n });
+            if (n < min) conflicto(null, fecha, 'cobertura', `${puesto}: ${n} de ${min} mínimo`);
+        }
+    }
+
+    return { turnos, conflictos, cobertura, ausentes };
+}
+
+module.exports = {
+    DIAS_LIBRES_SEMANA,
+    parsearDiasLibres,
+    leerMinimos,
+    generarSemana
+};
@@ -0,0 +1,76 @@
+/**
+ * ingredientMatch — emparejar ingredientes de locales distintos por nombre.
+ *
+ * Cada restaurante tiene su propia tabla de ingredientes (ids distintos), así
+ * que "el mismo producto" en dos locales solo se reconoce por el nombre. La
+ * regla es la de las transferencias de stock, que ya funcionaba:
+ *   1. coincidencia exacta sin distinguir mayúsculas;
+ *   2. si no, el nombre más CORTO que CONTIENE el buscado (solo si el buscado
+ *      tiene 3+ caracteres: "sal" no debe casar con "salmón" por accidente
+ *      con nombres de 1-2 letras).
+ *
+ * findIngredientInRestaurant (transferencias) consulta la BD con esa regla;
+ * buscarPorNombre la aplica en memoria sobre una lista ya cargada, para
+ * comparar cientos de ingredientes entre locales sin una consulta por cada
+ * uno (consolidado del grupo). En memoria además se ignoran los acentos.
+ */
+
+function normalizarNombre(nombre) {
+    return (nombre || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+}
+
+/**
+ * Try to find matching ingredient in destination restaurant by name (fuzzy).
+ */
+async function findIngredientInRestaurant(client, nombre, restauranteId) {
+    const normalizado = normalizarNombre(nombre);
+
+    // Exact match first
+    const exact = await client.query(
+        `SELECT id, nombre FROM ingredientes
+         WHERE restaurante_id = $1 AND deleted_at IS NULL
+           AND LOWER(nombre) = LOWER($2)
+         LIMIT 1`,
+        [restauranteId, nombre.trim()]
+    );
+    if (exact.rows.length > 0) return exact.rows[0];
+
+    // Fuzzy: contains match
+    if (normalizado.length >= 3) {
+        const fuzzy = await client.query(
+            `SELECT id, nombre FROM ingredientes
+             WHERE restaurante_id = $1 AND deleted_at IS NULL
+               AND LOWER(nombre) LIKE '%' || LOWER($2) || '%'
+             ORDER BY LENGTH(nombre) ASC
+             LIMIT 1`,
+            [restauranteId, nombre.trim()]
+        );
+        if (fuzzy.rows.length > 0) return fuzzy.rows[0];
+    }
+
+    return null;
+}
+
+/**
+ * La misma regla sobre una lista en memoria.
+ * @param {string} nombre
+ * @param {Array<{nombre: string}>} candidatos
+ * @returns {object|null} el candidato elegido
+ */
+function buscarPorNombre(nombre, candidatos) {
+    const buscado = normalizarNombre(nombre);
+    if (!buscado) return null;
+
+    const exacto = candidatos.find(c => normalizarNombre(c.nombre) === buscado);
+    if (exacto) return exacto;
+
+    if (buscado.length < 3) return null;
+    let mejor = null;
+    for (const c of candidatos) {
+        const n = normalizarNombre(c.nombre);
+        if (n.includes(buscado) && (!mejor || n.length < normalizarNombre(mejor.nombre).length)) mejor = c;
+    }
+    return mejor;
+}
+
+module.exports = { normalizarNombre, findIngredientInRestaurant, buscarPorNombre };
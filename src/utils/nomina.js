@@ -0,0 +1,179 @@
+/**
+ * Estimación del coste de nómina del mes (2026-10-18).
+ *
+ * El coste de personal que se veía (GET /staff/labour-cost) es horas ×
+ * `coste_hora`: vale para comparar días, pero se queda corto para el mes. Un
+ * empleado con nómina cuesta su salario, la prorrata de las pagas extra y la
+ * Seguridad Social a cargo de la empresa, trabaje las horas que trabaje.
+ *
+ * Convenios:
+ * - Con `salario_bruto_mensual` en la ficha, el coste es el salario con las
+ *   pagas prorrateadas (salario × num_pagas / 12) más la SS de empresa sobre
+ *   esa base: las extras cotizan prorrateadas cada mes.
+ * - Sin salario (extras fijos por horas, fichas antiguas) se sigue usando
+ *   horas × `coste_hora`. La SS solo se suma si la ficha trae `ss_empresa_pct`:
+ *   en muchas fichas `coste_hora` ya es el coste total y sumarla lo doblaría.
+ * - Horas: las fichadas si el empleado tiene fichajes cerrados en el mes; si
+ *   no, las planificadas en el cuadrante.
+ * - Los días de permiso no retribuido (utils/ausencias) se descuentan del
+ *   salario por días naturales. Las bajas NO: la estimación las cuenta como
+ *   salario completo (el complemento y el pago delegado dependen del convenio).
+ * - Quien entra (`fecha_alta`) o deja la plantilla (`fecha_baja`) a mitad de
+ *   mes cobra solo sus días: los de antes del alta y los de después de la
+ *   baja se descuentan como los días no retribuidos.
+ * - metodo 'horas': todo el mundo a horas × coste_hora y sin SS, el cálculo
+ *   ingenuo de siempre (para comparar).
+ * Funciones puras: las queries están en services/nominaService.
+ */
+
+const { duracionTramoHoras } = require('./jornada');
+const { diasSolapados } = require('./ausencias');
+
+/** Pagas al año si la ficha no dice otra cosa (12 + 2 extras, lo habitual en hostelería). */
+const NUM_PAGAS_DEFECTO = 14;
+
+/**
+ * SS a cargo de la empresa (%) si la ficha no trae la suya: contingencias
+ * comunes, desempleo, FOGASA, formación, MEI y AT/EP de hostelería, ≈32%.
+ * Es una aproximación; la gestoría sabe la de cada contrato.
+ */
+const SS_EMPRESA_PCT_DEFECTO = 32;
+
+const METODOS_NOMINA = ['nomina', 'horas'];
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/** Días naturales del mes 'YYYY-MM'. */
+function diasDelMes(mes) {
+    const [anio, m] = mes.split('-').map(Number);
+    return new Date(Date.UTC(anio, m, 0)).getUTCDate();
+}
+
+/**
+ * Coste estimado de un empleado en el mes.
+ *
+ * @param {object} datos
+ * @param {object} datos.empleado - fila de `empleados`
+ * @param {number} datos.horas - horas del mes (fichadas o planificadas)
+ * @param {number} [datos.diasNoRetribuidos]
+ * @param {number} datos.diasMes
+ * @param {'nomina'|'horas'} [datos.metodo]
+ */
+function estimarEmpleado({ empleado, horas, diasNoRetribuidos = 0, diasMes, metodo = 'nomina' }) {
+    const salario = Number(empleado.salario_bruto_mensual) || 0;
+    const ssFicha = empleado.ss_empresa_pct == null ? null : Number(empleado.ss_empresa_pct);
+    const base = { empleado_id: empleado.id, nombre: empleado.nombre, puesto: empleado.puesto || null, horas: round2(horas) };
+
+    if (metodo === 'nomina' && salario > 0) {
+        const pagas = Number(empleado.num_pagas) || NUM_PAGAS_DEFECTO;
+        const prorrateado = (salario * pagas) / 12;
+        const dias = Math.min(diasNoRetribuidos, diasMes);
+        const bruto = prorrateado * (1 - dias / diasMes);
+        const ssPct = ssFicha ?? SS_EMPRESA_PCT_DEFECTO;
+        const ss = bruto * ssPct / 100;
+        return {
+            ...base,
+            calculo: 'salario',
+            salario_bruto_mensual: round2(salario),
+            num_pagas: pagas,
+            prorrata_pagas: round2((salario * (pagas - 12)) / 12),
+            dias_no_retribuidos: dias,
+            bruto: round2(bruto),
+            ss_empresa_pct: ssPct,
+            ss_empresa: round2(ss),
+            coste_total: round2(bruto + ss)
+        };
+    }
+
+    const bruto = horas * (Number(empleado.coste_hora) || 0);
+    const ssPct = metodo === 'nomina' && ssFicha !== null ? ssFicha : 0;
+    const ss = bruto * ssPct / 100;
+    return {
+        ...base,
+        calculo: 'coste_hora',
+        coste_hora: round2(empleado.coste_hora),
+        bruto: round2(bruto),
+        ss_empresa_pct: ssPct,
+        ss_empresa: round2(ss),
+        coste_total: round2(bruto + ss)
+    };
+}
+
+/**
+ * Días del mes fuera de plantilla: antes de `fecha_alta` (primer día) y
+ * después de `fecha_baja` (último día).
+ */
+function diasFueraDePlantilla({ fecha_alta: alta, fecha_baja: baja }, primero, ultimo, diasMes) {
+    if ((alta && alta > ultimo) || (baja && baja < primero)) return diasMes;
+    const antesDelAlta = alta ? Math.max(0, diasSolapados(primero, alta, primero, ultimo) - 1) : 0;
+    const trasLaBaja = baja ? Math.max(0, diasSolapados(baja, ultimo, primero, ultimo) - 1) : 0;
+    return antesDelAlta + trasLaBaja;
+}
+
+/**
+ * Estimación del mes para toda la plantilla.
+ *
+ * @param {object} datos
+ * @param {string} datos.mes - 'YYYY-MM'
+ * @param {object[]} datos.empleados - fichas en plantilla algún día del mes
+ * @param {{empleado_id, hora_inicio, hora_fin}[]} datos.turnos - horarios del mes
+ * @param {{empleado_id, horas}[]} datos.fichajes - horas fichadas por empleado en el mes
+ * @param {{empleado_id, tipo, estado, fecha_inicio, fecha_fin}[]} datos.ausencias
+ * @param {number} [datos.personalExtra] - total de personal_extra del mes (€)
+ * @param {'nomina'|'horas'} [datos.metodo]
+ */
+function estimarNominaMes({ mes, empleados = [], turnos = [], fichajes = [], ausencias = [], personalExtra = 0, metodo = 'nomina' }) {
+    const diasMes = diasDelMes(mes);
+    const primero = `${mes}-01`;
+    const ultimo = `${mes}-${String(diasMes).padStart(2, '0')}`;
+
+    const planificadas = new Map();
+    for (const t of turnos) {
+        const h = duracionTramoHoras(t.hora_inicio, t.hora_fin);
+        if (h === null) continue;
+        planificadas.set(Number(t.empleado_id), (planificadas.get(Number(t.empleado_id)) || 0) + h);
+    }
+    const fichadas = new Map(fichajes.map(f => [Number(f.empleado_id), Number(f.horas) || 0]));
+
+    const lineas = empleados.map(e => {
+        const id = Number(e.id);
+        const noRetribuidos = ausencias
+            .filter(a => Number(a.empleado_id) === id && a.tipo === 'permiso_no_retribuido' && a.estado === 'aprobada')
+            .reduce((s, a) => s + diasSolapados(a.fecha_inicio, a.fecha_fin, primero, ultimo), 0);
+        const fuera = diasFueraDePlantilla(e, primero, ultimo, diasMes);
+        const conFichajes = fichadas.has(id);
+        return {
+            ...estimarEmpleado({
+                empleado: e,
+                horas: conFichajes ? fichadas.get(id) : (planificadas.get(id) || 0),
+                diasNoRetribuidos: noRetribuidos + fuera,
+                diasMes,
+                metodo
+            }),
+            fuente_horas: conFichajes ? 'fichajes' : 'horarios'
+        };
+    });
+
+    const suma = (campo) => round2(lineas.reduce((s, l) => s + l[campo], 0));
+    const extra = round2(personalExtra);
+    return {
+        mes,
+        metodo,
+        empleados: lineas,
+        total: {
+            bruto: suma('bruto'),
+            ss_empresa: suma('ss_empresa'),
+            personal_extra: extra,
+            coste_total: round2(suma('coste_total') + extra)
+        }
+    };
+}
+
+module.exports = {
+    NUM_PAGAS_DEFECTO,
+    SS_EMPRESA_PCT_DEFECTO,
+    METODOS_NOMINA,
+    diasDelMes,
+    estimarEmpleado,
+    estimarNominaMes
+};
@@ -0,0 +1,133 @@
+/**
+ * Roles y permisos por restaurante.
+ *
+ * `usuario_restaurantes.rol` era un string libre y el middleware solo sabía
+ * de admin/api/owner: un camarero veía el P&L. Ahora cada rol tiene una
+ * lista de permisos (`recurso:accion`) y las rutas piden el suyo con
+ * requirePermission('finance:read'). Funciones puras: los roles de cada
+ * restaurante y sus personalizaciones (tabla `permisos_rol`) los carga
+ * services/permissionService.
+ *
+ * Convenios:
+ * - admin y owner tienen todos los permisos y no se pueden personalizar. Lo
+ *   que sigue siendo solo de admin (equipo, tokens de API, webhooks, backup,
+ *   resets) se queda con requireAdmin y no está en el catálogo.
+ * - 'usuario' es el rol de siempre: conserva exactamente lo que podía hacer
+ *   antes (todo lo que no era requireAdmin), para no cambiarle nada a nadie.
+ * - Un restaurante puede sustituir la lista de un rol no-admin; sin fila en
+ *   `permisos_rol` se aplica la de PERMISOS_POR_ROL.
+ */
+
+/** Catálogo de permisos, con la descripción que enseña la matriz. */
+const PERMISOS = {
+    'ingredients:read': 'Ver ingredientes y stock',
+    'ingredients:write': 'Crear y editar ingredientes, ajustar stock',
+    'ingredients:delete': 'Borrar ingredientes',
+    'recipes:read': 'Ver recetas, escandallos y alérgenos',
+    'recipes:write': 'Crear y editar recetas',
+    'recipes:delete': 'Borrar recetas',
+    'sales:read': 'Ver ventas',
+    'sales:write': 'Registrar ventas',
+    'sales:import': 'Importar ventas (TPV, PDF)',
+    'sales:delete': 'Borrar ventas',
+    'orders:read': 'Ver pedidos',
+    'orders:write': 'Crear pedidos y recepcionarlos',
+    'orders:delete': 'Borrar pedidos',
+    'purchases:read': 'Ver compras, albaranes y facturas',
+    'purchases:write': 'Registrar compras y albaranes',
+    'purchases:approve': 'Aprobar compras pendientes en lote',
+    'purchases:delete': 'Borrar facturas de proveedor',
+    'suppliers:read': 'Ver proveedores',
+    'suppliers:write': 'Crear y editar proveedores',
+    'suppliers:delete': 'Borrar proveedores',
+    'inventory:read': 'Ver inventario, mermas y sugerencias de compra',
+    'inventory:write': 'Recuentos, mermas, consumos y elaboraciones',
+    'inventory:delete': 'Borrar consumos internos y elaboraciones',
+    'transfers:read': 'Ver transferencias (entrantes, salientes e historial)',
+    'transfers:manage': 'Enviar, aprobar y rechazar transferencias',
+    'staff:read': 'Ver empleados y horarios',
+    'staff:write': 'Editar empleados y horarios',
+    'staff:delete': 'Borrar empleados y vaciar horarios',
+    'staff:approve': 'Aprobar o rechazar vacaciones y permisos',
+    'finance:read': 'Ver P&L, balance, food cost, análisis y gastos',
+    'finance:write': 'Editar gastos fijos y personal extra',
+    'team:read': 'Ver el equipo y la matriz de permisos',
+    'chat:use': 'Usar el asistente IA (responde sobre ventas, costes y stock)'
+};
+
+const TODOS = Object.keys(PERMISOS);
+
+/** Roles con todos los permisos, no personalizables. */
+const ROLES_TOTALES = ['admin', 'owner'];
+
+const SOLO_ADMIN_ANTES = [
+    'ingredients:delete', 'recipes:delete', 'sales:import', 'sales:delete', 'orders:delete',
+    'purchases:approve', 'purchases:delete', 'suppliers:delete', 'inventory:delete',
+    'transfers:manage', 'staff:delete'
+];
+
+const PERMISOS_POR_ROL = {
+    encargado: TODOS,
+    cocina: [
+        'ingredients:read', 'ingredients:write', 'recipes:read', 'recipes:write',
+        'orders:read', 'orders:write', 'purchases:read', 'purchases:write', 'suppliers:read',
+        'inventory:read', 'inventory:write', 'transfers:read', 'staff:read', 'chat:use'
+    ],
+    sala: [
+        'sales:read', 'sales:write', 'recipes:read', 'ingredients:read', 'staff:read', 'chat:use'
+    ],
+    contable: [
+        'finance:read', 'finance:write', 'purchases:read', 'purchases:write', 'purchases:approve',
+        'purchases:delete', 'suppliers:read', 'suppliers:write', 'sales:read', 'orders:read',
+        'ingredients:read', 'recipes:read', 'inventory:read', 'transfers:read', 'staff:read', 'team:read', 'chat:use'
+    ],
+    usuario: TODOS.filter(p => !SOLO_ADMIN_ANTES.includes(p))
+};
+
+/** Roles que un admin puede asignar (owner solo lo da la creación del grupo). */
+const ROLES_ASIGNABLES = ['admin', 'encargado', 'cocina', 'sala', 'contable', 'usuario'];
+
+/**
+ * Permisos efectivos de un rol.
+ * @param {string} rol
+ * @param {Object<string, string[]>} [personalizados] - rol → permisos del restaurante
+ * @returns {string[]}
+ */
+function permisosDeRol(rol, personalizados = {}) {
+    if (ROLES_TOTALES.includes(rol)) return TODOS;
+    if (personalizados && Array.isArray(personalizados[rol])) {
+        return personalizados[rol].filter(p => PERMISOS[p]);
+    }
+    return PERMISOS_POR_ROL[rol] || [];
+}
+
+/** Matriz rol → permisos de los roles asignables (más owner). */
+function matrizPermisos(personalizados = {}) {
+    const roles = {};
+    for (const rol of [...ROLES_TOTALES, ...ROLES_ASIGNABLES.filter(r => !ROLES_TOTALES.includes(r))]) {
+        roles[rol] = permisosDeRol(rol, personalizados);
+    }
+    return roles;
+}
+
+/**
+ * Valida la lista de permisos que un admin quiere dar a un rol.
+ * @returns {{permisos: string[]}|{error: string}}
+ */
+function sanearPermisos(permisos) {
+    if (!Array.isArray(permisos)) return { error: 'permisos debe ser una lista' };
+    const unicos = [...new Set(permisos.map(p => String(p).trim()))];
+    const desconocidos = unicos.filter(p => !PERMISOS[p]);
+    if (desconocidos.length > 0) return { error: `Permiso desconocido: ${desconocidos.join(', ')}` };
+    return { permisos: unicos.sort() };
+}
+
+module.exports = {
+    PERMISOS,
+    PERMISOS_POR_ROL,
+    ROLES_TOTALES,
+    ROLES_ASIGNABLES,
+    permisosDeRol,
+    matrizPermisos,
+    sanearPermisos
+};
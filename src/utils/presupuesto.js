@@ -0,0 +1,140 @@
+/**
+ * Presupuesto mensual frente a real, por línea de la cuenta de resultados
+ * (2026-10-18).
+ *
+ * /balance/mes y /analytics/pnl-breakdown solo dan lo real: el encargado no
+ * tenía contra qué compararlo. Ahora cada restaurante guarda un importe
+ * presupuestado por mes y línea (tabla `presupuestos`) y aquí se calcula la
+ * desviación en euros y en %.
+ *
+ * Líneas (LINEAS_PRESUPUESTO):
+ *   ingresos       — venta (ventas_diarias_resumen, todos los buckets)
+ *   food_cost      — coste de lo vendido de comida (bucket FOOD)
+ *   beverage_cost  — coste de lo vendido de bebida (bucket BEVERAGE)
+ *   personal       — estimación de nómina del mes (utils/nomina)
+ *   gastos_fijos   — una línea por `categoria` de gastos_fijos ('' = sin categoría)
+ * El bucket OTROS (suministros, bases) no tiene línea: no es coste de venta,
+ * igual que en el pnl-breakdown.
+ *
+ * Signo: `desviacion` = real − presupuesto. En ingresos, positivo es bueno; en
+ * costes, malo. `favorable` lo dice sin que el frontend tenga que saberlo.
+ * Funciones puras: las queries están en services/presupuestoService.
+ */
+
+const LINEAS_PRESUPUESTO = ['ingresos', 'food_cost', 'beverage_cost', 'personal', 'gastos_fijos'];
+
+/** Líneas que suman a favor (el resto son costes). */
+const LINEAS_INGRESO = new Set(['ingresos']);
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+const claveLinea = (linea, categoria) => `${linea}|${linea === 'gastos_fijos' ? String(categoria || '').trim().toLowerCase() : ''}`;
+
+/**
+ * Valida y normaliza las líneas de presupuesto del body.
+ * @param {{linea, categoria?, importe}[]} lineas
+ * @returns {{lineas: {linea, categoria, importe}[]}|{error: string}}
+ */
+function leerLineasPresupuesto(lineas) {
+    if (!Array.isArray(lineas) || lineas.length === 0) return { error: 'lineas debe ser una lista no vacía' };
+    const vistas = new Map();
+    for (const l of lineas) {
+        if (!LINEAS_PRESUPUESTO.includes(l?.linea)) {
+            return { error: `linea inválida. Valores: ${LINEAS_PRESUPUESTO.join(', ')}` };
+        }
+        const importe = Number(l.importe);
+        if (!Number.isFinite(importe) || importe < 0 || importe > 99999999) {
+            return { error: `importe inválido en ${l.linea}` };
+        }
+        const categoria = l.linea === 'gastos_fijos' ? String(l.categoria || '').trim().toLowerCase().slice(0, 50) : '';
+        vistas.set(claveLinea(l.linea, categoria), { linea: l.linea, categoria, importe: round2(importe) });
+    }
+    return { lineas: [...vistas.values()] };
+}
+
+/** Presupuesto del año anterior con el incremento aplicado (copiar presupuesto). */
+function aplicarIncremento(lineas, incrementoPct = 0) {
+    const factor = 1 + (Number(incrementoPct) || 0) / 100;
+    return lineas.map(l => ({ linea: l.linea, categoria: l.categoria || '', importe: round2(Number(l.importe) * factor) }));
+}
+
+/**
+ * Compara presupuesto y real de un periodo.
+ *
+ * @param {{linea, categoria, importe}[]} presupuesto
+ * @param {{ingresos, food_cost, beverage_cost, personal, gastos_fijos: Object<string, number>}} real
+ * @returns {{lineas: object[], resultado: object}}
+ */
+function compararPresupuesto(presupuesto = [], real = {}) {
+    const filas = new Map();
+    const fila = (linea, categoria) => {
+        const k = claveLinea(linea, categoria);
+        if (!filas.has(k)) filas.set(k, { linea, categoria: linea === 'gastos_fijos' ? k.split('|')[1] : null, presupuesto: null, real: 0 });
+        return filas.get(k);
+    };
+
+    for (const linea of LINEAS_PRESUPUESTO) {
+        if (linea !== 'gastos_fijos') fila(linea).real = Number(real[linea]) || 0;
+    }
+    for (const [categoria, importe] of Object.entries(real.gastos_fijos || {})) {
+        fila('gastos_fijos', categoria).real += Number(importe) || 0;
+    }
+    for (const p of presupuesto) {
+        if (!LINEAS_PRESUPUESTO.includes(p.linea)) continue;
+        const f = fila(p.linea, p.categoria);
+        f.presupuesto = (f.presupuesto || 0) + (Number(p.importe) || 0);
+    }
+
+    const lineas = [...filas.values()].map(f => desviacion(f.linea, f.categoria, f.presupuesto, f.real));
+
+    // Resultado: ingresos − costes, con y sin presupuesto.
+    const signo = (l) => (LINEAS_INGRESO.has(l.linea) ? 1 : -1);
+    const conPresupuesto = lineas.some(l => l.presupuesto !== null);
+    const resultado = desviacion(
+        'resultado',
+        null,
+        conPresupuesto ? lineas.reduce((s, l) => s + signo(l) * (l.presupuesto || 0), 0) : null,
+        lineas.reduce((s, l) => s + signo(l) * l.real, 0)
+    );
+    return { lineas, resultado };
+}
+
+/** Desviación de una línea. Sin presupuesto: solo el real. */
+function desviacion(linea, categoria, presupuesto, real) {
+    const r = round2(real);
+    if (presupuesto === null) {
+        return { linea, categoria, presupuesto: null, real: r, desviacion: null, desviacion_pct: null, favorable: null };
+    }
+    const p = round2(presupuesto);
+    const d = round2(r - p);
+    const aFavor = LINEAS_INGRESO.has(linea) || linea === 'resultado' ? d >= 0 : d <= 0;
+    return {
+        linea,
+        categoria,
+        presupuesto: p,
+        real: r,
+        desviacion: d,
+        desviacion_pct: p !== 0 ? round2((d / Math.abs(p)) * 100) : null,
+        favorable: aFavor
+    };
+}
+
+/** Suma reales de varios meses (acumulado del año). */
+function sumarReales(reales) {
+    const total = { ingresos: 0, food_cost: 0, beverage_cost: 0, personal: 0, gastos_fijos: {} };
+    for (const r of reales) {
+        for (const linea of ['ingresos', 'food_cost', 'beverage_cost', 'personal']) total[linea] += Number(r[linea]) || 0;
+        for (const [categoria, importe] of Object.entries(r.gastos_fijos || {})) {
+            total.gastos_fijos[categoria] = (total.gastos_fijos[categoria] || 0) + (Number(importe) || 0);
+        }
+    }
+    return total;
+}
+
+module.exports = {
+    LINEAS_PRESUPUESTO,
+    leerLineasPresupuesto,
+    aplicarIncremento,
+    compararPresupuesto,
+    sumarReales
+};
@@ -0,0 +1,169 @@
+/**
+ * Registro de jornada (fichajes) — horas reales, previsto vs. real y el
+ * registro mensual exportable (2026-10-18).
+ *
+ * El art. 34.9 ET (RDL 8/2019) obliga a registrar cada día la hora concreta de
+ * inicio y fin de la jornada de cada trabajador, conservarlo 4 años y tenerlo
+ * a disposición de la plantilla y de la Inspección. Hasta ahora solo había
+ * `horarios` (lo planificado); los fichajes son lo que de verdad pasó.
+ *
+ * Convenios:
+ * - Un fichaje es un par entrada/salida; el turno partido son dos fichajes.
+ * - El día de un fichaje es el de su ENTRADA en hora de España (ZONA_REGISTRO):
+ *   un cierre a las 00:30 cuenta en el día en que se entró, igual que los
+ *   tramos de utils/jornada.
+ * - Un fichaje sin salida no suma horas: es una incidencia que el encargado
+ *   corrige (con motivo, queda en la auditoría).
+ * Funciones puras: las rutas (routes/fichajes.routes.js) leen y escriben.
+ */
+
+const { horasDeTramos } = require('./jornada');
+
+/** Zona horaria del registro (la ley es española; los restaurantes también). */
+const ZONA_REGISTRO = 'Europe/Madrid';
+
+/**
+ * Un fichaje abierto con más de estas horas no se cierra al volver a fichar:
+ * es un olvido de salida, se marca como incidencia y se abre uno nuevo.
+ */
+const MAX_HORAS_FICHAJE = 16;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/** Horas entre entrada y salida; null si el fichaje sigue abierto. */
+function horasFichaje(entrada, salida) {
+    if (!entrada || !salida) return null;
+    const ms = new Date(salida).getTime() - new Date(entrada).getTime();
+    return Number.isFinite(ms) && ms >= 0 ? ms / 3600000 : null;
+}
+
+/**
+ * Previsto (horarios) frente a real (fichajes) por empleado y día.
+ *
+ * @param {{empleado_id, fecha, hora_inicio, hora_fin}[]} turnos
+ * @param {{empleado_id, fecha, horas, abierto}[]} fichajes - fecha local, horas null si abierto
+ * @param {{id, nombre, coste_hora}[]} empleados
+ * @returns {{ empleados: object[], total: object }}
+ */
+function previstoVsReal({ turnos = [], fichajes = [], empleados = [] }) {
+    const filas = new Map();
+    const fila = (empleadoId, fecha) => {
+        const k = `${empleadoId}|${String(fecha).slice(0, 10)}`;
+        if (!filas.has(k)) filas.set(k, { empleado_id: Number(empleadoId), fecha: String(fecha).slice(0, 10), tramos: [], real: 0, fichajes: 0, abiertos: 0 });
+        return filas.get(k);
+    };
+
+    for (const t of turnos) fila(t.empleado_id, t.fecha).tramos.push(t);
+    for (const f of fichajes) {
+        const r = fila(f.empleado_id, f.fecha);
+        r.fichajes += 1;
+        if (f.abierto || f.horas == null) r.abiertos += 1;
+        else r.real += Number(f.horas) || 0;
+    }
+
+    const porEmpleado = new Map(empleados.map(e => [Number(e.id), {
+        empleado_id: Number(e.id),
+        nombre: e.nombre,
+        coste_hora: Number(e.coste_hora) || 0,
+        horas_previstas: 0,
+        horas_reales: 0,
+        dias: []
+    }]));
+
+    for (const r of [...filas.values()].sort((a, b) => a.fecha.localeCompare(b.fecha))) {
+        const e = porEmpleado.get(r.empleado_id);
+        if (!e) continue;
+        const previstas = horasDeTramos(r.tramos);
+        e.horas_previstas += previstas;
+        e.horas_reales += r.real;
+        e.dias.push({
+            fecha: r.fecha,
+            horas_previstas: round2(previstas),
+            horas_reales: round2(r.real),
+            diferencia: round2(r.real - previstas),
+            fichajes: r.fichajes,
+            sin_salida: r.abiertos,
+            sin_fichar: r.tramos.length > 0 && r.fichajes === 0
+        });
+    }
+
+    const total = { horas_previstas: 0, horas_reales: 0, coste_previsto: 0, coste_real: 0 };
+    const lista = [...porEmpleado.values()].map(e => {
+        total.horas_previstas += e.horas_previstas;
+        total.horas_reales += e.horas_reales;
+        total.coste_previsto += e.horas_previstas * e.coste_hora;
+        total.coste_real += e.horas_reales * e.coste_hora;
+        return {
+            ...e,
+            horas_previstas: round2(e.horas_previstas),
+            horas_reales: round2(e.horas_reales),
+            diferencia: round2(e.horas_reales - e.horas_previstas),
+            coste_previsto: round2(e.horas_previstas * e.coste_hora),
+            coste_real: round2(e.horas_reales * e.coste_hora)
+        };
+    });
+
+    return {
+        empleados: lista,
+        total: {
+            horas_previstas: round2(total.horas_previstas),
+            horas_reales: round2(total.horas_reales),
+            diferencia: round2(total.horas_reales - total.horas_previstas),
+            coste_previsto: round2(total.coste_previsto),
+            coste_real: round2(total.coste_real)
+        }
+    };
+}
+
+/**
+ * Registro mensual en CSV (';' y coma decimal, como el resto de exportaciones
+ * para Excel en español). Por trabajador: una línea por fichaje con fecha,
+ * hora de entrada y de salida, horas e incidencia; su total del mes; y la
+ * línea de firma que pide la Inspección.
+ *
+ * @param {object} datos
+ * @param {string} datos.empresa - nombre del restaurante
+ * @param {string} datos.mes - 'YYYY-MM'
+ * @param {{id, nombre, puesto}[]} datos.empleados
+ * @param {{empleado_id, fecha, entrada_hora, salida_hora, horas, incidencia, editado}[]} datos.fichajes
+ *        ordenados por entrada; horas locales 'HH:MM'
+ */
+function registroMensualCsv({ empresa, mes, empleados = [], fichajes = [] }) {
+    const num = (n) => (Number.isFinite(n) ? n.toFixed(2).replace('.', ',') : '');
+    const txt = (s) => {
+        const v = String(s ?? '');
+        return /[;"\n\r]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+    };
+
+    const filas = [
+        `Registro diario de jornada (art. 34.9 ET);${txt(empresa)};Mes ${mes}`,
+        ['Trabajador', 'Puesto', 'Fecha', 'Hora entrada', 'Hora salida', 'Horas', 'Incidencia'].join(';')
+    ];
+    for (const e of empleados) {
+        const suyos = fichajes.filter(f => Number(f.empleado_id) === Number(e.id));
+        if (suyos.length === 0) continue;
+        let total = 0;
+        for (const f of suyos) {
+            const horas = f.horas == null ? null : Number(f.horas);
+            if (horas !== null) total += horas;
+            const incidencia = f.incidencia === 'sin_salida' || horas === null
+                ? 'Sin salida'
+                : (f.editado ? 'Corregido' : '');
+            filas.push([
+                txt(e.nombre), txt(e.puesto), String(f.fecha).slice(0, 10),
+                f.entrada_hora || '', f.salida_hora || '', horas === null ? '' : num(horas), incidencia
+            ].join(';'));
+        }
+        filas.push([txt(e.nombre), '', `TOTAL ${mes}`, '', '', num(total), ''].join(';'));
+        filas.push([txt(e.nombre), '', 'Firma del trabajador:', '', 'Firma de la empresa:', '', ''].join(';'));
+    }
+    return '\uFEFF' + filas.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    ZONA_REGISTRO,
+    MAX_HORAS_FICHAJE,
+    horasFichaje,
+    previstoVsReal,
+    registroMensualCsv
+};
@@ -0,0 +1,152 @@
+/**
+ * stockLedger — libro de movimientos de stock (tabla `stock_movements`).
+ *
+ * `ingredientes.stock_actual` es un número suelto: cuando descuadra no hay
+ * forma de saber qué puerta lo movió. Cada escritor del censo de stock
+ * (tests/guards/stock-writers-census.test.js) apunta aquí su movimiento,
+ * DENTRO de su misma transacción, con el tipo y la fila que lo originó
+ * (venta, merma, traspaso…). Si la transacción hace ROLLBACK, el apunte se va
+ * con ella: el libro nunca cuenta un movimiento que no ocurrió.
+ *
+ * La cantidad apuntada es la que se APLICÓ, no la pedida: casi todos los
+ * descuentos llevan clamp `GREATEST(0, …)`, y si una venta pide 5 kg con 3 en
+ * stock solo salen 3. Por eso el escritor pasa `stockAntes` (lo tiene del
+ * SELECT … FOR UPDATE) y la cantidad se calcula en SQL contra el stock ya
+ * actualizado. Sin `stockAntes` (sumas sin clamp) vale `cantidad` tal cual.
+ *
+ * Ojo: la tabla viene de producción con columnas en INGLÉS (`restaurant_id`,
+ * `ingredient_id`…), ver init.js.
+ */
+
+const TIPOS_MOVIMIENTO = [
+    'venta',             // venta descuenta (single y bulk)
+    'venta_anulada',     // borrar venta devuelve
+    'merma',
+    'merma_anulada',
+    'consumo_interno',
+    'consumo_anulado',
+    'traspaso_salida',
+    'traspaso_entrada',
+    'produccion',        // lote de cocina central: consume los ingredientes base
+    'produccion_lote',   // lote de cocina central: entra el producto intermedio
+    'produccion_anulada', // borrar lote: vuelven las bases y sale el producto
+    'pedido_anulado',    // borrar pedido recibido revierte su entrada
+    'compra',            // compras pendientes (albaranes OCR) aprobadas
+    'ajuste',            // adjust-stock / bulk-adjust-stock (frontend: recepción de pedidos…)
+    'recuento',          // inventario físico: se FIJA el stock
+    'edicion'            // edición manual de la ficha del ingrediente
+];
+
+/**
+ * Apunta un movimiento. Llamar DESPUÉS del UPDATE de stock_actual y con el
+ * mismo client de la transacción.
+ *
+ * No apunta movimientos de cantidad 0 (un descuento que el clamp dejó en
+ * nada), salvo en recuentos: un recuento que confirma el stock también es
+ * información. Tampoco sobre ingredientes borrados: los UPDATE de stock ya
+ * los saltan (`deleted_at IS NULL`), así que no hubo movimiento.
+ *
+ * @param {object} client - client pg dentro de la transacción del escritor
+ * @param {object} mov
+ * @param {number} mov.restauranteId
+ * @param {number} mov.ingredienteId
+ * @param {string} mov.tipo - uno de TIPOS_MOVIMIENTO
+ * @param {number} [mov.stockAntes] - stock antes del UPDATE (exacto con clamp)
+ * @param {number} [mov.cantidad] - delta con signo, si no hay stockAntes
+ * @param {string} [mov.referenciaTipo] - tabla/origen ('venta', 'merma', 'pedido'…)
+ * @param {number} [mov.referenciaId] - id de la fila origen
+ * @param {string} [mov.notas]
+ * @param {number} [mov.usuarioId]
+ */
+async function registrarMovimientoStock(client, {
+    restauranteId, ingredienteId, tipo, stockAntes = null, cantidad = null,
+    referenciaTipo = null, referenciaId = null, notas = null, usuarioId = null
+}) {
+    const antes = stockAntes === null || stockAntes === undefined ? null : parseFloat(stockAntes);
+    const delta = cantidad === null || cantidad === undefined ? null : parseFloat(cantidad);
+    if (antes === null && delta === null) {
+        throw new Error('registrarMovimientoStock necesita stockAntes o cantidad');
+    }
+    await client.query(
+        `INSERT INTO stock_movements
+            (restaurant_id, ingredient_id, movement_type, quantity, stock_after,
+             reference_type, reference_id, notes, created_by)
+         SELECT i.restaurante_id, i.id, $3, COALESCE(i.stock_actual - $4::numeric, $5::numeric), i.stock_actual,
+                $6, $7, $8, $9
+         FROM ingredientes i
+         WHERE i.id = $2 AND i.restaurante_id = $1 AND i.deleted_at IS NULL
+           AND ($3 = 'recuento' OR COALESCE(i.stock_actual - $4::numeric, $5::numeric) <> 0)`,
+        [restauranteId, ingredienteId, tipo, antes, delta,
+            referenciaTipo, referenciaId, notas ? String(notas).slice(0, 500) : null, usuarioId]
+    );
+}
+
+/**
+ * Construye el libro con saldo acumulado a partir de los movimientos de UN
+ * ingrediente (orden cronológico) y lo cuadra contra stock_actual.
+ *
+ * El saldo arranca en el stock que había justo antes del primer movimiento
+ * (stock_after − quantity) y se acumula SOLO con las cantidades. Cada apunte
+ * guarda además el stock real tras él (`stock_after`): si el saldo y ese
+ * stock no coinciden, entre el apunte anterior y este alguien tocó el stock
+ * sin pasar por el libro (`hueco`), y ahí es donde hay que mirar.
+ *
+ * Pura: no toca BD.
+ *
+ * @param {Array<{id, movement_type, quantity, stock_after, reference_type, reference_id, notes, created_by, created_at}>} movimientos
+ * @param {number} stockActual - ingredientes.stock_actual ahora mismo
+ * @returns {{ apertura: number, movimientos: Array, saldo_final: number, stock_actual: number, diferencia: number, cuadra: boolean, huecos: number }}
+ */
+function construirLibroStock(movimientos, stockActual) {
+    const r3 = (n) => Math.round(n * 1000) / 1000;
+    const lista = Array.isArray(movimientos) ? movimientos : [];
+    const actual = parseFloat(stockActual) || 0;
+
+    const primero = lista[0];
+    const apertura = primero && primero.stock_after !== null && primero.stock_after !== undefined
+        ? r3(parseFloat(primero.stock_after) - parseFloat(primero.quantity))
+        : actual;
+
+    let saldo = apertura;
+    let registradoPrevio = apertura;
+    let huecos = 0;
+    const out = lista.map(m => {
+        const cantidad = parseFloat(m.quantity) || 0;
+        const stockTras = m.stock_after === null || m.stock_after === undefined ? null : parseFloat(m.stock_after);
+        // Hueco: el stock real antes de este apunte no era el que dejó el
+        // anterior → hubo una escritura fuera del libro.
+        const hueco = stockTras !== null && Math.abs((stockTras - cantidad) - registradoPrevio) > 0.0005;
+        if (hueco) huecos++;
+        saldo = r3(saldo + cantidad);
+        if (stockTras !== null) registradoPrevio = stockTras;
+        return {
+            id: m.id,
+            fecha: m.created_at,
+            tipo: m.movement_type,
+            cantidad: r3(cantidad),
+            saldo,
+            stock_registrado: stockTras !== null ? r3(stockTras) : null,
+            hueco,
+            referencia: m.reference_type ? { tipo: m.reference_type, id: m.reference_id } : null,
+            notas: m.notes || null,
+            usuario_id: m.created_by || null
+        };
+    });
+
+    const diferencia = r3(actual - saldo);
+    return {
+        apertura,
+        movimientos: out,
+        saldo_final: saldo,
+        stock_actual: r3(actual),
+        diferencia,
+        cuadra: Math.abs(diferencia) <= 0.0005,
+        huecos
+    };
+}
+
+module.exports = {
+    TIPOS_MOVIMIENTO,
+    registrarMovimientoStock,
+    construirLibroStock
+};
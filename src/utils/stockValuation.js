@@ -0,0 +1,173 @@
+/**
+ * stockValuation — valor del stock a una fecha pasada (cierre de mes).
+ *
+ * `/inventory/complete` solo valora el stock de AHORA, y la gestoría pide el
+ * valor de existencias a fin de mes para el balance de cierre. Aquí se
+ * valora la cantidad que había en esa fecha con las compras del Diario
+ * (`precios_compra_diarios`) hasta ese día, por uno de dos métodos:
+ *
+ *  - 'media' (precio medio ponderado): Σ total_compra / Σ cantidad_comprada
+ *    de todas las compras hasta la fecha. Es el que usa el resto de la app.
+ *  - 'fifo': lo que queda en el almacén son las compras MÁS RECIENTES. Se
+ *    recorren las compras hacia atrás desde la fecha hasta cubrir la
+ *    cantidad y cada tramo se valora a su precio.
+ *
+ * Lo que no cubren las compras (stock inicial dado de alta a mano, o un
+ * ingrediente que nunca pasó por el Diario) se valora al precio de ficha
+ * (precio / cantidad_por_formato), y la línea lo dice en `origen_precio`.
+ *
+ * La CANTIDAD a la fecha la reconstruye la ruta con el libro de stock
+ * (stock_movements): stock_actual − movimientos posteriores. Aquí llega ya
+ * calculada.
+ *
+ * Pura: no toca BD.
+ */
+
+const METODOS_VALORACION = ['media', 'fifo'];
+
+const r2 = (n) => Math.round(n * 100) / 100;
+const r3 = (n) => Math.round(n * 1000) / 1000;
+const r4 = (n) => Math.round(n * 10000) / 10000;
+
+/** Precio de ficha por unidad base (precio del formato / cantidad por formato). */
+function precioFicha(ing) {
+    const precio = parseFloat(ing.precio) || 0;
+    const cpf = parseFloat(ing.cantidad_por_formato) || 0;
+    return cpf > 0 ? precio / cpf : precio;
+}
+
+/**
+ * Valora UNA cantidad con las compras de su ingrediente.
+ *
+ * @param {number} cantidad - stock a la fecha (unidad base)
+ * @param {Array<{fecha, cantidad, total}>} compras - compras hasta la fecha, en orden cronológico
+ * @param {'media'|'fifo'} metodo
+ * @param {number} precioRespaldo - precio de ficha para lo no cubierto
+ * @returns {{ valor: number, precio_unitario: number, origen_precio: 'compras'|'ficha'|'mixto' }}
+ */
+function valorarCantidad(cantidad, compras, metodo, precioRespaldo) {
+    if (!(cantidad > 0)) return { valor: 0, precio_unitario: 0, origen_precio: compras.length ? 'compras' : 'ficha' };
+
+    if (metodo === 'fifo') {
+        let pendiente = cantidad;
+        let valor = 0;
+        for (let i = compras.length - 1; i >= 0 && pendiente > 0; i--) {
+            const c = compras[i];
+            const cant = parseFloat(c.cantidad) || 0;
+            if (!(cant > 0)) continue;
+            const precio = (parseFloat(c.total) || 0) / cant;
+            const tramo = Math.min(pendiente, cant);
+            valor += tramo * precio;
+            pendiente -= tramo;
+        }
+        const cubierto = cantidad - pendiente;
+        valor += pendiente * precioRespaldo;
+        const origen = cubierto <= 0 ? 'ficha' : (pendiente > 1e-9 ? 'mixto' : 'compras');
+        return { valor: r2(valor), precio_unitario: r4(valor / cantidad), origen_precio: origen };
+    }
+
+    const totalCant = compras.reduce((s, c) => s + (parseFloat(c.cantidad) || 0), 0);
+    const totalImporte = compras.reduce((s, c) => s + (parseFloat(c.total) || 0), 0);
+    if (totalCant > 0) {
+        const precio = totalImporte / totalCant;
+        return { valor: r2(cantidad * precio), precio_unitario: r4(precio), origen_precio: 'compras' };
+    }
+    return { valor: r2(cantidad * precioRespaldo), precio_unitario: r4(precioRespaldo), origen_precio: 'ficha' };
+}
+
+/**
+ * @param {object} datos
+ * @param {Array<{id, nombre, unidad, familia, precio, cantidad_por_formato, cantidad_fecha}>} datos.ingredientes
+ *        - `cantidad_fecha`: stock reconstruido a la fecha
+ * @param {Array<{ingrediente_id, fecha, cantidad, total}>} datos.compras - Diario hasta la fecha (cualquier orden)
+ * @param {'media'|'fifo'} [datos.metodo='media']
+ * @returns {{ metodo, lineas: Array, total: number, por_familia: object, sin_stock: number, stock_negativo: Array }}
+ */
+function valorarStockEnFecha({ ingredientes = [], compras = [], metodo = 'media' }) {
+    const met = METODOS_VALORACION.includes(metodo) ? metodo : 'media';
+
+    const porIng = new Map();
+    for (const c of compras) {
+        const id = parseInt(c.ingrediente_id);
+        if (!id) continue;
+        if (!porIng.has(id)) porIng.set(id, []);
+        porIng.get(id).push(c);
+    }
+    for (const lista of porIng.values()) {
+        lista.sort((a, b) => String(a.fecha).localeCompare(String(b.fecha)));
+    }
+
+    const lineas = [];
+    const stockNegativo = [];
+    let sinStock = 0;
+    for (const ing of ingredientes) {
+        const bruto = parseFloat(ing.cantidad_fecha) || 0;
+        // El stock nunca baja de 0 (los descuentos llevan clamp); una cantidad
+        // negativa reconstruida es un hueco del libro. Se valora a 0 y se avisa.
+        if (bruto < -0.0005) stockNegativo.push({ ingrediente_id: ing.id, nombre: ing.nombre, cantidad: r3(bruto) });
+        const cantidad = Math.max(0, r3(bruto));
+        if (cantidad <= 0) {
+            sinStock++;
+            continue;
+        }
+        const v = valorarCantidad(cantidad, porIng.get(ing.id) || [], met, precioFicha(ing));
+        lineas.push({
+            ingrediente_id: ing.id,
+            nombre: ing.nombre,
+            unidad: ing.unidad || null,
+            familia: ing.familia || 'alimento',
+            cantidad,
+            precio_unitario: v.precio_unitario,
+            valor: v.valor,
+            origen_precio: v.origen_precio
+        });
+    }
+
+    lineas.sort((a, b) => b.valor - a.valor);
+
+    const porFamilia = {};
+    for (const l of lineas) porFamilia[l.familia] = r2((porFamilia[l.familia] || 0) + l.valor);
+
+    return {
+        metodo: met,
+        lineas,
+        total: r2(lineas.reduce((s, l) => s + l.valor, 0)),
+        por_familia: porFamilia,
+        sin_stock: sinStock,
+        stock_negativo: stockNegativo
+    };
+}
+
+/**
+ * CSV para la gestoría: `;` como separador y coma decimal (Excel en español
+ * los abre así sin asistente), con BOM para que respete las tildes.
+ *
+ * Los textos (nombre, familia, unidad) los teclea cualquiera del equipo: uno
+ * que empiece por `= + - @` (o tabulador / retorno) Excel lo ejecuta como
+ * fórmula al abrir el fichero. Se neutraliza con una comilla simple delante.
+ */
+function valoracionACsv(informe, fecha) {
+    const num = (n, dec) => (Number.isFinite(n) ? n.toFixed(dec).replace('.', ',') : '');
+    const txt = (s) => {
+        let v = String(s ?? '');
+        if (/^[=+\-@\t\r]/.test(v)) v = `'${v}`;
+        return /[;"\n\r]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+    };
+    const filas = [
+        ['Fecha', 'Ingrediente', 'Familia', 'Unidad', 'Cantidad', 'Precio unitario', 'Valor', 'Origen precio'].join(';')
+    ];
+    for (const l of informe.lineas) {
+        filas.push([
+            fecha, txt(l.nombre), txt(l.familia), txt(l.unidad),
+            num(l.cantidad, 3), num(l.precio_unitario, 4), num(l.valor, 2), l.origen_precio
+        ].join(';'));
+    }
+    filas.push([fecha, 'TOTAL', '', '', '', '', num(informe.total, 2), informe.metodo].join(';'));
+    return '\uFEFF' + filas.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    METODOS_VALORACION,
+    valorarStockEnFecha,
+    valoracionACsv
+};
@@ -0,0 +1,234 @@
+/**
+ * supplierReconciliation — cuadre a tres bandas de un proveedor en un mes:
+ *
+ *     PEDIDO  →  ALBARÁN (lo recibido)  →  FACTURA
+ *
+ * La factura mensual del proveedor agrupa varios albaranes. Hasta ahora nada
+ * la comparaba con lo que de verdad entró en cocina, así que un precio
+ * facturado por encima del pactado o una caja cobrada que nunca llegó solo se
+ * veían si alguien repasaba el papel a mano.
+ *
+ * El cuadre es POR INGREDIENTE y mes (no por albarán): las facturas de
+ * mercado casi nunca repiten las líneas del albarán una a una, pero el total
+ * de kilos y el precio de cada producto sí tienen que coincidir.
+ *
+ *  - Pedido: líneas de `pedidos` (cantidad y precio pactado). Un pedido
+ *    servido en varias entregas (`pedidos_recepciones`) se reparte por la
+ *    fecha de CADA entrega, igual que el Diario: si llega mitad en marzo y
+ *    mitad en abril, cada mes espera solo su mitad. Lo que nunca llegó se
+ *    espera en el mes de la entrega que cerró el pedido.
+ *  - Recibido: el Diario (`precios_compra_diarios`) — incluye las entregas
+ *    de pedidos Y los albaranes OCR aprobados que no venían de pedido — más
+ *    las líneas de comida personal de los pedidos, que no van al Diario pero
+ *    el proveedor sí cobra.
+ *  - Facturado: líneas de `facturas_proveedor`.
+ *
+ * Pura: no toca BD. La ruta carga las filas y esto decide.
+ */
+
+/** Diferencia relativa por encima de la cual un precio se marca (1%). */
+const TOLERANCIA_PRECIO = 0.01;
+/** Diferencia relativa por encima de la cual una cantidad se marca (0,5%). */
+const TOLERANCIA_CANTIDAD = 0.005;
+/** Por debajo de esto (€) una diferencia de importe es redondeo, no incidencia. */
+const TOLERANCIA_EUR = 0.05;
+
+const r2 = (n) => Math.round(n * 100) / 100;
+const r4 = (n) => Math.round(n * 10000) / 10000;
+
+function difiere(a, b, tolerancia) {
+    if (!(a > 0) && !(b > 0)) return false;
+    const ref = Math.max(Math.abs(a), Math.abs(b));
+    return Math.abs(a - b) / ref > tolerancia;
+}
+
+function acumular(mapa, clave, { nombre, cantidad, importe }) {
+    if (!mapa.has(clave)) mapa.set(clave, { nombre: nombre || null, cantidad: 0, importe: 0, conCantidad: false });
+    const acc = mapa.get(clave);
+    if (!acc.nombre && nombre) acc.nombre = nombre;
+    if (Number.isFinite(cantidad)) {
+        acc.cantidad += cantidad;
+        acc.conCantidad = true;
+    }
+    acc.importe += importe;
+}
+
+function lado(acc) {
+    if (!acc) return null;
+    const cantidad = acc.conCantidad ? r4(acc.cantidad) : null;
+    return {
+        cantidad,
+        precio: cantidad > 0 ? r4(acc.importe / acc.cantidad) : null,
+        importe: r2(acc.importe)
+    };
+}
+
+const precioPactado = (it) => parseFloat(it.precioUnitario || it.precio_unitario || it.precioReal) || 0;
+
+/** 'YYYY-MM-DD' de una fecha que llega como texto o como Date. */
+function dia(fecha) {
+    return fecha instanceof Date ? fecha.toISOString().slice(0, 10) : String(fecha).slice(0, 10);
+}
+
+/**
+ * Pedido con entregas registradas: el lado "pedido" del mes es lo que se
+ * entregó en el mes a precio pactado (más lo que quedó sin servir si el
+ * pedido se cerró en el mes); la comida personal entregada en el mes va al
+ * lado "recibido". Sin `inicio`/`fin` cuentan todas las entregas.
+ */
+function acumularPorRecepciones(pedido, recibido, p, lineas, { inicio, fin }) {
+    const enMes = (r) => (!inicio || dia(r.fecha) >= inicio) && (!fin || dia(r.fecha) < fin);
+    for (const r of p.recepciones.filter(enMes)) {
+        for (const l of Array.isArray(r.lineas) ? r.lineas : []) {
+            const it = lineas[parseInt(l.linea)] || {};
+            if (it.tipo === 'ajuste') continue;
+            const ingId = parseInt(l.ingredienteId || it.ingredienteId || it.ingrediente_id);
+            const cantidad = parseFloat(l.cantidad) || 0;
+            if (!ingId || !(cantidad > 0)) continue;
+            acumular(pedido, ingId, { nombre: it.nombre, cantidad, importe: cantidad * precioPactado(it) });
+            if (l.personal === true) {
+                const precioReal = parseFloat(l.precioReal) || 0;
+                acumular(recibido, ingId, { nombre: it.nombre, cantidad, importe: cantidad * precioReal });
+            }
+        }
+    }
+
+    const ultima = p.recepciones.reduce((max, r) => (dia(r.fecha) > max ? dia(r.fecha) : max), '');
+    if (p.estado !== 'recibido' || !enMes({ fecha: ultima })) return;
+    for (const it of lineas) {
+        if (it.tipo === 'ajuste') continue;
+        const ingId = parseInt(it.ingredienteId || it.ingrediente_id);
+        const falta = (parseFloat(it.cantidad) || 0) - (parseFloat(it.cantidadRecibida) || 0);
+        if (!ingId || !(falta > 0.0001)) continue;
+        acumular(pedido, ingId, { nombre: it.nombre, cantidad: falta, importe: falta * precioPactado(it) });
+    }
+}
+
+/**
+ * @param {object} datos
+ * @param {Array<{id, estado, ingredientes, recepciones?}>} datos.pedidos - pedidos del proveedor en el mes;
+ *        `recepciones` = todas sus filas de pedidos_recepciones ({fecha, lineas})
+ * @param {Array<{ingrediente_id, nombre, cantidad, importe}>} datos.recibidos - Diario agregado por ingrediente
+ * @param {Array<{id, numero_factura, total_base, lineas}>} datos.facturas - facturas del periodo
+ * @param {string} [datos.inicio] - primer día del mes ('YYYY-MM-DD')
+ * @param {string} [datos.fin] - primer día del mes siguiente (exclusivo)
+ * @returns {{ lineas: Array, no_casadas: Array, resumen: object }}
+ */
+function reconciliarProveedorMes({ pedidos = [], recibidos = [], facturas = [], inicio = null, fin = null }) {
+    const pedido = new Map();
+    const recibido = new Map();
+    const facturado = new Map();
+
+    for (const p of pedidos) {
+        const lineas = Array.isArray(p.ingredientes) ? p.ingredientes : [];
+        if (Array.isArray(p.recepciones) && p.recepciones.length > 0) {
+            acumularPorRecepciones(pedido, recibido, p, lineas, { inicio, fin });
+            continue;
+        }
+        for (const it of lineas) {
+            if (it.tipo === 'ajuste') continue;
+            const ingId = parseInt(it.ingredienteId || it.ingrediente_id);
+            if (!ingId) continue;
+            const cantidad = parseFloat(it.cantidad) || 0;
+            acumular(pedido, ingId, { nombre: it.nombre, cantidad, importe: cantidad * precioPactado(it) });
+
+            // Comida personal: no está en el Diario, pero llegó y se factura.
+            if (it.personal === true && (p.estado === 'recibido' || p.estado === 'parcial')) {
+                const rec = p.estado === 'parcial'
+                    ? parseFloat(it.cantidadRecibida) || 0
+                    : parseFloat(it.cantidadRecibida ?? it.cantidad) || 0;
+                const precioReal = parseFloat(it.precioReal || it.precioUnitario || it.precio_unitario) || 0;
+                if (rec > 0) acumular(recibido, ingId, { nombre: it.nombre, cantidad: rec, importe: rec * precioReal });
+            }
+        }
+    }
+
+    for (const r of recibidos) {
+        const ingId = parseInt(r.ingrediente_id);
+        if (!ingId) continue;
+        acumular(recibido, ingId, {
+            nombre: r.nombre,
+            cantidad: parseFloat(r.cantidad) || 0,
+            importe: parseFloat(r.importe) || 0
+        });
+    }
+
+    // Líneas de factura sin ingrediente (portes, envases, recargos) no se
+    // pueden casar con nada: se agrupan por descripción y salen siempre como
+    // 'sin_albaran' para que el usuario las vea.
+    for (const f of facturas) {
+        for (const l of Array.isArray(f.lineas) ? f.lineas : []) {
+            const ingId = parseInt(l.ingredienteId || l.ingrediente_id);
+            const cantidad = l.cantidad !== undefined && l.cantidad !== null && l.cantidad !== ''
+                ? parseFloat(l.cantidad) : NaN;
+            const precio = parseFloat(l.precioUnitario ?? l.precio_unitario);
+            const importe = l.importe !== undefined && l.importe !== null && l.importe !== ''
+                ? parseFloat(l.importe) || 0
+                : (Number.isFinite(cantidad) && Number.isFinite(precio) ? cantidad * precio : 0);
+            const clave = ingId || `txt:${String(l.descripcion || 'Sin descripción').trim().toLowerCase()}`;
+            acumular(facturado, clave, { nombre: l.descripcion, cantidad, importe });
+        }
+    }
+
+    const claves = new Set([...pedido.keys(), ...recibido.keys(), ...facturado.keys()]);
+    const lineas = [];
+    for (const clave of claves) {
+        const lp = lado(pedido.get(clave));
+        const lr = lado(recibido.get(clave));
+        const lf = lado(facturado.get(clave));
+        const incidencias = [];
+
+        if (lp && !lr) incidencias.push('pedido_sin_albaran');
+        if (lp && lr) {
+            if (difiere(lp.cantidad, lr.cantidad, TOLERANCIA_CANTIDAD)) incidencias.push('cantidad_pedido');
+            if (lp.precio && lr.precio && difiere(lp.precio, lr.precio, TOLERANCIA_PRECIO)) incidencias.push('precio_pedido');
+        }
+        if (lf && !lr) incidencias.push('sin_albaran');
+        if (lr && !lf) incidencias.push('sin_factura');
+        if (lf && lr) {
+            if (lf.cantidad !== null && difiere(lf.cantidad, lr.cantidad, TOLERANCIA_CANTIDAD)) incidencias.push('cantidad_factura');
+            if (lf.precio && lr.precio && difiere(lf.precio, lr.precio, TOLERANCIA_PRECIO)) incidencias.push('precio_factura');
+            if (lf.cantidad === null && Math.abs(lf.importe - lr.importe) > TOLERANCIA_EUR) incidencias.push('importe_factura');
+        }
+
+        const nombre = [pedido, recibido, facturado].map(m => m.get(clave)?.nombre).find(Boolean) || null;
+        lineas.push({
+            ingrediente_id: typeof clave === 'number' ? clave : null,
+            nombre,
+            pedido: lp,
+            recibido: lr,
+            facturado: lf,
+            diferencia_eur: r2((lf ? lf.importe : 0) - (lr ? lr.importe : 0)),
+            incidencias
+        });
+    }
+
+    lineas.sort((a, b) => Math.abs(b.diferencia_eur) - Math.abs(a.diferencia_eur));
+
+    const sumar = (campo) => r2(lineas.reduce((s, l) => s + (l[campo] ? l[campo].importe : 0), 0));
+    const importeFacturas = r2(facturas.reduce((s, f) => s + (parseFloat(f.total_base) || 0), 0));
+    const importeLineasFactura = sumar('facturado');
+    const importeRecibido = sumar('recibido');
+
+    return {
+        lineas,
+        no_casadas: lineas.filter(l => l.incidencias.length > 0),
+        resumen: {
+            importe_pedido: sumar('pedido'),
+            importe_recibido: importeRecibido,
+            importe_facturado: importeFacturas,
+            // La cabecera de la factura debe cuadrar con sus líneas; si no, las
+            // líneas están incompletas y el cuadre por ingrediente se queda corto.
+            descuadre_cabecera_factura: r2(importeFacturas - importeLineasFactura),
+            diferencia_eur: r2(importeFacturas - importeRecibido),
+            lineas_con_incidencia: lineas.filter(l => l.incidencias.length > 0).length
+        }
+    };
+}
+
+module.exports = {
+    reconciliarProveedorMes,
+    TOLERANCIA_PRECIO,
+    TOLERANCIA_CANTIDAD,
+    TOLERANCIA_EUR
+};
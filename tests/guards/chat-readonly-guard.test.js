@@ -10,6 +10,9 @@
  * muestra el modal "Aplicar cambio / Cancelar" (chat-action-preview.js) → ejecuta
  * contra los endpoints autenticados (tenant-scoped, validados). NUNCA escribir
  * directamente desde chatService.js, porque eso se saltaría la confirmación.
+ * Las tools `proponer_*` (2026-10-18) tampoco escriben: devuelven un token
+ * firmado y la escritura la hace services/chatActionService cuando el usuario
+ * confirma en POST /chat/acciones/confirmar.
  *
  * Este guard falla si aparece un UPDATE / INSERT / DELETE en chatService.js.
  * Auditoría de seguridad de Omnes 2026-06-30 (a raíz del vídeo de Chema Alonso
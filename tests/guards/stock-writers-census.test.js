@@ -29,6 +29,17 @@
  *   - services/SaleService.js       import masivo de ventas (bulk) descuenta
  *   - services/IngredientService.js gestión directa de ingrediente
  *
+ * Puertas añadidas después (cada una con su porqué):
+ *   - routes/produccion.routes.js   (2026-10-18) lote de cocina central: consume las
+ *     bases de la receta y suma el producto intermedio en UNA transacción. Ninguna
+ *     puerta existente hace ambas cosas con el coste del lote; encadenar un consumo
+ *     interno y un adjust-stock dejaría el stock a medias si falla el segundo.
+ *   - services/chatActionService.js (2026-10-18) merma y ajuste de stock confirmados
+ *     desde el chat. La escritura va en la MISMA transacción que el consumo del token
+ *     de un solo uso (chat_acciones): llamar a mermas / adjust-stock por HTTP dejaría
+ *     el token gastado sin escritura, o la escritura repetible. Mismo lock, clamp y
+ *     libro de stock que esas dos puertas.
+ *
  * Probado por MUTACIÓN (regla 5 del CLAUDE.md) al crearlo: un archivo nuevo
  * con `UPDATE ingredientes SET stock_actual` puso este test en rojo.
  */
@@ -50,10 +61,12 @@ const PUERTAS_CENSADAS = [
     'routes/inventory.routes.js',
     'routes/mermas.routes.js',
     'routes/orders.routes.js',
+    'routes/produccion.routes.js',
     'routes/sales.routes.js',
     'routes/transfers.routes.js',
     'services/IngredientService.js',
     'services/SaleService.js',
+    'services/chatActionService.js',
 ];
 
 function walk(dir) {
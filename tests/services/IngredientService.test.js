@@ -91,43 +91,52 @@ describe('IngredientService', () => {
     });
 
     describe('updateStock', () => {
-        it('should add stock correctly', async () => {
-            pool.query.mockResolvedValueOnce({
-                rows: [{ id: 1, stock_actual: 15 }]
-            });
+        // updateStock va en transacción (withTransaction): bloquea la fila,
+        // actualiza y apunta el movimiento en stock_movements con el mismo client.
+        let client;
+        const llamadaUpdate = () => client.query.mock.calls.find(([sql]) => sql.includes('UPDATE ingredientes'));
+
+        beforeEach(() => {
+            client = {
+                query: jest.fn(async (sql) => {
+                    if (sql.includes('FOR UPDATE')) return { rows: [{ stock_actual: 10 }] };
+                    if (sql.includes('UPDATE ingredientes')) return { rows: [{ id: 1, stock_actual: 15 }] };
+                    return { rows: [] };
+                }),
+                release: jest.fn()
+            };
+            pool.connect.mockResolvedValue(client);
+        });
 
+        it('should add stock correctly', async () => {
             const result = await service.updateStock(1, 5, 'sumar', mockRestauranteId);
 
-            expect(pool.query).toHaveBeenCalledWith(
-                expect.stringContaining('stock_actual + $1'),
-                [5, 1, mockRestauranteId]
-            );
+            expect(result).toEqual({ id: 1, stock_actual: 15 });
+            expect(llamadaUpdate()).toEqual([expect.stringContaining('stock_actual + $1'), [5, 1, mockRestauranteId]]);
+            expect(client.query).toHaveBeenCalledWith('COMMIT');
+            expect(client.release).toHaveBeenCalled();
         });
 
         it('should subtract stock correctly', async () => {
-            pool.query.mockResolvedValueOnce({
-                rows: [{ id: 1, stock_actual: 5 }]
-            });
-
             await service.updateStock(1, 3, 'restar', mockRestauranteId);
 
-            expect(pool.query).toHaveBeenCalledWith(
-                expect.stringContaining('stock_actual - $1'),
-                expect.any(Array)
-            );
+            expect(llamadaUpdate()[0]).toContain('stock_actual - $1');
         });
 
         it('should not allow negative stock', async () => {
-            pool.query.mockResolvedValueOnce({
-                rows: [{ id: 1, stock_actual: 0 }]
-            });
+            await service.updateStock(1, 100, 'restar', mockRestauranteId);
 
-            const result = await service.updateStock(1, 100, 'restar', mockRestauranteId);
+            expect(llamadaUpdate()[0]).toContain('GREATEST(0,');
+        });
 
-            expect(pool.query).toHaveBeenCalledWith(
-                expect.stringContaining('GREATEST(0,'),
-                expect.any(Array)
-            );
+        it('should record the movement in the ledger inside the same transaction', async () => {
+            await service.updateStock(1, 5, 'sumar', mockRestauranteId);
+
+            const sqls = client.query.mock.calls.map(([sql]) => sql);
+            const ledger = sqls.findIndex(sql => sql.includes('INSERT INTO stock_movements'));
+            expect(ledger).toBeGreaterThan(sqls.findIndex(sql => sql.includes('UPDATE ingredientes')));
+            expect(ledger).toBeLessThan(sqls.indexOf('COMMIT'));
+            expect(pool.query).not.toHaveBeenCalled();
         });
     });
 
@@ -0,0 +1,194 @@
+/**
+ * Consumo de IA por restaurante (ai_usage) y cuota mensual por plan.
+ *
+ * Lo que blindan estos tests:
+ *   1. Cada llamada al LLM deja una fila con restaurante, feature, modelo,
+ *      tokens y coste — también las fallidas (ok = false, sin tokens).
+ *   2. Con el presupuesto del plan agotado NO se llama al modelo: 429
+ *      AI_QUOTA_EXCEEDED, también en el OCR/PDF (no solo en el chat).
+ *   3. En un bucle de tools la cuota se mira al empezar, no a mitad.
+ *      Si leerla falla, la llamada sigue (se registra el error).
+ *   4. /superadmin/ai-usage agrupa el coste por tenant y por feature.
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/middleware/auth', () => ({
+    authMiddleware: (req, _res, next) => {
+        req.restauranteId = 3;
+        req.user = { userId: 7, isSuperAdmin: true };
+        next();
+    },
+    requirePermission: () => (_req, _res, next) => next(),
+    requireSuperAdmin: (_req, _res, next) => next()
+}));
+jest.mock('../../src/middleware/rateLimit', () => ({ costlyApiLimiter: (_req, _res, next) => next() }));
+
+const llm = require('../../src/services/llmProvider');
+const { estadoCuota, CUOTA_IA_MENSUAL_USD } = require('../../src/services/aiUsageService');
+const salesRoutesFactory = require('../../src/routes/sales.routes');
+const superadminRoutesFactory = require('../../src/routes/superadmin.routes');
+
+const PARAMS = { max_tokens: 10, messages: [{ role: 'user', content: 'hola' }] };
+
+function makePool({ plan = 'starter', gastado = 0, usoRows = [] } = {}) {
+    const queries = [];
+    return {
+        queries,
+        async query(sql, params) {
+            queries.push({ sql, params });
+            if (sql.includes('AS gastado')) return { rows: plan === null ? [] : [{ plan, gastado: String(gastado) }] };
+            if (sql.includes('FROM ai_usage u') && sql.includes('GROUP BY')) return { rows: usoRows };
+            return { rows: [], rowCount: 1 };
+        }
+    };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+let anterior;
+
+function usarFake(respuestas) {
+    const fake = llm.crearProveedorFake({ respuestas });
+    anterior = llm.usarProveedor(fake);
+    return fake;
+}
+
+afterEach(() => {
+    llm.usarProveedor(anterior);
+    llm.configurarPersistencia(null);
+});
+
+describe('registro en ai_usage', () => {
+    test('llamada correcta: tokens, modelo y coste', async () => {
+        const pool = makePool();
+        llm.configurarPersistencia(pool);
+        usarFake({ ocr_albaran: [{ content: '{}', model: 'claude-sonnet-4-6', usage: { input_tokens: 2000, output_tokens: 500 } }] });
+
+        await llm.crearMensaje({ feature: 'ocr_albaran', restauranteId: 3, params: PARAMS });
+        await tick();
+
+        const fila = pool.queries.find(q => q.sql.includes('INSERT INTO ai_usage'));
+        expect(fila.params.slice(0, 9)).toEqual([3, 'ocr_albaran', 'claude-sonnet-4-6', 2000, 500, 0, 0, 0.0135, true]);
+    });
+
+    test('llamada fallida: fila con ok = false y sin tokens', async () => {
+        const pool = makePool();
+        llm.configurarPersistencia(pool);
+        usarFake({ ventas_pdf: [{ error: { status: 400, message: 'PDF ilegible' } }] });
+
+        await expect(llm.crearMensaje({ feature: 'ventas_pdf', restauranteId: 3, params: PARAMS })).rejects.toMatchObject({ status: 400 });
+        await tick();
+
+        const fila = pool.queries.find(q => q.sql.includes('INSERT INTO ai_usage'));
+        expect(fila.params.slice(0, 9)).toEqual([3, 'ventas_pdf', expect.stringMatching(/^claude-/), 0, 0, 0, 0, 0, false]);
+    });
+});
+
+describe('cuota mensual por plan', () => {
+    test('agotada: LLM_CUOTA sin llamar al modelo', async () => {
+        llm.configurarPersistencia(makePool({ plan: 'starter', gastado: CUOTA_IA_MENSUAL_USD.starter }));
+        const fake = usarFake({ coach: ['no debería llegar'] });
+
+        await expect(llm.crearMensaje({ feature: 'coach', restauranteId: 3, params: PARAMS }))
+            .rejects.toMatchObject({ code: 'LLM_CUOTA', status: 429, cuota: { plan: 'starter', agotada: true } });
+        expect(fake.llamadas).toHaveLength(0);
+    });
+
+    test('fallo al leer la cuota: se llama al modelo igual', async () => {
+        const pool = makePool();
+        const query = pool.query;
+        pool.query = async (sql, params) => {
+            if (sql.includes('AS gastado')) throw new Error('relation "ai_usage" does not exist');
+            return query(sql, params);
+        };
+        llm.configurarPersistencia(pool);
+        const fake = usarFake({ coach: ['ok'] });
+
+        const r = await llm.crearMensaje({ feature: 'coach', restauranteId: 3, params: PARAMS });
+        expect(llm.textoDe(r)).toBe('ok');
+        expect(fake.llamadas).toHaveLength(1);
+    });
+
+    test('comprobarCuota: false (vuelta 2+ de un bucle de tools) no corta', async () => {
+        const pool = makePool({ gastado: 999 });
+        llm.configurarPersistencia(pool);
+        usarFake({ chat: ['sigue'] });
+
+        await llm.crearMensaje({ feature: 'chat', restauranteId: 3, params: PARAMS, comprobarCuota: false });
+        expect(pool.queries.some(q => q.sql.includes('AS gastado'))).toBe(false);
+    });
+
+    test("plan 'base' (el que escribe la facturación): su cuota, no la de trial", async () => {
+        const fs = require('fs');
+        const leer = (f) => fs.readFileSync(require.resolve(`../../src/routes/${f}`), 'utf8');
+        const escritos = [
+            ...leer('webhooks.routes.js').matchAll(/\bplan = '(\w+)'/g),
+            ...leer('auth.routes.js').matchAll(/\bplan: '(\w+)'/g)
+        ].map(m => m[1]);
+        expect(escritos).toContain('base');
+        for (const plan of escritos) expect(CUOTA_IA_MENSUAL_USD[plan]).toBeGreaterThan(CUOTA_IA_MENSUAL_USD.trial);
+
+        usarFake({ chat: ['ok'] });
+        llm.configurarPersistencia(makePool({ plan: 'base', gastado: CUOTA_IA_MENSUAL_USD.trial + 5 }));
+        await expect(llm.crearMensaje({ feature: 'chat', restauranteId: 3, params: PARAMS })).resolves.toBeDefined();
+    });
+
+    test('estado: mes natural, plan desconocido → cuota de trial', async () => {
+        const ahora = new Date('2026-10-18T12:00:00Z');
+        const pool = makePool({ plan: 'raro', gastado: 2.5 });
+        const cuota = await estadoCuota(pool, 3, ahora);
+        expect(cuota).toEqual({
+            plan: 'raro', gastado_usd: 2.5, limite_usd: CUOTA_IA_MENSUAL_USD.trial,
+            restante_usd: CUOTA_IA_MENSUAL_USD.trial - 2.5, agotada: false, renueva: '2026-11-01T00:00:00.000Z'
+        });
+        expect(pool.queries[0].params).toEqual([3, '2026-10-01T00:00:00.000Z']);
+    });
+
+    test('POST /sales/parse-pdf con la cuota agotada: 429 AI_QUOTA_EXCEEDED', async () => {
+        llm.configurarPersistencia(makePool({ plan: 'trial', gastado: 50 }));
+        usarFake({ ventas_pdf: ['{}'] });
+        const app = express();
+        app.use(express.json());
+        app.use('/api', salesRoutesFactory(makePool()));
+
+        const res = await request(app).post('/api/parse-pdf').send({ pdfBase64: 'JVBERi0=' });
+        expect(res.status).toBe(429);
+        expect(res.body).toMatchObject({ error: 'AI_QUOTA_EXCEEDED', plan: 'trial', used_usd: 50, limit_usd: CUOTA_IA_MENSUAL_USD.trial });
+    });
+});
+
+describe('GET /superadmin/ai-usage', () => {
+    function app(pool) {
+        const a = express();
+        a.use('/api', superadminRoutesFactory(pool, { JWT_SECRET: 'x'.repeat(40) }));
+        return a;
+    }
+
+    test('coste por tenant (el que más gasta primero) y por feature', async () => {
+        const fila = (restaurante_id, nombre, plan, feature, llamadas, coste_usd) => ({
+            restaurante_id, nombre, plan, feature, llamadas: String(llamadas), errores: '0',
+            tokens_input: '1000', tokens_output: '100', tokens_cache_read: '0', tokens_cache_creation: '0', coste_usd: String(coste_usd)
+        });
+        const pool = makePool({
+            usoRows: [
+                fila(3, 'Centro', 'starter', 'chat', 40, 1.2),
+                fila(3, 'Centro', 'starter', 'ocr_albaran', 10, 0.3),
+                fila(4, 'Playa', 'premium', 'ocr_albaran', 90, 2.7)
+            ]
+        });
+        const res = await request(app(pool)).get('/api/superadmin/ai-usage?mes=2026-10');
+
+        expect(res.status).toBe(200);
+        expect(pool.queries[0].params).toEqual(['2026-10-01T00:00:00.000Z', '2026-11-01T00:00:00.000Z']);
+        expect(res.body.tenants.map(t => t.restaurante_id)).toEqual([4, 3]);
+        expect(res.body.tenants[1]).toMatchObject({ nombre: 'Centro', limite_usd: CUOTA_IA_MENSUAL_USD.starter, total: { llamadas: 50, coste_usd: 1.5 } });
+        expect(res.body.por_feature.ocr_albaran).toMatchObject({ llamadas: 100, coste_usd: 3 });
+        expect(res.body.total.coste_usd).toBe(4.2);
+    });
+
+    test('mes mal formado: 400', async () => {
+        const res = await request(app(makePool())).get('/api/superadmin/ai-usage?mes=octubre');
+        expect(res.status).toBe(400);
+    });
+});
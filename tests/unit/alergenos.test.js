@@ -1,3 +1,12 @@
+jest.mock('../../src/middleware/auth', () => ({
+    authMiddleware: (req, _res, next) => {
+        req.restauranteId = 3;
+        req.user = { userId: 7 };
+        next();
+    },
+    requirePermission: () => (_req, _res, next) => next()
+}));
+
 const { ALERGENOS_CODES, sanitizeAlergenos } = require('../../src/utils/alergenos');
 
 describe('sanitizeAlergenos', () => {
@@ -26,3 +35,128 @@ describe('sanitizeAlergenos', () => {
         expect(sanitizeAlergenos([])).toEqual([]);
     });
 });
+
+describe('resolverAlergenosReceta — herencia desde ingredientes base y elaboraciones', () => {
+    const { resolverAlergenosReceta, subrecetasDe } = require('../../src/utils/alergenos');
+
+    const ingredientesMap = new Map([
+        [1, { id: 1, nombre: 'Harina', alergenos: ['gluten'] }],
+        [2, { id: 2, nombre: 'Leche', alergenos: ['lacteos'] }],
+        [3, { id: 3, nombre: 'Mantequilla', alergenos: ['lacteos', 'INVENTADO'] }],
+        [4, { id: 4, nombre: 'Sal', alergenos: [] }],
+    ]);
+
+    test('une los alérgenos de los ingredientes base y apunta quién aporta cada uno', () => {
+        const r = resolverAlergenosReceta({
+            baseIngs: [{ ingredienteId: 1 }, { ingredienteId: 2 }, { ingredienteId: 3 }, { ingredienteId: 4 }],
+            ingredientesMap,
+            recetas: [],
+        });
+        expect(r.alergenos).toEqual(['gluten', 'lacteos']);
+        expect(r.origen.lacteos.map(f => f.nombre)).toEqual(['Leche', 'Mantequilla']);
+        expect(r.origen.gluten).toEqual([{ tipo: 'ingrediente', id: 1, nombre: 'Harina' }]);
+    });
+
+    test('los alergenos_extra de receta y subrecetas se heredan (trazas)', () => {
+        const r = resolverAlergenosReceta({
+            baseIngs: [{ ingredienteId: 4 }],
+            ingredientesMap,
+            recetas: [
+                { id: 10, nombre: 'Croquetas', alergenos_extra: ['huevos'] },
+                { id: 11, nombre: 'Bechamel', alergenos_extra: ['frutos_cascara'] },
+            ],
+        });
+        expect(r.alergenos).toEqual(['huevos', 'frutos_cascara']);
+        expect(r.origen.frutos_cascara).toEqual([{ tipo: 'receta', id: 11, nombre: 'Bechamel' }]);
+    });
+
+    test('ingrediente que ya no existe (borrado / otro tenant) no aporta nada', () => {
+        const r = resolverAlergenosReceta({ baseIngs: [{ ingredienteId: 999 }], ingredientesMap, recetas: [] });
+        expect(r.alergenos).toEqual([]);
+        expect(r.origen).toEqual({});
+    });
+
+    test('subrecetasDe baja por elaboraciones anidadas y corta ciclos', () => {
+        const recetasMap = new Map([
+            [10, { id: 10, ingredientes: [{ ingredienteId: 100011, cantidad: 1 }, { ingredienteId: 1, cantidad: 2 }] }],
+            [11, { id: 11, ingredientes: [{ ingredienteId: 100012, cantidad: 1 }] }],
+            [12, { id: 12, ingredientes: [{ ingredienteId: 100010, cantidad: 1 }] }], // ciclo → 10
+        ]);
+        expect(subrecetasDe(recetasMap.get(10), recetasMap).sort()).toEqual([11, 12]);
+    });
+
+    test('expandRecipeToBase con incluirSinCantidad: una línea a cantidad 0 sigue aportando su alérgeno', async () => {
+        const { expandRecipeToBase } = require('../../src/utils/businessHelpers');
+        const client = { query: jest.fn() };
+        const recetasMap = new Map([
+            [10, { id: 10, ingredientes: [{ ingredienteId: 100011, cantidad: 1 }, { ingredienteId: 4, cantidad: 5 }] }],
+            [11, { id: 11, ingredientes: [{ ingredienteId: 2, cantidad: 0 }, { ingredienteId: 100010, cantidad: 1 }] }], // ciclo → 10
+        ]);
+        const baseIngs = await expandRecipeToBase(recetasMap.get(10), client, 3, { recetasMap, incluirSinCantidad: true });
+        expect(baseIngs.map(b => b.ingredienteId).sort()).toEqual([2, 4]);
+        expect(client.query).not.toHaveBeenCalled(); // subrecetas resueltas del mapa
+        // Sin la opción, el descuento de stock sigue descartando la línea a 0.
+        const stock = await expandRecipeToBase(recetasMap.get(10), client, 3, { recetasMap });
+        expect(stock.map(b => b.ingredienteId)).toEqual([4]);
+        expect(resolverAlergenosReceta({ baseIngs, ingredientesMap, recetas: [] }).alergenos).toEqual(['lacteos']);
+    });
+});
+
+describe('renderFichaAlergenos — ficha imprimible', () => {
+    const { renderFichaAlergenos } = require('../../src/services/fichaAlergenosHtml');
+
+    test('lista los 14 alérgenos y marca los presentes con su origen', () => {
+        const html = renderFichaAlergenos({
+            receta: { nombre: 'Croquetas', categoria: 'entrante' },
+            resultado: { alergenos: ['gluten'], origen: { gluten: [{ tipo: 'ingrediente', id: 1, nombre: 'Harina' }] } },
+            restauranteNombre: 'La Caleta',
+            fecha: new Date('2026-03-01T12:00:00Z'),
+        });
+        expect((html.match(/<tr class="(si|no)">/g) || [])).toHaveLength(14);
+        expect((html.match(/<tr class="si">/g) || [])).toHaveLength(1);
+        expect(html).toContain('Harina');
+        expect(html).toContain('RD 126/2015');
+    });
+
+    test('escapa el nombre del plato (anti XSS en la ficha impresa)', () => {
+        const html = renderFichaAlergenos({
+            receta: { nombre: '<script>alert(1)</script>' },
+            resultado: { alergenos: [], origen: {} },
+        });
+        expect(html).not.toContain('<script>alert(1)</script>');
+        expect(html).toContain('no contiene ninguno');
+    });
+});
+
+describe('GET /recipes/allergens — ingredientes borrados', () => {
+    const express = require('express');
+    const request = require('supertest');
+    const recipesRoutesFactory = require('../../src/routes/recipes.routes');
+
+    test('un ingrediente borrado que sigue en el escandallo conserva sus alérgenos', async () => {
+        // El pool falso aplica el filtro igual que haría Postgres.
+        const ingredientes = [
+            { id: 1, nombre: 'Harina', alergenos: ['gluten'], deleted_at: null },
+            { id: 2, nombre: 'Leche (borrada)', alergenos: ['lacteos'], deleted_at: '2026-09-01' },
+        ];
+        const pool = {
+            query: async (sql) => {
+                if (sql.includes('FROM recetas')) {
+                    return { rows: [{ id: 10, nombre: 'Bechamel', ingredientes: [{ ingredienteId: 1, cantidad: 1 }, { ingredienteId: 2, cantidad: 1 }] }] };
+                }
+                if (sql.includes('FROM ingredientes')) {
+                    return { rows: sql.includes('deleted_at IS NULL') ? ingredientes.filter(i => !i.deleted_at) : ingredientes };
+                }
+                return { rows: [] };
+            }
+        };
+        const a = express();
+        a.use(express.json());
+        a.use('/api', recipesRoutesFactory(pool));
+
+        const res = await request(a).get('/api/recipes/allergens');
+        expect(res.status).toBe(200);
+        expect(res.body.recetas[0].alergenos).toEqual(['gluten', 'lacteos']);
+        expect(res.body.recetas[0].origen.lacteos).toEqual([{ tipo: 'ingrediente', id: 2, nombre: 'Leche (borrada)' }]);
+    });
+});
@@ -0,0 +1,189 @@
+/**
+ * Unit tests: motor de alertas (umbrales por restaurante y evaluación por eventos).
+ *
+ * Bug class que previenen:
+ *   - Un umbral mal escrito (o fuera de rango) guardado en silencio.
+ *   - Basura antigua en alert_settings tumbando la evaluación entera.
+ *   - Un pico de mermas "detectado" en un restaurante sin historial.
+ *   - Un recuento de cuatro ingredientes baratos disparando alertas por %.
+ *   - Alertas duplicadas en cada evento, o que no se resuelven solas.
+ *   - Un fallo evaluando alertas rompiendo la operación que lo disparó.
+ */
+
+const AlertService = require('../../src/application/services/AlertService');
+const Alert = require('../../src/domain/entities/Alert');
+
+const T = AlertService.DEFAULT_THRESHOLDS;
+
+function mockPool(handlers = {}) {
+    return {
+        query: jest.fn(async (sql) => {
+            for (const [frag, res] of Object.entries(handlers)) {
+                if (sql.includes(frag)) return typeof res === 'function' ? res(sql) : res;
+            }
+            return { rows: [], rowCount: 0 };
+        })
+    };
+}
+
+const inserts = (pool) => pool.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO alerts'));
+const resolves = (pool) => pool.query.mock.calls.filter(([sql]) => sql.includes("SET status = 'resolved'"));
+
+describe('sanitizeThresholds / mergeThresholds', () => {
+    test('acepta cambios parciales y números en string', () => {
+        expect(AlertService.sanitizeThresholds({ marginLow: '55', wasteSpikePct: 80 }))
+            .toEqual({ thresholds: { marginLow: 55, wasteSpikePct: 80 } });
+    });
+
+    test('rechaza claves desconocidas, rangos y decimales en enteros', () => {
+        expect(AlertService.sanitizeThresholds({ margenBajo: 50 }).error).toMatch(/desconocido/);
+        expect(AlertService.sanitizeThresholds({ foodCostHigh: 120 }).error).toMatch(/entre 0 y 100/);
+        expect(AlertService.sanitizeThresholds({ priceDriftMinPurchases: 2.5 }).error).toMatch(/entero/);
+        expect(AlertService.sanitizeThresholds({ marginLow: '' }).error).toBeDefined();
+        expect(AlertService.sanitizeThresholds([]).error).toBeDefined();
+    });
+
+    test('disabledTypes solo con tipos existentes', () => {
+        expect(AlertService.sanitizeThresholds({ disabledTypes: ['low_stock', 'low_stock'] }))
+            .toEqual({ thresholds: { disabledTypes: ['low_stock'] } });
+        expect(AlertService.sanitizeThresholds({ disabledTypes: ['nope'] }).error).toMatch(/disabledTypes/);
+    });
+
+    test('merge: lo guardado sobre los defaults, descartando lo inválido clave a clave', () => {
+        const t = AlertService.mergeThresholds({ marginLow: 70, foodCostHigh: 'mucho', viejo: 1 });
+        expect(t.marginLow).toBe(70);
+        expect(t.foodCostHigh).toBe(T.foodCostHigh);
+        expect(t).not.toHaveProperty('viejo');
+        expect(AlertService.mergeThresholds(null)).toEqual(T);
+    });
+});
+
+describe('evaluadores puros', () => {
+    test('pico de mermas: última semana contra la media semanal', () => {
+        expect(AlertService.evaluateWasteSpike({ ultimaSemana: 160, mediaSemanal: 100 }, T))
+            .toEqual({ increasePct: 60, severity: 'warning' });
+        expect(AlertService.evaluateWasteSpike({ ultimaSemana: '300', mediaSemanal: '100' }, T).severity).toBe('critical');
+        expect(AlertService.evaluateWasteSpike({ ultimaSemana: 140, mediaSemanal: 100 }, T)).toBeNull();
+    });
+
+    test('pico de mermas: sin historial o por debajo del mínimo en € no es pico', () => {
+        expect(AlertService.evaluateWasteSpike({ ultimaSemana: 500, mediaSemanal: 0 }, T)).toBeNull();
+        expect(AlertService.evaluateWasteSpike({ ultimaSemana: 40, mediaSemanal: 5 }, T)).toBeNull();
+    });
+
+    test('diferencia de inventario: hace falta % Y € mínimos', () => {
+        expect(AlertService.evaluateInventoryDifference({ desviacion_pct: 12, neto_eur: -300 }, T)).toEqual({ severity: 'warning' });
+        expect(AlertService.evaluateInventoryDifference({ desviacion_pct: 25, neto_eur: 300 }, T)).toEqual({ severity: 'critical' });
+        expect(AlertService.evaluateInventoryDifference({ desviacion_pct: 60, neto_eur: -12 }, T)).toBeNull();
+        expect(AlertService.evaluateInventoryDifference({ desviacion_pct: 5, neto_eur: -900 }, T)).toBeNull();
+        expect(AlertService.evaluateInventoryDifference({ desviacion_pct: null, neto_eur: -900 }, T)).toBeNull();
+    });
+});
+
+describe('evaluate', () => {
+    test('stock bajo en lote: crea la que falta, resuelve la que ya no aplica, no duplica', async () => {
+        const pool = mockPool({
+            'FROM alert_settings': { rows: [] },
+            'FROM ingredientes': { rows: [
+                { id: 1, nombre: 'Tomate', stock_actual: '2', stock_minimo: '5' },
+                { id: 2, nombre: 'Aceite', stock_actual: '10', stock_minimo: '3' },
+                { id: 3, nombre: 'Sal', stock_actual: '0', stock_minimo: '1' }
+            ] },
+            "status IN ('active', 'acknowledged')": { rows: [
+                { id: 20, type: 'low_stock', entity_id: 2, restaurant_id: 9 },
+                { id: 30, type: 'low_stock', entity_id: 3, restaurant_id: 9 }
+            ] },
+            'INSERT INTO alerts': { rows: [{ id: 99 }] }
+        });
+        const creadas = await new AlertService({ pool }).evaluate('sales_import', 9);
+
+        expect(creadas).toBe(1);
+        expect(inserts(pool)).toHaveLength(1);
+        expect(inserts(pool)[0][1].slice(0, 2)).toEqual([9, Alert.TYPES.LOW_STOCK]);
+        expect(inserts(pool)[0][1][7]).toBe(1);
+        expect(resolves(pool).map(([, p]) => p)).toEqual([[20, 9]]);
+    });
+
+    test('tipo desactivado por el restaurante: no se crea', async () => {
+        const pool = mockPool({
+            'FROM alert_settings': { rows: [{ thresholds: { disabledTypes: ['low_stock'] } }] },
+            'FROM ingredientes': { rows: [{ id: 1, nombre: 'Tomate', stock_actual: '0', stock_minimo: '5' }] }
+        });
+        expect(await new AlertService({ pool }).evaluate('sales_import', 9)).toBe(0);
+        expect(inserts(pool)).toHaveLength(0);
+    });
+
+    test('cambio de precio: alerta con el umbral del restaurante y sustituye la anterior', async () => {
+        const pool = mockPool({
+            'FROM alert_settings': { rows: [{ thresholds: { priceIncreaseAlert: 30 } }] },
+            'INSERT INTO alerts': { rows: [{ id: 5 }] }
+        });
+        const svc = new AlertService({ pool });
+        svc.checkRecipesForIngredients = jest.fn(async () => []);
+        svc.checkPriceDrift = jest.fn(async () => []);
+
+        const cambios = [
+            { ingredientId: 1, name: 'Tomate', oldPrice: 2, newPrice: 2.5 }, // +25%: bajo el umbral del restaurante
+            { ingredientId: 2, name: 'Aceite', oldPrice: 4, newPrice: 6 }    // +50%
+        ];
+        expect(await svc.evaluate('price_change', 9, { priceChanges: cambios })).toBe(1);
+        expect(inserts(pool)[0][1][7]).toBe(2);
+        expect(resolves(pool)[0][1]).toEqual([9, 'ingredient', 2, Alert.TYPES.PRICE_INCREASE]);
+        expect(svc.checkRecipesForIngredients).toHaveBeenCalledWith(9, [1, 2]);
+    });
+
+    test('pico de mermas: crea una sola alerta por restaurante', async () => {
+        const pool = mockPool({
+            'FROM mermas': { rows: [{ ultima_semana: '400', media_semanal: '100' }] },
+            "status IN ('active', 'acknowledged')": { rows: [] },
+            'INSERT INTO alerts': { rows: [{ id: 7 }] }
+        });
+        const svc = new AlertService({ pool });
+        svc.checkLowStock = jest.fn(async () => []);
+        expect(await svc.evaluate('waste', 9, { ingredientIds: [1] })).toBe(1);
+        const [, params] = inserts(pool)[0];
+        expect(params.slice(0, 3)).toEqual([9, Alert.TYPES.WASTE_SPIKE, 'critical']);
+        expect(params.slice(6, 8)).toEqual(['restaurant', 9]);
+    });
+
+    test('una comprobación que falla no se lleva a las demás', async () => {
+        const pool = mockPool({ 'FROM mermas': () => { throw new Error('boom'); } });
+        const svc = new AlertService({ pool });
+        svc.checkLowStock = jest.fn(async () => [{}]);
+        expect(await svc.evaluate('waste', 9)).toBe(1);
+    });
+
+    test('evento desconocido o sin restaurante: no hace nada', async () => {
+        const pool = mockPool();
+        expect(await new AlertService({ pool }).evaluate('nope', 9)).toBe(0);
+        expect(await new AlertService({ pool }).evaluate('waste', null)).toBe(0);
+        expect(pool.query).not.toHaveBeenCalled();
+    });
+});
+
+describe('trigger', () => {
+    test('nunca lanza: un fallo se queda en el log', async () => {
+        const pool = { query: jest.fn(async () => { throw new Error('sin tabla'); }) };
+        await expect(AlertService.trigger(pool, 'sales_import', 9)).resolves.toBe(0);
+    });
+});
+
+describe('updateSettings', () => {
+    test('mezcla sobre lo guardado y null vuelve al valor por defecto', async () => {
+        const pool = mockPool({
+            'SELECT thresholds FROM alert_settings': { rows: [{ thresholds: { marginLow: 70, wasteMinValue: 20 } }] }
+        });
+        const r = await new AlertService({ pool }).updateSettings(9, { foodCostHigh: 30, wasteMinValue: null }, 4);
+        const upsert = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO alert_settings'));
+        expect(JSON.parse(upsert[1][1])).toEqual({ marginLow: 70, foodCostHigh: 30 });
+        expect(upsert[1][2]).toBe(4);
+        expect(r.before).toEqual({ marginLow: 70, wasteMinValue: 20 });
+    });
+
+    test('inválido: error y no guarda nada', async () => {
+        const pool = mockPool();
+        const r = await new AlertService({ pool }).updateSettings(9, { marginLow: 500 });
+        expect(r.error).toMatch(/marginLow/);
+        expect(pool.query).not.toHaveBeenCalled();
+    });
+});
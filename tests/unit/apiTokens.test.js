@@ -0,0 +1,157 @@
+/**
+ * Unit tests: tokens de API con scopes y revocación inmediata.
+ *
+ * Bug class que previenen:
+ *   - Un token revocado que sigue funcionando hasta que caduque el JWT.
+ *   - Un token de "solo lectura de ingredientes" que registra ventas.
+ *   - Un token de API (aunque sea antiguo, de acceso total) emitiendo otros
+ *     tokens o cambiando de restaurante vía /auth.
+ *   - Tokens emitidos antes de los scopes que dejan de funcionar de golpe.
+ *   - Un router nuevo montado sin clasificar en apiScopes (los tokens '*'
+ *     perdían /parse-pdf, /staff, /restaurant... sin que nadie lo notara).
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'x'.repeat(40);
+
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const { authMiddleware } = require('../../src/middleware/auth');
+const { RECURSOS, SIN_SCOPE, scopeRequerido, tieneScope, sanearScopes } = require('../../src/utils/apiScopes');
+
+function mockPool(handlers = {}) {
+    return {
+        query: jest.fn(async (sql) => {
+            for (const [frag, res] of Object.entries(handlers)) {
+                if (sql.includes(frag)) return typeof res === 'function' ? res(sql) : res;
+            }
+            return { rows: [], rowCount: 0 };
+        })
+    };
+}
+
+function firmar(extra = {}, opts = {}) {
+    return jwt.sign({ userId: 1, restauranteId: 3, email: 'a@b.c', rol: 'api', tipo: 'api_token', ...extra },
+        process.env.JWT_SECRET, { expiresIn: '1d', ...opts });
+}
+
+async function llamar(token, pool, method = 'GET', url = '/api/ingredients') {
+    const req = { headers: { authorization: `Bearer ${token}` }, method, originalUrl: url, app: { locals: { pool } } };
+    const res = { status: jest.fn(() => res), json: jest.fn(() => res), clearCookie: jest.fn() };
+    const next = jest.fn();
+    await authMiddleware(req, res, next);
+    return { req, res, next, status: res.status.mock.calls[0]?.[0] ?? null };
+}
+
+describe('apiScopes', () => {
+    test('método y primer segmento de la ruta → scope', () => {
+        expect(scopeRequerido('GET', '/api/ingredients/4?x=1')).toBe('ingredients:read');
+        expect(scopeRequerido('POST', '/api/sales/bulk')).toBe('sales:write');
+        expect(scopeRequerido('PUT', '/api/purchases/pending/9')).toBe('purchases:write');
+        expect(scopeRequerido('GET', '/api/v2/alerts')).toBe('alerts:read');
+        expect(scopeRequerido('POST', '/api/auth/api-token')).toBeNull();
+        expect(scopeRequerido('GET', '/api/team')).toBeNull();
+    });
+
+    test('write incluye read; * cubre todo lo que tiene scope y nada más', () => {
+        expect(tieneScope(['sales:write'], 'sales:read')).toBe(true);
+        expect(tieneScope(['sales:read'], 'sales:write')).toBe(false);
+        expect(tieneScope(['ingredients:read'], 'sales:read')).toBe(false);
+        expect(tieneScope(['*'], 'orders:write')).toBe(true);
+        expect(tieneScope(['*'], null)).toBe(false);
+    });
+
+    test('* sigue cubriendo las rutas de acceso total de los tokens antiguos', () => {
+        for (const [method, url] of [['POST', '/api/parse-pdf'], ['POST', '/api/parse-albaran'],
+            ['GET', '/api/staff/labour-cost'], ['PUT', '/api/restaurant/comida-personal'],
+            ['POST', '/api/produccion'], ['GET', '/api/system/stock-health']]) {
+            expect(tieneScope(['*'], scopeRequerido(method, url))).toBe(true);
+        }
+    });
+
+    test('cada segmento montado tiene recurso o está en SIN_SCOPE', () => {
+        const express = require('express');
+        const app = express();
+        const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+        const errores = require('../../src/routes/index')(app, mockPool(), { resend: null });
+        log.mockRestore();
+        expect(errores).toEqual([]);
+
+        const segmentos = new Set(['alerts', 'health', 'debug']); // montados en server.js
+        for (const layer of app.router.stack) {
+            const rutas = layer.route ? [layer.route] : (layer.handle?.stack || []).map(l => l.route).filter(Boolean);
+            for (const ruta of rutas) {
+                for (const path of [].concat(ruta.path)) {
+                    const seg = String(path).replace(/^\/api/, '').split('/').filter(Boolean)[0];
+                    if (seg) segmentos.add(seg);
+                }
+            }
+        }
+        const clasificados = new Set([...Object.values(RECURSOS).flat(), ...SIN_SCOPE]);
+        expect([...segmentos].filter(s => !clasificados.has(s))).toEqual([]);
+        expect(segmentos.size).toBeGreaterThan(40);
+        // Nada puede estar a la vez en los dos lados.
+        expect(SIN_SCOPE.filter(s => Object.values(RECURSOS).flat().includes(s))).toEqual([]);
+    });
+
+    test('sanearScopes: obligatorio, conocido, sin duplicados y sin *', () => {
+        expect(sanearScopes(['sales:write', 'ingredients:read', 'sales:write']))
+            .toEqual({ scopes: ['ingredients:read', 'sales:write'] });
+        expect(sanearScopes(['*']).error).toMatch(/desconocido/);
+        expect(sanearScopes(['sales:delete']).error).toMatch(/desconocido/);
+        expect(sanearScopes(undefined).error).toMatch(/obligatorio/);
+    });
+});
+
+describe('authMiddleware con token de API', () => {
+    const fila = { id: 7, scopes: ['ingredients:read', 'sales:write'], revocado_at: null, expires_at: null };
+
+    test('scope válido: pasa, busca por jti + restaurante y actualiza ultimo_uso', async () => {
+        const pool = mockPool({ 'WHERE jti = $1': { rows: [fila] } });
+        const { req, next } = await llamar(firmar({}, { jwtid: 'j-1' }), pool, 'POST', '/api/sales');
+        expect(next).toHaveBeenCalled();
+        expect(req.apiToken).toEqual({ id: 7, scopes: fila.scopes });
+        expect(pool.query.mock.calls[0][1]).toEqual(['j-1', 3]);
+        expect(pool.query.mock.calls.some(([sql]) => sql.includes('SET ultimo_uso = NOW()'))).toBe(true);
+    });
+
+    test('sin el scope: 403 INSUFFICIENT_SCOPE', async () => {
+        const pool = mockPool({ 'WHERE jti = $1': { rows: [fila] } });
+        const { res, next, status } = await llamar(firmar({}, { jwtid: 'j-1' }), pool, 'DELETE', '/api/ingredients/4');
+        expect(next).not.toHaveBeenCalled();
+        expect(status).toBe(403);
+        expect(res.json.mock.calls[0][0]).toMatchObject({ code: 'INSUFFICIENT_SCOPE', requiredScope: 'ingredients:write' });
+    });
+
+    test('revocado, caducado en BD o inexistente: 401 aunque el JWT siga vigente', async () => {
+        for (const filas of [[{ ...fila, revocado_at: new Date() }], [{ ...fila, expires_at: '2020-01-01' }], []]) {
+            const { next, status } = await llamar(firmar({}, { jwtid: 'j-1' }), mockPool({ 'WHERE jti = $1': { rows: filas } }));
+            expect(next).not.toHaveBeenCalled();
+            expect(status).toBe(401);
+        }
+    });
+
+    test('token antiguo sin jti: se reconoce por su hash, scope * salvo /auth', async () => {
+        const token = firmar({ legado: true });
+        const token_hash = await bcrypt.hash(token.slice(-20), 4);
+        const pool = mockPool({
+            'jti IS NULL': { rows: [{ id: 2, token_hash: await bcrypt.hash('otro', 4), scopes: null }, { id: 3, token_hash, scopes: null }] },
+            'WHERE id = $1': { rows: [{ id: 3, scopes: null, revocado_at: null }] }
+        });
+        const ok = await llamar(token, pool, 'POST', '/api/orders');
+        expect(ok.next).toHaveBeenCalled();
+        expect(ok.req.apiToken).toEqual({ id: 3, scopes: ['*'] });
+
+        // segunda petición: ya no compara bcrypt, pero sí relee el estado de la fila
+        const auth = await llamar(token, pool, 'POST', '/api/auth/switch-restaurant');
+        expect(auth.status).toBe(403);
+        expect(pool.query.mock.calls.filter(([sql]) => sql.includes('jti IS NULL'))).toHaveLength(1);
+    });
+
+    test('token de usuario normal: no consulta api_tokens', async () => {
+        const pool = mockPool();
+        const token = jwt.sign({ userId: 1, restauranteId: 3, rol: 'admin' }, process.env.JWT_SECRET);
+        const { next } = await llamar(token, pool, 'POST', '/api/auth/api-token');
+        expect(next).toHaveBeenCalled();
+        expect(pool.query.mock.calls.some(([sql]) => sql.includes('api_tokens'))).toBe(false);
+    });
+});
@@ -0,0 +1,210 @@
+/**
+ * Ausencias, vacaciones y su efecto en el cuadrante (utils/ausencias,
+ * routes/ausencias y las comprobaciones en staff.routes / generadorHorarios).
+ *
+ * Lo que blindan estos tests:
+ *   1. Saldo de vacaciones por año natural: disfrutado, programado y pendiente
+ *      restan; una ausencia que cruza el 31-dic reparte sus días.
+ *   2. No se piden más vacaciones que el saldo, ni dos ausencias solapadas.
+ *      Las bajas nacen aprobadas.
+ *   3. Aprobar con turnos ya planificados exige decidir (409 o retirarlos).
+ *   4. POST /horarios rechaza a quien tiene una ausencia aprobada ese día; una
+ *      pendiente solo avisa. El generador no le pone turnos esos días.
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/middleware/auth', () => ({
+    authMiddleware: (req, _res, next) => {
+        req.restauranteId = 3;
+        req.user = { userId: 7 };
+        next();
+    },
+    requirePermission: () => (_req, _res, next) => next()
+}));
+jest.mock('../../src/utils/auditLog', () => ({ logChange: jest.fn() }));
+
+const { logChange } = require('../../src/utils/auditLog');
+const { saldoVacaciones, diasEnAnio } = require('../../src/utils/ausencias');
+const { generarSemana } = require('../../src/utils/generadorHorarios');
+const ausenciasRoutesFactory = require('../../src/routes/ausencias.routes');
+const staffRoutesFactory = require('../../src/routes/staff.routes');
+
+const vacaciones = (fecha_inicio, fecha_fin, estado = 'aprobada') =>
+    ({ empleado_id: 1, tipo: 'vacaciones', estado, fecha_inicio, fecha_fin });
+
+/**
+ * Pool falso: `respuestas` es una lista [fragmento de SQL, filas]; la primera
+ * que casa con la query responde. El resto devuelve vacío.
+ */
+function makePool(respuestas = []) {
+    const queries = [];
+    const responder = async (sql, params) => {
+        queries.push({ sql, params });
+        const r = respuestas.find(([fragmento]) => sql.includes(fragmento));
+        const rows = r ? (typeof r[1] === 'function' ? r[1](params) : r[1]) : [];
+        return { rows, rowCount: rows.length };
+    };
+    return {
+        queries,
+        query: responder,
+        async connect() { return { query: responder, release() { /* noop */ } }; }
+    };
+}
+
+function app(pool, factory = ausenciasRoutesFactory) {
+    const a = express();
+    a.use(express.json());
+    a.use('/api', factory(pool));
+    return a;
+}
+
+const EMPLEADO = ['dias_vacaciones_anuales FROM empleados', [{ id: 1, nombre: 'Lucía', dias_vacaciones_anuales: 30 }]];
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('saldoVacaciones', () => {
+    test('disfrutado, programado y pendiente restan del año', () => {
+        const saldo = saldoVacaciones({
+            anio: 2026,
+            hoy: '2026-08-05',
+            ausencias: [
+                vacaciones('2026-08-01', '2026-08-10'),
+                vacaciones('2026-12-01', '2026-12-05', 'pendiente'),
+                vacaciones('2026-03-01', '2026-03-03', 'rechazada'),
+                { ...vacaciones('2026-04-01', '2026-04-20'), tipo: 'baja_enfermedad' }
+            ]
+        });
+        expect(saldo).toEqual({
+            anio: 2026, dias_anuales: 30, disfrutados: 4, programados: 6, pendientes_aprobacion: 5, disponibles: 15
+        });
+    });
+
+    test('una ausencia que cruza el 31 de diciembre reparte sus días', () => {
+        expect(diasEnAnio('2026-12-28', '2027-01-03', 2026)).toBe(4);
+        expect(diasEnAnio('2026-12-28', '2027-01-03', 2027)).toBe(3);
+    });
+});
+
+describe('POST /ausencias', () => {
+    const crear = (pool, body) => request(app(pool)).post('/api/ausencias').send(body);
+
+    test('vacaciones por encima del saldo: 400 con el saldo, sin insertar', async () => {
+        const pool = makePool([EMPLEADO, ["tipo = 'vacaciones'", [vacaciones('2026-08-01', '2026-08-25')]]]);
+        const res = await crear(pool, { empleado_id: 1, tipo: 'vacaciones', fecha_inicio: '2026-11-02', fecha_fin: '2026-11-10' });
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/Pide 9 días de vacaciones en 2026 y le quedan 5/);
+        expect(pool.queries.some(q => q.sql.includes('INSERT INTO ausencias'))).toBe(false);
+    });
+
+    test('solape y saldo dentro de la transacción, con el empleado bloqueado', async () => {
+        const pool = makePool([EMPLEADO, ["tipo = 'vacaciones'", [vacaciones('2026-08-01', '2026-08-25')]]]);
+        await crear(pool, { empleado_id: 1, tipo: 'vacaciones', fecha_inicio: '2026-11-02', fecha_fin: '2026-11-10' });
+        const sqls = pool.queries.map(q => q.sql.trim());
+        expect(sqls[0]).toBe('BEGIN');
+        expect(sqls[1]).toMatch(/FROM empleados[\s\S]*FOR UPDATE/);
+        expect(sqls.findIndex(s => s.includes("tipo = 'vacaciones'"))).toBeGreaterThan(1);
+        expect(sqls[sqls.length - 1]).toBe('ROLLBACK');
+    });
+
+    test('solapada con otra ausencia activa: 409', async () => {
+        const pool = makePool([EMPLEADO, ['LIMIT 1', [vacaciones('2026-11-01', '2026-11-05', 'pendiente')]]]);
+        const res = await crear(pool, { empleado_id: 1, tipo: 'asuntos_propios', fecha_inicio: '2026-11-03' });
+        expect(res.status).toBe(409);
+        expect(res.body.error).toMatch(/Vacaciones del 2026-11-01 al 2026-11-05 \(pendiente\)/);
+    });
+
+    test('una baja nace aprobada y devuelve los turnos afectados', async () => {
+        const pool = makePool([
+            EMPLEADO,
+            ['INSERT INTO ausencias', (p) => [{ id: 5, empleado_id: p[1], tipo: p[2], fecha_inicio: p[3], fecha_fin: p[4], estado: p[5] }]],
+            ['FROM horarios', [{ id: 40, fecha: '2026-10-20', tramo: 1, hora_inicio: '10:00', hora_fin: '18:00' }]]
+        ]);
+        const res = await crear(pool, { empleado_id: 1, tipo: 'baja_enfermedad', fecha_inicio: '2026-10-19', fecha_fin: '2026-10-23' });
+        expect(res.status).toBe(201);
+        expect(res.body).toMatchObject({ estado: 'aprobada', turnos_retirados: 0 });
+        expect(res.body.turnos_afectados).toHaveLength(1);
+        const insert = pool.queries.find(q => q.sql.includes('INSERT INTO ausencias'));
+        expect(insert.params[0]).toBe(3);
+        expect(logChange.mock.calls[0][1]).toMatchObject({ tabla: 'ausencias', operacion: 'INSERT' });
+    });
+
+    test('tipo desconocido o fin antes que inicio: 400', async () => {
+        expect((await crear(makePool(), { empleado_id: 1, tipo: 'puente', fecha_inicio: '2026-11-02' })).status).toBe(400);
+        expect((await crear(makePool(), { empleado_id: 1, tipo: 'vacaciones', fecha_inicio: '2026-11-02', fecha_fin: '2026-11-01' })).status).toBe(400);
+    });
+});
+
+describe('aprobar / rechazar', () => {
+    const pendiente = ['FOR UPDATE', [{ id: 5, ...vacaciones('2026-10-19', '2026-10-25', 'pendiente') }]];
+
+    test('con turnos planificados: 409 con la lista y nada cambia', async () => {
+        const pool = makePool([pendiente, ['FROM horarios', [{ id: 40, fecha: '2026-10-20', tramo: 1 }]]]);
+        const res = await request(app(pool)).post('/api/ausencias/5/aprobar').send({});
+        expect(res.status).toBe(409);
+        expect(res.body.turnos).toHaveLength(1);
+        expect(pool.queries.some(q => q.sql.includes('UPDATE ausencias'))).toBe(false);
+        expect(pool.queries[pool.queries.length - 1].sql).toBe('ROLLBACK');
+    });
+
+    test('retirar_turnos: borra los turnos y aprueba en la misma transacción', async () => {
+        const pool = makePool([
+            pendiente,
+            ['SELECT id, fecha::text', [{ id: 40, fecha: '2026-10-20', tramo: 1 }]],
+            ['DELETE FROM horarios', [{}, {}]],
+            ['UPDATE ausencias', (p) => [{ id: 5, estado: p[0] }]]
+        ]);
+        const res = await request(app(pool)).post('/api/ausencias/5/aprobar').send({ retirar_turnos: true });
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ estado: 'aprobada', turnos_retirados: 2 });
+        const sqls = pool.queries.map(q => q.sql.trim().split(/\s+/).slice(0, 2).join(' '));
+        expect(sqls.indexOf('DELETE FROM')).toBeLessThan(sqls.indexOf('UPDATE ausencias'));
+        expect(sqls[sqls.length - 1]).toBe('COMMIT');
+    });
+
+    test('no se rechaza lo ya aprobado', async () => {
+        const pool = makePool([['FOR UPDATE', [{ id: 5, ...vacaciones('2026-10-19', '2026-10-25') }]]]);
+        const res = await request(app(pool)).post('/api/ausencias/5/rechazar').send({});
+        expect(res.status).toBe(409);
+    });
+});
+
+describe('cuadrante', () => {
+    const asignar = (pool, body) => request(app(pool, staffRoutesFactory)).post('/api/horarios').send(body);
+    const turno = { empleado_id: 1, fecha: '2026-10-21', hora_inicio: '10:00', hora_fin: '18:00' };
+
+    test('POST /horarios con ausencia aprobada ese día: 409 sin insertar', async () => {
+        const pool = makePool([['SELECT id, nombre FROM empleados', [{ id: 1, nombre: 'Lucía' }]], ['FROM ausencias', [vacaciones('2026-10-19', '2026-10-25')]]]);
+        const res = await asignar(pool, turno);
+        expect(res.status).toBe(409);
+        expect(res.body.error).toBe('Lucía no está disponible: Vacaciones del 2026-10-19 al 2026-10-25');
+        expect(pool.queries.some(q => q.sql.includes('INSERT INTO horarios'))).toBe(false);
+    });
+
+    test('POST /horarios con ausencia pendiente: se guarda con aviso', async () => {
+        const pool = makePool([
+            ['SELECT id, nombre FROM empleados', [{ id: 1, nombre: 'Lucía' }]],
+            ['FROM ausencias', [vacaciones('2026-10-19', '2026-10-25', 'pendiente')]],
+            ['INSERT INTO horarios', [{ id: 9, empleado_id: 1, fecha: '2026-10-21', tramo: 1, hora_inicio: '10:00', hora_fin: '18:00' }]]
+        ]);
+        const res = await asignar(pool, turno);
+        expect(res.status).toBe(201);
+        expect(res.body.avisos).toEqual(['Tiene pendiente de aprobar: Vacaciones del 2026-10-19 al 2026-10-25']);
+    });
+
+    test('generarSemana: ni turnos ni días más largos durante las vacaciones', () => {
+        const { turnos, conflictos, ausentes } = generarSemana({
+            inicio: '2026-10-19',
+            empleados: [{ id: 1, nombre: 'Lucía', puesto: 'Camarera', horas_contrato: 40, dias_libres_fijos: '', jornada_tipo: 'seguido', tramo1_inicio: '10:00' }],
+            ausencias: [vacaciones('2026-10-19', '2026-10-21'), vacaciones('2026-10-24', '2026-10-24', 'pendiente')]
+        });
+        const fechas = turnos.map(t => t.fecha);
+        expect(fechas.some(f => f <= '2026-10-21')).toBe(false);
+        // 4 días disponibles de 7 → 3 jornadas (5 × 4/7), de 8h como siempre.
+        expect(fechas).toHaveLength(3);
+        expect(turnos.every(t => t.hora_fin === '18:00')).toBe(true);
+        expect(ausentes.map(a => a.fecha)).toEqual(['2026-10-19', '2026-10-20', '2026-10-21']);
+        expect(conflictos).toEqual([]);
+    });
+});
@@ -0,0 +1,206 @@
+/**
+ * Acciones de escritura del chat IA, con confirmación.
+ *
+ * Lo que blindan estos tests:
+ *   1. Proponer NO escribe: solo devuelve resumen + token firmado.
+ *   2. El token no se puede manipular ni usar caducado.
+ *   3. Solo lo confirma el mismo usuario, en el mismo restaurante, con el
+ *      permiso de la acción según su rol actual; los tokens de API, nunca.
+ *   4. Un solo uso: el jti consumido (chat_acciones) → 409 y nada escrito.
+ *   5. La merma confirmada descuenta stock (con lock), deja apunte en el
+ *      libro y queda auditada con origen 'chat'.
+ *   6. Con reposición pendiente de varios proveedores, el pedido no se
+ *      adivina: se pregunta.
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'x'.repeat(40);
+
+const express = require('express');
+const request = require('supertest');
+
+let mockUser = { userId: 7, rol: 'encargado' };
+jest.mock('../../src/middleware/auth', () => ({
+    authMiddleware: (req, _res, next) => {
+        req.restauranteId = 3;
+        req.user = mockUser;
+        next();
+    },
+    requirePermission: () => (_req, _res, next) => next()
+}));
+jest.mock('../../src/middleware/rateLimit', () => ({ costlyApiLimiter: (_req, _res, next) => next() }));
+jest.mock('../../src/middleware/chatAddonGate', () => ({
+    chatAddonGate: () => jest.fn((_req, _res, next) => next()),
+    CHAT_MONTHLY_LIMIT: 300,
+    RESET_INTERVAL_DAYS: 30
+}));
+jest.mock('../../src/services/chatService', () => ({ processChat: jest.fn() }));
+jest.mock('../../src/services/polarService', () => ({}));
+jest.mock('../../src/services/informeMensualService', () => ({}));
+jest.mock('../../src/services/informeMensualHtml', () => ({}));
+jest.mock('../../src/services/coachReportService', () => ({}));
+jest.mock('../../src/services/permissionService', () => ({ permisosDeUsuario: jest.fn() }));
+jest.mock('../../src/services/finanzasMesService', () => ({ preciosIngredientes: jest.fn() }));
+jest.mock('../../src/services/reorderService', () => ({ sugerenciasReposicion: jest.fn() }));
+jest.mock('../../src/services/recipeCostHistoryService', () => ({ registrarCostesRecetas: jest.fn() }));
+jest.mock('../../src/services/outboundWebhookService', () => ({ emitirEvento: jest.fn() }));
+jest.mock('../../src/application/services/AlertService', () => ({ trigger: jest.fn() }));
+jest.mock('../../src/utils/auditLog', () => ({ logChange: jest.fn() }));
+
+const { processChat } = require('../../src/services/chatService');
+const { permisosDeUsuario } = require('../../src/services/permissionService');
+const { preciosIngredientes } = require('../../src/services/finanzasMesService');
+const { sugerenciasReposicion } = require('../../src/services/reorderService');
+const { logChange } = require('../../src/utils/auditLog');
+const { proponerAccion, verificarAccion, firmarAccion, TOKEN_TTL_MS } = require('../../src/services/chatActionService');
+const chatRoutesFactory = require('../../src/routes/chat.routes');
+
+const PRECIOS = [
+    { id: 20, nombre: 'Tomate', unidad: 'kg', precio_unitario: 3, stock_actual: 12 },
+    { id: 21, nombre: 'Aceite', unidad: 'l', precio_unitario: 10, stock_actual: 4 }
+];
+
+function makePool({ jtiUsado = false } = {}) {
+    const queries = [];
+    const client = {
+        async query(sql, params) {
+            queries.push({ sql, params });
+            if (sql.includes('INSERT INTO chat_acciones')) return { rows: jtiUsado ? [] : [{ id: 1 }] };
+            if (sql.includes('FROM ingredientes') && sql.includes('FOR UPDATE')) return { rows: [{ id: params[0], stock_actual: 12 }] };
+            if (sql.includes('INSERT INTO mermas')) return { rows: [{ id: 55 }] };
+            return { rows: [], rowCount: 1 };
+        },
+        release() { /* noop */ }
+    };
+    return { queries, async connect() { return client; }, async query(sql, params) { return client.query(sql, params); } };
+}
+
+function buildApp(pool) {
+    const app = express();
+    app.use(express.json());
+    app.use('/api', chatRoutesFactory(pool));
+    return app;
+}
+
+const ESCRITURA = /\b(UPDATE\s+\w|INSERT\s+INTO|DELETE\s+FROM)\b/i;
+const confirmar = (pool, token) => request(buildApp(pool)).post('/api/chat/acciones/confirmar').send({ token });
+
+async function tokenMerma(usuarioId = 7) {
+    const pool = makePool();
+    const propuesta = await proponerAccion(pool, {
+        restauranteId: 3, usuarioId, accion: 'registrar_merma', args: { ingrediente: 'tomate', cantidad: 2, motivo: 'Caducado' }
+    });
+    return propuesta.token;
+}
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    mockUser = { userId: 7, rol: 'encargado' };
+    preciosIngredientes.mockResolvedValue(PRECIOS);
+    permisosDeUsuario.mockResolvedValue({ rol: 'encargado', permisos: ['inventory:write', 'orders:write'] });
+});
+
+describe('proponer', () => {
+    test('merma: resumen y token, sin escribir nada', async () => {
+        const pool = makePool();
+        const p = await proponerAccion(pool, {
+            restauranteId: 3, usuarioId: 7, accion: 'registrar_merma', args: { ingrediente: 'Tomate', cantidad: 2 }
+        });
+        expect(p.resumen).toBe('Registrar merma de 2 kg de Tomate (valor 6.00)');
+        expect(p.detalle.stock_tras_merma).toBe(10);
+        const payload = verificarAccion(p.token);
+        expect(payload).toMatchObject({ rid: 3, uid: 7, accion: 'registrar_merma' });
+        expect(payload.params).toMatchObject({ ingredienteId: 20, cantidad: 2, valorPerdida: 6 });
+        expect(pool.queries.filter(q => ESCRITURA.test(q.sql))).toHaveLength(0);
+    });
+
+    test('pedido con reposición de varios proveedores: pregunta cuál', async () => {
+        sugerenciasReposicion.mockResolvedValue({
+            sugerencias: [
+                { id: 20, nombre: 'Tomate', unidad: 'kg', proveedor_id: 1, proveedor_nombre: 'Huerta', cantidad_sugerida: 10 },
+                { id: 21, nombre: 'Aceite', unidad: 'l', proveedor_id: 2, proveedor_nombre: 'Almazara', cantidad_sugerida: 5 }
+            ]
+        });
+        const sinProveedor = await proponerAccion(makePool(), { restauranteId: 3, usuarioId: 7, accion: 'pedido_reposicion', args: {} });
+        expect(sinProveedor.error).toContain('Huerta, Almazara');
+        expect(sinProveedor.token).toBeUndefined();
+
+        const conProveedor = await proponerAccion(makePool(), { restauranteId: 3, usuarioId: 7, accion: 'pedido_reposicion', args: { proveedor: 'almazara' } });
+        expect(verificarAccion(conProveedor.token).params).toMatchObject({
+            proveedorId: 2, total: 50, lineas: [{ ingredienteId: 21, cantidad: 5, precioUnitario: 10 }]
+        });
+    });
+});
+
+describe('token', () => {
+    test('manipulado: 400; caducado: 410', async () => {
+        const token = await tokenMerma();
+        const [cuerpo, firma] = token.split('.');
+        const payload = JSON.parse(Buffer.from(cuerpo, 'base64url').toString());
+        const otro = Buffer.from(JSON.stringify({ ...payload, params: { ...payload.params, cantidad: 200 } })).toString('base64url');
+        expect(verificarAccion(`${otro}.${firma}`).status).toBe(400);
+
+        const { token: viejo } = firmarAccion({ restauranteId: 3, usuarioId: 7, accion: 'registrar_merma', params: {} }, Date.now() - TOKEN_TTL_MS - 1);
+        const res = await confirmar(makePool(), viejo);
+        expect(res.status).toBe(410);
+    });
+});
+
+describe('POST /chat/acciones/confirmar', () => {
+    test('merma: descuenta con lock, libro de stock y auditoría con origen chat', async () => {
+        const pool = makePool();
+        const res = await confirmar(pool, await tokenMerma());
+
+        expect(res.status).toBe(200);
+        expect(res.body.resultado).toEqual({ merma_id: 55 });
+        const sqls = pool.queries.map(q => q.sql);
+        expect(sqls.findIndex(s => s.includes('FOR UPDATE'))).toBeLessThan(sqls.findIndex(s => s.includes('UPDATE ingredientes SET stock_actual')));
+        expect(pool.queries.find(q => q.sql.includes('UPDATE ingredientes')).params).toEqual([2, 20, 3]);
+        expect(pool.queries.find(q => q.sql.includes('INSERT INTO mermas')).params.slice(7, 9)).toEqual([7, 3]); // responsable, restaurante
+        expect(pool.queries.find(q => q.sql.includes('INSERT INTO stock_movements')).params.slice(0, 3)).toEqual([3, 20, 'merma']);
+        expect(sqls[sqls.length - 1]).toBe('COMMIT');
+        expect(logChange.mock.calls[0][1]).toMatchObject({ tabla: 'mermas', operacion: 'INSERT', datosDespues: { origen: 'chat' } });
+    });
+
+    test('segunda confirmación del mismo token: 409 sin escribir', async () => {
+        const pool = makePool({ jtiUsado: true });
+        const res = await confirmar(pool, await tokenMerma());
+        expect(res.status).toBe(409);
+        expect(pool.queries.filter(q => q.sql.includes('ingredientes'))).toHaveLength(0);
+    });
+
+    test('propuesta de otro usuario: 403', async () => {
+        const pool = makePool();
+        const res = await confirmar(pool, await tokenMerma(8));
+        expect(res.status).toBe(403);
+        expect(pool.queries).toHaveLength(0);
+    });
+
+    test('sin el permiso de la acción con el rol actual: 403', async () => {
+        permisosDeUsuario.mockResolvedValue({ rol: 'camarero', permisos: ['finance:read'] });
+        const pool = makePool();
+        const res = await confirmar(pool, await tokenMerma());
+        expect(res.status).toBe(403);
+        expect(res.body.permiso).toBe('inventory:write');
+        expect(pool.queries).toHaveLength(0);
+    });
+
+    test('token de API: 403', async () => {
+        mockUser = { userId: 7, tipo: 'api_token' };
+        const res = await confirmar(makePool(), await tokenMerma());
+        expect(res.status).toBe(403);
+    });
+});
+
+describe('POST /chat con acciones propuestas', () => {
+    test('una línea [CONFIRM:token] por acción; el usuario viaja a processChat', async () => {
+        processChat.mockResolvedValue({
+            text: 'Preparada la merma: confírmala.',
+            usage: { input: 1, output: 1, cache_read: 0, cache_creation: 0 },
+            toolCalls: [],
+            acciones: [{ accion: 'registrar_merma', resumen: 'Registrar merma', token: 'abc.def', expira: '2026-10-18T10:15:00Z' }]
+        });
+        const res = await request(buildApp(makePool())).post('/api/chat').send({ message: 'tira 2 kg de tomate' });
+        expect(res.text).toBe('Preparada la merma: confírmala.\n\n[CONFIRM:abc.def]');
+        expect(processChat.mock.calls[0][0]).toMatchObject({ usuarioId: 7, permisos: null });
+    });
+});
@@ -0,0 +1,169 @@
+/**
+ * Hilos persistidos del chat IA.
+ *
+ * Lo que blindan estos tests:
+ *   1. Con threadId, el historial que recibe el modelo sale de la BD (no del
+ *      cliente) y la pregunta + respuesta + traza de tools + tokens se guardan.
+ *   2. Un hilo compartido es de solo lectura: continuarlo → 403 ANTES del
+ *      addon gate (no gasta cuota); borrarlo → 403.
+ *   3. Solo se comparte con miembros del mismo restaurante.
+ *   4. Todas las queries de hilos van acotadas por restaurante_id.
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/middleware/auth', () => ({
+    authMiddleware: (req, _res, next) => {
+        req.restauranteId = 3;
+        req.user = { userId: 7 };
+        next();
+    },
+    requirePermission: () => (_req, _res, next) => next()
+}));
+jest.mock('../../src/middleware/rateLimit', () => ({ costlyApiLimiter: (_req, _res, next) => next() }));
+jest.mock('../../src/middleware/chatAddonGate', () => ({
+    chatAddonGate: () => jest.fn((_req, _res, next) => next()),
+    CHAT_MONTHLY_LIMIT: 300,
+    RESET_INTERVAL_DAYS: 30
+}));
+jest.mock('../../src/services/chatService', () => ({ processChat: jest.fn() }));
+jest.mock('../../src/services/polarService', () => ({}));
+jest.mock('../../src/services/informeMensualService', () => ({}));
+jest.mock('../../src/services/informeMensualHtml', () => ({}));
+jest.mock('../../src/services/coachReportService', () => ({}));
+
+const { processChat } = require('../../src/services/chatService');
+const { exportarMarkdown, tituloDesdeMensaje } = require('../../src/services/chatThreadService');
+const chatRoutesFactory = require('../../src/routes/chat.routes');
+
+function makePool({ thread = null, historial = [], miembro = true } = {}) {
+    const queries = [];
+    const client = {
+        async query(sql, params) {
+            queries.push({ sql, params });
+            if (sql.includes('FROM restaurantes WHERE id')) return { rows: [{ nombre: 'Centro', moneda: '€' }] };
+            if (sql.includes('FROM chat_threads t') && sql.includes('es_propietario')) return { rows: thread ? [thread] : [] };
+            if (sql.includes('ORDER BY id DESC')) return { rows: historial };
+            if (sql.includes('INSERT INTO chat_threads')) return { rows: [{ id: 12, titulo: params[2] }] };
+            if (sql.includes('FROM usuario_restaurantes')) return { rows: miembro ? [{ '?column?': 1 }] : [] };
+            return { rows: [], rowCount: 1 };
+        },
+        release() { /* noop */ }
+    };
+    return { queries, async connect() { return client; }, async query(sql, params) { return client.query(sql, params); } };
+}
+
+function buildApp(pool) {
+    const app = express();
+    app.use(express.json());
+    app.use('/api', chatRoutesFactory(pool));
+    return app;
+}
+
+const donde = (queries, frag) => queries.filter(q => q.sql.includes(frag));
+const PROPIO = { id: 5, titulo: 'Food cost', usuario_id: 7, es_propietario: true, created_at: '2026-10-18T10:00:00Z' };
+
+beforeEach(() => {
+    processChat.mockReset();
+    processChat.mockResolvedValue({
+        text: 'Tu food cost es 31%.',
+        usage: { input: 1200, output: 80, cache_read: 900, cache_creation: 0 },
+        toolCalls: [{ name: 'resumen_pyg', input: { periodo: 'mes' }, duration_ms: 40 }]
+    });
+});
+
+describe('POST /chat con threadId', () => {
+    test('historial desde la BD; guarda intercambio, traza y tokens', async () => {
+        const historial = [{ rol: 'user', contenido: '¿Ventas del mes?' }, { rol: 'assistant', contenido: '12.000 €' }];
+        const pool = makePool({ thread: PROPIO, historial });
+        const res = await request(buildApp(pool))
+            .post('/api/chat')
+            .send({ message: '¿Y el food cost?', threadId: 5, history: [{ role: 'user', content: 'inventado' }] });
+
+        expect(res.status).toBe(200);
+        expect(res.headers['x-chat-thread-id']).toBe('5');
+        expect(processChat.mock.calls[0][0].history).toEqual([
+            { role: 'user', content: '¿Ventas del mes?' },
+            { role: 'assistant', content: '12.000 €' }
+        ]);
+
+        const [pregunta, respuesta] = donde(pool.queries, 'INSERT INTO chat_thread_mensajes');
+        expect(pregunta.params).toEqual([5, 3, '¿Y el food cost?']);
+        expect(respuesta.params.slice(0, 3)).toEqual([5, 3, 'Tu food cost es 31%.']);
+        expect(JSON.parse(respuesta.params[3])[0].name).toBe('resumen_pyg');
+        expect(donde(pool.queries, 'UPDATE chat_threads')[0].params).toEqual([5, 3, 1200, 80, 900, 0]);
+    });
+
+    test('newThread: crea el hilo titulado con la pregunta', async () => {
+        const pool = makePool();
+        const res = await request(buildApp(pool)).post('/api/chat').send({ message: '¿Qué plato deja más margen?', newThread: true });
+        expect(res.headers['x-chat-thread-id']).toBe('12');
+        expect(donde(pool.queries, 'INSERT INTO chat_threads')[0].params).toEqual([3, 7, '¿Qué plato deja más margen?']);
+    });
+
+    test('hilo compartido conmigo: 403 sin llamar al modelo', async () => {
+        const pool = makePool({ thread: { ...PROPIO, usuario_id: 9, es_propietario: false } });
+        const res = await request(buildApp(pool)).post('/api/chat').send({ message: 'hola', threadId: 5 });
+        expect(res.status).toBe(403);
+        expect(processChat).not.toHaveBeenCalled();
+    });
+
+    test('hilo de otro restaurante / inexistente: 404', async () => {
+        const pool = makePool();
+        const res = await request(buildApp(pool)).post('/api/chat').send({ message: 'hola', threadId: 5 });
+        expect(res.status).toBe(404);
+        const lookup = donde(pool.queries, 'es_propietario')[0];
+        expect(lookup.params).toEqual([5, 3, 7]);
+    });
+
+    test('sin threadId: como siempre, historial del cliente y nada guardado', async () => {
+        const pool = makePool();
+        const history = [{ role: 'user', content: 'a' }];
+        await request(buildApp(pool)).post('/api/chat').send({ message: 'hola', history });
+        expect(processChat.mock.calls[0][0].history).toEqual(history);
+        expect(donde(pool.queries, 'chat_thread')).toHaveLength(0);
+    });
+});
+
+describe('/chat/threads', () => {
+    test('borrar un hilo compartido conmigo: 403', async () => {
+        const pool = makePool({ thread: { ...PROPIO, es_propietario: false } });
+        const res = await request(buildApp(pool)).delete('/api/chat/threads/5');
+        expect(res.status).toBe(403);
+        expect(donde(pool.queries, 'SET deleted_at')).toHaveLength(0);
+    });
+
+    test('compartir con alguien de fuera del restaurante: 404', async () => {
+        const pool = makePool({ thread: PROPIO, miembro: false });
+        const res = await request(buildApp(pool)).post('/api/chat/threads/5/share').send({ usuario_id: 8 });
+        expect(res.status).toBe(404);
+        expect(donde(pool.queries, 'FROM usuario_restaurantes')[0].params).toEqual([8, 3]);
+        expect(donde(pool.queries, 'INSERT INTO chat_thread_compartidos')).toHaveLength(0);
+    });
+
+    test('compartir con un compañero: queda registrado', async () => {
+        const pool = makePool({ thread: PROPIO });
+        const res = await request(buildApp(pool)).post('/api/chat/threads/5/share').send({ usuario_id: 8 });
+        expect(res.status).toBe(200);
+        expect(donde(pool.queries, 'INSERT INTO chat_thread_compartidos')[0].params).toEqual([5, 3, 8, 7]);
+    });
+});
+
+describe('exportación y título', () => {
+    test('markdown con preguntas, respuestas y consultas', () => {
+        const md = exportarMarkdown(PROPIO, [
+            { rol: 'user', contenido: '¿Food cost?', tool_calls: null },
+            { rol: 'assistant', contenido: '31%', tool_calls: [{ name: 'resumen_pyg' }] }
+        ]);
+        expect(md).toContain('# Food cost');
+        expect(md).toContain('## Pregunta\n\n¿Food cost?');
+        expect(md).toContain('_Consultas: resumen_pyg_');
+    });
+
+    test('título: una línea, acotado', () => {
+        expect(tituloDesdeMensaje('  hola\n  mundo ')).toBe('hola mundo');
+        expect(tituloDesdeMensaje('x'.repeat(100))).toHaveLength(80);
+        expect(tituloDesdeMensaje('')).toBe('Nueva conversación');
+    });
+});
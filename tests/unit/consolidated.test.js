@@ -0,0 +1,147 @@
+/**
+ * Unit tests: consolidado del grupo (varios restaurantes).
+ *
+ * Bug class que previenen:
+ *   - Un restaurante donde el usuario NO es admin colándose en el consolidado.
+ *   - Food cost / margen del grupo como media de porcentajes (un local
+ *     pequeño pesando lo mismo que uno grande).
+ *   - Comparar "Tomate" de un local con "Tomate frito" del otro cuando el
+ *     primero también tiene un "Tomate" exacto; o kg contra unidades.
+ *   - El mismo ingrediente contado en dos grupos de comparación.
+ *   - Un traspaso aprobado contado dos veces en las compras del grupo (la
+ *     compra del origen y la "compra" interna del destino, "Sin proveedor").
+ */
+
+const { consolidarFoodCost, consolidarPnl, compararIngredientes } = require('../../src/services/consolidatedService');
+const { buscarPorNombre } = require('../../src/utils/ingredientMatch');
+
+const GRUPO = [{ id: 1, nombre: 'Centro' }, { id: 2, nombre: 'Playa' }];
+
+// Respuestas por restaurante (el último parámetro numérico que sea un id del grupo).
+function mockPool({ foodCost = {}, ingredientes = {}, ventas = {}, compras = {} } = {}) {
+    return {
+        query: jest.fn(async (sql, params = []) => {
+            if (sql.includes('FROM usuario_restaurantes')) return { rows: GRUPO };
+            const rid = params.find(p => p === 1 || p === 2);
+            if (sql.includes('FROM ventas_diarias_resumen')) return { rows: [foodCost[rid] || { ingresos: 0, cogs: 0, margen: 0 }] };
+            if (sql.includes('FROM precios_compra_diarios p')) return { rows: compras[rid] || [] };
+            if (sql.includes('FROM ingredientes i') && sql.includes('i.unidad')) return { rows: ingredientes[rid] || [] };
+            if (sql.includes('COUNT(*) as num_ventas')) return { rows: [ventas[rid] || { ingresos: 0, num_ventas: 0 }] };
+            if (sql.includes('as valor')) return { rows: [{ valor: 0 }] };
+            return { rows: [] };
+        })
+    };
+}
+
+describe('buscarPorNombre', () => {
+    const lista = [{ nombre: 'Tomate frito' }, { nombre: 'Tomate' }, { nombre: 'Salmón ahumado' }, { nombre: 'Salmón' }];
+
+    test('exacto antes que "contiene", sin acentos ni mayúsculas', () => {
+        expect(buscarPorNombre('tomate', lista).nombre).toBe('Tomate');
+        expect(buscarPorNombre('SALMON', lista).nombre).toBe('Salmón');
+    });
+
+    test('"contiene": el más corto; nada con menos de 3 letras', () => {
+        expect(buscarPorNombre('frito', lista).nombre).toBe('Tomate frito');
+        expect(buscarPorNombre('to', lista)).toBeNull();
+        expect(buscarPorNombre('', lista)).toBeNull();
+    });
+});
+
+describe('compararIngredientes', () => {
+    const locales = [
+        { restaurante_id: 1, nombre: 'Centro', ingredientes: [
+            { id: 10, nombre: 'Tomate', unidad: 'kg', precio_unitario: 2 },
+            { id: 11, nombre: 'Aceite', unidad: 'l', precio_unitario: 5 },
+            { id: 12, nombre: 'Huevos', unidad: 'ud', precio_unitario: 0.2 }
+        ] },
+        { restaurante_id: 2, nombre: 'Playa', ingredientes: [
+            { id: 20, nombre: 'tomate', unidad: 'kg', precio_unitario: 3 },
+            { id: 21, nombre: 'Aceite de oliva', unidad: 'L', precio_unitario: 5.5 },
+            { id: 22, nombre: 'Huevos', unidad: 'docena', precio_unitario: 2.4 }
+        ] },
+        { restaurante_id: 3, nombre: 'Puerto', ingredientes: [
+            { id: 30, nombre: 'Tomate', unidad: 'kg', precio_unitario: 2.5 }
+        ] }
+    ];
+
+    test('empareja por nombre entre todos los locales y ordena por diferencia', () => {
+        const r = compararIngredientes(locales);
+        expect(r.map(g => g.ingrediente)).toEqual(['Tomate', 'Aceite']);
+        expect(r[0]).toMatchObject({ precio_min: 2, precio_max: 3, diferencia_pct: 50, mas_barato: { restaurante_id: 1 } });
+        expect(r[0].locales.map(l => l.ingrediente_id)).toEqual([10, 20, 30]);
+        expect(r[1].locales.map(l => l.nombre)).toEqual(['Aceite', 'Aceite de oliva']);
+    });
+
+    test('no compara unidades distintas ni repite un ingrediente', () => {
+        const r = compararIngredientes(locales);
+        expect(r.find(g => g.ingrediente === 'Huevos')).toBeUndefined();
+        const ids = r.flatMap(g => g.locales.map(l => `${l.restaurante_id}:${l.ingrediente_id}`));
+        expect(new Set(ids).size).toBe(ids.length);
+    });
+});
+
+describe('consolidarFoodCost', () => {
+    test('solo locales donde es admin; total sobre sumas; ranking mejor primero', async () => {
+        const pool = mockPool({
+            foodCost: {
+                1: { ingresos: 10000, cogs: 3000, margen: 7000 },
+                2: { ingresos: 1000, cogs: 500, margen: 500 }
+            }
+        });
+        const r = await consolidarFoodCost(pool, 7, { desde: '2026-09-01', hasta: '2026-10-01' });
+
+        const [sql, params] = pool.query.mock.calls[0];
+        expect(sql).toMatch(/ur\.rol IN \('admin', 'owner'\)/);
+        expect(params).toEqual([7]);
+
+        expect(r.locales.map(l => l.food_cost_pct)).toEqual([30, 50]);
+        // (3000 + 500) / 11000, no (30 + 50) / 2
+        expect(r.total).toMatchObject({ num_locales: 2, ingresos: 11000, cogs: 3500, food_cost_pct: 31.82 });
+        expect(r.ranking.map(x => [x.posicion, x.nombre])).toEqual([[1, 'Centro'], [2, 'Playa']]);
+    });
+
+    test('local sin ventas: al final del ranking aunque su 0% parezca el mejor', async () => {
+        const pool = mockPool({ foodCost: { 2: { ingresos: 1000, cogs: 400, margen: 600 } } });
+        const r = await consolidarFoodCost(pool, 7, {});
+        expect(r.ranking.map(x => x.nombre)).toEqual(['Playa', 'Centro']);
+        expect(r.periodo.desde).toMatch(/^\d{4}-\d{2}-01$/);
+    });
+});
+
+describe('consolidarPnl', () => {
+    test('suma balance, food cost y compras; proveedores agrupados por nombre', async () => {
+        const pool = mockPool({
+            ventas: { 1: { ingresos: 8000, num_ventas: 300 }, 2: { ingresos: 2000, num_ventas: 90 } },
+            foodCost: { 1: { ingresos: 8000, cogs: 2400, margen: 5600 }, 2: { ingresos: 2000, cogs: 800, margen: 1200 } },
+            compras: {
+                1: [{ proveedor_nombre: 'Makro', total_compra: '1200.50' }],
+                2: [{ proveedor_nombre: 'MAKRO ', total_compra: '300' }, { proveedor_nombre: null, total_compra: '50' }]
+            }
+        });
+        const r = await consolidarPnl(pool, 7, { mes: 9, ano: 2026 });
+
+        expect(r.periodo).toMatchObject({ mes: 9, ano: 2026, desde: '2026-09-01', hasta: '2026-10-01' });
+        expect(r.total).toMatchObject({ num_locales: 2, ingresos: 10000, num_ventas: 390 });
+        expect(r.total.food_cost).toMatchObject({ cogs: 3200, food_cost_pct: 32 });
+        expect(r.total.compras.total).toBe(1550.5);
+        expect(r.total.compras.por_proveedor).toEqual([
+            { proveedor: 'Makro', total: 1500.5 },
+            { proveedor: 'Sin proveedor', total: 50 }
+        ]);
+        expect(r.ranking.ganancia.map(x => x.nombre)).toEqual(['Centro', 'Playa']);
+    });
+
+    test('un traspaso aprobado no suma a las compras del grupo', async () => {
+        const pool = mockPool({
+            compras: {
+                1: [{ proveedor_nombre: 'Makro', total_compra: '100' }],
+                2: [{ proveedor_nombre: null, total_compra: '40', traspaso_id: 9 }, { proveedor_nombre: 'Makro', total_compra: '10' }]
+            }
+        });
+        const r = await consolidarPnl(pool, 7, { mes: 9, ano: 2026 });
+
+        expect(r.locales[1].compras).toEqual({ total: 10, traspasos_internos: 40, por_proveedor: [{ proveedor: 'Makro', total: 10 }] });
+        expect(r.total.compras).toEqual({ total: 110, por_proveedor: [{ proveedor: 'Makro', total: 110 }] });
+    });
+});
@@ -0,0 +1,168 @@
+/**
+ * Coste de personal previsto frente a la venta (utils/costeLaboral y
+ * GET /staff/labour-cost).
+ *
+ * Lo que blindan estos tests:
+ *   1. El coste de cada tramo sale de sus horas reales (turno partido y cierre
+ *      pasada la medianoche) × coste_hora del empleado.
+ *   2. El personal extra suma al día, aparte de los tramos.
+ *   3. Los días por encima del objetivo se marcan; los días sin venta no
+ *      (pct null). Con fichajes, manda el coste real, combinado por
+ *      empleado: quien no fichó cuenta lo planificado.
+ *   4. La ruta valida el rango y todas sus queries van por restaurante.
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/middleware/auth', () => ({
+    authMiddleware: (req, _res, next) => {
+        req.restauranteId = 3;
+        req.user = { userId: 7 };
+        next();
+    },
+    requirePermission: () => (_req, _res, next) => next()
+}));
+
+const { costeLaboralPorDia } = require('../../src/utils/costeLaboral');
+const staffRoutesFactory = require('../../src/routes/staff.routes');
+
+// Partido 12:00-16:00 + 20:00-00:30 (8,5h) a 12 €/h y un seguido de 8h a 10 €/h.
+const TURNOS = [
+    { fecha: '2026-10-16', tramo: 1, hora_inicio: '12:00', hora_fin: '16:00', coste_hora: '12.00', empleado_id: 1 },
+    { fecha: '2026-10-16', tramo: 2, hora_inicio: '20:00', hora_fin: '00:30', coste_hora: '12.00', empleado_id: 1 },
+    { fecha: '2026-10-16', tramo: 1, hora_inicio: '10:00', hora_fin: '18:00', coste_hora: '10.00', empleado_id: 2 },
+    { fecha: '2026-10-17', tramo: 1, hora_inicio: '10:00', hora_fin: '18:00', coste_hora: '10.00', empleado_id: 2 }
+];
+
+describe('costeLaboralPorDia', () => {
+    test('por tramo, con partido y cruce de medianoche; extras aparte', () => {
+        const r = costeLaboralPorDia({
+            desde: '2026-10-16',
+            hasta: '2026-10-17',
+            turnos: TURNOS,
+            extras: [{ fecha: '2026-10-16', horas: '5', total: '60' }],
+            ventas: [{ fecha: '2026-10-16', ingresos: '800' }, { fecha: '2026-10-17', ingresos: '400' }]
+        });
+
+        const [viernes, sabado] = r.dias;
+        expect(viernes.tramos).toEqual([
+            { tramo: 1, empleados: 2, horas: 12, coste: 128, pct_personal: 16 },
+            { tramo: 2, empleados: 1, horas: 4.5, coste: 54, pct_personal: 6.75 }
+        ]);
+        expect(viernes.personal_extra).toEqual({ horas: 5, coste: 60 });
+        expect(viernes).toMatchObject({ horas: 21.5, coste: 242, pct_personal: 30.25, supera_objetivo: true });
+        expect(sabado).toMatchObject({ coste: 80, pct_personal: 20, supera_objetivo: false });
+        expect(r.dias_sobre_objetivo).toEqual(['2026-10-16']);
+        expect(r.total).toEqual({ ingresos: 1200, horas: 29.5, coste: 322, personal_extra: 60, pct_personal: 26.83, real: null });
+    });
+
+    test('con fichajes el aviso sale de las horas reales, no de las planificadas', () => {
+        const r = costeLaboralPorDia({
+            desde: '2026-10-16',
+            hasta: '2026-10-17',
+            turnos: TURNOS,
+            extras: [{ fecha: '2026-10-16', horas: '5', total: '60' }],
+            ventas: [{ fecha: '2026-10-16', ingresos: '800' }, { fecha: '2026-10-17', ingresos: '400' }],
+            fichajes: [
+                { fecha: '2026-10-16', empleado_id: 1, horas: '7', coste: '84' },
+                { fecha: '2026-10-16', empleado_id: 2, horas: '7', coste: '66' },
+                { fecha: '2026-10-17', empleado_id: 2, horas: '12.5', coste: '125' }
+            ]
+        });
+        const [viernes, sabado] = r.dias;
+        expect(viernes.real).toEqual({ horas: 19, coste: 210, pct_personal: 26.25, empleados_sin_fichar: 0 });
+        expect(viernes.supera_objetivo).toBe(false);
+        expect(sabado.real).toEqual({ horas: 12.5, coste: 125, pct_personal: 31.25, empleados_sin_fichar: 0 });
+        expect(sabado.supera_objetivo).toBe(true);
+        expect(r.total.real).toEqual({ dias: 2, horas: 31.5, coste: 335, pct_personal: 27.92 });
+    });
+
+    test('día a medio fichar: quien no fichó cuenta lo planificado, y el aviso lo sigue', () => {
+        // Planificado: 1 → 8,5h × 12 = 102 €, 2 → 8h × 10 = 80 €. Solo ficha el 2.
+        const r = costeLaboralPorDia({
+            desde: '2026-10-16',
+            hasta: '2026-10-16',
+            turnos: TURNOS,
+            ventas: [{ fecha: '2026-10-16', ingresos: '600' }],
+            fichajes: [{ fecha: '2026-10-16', empleado_id: 2, horas: '6', coste: '60' }]
+        });
+        const [dia] = r.dias;
+        expect(dia.real).toEqual({ horas: 14.5, coste: 162, pct_personal: 27, empleados_sin_fichar: 1 });
+        expect(dia.supera_objetivo).toBe(false);
+
+        // Con solo lo fichado (60 €) quedaría en 10%; con un objetivo del 20%
+        // el día sigue marcado porque el empleado 1 también trabajó.
+        const conObjetivo = costeLaboralPorDia({
+            desde: '2026-10-16', hasta: '2026-10-16', turnos: TURNOS, objetivoPct: 20,
+            ventas: [{ fecha: '2026-10-16', ingresos: '600' }],
+            fichajes: [{ fecha: '2026-10-16', empleado_id: 2, horas: '6', coste: '60' }]
+        });
+        expect(conObjetivo.dias_sobre_objetivo).toEqual(['2026-10-16']);
+    });
+
+    test('día sin venta: pct null y sin marcar; objetivo configurable', () => {
+        const r = costeLaboralPorDia({
+            desde: '2026-10-17',
+            hasta: '2026-10-18',
+            turnos: TURNOS,
+            ventas: [{ fecha: '2026-10-17', ingresos: '400' }],
+            objetivoPct: 15
+        });
+        expect(r.dias.map(d => [d.fecha, d.pct_personal, d.supera_objetivo])).toEqual([
+            ['2026-10-17', 20, true],
+            ['2026-10-18', null, false]
+        ]);
+        expect(r.objetivo_pct).toBe(15);
+    });
+});
+
+describe('GET /staff/labour-cost', () => {
+    function makePool() {
+        const queries = [];
+        return {
+            queries,
+            async query(sql, params) {
+                queries.push({ sql, params });
+                if (sql.includes('FROM horarios')) return { rows: TURNOS };
+                if (sql.includes('FROM ventas_diarias_resumen')) return { rows: [{ fecha: '2026-10-16', ingresos: '800' }] };
+                return { rows: [] };
+            }
+        };
+    }
+    const app = (pool) => {
+        const a = express();
+        a.use('/api', staffRoutesFactory(pool));
+        return a;
+    };
+
+    test('responde por día y tramo, con el objetivo de la query', async () => {
+        const pool = makePool();
+        const res = await request(app(pool)).get('/api/staff/labour-cost?desde=2026-10-16&hasta=2026-10-17&objetivo=20');
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ desde: '2026-10-16', hasta: '2026-10-17', objetivo_pct: 20, dias_sobre_objetivo: ['2026-10-16'] });
+        expect(res.body.dias[0].tramos).toHaveLength(2);
+        expect(pool.queries).toHaveLength(4);
+        for (const q of pool.queries) expect(q.params).toEqual([3, '2026-10-16', '2026-10-17']);
+    });
+
+    test('93 días justos: dentro del límite', async () => {
+        const res = await request(app(makePool())).get('/api/staff/labour-cost?desde=2026-01-01&hasta=2026-04-03');
+        expect(res.status).toBe(200);
+        expect(res.body.dias).toHaveLength(93);
+    });
+
+    test.each([
+        ['sin rango', ''],
+        ['fecha imposible', '?desde=2026-02-30&hasta=2026-03-01'],
+        ['rango invertido', '?desde=2026-10-17&hasta=2026-10-01'],
+        ['rango de más de 93 días', '?desde=2026-01-01&hasta=2026-12-31'],
+        ['94 días justos', '?desde=2026-01-01&hasta=2026-04-04'],
+        ['rango de siglos', '?desde=0001-01-01&hasta=9999-12-31']
+    ])('%s: 400', async (_caso, qs) => {
+        const pool = makePool();
+        const res = await request(app(pool)).get(`/api/staff/labour-cost${qs}`);
+        expect(res.status).toBe(400);
+        expect(pool.queries).toHaveLength(0);
+    });
+});
@@ -0,0 +1,205 @@
+/**
+ * Registro de jornada: fichajes desde el terminal, correcciones, registro
+ * mensual y previsto vs. real (routes/fichajes y utils/registroJornada).
+ *
+ * Lo que blindan estos tests:
+ *   1. El terminal solo ficha con un token vivo, y el restaurante sale de ese
+ *      token, nunca del body.
+ *   2. Fichar alterna entrada/salida; un olvido de salida (>16h) no se cierra
+ *      como jornada de 30h: queda como incidencia y se abre la entrada nueva.
+ *   3. PIN incorrecto 5 veces → bloqueo, aunque el sexto sea el bueno; los
+ *      fallos viejos caducan y no se acumulan para siempre.
+ *   4. Un fichaje manual exige motivo y no puede pasar del máximo.
+ *   5. El registro mensual lleva entrada, salida, horas, incidencias, total y
+ *      firma por trabajador; el previsto vs. real marca los días sin fichar.
+ */
+
+const bcrypt = require('bcryptjs');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/middleware/auth', () => ({
+    authMiddleware: (req, _res, next) => {
+        req.restauranteId = 3;
+        req.user = { userId: 7 };
+        next();
+    },
+    requirePermission: () => (_req, _res, next) => next()
+}));
+jest.mock('../../src/utils/auditLog', () => ({ logChange: jest.fn() }));
+
+const { logChange } = require('../../src/utils/auditLog');
+const { previstoVsReal, registroMensualCsv } = require('../../src/utils/registroJornada');
+const fichajesRoutesFactory = require('../../src/routes/fichajes.routes');
+
+const PIN_HASH = bcrypt.hashSync('1234', 4);
+const HORA = 3600 * 1000;
+
+function makePool({ terminal = true, abierto = null } = {}) {
+    const queries = [];
+    const responder = async (sql, params) => {
+        queries.push({ sql, params });
+        if (sql.includes('FROM fichaje_terminales') && sql.includes('token_hash')) {
+            return { rows: terminal ? [{ id: 11, restaurante_id: 5 }] : [] };
+        }
+        if (sql.includes('pin_hash FROM empleados')) return { rows: [{ id: params[0], nombre: 'Lucía', pin_hash: PIN_HASH }] };
+        if (sql.includes('FROM fichajes') && sql.includes('FOR UPDATE')) return { rows: abierto ? [abierto] : [] };
+        if (sql.includes('INSERT INTO fichajes')) return { rows: [{ id: 99 }] };
+        if (sql.includes('SELECT id FROM empleados')) return { rows: [{ id: params[0] }] };
+        return { rows: [], rowCount: 1 };
+    };
+    return {
+        queries,
+        query: responder,
+        async connect() { return { query: responder, release() { /* noop */ } }; }
+    };
+}
+
+function app(pool) {
+    const a = express();
+    a.use(express.json());
+    a.use('/api', fichajesRoutesFactory(pool));
+    return a;
+}
+
+const fichar = (pool, body, token = 'fch_abc') => {
+    const r = request(app(pool)).post('/api/fichaje');
+    return (token ? r.set('X-Fichaje-Token', token) : r).send(body);
+};
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('terminal de fichaje', () => {
+    test('sin token o con token revocado: 401 sin tocar fichajes', async () => {
+        expect((await fichar(makePool(), { empleado_id: 1, pin: '1234' }, null)).status).toBe(401);
+        const pool = makePool({ terminal: false });
+        expect((await fichar(pool, { empleado_id: 1, pin: '1234' })).status).toBe(401);
+        expect(pool.queries.some(q => q.sql.includes('fichajes'))).toBe(false);
+    });
+
+    test('entrada: el restaurante sale del token del terminal', async () => {
+        const pool = makePool();
+        const res = await fichar(pool, { empleado_id: 1, pin: '1234', restaurante_id: 3 });
+        expect(res.status).toBe(201);
+        expect(res.body).toMatchObject({ accion: 'entrada', empleado: 'Lucía', fichaje_id: 99 });
+        const insert = pool.queries.find(q => q.sql.includes('INSERT INTO fichajes'));
+        expect(insert.params[0]).toBe(5);
+        expect(insert.params[3]).toBe(11);
+    });
+
+    test('salida: cierra el fichaje abierto con sus horas', async () => {
+        const pool = makePool({ abierto: { id: 40, entrada: new Date(Date.now() - 8 * HORA) } });
+        const res = await fichar(pool, { empleado_id: 2, pin: '1234' });
+        expect(res.body).toMatchObject({ accion: 'salida', fichaje_id: 40 });
+        expect(res.body.horas).toBeCloseTo(8, 1);
+        expect(pool.queries.find(q => q.sql.includes('SET salida')).params.slice(1)).toEqual([40, 5]);
+    });
+
+    test('olvido de salida (>16h): incidencia y entrada nueva, no una jornada de 20h', async () => {
+        const pool = makePool({ abierto: { id: 40, entrada: new Date(Date.now() - 20 * HORA) } });
+        const res = await fichar(pool, { empleado_id: 3, pin: '1234' });
+        expect(res.body.accion).toBe('entrada');
+        expect(res.body.aviso).toMatch(/sin salida|no tenía salida/);
+        expect(pool.queries.some(q => q.sql.includes('SET salida'))).toBe(false);
+        expect(pool.queries.find(q => q.sql.includes("incidencia = 'sin_salida'")).params).toEqual([40, 5]);
+    });
+
+    test('5 PIN incorrectos bloquean, aunque el sexto sea el bueno', async () => {
+        const pool = makePool();
+        for (let i = 0; i < 5; i++) {
+            expect((await fichar(pool, { empleado_id: 4, pin: '0000' })).status).toBe(401);
+        }
+        const res = await fichar(pool, { empleado_id: 4, pin: '1234' });
+        expect(res.status).toBe(429);
+        expect(pool.queries.some(q => q.sql.includes('INSERT INTO fichajes'))).toBe(false);
+    });
+
+    test('los fallos caducan: 4 ayer y 4 hoy no bloquean', async () => {
+        const pool = makePool();
+        const ahora = Date.now();
+        const reloj = jest.spyOn(Date, 'now').mockReturnValue(ahora - 24 * HORA);
+        try {
+            for (let i = 0; i < 4; i++) await fichar(pool, { empleado_id: 5, pin: '0000' });
+            reloj.mockReturnValue(ahora);
+            for (let i = 0; i < 4; i++) await fichar(pool, { empleado_id: 5, pin: '0000' });
+            expect((await fichar(pool, { empleado_id: 5, pin: '1234' })).status).toBe(201);
+        } finally {
+            reloj.mockRestore();
+        }
+    });
+});
+
+describe('fichaje manual', () => {
+    const crear = (pool, body) => request(app(pool)).post('/api/fichajes').send(body);
+
+    test('sin motivo: 400; de más de 16h: 400', async () => {
+        const base = { empleado_id: 1, entrada: '2026-10-17T10:00', salida: '2026-10-17T18:00' };
+        expect((await crear(makePool(), base)).status).toBe(400);
+        expect((await crear(makePool(), { ...base, salida: '2026-10-18T04:00', motivo: 'olvido' })).status).toBe(400);
+    });
+
+    test('con motivo: hora de España convertida en SQL y auditado', async () => {
+        const pool = makePool();
+        const res = await crear(pool, { empleado_id: 1, entrada: '2026-10-17T20:00', salida: '2026-10-18T00:30', motivo: 'Terminal sin batería' });
+        expect(res.status).toBe(201);
+        const insert = pool.queries.find(q => q.sql.includes('INSERT INTO fichajes'));
+        expect(insert.sql).toContain("AT TIME ZONE 'Europe/Madrid'");
+        expect(insert.params).toEqual([3, 1, '2026-10-17T20:00', '2026-10-18T00:30', 7, 'Terminal sin batería']);
+        expect(logChange.mock.calls[0][1]).toMatchObject({ tabla: 'fichajes', operacion: 'INSERT' });
+    });
+});
+
+describe('registro mensual', () => {
+    test('CSV: una línea por fichaje, incidencias, total y firma', () => {
+        const csv = registroMensualCsv({
+            empresa: 'La Nave',
+            mes: '2026-10',
+            empleados: [{ id: 1, nombre: 'Lucía', puesto: 'Camarera' }],
+            fichajes: [
+                { empleado_id: 1, fecha: '2026-10-16', entrada_hora: '12:00', salida_hora: '16:00', horas: '4' },
+                { empleado_id: 1, fecha: '2026-10-16', entrada_hora: '20:00', salida_hora: '00:30', horas: '4.5', editado: true },
+                { empleado_id: 1, fecha: '2026-10-17', entrada_hora: '12:00', salida_hora: null, horas: null, incidencia: 'sin_salida' }
+            ]
+        });
+        const lineas = csv.replace('\uFEFF', '').trim().split('\r\n');
+        expect(lineas[0]).toBe('Registro diario de jornada (art. 34.9 ET);La Nave;Mes 2026-10');
+        expect(lineas.slice(2)).toEqual([
+            'Lucía;Camarera;2026-10-16;12:00;16:00;4,00;',
+            'Lucía;Camarera;2026-10-16;20:00;00:30;4,50;Corregido',
+            'Lucía;Camarera;2026-10-17;12:00;;;Sin salida',
+            'Lucía;;TOTAL 2026-10;;;8,50;',
+            'Lucía;;Firma del trabajador:;;Firma de la empresa:;;'
+        ]);
+    });
+
+    test('GET /fichajes/registro: CSV descargable; mes mal formado → 400', async () => {
+        const res = await request(app(makePool())).get('/api/fichajes/registro?mes=2026-10');
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toContain('text/csv');
+        expect(res.headers['content-disposition']).toContain('registro-jornada-2026-10.csv');
+        expect((await request(app(makePool())).get('/api/fichajes/registro?mes=10-2026')).status).toBe(400);
+    });
+});
+
+describe('previsto vs. real', () => {
+    test('horas y coste por empleado; día planificado sin fichar', () => {
+        const r = previstoVsReal({
+            empleados: [{ id: 1, nombre: 'Lucía', coste_hora: '12' }],
+            turnos: [
+                { empleado_id: 1, fecha: '2026-10-16', hora_inicio: '12:00', hora_fin: '16:00' },
+                { empleado_id: 1, fecha: '2026-10-16', hora_inicio: '20:00', hora_fin: '00:00' },
+                { empleado_id: 1, fecha: '2026-10-17', hora_inicio: '10:00', hora_fin: '18:00' }
+            ],
+            fichajes: [
+                { empleado_id: 1, fecha: '2026-10-16', horas: '4.25', abierto: false },
+                { empleado_id: 1, fecha: '2026-10-16', horas: '4.5', abierto: false }
+            ]
+        });
+        const [lucia] = r.empleados;
+        expect(lucia.dias).toEqual([
+            { fecha: '2026-10-16', horas_previstas: 8, horas_reales: 8.75, diferencia: 0.75, fichajes: 2, sin_salida: 0, sin_fichar: false },
+            { fecha: '2026-10-17', horas_previstas: 8, horas_reales: 0, diferencia: -8, fichajes: 0, sin_salida: 0, sin_fichar: true }
+        ]);
+        expect(r.total).toEqual({ horas_previstas: 16, horas_reales: 8.75, diferencia: -7.25, coste_previsto: 192, coste_real: 105 });
+    });
+});
@@ -0,0 +1,168 @@
+/**
+ * Generador de horarios semanal (utils/generadorHorarios y
+ * POST /horarios/generar).
+ *
+ * Lo que blindan estos tests:
+ *   1. Días libres fijos de la ficha (texto libre) y, si faltan, el resto
+ *      hasta 2 donde el puesto va más sobrado; nunca el día de más demanda.
+ *   2. horas_contrato repartidas entre los días trabajados con la plantilla
+ *      (seguido o partido).
+ *   3. Un día que deja menos de 12h de descanso o se pasa del tope diario NO
+ *      se genera: vuelve como conflicto. Igual los huecos de cobertura.
+ *   4. Los turnos ya guardados no se pisan; `simular` no escribe nada.
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/middleware/auth', () => ({
+    authMiddleware: (req, _res, next) => {
+        req.restauranteId = 3;
+        req.user = { userId: 7 };
+        next();
+    },
+    requirePermission: () => (_req, _res, next) => next()
+}));
+
+const { parsearDiasLibres, generarSemana } = require('../../src/utils/generadorHorarios');
+const staffRoutesFactory = require('../../src/routes/staff.routes');
+
+const LUNES = '2026-10-19';
+
+const empleado = (id, extra = {}) => ({
+    id, nombre: `E${id}`, puesto: 'Camarero', horas_contrato: 40, dias_libres_fijos: '',
+    jornada_tipo: 'seguido', tramo1_inicio: '10:00', ...extra
+});
+
+const diasDe = (turnos, id) => [...new Set(turnos.filter(t => t.empleado_id === id).map(t => t.fecha))];
+
+describe('parsearDiasLibres', () => {
+    test('nombres con y sin tilde, abreviaturas y números de getDay()', () => {
+        expect([...parsearDiasLibres('Sábado, X; 0')].sort()).toEqual([0, 3, 6]);
+        expect([...parsearDiasLibres('lunes martes 7')].sort()).toEqual([0, 1, 2]);
+        expect(parsearDiasLibres('cuando pueda').size).toBe(0);
+    });
+});
+
+describe('generarSemana', () => {
+    test('seguido: libres fijos de la ficha, 40h en 5 días de 8h', () => {
+        const { turnos, conflictos } = generarSemana({
+            inicio: LUNES,
+            empleados: [empleado(1, { dias_libres_fijos: 'lunes, martes' })]
+        });
+        expect(diasDe(turnos, 1)).toEqual(['2026-10-21', '2026-10-22', '2026-10-23', '2026-10-24', '2026-10-25']);
+        expect(turnos[0]).toEqual({ empleado_id: 1, fecha: '2026-10-21', tramo: 1, hora_inicio: '10:00', hora_fin: '18:00' });
+        expect(conflictos).toEqual([]);
+    });
+
+    test('partido: dos tramos por día con el reparto de la plantilla', () => {
+        const { turnos } = generarSemana({
+            inicio: LUNES,
+            empleados: [empleado(1, { dias_libres_fijos: 'L M', jornada_tipo: 'partido', tramo1_inicio: '12:00', tramo2_inicio: '20:00' })]
+        });
+        expect(turnos.filter(t => t.fecha === '2026-10-24')).toEqual([
+            { empleado_id: 1, fecha: '2026-10-24', tramo: 1, hora_inicio: '12:00', hora_fin: '16:00' },
+            { empleado_id: 1, fecha: '2026-10-24', tramo: 2, hora_inicio: '20:00', hora_fin: '00:00' }
+        ]);
+    });
+
+    test('libres que faltan: donde sobra gente, no el sábado; hueco de cobertura como conflicto', () => {
+        const { turnos, conflictos, cobertura } = generarSemana({
+            inicio: LUNES,
+            empleados: [empleado(1, { dias_libres_fijos: 'sabado, domingo' }), empleado(2, { dias_libres_fijos: 'domingo' })],
+            minimos: { camarero: { default: 1, sabado: 2 } }
+        });
+        expect(diasDe(turnos, 2)).toHaveLength(5);
+        expect(diasDe(turnos, 2)).toContain('2026-10-24');
+        expect(cobertura.find(c => c.fecha === '2026-10-24')).toEqual({ fecha: '2026-10-24', puesto: 'camarero', minimo: 2, asignados: 1 });
+        expect(conflictos).toEqual([
+            { tipo: 'cobertura', empleado_id: null, empleado: null, fecha: '2026-10-24', mensaje: 'camarero: 1 de 2 mínimo' },
+            { tipo: 'cobertura', empleado_id: null, empleado: null, fecha: '2026-10-25', mensaje: 'camarero: 0 de 1 mínimo' }
+        ]);
+    });
+
+    test('cierre del domingo a las 02:00 y entrada el lunes a las 10:00: el lunes no se genera', () => {
+        const { turnos, conflictos } = generarSemana({
+            inicio: LUNES,
+            empleados: [empleado(1, { dias_libres_fijos: 'sabado domingo' })],
+            existentes: [{ empleado_id: 1, fecha: '2026-10-18', tramo: 1, hora_inicio: '18:00', hora_fin: '02:00' }]
+        });
+        expect(diasDe(turnos, 1)).not.toContain(LUNES);
+        expect(conflictos).toEqual([expect.objectContaining({ tipo: 'descanso', empleado_id: 1, fecha: LUNES })]);
+        expect(conflictos[0].mensaje).toContain('8.0h de descanso');
+    });
+
+    test('contrato que no cabe en el tope diario: conflicto, nada generado', () => {
+        const { turnos, conflictos } = generarSemana({
+            inicio: LUNES,
+            empleados: [empleado(1, { horas_contrato: 70, dias_libres_fijos: 'sabado domingo' })]
+        });
+        expect(turnos).toEqual([]);
+        expect(conflictos).toHaveLength(5);
+        expect(conflictos.every(c => c.tipo === 'contrato')).toBe(true);
+    });
+
+    test('un día con turno ya guardado no se regenera y cuenta como trabajado', () => {
+        const { turnos, cobertura } = generarSemana({
+            inicio: LUNES,
+            empleados: [empleado(1, { dias_libres_fijos: 'sabado domingo' })],
+            existentes: [{ empleado_id: 1, fecha: LUNES, tramo: 1, hora_inicio: '09:00', hora_fin: '13:00' }],
+            minimos: { Camarero: 1 }
+        });
+        expect(diasDe(turnos, 1)).toEqual(['2026-10-20', '2026-10-21', '2026-10-22', '2026-10-23']);
+        expect(cobertura[0]).toMatchObject({ fecha: LUNES, asignados: 1 });
+    });
+});
+
+describe('POST /horarios/generar', () => {
+    function makePool() {
+        const queries = [];
+        const client = {
+            async query(sql, params) {
+                queries.push({ sql, params });
+                if (sql.includes('INSERT INTO horarios')) return { rows: [{ id: queries.length }] };
+                return { rows: [] };
+            },
+            release() { /* noop */ }
+        };
+        return {
+            queries,
+            async connect() { return client; },
+            async query(sql, params) {
+                queries.push({ sql, params });
+                if (sql.includes('FROM empleados')) return { rows: [empleado(1, { dias_libres_fijos: 'sabado domingo' })] };
+                return { rows: [] };
+            }
+        };
+    }
+    const app = (pool) => {
+        const a = express();
+        a.use(express.json());
+        a.use('/api', staffRoutesFactory(pool));
+        return a;
+    };
+
+    test('escribe los turnos válidos en una transacción, por restaurante', async () => {
+        const pool = makePool();
+        const res = await request(app(pool)).post('/api/horarios/generar').send({ semana_inicio: LUNES });
+        expect(res.status).toBe(201);
+        expect(res.body).toMatchObject({ semana_inicio: LUNES, simulado: false, turnos_creados: 5, conflictos: [] });
+        const inserts = pool.queries.filter(q => q.sql.includes('INSERT INTO horarios'));
+        expect(inserts).toHaveLength(5);
+        expect(inserts.every(q => q.params[5] === 3 && q.sql.includes('DO NOTHING'))).toBe(true);
+        expect(pool.queries[pool.queries.length - 1].sql).toBe('COMMIT');
+    });
+
+    test('simular: devuelve la propuesta sin escribir', async () => {
+        const pool = makePool();
+        const res = await request(app(pool)).post('/api/horarios/generar').send({ semana_inicio: LUNES, simular: true });
+        expect(res.status).toBe(200);
+        expect(res.body.turnos).toHaveLength(5);
+        expect(pool.queries.some(q => q.sql.includes('INSERT'))).toBe(false);
+    });
+
+    test('sin semana_inicio: 400', async () => {
+        const res = await request(app(makePool())).post('/api/horarios/generar').send({});
+        expect(res.status).toBe(400);
+    });
+});
@@ -0,0 +1,208 @@
+/**
+ * Unit tests: envío programado del informe mensual por email.
+ *
+ * Bug class que previenen:
+ *   - Mandar el informe del mes EN CURSO (a medias) en vez del anterior.
+ *   - Un enlace de baja que sirve para dar de baja a otro destinatario.
+ *   - Un escáner de correo que da de baja a alguien solo por abrir el enlace
+ *     (el GET confirma; solo el POST da de baja).
+ *   - Dos pasadas (o dos instancias) enviando el mismo mes.
+ *   - Un fallo de envío que quema el mes: tiene que reintentarse.
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'x'.repeat(40);
+
+jest.mock('../../src/services/informeMensualService', () => ({
+    generarInformeMensual: jest.fn(async () => ({
+        periodo: { mes: '2026-09' },
+        restaurante: { nombre: 'La Nave', moneda: '€' }
+    }))
+}));
+jest.mock('../../src/middleware/rateLimit', () => ({
+    costlyApiLimiter: (_req, _res, next) => next(),
+    globalLimiter: (_req, _res, next) => next()
+}));
+jest.mock('../../src/services/informeMensualHtml', () => ({
+    generarInformeHtml: jest.fn(async () => ({ html: '<html><body>Informe</body></html>', usage: {}, conIA: false }))
+}));
+
+const {
+    mesAnterior, proximoEnvio, firmaBaja, verificarFirmaBaja, urlBaja,
+    enviarInforme, procesarEnviosPendientes, _internals
+} = require('../../src/services/informeMensualEnvioService');
+
+const SUS = { id: 7, restaurante_id: 3, destinatarios: ['a@x.com', 'b@x.com'], dia_envio: 2, lang: 'es', activo: true, ultimo_mes_enviado: '2026-08' };
+
+function mockPool(handlers = {}) {
+    return {
+        query: jest.fn(async (sql) => {
+            for (const [frag, res] of Object.entries(handlers)) {
+                if (sql.includes(frag)) return typeof res === 'function' ? res(sql) : res;
+            }
+            return { rows: [], rowCount: 0 };
+        })
+    };
+}
+
+describe('mesAnterior / proximoEnvio', () => {
+    test('mes anterior, también en enero', () => {
+        expect(mesAnterior(new Date('2026-10-02T08:00:00Z'))).toBe('2026-09');
+        expect(mesAnterior(new Date('2027-01-15T08:00:00Z'))).toBe('2026-12');
+    });
+
+    test('mes anterior pendiente y día pasado → hoy', () => {
+        expect(proximoEnvio(SUS, new Date('2026-10-18T10:00:00Z'))).toEqual({ fecha: '2026-10-18', mes: '2026-09' });
+    });
+
+    test('mes anterior ya enviado → día de envío del mes siguiente', () => {
+        const s = { ...SUS, ultimo_mes_enviado: '2026-09' };
+        expect(proximoEnvio(s, new Date('2026-10-18T10:00:00Z'))).toEqual({ fecha: '2026-11-02', mes: '2026-10' });
+    });
+
+    test('antes del día de envío → ese día de este mes', () => {
+        const s = { ...SUS, dia_envio: 5 };
+        expect(proximoEnvio(s, new Date('2026-10-03T10:00:00Z'))).toEqual({ fecha: '2026-10-05', mes: '2026-09' });
+    });
+
+    test('inactiva o sin destinatarios → null', () => {
+        expect(proximoEnvio({ ...SUS, activo: false })).toBeNull();
+        expect(proximoEnvio({ ...SUS, destinatarios: [] })).toBeNull();
+        expect(proximoEnvio(null)).toBeNull();
+    });
+});
+
+describe('firma del enlace de baja', () => {
+    test('válida solo para su suscripción y su email', () => {
+        const t = firmaBaja(7, 'a@x.com');
+        expect(verificarFirmaBaja(7, 'a@x.com', t)).toBe(true);
+        expect(verificarFirmaBaja(7, 'A@X.com', t)).toBe(true);
+        expect(verificarFirmaBaja(7, 'b@x.com', t)).toBe(false);
+        expect(verificarFirmaBaja(8, 'a@x.com', t)).toBe(false);
+        expect(verificarFirmaBaja(7, 'a@x.com', 'zz')).toBe(false);
+        expect(verificarFirmaBaja(7, 'a@x.com', undefined)).toBe(false);
+    });
+
+    test('sin JWT_SECRET falla cerrado: no firma ni acepta firmas', () => {
+        const secreto = process.env.JWT_SECRET;
+        const vacia = require('crypto').createHmac('sha256', '').update('7:a@x.com').digest('hex');
+        delete process.env.JWT_SECRET;
+        try {
+            expect(() => firmaBaja(7, 'a@x.com')).toThrow(/JWT_SECRET/);
+            expect(verificarFirmaBaja(7, 'a@x.com', vacia)).toBe(false);
+        } finally {
+            process.env.JWT_SECRET = secreto;
+        }
+    });
+
+    test('la URL lleva suscripción, email y firma', () => {
+        const u = new URL(urlBaja(7, 'a@x.com'));
+        expect(u.pathname).toBe('/api/informe-mensual/baja');
+        expect(u.searchParams.get('s')).toBe('7');
+        expect(u.searchParams.get('e')).toBe('a@x.com');
+        expect(verificarFirmaBaja(7, 'a@x.com', u.searchParams.get('t'))).toBe(true);
+    });
+
+    test('el pie de baja entra antes de </body> con & escapado', () => {
+        const html = _internals.conPieDeBaja('<html><body>X</body></html>', 'https://a/b?s=1&e=2', 'es');
+        expect(html).toMatch(/Darse de baja<\/a><\/div><\/body><\/html>$/);
+        expect(html).toContain('s=1&amp;e=2');
+    });
+});
+
+describe('enviarInforme', () => {
+    test('un email por destinatario, cada uno con su enlace de baja; registra el envío', async () => {
+        const pool = mockPool();
+        const resend = { emails: { send: jest.fn(async () => ({ data: { id: 'msg_1' } })) } };
+        const r = await enviarInforme(pool, resend, { suscripcion: SUS, mes: '2026-09' });
+
+        expect(r).toEqual({ estado: 'enviado', enviados: 2, conIA: false });
+        expect(resend.emails.send).toHaveBeenCalledTimes(2);
+        const [primero] = resend.emails.send.mock.calls[0];
+        expect(primero.to).toBe('a@x.com');
+        expect(primero.subject).toBe('📊 Informe mensual 2026-09 — La Nave');
+        expect(primero.headers['List-Unsubscribe']).toContain('e=a%40x.com');
+        const insert = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO informes_envios'));
+        expect(insert[1]).toEqual([7, 3, '2026-09', JSON.stringify(SUS.destinatarios), 'enviado', false, 'msg_1', null, false]);
+    });
+
+    test('fallo en un destinatario → parcial con el error anotado', async () => {
+        const pool = mockPool();
+        const resend = { emails: { send: jest.fn()
+            .mockResolvedValueOnce({ data: { id: 'msg_1' } })
+            .mockResolvedValueOnce({ error: { message: 'rebotado' } }) } };
+        const r = await enviarInforme(pool, resend, { suscripcion: SUS, mes: '2026-09' });
+        expect(r.estado).toBe('parcial');
+        expect(r.error).toBe('b@x.com: rebotado');
+    });
+});
+
+describe('procesarEnviosPendientes', () => {
+    const AHORA = new Date('2026-10-02T09:00:00Z');
+
+    test('reclama el mes antes de enviar; si otra instancia lo reclamó, no envía', async () => {
+        const pool = mockPool({
+            'FROM informes_suscripciones s': { rows: [SUS] },
+            'AND (ultimo_mes_enviado IS NULL OR ultimo_mes_enviado < $2)': { rowCount: 0 }
+        });
+        const resend = { emails: { send: jest.fn() } };
+        expect(await procesarEnviosPendientes(pool, resend, AHORA)).toBe(0);
+        expect(resend.emails.send).not.toHaveBeenCalled();
+        const [, params] = pool.query.mock.calls[0];
+        expect(params).toEqual([2, '2026-09', 3]);
+    });
+
+    test('si no llega a nadie, devuelve el candado para reintentar', async () => {
+        const pool = mockPool({
+            'FROM informes_suscripciones s': { rows: [SUS] },
+            'AND (ultimo_mes_enviado IS NULL OR ultimo_mes_enviado < $2)': { rowCount: 1 }
+        });
+        const resend = { emails: { send: jest.fn(async () => { throw new Error('caído'); }) } };
+        expect(await procesarEnviosPendientes(pool, resend, AHORA)).toBe(1);
+        const revert = pool.query.mock.calls.find(([sql]) => sql.includes('AND ultimo_mes_enviado = $3'));
+        expect(revert[1]).toEqual([7, '2026-08', '2026-09', 3]);
+    });
+
+    test('sin Resend no hace nada', async () => {
+        const pool = mockPool();
+        expect(await procesarEnviosPendientes(pool, null, AHORA)).toBe(0);
+        expect(pool.query).not.toHaveBeenCalled();
+    });
+});
+
+describe('GET|POST /informe-mensual/baja', () => {
+    const express = require('express');
+    const request = require('supertest');
+    const informeRoutes = require('../../src/routes/informe-mensual.routes');
+
+    function app(pool) {
+        const a = express();
+        a.use('/api', informeRoutes(pool, {}));
+        return a;
+    }
+    const enlace = () => { const u = new URL(urlBaja(7, 'a@x.com')); return `${u.pathname}${u.search}`; };
+    const bajas = (pool) => pool.query.mock.calls.filter(([sql]) => sql.includes('UPDATE informes_suscripciones'));
+
+    test('GET: página con el botón de confirmar, sin dar de baja', async () => {
+        const pool = mockPool();
+        const res = await request(app(pool)).get(enlace());
+        expect(res.status).toBe(200);
+        expect(res.text).toContain('<form method="POST"');
+        expect(res.text).toContain('pagina=1');
+        expect(bajas(pool)).toHaveLength(0);
+    });
+
+    test('GET con firma mala: 400 sin formulario', async () => {
+        const res = await request(app(mockPool())).get('/api/informe-mensual/baja?s=7&e=b@x.com&t=zz');
+        expect(res.status).toBe(400);
+        expect(res.text).not.toContain('<form');
+    });
+
+    test('POST del botón: baja y página; POST one-click: baja y JSON', async () => {
+        const pool = mockPool({ 'UPDATE informes_suscripciones': { rows: [{ id: 7, restaurante_id: 3, activo: true }] } });
+        const boton = await request(app(pool)).post(`${enlace()}&pagina=1`);
+        expect(boton.text).toContain('Baja confirmada');
+        const unClic = await request(app(pool)).post(enlace());
+        expect(unClic.body).toEqual({ ok: true });
+        expect(bajas(pool).map(([, params]) => params)).toEqual([[7, 'a@x.com'], [7, 'a@x.com']]);
+    });
+});
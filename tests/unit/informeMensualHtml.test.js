@@ -14,7 +14,7 @@
 
 const {
     escapeHtml, fmtMoneda, fmtPct, fmtVariacion,
-    classFoodCost, mdToHtml, renderSparkline, renderHtml
+    classFoodCost, mdToHtml, renderSparkline, renderHtml, analisisDeterminista
 } = require('../../src/services/informeMensualHtml')._internals;
 
 describe('escapeHtml — anti XSS', () => {
@@ -348,3 +348,55 @@ describe('renderHtml — integración (sin Claude)', () => {
         expect(html).toContain('@media print');
     });
 });
+
+describe('analisisDeterminista — fallback sin IA', () => {
+    const DATOS = {
+        periodo: { mes: '2026-09', mes_anterior: '2026-08' },
+        ingresos: { mes_actual: 20000, mes_anterior: 16000, variacion_pct: 25 },
+        food_cost: { mes_actual_pct: 38, real_pct: 40.5 },
+        pyg: { beneficio_neto: 3000, margen_neto_pct: 15 },
+        top_problematicos: [{ nombre: 'Pulpo', food_cost_pct: 52 }],
+        cambios_precio: [
+            { ingrediente: 'Aceite', variacion_pct: 18 },
+            { ingrediente: 'Sal', variacion_pct: 2 }
+        ],
+        stock: { items_bajo_minimo: 3 },
+        mermas: { valor_total: 420, num_registros: 7 }
+    };
+
+    test('mismo formato que el análisis de Claude y con los números del informe', () => {
+        const a = analisisDeterminista({ datos: DATOS, moneda: '€', lang: 'es' });
+        expect(Object.keys(a).sort()).toEqual(['alertas', 'observaciones', 'recomendaciones', 'resumen_ejecutivo']);
+        expect(a.resumen_ejecutivo).toContain('20.000,00 €');
+        expect(a.resumen_ejecutivo).toContain('+25.0%');
+        expect(a.observaciones.join(' ')).toContain('Aceite');
+        expect(a.observaciones.join(' ')).not.toContain('Sal');
+        expect(a.recomendaciones[0].detalle).toContain('Pulpo');
+        expect(a.alertas).toEqual([{ tipo: 'warning', mensaje: 'Food cost en **38.0%**.' }]);
+    });
+
+    test('determinista: mismos datos → mismo texto', () => {
+        expect(analisisDeterminista({ datos: DATOS, moneda: '€', lang: 'es' }))
+            .toEqual(analisisDeterminista({ datos: DATOS, moneda: '€', lang: 'es' }));
+    });
+
+    test('mes flojo y sin datos opcionales: alerta de pérdidas y sin crash', () => {
+        const a = analisisDeterminista({
+            datos: { periodo: { mes: '2026-09' }, ingresos: { mes_actual: 0, variacion_pct: null }, pyg: { beneficio_neto: -500 } },
+            moneda: 'RM', lang: 'en'
+        });
+        expect(a.resumen_ejecutivo).toContain('RM 0,00');
+        expect(a.resumen_ejecutivo).not.toContain('previous month');
+        expect(a.alertas).toEqual([{ tipo: 'critical', mensaje: 'The month closed with a net loss.' }]);
+        expect(a.recomendaciones).toEqual([]);
+    });
+
+    test('renderHtml acepta el análisis determinista', () => {
+        const analisis = analisisDeterminista({ datos: { ...DATOS, top_rentables: [], top_proveedores: [], evolucion_diaria: [] }, moneda: '€', lang: 'es' });
+        const html = renderHtml({
+            datos: { ...DATOS, top_rentables: [], top_proveedores: [], evolucion_diaria: [], restaurante: { nombre: 'OK' } },
+            analisis, restauranteNombre: 'OK', moneda: '€', lang: 'es'
+        });
+        expect(html).toContain('Revisar platos con food cost alto');
+    });
+});
@@ -0,0 +1,234 @@
+/**
+ * Proveedor LLM único (services/llmProvider).
+ *
+ * Lo que blindan estos tests:
+ *   1. El proveedor fake reproduce las respuestas grabadas por feature y en
+ *      orden, desde memoria o desde el directorio que graba `record`.
+ *   2. Los fallos transitorios (529, timeout) se reintentan; un 400 no.
+ *   3. Cada llamada se apunta al restaurante y feature con sus tokens y su
+ *      coste en USD.
+ *   4. Los caminos que antes solo iban con red (chat, PDF del TPV) funcionan
+ *      offline con el fake.
+ *   5. processChat solo ofrece y ejecuta las tools que permite el rol: sala
+ *      no ve el P&L ni los gastos.
+ *   6. El proveedor anthropic de verdad (el SDK, con la red sustituida) llama
+ *      en streaming: sin él, el SDK rechaza los max_tokens 32000 del PDF.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/middleware/auth', () => ({
+    authMiddleware: (req, _res, next) => {
+        req.restauranteId = 3;
+        req.user = { userId: 7 };
+        next();
+    },
+    requirePermission: () => (_req, _res, next) => next()
+}));
+jest.mock('../../src/middleware/rateLimit', () => ({ costlyApiLimiter: (_req, _res, next) => next() }));
+
+const llm = require('../../src/services/llmProvider');
+const { processChat, TOOLS, ACTION_TOOLS } = require('../../src/services/chatService');
+const { permisosDeRol } = require('../../src/utils/permisos');
+const salesRoutesFactory = require('../../src/routes/sales.routes');
+
+const poolVacio = { async query() { return { rows: [] }; } };
+const PARAMS = { max_tokens: 10, messages: [{ role: 'user', content: 'hola' }] };
+let anterior;
+
+beforeEach(() => {
+    llm.reiniciarUso();
+});
+afterEach(() => {
+    if (anterior !== undefined) llm.usarProveedor(anterior);
+    anterior = undefined;
+});
+
+function usarFake(respuestas) {
+    const fake = llm.crearProveedorFake({ respuestas });
+    anterior = llm.usarProveedor(fake);
+    return fake;
+}
+
+describe('proveedor fake', () => {
+    test('reproduce por feature y en orden; sin fixture → error sin reintento', async () => {
+        const fake = usarFake({ coach: ['uno', { content: 'dos', usage: { input_tokens: 5, output_tokens: 1 } }] });
+        const a = await llm.crearMensaje({ feature: 'coach', restauranteId: 3, params: PARAMS });
+        const b = await llm.crearMensaje({ feature: 'coach', restauranteId: 3, params: PARAMS });
+        expect(llm.textoDe(a)).toBe('uno');
+        expect(b.stop_reason).toBe('end_turn');
+        expect(llm.usoDe(b)).toEqual({ input: 5, output: 1, cache_read: 0, cache_creation: 0 });
+        expect(fake.llamadas[0].params.model).toMatch(/^claude-/);
+
+        await expect(llm.crearMensaje({ feature: 'coach', params: PARAMS, backoffMs: 0 }))
+            .rejects.toMatchObject({ code: 'LLM_SIN_FIXTURE' });
+        expect(fake.llamadas).toHaveLength(3);
+    });
+
+    test('record graba en <dir>/<feature>.json y fake lo reproduce', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+        const base = llm.crearProveedorFake({ respuestas: { informe_mensual: [{ content: '{"ok":true}', usage: { input_tokens: 9, output_tokens: 2 } }] } });
+        anterior = llm.usarProveedor(llm.crearProveedorGrabador(base, dir));
+        await llm.crearMensaje({ feature: 'informe_mensual', params: PARAMS });
+
+        llm.usarProveedor(llm.crearProveedorFake({ dir }));
+        const r = await llm.crearMensaje({ feature: 'informe_mensual', params: PARAMS });
+        expect(llm.textoDe(r)).toBe('{"ok":true}');
+        expect(r.usage.input_tokens).toBe(9);
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+});
+
+describe('reintentos y timeout', () => {
+    test('529 overloaded → reintenta y responde', async () => {
+        const fake = usarFake({ ocr_albaran: [{ error: { status: 529, message: 'Overloaded' } }, 'ok'] });
+        const r = await llm.crearMensaje({ feature: 'ocr_albaran', restauranteId: 3, params: PARAMS, backoffMs: 0 });
+        expect(llm.textoDe(r)).toBe('ok');
+        expect(fake.llamadas).toHaveLength(2);
+        expect(llm.resumenUso().total).toMatchObject({ llamadas: 1, errores: 0 });
+    });
+
+    test('400 → no reintenta y queda como error', async () => {
+        const fake = usarFake({ ocr_albaran: [{ error: { status: 400, message: 'bad' } }, 'no debería llegar'] });
+        await expect(llm.crearMensaje({ feature: 'ocr_albaran', restauranteId: 3, params: PARAMS, backoffMs: 0 }))
+            .rejects.toMatchObject({ status: 400 });
+        expect(fake.llamadas).toHaveLength(1);
+        expect(llm.resumenUso().restaurantes[0].features.ocr_albaran).toMatchObject({ llamadas: 1, errores: 1 });
+    });
+
+    test('sin respuesta en el plazo → timeout, reintentado', async () => {
+        const colgada = () => new Promise(() => {});
+        const fake = usarFake({ chat: [colgada, colgada] });
+        await expect(llm.crearMensaje({ feature: 'chat', params: PARAMS, timeoutMs: 10, reintentos: 1, backoffMs: 0 }))
+            .rejects.toMatchObject({ code: 'LLM_TIMEOUT' });
+        expect(fake.llamadas).toHaveLength(2);
+    });
+});
+
+describe('contabilidad', () => {
+    test('coste por familia de modelo (precio por millón de tokens)', () => {
+        const millon = { input: 1e6, output: 1e6, cache_read: 0, cache_creation: 0 };
+        expect(llm.costeUsd('claude-sonnet-4-6', millon)).toBe(18);
+        expect(llm.costeUsd('claude-haiku-4-5', millon)).toBe(6);
+        expect(llm.costeUsd('otro-modelo', millon)).toBe(18);
+    });
+
+    test('por restaurante y feature, el que más gasta primero', async () => {
+        usarFake({
+            chat: [{ content: 'a', usage: { input_tokens: 1000, output_tokens: 100, cache_read_input_tokens: 500 } }],
+            coach: [{ content: 'b', usage: { input_tokens: 10, output_tokens: 1 } }]
+        });
+        await llm.crearMensaje({ feature: 'chat', restauranteId: 4, params: PARAMS });
+        await llm.crearMensaje({ feature: 'coach', restauranteId: 3, params: PARAMS });
+
+        const uso = llm.resumenUso();
+        expect(uso.proveedor).toBe('fake');
+        expect(uso.restaurantes.map(r => r.restaurante_id)).toEqual([4, 3]);
+        expect(uso.restaurantes[0].features.chat).toMatchObject({ input: 1000, output: 100, cache_read: 500, coste_usd: 0.00465 });
+        expect(uso.total).toMatchObject({ llamadas: 2, input: 1010, output: 101 });
+    });
+});
+
+describe('offline con el fake', () => {
+    test('processChat: respuesta y tokens sin red', async () => {
+        usarFake({ chat: [{ content: 'Tu food cost es 31%.', usage: { input_tokens: 1200, output_tokens: 40 } }] });
+        const r = await processChat({ message: '¿Food cost?', pool: poolVacio, restauranteId: 3 });
+        expect(r.text).toBe('Tu food cost es 31%.');
+        expect(r.usage).toMatchObject({ input: 1200, output: 40 });
+        expect(llm.resumenUso().restaurantes[0]).toMatchObject({ restaurante_id: 3, features: { chat: { llamadas: 1 } } });
+    });
+
+    test('processChat con los permisos de sala: sin tools de finanzas, y pedirlas no consulta nada', async () => {
+        const fake = usarFake({
+            chat: [
+                { content: [{ type: 'tool_use', id: 't1', name: 'resumen_pyg', input: { periodo: 'mes' } }] },
+                'Tu rol no tiene acceso al P&L.'
+            ]
+        });
+        const pool = { queries: [], async query(sql) { this.queries.push(sql); return { rows: [] }; } };
+        const r = await processChat({ message: '¿Cuánto gané este mes?', pool, restauranteId: 3, permisos: permisosDeRol('sala') });
+
+        const ofrecidas = fake.llamadas[0].params.tools.map(t => t.name);
+        expect(ofrecidas).toContain('resumen_ventas_periodo');
+        for (const t of ['resumen_pyg', 'obtener_gastos', 'punto_equilibrio', 'resumen_compras_periodo']) expect(ofrecidas).not.toContain(t);
+        expect(fake.llamadas[0].params.system[1].text).toContain('no tiene acceso');
+        expect(r.toolCalls[0]).toMatchObject({ name: 'resumen_pyg', error: 'Tu rol no tiene acceso a resumen_pyg' });
+        expect(pool.queries.filter(sql => !sql.includes('apply_yield_to_stock'))).toHaveLength(0);
+    });
+
+    test('processChat sin permisos (token de API): todas las tools', async () => {
+        const fake = usarFake({ chat: ['ok'] });
+        await processChat({ message: 'hola', pool: poolVacio, restauranteId: 3 });
+        expect(fake.llamadas[0].params.tools).toHaveLength(TOOLS.length + ACTION_TOOLS.length);
+    });
+
+    test('POST /sales/parse-pdf con la respuesta grabada', async () => {
+        const fake = usarFake({
+            ventas_pdf: ['```json\n{"fecha":"2026-10-17","ventas":[{"codigo":"00117","descripcion":"CAÑA","unidades":67,"importe":201.00}]}\n```']
+        });
+        const app = express();
+        app.use(express.json());
+        app.use('/api', salesRoutesFactory(poolVacio));
+
+        const res = await request(app).post('/api/parse-pdf').send({ pdfBase64: 'JVBERi0=', filename: 'z.pdf' });
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ fecha: '2026-10-17', totalVentas: 1, totalImporte: 201 });
+        expect(res.body.ventas[0]).toMatchObject({ receta: 'CAÑA', cantidad: 67 });
+        expect(fake.llamadas[0].params.messages[0].content[0].source.data).toBe('JVBERi0=');
+    });
+});
+
+describe('proveedor anthropic (SDK real, red sustituida)', () => {
+    // Respuesta SSE de /v1/messages con stream: true.
+    function sse(texto, { input = 900, output = 30 } = {}) {
+        const eventos = [
+            ['message_start', { type: 'message_start', message: { id: 'msg_1', type: 'message', role: 'assistant', model: 'claude-test', content: [], stop_reason: null, usage: { input_tokens: input, output_tokens: 0 } } }],
+            ['content_block_start', { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } }],
+            ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: texto } }],
+            ['content_block_stop', { type: 'content_block_stop', index: 0 }],
+            ['message_delta', { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: output } }],
+            ['message_stop', { type: 'message_stop' }]
+        ];
+        return eventos.map(([e, d]) => `event: ${e}\ndata: ${JSON.stringify(d)}\n\n`).join('');
+    }
+
+    function usarAnthropic(respuestas) {
+        const peticiones = [];
+        const fetch = jest.fn(async (url, init) => {
+            peticiones.push(JSON.parse(init.body));
+            const r = respuestas.shift();
+            if (r.status) {
+                return new Response(JSON.stringify({ type: 'error', error: { type: 'invalid_request_error', message: r.message } }),
+                    { status: r.status, headers: { 'content-type': 'application/json' } });
+            }
+            return new Response(r, { status: 200, headers: { 'content-type': 'text/event-stream' } });
+        });
+        anterior = llm.usarProveedor(llm.crearProveedorAnthropic({ apiKey: 'sk-test', fetch }));
+        return peticiones;
+    }
+
+    test('POST /sales/parse-pdf (max_tokens 32000): va en streaming y responde', async () => {
+        const peticiones = usarAnthropic([sse('{"fecha":"2026-10-17","ventas":[{"codigo":"1","descripcion":"CAÑA","unidades":3,"importe":9}]}')]);
+        const app = express();
+        app.use(express.json());
+        app.use('/api', salesRoutesFactory(poolVacio));
+
+        const res = await request(app).post('/api/parse-pdf').send({ pdfBase64: 'JVBERi0=', filename: 'z.pdf' });
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ fecha: '2026-10-17', totalVentas: 1, totalImporte: 9 });
+        expect(peticiones).toHaveLength(1);
+        expect(peticiones[0]).toMatchObject({ max_tokens: 32000, stream: true });
+        expect(llm.resumenUso().restaurantes[0].features.ventas_pdf).toMatchObject({ llamadas: 1, input: 900, output: 30 });
+    });
+
+    test('error 400 de la API: status propagado y sin reintento', async () => {
+        const peticiones = usarAnthropic([{ status: 400, message: 'bad' }, sse('no debería llegar')]);
+        await expect(llm.crearMensaje({ feature: 'ocr_albaran', restauranteId: 3, params: PARAMS, backoffMs: 0 }))
+            .rejects.toMatchObject({ code: 'LLM_API', status: 400 });
+        expect(peticiones).toHaveLength(1);
+    });
+});
@@ -71,7 +71,25 @@ const TENANT_TABLES = [
     'chat_addon_subscriptions',
     'transferencias_stock', // origen/destino, ambos tenants
     'coach_reports', // 2026-06-08 audit
-    'onboarding_progress'
+    'onboarding_progress',
+    'recetas_coste_historico', // 2026-10-18: fotos versionadas del coste de receta
+    'pedidos_recepciones', // 2026-10-18: entregas parciales (albaranes) de un pedido
+    'facturas_proveedor', // 2026-10-18: facturas para el cuadre a tres bandas
+    'informes_suscripciones', // 2026-10-18: informe mensual por email
+    'informes_envios',
+    'webhook_suscripciones', // 2026-10-18: webhooks salientes
+    'webhook_entregas',
+    'permisos_rol', // 2026-10-18: permisos personalizados por rol
+    'lotes_produccion', // 2026-10-18: lotes de la cocina central
+    'chat_threads', // 2026-10-18: hilos persistidos del chat IA
+    'chat_thread_mensajes',
+    'chat_thread_compartidos',
+    'chat_acciones', // 2026-10-18: acciones del chat confirmadas (un uso por token)
+    'ai_usage', // 2026-10-18: consumo de IA por llamada (coste y cuota por plan)
+    'fichaje_terminales', // 2026-10-18: terminales de fichar (token por restaurante)
+    'fichajes', // 2026-10-18: registro de jornada (entrada/salida reales)
+    'ausencias', // 2026-10-18: vacaciones, bajas y permisos del personal
+    'presupuestos' // 2026-10-18: presupuesto mensual por línea del P&L
 ];
 
 // Archivos enteros que están EXENTOS de la regla (justificación arriba).
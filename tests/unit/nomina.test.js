@@ -0,0 +1,208 @@
+/**
+ * Estimación de nómina del mes (utils/nomina, services/nominaService y
+ * GET /staff/payroll-estimate).
+ *
+ * Lo que blindan estos tests:
+ *   1. Con salario en la ficha: pagas prorrateadas + SS de empresa sobre esa
+ *      base; el permiso no retribuido descuenta por días naturales.
+ *   2. Sin salario: horas × coste_hora, sin SS salvo que la ficha la traiga.
+ *      Horas fichadas antes que planificadas.
+ *   3. balance/mes con `personal` añade el coste sin tocar `ganancia`.
+ *   4. El salario de la ficha no sale en /empleados sin finance:read ni en
+ *      audit_log; null explícito en el PUT lo vacía.
+ *   5. Quien se da de baja a mitad de mes cobra hasta su fecha_baja; quien
+ *      entra a mitad de mes, desde su fecha_alta; quien entra después, nada.
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+let mockPermisos = [];
+jest.mock('../../src/middleware/auth', () => ({
+    authMiddleware: (req, _res, next) => {
+        req.restauranteId = 3;
+        req.user = { userId: 7 };
+        next();
+    },
+    requirePermission: () => (req, _res, next) => {
+        req.permisos = mockPermisos;
+        next();
+    }
+}));
+jest.mock('../../src/utils/auditLog', () => ({ logChange: jest.fn() }));
+
+const { logChange } = require('../../src/utils/auditLog');
+const { estimarEmpleado, estimarNominaMes } = require('../../src/utils/nomina');
+const { balanceMes } = require('../../src/services/finanzasMesService');
+const staffRoutesFactory = require('../../src/routes/staff.routes');
+
+const ficha = (extra = {}) => ({ id: 1, nombre: 'Lucía', puesto: 'Camarera', coste_hora: '10', ...extra });
+
+function makePool(respuestas = []) {
+    const queries = [];
+    return {
+        queries,
+        async query(sql, params) {
+            queries.push({ sql, params });
+            const r = respuestas.find(([fragmento]) => sql.includes(fragmento));
+            return { rows: r ? r[1] : [] };
+        }
+    };
+}
+
+function app(pool) {
+    const a = express();
+    a.use(express.json());
+    a.use('/api', staffRoutesFactory(pool));
+    return a;
+}
+
+beforeEach(() => { mockPermisos = []; logChange.mockClear(); });
+
+describe('estimarEmpleado', () => {
+    test('salario: 14 pagas prorrateadas y 32% de SS por defecto', () => {
+        expect(estimarEmpleado({ empleado: ficha({ salario_bruto_mensual: '1500', num_pagas: 14 }), horas: 160, diasMes: 30 }))
+            .toMatchObject({ calculo: 'salario', prorrata_pagas: 250, bruto: 1750, ss_empresa_pct: 32, ss_empresa: 560, coste_total: 2310 });
+    });
+
+    test('permiso no retribuido: descuenta los días naturales del mes', () => {
+        const r = estimarEmpleado({ empleado: ficha({ salario_bruto_mensual: 1500, num_pagas: 14, ss_empresa_pct: 30 }), horas: 0, diasNoRetribuidos: 3, diasMes: 30 });
+        expect(r).toMatchObject({ dias_no_retribuidos: 3, bruto: 1575, ss_empresa: 472.5, coste_total: 2047.5 });
+    });
+
+    test('sin salario: horas × coste_hora; SS solo si la ficha la trae', () => {
+        expect(estimarEmpleado({ empleado: ficha(), horas: 100, diasMes: 30 }))
+            .toMatchObject({ calculo: 'coste_hora', bruto: 1000, ss_empresa: 0, coste_total: 1000 });
+        expect(estimarEmpleado({ empleado: ficha({ ss_empresa_pct: 30 }), horas: 100, diasMes: 30 }).coste_total).toBe(1300);
+    });
+
+    test("metodo 'horas': el cálculo ingenuo aunque haya salario", () => {
+        expect(estimarEmpleado({ empleado: ficha({ salario_bruto_mensual: 1500 }), horas: 100, diasMes: 30, metodo: 'horas' }))
+            .toMatchObject({ calculo: 'coste_hora', coste_total: 1000 });
+    });
+});
+
+describe('estimarNominaMes', () => {
+    test('horas fichadas antes que planificadas; personal extra en el total', () => {
+        const r = estimarNominaMes({
+            mes: '2026-11',
+            empleados: [ficha(), ficha({ id: 2, nombre: 'Pau' })],
+            turnos: [
+                { empleado_id: 1, hora_inicio: '10:00', hora_fin: '18:00' },
+                { empleado_id: 2, hora_inicio: '20:00', hora_fin: '00:30' }
+            ],
+            fichajes: [{ empleado_id: 1, horas: '7.5' }],
+            personalExtra: 120
+        });
+        expect(r.empleados.map(e => [e.horas, e.fuente_horas, e.coste_total])).toEqual([[7.5, 'fichajes', 75], [4.5, 'horarios', 45]]);
+        expect(r.total).toEqual({ bruto: 120, ss_empresa: 0, personal_extra: 120, coste_total: 240 });
+    });
+
+    test('permiso no retribuido aprobado que empieza el mes anterior: solo sus días del mes', () => {
+        const r = estimarNominaMes({
+            mes: '2026-11',
+            empleados: [ficha({ salario_bruto_mensual: 1200, num_pagas: 12, ss_empresa_pct: 0 })],
+            ausencias: [{ empleado_id: 1, tipo: 'permiso_no_retribuido', estado: 'aprobada', fecha_inicio: '2026-10-25', fecha_fin: '2026-11-06' }]
+        });
+        expect(r.empleados[0]).toMatchObject({ dias_no_retribuidos: 6, bruto: 960 });
+    });
+
+    test('baja a mitad de mes: cobra hasta su fecha_baja; baja de un mes anterior, nada', () => {
+        const salario = { salario_bruto_mensual: 1200, num_pagas: 12, ss_empresa_pct: 0 };
+        const r = estimarNominaMes({
+            mes: '2026-11',
+            empleados: [ficha({ ...salario, fecha_baja: '2026-11-10' }), ficha({ id: 2, ...salario, fecha_baja: '2026-10-31' })]
+        });
+        expect(r.empleados.map(e => [e.dias_no_retribuidos, e.bruto])).toEqual([[20, 400], [30, 0]]);
+    });
+
+    test('alta a mitad de mes: cobra desde su fecha_alta; alta y baja en el mismo mes, solo esos días', () => {
+        const salario = { salario_bruto_mensual: 1200, num_pagas: 12, ss_empresa_pct: 0 };
+        const r = estimarNominaMes({
+            mes: '2026-11',
+            empleados: [
+                ficha({ ...salario, fecha_alta: '2026-11-21' }),
+                ficha({ id: 2, ...salario, fecha_alta: '2026-11-06', fecha_baja: '2026-11-15' }),
+                ficha({ id: 3, ...salario, fecha_alta: '2026-12-01' })
+            ]
+        });
+        expect(r.empleados.map(e => [e.dias_no_retribuidos, e.bruto])).toEqual([[20, 400], [20, 400], [30, 0]]);
+    });
+});
+
+describe('rutas', () => {
+    test('GET /staff/payroll-estimate: mes mal formado → 400; bien → estimación del restaurante', async () => {
+        expect((await request(app(makePool())).get('/api/staff/payroll-estimate?mes=2026-13')).status).toBe(400);
+        const pool = makePool([['FROM empleados', [ficha({ salario_bruto_mensual: 1500 })]]]);
+        const res = await request(app(pool)).get('/api/staff/payroll-estimate?mes=2026-11');
+        expect(res.status).toBe(200);
+        expect(res.body.total.coste_total).toBe(2310);
+        expect(pool.queries.every(q => q.params[0] === 3)).toBe(true);
+        const empleados = pool.queries.find(q => q.sql.includes('FROM empleados'));
+        expect(empleados.sql).toContain('activo = true OR fecha_baja >= $2::date');
+        expect(empleados.sql).toContain('fecha_alta IS NULL OR fecha_alta <= $3::date');
+        expect(empleados.params).toEqual([3, '2026-11-01', '2026-11-30']);
+    });
+
+    test('balance/mes con personal: coste_personal y ganancia_tras_personal; ganancia intacta', async () => {
+        const pool = makePool([
+            ['COUNT(*) as num_ventas', [{ ingresos: '5000', num_ventas: 10 }]],
+            ['as valor', [{ valor: 0 }]],
+            ['FROM empleados', [ficha({ salario_bruto_mensual: 1500 })]]
+        ]);
+        const sin = await balanceMes(pool, 3, { mes: 11, ano: 2026 });
+        expect(sin.coste_personal).toBeUndefined();
+        const con = await balanceMes(pool, 3, { mes: 11, ano: 2026, personal: 'nomina' });
+        expect(con.ganancia).toBe(sin.ganancia);
+        expect(con.coste_personal).toMatchObject({ metodo: 'nomina', coste_total: 2310 });
+        expect(con.ganancia_tras_personal).toBe(5000 - 2310);
+    });
+
+    test('GET /empleados: el salario solo con finance:read', async () => {
+        const pool = makePool([['FROM empleados', [ficha({ salario_bruto_mensual: '1500', num_pagas: 14, ss_empresa_pct: null })]]]);
+        mockPermisos = ['staff:read'];
+        expect((await request(app(pool)).get('/api/empleados')).body[0].salario_bruto_mensual).toBeUndefined();
+        mockPermisos = ['staff:read', 'finance:read'];
+        expect((await request(app(pool)).get('/api/empleados')).body[0].salario_bruto_mensual).toBe('1500');
+    });
+
+    test('POST/PUT /empleados: audit_log sin salario, solo qué campos de nómina se tocaron', async () => {
+        const pool = makePool([['empleados', [ficha({ salario_bruto_mensual: '1500', num_pagas: 14, ss_empresa_pct: '30' })]]]);
+        expect((await request(app(pool)).post('/api/empleados').send({ nombre: 'Lucía', salario_bruto_mensual: 1500 })).status).toBe(201);
+        expect((await request(app(pool)).put('/api/empleados/1').send({ nombre: 'Lucía' })).status).toBe(200);
+        const [alta, cambio] = logChange.mock.calls.map(([, c]) => c.datosDespues);
+        for (const d of [alta, cambio]) {
+            expect(d).not.toHaveProperty('salario_bruto_mensual');
+            expect(d).not.toHaveProperty('ss_empresa_pct');
+        }
+        expect(alta.nomina_modificada).toEqual(['salario_bruto_mensual']);
+        expect(cambio.nomina_modificada).toBeUndefined();
+    });
+
+    test('PUT /empleados/:id: null vacía el salario; sin el campo se conserva', async () => {
+        const pool = makePool([['UPDATE empleados', [ficha()]]]);
+        await request(app(pool)).put('/api/empleados/1').send({ salario_bruto_mensual: null });
+        await request(app(pool)).put('/api/empleados/1').send({ nombre: 'Lucía' });
+        const [vaciar, conservar] = pool.queries.map(q => q.params.slice(15, 20));
+        expect(vaciar).toEqual([null, undefined, null, true, false]);
+        expect(conservar).toEqual([null, undefined, null, false, false]);
+        expect(pool.queries[0].sql).toContain('CASE WHEN $19::boolean THEN $16::numeric ELSE salario_bruto_mensual END');
+    });
+
+    test('fecha_alta: mal formada → 400; en el PUT se guarda y sale como YYYY-MM-DD', async () => {
+        const mal = await request(app(makePool())).post('/api/empleados').send({ nombre: 'Lucía', fecha_alta: '2026-02-30' });
+        expect(mal.status).toBe(400);
+        const pool = makePool([['UPDATE empleados', [ficha({ fecha_alta: new Date(2026, 10, 6) })]]]);
+        const res = await request(app(pool)).put('/api/empleados/1').send({ fecha_alta: '2026-11-06' });
+        expect(res.body.fecha_alta).toBe('2026-11-06');
+        expect(pool.queries[0].params[20]).toBe('2026-11-06');
+        expect(pool.queries[0].sql).toContain('fecha_alta = COALESCE($21::date, fecha_alta)');
+    });
+
+    test('DELETE /empleados/:id: fecha_baja para la nómina del mes', async () => {
+        const pool = makePool([['UPDATE empleados', [{ fecha_baja: '2026-11-10' }]]]);
+        expect((await request(app(pool)).delete('/api/empleados/1')).status).toBe(200);
+        expect(pool.queries[0].sql).toContain('fecha_baja = COALESCE(fecha_baja,');
+        expect(logChange.mock.calls[0][1].datosDespues).toEqual({ activo: false, fecha_baja: '2026-11-10' });
+    });
+});
@@ -0,0 +1,86 @@
+/**
+ * Unit tests: entregas parciales de pedidos (aplicarRecepcionPedido +
+ * computeBackorders).
+ *
+ * Bug class que previenen:
+ *   - Una segunda entrega que PISA lo recibido en la primera en vez de sumar.
+ *   - Un pedido recibido de una vez por el flujo antiguo (sin cantidadRecibida)
+ *     que aparece con todo "pendiente" en la línea de tiempo.
+ *   - Recepciones contra líneas 'ajuste' (envases/bonificaciones), que no son
+ *     mercancía.
+ *   - Recibir más de lo pedido sin que nadie lo confirme.
+ */
+
+const { aplicarRecepcionPedido, computeBackorders } = require('../../src/utils/businessHelpers');
+
+const PEDIDO = [
+    { ingredienteId: 10, nombre: 'Tomate', cantidad: 20, precioUnitario: 1.5 },
+    { ingredienteId: 11, nombre: 'Aceite', cantidad: 6, precioReal: 8 },
+    { tipo: 'ajuste', concepto: 'Envases', importe: -3 },
+    { ingredienteId: 10, nombre: 'Tomate', cantidad: 2, precioUnitario: 1.5, personal: true },
+];
+
+describe('aplicarRecepcionPedido', () => {
+    test('dos entregas se acumulan en cantidadRecibida', () => {
+        const r1 = aplicarRecepcionPedido(PEDIDO, [{ linea: 0, cantidad: 12 }]);
+        const r2 = aplicarRecepcionPedido(r1.ingredientes, [{ linea: 0, cantidad: 8, precioReal: 1.6 }]);
+        expect(r2.ingredientes[0].cantidadRecibida).toBe(20);
+        expect(r2.aplicadas).toEqual([{ linea: 0, ingredienteId: 10, cantidad: 8, precioReal: 1.6, personal: false }]);
+    });
+
+    test('no muta el array de entrada', () => {
+        aplicarRecepcionPedido(PEDIDO, [{ linea: 1, cantidad: 3 }]);
+        expect(PEDIDO[1].cantidadRecibida).toBeUndefined();
+    });
+
+    test('sin precio en la entrega usa el de la línea del pedido', () => {
+        const r = aplicarRecepcionPedido(PEDIDO, [{ linea: 0, cantidad: 1 }, { linea: 1, cantidad: 1 }]);
+        expect(r.aplicadas.map(a => a.precioReal)).toEqual([1.5, 8]);
+    });
+
+    test('por ingredienteId resuelve la primera línea con pendiente', () => {
+        const completa = PEDIDO.map((it, i) => (i === 0 ? { ...it, cantidadRecibida: 20 } : it));
+        const r = aplicarRecepcionPedido(completa, [{ ingredienteId: 10, cantidad: 1 }]);
+        expect(r.aplicadas[0]).toMatchObject({ linea: 3, personal: true });
+    });
+
+    test('rechaza línea ajuste, línea inexistente y cantidad ≤ 0', () => {
+        expect(aplicarRecepcionPedido(PEDIDO, [{ linea: 2, cantidad: 1 }]).error).toMatch(/no encontrada/);
+        expect(aplicarRecepcionPedido(PEDIDO, [{ linea: 9, cantidad: 1 }]).error).toMatch(/no encontrada/);
+        expect(aplicarRecepcionPedido(PEDIDO, [{ linea: 0, cantidad: 0 }]).error).toMatch(/cantidad/);
+    });
+
+    test('más de lo pedido (sumando entregas) → exceso, salvo confirmación explícita', () => {
+        const r1 = aplicarRecepcionPedido(PEDIDO, [{ linea: 0, cantidad: 15 }]);
+        const r2 = aplicarRecepcionPedido(r1.ingredientes, [{ linea: 0, cantidad: 6 }]);
+        expect(r2.exceso).toEqual({ linea: 0, ingredienteId: 10, pedida: 20, recibida: 21 });
+        expect(r2.ingredientes).toBeUndefined();
+        const r3 = aplicarRecepcionPedido(r1.ingredientes, [{ linea: 0, cantidad: 6 }], { permitirExceso: true });
+        expect(r3.ingredientes[0].cantidadRecibida).toBe(21);
+        // Por ingredienteId con todo servido: solo entra si se confirma.
+        const servido = PEDIDO.map(it => (it.ingredienteId === 11 ? { ...it, cantidadRecibida: 6 } : it));
+        expect(aplicarRecepcionPedido(servido, [{ ingredienteId: 11, cantidad: 1 }]).error).toMatch(/no encontrada/);
+        expect(aplicarRecepcionPedido(servido, [{ ingredienteId: 11, cantidad: 1 }], { permitirExceso: true }).aplicadas[0].linea).toBe(1);
+    });
+});
+
+describe('computeBackorders', () => {
+    test('parcial: lo que falta queda pendiente; ajustes fuera', () => {
+        const { ingredientes } = aplicarRecepcionPedido(PEDIDO, [{ linea: 0, cantidad: 12 }]);
+        const lineas = computeBackorders(ingredientes, 'parcial');
+        expect(lineas).toHaveLength(3);
+        expect(lineas[0]).toMatchObject({ linea: 0, pedida: 20, recibida: 12, pendiente: 8, cancelada: 0 });
+        expect(lineas[1]).toMatchObject({ linea: 1, recibida: 0, pendiente: 6 });
+    });
+
+    test('recibido (cerrado con faltas): lo no servido pasa a cancelada', () => {
+        const { ingredientes } = aplicarRecepcionPedido(PEDIDO, [{ linea: 0, cantidad: 12 }]);
+        const l0 = computeBackorders(ingredientes, 'recibido')[0];
+        expect(l0).toMatchObject({ pendiente: 0, cancelada: 8 });
+    });
+
+    test('recibido por el flujo antiguo sin cantidadRecibida → servido entero', () => {
+        const lineas = computeBackorders(PEDIDO, 'recibido');
+        expect(lineas.every(l => l.recibida === l.pedida && l.cancelada === 0)).toBe(true);
+    });
+});
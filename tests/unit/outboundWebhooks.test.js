@@ -0,0 +1,200 @@
+/**
+ * Unit tests: webhooks salientes (firma, reintentos con backoff, reenvío).
+ *
+ * Bug class que previenen:
+ *   - Una firma que el receptor no puede verificar con standardwebhooks.
+ *   - Un fallo que no se reintenta, o que se reintenta para siempre.
+ *   - Una URL que hace que el servidor llame a su propia red interna, también
+ *     por un nombre que resuelve a una IP interna (y cuya respuesta se leería
+ *     luego en el listado de entregas).
+ *   - Un evento emitido a suscripciones de otro restaurante o no suscritas.
+ *   - Un fallo de webhook rompiendo la operación que lo disparó.
+ */
+
+const { Webhook } = require('standardwebhooks');
+const {
+    EVENTOS, BACKOFF_SEGUNDOS, MAX_INTENTOS, generarSecreto, enmascararSecreto, cabecerasFirmadas,
+    siguienteEspera, validarUrlDestino, sanearEventos, intentarEntrega, emitirEvento, reenviarEntrega
+} = require('../../src/services/outboundWebhookService');
+
+const SECRETO = generarSecreto();
+const FILA = { id: 5, msg_id: 'msg_abc', payload: { type: 'sale.created', data: { id: 1 } }, intentos: 0,
+    url: 'https://n8n.example.com/hook', secreto: SECRETO, activo: true, deleted_at: null };
+
+function mockPool(handlers = {}) {
+    return {
+        query: jest.fn(async (sql) => {
+            for (const [frag, res] of Object.entries(handlers)) {
+                if (sql.includes(frag)) return typeof res === 'function' ? res(sql) : res;
+            }
+            return { rows: [], rowCount: 0 };
+        })
+    };
+}
+
+const respuesta = (status, texto = 'ok') => ({ status, text: async () => texto });
+/** dns.promises.lookup falso: n8n.example.com resuelve a una IP pública. */
+const dnsPublico = jest.fn(async () => [{ address: '93.184.216.34', family: 4 }]);
+const updateFinal = (pool) => pool.query.mock.calls.find(([sql]) => sql.includes('SET estado = $3'));
+
+describe('firma Standard Webhooks', () => {
+    test('el receptor la verifica con su secreto (y no con otro)', () => {
+        const cuerpo = JSON.stringify({ type: 'sale.created', data: { id: 1 } });
+        const h = cabecerasFirmadas(SECRETO, 'msg_1', cuerpo);
+        expect(h['webhook-id']).toBe('msg_1');
+        expect(new Webhook(SECRETO).verify(cuerpo, h)).toEqual({ type: 'sale.created', data: { id: 1 } });
+        expect(() => new Webhook(generarSecreto()).verify(cuerpo, h)).toThrow();
+        expect(() => new Webhook(SECRETO).verify(cuerpo + ' ', h)).toThrow();
+    });
+
+    test('secreto whsec_ y enmascarado para listados', () => {
+        expect(SECRETO).toMatch(/^whsec_[A-Za-z0-9+/=]{32}$/);
+        expect(enmascararSecreto(SECRETO)).toBe(`whsec_…${SECRETO.slice(-4)}`);
+    });
+});
+
+describe('backoff', () => {
+    test('espera creciente y se agota tras MAX_INTENTOS', () => {
+        expect(siguienteEspera(1)).toBe(BACKOFF_SEGUNDOS[0]);
+        expect(siguienteEspera(MAX_INTENTOS - 1)).toBe(BACKOFF_SEGUNDOS[BACKOFF_SEGUNDOS.length - 1]);
+        expect(siguienteEspera(MAX_INTENTOS)).toBeNull();
+        for (let i = 1; i < BACKOFF_SEGUNDOS.length; i++) {
+            expect(BACKOFF_SEGUNDOS[i]).toBeGreaterThan(BACKOFF_SEGUNDOS[i - 1]);
+        }
+    });
+});
+
+describe('validarUrlDestino / sanearEventos', () => {
+    test('https pública sí; red interna, credenciales y basura no', () => {
+        expect(validarUrlDestino('https://n8n.example.com/webhook/x')).toEqual({ url: 'https://n8n.example.com/webhook/x' });
+        for (const url of ['https://localhost/x', 'https://127.0.0.1/x', 'https://10.0.0.4/x', 'https://192.168.1.10/x',
+            'https://172.20.0.1/x', 'https://169.254.169.254/latest', 'https://[::1]/x', 'https://db.internal/x']) {
+            expect(validarUrlDestino(url).error).toMatch(/red interna/);
+        }
+        expect(validarUrlDestino('https://u:p@example.com').error).toMatch(/credenciales/);
+        expect(validarUrlDestino('ftp://example.com').error).toMatch(/https/);
+        expect(validarUrlDestino('no es url').error).toBeDefined();
+    });
+
+    test('http solo fuera de producción', () => {
+        const prev = process.env.NODE_ENV;
+        process.env.NODE_ENV = 'production';
+        expect(validarUrlDestino('http://example.com/x').error).toMatch(/https/);
+        process.env.NODE_ENV = 'development';
+        expect(validarUrlDestino('http://example.com/x').url).toBe('http://example.com/x');
+        process.env.NODE_ENV = prev;
+    });
+
+    test('eventos conocidos, sin duplicados', () => {
+        expect(sanearEventos(['sale.created', 'sale.created'])).toEqual({ eventos: ['sale.created'] });
+        expect(sanearEventos(['sale.deleted']).error).toMatch(/desconocido/);
+        expect(sanearEventos([]).error).toBeDefined();
+        expect(EVENTOS).toEqual(expect.arrayContaining(['order.received', 'purchase.approved', 'merma.created', 'transfer.approved', 'alert.raised']));
+    });
+});
+
+describe('intentarEntrega', () => {
+    test('2xx → entregado, con cabeceras firmadas y body exacto', async () => {
+        const pool = mockPool({ 'FROM webhook_suscripciones s': { rows: [FILA] } });
+        const fetchImpl = jest.fn(async () => respuesta(200));
+        const r = await intentarEntrega(pool, 5, 3, { fetchImpl, lookupImpl: dnsPublico });
+
+        expect(r).toEqual({ estado: 'entregado', status: 200, error: null });
+        const [url, init] = fetchImpl.mock.calls[0];
+        expect(url).toBe(FILA.url);
+        expect(init.redirect).toBe('manual');
+        expect(new Webhook(SECRETO).verify(init.body, init.headers)).toEqual(FILA.payload);
+        expect(updateFinal(pool)[1].slice(0, 5)).toEqual([5, 3, 'entregado', 1, 200]);
+        // reclamo acotado al tenant
+        expect(pool.query.mock.calls[0][1]).toEqual([5, 3]);
+    });
+
+    test('error → pendiente con backoff; último intento → fallido', async () => {
+        let pool = mockPool({ 'FROM webhook_suscripciones s': { rows: [FILA] } });
+        let r = await intentarEntrega(pool, 5, 3, { lookupImpl: dnsPublico, fetchImpl: async () => respuesta(500, 'boom') });
+        expect(r).toEqual({ estado: 'pendiente', status: 500, error: 'HTTP 500' });
+        expect(updateFinal(pool)[1][7]).toBe(BACKOFF_SEGUNDOS[0]);
+
+        pool = mockPool({ 'FROM webhook_suscripciones s': { rows: [{ ...FILA, intentos: MAX_INTENTOS - 1 }] } });
+        r = await intentarEntrega(pool, 5, 3, { lookupImpl: dnsPublico, fetchImpl: async () => { throw new Error('ECONNREFUSED'); } });
+        expect(r).toEqual({ estado: 'fallido', status: null, error: 'ECONNREFUSED' });
+        expect(updateFinal(pool)[1][7]).toBeNull();
+    });
+
+    test('nombre que resuelve a una IP interna → fallido sin enviar ni reintentar', async () => {
+        for (const address of ['169.254.169.254', '10.0.0.7', '::1']) {
+            const pool = mockPool({ 'FROM webhook_suscripciones s': { rows: [FILA] } });
+            const fetchImpl = jest.fn();
+            const lookupImpl = jest.fn(async () => [{ address: '93.184.216.34', family: 4 }, { address, family: address.includes(':') ? 6 : 4 }]);
+            const r = await intentarEntrega(pool, 5, 3, { fetchImpl, lookupImpl });
+            expect(r).toEqual({ estado: 'fallido', status: null, error: 'El destino resuelve a una red interna' });
+            expect(lookupImpl).toHaveBeenCalledWith('n8n.example.com', { all: true, verbatim: true });
+            expect(fetchImpl).not.toHaveBeenCalled();
+            expect(pool.query.mock.calls.some(([sql]) => sql.includes('respuesta = $7'))).toBe(false);
+        }
+    });
+
+    test('fallo de DNS → se reintenta como un error de red', async () => {
+        const pool = mockPool({ 'FROM webhook_suscripciones s': { rows: [FILA] } });
+        const lookupImpl = async () => { throw new Error('getaddrinfo ENOTFOUND n8n.example.com'); };
+        const r = await intentarEntrega(pool, 5, 3, { fetchImpl: jest.fn(), lookupImpl });
+        expect(r).toEqual({ estado: 'pendiente', status: null, error: 'getaddrinfo ENOTFOUND n8n.example.com' });
+    });
+
+    test('ya reclamada por otro proceso → no envía', async () => {
+        const pool = mockPool();
+        const fetchImpl = jest.fn();
+        expect(await intentarEntrega(pool, 5, 3, { fetchImpl, lookupImpl: dnsPublico })).toBeNull();
+        expect(fetchImpl).not.toHaveBeenCalled();
+    });
+
+    test('suscripción desactivada → fallido sin enviar', async () => {
+        const pool = mockPool({ 'FROM webhook_suscripciones s': { rows: [{ ...FILA, activo: false }] } });
+        const fetchImpl = jest.fn();
+        expect((await intentarEntrega(pool, 5, 3, { fetchImpl, lookupImpl: dnsPublico })).estado).toBe('fallido');
+        expect(fetchImpl).not.toHaveBeenCalled();
+    });
+});
+
+describe('emitirEvento', () => {
+    test('encola solo para suscripciones del restaurante al evento e intenta ya', async () => {
+        const pool = mockPool({
+            'INSERT INTO webhook_entregas': { rows: [{ id: 5 }] },
+            'FROM webhook_suscripciones s\n             WHERE e.id': { rows: [FILA] }
+        });
+        const fetchImpl = jest.fn(async () => respuesta(204, ''));
+        expect(await emitirEvento(pool, 3, 'sale.created', { venta: { id: 1 } }, { fetchImpl, lookupImpl: dnsPublico })).toBe(1);
+
+        const [sql, params] = pool.query.mock.calls[0];
+        expect(sql).toMatch(/s\.eventos \? \$2/);
+        expect(params[0]).toBe(3);
+        expect(params[1]).toBe('sale.created');
+        expect(JSON.parse(params[2])).toMatchObject({ type: 'sale.created', data: { venta: { id: 1 } } });
+        expect(fetchImpl).toHaveBeenCalledTimes(1);
+    });
+
+    test('evento desconocido o fallo de BD: 0, sin lanzar', async () => {
+        const pool = { query: jest.fn(async () => { throw new Error('sin tabla'); }) };
+        await expect(emitirEvento(pool, 3, 'sale.created', {})).resolves.toBe(0);
+        await expect(emitirEvento(pool, 3, 'nope', {})).resolves.toBe(0);
+        expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('reenviarEntrega', () => {
+    test('copia con el mismo webhook-id, acotada al tenant', async () => {
+        const pool = mockPool({
+            'reenvio_de)': { rows: [{ id: 9 }] },
+            'FROM webhook_entregas WHERE id = $1': { rows: [{ id: 9, reenvio_de: 5, estado: 'entregado' }] }
+        });
+        const r = await reenviarEntrega(pool, 3, 5, { lookupImpl: dnsPublico, fetchImpl: async () => respuesta(200) });
+        expect(r).toEqual({ id: 9, reenvio_de: 5, estado: 'entregado' });
+        const [sql, params] = pool.query.mock.calls[0];
+        expect(sql).toMatch(/e\.msg_id, e\.payload, e\.id/);
+        expect(params).toEqual([5, 3]);
+    });
+
+    test('entrega inexistente (u otro tenant) → null', async () => {
+        expect(await reenviarEntrega(mockPool(), 3, 5)).toBeNull();
+    });
+});
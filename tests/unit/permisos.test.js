@@ -0,0 +1,213 @@
+/**
+ * Unit tests: roles con nombre y permisos por restaurante.
+ *
+ * Bug class que previenen:
+ *   - Un camarero (sala) viendo el P&L, o cocina borrando pedidos.
+ *   - El rol 'usuario' de siempre perdiendo (o ganando) permisos sin querer.
+ *   - Una personalización con un permiso inventado guardada en silencio.
+ *   - Un rol degradado que conserva permisos hasta que caduca su token.
+ *   - Un admin degradado que sigue pasando requireAdmin con su JWT antiguo.
+ *   - Cocina o sala sin asistente IA por colgarlo de finance:read.
+ *   - Rutas de lectura que se saltan el permiso de su pantalla (búsqueda de
+ *     compras para sala) o piden el de escritura (transferencias).
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'x'.repeat(40);
+
+const express = require('express');
+const request = require('supertest');
+
+// authMiddleware sin JWT: el usuario lo pone `mockUsuario`; requirePermission es el de verdad.
+let mockUsuario = null;
+jest.mock('../../src/middleware/auth', () => ({
+    ...jest.requireActual('../../src/middleware/auth'),
+    authMiddleware: (req, _res, next) => {
+        req.user = mockUsuario.user;
+        req.restauranteId = mockUsuario.restauranteId;
+        next();
+    }
+}));
+
+const { requirePermission, requireAdmin } = require('../../src/middleware/auth');
+const {
+    PERMISOS, PERMISOS_POR_ROL, permisosDeRol, matrizPermisos, sanearPermisos
+} = require('../../src/utils/permisos');
+
+function mockPool(handlers = {}) {
+    return {
+        query: jest.fn(async (sql) => {
+            for (const [frag, res] of Object.entries(handlers)) {
+                if (sql.includes(frag)) return typeof res === 'function' ? res(sql) : res;
+            }
+            return { rows: [], rowCount: 0 };
+        })
+    };
+}
+
+let rid = 100;
+async function pedir(permiso, { pool, user }) {
+    const req = { user: { userId: 5, email: 'a@b.c', ...user }, restauranteId: ++rid, originalUrl: '/api/x', app: { locals: { pool } } };
+    const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+    const next = jest.fn();
+    await requirePermission(permiso)(req, res, next);
+    return { req, res, next, status: res.status.mock.calls[0]?.[0] ?? null };
+}
+
+describe('utils/permisos', () => {
+    test('sala no ve finanzas; cocina no borra pedidos; contable sí ve finanzas', () => {
+        expect(permisosDeRol('sala')).not.toContain('finance:read');
+        expect(permisosDeRol('sala')).toContain('sales:write');
+        expect(permisosDeRol('cocina')).toContain('orders:write');
+        expect(permisosDeRol('cocina')).not.toContain('orders:delete');
+        expect(permisosDeRol('contable')).toContain('finance:read');
+        expect(permisosDeRol('contable')).not.toContain('sales:write');
+    });
+
+    test('admin/owner: todo, y no se personalizan; rol desconocido: nada', () => {
+        expect(permisosDeRol('admin', { admin: [] })).toEqual(Object.keys(PERMISOS));
+        expect(permisosDeRol('owner')).toEqual(Object.keys(PERMISOS));
+        expect(permisosDeRol('camarero')).toEqual([]);
+        expect(permisosDeRol(null)).toEqual([]);
+    });
+
+    test("'usuario' conserva lo de antes: todo menos lo que era requireAdmin", () => {
+        const u = PERMISOS_POR_ROL.usuario;
+        expect(u).toEqual(expect.arrayContaining(['finance:read', 'orders:write', 'inventory:write', 'team:read']));
+        for (const p of ['orders:delete', 'sales:delete', 'sales:import', 'purchases:approve', 'transfers:manage']) {
+            expect(u).not.toContain(p);
+        }
+    });
+
+    test('el asistente IA tiene permiso propio y lo tienen todos los roles de serie', () => {
+        for (const rol of ['encargado', 'cocina', 'sala', 'contable', 'usuario']) {
+            expect(permisosDeRol(rol)).toContain('chat:use');
+        }
+    });
+
+    test('todos los permisos de serie existen en el catálogo', () => {
+        for (const lista of Object.values(PERMISOS_POR_ROL)) {
+            for (const p of lista) expect(PERMISOS[p]).toBeDefined();
+        }
+    });
+
+    test('personalización: sustituye la lista del rol y descarta lo que ya no existe', () => {
+        const m = matrizPermisos({ sala: ['sales:read', 'ya:no:existe'] });
+        expect(m.sala).toEqual(['sales:read']);
+        expect(m.cocina).toEqual(PERMISOS_POR_ROL.cocina);
+        expect(Object.keys(m)).toEqual(expect.arrayContaining(['owner', 'admin', 'encargado', 'usuario']));
+    });
+
+    test('sanearPermisos', () => {
+        expect(sanearPermisos(['sales:read', 'sales:read', 'finance:read'])).toEqual({ permisos: ['finance:read', 'sales:read'] });
+        expect(sanearPermisos(['finance:steal']).error).toMatch(/desconocido/);
+        expect(sanearPermisos('sales:read').error).toBeDefined();
+        expect(sanearPermisos([])).toEqual({ permisos: [] });
+    });
+});
+
+describe('requirePermission', () => {
+    test('usa el rol actual de usuario_restaurantes, no el del token', async () => {
+        const pool = mockPool({ 'FROM usuario_restaurantes': { rows: [{ rol: 'sala' }] } });
+        const { next, status, res } = await pedir('finance:read', { pool, user: { rol: 'admin' } });
+        expect(next).not.toHaveBeenCalled();
+        expect(status).toBe(403);
+        expect(res.json.mock.calls[0][0]).toMatchObject({ code: 'FORBIDDEN', permiso: 'finance:read' });
+    });
+
+    test('aplica la personalización del restaurante', async () => {
+        const pool = mockPool({
+            'FROM usuario_restaurantes': { rows: [{ rol: 'sala' }] },
+            'FROM permisos_rol': { rows: [{ rol: 'sala', permisos: ['sales:read', 'finance:read'] }] }
+        });
+        const { next, req } = await pedir('finance:read', { pool, user: { rol: 'sala' } });
+        expect(next).toHaveBeenCalled();
+        expect(req.permisos).toEqual(['sales:read', 'finance:read']);
+    });
+
+    test('sin fila en usuario_restaurantes: rol del token', async () => {
+        const { next } = await pedir('orders:delete', { pool: mockPool(), user: { rol: 'admin' } });
+        expect(next).toHaveBeenCalled();
+    });
+
+    test('token de API: pasa sin consultar (ya lo filtró su scope)', async () => {
+        const pool = mockPool();
+        const { next } = await pedir('finance:read', { pool, user: { rol: 'api', tipo: 'api_token' } });
+        expect(next).toHaveBeenCalled();
+        expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    test('fallo de BD: 500, no pasa', async () => {
+        const pool = { query: jest.fn(async () => { throw new Error('caída'); }) };
+        const { next, status } = await pedir('sales:read', { pool, user: { rol: 'usuario' } });
+        expect(next).not.toHaveBeenCalled();
+        expect(status).toBe(500);
+    });
+});
+
+describe('requireAdmin', () => {
+    async function admin({ pool, user }) {
+        const req = { user: { userId: 5, email: 'a@b.c', ...user }, restauranteId: ++rid, originalUrl: '/api/team', app: { locals: { pool } } };
+        const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+        const next = jest.fn();
+        await requireAdmin(req, res, next);
+        return { next, status: res.status.mock.calls[0]?.[0] ?? null };
+    }
+
+    test('admin degradado en usuario_restaurantes: 403 aunque el token diga admin', async () => {
+        const pool = mockPool({ 'FROM usuario_restaurantes': { rows: [{ rol: 'cocina' }] } });
+        const { next, status } = await admin({ pool, user: { rol: 'admin' } });
+        expect(next).not.toHaveBeenCalled();
+        expect(status).toBe(403);
+    });
+
+    test('ascendido a admin: pasa aunque el token diga usuario', async () => {
+        const pool = mockPool({ 'FROM usuario_restaurantes': { rows: [{ rol: 'admin' }] } });
+        expect((await admin({ pool, user: { rol: 'usuario' } })).next).toHaveBeenCalled();
+    });
+
+    test('owner y token de API pasan; fallo de BD: 500', async () => {
+        const owner = mockPool({ 'FROM usuario_restaurantes': { rows: [{ rol: 'owner' }] } });
+        expect((await admin({ pool: owner, user: { rol: 'owner' } })).next).toHaveBeenCalled();
+        const api = mockPool();
+        expect((await admin({ pool: api, user: { rol: 'api', tipo: 'api_token' } })).next).toHaveBeenCalled();
+        expect(api.query).not.toHaveBeenCalled();
+        const caida = { query: jest.fn(async () => { throw new Error('caída'); }) };
+        expect((await admin({ pool: caida, user: { rol: 'admin' } })).status).toBe(500);
+    });
+});
+
+describe('rutas: el permiso de su pantalla', () => {
+    function app(factory, rol) {
+        const pool = mockPool({
+            'FROM usuario_restaurantes': { rows: [{ rol }] },
+            'AS total_registros': { rows: [{ total_registros: 0, total_importe: '0', total_cantidad: '0' }] }
+        });
+        mockUsuario = { user: { userId: 5, email: 'a@b.c', rol }, restauranteId: ++rid };
+        const a = express();
+        a.locals.pool = pool;
+        a.use('/api', factory(pool));
+        return a;
+    }
+    const searchRoutes = require('../../src/routes/search.routes');
+    const transfersRoutes = require('../../src/routes/transfers.routes');
+    const rango = 'desde=2026-10-01&hasta=2026-11-01';
+
+    test('GET /search: compras pide purchases:read y ventas sales:read', async () => {
+        const sala = app(searchRoutes, 'sala');
+        const compras = await request(sala).get(`/api/search?tipo=compras&${rango}`);
+        expect(compras.status).toBe(403);
+        expect(compras.body.permiso).toBe('purchases:read');
+        expect((await request(sala).get(`/api/search?tipo=ventas&${rango}`)).status).toBe(200);
+
+        const cocina = app(searchRoutes, 'cocina');
+        expect((await request(cocina).get(`/api/search?tipo=ventas&${rango}`)).body.permiso).toBe('sales:read');
+        expect((await request(cocina).get(`/api/search?tipo=otro&${rango}`)).status).toBe(400);
+    });
+
+    test('GET /transfers/incoming|outgoing|history: basta transfers:read', async () => {
+        for (const ruta of ['incoming', 'outgoing', 'history']) {
+            expect((await request(app(transfersRoutes, 'cocina')).get(`/api/transfers/${ruta}`)).status).toBe(200);
+            expect((await request(app(transfersRoutes, 'sala')).get(`/api/transfers/${ruta}`)).status).toBe(403);
+        }
+    });
+});
@@ -0,0 +1,173 @@
+/**
+ * Presupuesto vs. real del P&L (utils/presupuesto, services/presupuestoService
+ * y routes/presupuestos).
+ *
+ * Lo que blindan estos tests:
+ *   1. Desviación en € y % con el signo bien leído: vender más es favorable,
+ *      gastar más no. Una línea sin presupuesto no inventa desviación.
+ *   2. Gastos fijos por categoría, sin distinguir mayúsculas; cada mes con
+ *      los que estaban vigentes entonces.
+ *   3. El acumulado del año suma enero..mes, real y presupuesto.
+ *   4. Copiar del año anterior aplica el incremento y no pisa lo que ya hay
+ *      salvo `sobrescribir`; un incremento inválido es 400, no 0.
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/middleware/auth', () => ({
+    authMiddleware: (req, _res, next) => {
+        req.restauranteId = 3;
+        req.user = { userId: 7 };
+        next();
+    },
+    requirePermission: () => (_req, _res, next) => next()
+}));
+jest.mock('../../src/utils/auditLog', () => ({ logChange: jest.fn() }));
+
+const { compararPresupuesto, leerLineasPresupuesto, aplicarIncremento } = require('../../src/utils/presupuesto');
+const presupuestosRoutesFactory = require('../../src/routes/presupuestos.routes');
+const { realesDelAnio } = require('../../src/services/presupuestoService');
+
+function makePool(respuestas = []) {
+    const queries = [];
+    const responder = async (sql, params) => {
+        queries.push({ sql, params });
+        const r = respuestas.find(([fragmento]) => sql.includes(fragmento));
+        const rows = r ? (typeof r[1] === 'function' ? r[1](params) : r[1]) : [];
+        return { rows, rowCount: rows.length };
+    };
+    return {
+        queries,
+        query: responder,
+        async connect() { return { query: responder, release() { /* noop */ } }; }
+    };
+}
+
+function app(pool) {
+    const a = express();
+    a.use(express.json());
+    a.use('/api', presupuestosRoutesFactory(pool));
+    return a;
+}
+
+const linea = (lineas, nombre, categoria = null) => lineas.find(l => l.linea === nombre && l.categoria === categoria);
+
+describe('compararPresupuesto', () => {
+    test('ingresos por debajo y food cost por encima: los dos desfavorables', () => {
+        const { lineas, resultado } = compararPresupuesto(
+            [
+                { linea: 'ingresos', categoria: '', importe: '10000' },
+                { linea: 'food_cost', categoria: '', importe: '3000' },
+                { linea: 'gastos_fijos', categoria: 'alquiler', importe: '1500' }
+            ],
+            { ingresos: 9000, food_cost: 3300, beverage_cost: 400, personal: 0, gastos_fijos: { Alquiler: 1500 } }
+        );
+        expect(linea(lineas, 'ingresos')).toMatchObject({ presupuesto: 10000, real: 9000, desviacion: -1000, desviacion_pct: -10, favorable: false });
+        expect(linea(lineas, 'food_cost')).toMatchObject({ desviacion: 300, desviacion_pct: 10, favorable: false });
+        expect(linea(lineas, 'gastos_fijos', 'alquiler')).toMatchObject({ presupuesto: 1500, real: 1500, desviacion: 0, favorable: true });
+        expect(linea(lineas, 'beverage_cost')).toMatchObject({ presupuesto: null, real: 400, desviacion: null, favorable: null });
+        // 10000 − 3000 − 1500 = 5500 previsto; 9000 − 3300 − 400 − 1500 = 3800 real.
+        expect(resultado).toMatchObject({ presupuesto: 5500, real: 3800, desviacion: -1700, favorable: false });
+    });
+
+    test('líneas del body: desconocida → error; repetida → la última; incremento redondeado', () => {
+        expect(leerLineasPresupuesto([{ linea: 'marketing', importe: 10 }]).error).toMatch(/linea inválida/);
+        expect(leerLineasPresupuesto([{ linea: 'ingresos', importe: -1 }]).error).toMatch(/importe/);
+        expect(leerLineasPresupuesto([
+            { linea: 'gastos_fijos', categoria: 'Luz ', importe: 100 },
+            { linea: 'gastos_fijos', categoria: 'luz', importe: 120 }
+        ]).lineas).toEqual([{ linea: 'gastos_fijos', categoria: 'luz', importe: 120 }]);
+        expect(aplicarIncremento([{ linea: 'ingresos', categoria: '', importe: '1000.10' }], 3.5))
+            .toEqual([{ linea: 'ingresos', categoria: '', importe: 1035.1 }]);
+    });
+});
+
+describe('GET /balance/budget-vs-actual', () => {
+    test('mes y acumulado del año, con buckets y gastos fijos por categoría', async () => {
+        const pool = makePool([
+            ['FROM presupuestos', [
+                { mes: 1, linea: 'ingresos', categoria: '', importe: '1200' },
+                { mes: 2, linea: 'ingresos', categoria: '', importe: '2000' },
+                { mes: 2, linea: 'gastos_fijos', categoria: 'alquiler', importe: '1000' }
+            ]],
+            ['FROM ventas_diarias_resumen', [
+                { mes: 1, bucket: 'food', ingresos: '1000', cogs: '300' },
+                { mes: 2, bucket: 'food', ingresos: '2000', cogs: '700' },
+                { mes: 2, bucket: 'beverage', ingresos: '500', cogs: '100' },
+                { mes: 2, bucket: 'otros', ingresos: '0', cogs: '50' }
+            ]],
+            ['FROM gastos_fijos', [{ categoria: 'alquiler', total: '1200' }]]
+        ]);
+        const res = await request(app(pool)).get('/api/balance/budget-vs-actual?mes=2026-02');
+        expect(res.status).toBe(200);
+        expect(linea(res.body.lineas, 'ingresos')).toMatchObject({ real: 2500, desviacion: 500, desviacion_pct: 25, favorable: true });
+        expect(linea(res.body.lineas, 'food_cost').real).toBe(700);
+        expect(linea(res.body.lineas, 'gastos_fijos', 'alquiler')).toMatchObject({ desviacion: 200, desviacion_pct: 20, favorable: false });
+        expect(res.body.acumulado).toMatchObject({ desde: '2026-01', hasta: '2026-02' });
+        expect(linea(res.body.acumulado.lineas, 'ingresos')).toMatchObject({ presupuesto: 3200, real: 3500, desviacion: 300 });
+        expect(linea(res.body.acumulado.lineas, 'gastos_fijos', 'alquiler')).toMatchObject({ presupuesto: 1000, real: 2400 });
+        expect(pool.queries.every(q => q.params[0] === 3)).toBe(true);
+    });
+
+    test('gastos fijos de cada mes: los de alta o baja posterior no cuentan en el mes', async () => {
+        const pool = makePool([
+            ['FROM gastos_fijos', [
+                { categoria: 'alquiler', total: '1200', alta: '2025-06-01', baja: null },
+                { categoria: 'luz', total: '300', alta: '2026-02-10', baja: null },
+                { categoria: 'seguro', total: '100', alta: '2025-01-01', baja: '2026-01-31' }
+            ]]
+        ]);
+        const reales = await realesDelAnio(pool, 3, 2026, 2);
+        expect(reales.map(r => r.gastos_fijos)).toEqual([
+            { alquiler: 1200, seguro: 100 },
+            { alquiler: 1200, luz: 300 }
+        ]);
+        expect(pool.queries.find(q => q.sql.includes('FROM gastos_fijos')).params).toEqual([3, '2026-01-01', '2026-03-01']);
+    });
+
+    test('mes mal formado: 400', async () => {
+        expect((await request(app(makePool())).get('/api/balance/budget-vs-actual?mes=2026-2')).status).toBe(400);
+    });
+});
+
+describe('presupuestos', () => {
+    test('PUT con una línea inválida: 400 sin tocar nada', async () => {
+        const pool = makePool();
+        const res = await request(app(pool)).put('/api/presupuestos/2026/11').send({ lineas: [{ linea: 'otros', importe: 1 }] });
+        expect(res.status).toBe(400);
+        expect(pool.queries).toHaveLength(0);
+    });
+
+    test('copiar del año anterior: incremento aplicado, sin pisar lo existente', async () => {
+        const pool = makePool([
+            ['SELECT mes, linea', [
+                { mes: 3, linea: 'ingresos', categoria: '', importe: '20000' },
+                { mes: 3, linea: 'personal', categoria: '', importe: '6000' }
+            ]],
+            // La línea de personal ya estaba presupuestada: DO NOTHING no devuelve fila.
+            ['INSERT INTO presupuestos', (p) => (p[3] === 'personal' ? [] : [{ id: 1 }])]
+        ]);
+        const res = await request(app(pool)).post('/api/presupuestos/copiar').send({ anio: 2027, mes: 3, incremento_pct: 5 });
+        expect(res.status).toBe(201);
+        expect(res.body).toMatchObject({ copiadas: 1, omitidas: 1, incremento_pct: 5 });
+        const inserts = pool.queries.filter(q => q.sql.includes('INSERT INTO presupuestos'));
+        expect(inserts.map(q => q.params.slice(0, 6))).toEqual([[3, 2027, 3, 'ingresos', '', 21000], [3, 2027, 3, 'personal', '', 6300]]);
+        expect(inserts[0].sql).toContain('DO NOTHING');
+        expect(pool.queries.find(q => q.sql.includes('SELECT mes, linea')).params).toEqual([3, 2026, 3]);
+    });
+
+    test('copiar con incremento_pct inválido o fuera de rango: 400 sin tocar nada', async () => {
+        for (const incremento_pct of ['abc', '', 150, -60, true]) {
+            const pool = makePool();
+            const res = await request(app(pool)).post('/api/presupuestos/copiar').send({ anio: 2027, incremento_pct });
+            expect(res.status).toBe(400);
+            expect(pool.queries).toHaveLength(0);
+        }
+    });
+
+    test('copiar sin presupuesto de origen: 404', async () => {
+        const res = await request(app(makePool())).post('/api/presupuestos/copiar').send({ anio: 2027, sobrescribir: true });
+        expect(res.status).toBe(404);
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * Cocina central: lotes de producción. Los traspasos con precio interno
+ * están en transfers.test.js.
+ *
+ * Lo que blindan estos tests:
+ *   1. Un lote descuenta las bases de la receta (porciones × escandallo) y suma
+ *      el producto, bloqueando TODO en orden de id (anti-deadlock), con el coste
+ *      calculado en el backend y el precio del producto a media ponderada.
+ *   2. Un producto que es ingrediente de su propia receta se rechaza.
+ *   3. Borrar un lote cuyo producto ya se envió/usó no deja stock inventado: 409.
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/middleware/auth', () => ({
+    authMiddleware: (req, _res, next) => {
+        req.restauranteId = 3;
+        req.user = { userId: 7 };
+        next();
+    },
+    requirePermission: () => (_req, _res, next) => next()
+}));
+jest.mock('../../src/services/recipeCostHistoryService', () => ({ registrarCostesRecetas: jest.fn() }));
+jest.mock('../../src/services/outboundWebhookService', () => ({ emitirEvento: jest.fn() }));
+
+const produccionRoutesFactory = require('../../src/routes/produccion.routes');
+
+// Salsa: 2 kg tomate (3 €/kg) + 0,5 l aceite (10 €/l) por porción = 11 €.
+const RECETA = { id: 9, nombre: 'Salsa base', porciones: 1, ingredientes: [{ ingredienteId: 50, cantidad: 2 }, { ingredienteId: 20, cantidad: 0.5 }] };
+const PRECIOS = [
+    { id: 20, nombre: 'Aceite', unidad: 'l', precio: 10, cantidad_por_formato: 1 },
+    { id: 50, nombre: 'Tomate', unidad: 'kg', precio: 3, cantidad_por_formato: 1 }
+];
+
+function makePool({ receta = RECETA, stock = { 20: 10, 30: 2, 50: 20 }, lote = null } = {}) {
+    const queries = [];
+    const client = {
+        async query(sql, params) {
+            queries.push({ sql, params });
+            const s = sql.trim().toUpperCase();
+            if (s.startsWith('BEGIN') || s.startsWith('COMMIT') || s.startsWith('ROLLBACK')) return { rows: [] };
+            if (sql.includes('FROM recetas WHERE id = $1')) return { rows: receta ? [receta] : [] };
+            if (sql.includes('FROM recetas WHERE restaurante_id')) return { rows: receta ? [receta] : [] };
+            if (sql.includes('SELECT id, nombre, unidad FROM ingredientes')) return { rows: [{ id: 30, nombre: 'Salsa base', unidad: 'kg' }] };
+            if (sql.includes('apply_yield_to_stock')) return { rows: [{ apply_yield_to_stock: false }] };
+            if (sql.includes('precio_medio_compra') && sql.includes('i.unidad')) return { rows: PRECIOS };
+            if (s.startsWith('SELECT') && sql.includes('FROM ingredientes') && sql.includes('FOR UPDATE')) {
+                const id = params[0];
+                return { rows: id in stock ? [{ id, stock_actual: stock[id], precio: 4, cantidad_por_formato: 1, precio_fijado: false }] : [] };
+            }
+            if (s.startsWith('UPDATE INGREDIENTES') && sql.includes('RETURNING stock_actual')) {
+                const [cantidad, id] = params;
+                stock[id] = Math.max(0, stock[id] - cantidad);
+                return { rows: [{ stock_actual: stock[id] }] };
+            }
+            if (sql.includes('INSERT INTO lotes_produccion')) return { rows: [{ id: 77, coste_total: params[7], coste_unitario: params[8] }] };
+            if (sql.includes('FROM lotes_produccion') && sql.includes('FOR UPDATE')) return { rows: lote ? [lote] : [] };
+            return { rows: [], rowCount: 1 };
+        },
+        release() { /* noop */ }
+    };
+    return { queries, async connect() { return client; }, async query(sql, params) { return client.query(sql, params); } };
+}
+
+function buildApp(pool) {
+    const app = express();
+    app.use(express.json());
+    app.use('/api', produccionRoutesFactory(pool));
+    return app;
+}
+
+const donde = (queries, frag) => queries.filter(q => q.sql.includes(frag));
+
+describe('POST /produccion/lotes', () => {
+    test('consume bases, suma producto en orden de id y calcula el coste', async () => {
+        const pool = makePool();
+        const res = await request(buildApp(pool))
+            .post('/api/produccion/lotes')
+            .send({ recetaId: 9, porciones: 4, ingredienteId: 30, cantidad: 8 });
+
+        expect(res.status).toBe(201);
+        // 4 porciones × 11 € = 44 €; 8 kg de salsa → 5,5 €/kg
+        const insert = donde(pool.queries, 'INSERT INTO lotes_produccion')[0].params;
+        expect(insert.slice(6, 9)).toEqual([8, 44, 5.5]);
+        expect(JSON.parse(insert[9])).toEqual([
+            { ingredienteId: 20, real: 2, calculado: 2 },
+            { ingredienteId: 50, real: 8, calculado: 8 }
+        ]);
+
+        const locks = pool.queries.filter(q => q.sql.includes('FOR UPDATE')).map(q => q.params[0]);
+        expect(locks).toEqual([20, 30, 50]);
+
+        // Producto: stock 2 a 4 €/kg + 8 kg a 5,5 → (8 + 44) / 10 = 5,2 €/kg
+        const updProducto = pool.queries.find(q => q.sql.includes('stock_actual = stock_actual + $1') && q.params[2] === 30);
+        expect(updProducto.params[0]).toBe(8);
+        expect(updProducto.params[1]).toBeCloseTo(5.2, 6);
+        expect(res.body.precio_unitario_producto).toBe(5.2);
+
+        const tipos = donde(pool.queries, 'INSERT INTO stock_movements').map(q => q.params[2]);
+        expect(tipos).toEqual(['produccion', 'produccion', 'produccion_lote']);
+        expect(donde(pool.queries, 'precios_compra_diarios (')).toHaveLength(0);
+    });
+
+    test('producto que es ingrediente de su receta: 400 y sin tocar stock', async () => {
+        const receta = { ...RECETA, ingredientes: [...RECETA.ingredientes, { ingredienteId: 30, cantidad: 1 }] };
+        const pool = makePool({ receta });
+        const res = await request(buildApp(pool))
+            .post('/api/produccion/lotes')
+            .send({ recetaId: 9, porciones: 1, ingredienteId: 30 });
+        expect(res.status).toBe(400);
+        expect(pool.queries.some(q => /^\s*UPDATE ingredientes/i.test(q.sql))).toBe(false);
+    });
+});
+
+describe('DELETE /produccion/lotes/:id', () => {
+    test('si ya no queda todo el producto del lote: 409', async () => {
+        const lote = { id: 77, ingrediente_id: 30, cantidad_producida: '8', stock_deductions: [{ ingredienteId: 50, real: 8 }] };
+        const pool = makePool({ lote, stock: { 30: 3, 50: 12 } });
+        const res = await request(buildApp(pool)).delete('/api/produccion/lotes/77');
+        expect(res.status).toBe(409);
+        expect(donde(pool.queries, 'SET deleted_at')).toHaveLength(0);
+    });
+});
@@ -0,0 +1,205 @@
+/**
+ * Unit tests: histórico de coste de recetas (recipeCostHistoryService).
+ *
+ * Bug class que previenen:
+ *   - Una SEGUNDA fórmula de coste: el desglose por ingrediente que se guarda
+ *     en cada foto debe sumar EXACTAMENTE lo que da getRecipeCostBase (el
+ *     helper canónico). Si divergen, la curva de coste y el food cost del
+ *     dashboard cuentan historias distintas.
+ *   - Explicar mal un salto de la curva (atribuirlo a un precio cuando fue un
+ *     cambio de cantidad en el escandallo, o al revés).
+ *   - Re-versionar todo el recetario por un PUT de una receta, o dejar la
+ *     transacción de quien llama abortada si el histórico falla.
+ *   - Un cambio solo de precio de venta que no llega a food_cost ni al
+ *     histórico porque el coste no se movió.
+ */
+
+const { getRecipeCostBase, getRecipeCostBreakdown } = require('../../src/utils/businessHelpers');
+const { calcularFotoCoste, explicarCambioCoste } = require('../../src/services/recipeCostHistoryService');
+
+// Misma fixture que golden-parity-costes (valores clavados a mano allí).
+const SUB_AJADA = { id: 50, porciones: 10, ingredientes: [{ ingredienteId: 1, cantidad: 2 }] };
+const RECETA_PRINCIPAL = {
+    id: 60, porciones: 4, precio_venta: 20,
+    ingredientes: [
+        { ingredienteId: 2, cantidad: 1 },
+        { ingredienteId: 3, cantidad: 0.5, rendimiento: 100 },
+        { ingredienteId: 100050, cantidad: 2 },
+    ],
+};
+const RECETA_CICLO = { id: 70, porciones: 1, ingredientes: [{ ingredienteId: 1, cantidad: 1 }, { ingredienteId: 100070, cantidad: 5 }] };
+const SUB_PUENTE = { id: 81, porciones: 1, ingredientes: [{ ingredienteId: 100050, cantidad: 1 }] };
+const RECETA_DIAMANTE = { id: 80, porciones: 1, ingredientes: [{ ingredienteId: 100050, cantidad: 1 }, { ingredienteId: 100081, cantidad: 1 }] };
+
+const PRECIOS = new Map([[1, 1.20], [2, 17.50], [3, 4.00]]);
+const RENDIMIENTO_BASE = new Map([[2, 60]]);
+const RECETAS = new Map([[50, SUB_AJADA], [60, RECETA_PRINCIPAL], [70, RECETA_CICLO], [80, RECETA_DIAMANTE], [81, SUB_PUENTE]]);
+
+const suma = (lineas) => lineas.reduce((s, l) => s + l.coste, 0);
+
+describe('getRecipeCostBreakdown — paridad con getRecipeCostBase', () => {
+    test.each([
+        ['subreceta', SUB_AJADA],
+        ['principal con subreceta y rendimiento', RECETA_PRINCIPAL],
+        ['ciclo', RECETA_CICLO],
+        ['diamante', RECETA_DIAMANTE],
+    ])('%s: la suma del desglose es el coste del lote', (_n, receta) => {
+        const lineas = getRecipeCostBreakdown(receta, PRECIOS, RECETAS, RENDIMIENTO_BASE);
+        expect(suma(lineas)).toBeCloseTo(getRecipeCostBase(receta, PRECIOS, RECETAS, RENDIMIENTO_BASE), 6);
+    });
+
+    test('la subreceta se baja a ingrediente base con su cantidad proporcional', () => {
+        const lineas = getRecipeCostBreakdown(RECETA_PRINCIPAL, PRECIOS, RECETAS, RENDIMIENTO_BASE);
+        const ajo = lineas.find(l => l.ingredienteId === 1);
+        expect(ajo.cantidad).toBeCloseTo(0.4, 6);   // 2 porciones de AJADA × 2/10
+        expect(ajo.coste).toBeCloseTo(0.48, 6);
+    });
+
+    test('diamante suma los dos caminos en UNA línea', () => {
+        const lineas = getRecipeCostBreakdown(RECETA_DIAMANTE, PRECIOS, RECETAS, RENDIMIENTO_BASE);
+        expect(lineas).toHaveLength(1);
+        expect(lineas[0].cantidad).toBeCloseTo(0.4, 6);
+    });
+});
+
+describe('calcularFotoCoste', () => {
+    const ctx = { preciosMap: PRECIOS, recetasMap: RECETAS, rendimientoBaseMap: RENDIMIENTO_BASE, nombresMap: new Map([[2, 'Pulpo']]) };
+
+    test('coste por porción y food cost sobre precio de venta', () => {
+        const foto = calcularFotoCoste(RECETA_PRINCIPAL, ctx);
+        expect(foto.coste_lote).toBeCloseTo(31.6467, 3);
+        expect(foto.coste_porcion).toBeCloseTo(7.9117, 3);
+        expect(foto.food_cost_pct).toBeCloseTo(39.56, 2);
+        expect(foto.desglose.find(l => l.ingrediente_id === 2).nombre).toBe('Pulpo');
+    });
+
+    test('sin precio de venta → food cost null (no divide por 0)', () => {
+        const foto = calcularFotoCoste(SUB_AJADA, ctx);
+        expect(foto.precio_venta).toBeNull();
+        expect(foto.food_cost_pct).toBeNull();
+    });
+});
+
+describe('explicarCambioCoste', () => {
+    const foto = (lineas) => ({ desglose: lineas });
+
+    test('primera foto → sin explicación', () => {
+        expect(explicarCambioCoste(null, foto([]))).toBeNull();
+    });
+
+    test('subida de precio: señala el ingrediente que más movió el coste', () => {
+        const antes = foto([
+            { ingrediente_id: 1, nombre: 'Arroz', precio_unitario: 1, cantidad: 1, coste: 1 },
+            { ingrediente_id: 2, nombre: 'Gamba', precio_unitario: 20, cantidad: 0.2, coste: 4 },
+        ]);
+        const despues = foto([
+            { ingrediente_id: 1, nombre: 'Arroz', precio_unitario: 1.1, cantidad: 1, coste: 1.1 },
+            { ingrediente_id: 2, nombre: 'Gamba', precio_unitario: 25, cantidad: 0.2, coste: 5 },
+        ]);
+        const causa = explicarCambioCoste(antes, despues);
+        expect(causa).toMatchObject({ ingrediente_id: 2, nombre: 'Gamba', motivo: 'precio', precio_antes: 20, precio_despues: 25 });
+        expect(causa.delta).toBeCloseTo(1, 6);
+    });
+
+    test('mismo precio, más cantidad → motivo cantidad; línea nueva → alta; quitada → baja', () => {
+        const base = [{ ingrediente_id: 1, precio_unitario: 2, cantidad: 1, coste: 2 }];
+        expect(explicarCambioCoste(foto(base), foto([{ ingrediente_id: 1, precio_unitario: 2, cantidad: 2, coste: 4 }])).motivo).toBe('cantidad');
+        expect(explicarCambioCoste(foto(base), foto([...base, { ingrediente_id: 9, precio_unitario: 3, cantidad: 1, coste: 3 }])).motivo).toBe('alta');
+        expect(explicarCambioCoste(foto(base), foto([])).motivo).toBe('baja');
+    });
+
+    test('fotos idénticas → null', () => {
+        const lineas = [{ ingrediente_id: 1, precio_unitario: 2, cantidad: 1, coste: 2 }];
+        expect(explicarCambioCoste(foto(lineas), foto(lineas))).toBeNull();
+    });
+});
+
+describe('registrarCostesRecetas', () => {
+    const { registrarCostesRecetas } = require('../../src/services/recipeCostHistoryService');
+
+    // Client de transacción: tiene release, así que el servicio trabaja en un SAVEPOINT.
+    function makeClient({ fallaInsert = false, ultimas = [] } = {}) {
+        const queries = [];
+        return {
+            queries,
+            release() { /* noop */ },
+            async query(sql, params) {
+                queries.push({ sql, params });
+                if (sql.includes('FROM recetas\n')) {
+                    return { rows: [SUB_AJADA, RECETA_PRINCIPAL, RECETA_CICLO, RECETA_DIAMANTE, SUB_PUENTE] };
+                }
+                if (sql.includes('FROM ingredientes i')) {
+                    return { rows: [{ id: 1, nombre: 'Ajo', precio: 1.2 }, { id: 2, nombre: 'Pulpo', precio: 17.5 }] };
+                }
+                if (sql.includes('DISTINCT ON (receta_id)')) return { rows: ultimas };
+                if (fallaInsert && sql.includes('INSERT INTO recetas_coste_historico')) throw new Error('boom');
+                return { rows: [] };
+            }
+        };
+    }
+    const versionadas = (client) => client.queries
+        .filter(q => q.sql.includes('INSERT INTO recetas_coste_historico'))
+        .map(q => q.params[0])
+        .sort();
+
+    test('recetaIds: esa receta y las que la usan como elaboración, nada más', async () => {
+        const client = makeClient();
+        expect(await registrarCostesRecetas(client, 3, { origen: 'receta', recetaIds: [50] })).toBe(4);
+        // 60 y 81 la usan directamente; 80 vía 81. La 70 no se toca.
+        expect(versionadas(client)).toEqual([50, 60, 80, 81]);
+        expect(client.queries[0].sql).toBe('SAVEPOINT coste_historico');
+        expect(client.queries[client.queries.length - 1].sql).toBe('RELEASE SAVEPOINT coste_historico');
+    });
+
+    test('mismo coste: solo versiona si cambió el precio de venta, y entonces actualiza food_cost', async () => {
+        const primera = makeClient();
+        await registrarCostesRecetas(primera, 3, { origen: 'receta', recetaIds: [60] });
+        const [, , coste_lote] = primera.queries.find(q => q.sql.includes('INSERT INTO recetas_coste_historico')).params;
+
+        const igual = makeClient({ ultimas: [{ receta_id: 60, coste_lote: String(coste_lote), precio_venta: '20.00' }] });
+        expect(await registrarCostesRecetas(igual, 3, { origen: 'receta', recetaIds: [60] })).toBe(0);
+
+        const otroPrecio = makeClient({ ultimas: [{ receta_id: 60, coste_lote: String(coste_lote), precio_venta: '18.00' }] });
+        expect(await registrarCostesRecetas(otroPrecio, 3, { origen: 'receta', recetaIds: [60] })).toBe(1);
+        const update = otroPrecio.queries.find(q => q.sql.includes('UPDATE recetas'));
+        expect(update.params[2]).toBeCloseTo((coste_lote / 4) / 20 * 100, 1);
+    });
+
+    test('precio de venta confirmado desde el chat: foto nueva y food_cost al día', async () => {
+        process.env.JWT_SECRET = process.env.JWT_SECRET || 'x'.repeat(40);
+        const { ejecutarAccion } = require('../../src/services/chatActionService');
+        const primera = makeClient();
+        await registrarCostesRecetas(primera, 3, { origen: 'receta', recetaIds: [60] });
+        const [, , coste_lote] = primera.queries.find(q => q.sql.includes('INSERT INTO recetas_coste_historico')).params;
+
+        const receta = { ...RECETA_PRINCIPAL };
+        const client = makeClient({ ultimas: [{ receta_id: 60, coste_lote: String(coste_lote), precio_venta: '20.00' }] });
+        const responder = client.query.bind(client);
+        client.query = async (sql, params) => {
+            if (sql.includes('INSERT INTO chat_acciones')) return { rows: [{ id: 1 }] };
+            if (sql.includes('FOR UPDATE')) return { rows: [{ id: 60, precio_venta: receta.precio_venta }] };
+            if (sql.startsWith('UPDATE recetas SET precio_venta')) receta.precio_venta = params[0];
+            if (sql.includes('FROM recetas\n')) {
+                client.queries.push({ sql, params });
+                return { rows: [SUB_AJADA, receta] };
+            }
+            return responder(sql, params);
+        };
+        const pool = { async connect() { return client; }, async query() { return { rows: [] }; } };
+
+        const r = await ejecutarAccion(pool, { user: { userId: 7 }, restauranteId: 3 }, {
+            accion: 'precio_receta', rid: 3, uid: 7, jti: 'j1', resumen: 'Precio', params: { recetaId: 60, precioNuevo: 25 }
+        });
+        expect(r.resultado).toEqual({ receta_id: 60, precio_venta: 25 });
+        const foto = client.queries.find(q => q.sql.includes('INSERT INTO recetas_coste_historico'));
+        expect(foto.params[4]).toBe(25);
+        const update = client.queries.find(q => q.sql.includes('SET coste_calculado'));
+        expect(update.params[2]).toBeCloseTo((coste_lote / 4) / 25 * 100, 1);
+    });
+
+    test('un fallo vuelve al SAVEPOINT sin abortar la transacción de quien llama', async () => {
+        const client = makeClient({ fallaInsert: true });
+        await expect(registrarCostesRecetas(client, 3, { origen: 'receta', recetaIds: [70] })).resolves.toBe(0);
+        expect(client.queries[client.queries.length - 1].sql).toBe('ROLLBACK TO SAVEPOINT coste_historico');
+    });
+});
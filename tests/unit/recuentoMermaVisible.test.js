@@ -26,7 +26,8 @@ jest.mock('../../src/middleware/auth', () => ({
         req.restauranteId = 3;
         req.user = { userId: 7 };
         next();
-    }
+    },
+    requirePermission: () => (_req, _res, next) => next()
 }));
 
 const inventoryRoutesFactory = require('../../src/routes/inventory.routes');
@@ -0,0 +1,122 @@
+/**
+ * Unit tests: revocación persistente de sesiones.
+ *
+ * Bug class que previenen:
+ *   - Un reinicio (o una segunda instancia) resucitando sesiones cerradas:
+ *     la revocación se lee de BD, no de memoria.
+ *   - "Cerrar todas" que no alcanza a los tokens emitidos antes de los jti.
+ *   - Una caída momentánea de la BD echando a todos los usuarios.
+ *   - Una consulta por petición: la caché tiene que ahorrárselas.
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'x'.repeat(40);
+
+const jwt = require('jsonwebtoken');
+const { authMiddleware } = require('../../src/middleware/auth');
+const {
+    claveSesion, revocarSesion, revocarTodas, listarSesiones, sesionRevocada
+} = require('../../src/services/sessionService');
+
+function mockPool(handlers = {}) {
+    return {
+        query: jest.fn(async (sql) => {
+            for (const [frag, res] of Object.entries(handlers)) {
+                if (sql.includes(frag)) return typeof res === 'function' ? res(sql) : res;
+            }
+            return { rows: [], rowCount: 0 };
+        })
+    };
+}
+
+let n = 0;
+const decodedCon = (extra = {}) => ({ userId: 40 + (++n), restauranteId: 3, iat: Math.floor(Date.now() / 1000), exp: Math.floor(Date.now() / 1000) + 3600, ...extra });
+const consultas = (pool, frag) => pool.query.mock.calls.filter(([sql]) => sql.includes(frag));
+
+describe('claveSesion', () => {
+    test('jti si lo hay; si no, hash estable del token', () => {
+        expect(claveSesion('tok', { jti: 'abc' })).toBe('abc');
+        expect(claveSesion('tok', {})).toMatch(/^h:[0-9a-f]{64}$/);
+        expect(claveSesion('tok', {})).toBe(claveSesion('tok', {}));
+        expect(claveSesion('tok', {})).not.toBe(claveSesion('tok2', {}));
+    });
+});
+
+describe('sesionRevocada', () => {
+    test('lee revocado_at de la fila y lo cachea', async () => {
+        const pool = mockPool({ 'LEFT JOIN sesiones': { rows: [{ sesion_id: 1, revocado_at: new Date(), sesiones_revocadas_at: null }] } });
+        const d = decodedCon({ jti: 'r-1' });
+        expect(await sesionRevocada(pool, 't', d)).toBe(true);
+        expect(await sesionRevocada(pool, 't', d)).toBe(true);
+        expect(consultas(pool, 'LEFT JOIN sesiones')).toHaveLength(1);
+        expect(consultas(pool, 'LEFT JOIN sesiones')[0][1]).toEqual(['r-1', d.userId]);
+    });
+
+    test('válida: actualiza ultimo_uso y también se cachea (un rato)', async () => {
+        const pool = mockPool({ 'LEFT JOIN sesiones': { rows: [{ sesion_id: 9, revocado_at: null, sesiones_revocadas_at: null }] } });
+        const d = decodedCon({ jti: 'v-1' });
+        expect(await sesionRevocada(pool, 't', d)).toBe(false);
+        expect(await sesionRevocada(pool, 't', d)).toBe(false);
+        expect(consultas(pool, 'LEFT JOIN sesiones')).toHaveLength(1);
+        expect(consultas(pool, 'SET ultimo_uso')[0][1]).toEqual([9]);
+    });
+
+    test('token sin fila: revocado si se emitió antes de "cerrar todas"', async () => {
+        const revocadasAt = new Date();
+        const pool = mockPool({ 'LEFT JOIN sesiones': { rows: [{ sesion_id: null, revocado_at: null, sesiones_revocadas_at: revocadasAt }] } });
+        const antes = decodedCon({ iat: Math.floor(revocadasAt.getTime() / 1000) - 60 });
+        const despues = decodedCon({ iat: Math.floor(revocadasAt.getTime() / 1000) + 60 });
+        expect(await sesionRevocada(pool, 'viejo', antes)).toBe(true);
+        expect(await sesionRevocada(pool, 'nuevo', despues)).toBe(false);
+    });
+
+    test('fallo de BD: no revocada (y no lanza)', async () => {
+        const pool = { query: jest.fn(async () => { throw new Error('caída'); }) };
+        await expect(sesionRevocada(pool, 't', decodedCon({ jti: 'e-1' }))).resolves.toBe(false);
+    });
+});
+
+describe('revocar', () => {
+    test('logout: upsert por clave y efecto inmediato en esta instancia', async () => {
+        const pool = mockPool();
+        const d = decodedCon({ jti: 'l-1' });
+        await revocarSesion(pool, 't', d);
+        const [sql, params] = pool.query.mock.calls[0];
+        expect(sql).toMatch(/ON CONFLICT \(jti\)/);
+        expect(params.slice(0, 3)).toEqual(['l-1', d.userId, 3]);
+        expect(await sesionRevocada(pool, 't', d)).toBe(true);
+        expect(consultas(pool, 'LEFT JOIN sesiones')).toHaveLength(0);
+    });
+
+    test('cerrar todas: filas + marca en usuarios + olvida la caché del usuario', async () => {
+        const pool = mockPool({
+            'UPDATE sesiones SET revocado_at': { rows: [], rowCount: 2 },
+            'LEFT JOIN sesiones': { rows: [{ sesion_id: 5, revocado_at: new Date(), sesiones_revocadas_at: new Date() }] }
+        });
+        const d = decodedCon({ jti: 'a-1' });
+        // cachea como válida con otra respuesta
+        await sesionRevocada(mockPool({ 'LEFT JOIN sesiones': { rows: [{ sesion_id: 5, revocado_at: null }] } }), 't', d);
+
+        expect(await revocarTodas(pool, d.userId)).toBe(2);
+        expect(consultas(pool, 'sesiones_revocadas_at = NOW()')[0][1]).toEqual([d.userId]);
+        expect(await sesionRevocada(pool, 't', d)).toBe(true);
+    });
+
+    test('listado: sin jti ni tokens antiguos, marcando la actual', async () => {
+        const pool = mockPool({ 'FROM sesiones': { rows: [{ id: 1, jti: 'x' }, { id: 2, jti: 'y' }] } });
+        expect(await listarSesiones(pool, 7, 'y')).toEqual([{ id: 1, actual: false }, { id: 2, actual: true }]);
+        expect(pool.query.mock.calls[0][0]).toMatch(/NOT LIKE 'h:%'/);
+    });
+});
+
+describe('authMiddleware', () => {
+    test('sesión revocada en BD: 401 TOKEN_REVOKED', async () => {
+        const pool = mockPool({ 'LEFT JOIN sesiones': { rows: [{ sesion_id: 1, revocado_at: new Date() }] } });
+        const token = jwt.sign({ userId: 77, restauranteId: 3, rol: 'admin' }, process.env.JWT_SECRET, { jwtid: 'm-1' });
+        const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+        const next = jest.fn();
+        await authMiddleware({ headers: { authorization: `Bearer ${token}` }, originalUrl: '/api/sales', app: { locals: { pool } } }, res, next);
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(res.json.mock.calls[0][0].code).toBe('TOKEN_REVOKED');
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * Unit tests: libro de stock (stock_movements → saldo acumulado y cuadre).
+ *
+ * Bug class que previenen:
+ *   - Un saldo que no arranca en el stock previo al primer movimiento (el
+ *     libro "cuadra" solo si empieza en cero).
+ *   - Una escritura de stock fuera del libro que no se marca como hueco.
+ *   - Un descuadre contra stock_actual que sale como cuadrado.
+ *   - El helper apuntando sin stockAntes ni cantidad (movimiento sin importe).
+ */
+
+const { construirLibroStock, registrarMovimientoStock } = require('../../src/utils/stockLedger');
+
+const mov = (id, tipo, quantity, stock_after, extra = {}) => ({
+    id, movement_type: tipo, quantity: String(quantity), stock_after: String(stock_after),
+    created_at: `2026-10-0${id}T10:00:00Z`, ...extra
+});
+
+describe('construirLibroStock', () => {
+    test('libro sin huecos: apertura, saldo acumulado y cuadre', () => {
+        const r = construirLibroStock([
+            mov(1, 'ajuste', 10, 15, { reference_type: 'pedido', reference_id: 7, notes: 'Recepción' }),
+            mov(2, 'venta', -3.5, 11.5, { reference_type: 'venta', reference_id: 99 }),
+            mov(3, 'merma', -1.5, 10),
+        ], '10');
+
+        expect(r.apertura).toBe(5);
+        expect(r.movimientos.map(m => m.saldo)).toEqual([15, 11.5, 10]);
+        expect(r.movimientos.every(m => !m.hueco)).toBe(true);
+        expect(r.movimientos[0].referencia).toEqual({ tipo: 'pedido', id: 7 });
+        expect(r.movimientos[0].notas).toBe('Recepción');
+        expect(r.saldo_final).toBe(10);
+        expect(r.cuadra).toBe(true);
+        expect(r.diferencia).toBe(0);
+        expect(r.huecos).toBe(0);
+    });
+
+    test('escritura fuera del libro entre dos apuntes → hueco en el siguiente', () => {
+        // Tras el apunte 1 el stock era 15, pero el 2 parte de 14: alguien
+        // quitó 1 sin apuntarlo.
+        const r = construirLibroStock([
+            mov(1, 'ajuste', 10, 15),
+            mov(2, 'venta', -2, 12),
+        ], 12);
+
+        expect(r.movimientos[0].hueco).toBe(false);
+        expect(r.movimientos[1].hueco).toBe(true);
+        expect(r.huecos).toBe(1);
+        // El saldo solo suma cantidades: 5 + 10 - 2 = 13, el stock real es 12.
+        expect(r.saldo_final).toBe(13);
+        expect(r.diferencia).toBe(-1);
+        expect(r.cuadra).toBe(false);
+    });
+
+    test('descuadre posterior al último apunte: no cuadra contra stock_actual', () => {
+        const r = construirLibroStock([mov(1, 'compra', 4, 4)], 6);
+        expect(r.huecos).toBe(0);
+        expect(r.diferencia).toBe(2);
+        expect(r.cuadra).toBe(false);
+    });
+
+    test('recuento con cantidad 0 mantiene el saldo', () => {
+        const r = construirLibroStock([
+            mov(1, 'ajuste', 3, 3),
+            mov(2, 'recuento', 0, 3),
+        ], 3);
+        expect(r.movimientos[1].saldo).toBe(3);
+        expect(r.cuadra).toBe(true);
+    });
+
+    test('sin movimientos: apertura = stock actual y cuadra', () => {
+        const r = construirLibroStock([], '7.25');
+        expect(r.apertura).toBe(7.25);
+        expect(r.movimientos).toEqual([]);
+        expect(r.saldo_final).toBe(7.25);
+        expect(r.cuadra).toBe(true);
+    });
+
+    test('redondeo a 3 decimales: sumas de flotantes no descuadran', () => {
+        const r = construirLibroStock([
+            mov(1, 'venta', -0.1, 0.9),
+            mov(2, 'venta', -0.2, 0.7),
+        ], 0.7);
+        expect(r.saldo_final).toBe(0.7);
+        expect(r.cuadra).toBe(true);
+    });
+});
+
+describe('registrarMovimientoStock', () => {
+    test('sin stockAntes ni cantidad lanza (no hay importe que apuntar)', async () => {
+        const client = { query: jest.fn() };
+        await expect(registrarMovimientoStock(client, {
+            restauranteId: 1, ingredienteId: 2, tipo: 'ajuste'
+        })).rejects.toThrow(/stockAntes o cantidad/);
+        expect(client.query).not.toHaveBeenCalled();
+    });
+
+    test('apunta en el mismo client, con la cantidad calculada en SQL contra stockAntes', async () => {
+        const client = { query: jest.fn().mockResolvedValue({ rowCount: 1 }) };
+        await registrarMovimientoStock(client, {
+            restauranteId: 1, ingredienteId: 2, tipo: 'venta', stockAntes: '5',
+            referenciaTipo: 'venta', referenciaId: 9, usuarioId: 3
+        });
+        const [sql, params] = client.query.mock.calls[0];
+        expect(sql).toMatch(/INSERT INTO stock_movements/);
+        expect(sql).toMatch(/i\.stock_actual - \$4::numeric/);
+        expect(params).toEqual([1, 2, 'venta', 5, null, 'venta', 9, null, 3]);
+    });
+});
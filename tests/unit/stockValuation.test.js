@@ -0,0 +1,97 @@
+/**
+ * Unit tests: valoración de stock a fecha (media ponderada y FIFO).
+ *
+ * Bug class que previenen:
+ *   - FIFO valorando con las compras MÁS ANTIGUAS (lo que queda en el
+ *     almacén es lo último que entró).
+ *   - Stock no cubierto por compras valorado a 0 en vez de a precio de ficha.
+ *   - Una cantidad reconstruida negativa (hueco del libro) restando valor.
+ *   - CSV con punto decimal o sin escapar el separador (Excel en español lo
+ *     parte mal), o con textos que Excel ejecuta como fórmula.
+ */
+
+const { valorarStockEnFecha, valoracionACsv } = require('../../src/utils/stockValuation');
+
+const INGREDIENTES = [
+    { id: 1, nombre: 'Tomate', unidad: 'kg', familia: 'alimento', precio: '5', cantidad_por_formato: '1', cantidad_fecha: '15' },
+    { id: 2, nombre: 'Guantes; talla M', unidad: 'ud', familia: 'suministro', precio: '12', cantidad_por_formato: '6', cantidad_fecha: '3' },
+];
+// Compras desordenadas a propósito: la función ordena por fecha.
+const COMPRAS = [
+    { ingrediente_id: 1, fecha: '2026-09-20', cantidad: '10', total: '30' },
+    { ingrediente_id: 1, fecha: '2026-09-01', cantidad: '10', total: '20' },
+];
+
+const linea = (r, id) => r.lineas.find(l => l.ingrediente_id === id);
+
+describe('valorarStockEnFecha', () => {
+    test('media ponderada: Σ total / Σ cantidad de las compras hasta la fecha', () => {
+        const r = valorarStockEnFecha({ ingredientes: INGREDIENTES, compras: COMPRAS, metodo: 'media' });
+        expect(linea(r, 1)).toMatchObject({ cantidad: 15, precio_unitario: 2.5, valor: 37.5, origen_precio: 'compras' });
+        expect(r.metodo).toBe('media');
+    });
+
+    test('FIFO: el stock son las compras más recientes', () => {
+        const r = valorarStockEnFecha({ ingredientes: INGREDIENTES, compras: COMPRAS, metodo: 'fifo' });
+        // 10 kg a 3 € (20-sep) + 5 kg a 2 € (01-sep) = 40 €
+        expect(linea(r, 1)).toMatchObject({ valor: 40, precio_unitario: 2.6667, origen_precio: 'compras' });
+    });
+
+    test('FIFO: lo que exceden las compras va a precio de ficha (mixto)', () => {
+        const ings = [{ ...INGREDIENTES[0], cantidad_fecha: 25 }];
+        const r = valorarStockEnFecha({ ingredientes: ings, compras: COMPRAS, metodo: 'fifo' });
+        // 30 + 20 + 5 kg × 5 € de ficha
+        expect(linea(r, 1)).toMatchObject({ valor: 75, origen_precio: 'mixto' });
+    });
+
+    test('sin compras: precio de ficha por unidad base (precio / cantidad_por_formato)', () => {
+        const r = valorarStockEnFecha({ ingredientes: INGREDIENTES, compras: COMPRAS });
+        expect(linea(r, 2)).toMatchObject({ precio_unitario: 2, valor: 6, origen_precio: 'ficha' });
+    });
+
+    test('totales y desglose por familia', () => {
+        const r = valorarStockEnFecha({ ingredientes: INGREDIENTES, compras: COMPRAS });
+        expect(r.total).toBe(43.5);
+        expect(r.por_familia).toEqual({ alimento: 37.5, suministro: 6 });
+        expect(r.lineas[0].ingrediente_id).toBe(1); // ordenado por valor desc
+    });
+
+    test('cantidad reconstruida negativa: se valora a 0 y se avisa', () => {
+        const ings = [{ ...INGREDIENTES[0], cantidad_fecha: '-2' }, { ...INGREDIENTES[1], cantidad_fecha: '0' }];
+        const r = valorarStockEnFecha({ ingredientes: ings, compras: COMPRAS });
+        expect(r.lineas).toEqual([]);
+        expect(r.total).toBe(0);
+        expect(r.sin_stock).toBe(2);
+        expect(r.stock_negativo).toEqual([{ ingrediente_id: 1, nombre: 'Tomate', cantidad: -2 }]);
+    });
+
+    test('método desconocido cae a media', () => {
+        expect(valorarStockEnFecha({ ingredientes: [], metodo: 'lifo' }).metodo).toBe('media');
+    });
+});
+
+describe('valoracionACsv', () => {
+    test('separador ;, coma decimal, BOM y total', () => {
+        const r = valorarStockEnFecha({ ingredientes: INGREDIENTES, compras: COMPRAS });
+        const csv = valoracionACsv(r, '2026-09-30');
+        expect(csv.charCodeAt(0)).toBe(0xFEFF);
+        const filas = csv.slice(1).trim().split('\r\n');
+        expect(filas[0]).toBe('Fecha;Ingrediente;Familia;Unidad;Cantidad;Precio unitario;Valor;Origen precio');
+        expect(filas[1]).toBe('2026-09-30;Tomate;alimento;kg;15,000;2,5000;37,50;compras');
+        expect(filas[2]).toBe('2026-09-30;"Guantes; talla M";suministro;ud;3,000;2,0000;6,00;ficha');
+        expect(filas[3]).toBe('2026-09-30;TOTAL;;;;;43,50;media');
+    });
+
+    test('texto que Excel leería como fórmula: se antepone comilla simple', () => {
+        const r = valorarStockEnFecha({
+            ingredientes: [
+                { ...INGREDIENTES[0], nombre: '=HYPERLINK("http://x";"y")' },
+                { ...INGREDIENTES[1], id: 3, nombre: '@SUM(1)', familia: '+1', unidad: '-ud' },
+            ],
+            compras: [],
+        });
+        const filas = valoracionACsv(r, '2026-09-30').slice(1).trim().split('\r\n');
+        expect(filas[1]).toContain(`;"'=HYPERLINK(""http://x"";""y"")";`);
+        expect(filas[2]).toContain(";'@SUM(1);'+1;'-ud;");
+    });
+});
@@ -0,0 +1,213 @@
+/**
+ * Unit tests: cuadre a tres bandas proveedor (pedido → albarán → factura).
+ *
+ * Bug class que previenen:
+ *   - Un precio facturado por encima del recibido que pasa sin marcar.
+ *   - Una línea cobrada sin albarán (o recibida sin factura) que no aparece en
+ *     las no casadas.
+ *   - La comida personal (no va al Diario) marcada como "sin albarán" aunque
+ *     llegó en el pedido.
+ *   - Un pedido servido en dos meses marcado como descuadre en los dos: se
+ *     reparte por la fecha de cada entrega, igual que el Diario.
+ *   - Una línea de factura que no es un objeto tumbando la ruta con un 500.
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/middleware/auth', () => ({
+    authMiddleware: (req, _res, next) => {
+        req.restauranteId = 3;
+        req.user = { userId: 7 };
+        next();
+    },
+    requirePermission: () => (_req, _res, next) => next()
+}));
+jest.mock('../../src/utils/auditLog', () => ({ logChange: jest.fn() }));
+
+const { reconciliarProveedorMes } = require('../../src/utils/supplierReconciliation');
+const supplierInvoicesRoutesFactory = require('../../src/routes/supplier-invoices.routes');
+
+const PEDIDOS = [{
+    id: 1, estado: 'recibido',
+    ingredientes: [
+        { ingredienteId: 10, nombre: 'Tomate', cantidad: 20, precioUnitario: 1.5, cantidadRecibida: 18, precioReal: 1.5 },
+        { ingredienteId: 11, nombre: 'Aceite', cantidad: 6, precioUnitario: 8, cantidadRecibida: 6, precioReal: 8 },
+        { ingredienteId: 12, nombre: 'Pan', cantidad: 4, precioUnitario: 1, cantidadRecibida: 4, precioReal: 1, personal: true },
+        { tipo: 'ajuste', concepto: 'Envases', importe: -3 },
+    ],
+}];
+const RECIBIDOS = [
+    { ingrediente_id: 10, nombre: 'Tomate', cantidad: '18', importe: '27' },
+    { ingrediente_id: 11, nombre: 'Aceite', cantidad: '6', importe: '48' },
+];
+
+const linea = (r, id) => r.lineas.find(l => l.ingrediente_id === id);
+
+describe('reconciliarProveedorMes', () => {
+    test('factura que cuadra con lo recibido → solo queda la falta del pedido', () => {
+        const r = reconciliarProveedorMes({
+            pedidos: PEDIDOS,
+            recibidos: RECIBIDOS,
+            facturas: [{ id: 1, total_base: 79, lineas: [
+                { ingredienteId: 10, cantidad: 18, precioUnitario: 1.5, importe: 27 },
+                { ingredienteId: 11, cantidad: 6, precioUnitario: 8, importe: 48 },
+                { ingredienteId: 12, cantidad: 4, precioUnitario: 1, importe: 4 },
+            ] }],
+        });
+        expect(linea(r, 10).incidencias).toEqual(['cantidad_pedido']);
+        expect(linea(r, 11).incidencias).toEqual([]);
+        expect(linea(r, 12).incidencias).toEqual([]); // personal: recibido vía pedido
+        expect(r.resumen.diferencia_eur).toBe(0);
+        expect(r.resumen.descuadre_cabecera_factura).toBe(0);
+    });
+
+    test('precio facturado por encima del recibido → precio_factura y € de diferencia', () => {
+        const r = reconciliarProveedorMes({
+            pedidos: [], recibidos: RECIBIDOS,
+            facturas: [{ id: 1, total_base: 78, lineas: [
+                { ingredienteId: 10, cantidad: 18, precioUnitario: 1.5, importe: 27 },
+                { ingredienteId: 11, cantidad: 6, precioUnitario: 8.5, importe: 51 },
+            ] }],
+        });
+        expect(linea(r, 11).incidencias).toContain('precio_factura');
+        expect(linea(r, 11).diferencia_eur).toBe(3);
+        expect(r.resumen.diferencia_eur).toBe(3);
+        expect(r.lineas[0].ingrediente_id).toBe(11); // ordenado por |diferencia|
+    });
+
+    test('línea facturada sin albarán y recibido sin facturar', () => {
+        const r = reconciliarProveedorMes({
+            pedidos: [], recibidos: [RECIBIDOS[0]],
+            facturas: [{ id: 1, total_base: 12, lineas: [{ descripcion: 'Portes', importe: 12 }] }],
+        });
+        const portes = r.lineas.find(l => l.nombre === 'Portes');
+        expect(portes.incidencias).toEqual(['sin_albaran']);
+        expect(linea(r, 10).incidencias).toEqual(['sin_factura']);
+        expect(r.no_casadas).toHaveLength(2);
+        expect(r.resumen.diferencia_eur).toBe(-15);
+    });
+
+    test('diferencias dentro de tolerancia no se marcan', () => {
+        const r = reconciliarProveedorMes({
+            pedidos: [], recibidos: [RECIBIDOS[0]],
+            facturas: [{ id: 1, total_base: 27.1, lineas: [{ ingredienteId: 10, cantidad: 18, precioUnitario: 1.505 }] }],
+        });
+        expect(linea(r, 10).incidencias).toEqual([]);
+    });
+
+    test('pedido sin albarán todavía', () => {
+        const r = reconciliarProveedorMes({
+            pedidos: [{ id: 2, estado: 'pendiente', ingredientes: [{ ingredienteId: 20, cantidad: 5, precioUnitario: 2 }] }],
+        });
+        expect(linea(r, 20).incidencias).toEqual(['pedido_sin_albaran']);
+    });
+
+    describe('pedido con entregas en dos meses', () => {
+        // 20 kg de tomate: 12 el 28-mar y 8 el 3-abr (precio pactado 1,5).
+        const partido = (estado, ingredientes) => ({
+            id: 3, estado, ingredientes,
+            recepciones: [
+                { fecha: '2026-03-28', lineas: [{ linea: 0, ingredienteId: 10, cantidad: 12, precioReal: 1.5, personal: false }] },
+                { fecha: '2026-04-03', lineas: [{ linea: 0, ingredienteId: 10, cantidad: 8, precioReal: 1.5, personal: false }] },
+            ],
+        });
+        const servido = partido('recibido', [{ ingredienteId: 10, nombre: 'Tomate', cantidad: 20, precioUnitario: 1.5, cantidadRecibida: 20 }]);
+
+        test('cada mes espera solo lo que se entregó en él', () => {
+            const marzo = reconciliarProveedorMes({
+                pedidos: [servido],
+                recibidos: [{ ingrediente_id: 10, cantidad: '12', importe: '18' }],
+                inicio: '2026-03-01', fin: '2026-04-01',
+            });
+            const abril = reconciliarProveedorMes({
+                pedidos: [servido],
+                recibidos: [{ ingrediente_id: 10, cantidad: '8', importe: '12' }],
+                inicio: '2026-04-01', fin: '2026-05-01',
+            });
+            expect(linea(marzo, 10).pedido.cantidad).toBe(12);
+            expect(linea(marzo, 10).incidencias).not.toContain('cantidad_pedido');
+            expect(linea(abril, 10).pedido.cantidad).toBe(8);
+            expect(linea(abril, 10).incidencias).not.toContain('cantidad_pedido');
+        });
+
+        test('lo que nunca llegó se espera en el mes que cerró el pedido', () => {
+            const cerrado = partido('recibido', [{ ingredienteId: 10, nombre: 'Tomate', cantidad: 22, precioUnitario: 1.5, cantidadRecibida: 20 }]);
+            const marzo = reconciliarProveedorMes({
+                pedidos: [cerrado],
+                recibidos: [{ ingrediente_id: 10, cantidad: '12', importe: '18' }],
+                inicio: '2026-03-01', fin: '2026-04-01',
+            });
+            const abril = reconciliarProveedorMes({
+                pedidos: [cerrado],
+                recibidos: [{ ingrediente_id: 10, cantidad: '8', importe: '12' }],
+                inicio: '2026-04-01', fin: '2026-05-01',
+            });
+            expect(linea(marzo, 10).incidencias).not.toContain('cantidad_pedido');
+            expect(linea(abril, 10).pedido.cantidad).toBe(10);
+            expect(linea(abril, 10).incidencias).toContain('cantidad_pedido');
+        });
+
+        test('pedido aún parcial: lo pendiente no se reclama todavía', () => {
+            const parcial = partido('parcial', [{ ingredienteId: 10, cantidad: 30, precioUnitario: 1.5, cantidadRecibida: 20 }]);
+            const abril = reconciliarProveedorMes({
+                pedidos: [parcial],
+                recibidos: [{ ingrediente_id: 10, cantidad: '8', importe: '12' }],
+                inicio: '2026-04-01', fin: '2026-05-01',
+            });
+            expect(linea(abril, 10).pedido.cantidad).toBe(8);
+        });
+    });
+});
+
+describe('rutas de facturas de proveedor', () => {
+    function makePool(respuestas = []) {
+        const queries = [];
+        const responder = async (sql, params) => {
+            queries.push({ sql, params });
+            const r = respuestas.find(([fragmento]) => sql.includes(fragmento));
+            return { rows: r ? r[1] : [] };
+        };
+        return { queries, query: responder };
+    }
+
+    function app(pool) {
+        const a = express();
+        a.use(express.json());
+        a.use('/api', supplierInvoicesRoutesFactory(pool));
+        return a;
+    }
+
+    test('POST /invoices con una línea que no es un objeto → 400, no 500', async () => {
+        const pool = makePool([['FROM proveedores', [{ id: 5, nombre: 'Frutas Paco' }]]]);
+        for (const lineas of [[null], [7], [['a']]]) {
+            const res = await request(app(pool)).post('/api/suppliers/5/invoices')
+                .send({ numero_factura: 'F-1', fecha: '2026-03-31', lineas });
+            expect(res.status).toBe(400);
+            expect(res.body.error).toMatch(/objeto/);
+        }
+        expect(pool.queries.some(q => q.sql.includes('INSERT'))).toBe(false);
+    });
+
+    test('GET /reconciliation carga las entregas y reparte por mes', async () => {
+        const pool = makePool([
+            ['FROM proveedores', [{ id: 5, nombre: 'Frutas Paco' }]],
+            ['FROM pedidos p', [{
+                id: 3, fecha: '2026-03-25', fecha_recepcion: '2026-04-03', estado: 'recibido',
+                ingredientes: [{ ingredienteId: 10, nombre: 'Tomate', cantidad: 20, precioUnitario: 1.5, cantidadRecibida: 20 }],
+                recepciones: [
+                    { fecha: '2026-03-28', lineas: [{ linea: 0, ingredienteId: 10, cantidad: 12, precioReal: 1.5 }] },
+                    { fecha: '2026-04-03', lineas: [{ linea: 0, ingredienteId: 10, cantidad: 8, precioReal: 1.5 }] },
+                ],
+            }]],
+            ['FROM precios_compra_diarios', [{ ingrediente_id: 10, nombre: 'Tomate', cantidad: '12', importe: '18' }]],
+        ]);
+        const res = await request(app(pool)).get('/api/suppliers/5/reconciliation?mes=2026-03');
+        expect(res.status).toBe(200);
+        const tomate = res.body.lineas.find(l => l.ingrediente_id === 10);
+        expect(tomate.pedido.cantidad).toBe(12);
+        expect(tomate.incidencias).not.toContain('cantidad_pedido');
+        const sqlPedidos = pool.queries.find(q => q.sql.includes('FROM pedidos p')).sql;
+        expect(sqlPedidos).toContain('pedidos_recepciones');
+    });
+});
@@ -0,0 +1,164 @@
+/**
+ * Traspasos entre restaurantes con precio interno.
+ *
+ * Lo que blindan estos tests:
+ *   1. Un traspaso se valora al coste unitario del ORIGEN (+ su margen por
+ *      defecto); un producto de la cocina central queda enlazado a su lote.
+ *   2. Al aprobar, el destino registra la compra en su Diario y repondera el
+ *      precio; un traspaso antiguo sin precio se valora en ese momento.
+ *   3. /balance/mes separa traspasos recibidos y enviados (con margen interno).
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/middleware/auth', () => ({
+    authMiddleware: (req, _res, next) => {
+        req.restauranteId = 3;
+        req.user = { userId: 7 };
+        next();
+    },
+    requirePermission: () => (_req, _res, next) => next()
+}));
+jest.mock('../../src/services/recipeCostHistoryService', () => ({ registrarCostesRecetas: jest.fn() }));
+jest.mock('../../src/services/outboundWebhookService', () => ({ emitirEvento: jest.fn() }));
+
+const transfersRoutesFactory = require('../../src/routes/transfers.routes');
+const { traspasosPeriodo } = require('../../src/services/finanzasMesService');
+
+const ORIGEN = { precio: 5.5, cantidad_por_formato: 1, precio_fijado: false, precio_medio_compra: null, margen_traspaso_pct: '0' };
+
+function makePool({ stock = { 30: 2 }, transfer = null, ultimoLote = null, origen = ORIGEN } = {}) {
+    const queries = [];
+    const client = {
+        async query(sql, params) {
+            queries.push({ sql, params });
+            const s = sql.trim().toUpperCase();
+            if (s.startsWith('BEGIN') || s.startsWith('COMMIT') || s.startsWith('ROLLBACK')) return { rows: [] };
+            if (s.startsWith('SELECT') && sql.includes('FROM ingredientes') && sql.includes('FOR UPDATE')) {
+                const id = params[0];
+                return { rows: id in stock ? [{ id, stock_actual: stock[id], precio: 4, cantidad_por_formato: 1, precio_fijado: false }] : [] };
+            }
+            if (s.startsWith('UPDATE INGREDIENTES') && sql.includes('RETURNING stock_actual')) {
+                const [cantidad, id] = params;
+                stock[id] = Math.max(0, stock[id] - cantidad);
+                return { rows: [{ stock_actual: stock[id] }] };
+            }
+            if (sql.includes('FROM lotes_produccion')) return { rows: ultimoLote ? [ultimoLote] : [] };
+            if (sql.includes('FROM transferencias_stock') && sql.includes('FOR UPDATE')) return { rows: transfer ? [transfer] : [] };
+            if (sql.includes('r.margen_traspaso_pct')) return { rows: [origen] };
+            if (sql.includes('ur1.usuario_id')) return { rows: [{ usuario_id: 7 }] };
+            if (sql.includes('SELECT id, nombre, precio, stock_actual')) return { rows: [{ id: 30, nombre: 'Salsa base', precio: 4, stock_actual: 10, unidad: 'kg', cantidad_por_formato: 1 }] };
+            if (sql.includes('INSERT INTO transferencias_stock')) return { rows: [{ id: 5 }] };
+            return { rows: [], rowCount: 1 };
+        },
+        release() { /* noop */ }
+    };
+    return { queries, async connect() { return client; }, async query(sql, params) { return client.query(sql, params); } };
+}
+
+function buildApp(pool) {
+    const app = express();
+    app.use(express.json());
+    app.use('/api', transfersRoutesFactory(pool));
+    return app;
+}
+
+const donde = (queries, frag) => queries.filter(q => q.sql.includes(frag));
+
+describe('POST /transfers: precio interno', () => {
+    test('producto de cocina central: coste en origen, enlazado al último lote', async () => {
+        const pool = makePool({ ultimoLote: { id: 77, coste_unitario: '5.0000' } });
+        const res = await request(buildApp(pool))
+            .post('/api/transfers')
+            .send({ destino_restaurante_id: 4, ingrediente_id: 30, cantidad: 4 });
+        expect(res.status).toBe(200);
+        const params = donde(pool.queries, 'INSERT INTO transferencias_stock')[0].params;
+        // precio, lote, coste unitario en origen, margen
+        expect(params.slice(9)).toEqual([5.5, 77, 5.5, 0]);
+        expect(donde(pool.queries, 'r.margen_traspaso_pct')[0].params).toEqual([3, 30]);
+    });
+
+    test('margen del origen: precio = coste × (1 + margen); la media de compras manda', async () => {
+        const pool = makePool({ origen: { ...ORIGEN, precio_medio_compra: '2.0000', margen_traspaso_pct: '10.00' } });
+        await request(buildApp(pool))
+            .post('/api/transfers')
+            .send({ destino_restaurante_id: 4, ingrediente_id: 30, cantidad: 4 });
+        const params = donde(pool.queries, 'INSERT INTO transferencias_stock')[0].params;
+        expect(params.slice(9)).toEqual([2.2, null, 2, 10]);
+    });
+
+    test('precio explícito: manda sobre el margen, sin perder el coste', async () => {
+        const pool = makePool({ origen: { ...ORIGEN, margen_traspaso_pct: '10.00' } });
+        await request(buildApp(pool))
+            .post('/api/transfers')
+            .send({ destino_restaurante_id: 4, ingrediente_id: 30, cantidad: 4, precio_transferencia: 7 });
+        const params = donde(pool.queries, 'INSERT INTO transferencias_stock')[0].params;
+        expect(params.slice(9)).toEqual([7, null, 5.5, null]);
+    });
+
+    test('precio explícito inválido: 400', async () => {
+        const res = await request(buildApp(makePool()))
+            .post('/api/transfers')
+            .send({ destino_restaurante_id: 4, ingrediente_id: 30, cantidad: 4, precio_transferencia: -1 });
+        expect(res.status).toBe(400);
+    });
+});
+
+describe('POST /transfers/:id/approve: valoración en destino', () => {
+    const TRANSFER = { id: 5, origen_restaurante_id: 1, destino_restaurante_id: 3, ingrediente_nombre: 'Salsa base', ingrediente_id_origen: 30, ingrediente_id_destino: 31, cantidad: '4' };
+
+    test('aprobar con precio: compra del destino en su Diario + precio ponderado', async () => {
+        const pool = makePool({ transfer: { ...TRANSFER, precio_transferencia: '5.5000' }, stock: { 30: 10, 31: 0 } });
+        const res = await request(buildApp(pool)).post('/api/transfers/5/approve');
+        expect(res.status).toBe(200);
+        const compra = donde(pool.queries, 'INSERT INTO precios_compra_diarios')[0].params;
+        expect([compra[0], compra[2], compra[3], compra[4], compra[5]]).toEqual([31, 5.5, 4, 22, 3]);
+        expect(donde(pool.queries, 'SUM(pcd.total_compra)')[0].params).toEqual([31, 3]);
+        expect(res.body.valoracion.importe).toBe(22);
+    });
+
+    test('aprobar un traspaso antiguo sin precio: se valora en origen al aprobar', async () => {
+        const pool = makePool({ transfer: { ...TRANSFER, precio_transferencia: null }, stock: { 30: 10, 31: 0 } });
+        const res = await request(buildApp(pool)).post('/api/transfers/5/approve');
+        expect(res.status).toBe(200);
+        // valorado en el ORIGEN (restaurante 1), no en el que aprueba
+        expect(donde(pool.queries, 'r.margen_traspaso_pct')[0].params).toEqual([1, 30]);
+        const compra = donde(pool.queries, 'INSERT INTO precios_compra_diarios')[0].params;
+        expect([compra[0], compra[2], compra[4]]).toEqual([31, 5.5, 22]);
+        const aprobada = donde(pool.queries, "SET estado = 'aprobada'")[0].params;
+        expect(aprobada.slice(2)).toEqual([5.5, 5.5, 0]);
+    });
+
+    test('ingrediente sin precio en origen: se aprueba sin apuntar compra a 0 €', async () => {
+        const origen = { ...ORIGEN, precio: 0 };
+        const pool = makePool({ transfer: { ...TRANSFER, precio_transferencia: null }, stock: { 30: 10, 31: 0 }, origen });
+        const res = await request(buildApp(pool)).post('/api/transfers/5/approve');
+        expect(res.status).toBe(200);
+        expect(donde(pool.queries, 'INSERT INTO precios_compra_diarios')).toHaveLength(0);
+    });
+});
+
+describe('PUT /transfers/settings', () => {
+    test('margen fuera de rango → 400', async () => {
+        const pool = makePool();
+        const res = await request(buildApp(pool)).put('/api/transfers/settings').send({ margen_traspaso_pct: -5 });
+        expect(res.status).toBe(400);
+        expect(donde(pool.queries, 'UPDATE restaurantes')).toHaveLength(0);
+    });
+});
+
+describe('traspasosPeriodo (líneas de /balance/mes)', () => {
+    test('entrada y salida por separado; margen interno = importe − coste', async () => {
+        const pool = { query: jest.fn(async () => ({ rows: [{
+            num_entrada: '2', importe_entrada: '120.456',
+            num_salida: '3', importe_salida: '330', coste_salida: '300'
+        }] })) };
+        const r = await traspasosPeriodo(pool, 3, '2026-09-01', '2026-10-01');
+        expect(pool.query.mock.calls[0][1]).toEqual([3, '2026-09-01', '2026-10-01']);
+        expect(r).toEqual({
+            entrada: { importe: 120.46, num: 2 },
+            salida: { importe: 330, coste: 300, margen_interno: 30, num: 3 }
+        });
+    });
+});